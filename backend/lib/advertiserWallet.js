@@ -0,0 +1,654 @@
+const { postWalletTopUp, postWalletSettlement } = require('./journal');
+const { toReportingAmount, formatMoney } = require('./currency');
+const { ledgerCauseSql } = require('./causes');
+const { quoteTax, stripeTaxRateFor, taxCustomerFromAccount } = require('./tax');
+
+/**
+ * Prepaid balance (wallet) for advertiser accounts.
+ *
+ * An advertiser tops up through Stripe Checkout (or auto-reload charges the default card off-session) and,
+ * with prepaid enabled, the account's recurring campaigns run with billing_mode 'prepaid':
+ *   - every impression / click recorded draws the campaign's price from the balance (recordWalletUsage),
+ *     rolled up into one open transaction per campaign, kind and day
+ *   - at zero the account's prepaid campaigns are paused (paused_for_balance); the next top-up resumes them
+ *   - below the auto-reload threshold one reload is claimed (auto_reload_pending_at) and charged
+ *   - the weekly billing job settles the week's draws into donation_ledger / weekly_donation_pool instead of
+ *     invoicing (settleWalletUsage)
+ * Switching a campaign between invoice and prepaid billing mid-week waits for the weekly reset
+ * (pending_billing_mode) unless the campaign has no usage this week yet.
+ *
+ * Top-ups sit in the advertiser_prepaid liability until they are settled (lib/journal.js). Amounts are in
+ * the wallet (account) currency; settlements are pooled in the reporting currency at the latest FX rate.
+ *
+ * Tables: advertiser_wallets, advertiser_wallet_transactions, advertisers, advertiser_accounts,
+ * donation_ledger, weekly_donation_pool.
+ */
+
+const WALLET_LIMITS = {
+  minTopUp: 10,
+  maxTopUp: 10000,
+  maxReloadThreshold: 10000
+};
+
+// A reload that has not come back after this long (e.g. the process died mid-charge) may be claimed again
+const AUTO_RELOAD_STALE_MINUTES = 30;
+
+const USAGE_KINDS = new Set(['impression', 'click']);
+
+function toNumber(value) {
+  const n = parseFloat(value);
+  return Number.isFinite(n) ? n : 0;
+}
+
+function roundMoney(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function parseAmount(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? roundMoney(n) : NaN;
+}
+
+/**
+ * The account's wallet, created (empty, prepaid off) on first use in the account currency.
+ * @param {object} db
+ * @param {{ id: number, currency?: string }} account - advertiser_accounts row
+ */
+async function ensureWallet(db, account) {
+  await db.query(`
+    INSERT INTO advertiser_wallets (advertiser_account_id, currency)
+    VALUES ($1, $2)
+    ON CONFLICT (advertiser_account_id) DO NOTHING
+  `, [account.id, account.currency || 'usd']);
+  const result = await db.query('SELECT * FROM advertiser_wallets WHERE advertiser_account_id = $1', [account.id]);
+  return result.rows[0];
+}
+
+// The wallet of the account a campaign belongs to (advertiser_accounts is matched by email), or null
+async function walletForCampaign(db, advertiserId) {
+  const result = await db.query(`
+    SELECT w.*
+    FROM advertisers a
+    JOIN advertiser_accounts aa ON LOWER(TRIM(aa.email)) = LOWER(TRIM(a.email))
+    JOIN advertiser_wallets w ON w.advertiser_account_id = aa.id
+    WHERE a.id = $1
+    LIMIT 1
+  `, [advertiserId]);
+  return result.rows[0] || null;
+}
+
+function walletResponse(wallet) {
+  if (!wallet) return null;
+  return {
+    currency: wallet.currency,
+    balance: roundMoney(toNumber(wallet.balance)),
+    prepaidEnabled: Boolean(wallet.prepaid_enabled),
+    autoReload: {
+      enabled: Boolean(wallet.auto_reload_enabled),
+      threshold: wallet.auto_reload_threshold !== null ? toNumber(wallet.auto_reload_threshold) : null,
+      amount: wallet.auto_reload_amount !== null ? toNumber(wallet.auto_reload_amount) : null,
+      pending: Boolean(wallet.auto_reload_pending_at),
+      lastError: wallet.last_auto_reload_error || null
+    }
+  };
+}
+
+/**
+ * @param {*} value - top-up amount in major units of the wallet currency
+ * @returns {{ ok: true, amount: number } | { ok: false, error: string }}
+ */
+function validateTopUpAmount(value, currency) {
+  const amount = parseAmount(value);
+  if (amount === null || Number.isNaN(amount)) {
+    return { ok: false, error: 'Enter a top-up amount' };
+  }
+  if (amount < WALLET_LIMITS.minTopUp || amount > WALLET_LIMITS.maxTopUp) {
+    return {
+      ok: false,
+      error: `Top-ups must be between ${formatMoney(WALLET_LIMITS.minTopUp, currency)} and ${formatMoney(WALLET_LIMITS.maxTopUp, currency)}`
+    };
+  }
+  return { ok: true, amount };
+}
+
+/**
+ * Validate the portal's prepaid settings.
+ * @param {{ prepaidEnabled?: boolean, autoReloadEnabled?: boolean, autoReloadThreshold?: number,
+ *   autoReloadAmount?: number }} input
+ * @returns {{ ok: true, settings: object } | { ok: false, error: string }}
+ */
+function validateWalletSettings(input, currency) {
+  const prepaidEnabled = Boolean(input?.prepaidEnabled);
+  const autoReloadEnabled = Boolean(input?.autoReloadEnabled);
+  const threshold = parseAmount(input?.autoReloadThreshold);
+  const reloadAmount = parseAmount(input?.autoReloadAmount);
+
+  if (Number.isNaN(threshold) || Number.isNaN(reloadAmount)) {
+    return { ok: false, error: 'Auto-reload threshold and amount must be numbers' };
+  }
+  if (autoReloadEnabled) {
+    if (threshold === null || threshold < 0 || threshold > WALLET_LIMITS.maxReloadThreshold) {
+      return {
+        ok: false,
+        error: `Auto-reload threshold must be between ${formatMoney(0, currency)} and ${formatMoney(WALLET_LIMITS.maxReloadThreshold, currency)}`
+      };
+    }
+    if (reloadAmount === null || reloadAmount < WALLET_LIMITS.minTopUp || reloadAmount > WALLET_LIMITS.maxTopUp) {
+      return {
+        ok: false,
+        error: `Auto-reload amount must be between ${formatMoney(WALLET_LIMITS.minTopUp, currency)} and ${formatMoney(WALLET_LIMITS.maxTopUp, currency)}`
+      };
+    }
+  }
+  return {
+    ok: true,
+    settings: {
+      prepaidEnabled,
+      autoReloadEnabled,
+      autoReloadThreshold: threshold,
+      autoReloadAmount: reloadAmount
+    }
+  };
+}
+
+/**
+ * Save prepaid / auto-reload settings and move the account's recurring campaigns to the matching billing
+ * mode: straight away when the campaign has no usage this week, otherwise at the weekly reset.
+ * @param {object} db
+ * @param {{ wallet: object, email: string, settings: object }} params - settings from validateWalletSettings
+ * @returns {Promise<{ wallet: object, campaigns: Array<{ id: number, billingMode: string, pendingBillingMode: string|null }> }>}
+ */
+async function saveWalletSettings(db, { wallet, email, settings }) {
+  const updated = await db.query(`
+    UPDATE advertiser_wallets
+    SET prepaid_enabled = $2,
+        auto_reload_enabled = $3,
+        auto_reload_threshold = $4,
+        auto_reload_amount = $5,
+        last_auto_reload_error = CASE WHEN $3 THEN last_auto_reload_error ELSE NULL END,
+        updated_at = NOW()
+    WHERE id = $1
+    RETURNING *
+  `, [wallet.id, settings.prepaidEnabled, settings.autoReloadEnabled, settings.autoReloadThreshold, settings.autoReloadAmount]);
+
+  const mode = settings.prepaidEnabled ? 'prepaid' : 'invoice';
+  const campaigns = await db.query(`
+    UPDATE advertisers
+    SET billing_mode = CASE WHEN COALESCE(current_week_impressions, 0) = 0 AND COALESCE(weekly_clicks, 0) = 0
+                            THEN $2 ELSE billing_mode END,
+        pending_billing_mode = CASE WHEN billing_mode = $2 OR (COALESCE(current_week_impressions, 0) = 0 AND COALESCE(weekly_clicks, 0) = 0)
+                                    THEN NULL ELSE $2 END
+    WHERE LOWER(TRIM(email)) = LOWER(TRIM($1))
+      AND recurring_weekly = TRUE
+      AND COALESCE(status, '') != 'archived'
+    RETURNING id, billing_mode, pending_billing_mode
+  `, [email, mode]);
+
+  return {
+    wallet: updated.rows[0],
+    campaigns: campaigns.rows.map(row => ({
+      id: row.id,
+      billingMode: row.billing_mode,
+      pendingBillingMode: row.pending_billing_mode
+    }))
+  };
+}
+
+/**
+ * billing_mode for a new campaign: recurring campaigns of accounts with prepaid enabled draw from the wallet.
+ */
+async function accountBillingMode(db, email, isRecurring) {
+  if (!isRecurring || !email) return 'invoice';
+  const result = await db.query(`
+    SELECT w.prepaid_enabled
+    FROM advertiser_accounts aa
+    JOIN advertiser_wallets w ON w.advertiser_account_id = aa.id
+    WHERE LOWER(TRIM(aa.email)) = LOWER(TRIM($1))
+    LIMIT 1
+  `, [email]);
+  return result.rows[0]?.prepaid_enabled ? 'prepaid' : 'invoice';
+}
+
+// Pause the wallet's running prepaid campaigns (balance exhausted); returns the paused campaign ids
+async function pauseForBalance(db, walletId) {
+  const result = await db.query(`
+    UPDATE advertisers a
+    SET is_paused = TRUE, paused_for_balance = TRUE
+    FROM advertiser_wallets w
+    JOIN advertiser_accounts aa ON aa.id = w.advertiser_account_id
+    WHERE w.id = $1
+      AND LOWER(TRIM(a.email)) = LOWER(TRIM(aa.email))
+      AND a.billing_mode = 'prepaid'
+      AND a.is_paused = FALSE
+      AND COALESCE(a.status, '') != 'archived'
+    RETURNING a.id
+  `, [walletId]);
+  return result.rows.map(row => row.id);
+}
+
+// Resume campaigns the wallet paused, once the balance is back above zero
+async function resumeAfterTopUp(db, walletId) {
+  const result = await db.query(`
+    UPDATE advertisers a
+    SET is_paused = FALSE, paused_for_balance = FALSE
+    FROM advertiser_wallets w
+    JOIN advertiser_accounts aa ON aa.id = w.advertiser_account_id
+    WHERE w.id = $1
+      AND w.balance > 0
+      AND LOWER(TRIM(a.email)) = LOWER(TRIM(aa.email))
+      AND a.paused_for_balance = TRUE
+      AND COALESCE(a.billing_failed, FALSE) = FALSE
+      AND a.payment_hold_reason IS NULL
+    RETURNING a.id
+  `, [walletId]);
+  return result.rows.map(row => row.id);
+}
+
+/**
+ * Draw one impression or click from the campaign's wallet.
+ * @param {object} db
+ * @param {{ advertiserId: number, kind: 'impression'|'click', amount: number }} params - amount in wallet currency
+ * @returns {Promise<{ recorded: boolean, walletId?: number, balance?: number, pausedCampaignIds: number[],
+ *   reloadWallet: object|null }>} reloadWallet is set when this draw claimed an auto-reload (see runAutoReload)
+ */
+async function recordWalletUsage(db, { advertiserId, kind, amount }) {
+  if (!USAGE_KINDS.has(kind)) throw new Error(`Unknown wallet usage kind: ${kind}`);
+  const value = Number(amount);
+  if (!(value > 0)) return { recorded: false, pausedCampaignIds: [], reloadWallet: null };
+
+  // Balance decrement and the day's usage row in one statement, so concurrent draws cannot lose an update
+  const result = await db.query(`
+    WITH wallet AS (
+      UPDATE advertiser_wallets w
+      SET balance = w.balance - $2, updated_at = NOW()
+      FROM advertisers a
+      JOIN advertiser_accounts aa ON LOWER(TRIM(aa.email)) = LOWER(TRIM(a.email))
+      WHERE a.id = $1 AND w.advertiser_account_id = aa.id
+      RETURNING w.id, w.balance, w.auto_reload_enabled, w.auto_reload_threshold
+    ), usage AS (
+      INSERT INTO advertiser_wallet_transactions AS t (wallet_id, kind, amount, balance_after, advertiser_id, usage_date, units)
+      SELECT id, $3, -$2::numeric, balance, $1, CURRENT_DATE, 1 FROM wallet
+      ON CONFLICT (wallet_id, advertiser_id, kind, usage_date) WHERE settled_at IS NULL AND kind IN ('impression', 'click')
+      DO UPDATE SET amount = t.amount + EXCLUDED.amount,
+                    units = t.units + 1,
+                    balance_after = EXCLUDED.balance_after,
+                    updated_at = NOW()
+      RETURNING id
+    )
+    SELECT wallet.* FROM wallet
+  `, [advertiserId, value, kind]);
+
+  const wallet = result.rows[0];
+  if (!wallet) return { recorded: false, pausedCampaignIds: [], reloadWallet: null };
+
+  const balance = toNumber(wallet.balance);
+  const pausedCampaignIds = balance <= 0 ? await pauseForBalance(db, wallet.id) : [];
+
+  let reloadWallet = null;
+  if (wallet.auto_reload_enabled && balance < toNumber(wallet.auto_reload_threshold)) {
+    const claim = await db.query(`
+      UPDATE advertiser_wallets
+      SET auto_reload_pending_at = NOW()
+      WHERE id = $1
+        AND auto_reload_enabled = TRUE
+        AND balance < auto_reload_threshold
+        AND (auto_reload_pending_at IS NULL OR auto_reload_pending_at < NOW() - INTERVAL '${AUTO_RELOAD_STALE_MINUTES} minutes')
+      RETURNING *
+    `, [wallet.id]);
+    reloadWallet = claim.rows[0] || null;
+  }
+
+  return { recorded: true, walletId: wallet.id, balance, pausedCampaignIds, reloadWallet };
+}
+
+/**
+ * Add a paid top-up or auto-reload to the wallet. Idempotent per Stripe PaymentIntent.
+ * @param {object} db - pool (runs its own transaction)
+ * @param {{ walletId: number, kind: 'top_up'|'auto_reload', amountCents: number, taxCents?: number,
+ *   stripeObjectId: string, description?: string }} params - amountCents is net of tax, in wallet currency
+ * @returns {Promise<{ credited: boolean, balance?: number, resumedCampaignIds: number[] }>}
+ */
+async function creditWallet(db, { walletId, kind, amountCents, taxCents = 0, stripeObjectId, description = null }) {
+  const amount = Math.round(Number(amountCents) || 0) / 100;
+  if (!(amount > 0)) return { credited: false, resumedCampaignIds: [] };
+
+  const client = await db.connect();
+  let wallet;
+  try {
+    await client.query('BEGIN');
+    const locked = await client.query('SELECT * FROM advertiser_wallets WHERE id = $1 FOR UPDATE', [walletId]);
+    if (locked.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return { credited: false, resumedCampaignIds: [] };
+    }
+    const existing = await client.query(
+      'SELECT id FROM advertiser_wallet_transactions WHERE stripe_object_id = $1',
+      [stripeObjectId]
+    );
+    if (existing.rows.length > 0) {
+      await client.query('ROLLBACK');
+      return { credited: false, resumedCampaignIds: [] };
+    }
+
+    const updated = await client.query(`
+      UPDATE advertiser_wallets
+      SET balance = balance + $2,
+          auto_reload_pending_at = CASE WHEN $3 = 'auto_reload' THEN NULL ELSE auto_reload_pending_at END,
+          last_auto_reload_error = CASE WHEN $3 = 'auto_reload' THEN NULL ELSE last_auto_reload_error END,
+          updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `, [walletId, amount, kind]);
+    wallet = updated.rows[0];
+
+    await client.query(`
+      INSERT INTO advertiser_wallet_transactions (wallet_id, kind, amount, balance_after, tax_amount, stripe_object_id, description)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+    `, [walletId, kind, amount, wallet.balance, Math.round(Number(taxCents) || 0) / 100, stripeObjectId, description]);
+
+    const converted = await toReportingAmount(client, amount, wallet.currency);
+    await postWalletTopUp(client, {
+      entryKey: `wallet_top_up:${stripeObjectId}`,
+      walletId,
+      amount: converted.amount,
+      description: description || `Prepaid ${kind === 'auto_reload' ? 'auto-reload' : 'top-up'} ${stripeObjectId}`
+    });
+
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  const resumedCampaignIds = await resumeAfterTopUp(db, walletId);
+  console.log(`💳 [WALLET] Wallet ${walletId} ${kind} +${formatMoney(amount, wallet.currency)} → ${formatMoney(toNumber(wallet.balance), wallet.currency)}` +
+    `${resumedCampaignIds.length > 0 ? `, resumed campaigns ${resumedCampaignIds.join(', ')}` : ''}`);
+  return { credited: true, balance: toNumber(wallet.balance), resumedCampaignIds };
+}
+
+// Tax on a top-up, quoted like the advertiser's invoices (billing address / tax ID on advertiser_accounts)
+async function quoteTopUpTax(db, account, amountCents, currency) {
+  return quoteTax(db, { customer: taxCustomerFromAccount(account), amountCents, currency });
+}
+
+/**
+ * Stripe Checkout session (mode payment) for a manual top-up. The card is saved for off-session use so
+ * auto-reload can charge it; checkout.session.completed credits the wallet (metadata.walletTopUp).
+ * @param {object} db
+ * @param {object} stripe
+ * @param {{ wallet: object, account: object, customerId: string, amount: number, successUrl: string,
+ *   cancelUrl: string }} params - amount in major units of the wallet currency
+ */
+async function createTopUpCheckoutSession(db, stripe, { wallet, account, customerId, amount, successUrl, cancelUrl }) {
+  const amountCents = Math.round(amount * 100);
+  const quote = await quoteTopUpTax(db, account, amountCents, wallet.currency);
+  const taxRateId = await stripeTaxRateFor(db, stripe, quote);
+  const metadata = { walletTopUp: 'top_up', walletId: String(wallet.id) };
+
+  return stripe.checkout.sessions.create({
+    mode: 'payment',
+    customer: customerId,
+    line_items: [{
+      price_data: {
+        currency: wallet.currency,
+        product_data: { name: 'Charity Stream prepaid balance top-up' },
+        unit_amount: amountCents
+      },
+      quantity: 1,
+      ...(taxRateId && { tax_rates: [taxRateId] })
+    }],
+    payment_intent_data: { setup_future_usage: 'off_session', metadata },
+    metadata,
+    success_url: successUrl,
+    cancel_url: cancelUrl
+  });
+}
+
+/**
+ * Charge a claimed auto-reload (recordWalletUsage → reloadWallet) to the customer's default card,
+ * off-session. Credits straight away when the PaymentIntent succeeds; otherwise payment_intent.succeeded
+ * credits it later. Failures are stored on the wallet (last_auto_reload_error) and release the claim.
+ * @param {object} db
+ * @param {object} stripe
+ * @param {object} wallet - advertiser_wallets row with auto_reload_pending_at set
+ * @returns {Promise<{ success: boolean, paymentIntentId?: string, status?: string, resumedCampaignIds?: number[],
+ *   error?: string }>}
+ */
+async function runAutoReload(db, stripe, wallet) {
+  try {
+    const accountResult = await db.query('SELECT * FROM advertiser_accounts WHERE id = $1', [wallet.advertiser_account_id]);
+    const account = accountResult.rows[0];
+    if (!account?.stripe_customer_id) throw new Error('No Stripe customer on the advertiser account');
+
+    const customer = await stripe.customers.retrieve(account.stripe_customer_id);
+    const paymentMethod = customer.invoice_settings?.default_payment_method;
+    if (!paymentMethod) throw new Error('No default payment method for auto-reload');
+
+    const amountCents = Math.round(toNumber(wallet.auto_reload_amount) * 100);
+    const quote = await quoteTopUpTax(db, account, amountCents, wallet.currency);
+    const taxCents = quote.reverseCharge ? 0 : quote.taxCents;
+
+    const paymentIntent = await stripe.paymentIntents.create({
+      amount: amountCents + taxCents,
+      currency: wallet.currency,
+      customer: account.stripe_customer_id,
+      payment_method: typeof paymentMethod === 'string' ? paymentMethod : paymentMethod.id,
+      off_session: true,
+      confirm: true,
+      description: `Charity Stream prepaid balance auto-reload${quote.label ? ` (incl. ${quote.label})` : ''}`,
+      metadata: {
+        walletTopUp: 'auto_reload',
+        walletId: String(wallet.id),
+        netAmountCents: String(amountCents),
+        taxCents: String(taxCents)
+      }
+    }, {
+      idempotencyKey: `wallet-auto-reload-${wallet.id}-${new Date(wallet.auto_reload_pending_at).getTime()}`
+    });
+
+    let resumedCampaignIds = [];
+    if (paymentIntent.status === 'succeeded') {
+      const credit = await creditWallet(db, {
+        walletId: wallet.id,
+        kind: 'auto_reload',
+        amountCents,
+        taxCents,
+        stripeObjectId: paymentIntent.id
+      });
+      resumedCampaignIds = credit.resumedCampaignIds;
+    }
+    return { success: true, paymentIntentId: paymentIntent.id, status: paymentIntent.status, resumedCampaignIds };
+  } catch (err) {
+    await db.query(`
+      UPDATE advertiser_wallets
+      SET auto_reload_pending_at = NULL, last_auto_reload_error = $2, updated_at = NOW()
+      WHERE id = $1
+    `, [wallet.id, String(err.message || err).slice(0, 500)]);
+    console.error(`❌ [WALLET] Auto-reload failed for wallet ${wallet.id}:`, err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * A refund of a top-up / auto-reload charge: the net share of the refund comes off the balance, which
+ * pauses prepaid campaigns if it reaches zero. Idempotent per Stripe refund.
+ * @param {object} db
+ * @param {{ paymentIntentId: string, refundId: string, amountCents: number, chargeAmountCents: number }} params
+ * @returns {Promise<{ applied: boolean, reason?: string, walletId?: number, balance?: number, pausedCampaignIds: number[] }>}
+ */
+async function reverseWalletTopUp(db, { paymentIntentId, refundId, amountCents, chargeAmountCents }) {
+  const original = await db.query(`
+    SELECT t.*, w.currency
+    FROM advertiser_wallet_transactions t
+    JOIN advertiser_wallets w ON w.id = t.wallet_id
+    WHERE t.stripe_object_id = $1 AND t.kind IN ('top_up', 'auto_reload')
+  `, [paymentIntentId]);
+  if (original.rows.length === 0) return { applied: false, reason: 'not_a_top_up', pausedCampaignIds: [] };
+  const topUp = original.rows[0];
+
+  // Tax on the charge is not part of the balance: refund only the net share
+  const net = toNumber(topUp.amount);
+  const gross = Number(chargeAmountCents) > 0 ? Number(chargeAmountCents) / 100 : net;
+  const amount = roundMoney(Math.min(net, (Number(amountCents) / 100) * (net / gross)));
+  if (!(amount > 0)) return { applied: false, reason: 'zero_amount', pausedCampaignIds: [] };
+
+  const client = await db.connect();
+  let balance;
+  try {
+    await client.query('BEGIN');
+    const inserted = await client.query(`
+      WITH wallet AS (
+        UPDATE advertiser_wallets SET balance = balance - $2, updated_at = NOW()
+        WHERE id = $1 AND NOT EXISTS (SELECT 1 FROM advertiser_wallet_transactions WHERE stripe_object_id = $3)
+        RETURNING id, balance
+      )
+      INSERT INTO advertiser_wallet_transactions (wallet_id, kind, amount, balance_after, stripe_object_id, description)
+      SELECT id, 'refund', -$2::numeric, balance, $3, $4 FROM wallet
+      RETURNING balance_after
+    `, [topUp.wallet_id, amount, refundId, `Refund of ${paymentIntentId}`]);
+    if (inserted.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return { applied: false, reason: 'already_applied', pausedCampaignIds: [] };
+    }
+    balance = toNumber(inserted.rows[0].balance_after);
+
+    const converted = await toReportingAmount(client, amount, topUp.currency);
+    await postWalletTopUp(client, {
+      entryKey: `wallet_refund:${refundId}`,
+      walletId: topUp.wallet_id,
+      amount: -converted.amount,
+      description: `Prepaid top-up ${paymentIntentId} refunded (${refundId})`
+    });
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  const pausedCampaignIds = balance <= 0 ? await pauseForBalance(db, topUp.wallet_id) : [];
+  console.log(`↩️ [WALLET] Refund ${refundId}: -${formatMoney(amount, topUp.currency)} from wallet ${topUp.wallet_id}`);
+  return { applied: true, walletId: topUp.wallet_id, balance, pausedCampaignIds };
+}
+
+/**
+ * Weekly billing for a prepaid campaign: the unsettled draws go into donation_ledger / weekly_donation_pool
+ * for weekStart and are marked settled, in one transaction. The ledger row is keyed by the settlement
+ * (source_id and billing_record_id 'wallet:<wallet>:<campaign>:<week>'), so it never collides with the
+ * campaign's card-billed row for the same week; a second settlement of the same week is an error.
+ * @param {object} db - pool (runs its own transaction)
+ * @param {{ advertiserId: number, weekStart: string }} params
+ * @returns {Promise<{ settled: boolean, reason?: string, amount?: number, currency?: string, pooledAmount?: number,
+ *   settlementRef?: string }>}
+ */
+async function settleWalletUsage(db, { advertiserId, weekStart }) {
+  const wallet = await walletForCampaign(db, advertiserId);
+  if (!wallet) return { settled: false, reason: 'no_wallet' };
+  const settlementRef = `wallet:${wallet.id}:${advertiserId}:${weekStart}`;
+
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+    const usage = await client.query(`
+      UPDATE advertiser_wallet_transactions
+      SET settled_at = NOW(), settlement_ref = $3, updated_at = NOW()
+      WHERE wallet_id = $1 AND advertiser_id = $2 AND settled_at IS NULL AND kind IN ('impression', 'click')
+      RETURNING amount
+    `, [wallet.id, advertiserId, settlementRef]);
+    const amount = roundMoney(-usage.rows.reduce((sum, row) => sum + toNumber(row.amount), 0));
+    if (!(amount > 0)) {
+      await client.query('ROLLBACK');
+      return { settled: false, reason: 'no_usage', amount: 0, currency: wallet.currency };
+    }
+
+    const converted = await toReportingAmount(client, amount, wallet.currency);
+    const ledger = await client.query(`
+      INSERT INTO donation_ledger (source_type, source_id, billing_record_id, amount, week_start, currency, original_amount, fx_rate, fx_rate_id, cause_category)
+      VALUES ('advertiser', $1, $1, $2, $3::date, $4, $5, $6, $7, ${ledgerCauseSql('advertiser', '$8')})
+      ON CONFLICT (source_id, week_start) DO NOTHING
+      RETURNING id
+    `, [settlementRef, converted.amount, weekStart, converted.currency, converted.originalAmount, converted.fxRate, converted.fxRateId, String(advertiserId)]);
+    if (ledger.rows.length === 0) {
+      throw new Error(`Prepaid settlement ${settlementRef} is already in donation_ledger`);
+    }
+
+    await client.query(`
+      INSERT INTO weekly_donation_pool (week_start, sponsor_total, advertiser_total)
+      VALUES ($1::date, 0, $2)
+      ON CONFLICT (week_start) DO UPDATE
+      SET advertiser_total = weekly_donation_pool.advertiser_total + $2,
+          updated_at = NOW()
+    `, [weekStart, converted.amount]);
+    await postWalletSettlement(client, {
+      settlementRef,
+      advertiserId,
+      amount: converted.amount,
+      weekStart,
+      description: `Prepaid usage of campaign ${advertiserId} for week ${weekStart}`
+    });
+
+    await client.query('COMMIT');
+    return {
+      settled: true,
+      amount,
+      currency: wallet.currency,
+      pooledAmount: converted.amount,
+      settlementRef
+    };
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Newest-first balance history for the portal.
+ */
+async function listWalletTransactions(db, walletId, { limit = 50 } = {}) {
+  const result = await db.query(`
+    SELECT t.id, t.kind, t.amount, t.balance_after, t.units, t.tax_amount, t.usage_date, t.settled_at,
+           t.created_at, t.updated_at, t.description, a.campaign_name
+    FROM advertiser_wallet_transactions t
+    LEFT JOIN advertisers a ON a.id = t.advertiser_id
+    WHERE t.wallet_id = $1
+    ORDER BY t.updated_at DESC, t.id DESC
+    LIMIT $2
+  `, [walletId, Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200)]);
+  return result.rows.map(row => ({
+    id: row.id,
+    kind: row.kind,
+    amount: roundMoney(toNumber(row.amount)),
+    balanceAfter: roundMoney(toNumber(row.balance_after)),
+    units: row.units,
+    taxAmount: toNumber(row.tax_amount),
+    campaignName: row.campaign_name || null,
+    date: row.usage_date || row.created_at,
+    updatedAt: row.updated_at,
+    settled: Boolean(row.settled_at),
+    description: row.description || null
+  }));
+}
+
+module.exports = {
+  WALLET_LIMITS,
+  ensureWallet,
+  walletForCampaign,
+  walletResponse,
+  validateTopUpAmount,
+  validateWalletSettings,
+  saveWalletSettings,
+  accountBillingMode,
+  recordWalletUsage,
+  creditWallet,
+  createTopUpCheckoutSession,
+  runAutoReload,
+  reverseWalletTopUp,
+  settleWalletUsage,
+  listWalletTransactions
+};
@@ -0,0 +1,568 @@
+const PDFDocument = require('pdfkit');
+const { formatMoney } = require('./currency');
+const { TAX_ID_TYPES, taxCustomerFromAccount } = require('./tax');
+const { WEEK_RECIPIENTS_SQL, formatRecipientNames } = require('./charityRecipients');
+
+/**
+ * Branded PDF invoices, receipts and monthly statements for advertisers and sponsors.
+ *
+ * Loaders build a document model from the billing tables (and the Stripe invoice for advertisers);
+ * renderBillingPdf turns any model into a PDF buffer. Every line shows the donation week and the charity
+ * (or charities, for a split week — lib/charityRecipients.js) that received that week's pool, which finance
+ * teams ask for.
+ *
+ *   - advertiser invoice: one Stripe invoice + its recurring / non-recurring billing record
+ *     (impressions, CPM, clicks); invoices without a billing record (expedited fee) list the Stripe lines
+ *   - advertiser statement: every billing record of the account's campaigns whose week starts in the month
+ *   - sponsor receipt: one sponsor_billing row with each payment recorded for the campaign
+ *   - sponsor statement: every sponsor payment of the account whose donation week starts in the month
+ *
+ * Payment status comes from donation_ledger: a week is paid once invoice.paid / checkout wrote its ledger row;
+ * refunds and disputes (reverses_ledger_id) mark it refunded. Line amounts are net; sales tax / VAT
+ * (lib/tax.js) is shown as a separate line above the total, with the account's billing address and tax ID.
+ *
+ * Served by /api/advertiser/invoices/:invoiceId/pdf, /api/advertiser/statements/:month/pdf,
+ * /api/sponsor/billing/:billingId/pdf and /api/sponsor/statements/:month/pdf; attached to billing emails.
+ */
+
+const BRAND_GREEN = '#276629';
+const TEXT_DARK = '#1c1c1e';
+const TEXT_MUTED = '#8e8e93';
+const RULE = '#e5e5ea';
+
+const ADVERTISER_COLUMNS = [
+  { key: 'week', header: 'Week', width: 92 },
+  { key: 'description', header: 'Campaign', width: 108 },
+  { key: 'impressions', header: 'Impressions', width: 62, align: 'right' },
+  { key: 'cpm', header: 'CPM', width: 44, align: 'right' },
+  { key: 'clicks', header: 'Clicks', width: 38, align: 'right' },
+  { key: 'charity', header: 'Charity', width: 88 },
+  { key: 'amount', header: 'Amount', width: 80, align: 'right' }
+];
+
+const SPONSOR_COLUMNS = [
+  { key: 'week', header: 'Week', width: 100 },
+  { key: 'description', header: 'Description', width: 150 },
+  { key: 'charity', header: 'Charity', width: 130 },
+  { key: 'status', header: 'Status', width: 52 },
+  { key: 'amount', header: 'Amount', width: 80, align: 'right' }
+];
+
+const STRIPE_LINE_COLUMNS = [
+  { key: 'description', header: 'Description', width: 432 },
+  { key: 'amount', header: 'Amount', width: 80, align: 'right' }
+];
+
+function toDateString(value) {
+  if (!value) return null;
+  return value instanceof Date ? value.toISOString().slice(0, 10) : String(value).slice(0, 10);
+}
+
+function formatDate(value) {
+  const dateStr = toDateString(value);
+  if (!dateStr) return '—';
+  return new Date(`${dateStr}T00:00:00Z`).toLocaleDateString('en-US', {
+    year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC'
+  });
+}
+
+// "Oct 12 – Oct 18, 2026" for the 7-day donation week starting weekStart
+function formatWeekRange(weekStart) {
+  const startStr = toDateString(weekStart);
+  if (!startStr) return '—';
+  const start = new Date(`${startStr}T00:00:00Z`);
+  const end = new Date(start.getTime() + 6 * 24 * 60 * 60 * 1000);
+  const short = { month: 'short', day: 'numeric', timeZone: 'UTC' };
+  return `${start.toLocaleDateString('en-US', short)} – ${end.toLocaleDateString('en-US', { ...short, year: 'numeric' })}`;
+}
+
+/**
+ * Parse a statement month ("2026-10") into its first day and the first day of the next month.
+ * @returns {{ start: string, end: string, label: string }|null}
+ */
+function parseStatementMonth(month) {
+  const match = /^(\d{4})-(0[1-9]|1[0-2])$/.exec(String(month || ''));
+  if (!match) return null;
+  const start = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, 1));
+  const end = new Date(Date.UTC(Number(match[1]), Number(match[2]), 1));
+  return {
+    start: start.toISOString().slice(0, 10),
+    end: end.toISOString().slice(0, 10),
+    label: start.toLocaleDateString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' })
+  };
+}
+
+// Receiving charities per donation week ("A and B" for a split week)
+async function loadCharitiesByWeek(db, weekStarts) {
+  const weeks = [...new Set(weekStarts.map(toDateString).filter(Boolean))];
+  if (weeks.length === 0) return new Map();
+  const result = await db.query(`
+    SELECT wr.week_start::date::text AS week_start, ca.charity_name
+    FROM (${WEEK_RECIPIENTS_SQL}) wr
+    JOIN charity_applications ca ON ca.id = wr.charity_application_id
+    WHERE wr.week_start = ANY($1::date[])
+    ORDER BY wr.week_start, wr.position
+  `, [weeks]);
+  const namesByWeek = new Map();
+  for (const row of result.rows) {
+    if (!namesByWeek.has(row.week_start)) namesByWeek.set(row.week_start, []);
+    namesByWeek.get(row.week_start).push(row.charity_name);
+  }
+  return new Map([...namesByWeek].map(([week, names]) => [week, formatRecipientNames(names)]));
+}
+
+// Billing address and tax ID lines under the BILLED TO name, from the account's billing_* / tax_id* columns
+function billToDetailLines(row) {
+  const { address, taxId } = taxCustomerFromAccount(row);
+  const lines = [];
+  if (address) {
+    lines.push([address.line1, address.line2].filter(Boolean).join(', '));
+    lines.push([address.city, address.state, address.postalCode, address.country].filter(Boolean).join(', '));
+  }
+  if (taxId) lines.push(`${TAX_ID_TYPES[taxId.type]?.label || 'Tax ID'}: ${taxId.value}`);
+  return lines.filter(Boolean);
+}
+
+function ledgerStatus(paidAmount, reversedAmount) {
+  const paid = parseFloat(paidAmount) || 0;
+  const reversed = parseFloat(reversedAmount) || 0;
+  if (paid <= 0) return 'Open';
+  if (reversed >= paid) return 'Refunded';
+  if (reversed > 0) return 'Part refunded';
+  return 'Paid';
+}
+
+// Billing records joined to their ledger row: paid amount and how much of it was refunded / disputed, in
+// the invoice currency. amount_billed is net of tax and of any promotion; tax_amount is the invoice's tax line and
+// discount_amount its promotion line
+const ADVERTISER_RECORDS_SQL = `
+  SELECT rec.*, a.company_name, a.campaign_name, a.email,
+         COALESCE(rec.record_cpm_rate, a.cpm_rate) AS cpm_rate,
+         aa.billing_line1, aa.billing_line2, aa.billing_city, aa.billing_state, aa.billing_postal_code,
+         aa.billing_country, aa.tax_id, aa.tax_id_type, aa.tax_id_validated_at,
+         paid.amount AS paid_amount, paid.reversed AS reversed_amount
+  FROM (
+    SELECT 'recurring' AS record_type, advertiser_id, billing_week_start::date::text AS week_start,
+           impressions_billed, clicks_billed, cpm_rate AS record_cpm_rate, amount_billed, tax_amount, tax_label,
+           discount_amount, promotion_code, currency, stripe_invoice_id
+    FROM recurring_billing_records
+    UNION ALL
+    SELECT 'non_recurring' AS record_type, advertiser_id, billing_week_start::date::text AS week_start,
+           impressions_billed, clicks_billed, cpm_rate AS record_cpm_rate, amount_billed, tax_amount, tax_label,
+           discount_amount, promotion_code, currency, stripe_invoice_id
+    FROM non_recurring_billing_records
+  ) rec
+  JOIN advertisers a ON a.id = rec.advertiser_id
+  LEFT JOIN advertiser_accounts aa ON LOWER(TRIM(aa.email)) = LOWER(TRIM(a.email))
+  LEFT JOIN LATERAL (
+    SELECT COALESCE(dl.original_amount, dl.amount) AS amount,
+           COALESCE((SELECT -SUM(COALESCE(r.original_amount, r.amount)) FROM donation_ledger r WHERE r.reverses_ledger_id = dl.id::text), 0) AS reversed
+    FROM donation_ledger dl
+    WHERE dl.billing_record_id::text = rec.stripe_invoice_id AND dl.reverses_ledger_id IS NULL
+    LIMIT 1
+  ) paid ON TRUE
+`;
+
+function advertiserRecordRow(record, charities, currency) {
+  return {
+    week: formatWeekRange(record.week_start),
+    description: record.campaign_name || record.company_name || `Campaign ${record.advertiser_id}`,
+    impressions: record.impressions_billed != null ? Number(record.impressions_billed).toLocaleString('en-US') : '—',
+    cpm: record.cpm_rate != null ? formatMoney(record.cpm_rate, currency) : '—',
+    clicks: record.clicks_billed != null ? Number(record.clicks_billed).toLocaleString('en-US') : '—',
+    charity: charities.get(record.week_start) || 'To be selected',
+    amount: formatMoney(recordGrossAmount(record), currency)
+  };
+}
+
+// Delivery charged before the promotion line (rows show it; the discount is a summary line under them)
+function recordGrossAmount(record) {
+  return (parseFloat(record.amount_billed) || 0) + (parseFloat(record.discount_amount) || 0);
+}
+
+function promotionSummaryLine(label, discount, currency) {
+  return { label, amount: formatMoney(-discount, currency) };
+}
+
+/**
+ * Invoice / receipt for one advertiser Stripe invoice.
+ * @param {object} db
+ * @param {object} invoice - Stripe invoice (caller checks it belongs to the advertiser)
+ */
+async function loadAdvertiserInvoiceDocument(db, invoice) {
+  const currency = invoice.currency || 'usd';
+  const result = await db.query(`${ADVERTISER_RECORDS_SQL} WHERE rec.stripe_invoice_id = $1 LIMIT 1`, [invoice.id]);
+  const record = result.rows[0] || null;
+  const charities = record ? await loadCharitiesByWeek(db, [record.week_start]) : new Map();
+
+  const total = (invoice.status === 'paid' ? invoice.amount_paid : invoice.amount_due) / 100;
+  const paidAt = invoice.status_transitions?.paid_at;
+  const statusLabel = {
+    paid: paidAt ? `Paid ${formatDate(new Date(paidAt * 1000))}` : 'Paid',
+    open: 'Payment due',
+    void: 'Void',
+    uncollectible: 'Uncollectible',
+    draft: 'Draft'
+  }[invoice.status] || invoice.status;
+
+  const discount = parseFloat(record?.discount_amount) || 0;
+  const notes = [];
+  if (invoice.description) notes.push(invoice.description);
+  if (invoice.footer) notes.push(invoice.footer);
+  if (record && record.reversed_amount > 0) {
+    notes.push(`${formatMoney(record.reversed_amount, currency)} of this payment was refunded or disputed.`);
+  }
+
+  return {
+    title: invoice.status === 'paid' ? 'Receipt' : 'Invoice',
+    number: invoice.number || invoice.id,
+    issuedAt: new Date(invoice.created * 1000),
+    status: statusLabel,
+    billTo: {
+      name: record?.company_name || invoice.customer_name || invoice.customer_email || 'Advertiser',
+      email: record?.email || invoice.customer_email || null,
+      lines: record ? billToDetailLines(record) : []
+    },
+    period: record ? `Donation week ${formatWeekRange(record.week_start)}` : null,
+    columns: record ? ADVERTISER_COLUMNS : STRIPE_LINE_COLUMNS,
+    rows: record
+      ? [advertiserRecordRow(record, charities, currency)]
+      : (invoice.lines?.data || []).map(line => ({
+          description: line.description || 'Charity Stream advertising',
+          amount: formatMoney(line.amount / 100, currency)
+        })),
+    summary: [
+      ...(discount > 0
+        ? [promotionSummaryLine(record.promotion_code ? `Promotion ${record.promotion_code}` : 'Promotional credit', discount, currency)]
+        : []),
+      ...(invoice.subtotal !== invoice.total
+        ? [
+            { label: 'Subtotal', amount: formatMoney(invoice.subtotal / 100, currency) },
+            { label: record?.tax_label || 'Tax', amount: formatMoney((invoice.total - invoice.subtotal) / 100, currency) }
+          ]
+        : record?.tax_label
+          ? [{ label: record.tax_label, amount: formatMoney(0, currency) }]
+          : [])
+    ],
+    total: formatMoney(total, currency),
+    notes,
+    filename: `charity-stream-${(invoice.number || invoice.id).toLowerCase()}.pdf`
+  };
+}
+
+/**
+ * Monthly statement of every billing record for the advertiser account (all of its campaigns).
+ * @param {object} db
+ * @param {{ advertiserEmail: string, month: string }} params - month as YYYY-MM
+ */
+async function loadAdvertiserStatementDocument(db, { advertiserEmail, month }) {
+  const period = parseStatementMonth(month);
+  if (!period) throw new Error('month must be YYYY-MM');
+
+  const result = await db.query(`
+    ${ADVERTISER_RECORDS_SQL}
+    WHERE LOWER(TRIM(a.email)) = LOWER(TRIM($1))
+      AND a.payment_completed = TRUE
+      AND rec.week_start >= $2 AND rec.week_start < $3
+    ORDER BY rec.week_start ASC, rec.advertiser_id ASC
+  `, [advertiserEmail, period.start, period.end]);
+  const charities = await loadCharitiesByWeek(db, result.rows.map(r => r.week_start));
+  const currency = result.rows[0]?.currency || 'usd'; // one currency per advertiser account
+
+  const subtotal = result.rows.reduce((sum, r) => sum + (parseFloat(r.amount_billed) || 0), 0);
+  const tax = result.rows.reduce((sum, r) => sum + (parseFloat(r.tax_amount) || 0), 0);
+  const discount = result.rows.reduce((sum, r) => sum + (parseFloat(r.discount_amount) || 0), 0);
+  const paid = result.rows.reduce((sum, r) => sum + (parseFloat(r.paid_amount) || 0) - (parseFloat(r.reversed_amount) || 0), 0);
+  const open = result.rows.filter(r => ledgerStatus(r.paid_amount, r.reversed_amount) === 'Open').length;
+
+  return {
+    title: 'Statement',
+    number: month,
+    issuedAt: new Date(),
+    status: period.label,
+    billTo: {
+      name: result.rows[0]?.company_name || advertiserEmail,
+      email: advertiserEmail,
+      lines: result.rows[0] ? billToDetailLines(result.rows[0]) : []
+    },
+    period: `Donation weeks starting ${formatDate(period.start)} – ${formatDate(new Date(Date.parse(period.end) - 86400000))}`,
+    columns: ADVERTISER_COLUMNS,
+    rows: result.rows.map(r => advertiserRecordRow(r, charities, r.currency)),
+    summary: [
+      ...(discount > 0 ? [promotionSummaryLine('Promotions', discount, currency)] : []),
+      ...(tax > 0
+        ? [
+            { label: 'Subtotal', amount: formatMoney(subtotal, currency) },
+            { label: 'Tax', amount: formatMoney(tax, currency) }
+          ]
+        : [])
+    ],
+    total: formatMoney(subtotal + tax, currency),
+    notes: [
+      `Paid to date (excluding tax): ${formatMoney(paid, currency)}${open ? ` · ${open} invoice(s) not yet paid` : ''}`,
+      ...(result.rows.length === 0 ? ['No billed weeks in this month.'] : [])
+    ],
+    filename: `charity-stream-statement-${month}.pdf`
+  };
+}
+
+// Tax lines above a sponsor document's total: subtotal and tax when any payment carried tax
+function sponsorTaxSummary(payments, subtotal, currency) {
+  const tax = payments.reduce((sum, p) => sum + (parseFloat(p.tax) || 0), 0);
+  if (tax <= 0) return { summary: [], tax: 0 };
+  return {
+    summary: [
+      { label: 'Subtotal', amount: formatMoney(subtotal, currency) },
+      { label: 'Tax', amount: formatMoney(tax, currency) }
+    ],
+    tax
+  };
+}
+
+// Sponsor payments (donation_ledger rows of the campaigns) with refunds netted per payment, in the currency
+// they were charged in. The ledger holds the net amount; the tax charged with it is on sponsor_donations
+const SPONSOR_PAYMENTS_SQL = `
+  SELECT dl.id, dl.source_id AS sponsor_campaign_id, dl.week_start::date::text AS week_start,
+         COALESCE(dl.original_amount, dl.amount) AS amount, dl.currency,
+         COALESCE((SELECT -SUM(COALESCE(r.original_amount, r.amount)) FROM donation_ledger r WHERE r.reverses_ledger_id = dl.id::text), 0) AS reversed,
+         COALESCE(sd.tax_cents, 0) / 100.0 AS tax,
+         sc.tier, sc.is_recurring, sa.organization_legal_name, sa.contact_email
+  FROM donation_ledger dl
+  JOIN sponsor_campaigns sc ON sc.id::text = dl.source_id
+  JOIN sponsor_accounts sa ON sa.id = sc.sponsor_account_id
+  LEFT JOIN sponsor_donations sd ON sd.id::text = dl.billing_record_id::text
+  WHERE dl.source_type = 'sponsor' AND dl.reverses_ledger_id IS NULL AND dl.amount > 0
+`;
+
+function sponsorPaymentRow(payment, charities) {
+  const tier = payment.tier ? `${payment.tier.charAt(0).toUpperCase()}${payment.tier.slice(1)} ` : '';
+  return {
+    week: formatWeekRange(payment.week_start),
+    description: `${tier}${payment.is_recurring ? 'recurring ' : ''}sponsorship`,
+    charity: charities.get(payment.week_start) || 'To be selected',
+    status: ledgerStatus(payment.amount, payment.reversed),
+    amount: formatMoney(payment.amount, payment.currency)
+  };
+}
+
+/**
+ * Receipt for one sponsor_billing row, listing every payment recorded for its campaign.
+ * @returns {Promise<object|null>} null when the row does not belong to the sponsor account
+ */
+async function loadSponsorBillingDocument(db, { sponsorAccountId, billingId }) {
+  const billing = await db.query(`
+    SELECT sb.id, sb.sponsor_campaign_id, sb.amount_cents, sb.currency, sb.status, sb.stripe_mode, sb.created_at,
+           sc.tier, sc.is_recurring, sc.start_week, sa.organization_legal_name, sa.contact_email,
+           sa.billing_line1, sa.billing_line2, sa.billing_city, sa.billing_state, sa.billing_postal_code,
+           sa.billing_country, sa.tax_id, sa.tax_id_type, sa.tax_id_validated_at
+    FROM sponsor_billing sb
+    JOIN sponsor_campaigns sc ON sc.id = sb.sponsor_campaign_id
+    JOIN sponsor_accounts sa ON sa.id = sc.sponsor_account_id
+    WHERE sb.id = $1 AND sc.sponsor_account_id = $2
+  `, [billingId, sponsorAccountId]);
+  if (billing.rows.length === 0) return null;
+  const row = billing.rows[0];
+  const currency = row.currency || 'usd';
+
+  const payments = await db.query(`${SPONSOR_PAYMENTS_SQL} AND dl.source_id = $1 ORDER BY dl.week_start ASC`, [String(row.sponsor_campaign_id)]);
+  const charities = await loadCharitiesByWeek(db, payments.rows.map(p => p.week_start));
+  const paidTotal = payments.rows.reduce((sum, p) => sum + (parseFloat(p.amount) || 0) - (parseFloat(p.reversed) || 0), 0);
+  const paidTax = sponsorTaxSummary(payments.rows, paidTotal, currency);
+
+  const status = String(row.status || '').toLowerCase();
+  return {
+    title: payments.rows.length ? 'Receipt' : 'Invoice',
+    number: `SPN-${row.id}`,
+    issuedAt: row.created_at ? new Date(row.created_at) : new Date(),
+    status: status === 'paid' ? 'Paid' : status === 'trialing' ? 'Scheduled' : status === 'failed' ? 'Payment failed' : status === 'canceled' ? 'Canceled' : status,
+    billTo: { name: row.organization_legal_name || 'Sponsor', email: row.contact_email, lines: billToDetailLines(row) },
+    period: row.is_recurring
+      ? `Recurring sponsorship of ${formatMoney((row.amount_cents || 0) / 100, currency)} per week from ${formatDate(row.start_week)}`
+      : `One-time sponsorship for the week of ${formatWeekRange(row.start_week)}`,
+    columns: SPONSOR_COLUMNS,
+    rows: payments.rows.length
+      ? payments.rows.map(p => sponsorPaymentRow(p, charities))
+      : [{
+          week: formatWeekRange(row.start_week),
+          description: `${row.tier ? `${row.tier} ` : ''}sponsorship`,
+          charity: 'To be selected',
+          status: 'Not charged',
+          amount: formatMoney((row.amount_cents || 0) / 100, currency)
+        }],
+    summary: paidTax.summary,
+    total: formatMoney(payments.rows.length ? paidTotal + paidTax.tax : (row.amount_cents || 0) / 100, currency),
+    notes: [],
+    filename: `charity-stream-sponsorship-${row.id}.pdf`
+  };
+}
+
+/**
+ * Monthly statement of the sponsor account's payments whose donation week starts in the month.
+ */
+async function loadSponsorStatementDocument(db, { sponsorAccountId, month }) {
+  const period = parseStatementMonth(month);
+  if (!period) throw new Error('month must be YYYY-MM');
+
+  const account = await db.query(
+    `SELECT organization_legal_name, contact_email, currency,
+            billing_line1, billing_line2, billing_city, billing_state, billing_postal_code, billing_country,
+            tax_id, tax_id_type, tax_id_validated_at
+     FROM sponsor_accounts WHERE id = $1`,
+    [sponsorAccountId]
+  );
+  const payments = await db.query(`
+    ${SPONSOR_PAYMENTS_SQL}
+      AND sc.sponsor_account_id = $1
+      AND dl.week_start >= $2::date AND dl.week_start < $3::date
+    ORDER BY dl.week_start ASC
+  `, [sponsorAccountId, period.start, period.end]);
+  const charities = await loadCharitiesByWeek(db, payments.rows.map(p => p.week_start));
+  const total = payments.rows.reduce((sum, p) => sum + (parseFloat(p.amount) || 0) - (parseFloat(p.reversed) || 0), 0);
+  const totalTax = sponsorTaxSummary(payments.rows, total, account.rows[0]?.currency);
+
+  return {
+    title: 'Statement',
+    number: month,
+    issuedAt: new Date(),
+    status: period.label,
+    billTo: {
+      name: account.rows[0]?.organization_legal_name || 'Sponsor',
+      email: account.rows[0]?.contact_email || null,
+      lines: billToDetailLines(account.rows[0])
+    },
+    period: `Donation weeks starting ${formatDate(period.start)} – ${formatDate(new Date(Date.parse(period.end) - 86400000))}`,
+    columns: SPONSOR_COLUMNS,
+    rows: payments.rows.map(p => sponsorPaymentRow(p, charities)),
+    summary: totalTax.summary,
+    total: formatMoney(total + totalTax.tax, account.rows[0]?.currency),
+    notes: payments.rows.length === 0 ? ['No sponsorship payments in this month.'] : [],
+    filename: `charity-stream-sponsor-statement-${month}.pdf`
+  };
+}
+
+/**
+ * Render a document model (from the loaders above, or lib/donationReceipts.js) as a letter-size PDF.
+ * model.billToLabel and model.footer override the "BILLED TO" heading and the donation line at the bottom;
+ * model.billTo.lines (address, tax ID) and model.summary ([{ label, amount }] above the total) are optional.
+ * @returns {Promise<Buffer>}
+ */
+function renderBillingPdf(model) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'LETTER', margin: 50, info: { Title: `Charity Stream ${model.title} ${model.number}` } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const left = doc.page.margins.left;
+    const right = doc.page.width - doc.page.margins.right;
+
+    // Header: wordmark left, document title / number right
+    doc.font('Helvetica-Bold').fontSize(20).fillColor(BRAND_GREEN).text('Charity', left, 50, { continued: true })
+      .fillColor(TEXT_DARK).text(' Stream');
+    doc.font('Helvetica').fontSize(9).fillColor(TEXT_MUTED).text('Stream ads. Fuel impact. Compete for good.', left, 74);
+    doc.font('Helvetica-Bold').fontSize(16).fillColor(TEXT_DARK).text(model.title, left, 50, { width: right - left, align: 'right' });
+    doc.font('Helvetica').fontSize(9).fillColor(TEXT_MUTED)
+      .text(`No. ${model.number}`, left, 70, { width: right - left, align: 'right' })
+      .text(`Issued ${formatDate(model.issuedAt)}`, { width: right - left, align: 'right' })
+      .text(model.status || '', { width: right - left, align: 'right' });
+
+    doc.moveTo(left, 110).lineTo(right, 110).strokeColor(RULE).stroke();
+
+    doc.font('Helvetica-Bold').fontSize(9).fillColor(TEXT_MUTED).text(model.billToLabel || 'BILLED TO', left, 124);
+    doc.font('Helvetica').fontSize(11).fillColor(TEXT_DARK).text(model.billTo.name, left, 138);
+    if (model.billTo.email) doc.fontSize(9).fillColor(TEXT_MUTED).text(model.billTo.email);
+    (model.billTo.lines || []).forEach(line => doc.fontSize(9).fillColor(TEXT_MUTED).text(line));
+    if (model.period) doc.moveDown(0.6).fontSize(9).fillColor(TEXT_DARK).text(model.period, left);
+
+    // Line items
+    let y = Math.max(doc.y + 20, 200);
+    const drawHeader = () => {
+      let x = left;
+      doc.font('Helvetica-Bold').fontSize(8).fillColor(TEXT_MUTED);
+      model.columns.forEach(col => {
+        doc.text(col.header.toUpperCase(), x, y, { width: col.width - 6, align: col.align || 'left' });
+        x += col.width;
+      });
+      y += 14;
+      doc.moveTo(left, y).lineTo(right, y).strokeColor(RULE).stroke();
+      y += 6;
+    };
+    drawHeader();
+
+    doc.font('Helvetica').fontSize(9).fillColor(TEXT_DARK);
+    model.rows.forEach(row => {
+      const height = Math.max(...model.columns.map(col =>
+        doc.heightOfString(String(row[col.key] ?? ''), { width: col.width - 6 })
+      ));
+      if (y + height > doc.page.height - doc.page.margins.bottom - 60) {
+        doc.addPage();
+        y = doc.page.margins.top;
+        drawHeader();
+        doc.font('Helvetica').fontSize(9).fillColor(TEXT_DARK);
+      }
+      let x = left;
+      model.columns.forEach(col => {
+        doc.text(String(row[col.key] ?? ''), x, y, { width: col.width - 6, align: col.align || 'left' });
+        x += col.width;
+      });
+      y += height + 8;
+    });
+
+    doc.moveTo(left, y).lineTo(right, y).strokeColor(RULE).stroke();
+    y += 10;
+    (model.summary || []).forEach(line => {
+      doc.font('Helvetica').fontSize(9).fillColor(TEXT_DARK)
+        .text(line.label, left, y, { width: right - left - 86, align: 'right' })
+        .text(line.amount, right - 80, y, { width: 74, align: 'right' });
+      y += 14;
+    });
+    doc.font('Helvetica-Bold').fontSize(11).fillColor(TEXT_DARK)
+      .text('Total', left, y, { width: right - left - 86, align: 'right' })
+      .text(model.total, right - 80, y, { width: 74, align: 'right' });
+
+    doc.font('Helvetica').fontSize(9).fillColor(TEXT_MUTED);
+    doc.y = y + 28;
+    model.notes.forEach(note => doc.text(note, left, doc.y, { width: right - left }).moveDown(0.3));
+    doc.moveDown(1).text(
+      model.footer || 'Each week, 100% of net ad revenue is pooled and donated to that week\'s winning charity.',
+      left, doc.y, { width: right - left }
+    );
+
+    doc.end();
+  });
+}
+
+/**
+ * Receipt PDF for a sponsor campaign's billing row, as an email attachment ({ filename, content }).
+ * @returns {Promise<{ filename: string, content: Buffer }|null>} null when the campaign has no billing row
+ */
+async function buildSponsorCampaignPdf(db, sponsorCampaignId) {
+  const billing = await db.query(`
+    SELECT sb.id, sc.sponsor_account_id
+    FROM sponsor_billing sb
+    JOIN sponsor_campaigns sc ON sc.id = sb.sponsor_campaign_id
+    WHERE sb.sponsor_campaign_id = $1
+    ORDER BY sb.id DESC
+    LIMIT 1
+  `, [sponsorCampaignId]);
+  if (billing.rows.length === 0) return null;
+  const model = await loadSponsorBillingDocument(db, {
+    sponsorAccountId: billing.rows[0].sponsor_account_id,
+    billingId: billing.rows[0].id
+  });
+  return model ? { filename: model.filename, content: await renderBillingPdf(model) } : null;
+}
+
+module.exports = {
+  formatMoney,
+  formatDate,
+  formatWeekRange,
+  parseStatementMonth,
+  loadAdvertiserInvoiceDocument,
+  loadAdvertiserStatementDocument,
+  loadSponsorBillingDocument,
+  loadSponsorStatementDocument,
+  renderBillingPdf,
+  buildSponsorCampaignPdf
+};
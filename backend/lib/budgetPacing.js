@@ -0,0 +1,113 @@
+/**
+ * Budget pacing controller.
+ *
+ * Spreads each campaign's weekly goal evenly across its delivery window instead of serving flat out
+ * until `capped` flips. The goal is weekly_budget_cap in the campaign currency (impressions at cpm_rate
+ * plus the currency's click price when click tracking is on), or max_weekly_impressions when there is
+ * no budget cap. The target delivery curve is linear over the window:
+ *   - recurring: current_week_start + 7 days (the same window /api/impressions/record resets on)
+ *   - non-recurring: campaign_start_date + 7 days, measured against lifetime totals
+ *
+ * Delivery is read from the live counters /api/impressions/record and /api/track-click maintain
+ * (current_week_impressions / weekly_clicks, or total_impressions / total_clicks for non-recurring).
+ * The resulting weight (target ÷ delivered, clamped) feeds the budget_paced playlist scheduler and the
+ * popup-ads rotation; the rest of the result is shown on the advertiser dashboard.
+ */
+
+const { priceList } = require('./currency');
+
+const PACING_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+
+const PACING_LIMITS = {
+  // Floor so a campaign far ahead of pace is throttled, not removed outright
+  minWeight: 0.1,
+  // Ceiling so a campaign far behind cannot take over the rotation
+  maxWeight: 3,
+  // |delivered − target| / target within this is reported as on pace
+  onPaceTolerance: 0.1,
+  // Target never drops below one hour of delivery, so the first minutes of a window are not noisy
+  minElapsedFraction: 1 / 168
+};
+
+function getPacingWindow(ad) {
+  const isRecurring = ad.recurring_weekly !== false;
+  const startValue = isRecurring ? ad.current_week_start : (ad.campaign_start_date || ad.current_week_start);
+  if (!startValue) return null;
+  const start = new Date(startValue);
+  if (Number.isNaN(start.getTime())) return null;
+  return { start, end: new Date(start.getTime() + PACING_WINDOW_MS) };
+}
+
+function getPacingDelivery(ad) {
+  const isRecurring = ad.recurring_weekly !== false;
+  const impressions = parseInt(isRecurring ? ad.current_week_impressions : ad.total_impressions, 10) || 0;
+  const clicks = ad.click_tracking === true
+    ? (parseInt(isRecurring ? ad.weekly_clicks : ad.total_clicks, 10) || 0)
+    : 0;
+  const budgetCap = parseFloat(ad.weekly_budget_cap) || 0;
+
+  if (budgetCap > 0) {
+    const cpmRate = parseFloat(ad.cpm_rate) || 0;
+    const clickPrice = priceList(ad.currency).click / 100;
+    return { unit: 'dollars', goal: budgetCap, delivered: (impressions / 1000) * cpmRate + clicks * clickPrice };
+  }
+  if (ad.max_weekly_impressions !== null && ad.max_weekly_impressions !== undefined) {
+    return { unit: 'impressions', goal: parseInt(ad.max_weekly_impressions, 10) || 0, delivered: impressions };
+  }
+  return null;
+}
+
+/**
+ * Pacing state for one advertiser campaign row.
+ * @param {object} ad - advertisers row (needs recurring_weekly, current_week_start, campaign_start_date,
+ *   weekly_budget_cap, cpm_rate, currency, max_weekly_impressions, click_tracking and the impression/click counters)
+ * @param {Date} [now]
+ * @returns {null | { unit: 'dollars'|'impressions', goal: number, delivered: number, target: number,
+ *   elapsedFraction: number, paceRatio: number|null, status: 'ahead'|'on_pace'|'behind', weight: number }}
+ *   null when the campaign has no goal to pace against (uncapped) or no window yet
+ */
+function computeCampaignPacing(ad, now = new Date()) {
+  const delivery = getPacingDelivery(ad);
+  const window = getPacingWindow(ad);
+  if (!delivery || delivery.goal <= 0 || !window) return null;
+
+  const elapsedFraction = Math.min(1, Math.max(0,
+    (now.getTime() - window.start.getTime()) / (window.end.getTime() - window.start.getTime())
+  ));
+  const target = delivery.goal * Math.max(elapsedFraction, PACING_LIMITS.minElapsedFraction);
+  const paceRatio = delivery.delivered / target;
+
+  let weight = delivery.delivered > 0 ? target / delivery.delivered : PACING_LIMITS.maxWeight;
+  weight = Math.min(PACING_LIMITS.maxWeight, Math.max(PACING_LIMITS.minWeight, weight));
+
+  let status = 'on_pace';
+  if (paceRatio - 1 > PACING_LIMITS.onPaceTolerance) status = 'ahead';
+  else if (1 - paceRatio > PACING_LIMITS.onPaceTolerance) status = 'behind';
+
+  return {
+    unit: delivery.unit,
+    goal: delivery.goal,
+    delivered: delivery.delivered,
+    target,
+    elapsedFraction,
+    paceRatio,
+    status,
+    weight
+  };
+}
+
+/**
+ * Pacing weights keyed by advertiser id. Campaigns without a goal (uncapped) get weight 1.
+ * @param {Iterable<object>} ads - advertisers rows
+ * @returns {{ [advertiserId: number]: number }}
+ */
+function getPacingWeights(ads, now = new Date()) {
+  const weights = {};
+  for (const ad of ads) {
+    const pacing = computeCampaignPacing(ad, now);
+    weights[ad.id] = pacing ? pacing.weight : 1;
+  }
+  return weights;
+}
+
+module.exports = { computeCampaignPacing, getPacingWeights, PACING_LIMITS };
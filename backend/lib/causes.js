@@ -0,0 +1,189 @@
+const { WEEK_RECIPIENTS_SQL } = require('./charityRecipients');
+
+/**
+ * Cause categories and directed giving.
+ *
+ * Every charity application has a cause category (charity_applications.cause_category). Advertiser campaigns
+ * (advertisers) and sponsor campaigns (sponsor_campaigns) can choose one as well; their money then only goes
+ * to a charity in that category. Each donation_ledger row written for a campaign snapshots the campaign's
+ * cause at that moment (ledgerCauseSql), so changing the preference later never moves money already pooled.
+ *
+ * finalize-weekly-donations splits weekly_donation_pool into directed money (ledger rows with a cause) and
+ * undirected money. Undirected money follows the normal winner; each cause's directed money goes to the
+ * week's cause recipient (loadCauseRecipient): the first of the week's winning charities in that category, or
+ * else the charity in that category in the week's charity_week_pool with the most viewer votes. A cause with
+ * no charity that week is carried over to the next finalization rather than given to another cause.
+ *
+ * Tables: charity_applications, advertisers, sponsor_campaigns, donation_ledger, weekly_cause_allocations
+ * (migrations/022_cause_categories.sql), charity_week_pool, charity_votes.
+ */
+
+const CAUSE_CATEGORIES = {
+  education: 'Education',
+  environment: 'Environment',
+  health: 'Health',
+  animals: 'Animal welfare',
+  hunger_poverty: 'Hunger & poverty',
+  human_rights: 'Human rights',
+  disaster_relief: 'Disaster relief',
+  arts_culture: 'Arts & culture',
+  community: 'Community development'
+};
+
+function causeLabel(cause) {
+  return CAUSE_CATEGORIES[cause] || null;
+}
+
+/**
+ * Parse a cause as sent by a form. Empty means no preference (campaigns) / not given (charities).
+ * @returns {{ ok: true, cause: string|null } | { ok: false, error: string }}
+ */
+function normalizeCause(value) {
+  const cause = String(value === undefined || value === null ? '' : value).trim().toLowerCase();
+  if (cause === '' || cause === 'any' || cause === 'none') return { ok: true, cause: null };
+  if (!Object.prototype.hasOwnProperty.call(CAUSE_CATEGORIES, cause)) {
+    return { ok: false, error: `Cause must be one of: ${Object.keys(CAUSE_CATEGORIES).join(', ')}` };
+  }
+  return { ok: true, cause };
+}
+
+// [{ value, label }] for cause pickers
+function causeOptions() {
+  return Object.entries(CAUSE_CATEGORIES).map(([value, label]) => ({ value, label }));
+}
+
+/**
+ * SQL expression for donation_ledger.cause_category: the cause of the campaign the row comes from.
+ * @param {'advertiser'|'sponsor'} sourceType
+ * @param {string} [sourceIdParam] - placeholder holding the row's source_id
+ */
+function ledgerCauseSql(sourceType, sourceIdParam = '$1') {
+  const table = sourceType === 'sponsor' ? 'sponsor_campaigns' : 'advertisers';
+  return `(SELECT cause_category FROM ${table} WHERE id::text = ${sourceIdParam}::text)`;
+}
+
+/**
+ * The charity a cause's directed money goes to for a week, or null when no charity in that category won or
+ * entered that week.
+ * @returns {Promise<{ charity_application_id: string, charity_name: string } | null>}
+ */
+async function loadCauseRecipient(db, weekStart, cause) {
+  const winner = await db.query(`
+    SELECT wr.charity_application_id, ca.charity_name
+    FROM (${WEEK_RECIPIENTS_SQL}) wr
+    JOIN charity_applications ca ON ca.id = wr.charity_application_id
+    WHERE wr.week_start = $1::date AND ca.cause_category = $2
+    ORDER BY wr.position
+    LIMIT 1
+  `, [weekStart, cause]);
+  if (winner.rows.length > 0) return winner.rows[0];
+
+  // Closed rounds have their vote weights snapshotted; open ones count each vote once
+  const entered = await db.query(`
+    SELECT ca.id AS charity_application_id, ca.charity_name
+    FROM charity_week_pool cwp
+    JOIN charity_applications ca ON ca.id = cwp.charity_application_id
+    LEFT JOIN charity_votes cv ON cv.week_start = cwp.week_start AND cv.charity_application_id = ca.id
+    WHERE cwp.week_start = $1::date AND ca.status = 'approved' AND ca.cause_category = $2
+    GROUP BY ca.id, ca.charity_name, ca.created_at
+    ORDER BY COALESCE(SUM(COALESCE(cv.weight, 1)), 0) DESC, ca.created_at ASC
+    LIMIT 1
+  `, [weekStart, cause]);
+  return entered.rows[0] || null;
+}
+
+function toCents(value) {
+  return Math.round((parseFloat(value) || 0) * 100);
+}
+
+/**
+ * Split the money being finalized into each cause's directed part and the undirected rest, to the cent.
+ * Directed money never exceeds what the weeks pooled by source (refunds can leave a cause negative, which
+ * counts as nothing directed). Carried-over causes are added on top; they were pooled in earlier weeks.
+ * @param {{ sponsorTotal: number, advertiserTotal: number }} totals - sums of the unfinalized weekly_donation_pool rows
+ * @param {Array<{ cause_category: string, sponsor_amount: any, advertiser_amount: any }>} directed - ledger sums per cause
+ * @param {Array<{ cause_category: string, sponsor_amount: any, advertiser_amount: any }>} carried - open carried-over causes
+ * @returns {{ causes: Array<{ cause: string, sponsorAmount: number, advertiserAmount: number, carriedInAmount: number,
+ *   amount: number }>, undirectedSponsor: number, undirectedAdvertiser: number }}
+ */
+function splitDirectedPool({ sponsorTotal, advertiserTotal }, directed, carried) {
+  let sponsorLeft = Math.max(0, toCents(sponsorTotal));
+  let advertiserLeft = Math.max(0, toCents(advertiserTotal));
+  const byCause = new Map();
+  const partFor = cause => {
+    if (!byCause.has(cause)) byCause.set(cause, { cause, sponsorCents: 0, advertiserCents: 0, carriedInCents: 0 });
+    return byCause.get(cause);
+  };
+
+  for (const row of [...directed].sort((a, b) => a.cause_category.localeCompare(b.cause_category))) {
+    const part = partFor(row.cause_category);
+    const sponsorCents = Math.min(Math.max(0, toCents(row.sponsor_amount)), sponsorLeft);
+    const advertiserCents = Math.min(Math.max(0, toCents(row.advertiser_amount)), advertiserLeft);
+    part.sponsorCents += sponsorCents;
+    part.advertiserCents += advertiserCents;
+    sponsorLeft -= sponsorCents;
+    advertiserLeft -= advertiserCents;
+  }
+  for (const row of carried) {
+    const part = partFor(row.cause_category);
+    const sponsorCents = toCents(row.sponsor_amount);
+    const advertiserCents = toCents(row.advertiser_amount);
+    part.sponsorCents += sponsorCents;
+    part.advertiserCents += advertiserCents;
+    part.carriedInCents += sponsorCents + advertiserCents;
+  }
+
+  return {
+    causes: [...byCause.values()]
+      .filter(part => part.sponsorCents + part.advertiserCents > 0)
+      .map(part => ({
+        cause: part.cause,
+        sponsorAmount: part.sponsorCents / 100,
+        advertiserAmount: part.advertiserCents / 100,
+        carriedInAmount: part.carriedInCents / 100,
+        amount: (part.sponsorCents + part.advertiserCents) / 100
+      })),
+    undirectedSponsor: sponsorLeft / 100,
+    undirectedAdvertiser: advertiserLeft / 100
+  };
+}
+
+/**
+ * Add each cause's directed money to the charity it goes to: onto that charity's part when it is also one of
+ * the week's winners, otherwise as an extra recipient with share_type 'cause'.
+ * @param {Array<object>} recipients - splitAllocation result of the undirected money
+ * @param {Array<{ charityApplicationId: string, amount: number }>} causeAllocations - causes with a charity
+ * @returns {Array<object>} recipients with amount (total) and directed_amount
+ */
+function addDirectedAllocations(recipients, causeAllocations) {
+  const merged = recipients.map(r => ({ ...r, directed_amount: 0 }));
+  for (const part of causeAllocations) {
+    let recipient = merged.find(r => r.charity_application_id === part.charityApplicationId);
+    if (!recipient) {
+      recipient = {
+        charity_application_id: part.charityApplicationId,
+        position: merged.length + 1,
+        share_type: 'cause',
+        share_percent: null,
+        fixed_amount: null,
+        amount: 0,
+        directed_amount: 0
+      };
+      merged.push(recipient);
+    }
+    recipient.amount = (toCents(recipient.amount) + toCents(part.amount)) / 100;
+    recipient.directed_amount = (toCents(recipient.directed_amount) + toCents(part.amount)) / 100;
+  }
+  return merged;
+}
+
+module.exports = {
+  CAUSE_CATEGORIES,
+  causeLabel,
+  normalizeCause,
+  causeOptions,
+  ledgerCauseSql,
+  loadCauseRecipient,
+  splitDirectedPool,
+  addDirectedAllocations
+};
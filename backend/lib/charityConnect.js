@@ -0,0 +1,175 @@
+const jwt = require('jsonwebtoken');
+
+const { postCharityTransfer } = require('./journal');
+
+/**
+ * Stripe Connect onboarding and transfer state for charity payouts.
+ *
+ * Each approved charity gets a signed onboarding link (emailed on approval, or re-issued from admin-cs).
+ * Opening it creates the charity's Express account on first use and redirects to a fresh Stripe-hosted
+ * Account Link; account.updated webhooks (and the return redirect) keep charity_applications in sync.
+ * scripts/process-charity-payouts.js only transfers to accounts whose transfers capability is active.
+ *
+ * Transfers carry metadata.transfer_intent_id; syncTransferIntent applies transfer.* webhooks (and the
+ * payout job's own results) to the matching transfer_intents row and journals the transfer and its
+ * reversals against charity_payable (lib/journal.js).
+ *
+ * Tables: charity_applications (stripe_connect_account_id, connect_details_submitted,
+ * connect_transfers_enabled, connect_updated_at), transfer_intents.
+ */
+
+const ONBOARDING_TOKEN_TYPE = 'charity_connect';
+const ONBOARDING_TOKEN_TTL = '30d';
+
+function jwtSecret() {
+  return process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production';
+}
+
+function siteBaseUrl() {
+  return (process.env.SITE_BASE_URL || 'https://stream.charity').replace(/\/$/, '');
+}
+
+function createOnboardingToken(charityApplicationId) {
+  return jwt.sign(
+    { jwt_type: ONBOARDING_TOKEN_TYPE, charityApplicationId },
+    jwtSecret(),
+    { expiresIn: ONBOARDING_TOKEN_TTL }
+  );
+}
+
+// charityApplicationId from an onboarding token, or null if invalid / expired
+function verifyOnboardingToken(token) {
+  try {
+    const payload = jwt.verify(token, jwtSecret());
+    return payload.jwt_type === ONBOARDING_TOKEN_TYPE ? payload.charityApplicationId : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+// Link sent to the charity; stays valid for ONBOARDING_TOKEN_TTL and can be reopened to resume onboarding
+function onboardingUrlFor(charityApplicationId) {
+  return `${siteBaseUrl()}/api/charity/connect/onboard?token=${encodeURIComponent(createOnboardingToken(charityApplicationId))}`;
+}
+
+/**
+ * The charity's Connect account id, creating the Express account on first use.
+ * @param {object} db - pool or client
+ * @param {object} stripe
+ * @param {{ id: string, charity_name: string, contact_email: string, stripe_connect_account_id?: string|null }} charity
+ * @returns {Promise<string>}
+ */
+async function ensureConnectAccount(db, stripe, charity) {
+  if (charity.stripe_connect_account_id) {
+    return charity.stripe_connect_account_id;
+  }
+
+  const account = await stripe.accounts.create({
+    type: 'express',
+    country: 'US',
+    email: charity.contact_email || undefined,
+    business_type: 'non_profit',
+    business_profile: { name: charity.charity_name || undefined },
+    capabilities: { transfers: { requested: true } },
+    metadata: { charity_application_id: String(charity.id) }
+  }, {
+    idempotencyKey: `charity_connect_account_${charity.id}`
+  });
+
+  // Another request may have created the account first; keep whichever id was stored
+  const result = await db.query(`
+    UPDATE charity_applications
+    SET stripe_connect_account_id = COALESCE(stripe_connect_account_id, $2), connect_updated_at = NOW()
+    WHERE id = $1
+    RETURNING stripe_connect_account_id
+  `, [charity.id, account.id]);
+
+  console.log(`🏦 [CONNECT] Created Express account ${account.id} for charity ${charity.id}`);
+  return result.rows[0].stripe_connect_account_id;
+}
+
+// Stripe-hosted onboarding page for the account (Account Links expire after a few minutes, so one per click)
+async function createOnboardingLink(stripe, accountId, charityApplicationId) {
+  const onboardUrl = onboardingUrlFor(charityApplicationId);
+  const accountLink = await stripe.accountLinks.create({
+    account: accountId,
+    type: 'account_onboarding',
+    refresh_url: onboardUrl,
+    return_url: `${onboardUrl}&return=1`
+  });
+  return accountLink.url;
+}
+
+/**
+ * Copy onboarding / capability state from a Stripe account onto its charity (account.updated webhook,
+ * onboarding return redirect).
+ * @returns {Promise<boolean>} whether a charity row matched
+ */
+async function syncConnectAccount(db, account) {
+  const result = await db.query(`
+    UPDATE charity_applications
+    SET connect_details_submitted = $2,
+        connect_transfers_enabled = $3,
+        connect_updated_at = NOW()
+    WHERE stripe_connect_account_id = $1
+  `, [
+    account.id,
+    account.details_submitted === true,
+    account.capabilities?.transfers === 'active'
+  ]);
+  if (result.rowCount > 0) {
+    console.log(`🏦 [CONNECT] ${account.id}: details_submitted=${account.details_submitted === true}, transfers=${account.capabilities?.transfers || 'inactive'}`);
+  }
+  return result.rowCount > 0;
+}
+
+/**
+ * Record a Stripe Transfer on its transfer intent: transferred, or reversed once Stripe reports the
+ * transfer fully reversed. Rows marked 'manual' are left alone.
+ * @returns {Promise<boolean>} whether a transfer intent matched
+ */
+async function syncTransferIntent(db, transfer) {
+  const intentId = transfer.metadata?.transfer_intent_id;
+  if (!intentId) {
+    return false;
+  }
+  const fullyReversed = transfer.reversed === true;
+  const result = await db.query(`
+    UPDATE transfer_intents
+    SET stripe_transfer_id = COALESCE(stripe_transfer_id, $2),
+        status = CASE WHEN $3 THEN 'reversed' ELSE 'transferred' END,
+        amount_reversed = $4,
+        transferred_at = COALESCE(transferred_at, TO_TIMESTAMP($5)),
+        last_error = NULL,
+        updated_at = NOW()
+    WHERE id::text = $1
+      AND status <> 'manual'
+    RETURNING id, week_start::text AS week_start
+  `, [
+    String(intentId),
+    transfer.id,
+    fullyReversed,
+    (transfer.amount_reversed || 0) / 100,
+    transfer.created || Math.floor(Date.now() / 1000)
+  ]);
+  if (result.rowCount === 0) {
+    return false;
+  }
+  console.log(`💸 [PAYOUTS] Transfer intent ${intentId} ← ${transfer.id} (${fullyReversed ? 'reversed' : 'transferred'})`);
+  await postCharityTransfer(db, {
+    transfer,
+    transferIntentId: result.rows[0].id,
+    weekStart: result.rows[0].week_start
+  });
+  return true;
+}
+
+module.exports = {
+  createOnboardingToken,
+  verifyOnboardingToken,
+  onboardingUrlFor,
+  ensureConnectAccount,
+  createOnboardingLink,
+  syncConnectAccount,
+  syncTransferIntent
+};
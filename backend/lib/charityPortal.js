@@ -0,0 +1,367 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+
+const { WEEK_RECIPIENTS_SQL, describeShare } = require('./charityRecipients');
+const { onboardingUrlFor } = require('./charityConnect');
+
+/**
+ * Charity self-service portal (public/charity-login.html, public/charity-portal.html).
+ *
+ * A charity enters the weekly pool with a new charity_applications row each time, so the portal account
+ * (charity_accounts) is keyed by contact email and linked to every application approved for that email
+ * (ensureCharityAccount, called by scripts/process-charity-approvals.js). The approval email carries a
+ * password_setup link; password_reset links come from the login page. Tokens work like
+ * sponsor_account_tokens: bcrypt-hashed, 24 hours, one use per purpose.
+ *
+ * Signed-in charities edit their website, mission and logo, see the weeks they entered or received money,
+ * follow each payout's transfer_intents row, and upload proof-of-use reports that the impact page lists
+ * (loadPublishedReports).
+ *
+ * Tables: charity_accounts, charity_account_tokens, charity_impact_reports, charity_applications.charity_account_id
+ * (migrations/023_charity_portal.sql), charity_week_pool, weekly_charity_allocation_recipients, transfer_intents.
+ */
+
+const TOKEN_TTL_HOURS = 24;
+const MAX_MISSION_LENGTH = 1000;
+const MAX_REPORT_TITLE_LENGTH = 120;
+const MAX_REPORT_BODY_LENGTH = 5000;
+const LOGO_CONTENT_TYPES = ['image/png', 'image/jpeg'];
+const REPORT_FILE_CONTENT_TYPES = ['image/png', 'image/jpeg', 'application/pdf'];
+
+// How each transfer_intents status reads to the charity (hold reasons and errors stay internal)
+const PAYOUT_STATUS_LABELS = {
+  pending: 'Scheduled',
+  processing: 'Sending',
+  transferred: 'Paid',
+  reversed: 'Reversed',
+  failed: 'Delayed',
+  held: 'On hold',
+  manual: 'Paid directly'
+};
+
+function siteBaseUrl() {
+  return (process.env.SITE_BASE_URL || 'https://stream.charity').replace(/\/$/, '');
+}
+
+// Login page; with a token it opens on the create / reset password form
+function portalUrl(rawToken = null) {
+  const base = `${siteBaseUrl()}/charity-login.html`;
+  return rawToken ? `${base}?token=${encodeURIComponent(rawToken)}` : base;
+}
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+/**
+ * The portal account for an approved application's contact email, created on first approval, with the
+ * application linked to it.
+ * @param {object} db - pool or client
+ * @param {{ id: string, charity_name: string, federal_ein?: string|null, contact_email: string }} application
+ * @returns {Promise<{ id: number, hasPassword: boolean }>}
+ */
+async function ensureCharityAccount(db, application) {
+  const result = await db.query(`
+    INSERT INTO charity_accounts (contact_email, charity_name, federal_ein)
+    VALUES ($1, $2, $3)
+    ON CONFLICT (contact_email) DO UPDATE
+      SET charity_name = EXCLUDED.charity_name,
+          federal_ein = COALESCE(EXCLUDED.federal_ein, charity_accounts.federal_ein),
+          updated_at = NOW()
+    RETURNING id, password_hash
+  `, [normalizeEmail(application.contact_email), application.charity_name, application.federal_ein || null]);
+  const account = result.rows[0];
+  await db.query(
+    `UPDATE charity_applications SET charity_account_id = $1 WHERE id = $2`,
+    [account.id, application.id]
+  );
+  return { id: account.id, hasPassword: Boolean(account.password_hash) };
+}
+
+/**
+ * @param {'password_setup'|'password_reset'} purpose
+ * @returns {Promise<string>} the raw token for the emailed link
+ */
+async function createCharityPasswordToken(db, charityAccountId, purpose) {
+  if (purpose !== 'password_setup' && purpose !== 'password_reset') {
+    throw new Error('purpose must be "password_setup" or "password_reset"');
+  }
+  const rawToken = crypto.randomBytes(32).toString('hex');
+  const tokenHash = await bcrypt.hash(rawToken, 10);
+  const result = await db.query(`
+    INSERT INTO charity_account_tokens (charity_account_id, purpose, token_hash, expires_at)
+    VALUES ($1, $2, $3, NOW() + ($4 || ' hours')::interval)
+    RETURNING id
+  `, [charityAccountId, purpose, tokenHash, String(TOKEN_TTL_HOURS)]);
+  console.log(`✅ [CHARITY-TOKEN] Created ${purpose} token for charity_account_id: ${charityAccountId}, token_id: ${result.rows[0].id}`);
+  return rawToken;
+}
+
+/**
+ * The open token matching a raw token from a link, with its account. A password_setup token for an account
+ * that already has a password comes back with alreadySetUp: true.
+ * @returns {Promise<null | { tokenId: number, charityAccountId: number, purpose: string, email: string,
+ *   charityName: string, alreadySetUp: boolean }>}
+ */
+async function findCharityPasswordToken(db, rawToken) {
+  if (!rawToken) return null;
+  const result = await db.query(`
+    SELECT cat.id, cat.charity_account_id, cat.purpose, cat.token_hash,
+           acc.contact_email, acc.charity_name, acc.password_hash
+    FROM charity_account_tokens cat
+    JOIN charity_accounts acc ON acc.id = cat.charity_account_id
+    WHERE cat.used_at IS NULL AND cat.expires_at > NOW()
+  `);
+  for (const row of result.rows) {
+    if (await bcrypt.compare(String(rawToken), row.token_hash)) {
+      return {
+        tokenId: row.id,
+        charityAccountId: row.charity_account_id,
+        purpose: row.purpose,
+        email: row.contact_email,
+        charityName: row.charity_name,
+        alreadySetUp: row.purpose === 'password_setup' && Boolean(row.password_hash)
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Set the password for a token from findCharityPasswordToken and use up every open token of its purpose.
+ * @returns {Promise<{ ok: true } | { ok: false, error: string }>}
+ */
+async function setCharityPassword(db, token, password) {
+  if (typeof password !== 'string' || password.length < 8) {
+    return { ok: false, error: 'Password must be at least 8 characters' };
+  }
+  if (token.alreadySetUp) return { ok: false, error: 'Account already set up. Please sign in.' };
+  const passwordHash = await bcrypt.hash(password, 10);
+  await db.query(
+    `UPDATE charity_accounts SET password_hash = $1, updated_at = NOW() WHERE id = $2`,
+    [passwordHash, token.charityAccountId]
+  );
+  await db.query(`
+    UPDATE charity_account_tokens
+    SET used_at = NOW()
+    WHERE charity_account_id = $1 AND purpose = $2 AND used_at IS NULL
+  `, [token.charityAccountId, token.purpose]);
+  return { ok: true };
+}
+
+/**
+ * Validate a profile edit. Empty values clear the field.
+ * @returns {{ ok: true, websiteUrl: string|null, missionText: string|null } | { ok: false, error: string }}
+ */
+function validateCharityProfile({ websiteUrl, missionText }) {
+  const website = String(websiteUrl || '').trim();
+  if (website !== '') {
+    if (website.length > 300 || !/^https?:\/\/[^\s/$.?#].[^\s]*$/i.test(website)) {
+      return { ok: false, error: 'Website must be a full http(s) URL' };
+    }
+  }
+  const mission = String(missionText || '').trim();
+  if (mission.length > MAX_MISSION_LENGTH) {
+    return { ok: false, error: `Mission must be ${MAX_MISSION_LENGTH} characters or fewer` };
+  }
+  return { ok: true, websiteUrl: website || null, missionText: mission || null };
+}
+
+/**
+ * Validate a proof-of-use report. A report about a week must be for a week the charity received money.
+ * @returns {Promise<{ ok: true, title: string, body: string, weekStart: string|null } | { ok: false, error: string }>}
+ */
+async function validateImpactReport(db, charityAccountId, { title, body, weekStart }) {
+  const cleanTitle = String(title || '').trim();
+  const cleanBody = String(body || '').trim();
+  if (!cleanTitle) return { ok: false, error: 'Title is required' };
+  if (cleanTitle.length > MAX_REPORT_TITLE_LENGTH) {
+    return { ok: false, error: `Title must be ${MAX_REPORT_TITLE_LENGTH} characters or fewer` };
+  }
+  if (!cleanBody) return { ok: false, error: 'Tell viewers how the donation was used' };
+  if (cleanBody.length > MAX_REPORT_BODY_LENGTH) {
+    return { ok: false, error: `Report must be ${MAX_REPORT_BODY_LENGTH} characters or fewer` };
+  }
+
+  const week = String(weekStart || '').trim();
+  if (week === '') return { ok: true, title: cleanTitle, body: cleanBody, weekStart: null };
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(week)) return { ok: false, error: 'Week must be a date (YYYY-MM-DD)' };
+  const received = await db.query(`
+    SELECT 1
+    FROM weekly_charity_allocation_recipients wcar
+    JOIN charity_applications ca ON ca.id = wcar.charity_application_id
+    WHERE ca.charity_account_id = $1 AND wcar.week_start = $2::date
+    LIMIT 1
+  `, [charityAccountId, week]);
+  if (received.rows.length === 0) return { ok: false, error: 'You can only report on a week your charity received a donation' };
+  return { ok: true, title: cleanTitle, body: cleanBody, weekStart: week };
+}
+
+function toAmount(value) {
+  return value === null || value === undefined ? null : parseFloat(value);
+}
+
+function isoDate(value) {
+  if (!value) return null;
+  return value instanceof Date ? value.toISOString().slice(0, 10) : String(value).slice(0, 10);
+}
+
+/**
+ * Everything the portal page shows for an account.
+ * @returns {Promise<null | { profile: object, weeks: Array<object>, payouts: Array<object>, reports: Array<object> }>}
+ *   file and logo fields are R2 keys in the advertiser-media bucket
+ */
+async function loadCharityPortal(db, charityAccountId) {
+  const accountResult = await db.query(`
+    SELECT id, contact_email, charity_name, federal_ein, website_url, mission_text, logo_r2_key, created_at
+    FROM charity_accounts
+    WHERE id = $1
+  `, [charityAccountId]);
+  const account = accountResult.rows[0];
+  if (!account) return null;
+
+  // Weeks entered (pool), chosen (winner / split recipient) or paid directed money; one row per week
+  const weeksResult = await db.query(`
+    WITH apps AS (SELECT id FROM charity_applications WHERE charity_account_id = $1),
+    recipients AS (SELECT * FROM (${WEEK_RECIPIENTS_SQL}) wr WHERE wr.charity_application_id IN (SELECT id FROM apps)),
+    weeks AS (
+      SELECT week_start FROM charity_week_pool WHERE charity_application_id IN (SELECT id FROM apps)
+      UNION
+      SELECT week_start FROM recipients
+      UNION
+      SELECT week_start FROM weekly_charity_allocation_recipients WHERE charity_application_id IN (SELECT id FROM apps)
+    )
+    SELECT w.week_start,
+           EXISTS (
+             SELECT 1 FROM charity_week_pool cwp
+             WHERE cwp.week_start = w.week_start AND cwp.charity_application_id IN (SELECT id FROM apps)
+           ) AS in_pool,
+           r.position, r.share_type, r.share_percent, r.fixed_amount,
+           (SELECT COUNT(*) FROM (${WEEK_RECIPIENTS_SQL}) wr2 WHERE wr2.week_start = w.week_start) AS recipient_count,
+           alloc.amount, alloc.directed_amount
+    FROM weeks w
+    LEFT JOIN LATERAL (
+      SELECT * FROM recipients WHERE recipients.week_start = w.week_start ORDER BY position LIMIT 1
+    ) r ON TRUE
+    LEFT JOIN LATERAL (
+      SELECT SUM(amount) AS amount, SUM(directed_amount) AS directed_amount
+      FROM weekly_charity_allocation_recipients
+      WHERE week_start = w.week_start AND charity_application_id IN (SELECT id FROM apps)
+      HAVING COUNT(*) > 0
+    ) alloc ON TRUE
+    ORDER BY w.week_start DESC
+  `, [charityAccountId]);
+
+  const weeks = weeksResult.rows.map(row => {
+    const won = row.position !== null;
+    const shared = won && Number(row.recipient_count) > 1;
+    let status = 'In the pool';
+    if (won) status = shared ? `Shared winner (${describeShare(row)})` : 'Winner';
+    else if (row.amount !== null) status = 'Cause donations';
+    return {
+      weekStart: isoDate(row.week_start),
+      inPool: row.in_pool,
+      won,
+      status,
+      amount: toAmount(row.amount),
+      directedAmount: toAmount(row.directed_amount)
+    };
+  });
+
+  const payoutsResult = await db.query(`
+    SELECT ti.id, ti.week_start, ti.amount, ti.status, ti.amount_reversed, ti.transferred_at,
+           ca.id AS charity_application_id, ca.connect_transfers_enabled
+    FROM transfer_intents ti
+    JOIN charity_applications ca ON ca.id = ti.charity_application_id
+    WHERE ca.charity_account_id = $1
+    ORDER BY ti.week_start DESC, ti.id DESC
+  `, [charityAccountId]);
+
+  const payouts = payoutsResult.rows.map(row => {
+    const waitingOnSetup = ['pending', 'failed'].includes(row.status) && !row.connect_transfers_enabled;
+    return {
+      id: row.id,
+      weekStart: isoDate(row.week_start),
+      amount: toAmount(row.amount),
+      amountReversed: toAmount(row.amount_reversed) || 0,
+      status: row.status,
+      statusLabel: waitingOnSetup ? 'Waiting for payout setup' : (PAYOUT_STATUS_LABELS[row.status] || row.status),
+      transferredAt: row.transferred_at,
+      setupUrl: waitingOnSetup ? onboardingUrlFor(row.charity_application_id) : null
+    };
+  });
+
+  const reportsResult = await db.query(`
+    SELECT id, week_start, title, body, file_r2_key, file_content_type, created_at
+    FROM charity_impact_reports
+    WHERE charity_account_id = $1
+    ORDER BY created_at DESC
+  `, [charityAccountId]);
+
+  return {
+    profile: {
+      id: account.id,
+      email: account.contact_email,
+      charityName: account.charity_name,
+      federalEin: account.federal_ein,
+      websiteUrl: account.website_url,
+      missionText: account.mission_text,
+      logoKey: account.logo_r2_key,
+      createdAt: account.created_at
+    },
+    weeks,
+    payouts,
+    reports: reportsResult.rows.map(row => ({
+      id: row.id,
+      weekStart: isoDate(row.week_start),
+      title: row.title,
+      body: row.body,
+      fileKey: row.file_r2_key,
+      fileContentType: row.file_content_type,
+      createdAt: row.created_at
+    }))
+  };
+}
+
+/**
+ * Latest reports for the impact page, with the charity's public profile.
+ * @returns {Promise<Array<object>>} file and logo fields are R2 keys in the advertiser-media bucket
+ */
+async function loadPublishedReports(db, { limit = 12 } = {}) {
+  const result = await db.query(`
+    SELECT r.id, r.week_start, r.title, r.body, r.file_r2_key, r.file_content_type, r.created_at,
+           acc.charity_name, acc.website_url, acc.mission_text, acc.logo_r2_key
+    FROM charity_impact_reports r
+    JOIN charity_accounts acc ON acc.id = r.charity_account_id
+    ORDER BY r.created_at DESC
+    LIMIT $1
+  `, [Math.min(Math.max(parseInt(limit, 10) || 12, 1), 50)]);
+  return result.rows.map(row => ({
+    id: row.id,
+    weekStart: isoDate(row.week_start),
+    title: row.title,
+    body: row.body,
+    fileKey: row.file_r2_key,
+    fileContentType: row.file_content_type,
+    createdAt: row.created_at,
+    charityName: row.charity_name,
+    websiteUrl: row.website_url,
+    missionText: row.mission_text,
+    logoKey: row.logo_r2_key
+  }));
+}
+
+module.exports = {
+  LOGO_CONTENT_TYPES,
+  REPORT_FILE_CONTENT_TYPES,
+  portalUrl,
+  normalizeEmail,
+  ensureCharityAccount,
+  createCharityPasswordToken,
+  findCharityPasswordToken,
+  setCharityPassword,
+  validateCharityProfile,
+  validateImpactReport,
+  loadCharityPortal,
+  loadPublishedReports
+};
@@ -0,0 +1,219 @@
+const { formatMoney } = require('./currency');
+
+/**
+ * Weeks whose donation pool is split between several charities.
+ *
+ * charity_week_winner keeps one row per week — the first recipient and how the week was chosen — so every
+ * "was a charity chosen for this week" check keeps working. A week split from the admin Select Winner panel
+ * (or scripts/select-winner.js) also has charity_week_recipients rows: the full list of recipients, in
+ * order, each with a percentage share or a fixed amount. Weeks without them go wholly to the winner;
+ * WEEK_RECIPIENTS_SQL returns both kinds in one shape.
+ *
+ * finalize-weekly-donations splits the pool with splitAllocation: fixed amounts (USD, like the pool) come off
+ * the top in order, each capped at what is left, and the rest is shared by percentage. Percentages must add
+ * up to 100, so every cent lands with a recipient; amounts are worked out in cents and leftover cents go to
+ * the largest fractions, so the parts always sum to the pool exactly. Each part gets its own
+ * weekly_charity_allocation_recipients row and transfer intent.
+ *
+ * Tables: charity_week_recipients, weekly_charity_allocation_recipients (migrations/021_charity_week_recipients.sql),
+ * charity_week_winner, charity_applications.
+ */
+
+const MAX_RECIPIENTS = 10;
+
+// Recipients of every week with a winner: its charity_week_recipients rows, or the winner alone at 100%
+const WEEK_RECIPIENTS_SQL = `
+  SELECT r.week_start, r.charity_application_id, r.position, r.share_type, r.share_percent, r.fixed_amount
+  FROM charity_week_recipients r
+  UNION ALL
+  SELECT cww.week_start, cww.charity_application_id, 1, 'percent', 100::numeric, NULL::numeric
+  FROM charity_week_winner cww
+  WHERE NOT EXISTS (SELECT 1 FROM charity_week_recipients r WHERE r.week_start = cww.week_start)
+`;
+
+function toCents(value) {
+  return Math.round((parseFloat(value) || 0) * 100);
+}
+
+/**
+ * Parse a share as typed by an admin: "60%" / "60" (percentage) or "$250" / "250.00 USD" (fixed amount).
+ * An empty share means the whole pool.
+ * @returns {{ shareType: 'percent'|'fixed', sharePercent: number|null, fixedAmount: number|null } | null}
+ */
+function parseShare(value) {
+  const text = String(value === undefined || value === null ? '' : value).trim();
+  if (text === '') return { shareType: 'percent', sharePercent: 100, fixedAmount: null };
+  const percent = /^(\d+(?:\.\d{1,2})?)\s*%?$/.exec(text);
+  if (percent) {
+    const sharePercent = Number(percent[1]);
+    return sharePercent > 0 && sharePercent <= 100 ? { shareType: 'percent', sharePercent, fixedAmount: null } : null;
+  }
+  const fixed = /^\$\s*(\d+(?:\.\d{1,2})?)$|^(\d+(?:\.\d{1,2})?)\s*usd$/i.exec(text);
+  if (fixed) {
+    const fixedAmount = Number(fixed[1] || fixed[2]);
+    return fixedAmount > 0 ? { shareType: 'fixed', sharePercent: null, fixedAmount } : null;
+  }
+  return null;
+}
+
+/**
+ * Validate the recipients of a week.
+ * @param {Array<{ charityApplicationId: string, share?: string|number }>} input - in payout order
+ * @returns {{ ok: true, recipients: Array<{ charityApplicationId: string, position: number, shareType: string,
+ *   sharePercent: number|null, fixedAmount: number|null }> } | { ok: false, error: string }}
+ */
+function validateRecipients(input) {
+  if (!Array.isArray(input) || input.length === 0) return { ok: false, error: 'Choose at least one charity' };
+  if (input.length > MAX_RECIPIENTS) return { ok: false, error: `A week can have at most ${MAX_RECIPIENTS} charities` };
+
+  const recipients = [];
+  const seen = new Set();
+  for (const [index, entry] of input.entries()) {
+    const id = String((entry && entry.charityApplicationId) || '').trim().toLowerCase();
+    if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/.test(id)) {
+      return { ok: false, error: 'Each charity must be a valid charity application id' };
+    }
+    if (seen.has(id)) return { ok: false, error: 'A charity can only be listed once' };
+    seen.add(id);
+    // Only a lone charity may leave its share out (it then gets the whole pool)
+    const share = parseShare(entry.share);
+    if (!share || (input.length > 1 && String(entry.share ?? '').trim() === '')) {
+      return { ok: false, error: `Share for charity ${index + 1} must be a percentage (e.g. 60%) or a dollar amount (e.g. $250)` };
+    }
+    recipients.push({ charityApplicationId: id, position: index + 1, ...share });
+  }
+
+  const percentRecipients = recipients.filter(r => r.shareType === 'percent');
+  if (percentRecipients.length === 0) {
+    return { ok: false, error: 'At least one charity needs a percentage share to receive what is left after fixed amounts' };
+  }
+  const percentTotal = percentRecipients.reduce((sum, r) => sum + Math.round(r.sharePercent * 100), 0);
+  if (percentTotal !== 10000) {
+    return { ok: false, error: `Percentage shares must add up to 100% (they add up to ${percentTotal / 100}%)` };
+  }
+  return { ok: true, recipients };
+}
+
+/**
+ * Split a pool between recipients to the cent. Fixed amounts first (in position order, capped at what is
+ * left), then the rest by percentage using largest remainders, so the amounts sum to `totalAmount` exactly.
+ * @param {number} totalAmount
+ * @param {Array<{ position: number, share_type?: string, shareType?: string, share_percent?: any,
+ *   sharePercent?: any, fixed_amount?: any, fixedAmount?: any }>} recipients
+ * @returns {Array<object>} the recipients in position order, each with `amount`
+ */
+function splitAllocation(totalAmount, recipients) {
+  const ordered = [...recipients].sort((a, b) => a.position - b.position);
+  let remainingCents = Math.max(0, toCents(totalAmount));
+  const amountCents = new Map();
+
+  for (const recipient of ordered) {
+    if ((recipient.share_type || recipient.shareType) !== 'fixed') continue;
+    const cents = Math.min(toCents(recipient.fixed_amount ?? recipient.fixedAmount), remainingCents);
+    amountCents.set(recipient, cents);
+    remainingCents -= cents;
+  }
+
+  // Basis points of the remainder; validateRecipients guarantees they total 10000
+  const percentParts = ordered
+    .filter(r => (r.share_type || r.shareType) !== 'fixed')
+    .map(r => {
+      const basisPoints = Math.round(parseFloat(r.share_percent ?? r.sharePercent) * 100);
+      const exact = remainingCents * basisPoints;
+      return { recipient: r, cents: Math.floor(exact / 10000), fraction: exact % 10000 };
+    });
+  const basisPointTotal = percentParts.reduce((sum, p) => sum + Math.round(parseFloat(p.recipient.share_percent ?? p.recipient.sharePercent) * 100), 0);
+  if (percentParts.length === 0 || basisPointTotal !== 10000) {
+    throw new Error('Recipient percentage shares must add up to 100%');
+  }
+  let leftover = remainingCents - percentParts.reduce((sum, p) => sum + p.cents, 0);
+  const byFraction = [...percentParts].sort((a, b) => b.fraction - a.fraction || a.recipient.position - b.recipient.position);
+  for (let i = 0; leftover > 0; i = (i + 1) % byFraction.length, leftover--) {
+    byFraction[i].cents += 1;
+  }
+  for (const part of percentParts) amountCents.set(part.recipient, part.cents);
+
+  return ordered.map(recipient => ({ ...recipient, amount: amountCents.get(recipient) / 100 }));
+}
+
+// "60%" / "$250.00", for the admin panel and emails
+function describeShare(recipient) {
+  const shareType = recipient.share_type || recipient.shareType;
+  if (shareType === 'fixed') return formatMoney(recipient.fixed_amount ?? recipient.fixedAmount, 'usd');
+  return `${Number(recipient.share_percent ?? recipient.sharePercent)}%`;
+}
+
+// "A", "A and B", "A, B and C"
+function formatRecipientNames(names) {
+  const list = names.filter(Boolean);
+  if (list.length <= 1) return list[0] || null;
+  return `${list.slice(0, -1).join(', ')} and ${list[list.length - 1]}`;
+}
+
+/**
+ * Recipients of one week with charity details, in payout order (empty when no charity was chosen).
+ * @returns {Promise<Array<{ charity_application_id: string, position: number, share_type: string,
+ *   share_percent: string|null, fixed_amount: string|null, charity_name: string, contact_email: string|null,
+ *   federal_ein: string|null }>>}
+ */
+async function loadWeekRecipients(db, weekStart) {
+  const result = await db.query(`
+    SELECT wr.charity_application_id, wr.position, wr.share_type, wr.share_percent, wr.fixed_amount,
+           ca.charity_name, ca.contact_email, ca.federal_ein
+    FROM (${WEEK_RECIPIENTS_SQL}) wr
+    JOIN charity_applications ca ON ca.id = wr.charity_application_id
+    WHERE wr.week_start = $1::date
+    ORDER BY wr.position
+  `, [weekStart]);
+  return result.rows;
+}
+
+/**
+ * Record the chosen charities for a week: the first as its charity_week_winner, and every recipient in
+ * charity_week_recipients when the pool is split. Fails (returns ok: false) when the week already has a winner.
+ * @param {{ weekStart: string, recipients: Array<object>, selectionMethod: string }} params - recipients from validateRecipients
+ * @returns {Promise<{ ok: true } | { ok: false, error: string }>}
+ */
+async function recordWeekRecipients(db, { weekStart, recipients, selectionMethod }) {
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+    const winner = await client.query(`
+      INSERT INTO charity_week_winner (charity_application_id, week_start, selection_method)
+      VALUES ($1::uuid, $2::date, $3)
+      ON CONFLICT DO NOTHING
+      RETURNING week_start
+    `, [recipients[0].charityApplicationId, weekStart, selectionMethod]);
+    if (winner.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return { ok: false, error: `Winner for ${weekStart} is already selected` };
+    }
+    if (recipients.length > 1 || recipients[0].shareType !== 'percent' || recipients[0].sharePercent !== 100) {
+      for (const recipient of recipients) {
+        await client.query(`
+          INSERT INTO charity_week_recipients (week_start, charity_application_id, position, share_type, share_percent, fixed_amount)
+          VALUES ($1::date, $2::uuid, $3, $4, $5, $6)
+        `, [weekStart, recipient.charityApplicationId, recipient.position, recipient.shareType, recipient.sharePercent, recipient.fixedAmount]);
+      }
+    }
+    await client.query('COMMIT');
+    return { ok: true };
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  MAX_RECIPIENTS,
+  WEEK_RECIPIENTS_SQL,
+  parseShare,
+  validateRecipients,
+  splitAllocation,
+  describeShare,
+  formatRecipientNames,
+  loadWeekRecipients,
+  recordWeekRecipients
+};
@@ -0,0 +1,307 @@
+const { WEEK_RECIPIENTS_SQL, formatRecipientNames } = require('./charityRecipients');
+
+/**
+ * Viewer voting for the weekly charity winner.
+ *
+ * Each week verified viewers (users.verified) vote for one of the approved charities in charity_week_pool for
+ * the coming Monday — the same pool the admin winner selection and the fallback winner job draw from. The
+ * round opens on Monday (America/Los_Angeles) and closes on Saturday at 19:00 UTC, an hour before
+ * /api/system/fallback-winner-selection. One vote per viewer and round; it can be changed until the round
+ * closes.
+ *
+ * With CHARITY_VOTE_WEIGHTING=ads_watched a vote counts once per ad the viewer watched during the round
+ * (daily_stats.ads_watched), at least 1 and at most CHARITY_VOTE_MAX_WEIGHT (default 50); otherwise every
+ * vote counts 1. Tallies weigh open votes live and closeCharityVote snapshots the weights.
+ *
+ * scripts/close-charity-vote.js writes the top charity (most weighted votes, then most voters, then the one
+ * that got there first) to charity_week_winner with selection_method 'vote'. A winner already picked by an
+ * admin closes the round early; a round with no votes is left to the fallback job.
+ *
+ * Tables: charity_votes (migrations/020_charity_votes.sql), charity_week_pool, charity_week_winner,
+ * charity_applications, users, daily_stats.
+ */
+
+const CHARITY_VOTE_DEFAULTS = {
+  maxWeight: 50,
+  closeHourUtc: 19
+};
+
+/**
+ * @param {object} [env]
+ * @returns {{ weighted: boolean, maxWeight: number }}
+ */
+function votingConfig(env = process.env) {
+  const weighting = String(env.CHARITY_VOTE_WEIGHTING || '').trim().toLowerCase();
+  if (weighting && weighting !== 'ads_watched' && weighting !== 'none') {
+    console.warn(`⚠️ [CHARITY VOTE] Ignoring unknown CHARITY_VOTE_WEIGHTING "${env.CHARITY_VOTE_WEIGHTING}"`);
+  }
+
+  let maxWeight = CHARITY_VOTE_DEFAULTS.maxWeight;
+  if (env.CHARITY_VOTE_MAX_WEIGHT !== undefined && String(env.CHARITY_VOTE_MAX_WEIGHT).trim() !== '') {
+    const parsed = Number(env.CHARITY_VOTE_MAX_WEIGHT);
+    if (Number.isInteger(parsed) && parsed > 0) {
+      maxWeight = parsed;
+    } else {
+      console.warn(`⚠️ [CHARITY VOTE] Ignoring invalid CHARITY_VOTE_MAX_WEIGHT "${env.CHARITY_VOTE_MAX_WEIGHT}"`);
+    }
+  }
+
+  return { weighted: weighting === 'ads_watched', maxWeight };
+}
+
+function addDays(dateStr, days) {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  const date = new Date(Date.UTC(y, m - 1, d + days));
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * The round open at `now`: the coming Monday in America/Los_Angeles (a week ahead on Mondays, like the
+ * fallback winner job) and the Saturday 19:00 UTC close before it.
+ * @param {Date} [now]
+ * @returns {{ weekStart: string, weekEnd: string, closesAt: Date }}
+ */
+function votingWeek(now = new Date()) {
+  const ptDate = now.toLocaleDateString('en-CA', { timeZone: 'America/Los_Angeles' });
+  const day = new Date(`${ptDate}T12:00:00Z`).getUTCDay();
+  const weekStart = addDays(ptDate, day === 0 ? 1 : day === 1 ? 7 : 8 - day);
+  const [y, m, d] = addDays(weekStart, -2).split('-').map(Number);
+  return {
+    weekStart,
+    weekEnd: addDays(weekStart, 6),
+    closesAt: new Date(Date.UTC(y, m - 1, d, CHARITY_VOTE_DEFAULTS.closeHourUtc))
+  };
+}
+
+// Weight of a vote: the snapshot once the round is closed, otherwise the voter's ads watched during the round
+// ($1 = the round's Monday, $2 = weighted, $3 = max weight; `v` is the vote)
+const VOTE_WEIGHT_SQL = `
+  COALESCE(v.weight, CASE WHEN $2::boolean THEN LEAST(GREATEST((
+    SELECT COALESCE(SUM(ds.ads_watched), 0)::integer FROM daily_stats ds
+    WHERE ds.user_id = v.user_id AND ds.date >= $1::date - 7 AND ds.date < $1::date
+  ), 1), $3::integer) ELSE 1 END)
+`;
+
+/**
+ * Candidates of a round with their tallies, leader first.
+ * @returns {Promise<Array<{ id: string, name: string, votes: number, voters: number }>>}
+ */
+async function tallyCharityVotes(db, weekStart, config = votingConfig()) {
+  const result = await db.query(`
+    SELECT ca.id, ca.charity_name,
+           COUNT(v.id)::integer AS voters,
+           COALESCE(SUM(CASE WHEN v.id IS NULL THEN 0 ELSE ${VOTE_WEIGHT_SQL} END), 0)::integer AS votes,
+           MIN(v.updated_at) AS first_vote_at
+    FROM charity_week_pool cwp
+    JOIN charity_applications ca ON ca.id = cwp.charity_application_id AND ca.status = 'approved'
+    LEFT JOIN charity_votes v ON v.week_start = cwp.week_start AND v.charity_application_id = ca.id
+    WHERE cwp.week_start = $1::date
+    GROUP BY ca.id, ca.charity_name
+    ORDER BY votes DESC, voters DESC, first_vote_at ASC NULLS LAST, ca.charity_name ASC
+  `, [weekStart, config.weighted, config.maxWeight]);
+  return result.rows.map(row => ({
+    id: row.id,
+    name: row.charity_name,
+    votes: Number(row.votes),
+    voters: Number(row.voters)
+  }));
+}
+
+// The week's winner; a week split between several charities (lib/charityRecipients.js) names them all
+async function loadWeekWinner(db, weekStart) {
+  const result = await db.query(`
+    SELECT cww.charity_application_id, cww.selection_method, ca.charity_name
+    FROM charity_week_winner cww
+    JOIN (${WEEK_RECIPIENTS_SQL}) wr ON wr.week_start = cww.week_start
+    JOIN charity_applications ca ON ca.id = wr.charity_application_id
+    WHERE cww.week_start = $1::date
+    ORDER BY wr.position
+  `, [weekStart]);
+  const row = result.rows[0];
+  return row ? {
+    id: row.charity_application_id,
+    name: formatRecipientNames(result.rows.map(r => r.charity_name)),
+    selectionMethod: row.selection_method,
+    shared: result.rows.length > 1
+  } : null;
+}
+
+/**
+ * Public ballot with live tallies (homepage and impact page).
+ * @param {{ now?: Date, config?: object }} [options]
+ */
+async function loadCharityBallot(db, { now = new Date(), config = votingConfig() } = {}) {
+  const week = votingWeek(now);
+  const [charities, winner] = await Promise.all([
+    tallyCharityVotes(db, week.weekStart, config),
+    loadWeekWinner(db, week.weekStart)
+  ]);
+  const totalVotes = charities.reduce((sum, c) => sum + c.votes, 0);
+  return {
+    weekStart: week.weekStart,
+    weekEnd: week.weekEnd,
+    closesAt: week.closesAt.toISOString(),
+    open: !winner && now < week.closesAt,
+    weighted: config.weighted,
+    totalVotes,
+    totalVoters: charities.reduce((sum, c) => sum + c.voters, 0),
+    charities: charities.map(c => ({
+      ...c,
+      share: totalVotes > 0 ? Math.round((c.votes / totalVotes) * 1000) / 10 : 0
+    })),
+    winner
+  };
+}
+
+async function loadVoter(db, userId) {
+  const result = await db.query('SELECT id, verified, is_active FROM users WHERE id = $1', [userId]);
+  return result.rows[0] || null;
+}
+
+/**
+ * The viewer's vote in the current round and whether they may vote.
+ * @returns {Promise<{ eligible: boolean, reason: string|null, charityApplicationId: string|null, weight: number|null }>}
+ */
+async function loadViewerVote(db, userId, { now = new Date(), config = votingConfig() } = {}) {
+  const week = votingWeek(now);
+  const user = await loadVoter(db, userId);
+  const eligible = Boolean(user && user.verified && user.is_active !== false);
+  const result = await db.query(`
+    SELECT v.charity_application_id, ${VOTE_WEIGHT_SQL} AS weight
+    FROM charity_votes v
+    WHERE v.week_start = $1::date AND v.user_id = $4
+  `, [week.weekStart, config.weighted, config.maxWeight, userId]);
+  const vote = result.rows[0];
+  return {
+    eligible,
+    reason: eligible ? null : 'Verify your email address to vote',
+    charityApplicationId: vote ? vote.charity_application_id : null,
+    weight: vote ? Number(vote.weight) : null
+  };
+}
+
+/**
+ * Record (or change) the viewer's vote for the current round.
+ * @param {{ userId: number, charityApplicationId: string, now?: Date }} params
+ * @returns {Promise<{ ok: true, weekStart: string, charityApplicationId: string, changed: boolean }
+ *   | { ok: false, status: number, error: string }>}
+ */
+async function castCharityVote(db, { userId, charityApplicationId, now = new Date() }) {
+  if (typeof charityApplicationId !== 'string' || !/^[0-9a-f-]{36}$/i.test(charityApplicationId)) {
+    return { ok: false, status: 400, error: 'Choose a charity to vote for' };
+  }
+
+  const user = await loadVoter(db, userId);
+  if (!user || !user.verified || user.is_active === false) {
+    return { ok: false, status: 403, error: 'Verify your email address to vote' };
+  }
+
+  const week = votingWeek(now);
+  if (now >= week.closesAt || await loadWeekWinner(db, week.weekStart)) {
+    return { ok: false, status: 409, error: 'Voting for this week\'s charity has closed' };
+  }
+
+  const candidate = await db.query(`
+    SELECT 1
+    FROM charity_week_pool cwp
+    JOIN charity_applications ca ON ca.id = cwp.charity_application_id
+    WHERE cwp.week_start = $1::date AND cwp.charity_application_id = $2::uuid AND ca.status = 'approved'
+  `, [week.weekStart, charityApplicationId]);
+  if (candidate.rows.length === 0) {
+    return { ok: false, status: 400, error: 'That charity is not on this week\'s ballot' };
+  }
+
+  const result = await db.query(`
+    WITH previous AS (
+      SELECT charity_application_id FROM charity_votes WHERE week_start = $1::date AND user_id = $2
+    )
+    INSERT INTO charity_votes (week_start, user_id, charity_application_id)
+    VALUES ($1::date, $2, $3::uuid)
+    ON CONFLICT (week_start, user_id) DO UPDATE
+      SET charity_application_id = EXCLUDED.charity_application_id,
+          updated_at = CASE WHEN charity_votes.charity_application_id = EXCLUDED.charity_application_id
+                            THEN charity_votes.updated_at ELSE NOW() END
+    RETURNING (SELECT charity_application_id FROM previous) AS previous_charity_application_id
+  `, [week.weekStart, userId, charityApplicationId]);
+  const previous = result.rows[0].previous_charity_application_id;
+  const changed = Boolean(previous) && previous !== charityApplicationId.toLowerCase();
+  if (!previous || changed) {
+    console.log(`🗳️ [CHARITY VOTE] User ${userId} ${changed ? 'changed their vote to' : 'voted for'} ${charityApplicationId} (week of ${week.weekStart})`);
+  }
+  return { ok: true, weekStart: week.weekStart, charityApplicationId, changed };
+}
+
+/**
+ * Close the round before `now`'s coming Monday: snapshot vote weights and write the leader to
+ * charity_week_winner. Does DB work only — the caller sends the winner email and stamps notification_sent_at.
+ * @param {{ now?: Date, config?: object }} [options]
+ * @returns {Promise<{ success: boolean, skipped: boolean, reason?: string, weekStart: string, weekEnd: string,
+ *   charityApplicationId?: string, charityName?: string, contactEmail?: string, votes?: number, voters?: number }>}
+ */
+async function closeCharityVote(db, { now = new Date(), config = votingConfig() } = {}) {
+  const week = votingWeek(now);
+  const base = { success: true, weekStart: week.weekStart, weekEnd: week.weekEnd };
+  if (now < week.closesAt) {
+    return { ...base, skipped: true, reason: 'voting_open' };
+  }
+
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+    // Serialises concurrent closes of the same round
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`charity_vote:${week.weekStart}`]);
+
+    if (await loadWeekWinner(client, week.weekStart)) {
+      await client.query('ROLLBACK');
+      return { ...base, skipped: true, reason: 'winner_exists' };
+    }
+
+    await client.query(`
+      UPDATE charity_votes v
+      SET weight = ${VOTE_WEIGHT_SQL}
+      WHERE v.week_start = $1::date AND v.weight IS NULL
+    `, [week.weekStart, config.weighted, config.maxWeight]);
+
+    const [leader] = await tallyCharityVotes(client, week.weekStart, config);
+    if (!leader || leader.votes === 0) {
+      await client.query('COMMIT');
+      console.log(`🗳️ [CHARITY VOTE] No votes for the week of ${week.weekStart}; leaving it to the fallback winner job`);
+      return { ...base, skipped: true, reason: 'no_votes' };
+    }
+
+    await client.query(`
+      INSERT INTO charity_week_winner (charity_application_id, week_start, selection_method)
+      VALUES ($1::uuid, $2::date, 'vote')
+      ON CONFLICT DO NOTHING
+    `, [leader.id, week.weekStart]);
+    const contact = await client.query('SELECT contact_email FROM charity_applications WHERE id = $1::uuid', [leader.id]);
+    await client.query('COMMIT');
+
+    console.log(`🗳️ [CHARITY VOTE] ${leader.name} won the vote for the week of ${week.weekStart} (${leader.votes} votes from ${leader.voters} viewers)`);
+    return {
+      ...base,
+      skipped: false,
+      charityApplicationId: leader.id,
+      charityName: leader.name,
+      contactEmail: contact.rows[0] ? contact.rows[0].contact_email : null,
+      votes: leader.votes,
+      voters: leader.voters
+    };
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  CHARITY_VOTE_DEFAULTS,
+  votingConfig,
+  votingWeek,
+  tallyCharityVotes,
+  loadCharityBallot,
+  loadViewerVote,
+  castCharityVote,
+  closeCharityVote
+};
@@ -0,0 +1,226 @@
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { exec } = require('child_process');
+const { promisify } = require('util');
+const { PutObjectCommand } = require('@aws-sdk/client-s3');
+
+const { probeVideo, downloadR2Object, buildCreativeHls } = require('./hlsPipeline');
+
+const execAsync = promisify(exec);
+
+/**
+ * Loudness normalization, poster frames and animated previews for video creatives.
+ *
+ * On approval every video creative gets, next to the original in the same bucket:
+ *
+ *   normalized/<basename>.mp4  audio normalized to LOUDNESS_TARGET (video stream copied, not re-encoded)
+ *   posters/<basename>.jpg     one frame, shown by the portal, admin-cs and the player before playback
+ *   previews/<basename>.gif    a few silent seconds for hover / list previews
+ *
+ * The creatives row tracks the result (media_status, normalized_key, poster_key, preview_key and the
+ * source loudness in loudness_lufs). The playlist API serves the normalized rendition as videoUrl once it
+ * exists, and the HLS ladder is cut from it, so ads play back at the same level one after the other.
+ * Creatives without an audio track skip normalization but still get a poster and preview.
+ *
+ * Needs ffmpeg/ffprobe on PATH — run from scripts/process-approved-advertisers.js,
+ * scripts/generate-sponsor-videos-ffmpeg.js and scripts/process-creative-media.js (backfill).
+ */
+
+// EBU R128-style loudnorm target; -16 LUFS is the usual level for web / mobile playback
+const LOUDNESS_TARGET = { integratedLufs: -16, truePeakDb: -1.5, loudnessRange: 11 };
+
+const NORMALIZED_KEY_PREFIX = 'normalized/';
+const POSTER_KEY_PREFIX = 'posters/';
+const PREVIEW_KEY_PREFIX = 'previews/';
+
+const POSTER_MAX_WIDTH = 1280;
+const PREVIEW_SECONDS = 3;
+const PREVIEW_WIDTH = 320;
+const PREVIEW_FPS = 10;
+
+function creativeBasename(key) {
+  return path.basename(key, path.extname(key));
+}
+
+function normalizedKeyFor(key) {
+  return `${NORMALIZED_KEY_PREFIX}${creativeBasename(key)}.mp4`;
+}
+
+function posterKeyFor(key) {
+  return `${POSTER_KEY_PREFIX}${creativeBasename(key)}.jpg`;
+}
+
+function previewKeyFor(key) {
+  return `${PREVIEW_KEY_PREFIX}${creativeBasename(key)}.gif`;
+}
+
+function loudnormFilter() {
+  return `loudnorm=I=${LOUDNESS_TARGET.integratedLufs}:TP=${LOUDNESS_TARGET.truePeakDb}:LRA=${LOUDNESS_TARGET.loudnessRange}`;
+}
+
+/**
+ * First loudnorm pass: measure the source. ffmpeg prints the measurement as the last JSON object on stderr.
+ * @returns {Promise<{ input_i: string, input_tp: string, input_lra: string, input_thresh: string, target_offset: string }>}
+ */
+async function measureLoudness(inputPath) {
+  const { stderr } = await execAsync(
+    `ffmpeg -hide_banner -nostats -i "${inputPath}" -map 0:a:0 -af ${loudnormFilter()}:print_format=json -f null -`,
+    { maxBuffer: 10 * 1024 * 1024 }
+  );
+  const jsonMatch = stderr.match(/\{[^{}]*"input_i"[^{}]*\}/);
+  if (!jsonMatch) {
+    throw new Error('loudnorm measurement not found in ffmpeg output');
+  }
+  return JSON.parse(jsonMatch[0]);
+}
+
+// Second loudnorm pass with the measured values (linear gain where possible); the video stream is copied
+async function normalizeLoudness(inputPath, outputPath, measured) {
+  const filter = `${loudnormFilter()}:measured_I=${measured.input_i}:measured_TP=${measured.input_tp}` +
+    `:measured_LRA=${measured.input_lra}:measured_thresh=${measured.input_thresh}` +
+    `:offset=${measured.target_offset}:linear=true`;
+  try {
+    await execAsync(
+      `ffmpeg -y -hide_banner -i "${inputPath}" -map 0:v:0 -map 0:a:0 -c:v copy ` +
+      `-af ${filter} -c:a aac -b:a 192k -ar 48000 -movflags +faststart "${outputPath}"`,
+      { maxBuffer: 10 * 1024 * 1024 }
+    );
+  } catch (error) {
+    if (error.stderr) {
+      console.error('FFmpeg stderr:', error.stderr);
+    }
+    throw new Error(`Loudness normalization failed: ${error.message}`);
+  }
+}
+
+// Poster frame from one second in (or the middle of very short clips), never wider than POSTER_MAX_WIDTH
+async function extractPoster(inputPath, outputPath, probe) {
+  const at = probe.durationSeconds ? Math.min(1, probe.durationSeconds / 2) : 0;
+  await execAsync(
+    `ffmpeg -y -hide_banner -ss ${at.toFixed(2)} -i "${inputPath}" -frames:v 1 ` +
+    `-vf "scale='min(${POSTER_MAX_WIDTH},iw)':-2" -q:v 3 "${outputPath}"`
+  );
+}
+
+// Short looping GIF from the start of the clip (palette per clip keeps the colours usable)
+async function buildPreview(inputPath, outputPath) {
+  await execAsync(
+    `ffmpeg -y -hide_banner -t ${PREVIEW_SECONDS} -i "${inputPath}" ` +
+    `-vf "fps=${PREVIEW_FPS},scale=${PREVIEW_WIDTH}:-2:flags=lanczos,split[a][b];[a]palettegen[p];[b][p]paletteuse" ` +
+    `-loop 0 "${outputPath}"`,
+    { maxBuffer: 10 * 1024 * 1024 }
+  );
+}
+
+async function uploadFile(r2Client, bucket, key, filePath, contentType) {
+  await r2Client.send(new PutObjectCommand({
+    Bucket: bucket,
+    Key: key,
+    Body: fs.readFileSync(filePath),
+    ContentType: contentType,
+    CacheControl: 'public, max-age=31536000, immutable'
+  }));
+}
+
+/**
+ * Normalize loudness, extract the poster and preview for a registered video creative, record them on the
+ * creatives row, then build the HLS ladder from the normalized rendition.
+ * Never throws: failures set media_status = 'failed' and the original MP4 keeps being served.
+ * @param {object} db - pool or client
+ * @param {object} r2Client
+ * @param {{ creative: { id: number, r2_bucket: string, r2_key: string }, localPath?: string, buildHls?: boolean }} params -
+ *   localPath skips the download when the caller already has the MP4 on disk
+ * @returns {Promise<{ success: boolean, normalizedKey?: string|null, posterKey?: string, previewKey?: string, error?: string }>}
+ */
+async function processCreativeMedia(db, r2Client, { creative, localPath = null, buildHls = true }) {
+  let tempDir = null;
+  // The HLS ladder is cut from whatever ends up here: the normalized rendition, or the source if that failed
+  let hlsSourcePath = localPath;
+  try {
+    await db.query(
+      `UPDATE creatives SET media_status = 'processing', media_error = NULL, updated_at = NOW() WHERE id = $1`,
+      [creative.id]
+    );
+
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'creative-media-'));
+    let inputPath = localPath;
+    if (!inputPath) {
+      inputPath = path.join(tempDir, `source${path.extname(creative.r2_key) || '.mp4'}`);
+      console.log(`⬇️  [MEDIA] Downloading ${creative.r2_bucket}/${creative.r2_key}`);
+      await downloadR2Object(r2Client, creative.r2_bucket, creative.r2_key, inputPath);
+    }
+    hlsSourcePath = inputPath;
+
+    const probe = await probeVideo(inputPath);
+
+    let normalizedKey = null;
+    let loudnessLufs = null;
+    if (probe.hasAudio) {
+      const measured = await measureLoudness(inputPath);
+      loudnessLufs = parseFloat(measured.input_i);
+      const normalizedPath = path.join(tempDir, 'normalized.mp4');
+      await normalizeLoudness(inputPath, normalizedPath, measured);
+      normalizedKey = normalizedKeyFor(creative.r2_key);
+      await uploadFile(r2Client, creative.r2_bucket, normalizedKey, normalizedPath, 'video/mp4');
+      hlsSourcePath = normalizedPath;
+      console.log(`🔊 [MEDIA] Creative ${creative.id}: ${measured.input_i} LUFS → ${LOUDNESS_TARGET.integratedLufs} LUFS`);
+    } else {
+      console.log(`🔇 [MEDIA] Creative ${creative.id} has no audio track, skipping loudness normalization`);
+    }
+
+    const posterPath = path.join(tempDir, 'poster.jpg');
+    await extractPoster(inputPath, posterPath, probe);
+    const posterKey = posterKeyFor(creative.r2_key);
+    await uploadFile(r2Client, creative.r2_bucket, posterKey, posterPath, 'image/jpeg');
+
+    const previewPath = path.join(tempDir, 'preview.gif');
+    await buildPreview(inputPath, previewPath);
+    const previewKey = previewKeyFor(creative.r2_key);
+    await uploadFile(r2Client, creative.r2_bucket, previewKey, previewPath, 'image/gif');
+
+    await db.query(`
+      UPDATE creatives SET
+        media_status = 'ready',
+        normalized_key = $2,
+        poster_key = $3,
+        preview_key = $4,
+        loudness_lufs = $5,
+        media_error = NULL,
+        updated_at = NOW()
+      WHERE id = $1
+    `, [creative.id, normalizedKey, posterKey, previewKey, Number.isFinite(loudnessLufs) ? loudnessLufs : null]);
+
+    console.log(`✅ [MEDIA] Creative ${creative.id}: poster, preview${normalizedKey ? ' and normalized rendition' : ''} uploaded`);
+
+    if (buildHls) {
+      await buildCreativeHls(db, r2Client, { creative, localPath: hlsSourcePath });
+    }
+    return { success: true, normalizedKey, posterKey, previewKey };
+  } catch (error) {
+    console.error(`❌ [MEDIA] Creative ${creative.id} failed (original MP4 still served):`, error.message);
+    await db.query(
+      `UPDATE creatives SET media_status = 'failed', media_error = $2, updated_at = NOW() WHERE id = $1`,
+      [creative.id, error.message.slice(0, 1000)]
+    ).catch(() => {});
+    if (buildHls) {
+      await buildCreativeHls(db, r2Client, { creative, localPath: hlsSourcePath });
+    }
+    return { success: false, error: error.message };
+  } finally {
+    if (tempDir && fs.existsSync(tempDir)) {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  }
+}
+
+module.exports = {
+  LOUDNESS_TARGET,
+  NORMALIZED_KEY_PREFIX,
+  POSTER_KEY_PREFIX,
+  PREVIEW_KEY_PREFIX,
+  normalizedKeyFor,
+  posterKeyFor,
+  previewKeyFor,
+  processCreativeMedia
+};
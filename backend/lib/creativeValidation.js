@@ -0,0 +1,336 @@
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const sharp = require('sharp');
+const { GetObjectCommand, HeadObjectCommand } = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Automated validation of advertiser creatives at upload time.
+ *
+ * validateCreative() probes an uploaded R2 object (ffprobe + an ffmpeg ebur128 pass for video, sharp
+ * for images) and returns a structured report:
+ *
+ *   { status: 'passed' | 'warnings' | 'failed', creativeType, checks: [{ check, status, message,
+ *     actual, expected }], media: { ... }, validatedAt }
+ *
+ * A check with status 'fail' is a hard failure: replace-creative and create-checkout-session refuse
+ * the upload. 'warn' checks are shown to the advertiser in the portal and to admins in /admin-cs but
+ * do not block. Reports are stored in creative_validations (one row per R2 object).
+ *
+ * ffprobe/ffmpeg are resolved from FFPROBE_PATH / FFMPEG_PATH (default: PATH) and read the object
+ * through a short-lived presigned URL, so the video is never downloaded in full by the API. Where
+ * ffprobe is not installed the video checks degrade to a single warning and the creative is left to
+ * manual review rather than blocked.
+ */
+
+const CREATIVE_VALIDATION_RULES = {
+  maxFileSizeBytes: 50 * 1024 * 1024,
+  video: {
+    // advertiser.html: "Video (MP4, max 15 seconds)"; small tolerance for encoder rounding
+    minDurationSeconds: 3,
+    maxDurationSeconds: 15.5,
+    allowedFormats: ['mp4'],
+    allowedVideoCodecs: ['h264'],
+    minWidth: 640,
+    minHeight: 360,
+    recommendedMinHeight: 720,
+    targetAspectRatio: 16 / 9,
+    aspectRatioTolerance: 0.05,
+    // Integrated loudness (LUFS); the stream plays ads back-to-back, so outliers stand out
+    minLoudnessLufs: -24,
+    maxLoudnessLufs: -10,
+    silentLoudnessLufs: -50
+  },
+  image: {
+    allowedFormats: ['jpeg', 'png', 'gif', 'webp'],
+    minShortSide: 400,
+    recommendedMinShortSide: 800,
+    // Same ratios as the advertiser.html upload helper (±5%)
+    aspectRatios: [
+      { name: '1:1', min: 0.95, max: 1.05 },
+      { name: '4:5', min: 0.75, max: 0.85 },
+      { name: '16:9', min: 1.70, max: 1.80 }
+    ]
+  }
+};
+
+const FFPROBE_TIMEOUT_MS = 30000;
+const LOUDNESS_TIMEOUT_MS = 60000;
+
+function check(checkName, status, message, actual = null, expected = null) {
+  return { check: checkName, status, message, actual, expected };
+}
+
+function overallStatus(checks) {
+  if (checks.some(c => c.status === 'fail')) return 'failed';
+  if (checks.some(c => c.status === 'warn')) return 'warnings';
+  return 'passed';
+}
+
+function formatMb(bytes) {
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+async function probeRemoteVideo(url) {
+  const { stdout } = await execFileAsync(process.env.FFPROBE_PATH || 'ffprobe', [
+    '-v', 'error',
+    '-show_entries', 'format=format_name,duration:stream=codec_type,codec_name,width,height',
+    '-of', 'json',
+    url
+  ], { timeout: FFPROBE_TIMEOUT_MS, maxBuffer: 5 * 1024 * 1024 });
+  return JSON.parse(stdout);
+}
+
+// Integrated loudness (LUFS) from ffmpeg's ebur128 summary, or null if it could not be measured
+async function measureLoudness(url) {
+  try {
+    const { stderr } = await execFileAsync(process.env.FFMPEG_PATH || 'ffmpeg', [
+      '-hide_banner', '-nostats', '-i', url, '-vn', '-af', 'ebur128=framelog=quiet', '-f', 'null', '-'
+    ], { timeout: LOUDNESS_TIMEOUT_MS, maxBuffer: 5 * 1024 * 1024 });
+    const match = stderr.match(/Integrated loudness:\s*I:\s*(-?[\d.]+|-inf)\s*LUFS/);
+    if (!match) return null;
+    return match[1] === '-inf' ? -Infinity : parseFloat(match[1]);
+  } catch (error) {
+    console.error('⚠️ [CREATIVE VALIDATION] Loudness measurement failed:', error.message);
+    return null;
+  }
+}
+
+async function validateVideo(r2Client, bucket, key, sizeBytes) {
+  const rules = CREATIVE_VALIDATION_RULES.video;
+  const checks = [];
+  const media = { sizeBytes };
+
+  const url = await getSignedUrl(r2Client, new GetObjectCommand({ Bucket: bucket, Key: key }), { expiresIn: 300 });
+
+  let probe;
+  try {
+    probe = await probeRemoteVideo(url);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      checks.push(check('analysis', 'warn', 'Automatic video analysis is unavailable; this video will be checked during manual review.'));
+      return { checks, media };
+    }
+    checks.push(check('format', 'fail', 'The file could not be read as a video. Please export it again as an H.264 MP4.'));
+    return { checks, media };
+  }
+
+  const streams = probe.streams || [];
+  const videoStream = streams.find(s => s.codec_type === 'video');
+  const audioStream = streams.find(s => s.codec_type === 'audio');
+  const formatNames = String((probe.format && probe.format.format_name) || '').split(',');
+  const duration = probe.format && probe.format.duration ? parseFloat(probe.format.duration) : null;
+
+  Object.assign(media, {
+    format: probe.format ? probe.format.format_name : null,
+    durationSeconds: duration,
+    videoCodec: videoStream ? videoStream.codec_name : null,
+    audioCodec: audioStream ? audioStream.codec_name : null,
+    width: videoStream ? videoStream.width : null,
+    height: videoStream ? videoStream.height : null,
+    hasAudio: !!audioStream
+  });
+
+  if (!videoStream) {
+    checks.push(check('format', 'fail', 'The file has no video track.'));
+    return { checks, media };
+  }
+
+  checks.push(formatNames.some(f => rules.allowedFormats.includes(f))
+    ? check('format', 'pass', 'MP4 container', media.format, 'mp4')
+    : check('format', 'fail', 'The video must be an MP4 file.', media.format, 'mp4'));
+
+  checks.push(rules.allowedVideoCodecs.includes(videoStream.codec_name)
+    ? check('codec', 'pass', 'H.264 video', videoStream.codec_name, 'h264')
+    : check('codec', 'fail', `The video is encoded as ${videoStream.codec_name}; please export it as H.264.`, videoStream.codec_name, 'h264'));
+
+  if (duration === null) {
+    checks.push(check('duration', 'warn', 'The video duration could not be determined.'));
+  } else if (duration > rules.maxDurationSeconds) {
+    checks.push(check('duration', 'fail', `The video is ${duration.toFixed(1)}s long; the maximum is 15 seconds.`, duration, rules.maxDurationSeconds));
+  } else if (duration < rules.minDurationSeconds) {
+    checks.push(check('duration', 'fail', `The video is ${duration.toFixed(1)}s long; the minimum is ${rules.minDurationSeconds} seconds.`, duration, rules.minDurationSeconds));
+  } else {
+    checks.push(check('duration', 'pass', `${duration.toFixed(1)}s`, duration, rules.maxDurationSeconds));
+  }
+
+  const { width, height } = videoStream;
+  const resolution = `${width}x${height}`;
+  if (height > width) {
+    checks.push(check('aspect_ratio', 'fail', `The video is portrait (${resolution}); the player is 16:9 landscape.`, resolution, '16:9'));
+  } else {
+    const ratio = width / height;
+    const deviation = Math.abs(ratio - rules.targetAspectRatio) / rules.targetAspectRatio;
+    checks.push(deviation <= rules.aspectRatioTolerance
+      ? check('aspect_ratio', 'pass', '16:9', ratio.toFixed(2), '16:9')
+      : check('aspect_ratio', 'warn', `The video is ${ratio.toFixed(2)}:1, not 16:9; it will be letterboxed.`, ratio.toFixed(2), '16:9'));
+  }
+
+  if (width < rules.minWidth || height < rules.minHeight) {
+    checks.push(check('resolution', 'fail', `The resolution ${resolution} is below the minimum of ${rules.minWidth}x${rules.minHeight}.`, resolution, `${rules.minWidth}x${rules.minHeight}`));
+  } else if (height < rules.recommendedMinHeight) {
+    checks.push(check('resolution', 'warn', `The resolution ${resolution} is below 720p and may look soft in full screen.`, resolution, '1280x720'));
+  } else {
+    checks.push(check('resolution', 'pass', resolution, resolution, '1280x720'));
+  }
+
+  if (!audioStream) {
+    checks.push(check('audio', 'warn', 'The video has no audio track.'));
+  } else {
+    const loudness = await measureLoudness(url);
+    media.integratedLoudnessLufs = Number.isFinite(loudness) ? loudness : null;
+    const expected = `${rules.minLoudnessLufs} to ${rules.maxLoudnessLufs} LUFS`;
+    if (loudness === null) {
+      checks.push(check('loudness', 'warn', 'The audio loudness could not be measured.', null, expected));
+    } else if (loudness <= rules.silentLoudnessLufs) {
+      checks.push(check('loudness', 'warn', 'The audio track is silent.', media.integratedLoudnessLufs, expected));
+    } else if (loudness < rules.minLoudnessLufs) {
+      checks.push(check('loudness', 'warn', `The audio is quiet (${loudness.toFixed(1)} LUFS).`, loudness, expected));
+    } else if (loudness > rules.maxLoudnessLufs) {
+      checks.push(check('loudness', 'warn', `The audio is loud (${loudness.toFixed(1)} LUFS).`, loudness, expected));
+    } else {
+      checks.push(check('loudness', 'pass', `${loudness.toFixed(1)} LUFS`, loudness, expected));
+    }
+  }
+
+  return { checks, media };
+}
+
+async function validateImage(r2Client, bucket, key, sizeBytes) {
+  const rules = CREATIVE_VALIDATION_RULES.image;
+  const checks = [];
+  const media = { sizeBytes };
+
+  let metadata;
+  try {
+    const object = await r2Client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+    const buffer = Buffer.from(await object.Body.transformToByteArray());
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    checks.push(check('format', 'fail', 'The file could not be read as an image.'));
+    return { checks, media };
+  }
+
+  Object.assign(media, { format: metadata.format, width: metadata.width, height: metadata.height });
+
+  checks.push(rules.allowedFormats.includes(metadata.format)
+    ? check('format', 'pass', metadata.format.toUpperCase(), metadata.format, rules.allowedFormats.join('/'))
+    : check('format', 'fail', `${String(metadata.format).toUpperCase()} images are not supported; use JPG, PNG, GIF or WEBP.`, metadata.format, rules.allowedFormats.join('/')));
+
+  const { width, height } = metadata;
+  const dimensions = `${width}x${height}`;
+  const ratio = width / height;
+  const matchedRatio = rules.aspectRatios.find(r => ratio >= r.min && ratio <= r.max);
+  const allowedRatios = rules.aspectRatios.map(r => r.name).join(', ');
+  checks.push(matchedRatio
+    ? check('aspect_ratio', 'pass', matchedRatio.name, ratio.toFixed(2), allowedRatios)
+    : check('aspect_ratio', 'fail', `The image is ${dimensions}; supported ratios are ${allowedRatios}.`, ratio.toFixed(2), allowedRatios));
+
+  const shortSide = Math.min(width, height);
+  if (shortSide < rules.minShortSide) {
+    checks.push(check('dimensions', 'fail', `The image is ${dimensions}; its shorter side must be at least ${rules.minShortSide}px.`, dimensions, `${rules.minShortSide}px`));
+  } else if (shortSide < rules.recommendedMinShortSide) {
+    checks.push(check('dimensions', 'warn', `The image is ${dimensions}; at least ${rules.recommendedMinShortSide}px on the shorter side is recommended.`, dimensions, `${rules.recommendedMinShortSide}px`));
+  } else {
+    checks.push(check('dimensions', 'pass', dimensions, dimensions, `${rules.recommendedMinShortSide}px`));
+  }
+
+  return { checks, media };
+}
+
+/**
+ * Validate an uploaded creative.
+ * @param {object} r2Client
+ * @param {{ bucket: string, key: string, creativeType: 'video'|'image' }} params
+ * @returns {Promise<{ status: 'passed'|'warnings'|'failed', creativeType: string, checks: Array, media: object, validatedAt: string }>}
+ */
+async function validateCreative(r2Client, { bucket, key, creativeType }) {
+  let sizeBytes = null;
+  try {
+    const head = await r2Client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+    sizeBytes = head.ContentLength != null ? Number(head.ContentLength) : null;
+  } catch (error) {
+    if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) {
+      const checks = [check('upload', 'fail', 'The uploaded file was not found. Please upload it again.')];
+      return { status: 'failed', creativeType, checks, media: {}, validatedAt: new Date().toISOString() };
+    }
+    throw error;
+  }
+
+  const sizeCheck = sizeBytes !== null && sizeBytes > CREATIVE_VALIDATION_RULES.maxFileSizeBytes
+    ? check('file_size', 'fail', `The file is ${formatMb(sizeBytes)}; the maximum is 50 MB.`, sizeBytes, CREATIVE_VALIDATION_RULES.maxFileSizeBytes)
+    : check('file_size', 'pass', sizeBytes !== null ? formatMb(sizeBytes) : 'unknown', sizeBytes, CREATIVE_VALIDATION_RULES.maxFileSizeBytes);
+
+  // Oversized files are not probed further
+  const { checks, media } = sizeCheck.status === 'fail'
+    ? { checks: [], media: { sizeBytes } }
+    : creativeType === 'image'
+      ? await validateImage(r2Client, bucket, key, sizeBytes)
+      : await validateVideo(r2Client, bucket, key, sizeBytes);
+
+  const allChecks = [sizeCheck, ...checks];
+  return {
+    status: overallStatus(allChecks),
+    creativeType,
+    checks: allChecks,
+    media,
+    validatedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Store (or replace) the report for an R2 object.
+ * @returns {Promise<object>} creative_validations row
+ */
+async function saveValidationReport(db, { bucket, key, advertiserId = null, report }) {
+  const result = await db.query(`
+    INSERT INTO creative_validations (r2_bucket, r2_key, advertiser_id, creative_type, status, report)
+    VALUES ($1, $2, $3, $4, $5, $6::jsonb)
+    ON CONFLICT (r2_bucket, r2_key) DO UPDATE SET
+      advertiser_id = COALESCE(EXCLUDED.advertiser_id, creative_validations.advertiser_id),
+      creative_type = EXCLUDED.creative_type,
+      status = EXCLUDED.status,
+      report = EXCLUDED.report,
+      created_at = NOW()
+    RETURNING *
+  `, [bucket, key, advertiserId, report.creativeType, report.status, JSON.stringify(report)]);
+  return result.rows[0];
+}
+
+/**
+ * Stored report for an R2 object, or a fresh validation (saved) if there is none yet.
+ * @returns {Promise<object>} report
+ */
+async function getOrValidateCreative(db, r2Client, { bucket, key, creativeType, advertiserId = null }) {
+  const existing = await db.query(
+    'SELECT report FROM creative_validations WHERE r2_bucket = $1 AND r2_key = $2 AND creative_type = $3',
+    [bucket, key, creativeType]
+  );
+  if (existing.rows.length > 0) {
+    if (advertiserId) {
+      await db.query(
+        'UPDATE creative_validations SET advertiser_id = $3 WHERE r2_bucket = $1 AND r2_key = $2',
+        [bucket, key, advertiserId]
+      );
+    }
+    return existing.rows[0].report;
+  }
+  const report = await validateCreative(r2Client, { bucket, key, creativeType });
+  await saveValidationReport(db, { bucket, key, advertiserId, report });
+  return report;
+}
+
+// One line per failed check, for API error messages
+function summarizeFailures(report) {
+  return report.checks.filter(c => c.status === 'fail').map(c => c.message).join(' ');
+}
+
+module.exports = {
+  CREATIVE_VALIDATION_RULES,
+  validateCreative,
+  saveValidationReport,
+  getOrValidateCreative,
+  summarizeFailures
+};
@@ -0,0 +1,142 @@
+const { HeadObjectCommand } = require('@aws-sdk/client-s3');
+
+/**
+ * Creative registry (creatives table).
+ *
+ * One row per creative file in R2, owned by an advertiser campaign or a sponsor campaign. The playlist
+ * and popup-ads endpoints read live creatives from here instead of listing the charity-stream-videos
+ * bucket; scripts/reconcile-creatives.js reports drift between the table and R2.
+ *
+ * Writers:
+ *   - scripts/process-approved-advertisers.js: active creative in charity-stream-videos on approval
+ *   - POST /api/advertiser/replace-creative: pending_review creative in advertiser-media
+ *   - scripts/generate-sponsor-videos-ffmpeg.js: active creative in charity-stream-sponsor-generated
+ *   - archiveCampaign: active → archived (key moved under archived/)
+ *
+ * An owner has at most one live (pending_review or active) creative: registering a new one retires
+ * the others. `checksum` is the R2 ETag (MD5 for single-part uploads), so it can be compared with
+ * HeadObject / ListObjectsV2 during reconciliation.
+ */
+
+const CREATIVE_BUCKETS = {
+  live: 'charity-stream-videos',
+  advertiserUploads: 'advertiser-media',
+  sponsorGenerated: 'charity-stream-sponsor-generated'
+};
+
+const CREATIVE_STATUSES = ['pending_review', 'active', 'archived', 'retired'];
+
+function normalizeEtag(etag) {
+  return etag ? String(etag).replace(/"/g, '') : null;
+}
+
+function creativeTypeForAdFormat(adFormat) {
+  const format = String(adFormat || 'video').toLowerCase();
+  return format === 'image' || format === 'static_image' || format === 'static image' ? 'image' : 'video';
+}
+
+/**
+ * Size, content type and ETag of an R2 object, or null when it does not exist.
+ */
+async function describeR2Object(r2Client, bucket, key) {
+  try {
+    const head = await r2Client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+    return {
+      contentType: head.ContentType || null,
+      sizeBytes: head.ContentLength != null ? Number(head.ContentLength) : null,
+      checksum: normalizeEtag(head.ETag)
+    };
+  } catch (error) {
+    if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Insert or update a creative and retire the owner's other live creatives.
+ * @param {object} db - pool or client
+ * @param {{ bucket: string, key: string, creativeType: 'video'|'image', status?: 'pending_review'|'active',
+ *   advertiserId?: number, sponsorCampaignId?: string, contentType?: string, sizeBytes?: number,
+ *   durationSeconds?: number, width?: number, height?: number, checksum?: string }} creative
+ * @returns {Promise<object>} the creatives row
+ */
+async function registerCreative(db, creative) {
+  const {
+    bucket, key, creativeType, status = 'active',
+    advertiserId = null, sponsorCampaignId = null,
+    contentType = null, sizeBytes = null, durationSeconds = null,
+    width = null, height = null, checksum = null
+  } = creative;
+
+  if (!advertiserId === !sponsorCampaignId) {
+    throw new Error('A creative belongs to exactly one advertiser or sponsor campaign');
+  }
+
+  const result = await db.query(`
+    INSERT INTO creatives
+      (r2_bucket, r2_key, creative_type, status, advertiser_id, sponsor_campaign_id,
+       content_type, size_bytes, duration_seconds, width, height, checksum)
+    VALUES ($1, $2, $3, $4, $5, $6::uuid, $7, $8, $9, $10, $11, $12)
+    ON CONFLICT (r2_bucket, r2_key) DO UPDATE SET
+      creative_type = EXCLUDED.creative_type,
+      status = EXCLUDED.status,
+      advertiser_id = EXCLUDED.advertiser_id,
+      sponsor_campaign_id = EXCLUDED.sponsor_campaign_id,
+      content_type = COALESCE(EXCLUDED.content_type, creatives.content_type),
+      size_bytes = COALESCE(EXCLUDED.size_bytes, creatives.size_bytes),
+      duration_seconds = COALESCE(EXCLUDED.duration_seconds, creatives.duration_seconds),
+      width = COALESCE(EXCLUDED.width, creatives.width),
+      height = COALESCE(EXCLUDED.height, creatives.height),
+      checksum = COALESCE(EXCLUDED.checksum, creatives.checksum),
+      retired_at = NULL,
+      updated_at = NOW()
+    RETURNING *
+  `, [bucket, key, creativeType, status, advertiserId, sponsorCampaignId,
+      contentType, sizeBytes, durationSeconds, width, height, normalizeEtag(checksum)]);
+
+  const row = result.rows[0];
+
+  await db.query(`
+    UPDATE creatives
+    SET status = 'retired', retired_at = NOW(), updated_at = NOW()
+    WHERE id <> $1
+      AND status IN ('pending_review', 'active')
+      AND (($2::integer IS NOT NULL AND advertiser_id = $2) OR ($3::uuid IS NOT NULL AND sponsor_campaign_id = $3::uuid))
+  `, [row.id, advertiserId, sponsorCampaignId]);
+
+  return row;
+}
+
+/**
+ * Retire every live creative of an advertiser campaign (e.g. its file was deleted from R2).
+ */
+async function retireAdvertiserCreatives(db, advertiserId) {
+  await db.query(`
+    UPDATE creatives
+    SET status = 'retired', retired_at = NOW(), updated_at = NOW()
+    WHERE advertiser_id = $1 AND status IN ('pending_review', 'active')
+  `, [advertiserId]);
+}
+
+/**
+ * Mark an advertiser's active creative as archived. Pass the new key when the R2 object was moved.
+ */
+async function archiveAdvertiserCreatives(db, advertiserId, archivedKey = null) {
+  await db.query(`
+    UPDATE creatives
+    SET status = 'archived', r2_key = COALESCE($2, r2_key), updated_at = NOW()
+    WHERE advertiser_id = $1 AND status = 'active'
+  `, [advertiserId, archivedKey]);
+}
+
+module.exports = {
+  CREATIVE_BUCKETS,
+  CREATIVE_STATUSES,
+  creativeTypeForAdFormat,
+  describeR2Object,
+  registerCreative,
+  retireAdvertiserCreatives,
+  archiveAdvertiserCreatives
+};
@@ -0,0 +1,141 @@
+const { createStripeClient } = require('./stripeClient');
+
+/**
+ * Charge currencies, list prices and FX rate snapshots.
+ *
+ * Advertiser and sponsor accounts are charged in one currency (Stripe customers are tied to the currency of
+ * their first invoice or subscription); campaigns copy it, and their CPM rates, budgets, prices and billing
+ * records are stored in it. Viewer donations are charged in the currency Checkout settled on.
+ *
+ * Everything pooled for charities is kept in REPORTING_CURRENCY: each donation_ledger row stores the charged
+ * currency and amount (original_amount) next to the converted amount, with the fx_rates snapshot it used,
+ * so weekly_donation_pool, the journal and charity payouts stay in one currency. Advertiser invoices keep the
+ * snapshot taken when they were finalized (fx_rate_id on the billing record), so the receivable and the
+ * payment convert at the same rate.
+ *
+ * Tables: fx_rates (migrations/015_multi_currency.sql).
+ */
+
+const REPORTING_CURRENCY = 'usd';
+
+const SUPPORTED_CURRENCIES = ['usd', 'eur', 'gbp'];
+
+// Minor units (cents / pence). Sponsor tiers must match the currency_options of the <tier>_recurring Stripe
+// prices; diamondMinimum and diamondStep apply to the custom Diamond amount.
+const PRICE_LIST = {
+  usd: { bronze: 5000, silver: 10000, gold: 25000, diamondMinimum: 50000, diamondStep: 5000, expeditedFee: 500, click: 25 },
+  eur: { bronze: 5000, silver: 10000, gold: 25000, diamondMinimum: 50000, diamondStep: 5000, expeditedFee: 500, click: 25 },
+  gbp: { bronze: 4000, silver: 8000, gold: 20000, diamondMinimum: 40000, diamondStep: 4000, expeditedFee: 400, click: 20 }
+};
+
+// Smallest amount Stripe will charge, in minor units
+const MINIMUM_CHARGE = { usd: 50, eur: 50, gbp: 30 };
+
+/**
+ * Lowercase ISO code when supported, fallback when the value is empty, otherwise null.
+ * @param {string|null|undefined} value
+ * @param {string|null} [fallback]
+ */
+function normalizeCurrency(value, fallback = REPORTING_CURRENCY) {
+  if (value == null || String(value).trim() === '') return fallback;
+  const code = String(value).trim().toLowerCase();
+  return SUPPORTED_CURRENCIES.includes(code) ? code : null;
+}
+
+function priceList(currency) {
+  return PRICE_LIST[normalizeCurrency(currency)] || PRICE_LIST[REPORTING_CURRENCY];
+}
+
+function minimumCharge(currency) {
+  return (MINIMUM_CHARGE[normalizeCurrency(currency)] || MINIMUM_CHARGE[REPORTING_CURRENCY]) / 100;
+}
+
+function formatMoney(amount, currency = REPORTING_CURRENCY) {
+  return new Intl.NumberFormat('en-US', { style: 'currency', currency: String(currency || REPORTING_CURRENCY).toUpperCase() })
+    .format(Number(amount) || 0);
+}
+
+/**
+ * Snapshot Stripe's current exchange rates for every supported currency.
+ * @param {object} db
+ * @param {object} [stripe]
+ * @returns {Promise<Array<{ id: number, currency: string, rate: string, captured_at: Date }>>}
+ */
+async function refreshFxRates(db, stripe = createStripeClient()) {
+  const exchangeRate = await stripe.exchangeRates.retrieve(REPORTING_CURRENCY);
+  const snapshots = [];
+  for (const currency of SUPPORTED_CURRENCIES) {
+    if (currency === REPORTING_CURRENCY) continue;
+    const perReportingUnit = Number(exchangeRate.rates?.[currency]);
+    if (!(perReportingUnit > 0)) {
+      throw new Error(`Stripe returned no ${currency.toUpperCase()} exchange rate`);
+    }
+    const result = await db.query(`
+      INSERT INTO fx_rates (currency, rate, source)
+      VALUES ($1, $2, 'stripe')
+      RETURNING id, currency, rate, captured_at
+    `, [currency, (1 / perReportingUnit).toFixed(10)]);
+    snapshots.push(result.rows[0]);
+  }
+  return snapshots;
+}
+
+/**
+ * The FX snapshot to convert a currency with: the given snapshot, else the latest one. A currency that has
+ * never been snapshotted is fetched from Stripe first.
+ * @param {object} db
+ * @param {string} currency
+ * @param {{ fxRateId?: number|null }} [options]
+ * @returns {Promise<{ id: number|null, rate: number }>} rate is REPORTING_CURRENCY per unit of currency
+ */
+async function loadFxRate(db, currency, { fxRateId = null } = {}) {
+  const code = normalizeCurrency(currency);
+  if (!code) throw new Error(`Unsupported currency: ${currency}`);
+  if (code === REPORTING_CURRENCY) return { id: null, rate: 1 };
+
+  const query = () => fxRateId
+    ? db.query('SELECT id, rate FROM fx_rates WHERE id = $1 AND currency = $2', [fxRateId, code])
+    : db.query('SELECT id, rate FROM fx_rates WHERE currency = $1 ORDER BY captured_at DESC, id DESC LIMIT 1', [code]);
+  let result = await query();
+  if (result.rows.length === 0 && !fxRateId) {
+    await refreshFxRates(db);
+    result = await query();
+  }
+  if (result.rows.length === 0) {
+    throw new Error(`No ${code.toUpperCase()} FX rate snapshot${fxRateId ? ` ${fxRateId}` : ''}`);
+  }
+  return { id: result.rows[0].id, rate: parseFloat(result.rows[0].rate) };
+}
+
+/**
+ * Convert an amount charged in currency into REPORTING_CURRENCY. The result holds every donation_ledger
+ * currency column: amount (converted), currency, originalAmount, fxRate, fxRateId.
+ * @param {object} db
+ * @param {number|string} amount - major units of currency
+ * @param {string} currency
+ * @param {{ fxRateId?: number|null }} [options] - convert with a stored snapshot instead of the latest
+ */
+async function toReportingAmount(db, amount, currency, options = {}) {
+  const originalAmount = Math.round((parseFloat(amount) || 0) * 100) / 100;
+  const code = normalizeCurrency(currency);
+  const fx = await loadFxRate(db, code, options);
+  return {
+    amount: Math.round(originalAmount * fx.rate * 100) / 100,
+    currency: code,
+    originalAmount,
+    fxRate: fx.rate,
+    fxRateId: fx.id
+  };
+}
+
+module.exports = {
+  REPORTING_CURRENCY,
+  SUPPORTED_CURRENCIES,
+  normalizeCurrency,
+  priceList,
+  minimumCharge,
+  formatMoney,
+  refreshFxRates,
+  loadFxRate,
+  toReportingAmount
+};
@@ -0,0 +1,370 @@
+const { formatMoney, formatDate, formatWeekRange, renderBillingPdf } = require('./billingDocuments');
+const { WEEK_RECIPIENTS_SQL } = require('./charityRecipients');
+
+/**
+ * Numbered donation receipts and year-end donation statements for viewers and sponsors.
+ *
+ * Every completed viewer donation (donations) and sponsor payment (sponsor_donations) gets one receipt,
+ * numbered DR-<year>-<sequence> and never renumbered. Receipts are issued right after a direct donation's
+ * checkout (attached to the thank-you email), by the daily send-donation-receipts job, and on demand when a
+ * donor lists their receipts.
+ *
+ * The receiving charity is the winner of the payment's donation week — the week of its donation_ledger row,
+ * or the billing week of the payment date when there is none. Its name and federal EIN
+ * (charity_applications.federal_ein) are copied onto the receipt once the week's winner is known — every
+ * charity's, for a week split between several (lib/charityRecipients.js); a receipt is emailed only after that.
+ *
+ * Year-end statements list a donor's receipts for a calendar year, net of refunds and disputes (reversing
+ * donation_ledger rows). scripts/generate-donation-statements.js records and emails them each January;
+ * donors can download any year from their account.
+ *
+ * Tables: donation_receipts, donation_statements (migrations/014_donation_receipts.sql).
+ */
+
+const RECEIPT_COLUMNS = [
+  { key: 'date', header: 'Date', width: 80 },
+  { key: 'description', header: 'Description', width: 130 },
+  { key: 'charity', header: 'Receiving charity', width: 150 },
+  { key: 'ein', header: 'EIN', width: 72 },
+  { key: 'amount', header: 'Amount', width: 80, align: 'right' }
+];
+
+const STATEMENT_COLUMNS = [
+  { key: 'date', header: 'Date', width: 80 },
+  { key: 'description', header: 'Receipt', width: 110 },
+  { key: 'charity', header: 'Receiving charity', width: 170 },
+  { key: 'ein', header: 'EIN', width: 72 },
+  { key: 'amount', header: 'Amount', width: 80, align: 'right' }
+];
+
+const DOCUMENT_FOOTER =
+  'Charity Stream pools every donation made during a week and grants it to that week\'s winning charity, ' +
+  'named above with its federal EIN. Keep this document for your tax records.';
+
+// Billing week (Monday, America/Los_Angeles) of a stored UTC timestamp
+const weekOf = (column) => `date_trunc('week', timezone('America/Los_Angeles', timezone('UTC', ${column})))::date`;
+
+// One row per completed payment that is owed a receipt; the ledger row supplies the exact amount (in the
+// currency it was charged in) and week
+const RECEIPT_SOURCES_SQL = `
+  SELECT 'viewer' AS donor_type, d.id AS donation_id, d.user_id, NULL::integer AS sponsor_account_id,
+         COALESCE(u.username, d.customer_email) AS donor_name, COALESCE(d.customer_email, u.email) AS donor_email,
+         dl.id::text AS ledger_id, COALESCE(dl.original_amount, dl.amount, d.amount) AS amount,
+         COALESCE(dl.currency, d.currency, 'usd') AS currency,
+         COALESCE(d.updated_at, d.created_at) AS donated_at,
+         COALESCE(dl.week_start, ${weekOf('COALESCE(d.updated_at, d.created_at)')}) AS week_start
+  FROM donations d
+  LEFT JOIN users u ON u.id = d.user_id
+  LEFT JOIN LATERAL (
+    SELECT id, amount, original_amount, currency, week_start FROM donation_ledger
+    WHERE source_type = 'direct_donation' AND source_id = d.id::text AND reverses_ledger_id IS NULL
+    LIMIT 1
+  ) dl ON TRUE
+  WHERE d.status = 'completed'
+  UNION ALL
+  SELECT 'sponsor', sd.id, NULL::integer, sd.sponsor_account_id,
+         sa.organization_legal_name, sa.contact_email,
+         dl.id::text, COALESCE(dl.original_amount, dl.amount, sd.amount_cents / 100.0), COALESCE(dl.currency, sd.currency, 'usd'),
+         COALESCE(sd.created_at, dl.week_start::timestamp, NOW()),
+         COALESCE(dl.week_start, ${weekOf('COALESCE(sd.created_at, NOW())')})
+  FROM sponsor_donations sd
+  JOIN sponsor_accounts sa ON sa.id = sd.sponsor_account_id
+  LEFT JOIN LATERAL (
+    SELECT id, amount, original_amount, currency, week_start FROM donation_ledger
+    WHERE source_type = 'sponsor' AND billing_record_id::text = sd.id::text AND reverses_ledger_id IS NULL
+    LIMIT 1
+  ) dl ON TRUE
+  WHERE COALESCE(sd.amount_cents, 0) > 0
+`;
+
+// Receipts with the part of the payment that was later refunded or disputed, and the FX rate the payment
+// was pooled at (lib/currency.js)
+const RECEIPTS_SQL = `
+  SELECT r.*,
+         COALESCE((SELECT -SUM(COALESCE(rev.original_amount, rev.amount)) FROM donation_ledger rev WHERE rev.reverses_ledger_id = r.ledger_id), 0) AS refunded_amount,
+         COALESCE((SELECT dl.fx_rate FROM donation_ledger dl WHERE dl.id::text = r.ledger_id), 1) AS fx_rate
+  FROM donation_receipts r
+`;
+
+// { userId } for a viewer or { sponsorAccountId } for a sponsor → condition on donation_receipts r
+function ownerCondition(owner, param) {
+  return owner.sponsorAccountId != null
+    ? { sql: `r.donor_type = 'sponsor' AND r.sponsor_account_id = $${param}`, value: owner.sponsorAccountId }
+    : { sql: `r.donor_type = 'viewer' AND r.user_id = $${param}`, value: owner.userId };
+}
+
+function statementNumber(donorType, donorId, year) {
+  return `DS-${year}-${donorType === 'sponsor' ? 'S' : 'V'}${donorId}`;
+}
+
+function netAmount(receipt) {
+  return Math.max(0, (parseFloat(receipt.amount) || 0) - (parseFloat(receipt.refunded_amount) || 0));
+}
+
+/**
+ * Copy the week's winning charity onto receipts issued before the winner was known. A split week lists every
+ * charity's name and EIN in payout order; charity_application_id is the first.
+ * @returns {Promise<number>} receipts updated
+ */
+async function attachReceiptCharities(db) {
+  const result = await db.query(`
+    UPDATE donation_receipts r
+    SET charity_application_id = wc.charity_application_id, charity_name = wc.charity_name, charity_ein = wc.charity_ein
+    FROM (
+      SELECT wr.week_start,
+             (ARRAY_AGG(ca.id ORDER BY wr.position))[1] AS charity_application_id,
+             STRING_AGG(ca.charity_name, ', ' ORDER BY wr.position) AS charity_name,
+             STRING_AGG(ca.federal_ein, ', ' ORDER BY wr.position) AS charity_ein
+      FROM (${WEEK_RECIPIENTS_SQL}) wr
+      JOIN charity_applications ca ON ca.id = wr.charity_application_id
+      GROUP BY wr.week_start
+    ) wc
+    WHERE r.charity_application_id IS NULL AND wc.week_start = r.week_start
+  `);
+  return result.rowCount;
+}
+
+/**
+ * Issue receipts for completed donations and sponsor payments that have none yet, then fill in charities
+ * for any receipt whose week now has a winner. Filters narrow which payments are considered.
+ * @param {object} db
+ * @param {{ userId?: number, sponsorAccountId?: number, donorType?: 'viewer'|'sponsor', donationId?: number, since?: Date }} [filters]
+ * @returns {Promise<object[]>} the receipts issued by this call
+ */
+async function issueDonationReceipts(db, { userId = null, sponsorAccountId = null, donorType = null, donationId = null, since = null } = {}) {
+  const inserted = await db.query(`
+    INSERT INTO donation_receipts (
+      receipt_number, donor_type, donation_id, user_id, sponsor_account_id, donor_name, donor_email,
+      ledger_id, amount, currency, donated_at, week_start
+    )
+    SELECT 'DR-' || to_char(src.donated_at, 'YYYY') || '-' || lpad(nextval('donation_receipt_number_seq')::text, 6, '0'),
+           src.donor_type, src.donation_id, src.user_id, src.sponsor_account_id, src.donor_name, src.donor_email,
+           src.ledger_id, src.amount, src.currency, src.donated_at, src.week_start
+    FROM (
+      SELECT * FROM (${RECEIPT_SOURCES_SQL}) s
+      WHERE NOT EXISTS (
+          SELECT 1 FROM donation_receipts r WHERE r.donor_type = s.donor_type AND r.donation_id = s.donation_id
+        )
+        AND ($1::integer IS NULL OR s.user_id = $1)
+        AND ($2::integer IS NULL OR s.sponsor_account_id = $2)
+        AND ($3::text IS NULL OR s.donor_type = $3)
+        AND ($4::integer IS NULL OR s.donation_id = $4)
+        AND ($5::timestamp IS NULL OR s.donated_at >= $5)
+      ORDER BY s.donated_at ASC
+    ) src
+    ON CONFLICT (donor_type, donation_id) DO NOTHING
+    RETURNING id
+  `, [userId, sponsorAccountId, donorType, donationId, since]);
+
+  await attachReceiptCharities(db);
+  if (inserted.rows.length === 0) return [];
+
+  const issued = await db.query(`${RECEIPTS_SQL} WHERE r.id = ANY($1::int[]) ORDER BY r.id`, [inserted.rows.map(row => row.id)]);
+  console.log(`🧾 [DONATION RECEIPTS] Issued ${issued.rows.length} receipt(s)`);
+  return issued.rows;
+}
+
+function receiptRow(receipt) {
+  const refunded = parseFloat(receipt.refunded_amount) || 0;
+  return {
+    date: formatDate(receipt.donated_at),
+    description: receipt.donor_type === 'sponsor' ? 'Sponsorship payment' : 'Donation',
+    charity: receipt.charity_name || 'To be announced',
+    ein: receipt.charity_ein || '—',
+    amount: formatMoney(netAmount(receipt), receipt.currency) + (refunded > 0 ? ' (net)' : '')
+  };
+}
+
+function receiptDocument(receipt) {
+  const amount = parseFloat(receipt.amount) || 0;
+  const refunded = parseFloat(receipt.refunded_amount) || 0;
+  const notes = [];
+  if (refunded > 0) {
+    notes.push(`${formatMoney(refunded, receipt.currency)} of the original ${formatMoney(amount, receipt.currency)} was refunded or disputed; the amount shown is net.`);
+  }
+  if (!receipt.charity_name) {
+    notes.push(`The winning charity for the week of ${formatWeekRange(receipt.week_start)} has not been announced yet.`);
+  }
+
+  return {
+    title: 'Donation Receipt',
+    number: receipt.receipt_number,
+    issuedAt: receipt.created_at ? new Date(receipt.created_at) : new Date(),
+    status: refunded >= amount && amount > 0 ? 'Refunded' : `Received ${formatDate(receipt.donated_at)}`,
+    billToLabel: 'RECEIVED FROM',
+    billTo: { name: receipt.donor_name || 'Donor', email: receipt.donor_email },
+    period: `Donation week ${formatWeekRange(receipt.week_start)}`,
+    columns: RECEIPT_COLUMNS,
+    rows: [receiptRow(receipt)],
+    total: formatMoney(netAmount(receipt), receipt.currency),
+    notes,
+    footer: DOCUMENT_FOOTER,
+    filename: `charity-stream-${receipt.receipt_number.toLowerCase()}.pdf`
+  };
+}
+
+/**
+ * The donor's receipts (newest first), issuing any that are missing, and the years they can download a
+ * statement for.
+ * @param {object} db
+ * @param {{ userId?: number, sponsorAccountId?: number }} owner
+ */
+async function listDonationReceipts(db, owner) {
+  await issueDonationReceipts(db, owner.sponsorAccountId != null
+    ? { sponsorAccountId: owner.sponsorAccountId, donorType: 'sponsor' }
+    : { userId: owner.userId, donorType: 'viewer' });
+
+  const condition = ownerCondition(owner, 1);
+  const result = await db.query(`${RECEIPTS_SQL} WHERE ${condition.sql} ORDER BY r.donated_at DESC`, [condition.value]);
+  const receipts = result.rows.map(r => ({
+    receiptNumber: r.receipt_number,
+    donatedAt: r.donated_at,
+    amount: parseFloat(r.amount) || 0,
+    refundedAmount: parseFloat(r.refunded_amount) || 0,
+    currency: r.currency,
+    weekStart: r.week_start,
+    charityName: r.charity_name,
+    charityEin: r.charity_ein
+  }));
+  const statementYears = [...new Set(result.rows.map(r => new Date(r.donated_at).getUTCFullYear()))];
+  return { receipts, statementYears };
+}
+
+/**
+ * Receipt document for one of the donor's receipts.
+ * @returns {Promise<object|null>} null when the receipt does not belong to the donor
+ */
+async function loadDonationReceiptDocument(db, owner, receiptNumber) {
+  const condition = ownerCondition(owner, 2);
+  const result = await db.query(`${RECEIPTS_SQL} WHERE r.receipt_number = $1 AND ${condition.sql}`, [receiptNumber, condition.value]);
+  return result.rows.length ? receiptDocument(result.rows[0]) : null;
+}
+
+/**
+ * Year-end statement of every receipt the donor was issued for a calendar year (year to date for the
+ * current year).
+ * @param {object} db
+ * @param {{ userId?: number, sponsorAccountId?: number }} owner
+ * @param {number} year
+ */
+async function loadDonationStatementDocument(db, owner, year) {
+  const donorType = owner.sponsorAccountId != null ? 'sponsor' : 'viewer';
+  const donorId = donorType === 'sponsor' ? owner.sponsorAccountId : owner.userId;
+  await issueDonationReceipts(db, donorType === 'sponsor'
+    ? { sponsorAccountId: donorId, donorType, since: new Date(Date.UTC(year, 0, 1)) }
+    : { userId: donorId, donorType, since: new Date(Date.UTC(year, 0, 1)) });
+
+  const condition = ownerCondition(owner, 1);
+  const receipts = await db.query(`
+    ${RECEIPTS_SQL}
+    WHERE ${condition.sql} AND r.donated_at >= make_date($2, 1, 1) AND r.donated_at < make_date($2 + 1, 1, 1)
+    ORDER BY r.donated_at ASC
+  `, [condition.value, year]);
+  const donor = receipts.rows[receipts.rows.length - 1] || null;
+  const fallbackDonor = donor ? null : await db.query(
+    donorType === 'sponsor'
+      ? 'SELECT organization_legal_name AS donor_name, contact_email AS donor_email FROM sponsor_accounts WHERE id = $1'
+      : 'SELECT username AS donor_name, email AS donor_email FROM users WHERE id = $1',
+    [donorId]
+  );
+  const billTo = donor || fallbackDonor.rows[0] || {};
+  const totals = new Map();
+  for (const r of receipts.rows) {
+    totals.set(r.currency, (totals.get(r.currency) || 0) + netAmount(r));
+  }
+  const currentYear = new Date().getUTCFullYear();
+
+  return {
+    title: 'Annual Donation Statement',
+    number: statementNumber(donorType, donorId, year),
+    issuedAt: new Date(),
+    status: year === currentYear ? `${year} year to date` : `Calendar year ${year}`,
+    billToLabel: 'DONOR',
+    billTo: { name: billTo.donor_name || 'Donor', email: billTo.donor_email || null },
+    period: `${receipts.rows.length} donation${receipts.rows.length === 1 ? '' : 's'} from January 1 to ${year === currentYear ? formatDate(new Date()) : `December 31, ${year}`}`,
+    columns: STATEMENT_COLUMNS,
+    rows: receipts.rows.map(r => ({ ...receiptRow(r), description: r.receipt_number })),
+    total: totals.size ? [...totals].map(([currency, total]) => formatMoney(total, currency)).join(' + ') : formatMoney(0),
+    notes: receipts.rows.length === 0 ? [`No donations in ${year}.`] : [],
+    footer: DOCUMENT_FOOTER,
+    filename: `charity-stream-donation-statement-${year}.pdf`
+  };
+}
+
+/**
+ * Per-donor receipt count and net total for a calendar year, for the year-end statement job. total_amount is
+ * in the reporting currency (each receipt converted at the rate its payment was pooled at).
+ * @returns {Promise<Array<{ donor_type: string, donor_id: number, donor_name: string, donor_email: string, receipt_count: number, total_amount: number }>>}
+ */
+async function loadStatementDonors(db, year) {
+  const result = await db.query(`
+    SELECT r.donor_type,
+           COALESCE(r.user_id, r.sponsor_account_id) AS donor_id,
+           (ARRAY_AGG(r.donor_name ORDER BY r.donated_at DESC))[1] AS donor_name,
+           (ARRAY_AGG(r.donor_email ORDER BY r.donated_at DESC))[1] AS donor_email,
+           COUNT(*)::int AS receipt_count,
+           ROUND(SUM(GREATEST(r.amount - r.refunded_amount, 0) * r.fx_rate), 2) AS total_amount
+    FROM (${RECEIPTS_SQL}) r
+    WHERE r.donated_at >= make_date($1, 1, 1) AND r.donated_at < make_date($1 + 1, 1, 1)
+      AND COALESCE(r.user_id, r.sponsor_account_id) IS NOT NULL
+    GROUP BY r.donor_type, COALESCE(r.user_id, r.sponsor_account_id)
+    ORDER BY r.donor_type, donor_id
+  `, [year]);
+  return result.rows.map(row => ({ ...row, total_amount: parseFloat(row.total_amount) || 0 }));
+}
+
+/**
+ * Render a receipt and email it to the donor, then stamp emailed_at. Receipts whose charity is not known
+ * yet, or with no email address, are skipped.
+ * @returns {Promise<boolean>} whether the email was sent
+ */
+async function emailDonationReceipt(db, emailService, receipt) {
+  if (!receipt.charity_name || !receipt.donor_email) return false;
+  const model = receiptDocument(receipt);
+  const result = await emailService.sendDonationReceiptEmail(receipt.donor_email, receipt.donor_name, {
+    receiptNumber: receipt.receipt_number,
+    amountLabel: model.total,
+    charityName: receipt.charity_name,
+    pdf: { filename: model.filename, content: await renderBillingPdf(model) }
+  });
+  if (!result || !result.success) {
+    throw new Error(result?.error || 'Email not sent');
+  }
+  await markDonationReceiptEmailed(db, receipt.id);
+  return true;
+}
+
+// Receipts with a charity that were never emailed (donation made on or after since)
+async function loadUnsentDonationReceipts(db, { since }) {
+  const result = await db.query(`
+    ${RECEIPTS_SQL}
+    WHERE r.emailed_at IS NULL AND r.charity_application_id IS NOT NULL AND r.donor_email IS NOT NULL
+      AND r.donated_at >= $1
+    ORDER BY r.id ASC
+  `, [since]);
+  return result.rows;
+}
+
+async function markDonationReceiptEmailed(db, receiptId) {
+  await db.query('UPDATE donation_receipts SET emailed_at = NOW() WHERE id = $1', [receiptId]);
+}
+
+// Receipt PDF as an email attachment ({ filename, content }), for emails other than the receipt email
+async function buildDonationReceiptPdf(receipt) {
+  const model = receiptDocument(receipt);
+  return { filename: model.filename, content: await renderBillingPdf(model) };
+}
+
+module.exports = {
+  statementNumber,
+  attachReceiptCharities,
+  issueDonationReceipts,
+  listDonationReceipts,
+  loadDonationReceiptDocument,
+  loadDonationStatementDocument,
+  loadStatementDonors,
+  loadUnsentDonationReceipts,
+  emailDonationReceipt,
+  markDonationReceiptEmailed,
+  buildDonationReceiptPdf
+};
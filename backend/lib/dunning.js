@@ -0,0 +1,536 @@
+const { formatMoney, toReportingAmount } = require('./currency');
+const { postAdvertiserWriteOff } = require('./journal');
+
+/**
+ * Dunning for failed advertiser invoices and sponsor subscription invoices.
+ *
+ * invoice.payment_failed opens one dunning_cases row per invoice (openDunningCase) and sends the first
+ * payment-failed email. The daily /api/system/process-dunning cron (scripts/process-dunning.js) then works
+ * through the schedule, counted in days from the first failure:
+ *   - retry days (default 1, 3, 7): stripe.invoices.pay against the customer's default payment method;
+ *     a failed retry emails a reminder with the next retry and pause dates
+ *   - grace period (default 3 days): the campaign keeps running, then it is paused — recurring advertiser
+ *     campaigns get is_paused + paused_for_dunning, sponsor campaigns go to 'payment_failed' with
+ *     sponsor_billing 'failed' (what invoice.payment_failed used to do straight away)
+ *   - final day (default 14): the invoice is marked uncollectible, the campaign is revoked (advertiser
+ *     campaign archived, sponsor subscription canceled) and an advertiser invoice is written off the
+ *     receivable (Dr bad_debt, Cr advertiser_receivable). Sponsor payments are only booked when received, so
+ *     there is nothing to write off for them
+ * Each step emails the customer once, the most severe step of the run winning. invoice.paid (or
+ * invoice.payment_succeeded) at any point recovers the case (recoverDunningCase); an invoice paid after it was
+ * written off reverses the write-off, but the campaign stays revoked.
+ *
+ * The schedule comes from DUNNING_RETRY_DAYS (comma-separated), DUNNING_GRACE_DAYS and DUNNING_FINAL_DAYS.
+ * One-time sponsor payments that fail at approval are not dunned: the campaign has not run, nothing is owed,
+ * and the sponsor retries from the portal (/api/sponsor/retry-payment).
+ *
+ * Tables: dunning_cases, advertisers, sponsor_campaigns, sponsor_billing, sponsor_accounts,
+ * recurring_billing_records, non_recurring_billing_records.
+ */
+
+const DUNNING_DEFAULTS = {
+  retryDays: [1, 3, 7],
+  graceDays: 3,
+  finalDays: 14
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How long a claimed case is left alone before another run may pick it up again
+const CLAIM_MINUTES = 30;
+
+const REVOKED_REASON = 'Revoked for non-payment';
+
+function parseDays(value) {
+  if (value === undefined || value === null || String(value).trim() === '') return null;
+  const n = Number(value);
+  return Number.isInteger(n) && n >= 0 ? n : NaN;
+}
+
+/**
+ * The dunning schedule from the environment, falling back to the defaults for anything missing or invalid.
+ * @param {object} [env]
+ * @returns {{ retryDays: number[], graceDays: number, finalDays: number }}
+ */
+function dunningSchedule(env = process.env) {
+  let retryDays = DUNNING_DEFAULTS.retryDays;
+  if (env.DUNNING_RETRY_DAYS !== undefined && String(env.DUNNING_RETRY_DAYS).trim() !== '') {
+    const parsed = String(env.DUNNING_RETRY_DAYS).split(',').map(parseDays);
+    if (parsed.every(day => Number.isInteger(day) && day > 0)) {
+      retryDays = [...new Set(parsed)].sort((a, b) => a - b);
+    } else {
+      console.warn(`⚠️ [DUNNING] Ignoring invalid DUNNING_RETRY_DAYS "${env.DUNNING_RETRY_DAYS}"`);
+    }
+  }
+
+  let graceDays = parseDays(env.DUNNING_GRACE_DAYS);
+  if (Number.isNaN(graceDays)) {
+    console.warn(`⚠️ [DUNNING] Ignoring invalid DUNNING_GRACE_DAYS "${env.DUNNING_GRACE_DAYS}"`);
+  }
+  if (!Number.isInteger(graceDays)) graceDays = DUNNING_DEFAULTS.graceDays;
+
+  let finalDays = parseDays(env.DUNNING_FINAL_DAYS);
+  if (Number.isInteger(finalDays) && (finalDays <= graceDays || finalDays <= retryDays[retryDays.length - 1])) {
+    console.warn(`⚠️ [DUNNING] DUNNING_FINAL_DAYS must come after the grace period and the last retry; using ${DUNNING_DEFAULTS.finalDays}`);
+    finalDays = null;
+  } else if (Number.isNaN(finalDays)) {
+    console.warn(`⚠️ [DUNNING] Ignoring invalid DUNNING_FINAL_DAYS "${env.DUNNING_FINAL_DAYS}"`);
+  }
+  if (!Number.isInteger(finalDays)) {
+    finalDays = Math.max(DUNNING_DEFAULTS.finalDays, graceDays + 1, retryDays[retryDays.length - 1] + 1);
+  }
+
+  return { retryDays, graceDays, finalDays };
+}
+
+function addDays(date, days) {
+  return new Date(new Date(date).getTime() + days * DAY_MS);
+}
+
+/**
+ * When the case's next retry, pause and final step fall due.
+ * @param {object} dunningCase - dunning_cases row
+ * @param {{ retryDays: number[], graceDays: number, finalDays: number }} schedule
+ * @returns {{ nextRetryAt: Date|null, pauseAt: Date, finalAt: Date, nextActionAt: Date|null }}
+ */
+function dunningTimeline(dunningCase, schedule) {
+  const attempts = dunningCase.attempts || 0;
+  const nextRetryAt = attempts < schedule.retryDays.length ? addDays(dunningCase.failed_at, schedule.retryDays[attempts]) : null;
+  const pauseAt = addDays(dunningCase.failed_at, schedule.graceDays);
+  const finalAt = addDays(dunningCase.failed_at, schedule.finalDays);
+  const pending = dunningCase.status === 'open'
+    ? [nextRetryAt, dunningCase.paused_at ? null : pauseAt, finalAt].filter(Boolean)
+    : [];
+  const nextActionAt = pending.length > 0 ? new Date(Math.min(...pending.map(d => d.getTime()))) : null;
+  return { nextRetryAt, pauseAt, finalAt, nextActionAt };
+}
+
+function dunningStage(dunningCase) {
+  if (dunningCase.status === 'open') return dunningCase.paused_at ? 'paused' : 'retrying';
+  return dunningCase.status;
+}
+
+/**
+ * The case as the portals and admin-cs show it.
+ * @param {object} dunningCase - dunning_cases row (admin listings add the customer's name and email)
+ * @param {{ retryDays: number[], graceDays: number, finalDays: number }} [schedule]
+ */
+function dunningCaseResponse(dunningCase, schedule = dunningSchedule()) {
+  const timeline = dunningTimeline(dunningCase, schedule);
+  const isOpen = dunningCase.status === 'open';
+  return {
+    id: dunningCase.id,
+    subjectType: dunningCase.subject_type,
+    advertiserId: dunningCase.advertiser_id,
+    sponsorCampaignId: dunningCase.sponsor_campaign_id,
+    customerName: dunningCase.customer_name || null,
+    customerEmail: dunningCase.customer_email || null,
+    invoiceId: dunningCase.stripe_invoice_id,
+    amountDue: parseFloat(dunningCase.amount_due),
+    currency: dunningCase.currency,
+    status: dunningCase.status,
+    stage: dunningStage(dunningCase),
+    attempts: dunningCase.attempts,
+    maxAttempts: schedule.retryDays.length,
+    failedAt: dunningCase.failed_at,
+    lastAttemptAt: dunningCase.last_attempt_at,
+    lastError: dunningCase.last_error,
+    nextRetryAt: isOpen ? timeline.nextRetryAt : null,
+    pauseAt: isOpen && !dunningCase.paused_at ? timeline.pauseAt : null,
+    finalAt: isOpen ? timeline.finalAt : null,
+    pausedAt: dunningCase.paused_at,
+    writtenOffAt: dunningCase.written_off_at,
+    resolvedAt: dunningCase.resolved_at
+  };
+}
+
+function formatDunningDate(date) {
+  return date
+    ? new Date(date).toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric', timeZone: 'UTC' })
+    : null;
+}
+
+/**
+ * Dates for the payment-failed / dunning emails.
+ * @returns {{ amountLabel: string, nextRetryLabel: string|null, pauseLabel: string|null, finalLabel: string }}
+ */
+function dunningEmailLabels(dunningCase, schedule = dunningSchedule()) {
+  const timeline = dunningTimeline(dunningCase, schedule);
+  return {
+    amountLabel: formatMoney(dunningCase.amount_due, dunningCase.currency),
+    nextRetryLabel: formatDunningDate(timeline.nextRetryAt),
+    pauseLabel: dunningCase.paused_at ? null : formatDunningDate(timeline.pauseAt),
+    finalLabel: formatDunningDate(timeline.finalAt)
+  };
+}
+
+/**
+ * Open the case for a failed invoice. Stripe sends invoice.payment_failed again for every failed retry, so
+ * an invoice that already has a case is left as it is.
+ * @param {object} db
+ * @param {{ subjectType: 'advertiser'|'sponsor', advertiserId?: number|null, sponsorCampaignId?: string|null,
+ *   invoice: object, schedule?: object }} params
+ * @returns {Promise<{ opened: boolean, dunningCase: object|null }>}
+ */
+async function openDunningCase(db, { subjectType, advertiserId = null, sponsorCampaignId = null, invoice, schedule = dunningSchedule() }) {
+  const failedAt = new Date();
+  const timeline = dunningTimeline({ status: 'open', attempts: 0, failed_at: failedAt }, schedule);
+  const amountCents = typeof invoice.amount_due === 'number' ? invoice.amount_due : invoice.total;
+  const inserted = await db.query(`
+    INSERT INTO dunning_cases (subject_type, advertiser_id, sponsor_campaign_id, stripe_invoice_id, amount_due, currency,
+                               failed_at, next_action_at)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    ON CONFLICT (stripe_invoice_id) DO NOTHING
+    RETURNING *
+  `, [
+    subjectType,
+    subjectType === 'advertiser' ? advertiserId : null,
+    subjectType === 'sponsor' ? sponsorCampaignId : null,
+    invoice.id,
+    (amountCents || 0) / 100,
+    invoice.currency || 'usd',
+    failedAt,
+    timeline.nextActionAt
+  ]);
+  if (inserted.rows.length > 0) {
+    return { opened: true, dunningCase: inserted.rows[0] };
+  }
+  const existing = await db.query('SELECT * FROM dunning_cases WHERE stripe_invoice_id = $1', [invoice.id]);
+  return { opened: false, dunningCase: existing.rows[0] || null };
+}
+
+// Reporting-currency amount the invoice put on advertiser_receivable (postAdvertiserBilling)
+async function advertiserReceivableAmount(db, invoiceId) {
+  const record = await db.query(`
+    SELECT amount_billed, currency, fx_rate_id FROM recurring_billing_records WHERE stripe_invoice_id = $1
+    UNION ALL
+    SELECT amount_billed, currency, fx_rate_id FROM non_recurring_billing_records WHERE stripe_invoice_id = $1
+    LIMIT 1
+  `, [invoiceId]);
+  if (record.rows.length === 0) return 0;
+  const { amount_billed: amountBilled, currency, fx_rate_id: fxRateId } = record.rows[0];
+  const converted = await toReportingAmount(db, amountBilled, currency, { fxRateId });
+  return converted.amount;
+}
+
+/**
+ * The invoice was paid: close its case. Idempotent (invoice.paid and invoice.payment_succeeded both call it).
+ * A written-off advertiser invoice gets its write-off reversed.
+ * @param {object} db
+ * @param {string} invoiceId
+ * @returns {Promise<object|null>} the recovered case, or null when the invoice had no case to recover
+ */
+async function recoverDunningCase(db, invoiceId) {
+  if (!invoiceId) return null;
+  const result = await db.query(`
+    UPDATE dunning_cases dc
+    SET status = 'recovered', resolved_at = NOW(), next_action_at = NULL, updated_at = NOW()
+    FROM (SELECT id, status FROM dunning_cases WHERE stripe_invoice_id = $1 FOR UPDATE) previous
+    WHERE dc.id = previous.id AND previous.status IN ('open', 'written_off')
+    RETURNING dc.*, previous.status AS previous_status
+  `, [invoiceId]);
+  const recovered = result.rows[0];
+  if (!recovered) return null;
+
+  if (recovered.previous_status === 'written_off' && recovered.subject_type === 'advertiser') {
+    const amount = await advertiserReceivableAmount(db, invoiceId);
+    await postAdvertiserWriteOff(db, {
+      invoiceId,
+      advertiserId: recovered.advertiser_id,
+      amount,
+      recovered: true,
+      description: `Written-off advertiser invoice ${invoiceId} paid`
+    });
+  }
+  console.log(`✅ [DUNNING] Case ${recovered.id} recovered (invoice ${invoiceId} paid)`);
+  return recovered;
+}
+
+// Stop the campaign serving at the end of the grace period; returns true when something was paused
+async function pauseForDunning(db, dunningCase) {
+  let paused = false;
+  if (dunningCase.subject_type === 'advertiser') {
+    const result = await db.query(`
+      UPDATE advertisers
+      SET is_paused = TRUE, paused_for_dunning = TRUE
+      WHERE id = $1 AND recurring_weekly = TRUE AND COALESCE(status, '') != 'archived'
+      RETURNING id
+    `, [dunningCase.advertiser_id]);
+    paused = result.rows.length > 0;
+  } else {
+    await db.query(`
+      UPDATE sponsor_billing SET status = 'failed'
+      WHERE sponsor_campaign_id = $1 AND status <> 'canceled'
+    `, [dunningCase.sponsor_campaign_id]);
+    const result = await db.query(`
+      UPDATE sponsor_campaigns
+      SET status = 'payment_failed', updated_at = NOW()
+      WHERE id = $1 AND status NOT IN ('payment_failed', 'rejected', 'cancelled', 'canceled', 'ended')
+      RETURNING id
+    `, [dunningCase.sponsor_campaign_id]);
+    paused = result.rows.length > 0;
+  }
+  await db.query(`
+    UPDATE dunning_cases SET paused_at = NOW(), updated_at = NOW() WHERE id = $1
+  `, [dunningCase.id]);
+  return paused;
+}
+
+// Final step: give up on the invoice in Stripe, revoke the campaign and write the receivable off
+async function revokeForDunning(db, stripe, dunningCase) {
+  const invoiceId = dunningCase.stripe_invoice_id;
+
+  if (dunningCase.subject_type === 'sponsor') {
+    const billing = await db.query(`
+      SELECT stripe_subscription_id, status FROM sponsor_billing WHERE sponsor_campaign_id = $1 LIMIT 1
+    `, [dunningCase.sponsor_campaign_id]);
+    const subscriptionId = billing.rows[0]?.stripe_subscription_id;
+    if (subscriptionId && billing.rows[0].status !== 'canceled') {
+      try {
+        await stripe.subscriptions.cancel(subscriptionId);
+      } catch (cancelErr) {
+        if (cancelErr.code !== 'resource_missing') throw cancelErr;
+      }
+    }
+  }
+
+  const invoice = await stripe.invoices.retrieve(invoiceId);
+  if (invoice.status === 'open') {
+    await stripe.invoices.markUncollectible(invoiceId);
+  }
+
+  if (dunningCase.subject_type === 'advertiser') {
+    await db.query(`
+      UPDATE advertisers
+      SET status = 'archived',
+          archived_at = NOW(),
+          archived_reason = $2,
+          is_paused = FALSE,
+          paused_for_dunning = FALSE
+      WHERE id = $1 AND COALESCE(status, '') != 'archived'
+    `, [dunningCase.advertiser_id, REVOKED_REASON]);
+    const amount = await advertiserReceivableAmount(db, invoiceId);
+    await postAdvertiserWriteOff(db, {
+      invoiceId,
+      advertiserId: dunningCase.advertiser_id,
+      amount,
+      description: `Advertiser invoice ${invoiceId} written off after dunning`
+    });
+  } else {
+    await db.query(`
+      UPDATE sponsor_billing SET status = 'canceled' WHERE sponsor_campaign_id = $1
+    `, [dunningCase.sponsor_campaign_id]);
+    await db.query(`
+      UPDATE sponsor_campaigns SET status = 'canceled', updated_at = NOW()
+      WHERE id = $1 AND status NOT IN ('rejected', 'ended', 'canceled')
+    `, [dunningCase.sponsor_campaign_id]);
+  }
+
+  await db.query(`
+    UPDATE dunning_cases
+    SET status = 'written_off', written_off_at = NOW(), resolved_at = NOW(), next_action_at = NULL, updated_at = NOW()
+    WHERE id = $1
+  `, [dunningCase.id]);
+}
+
+/**
+ * Try the invoice again. An invoice that is already paid or voided resolves the case without a charge.
+ * @returns {Promise<{ outcome: 'recovered'|'closed'|'failed', error?: string }>}
+ */
+async function retryDunningInvoice(db, stripe, dunningCase, { scheduled = true } = {}) {
+  const invoiceId = dunningCase.stripe_invoice_id;
+  try {
+    let invoice = await stripe.invoices.retrieve(invoiceId);
+    if (invoice.status === 'open') {
+      invoice = await stripe.invoices.pay(invoiceId);
+    }
+    if (invoice.status === 'paid') {
+      await recoverDunningCase(db, invoiceId);
+      return { outcome: 'recovered' };
+    }
+    if (invoice.status === 'void' || invoice.status === 'uncollectible') {
+      await db.query(`
+        UPDATE dunning_cases
+        SET status = 'closed', resolved_at = NOW(), next_action_at = NULL, updated_at = NOW()
+        WHERE id = $1 AND status = 'open'
+      `, [dunningCase.id]);
+      console.log(`ℹ️ [DUNNING] Case ${dunningCase.id} closed: invoice ${invoiceId} is ${invoice.status}`);
+      return { outcome: 'closed' };
+    }
+    throw new Error(`Invoice is ${invoice.status} after the retry`);
+  } catch (err) {
+    const message = String(err.message || err).slice(0, 500);
+    await db.query(`
+      UPDATE dunning_cases
+      SET attempts = attempts + $2, last_attempt_at = NOW(), last_error = $3, updated_at = NOW()
+      WHERE id = $1
+    `, [dunningCase.id, scheduled ? 1 : 0, message]);
+    console.warn(`⚠️ [DUNNING] Retry of invoice ${invoiceId} failed (case ${dunningCase.id}):`, message);
+    return { outcome: 'failed', error: message };
+  }
+}
+
+// Name and email the case's emails go to
+async function loadDunningContact(db, dunningCase) {
+  const result = dunningCase.subject_type === 'advertiser'
+    ? await db.query('SELECT email, company_name AS name FROM advertisers WHERE id = $1', [dunningCase.advertiser_id])
+    : await db.query(`
+        SELECT sa.contact_email AS email, sa.organization_legal_name AS name
+        FROM sponsor_campaigns sc
+        JOIN sponsor_accounts sa ON sa.id = sc.sponsor_account_id
+        WHERE sc.id = $1
+      `, [dunningCase.sponsor_campaign_id]);
+  return result.rows[0] || null;
+}
+
+async function sendDunningEmail(db, emailService, dunningCase, stage, schedule) {
+  if (!emailService || !emailService.isEmailConfigured()) return;
+  try {
+    const contact = await loadDunningContact(db, dunningCase);
+    if (!contact?.email) return;
+    await emailService.sendPaymentDunningEmail(contact.email, contact.name, {
+      stage,
+      subjectType: dunningCase.subject_type,
+      ...dunningEmailLabels(dunningCase, schedule)
+    });
+  } catch (err) {
+    console.error(`❌ [DUNNING] ${stage} email for case ${dunningCase.id} failed:`, err.message);
+  }
+}
+
+async function reloadCase(db, id) {
+  const result = await db.query('SELECT * FROM dunning_cases WHERE id = $1', [id]);
+  return result.rows[0];
+}
+
+/**
+ * Run whatever is due on one open case: the retry, then the pause, or the final step. Sets next_action_at
+ * for the next run and emails the customer about the most severe step taken.
+ * @param {object} db
+ * @param {object} stripe
+ * @param {object} dunningCase - dunning_cases row
+ * @param {{ schedule?: object, emailService?: object|null, now?: Date, manualRetry?: boolean }} [options]
+ *   manualRetry (admin-cs "Retry now") retries straight away and does not count towards the schedule
+ * @returns {Promise<{ outcome: 'recovered'|'closed'|'written_off'|'paused'|'retried'|'waiting', paused: boolean,
+ *   revoked: boolean, error?: string }>}
+ */
+async function processDunningCase(db, stripe, dunningCase, { schedule = dunningSchedule(), emailService = null, now = new Date(), manualRetry = false } = {}) {
+  let current = dunningCase;
+  const timeline = dunningTimeline(current, schedule);
+
+  if (!manualRetry && now >= timeline.finalAt) {
+    await revokeForDunning(db, stripe, current);
+    current = await reloadCase(db, current.id);
+    await sendDunningEmail(db, emailService, current, 'final', schedule);
+    console.log(`🛑 [DUNNING] Case ${current.id} written off, campaign revoked`);
+    return { outcome: 'written_off', paused: false, revoked: true };
+  }
+
+  let outcome = 'waiting';
+  let error;
+  if (manualRetry || (timeline.nextRetryAt && now >= timeline.nextRetryAt)) {
+    const retry = await retryDunningInvoice(db, stripe, current, { scheduled: !manualRetry });
+    if (retry.outcome !== 'failed') {
+      return { outcome: retry.outcome, paused: false, revoked: false };
+    }
+    outcome = 'retried';
+    error = retry.error;
+    current = await reloadCase(db, current.id);
+  }
+
+  let paused = false;
+  if (!manualRetry && !current.paused_at && now >= timeline.pauseAt) {
+    paused = await pauseForDunning(db, current);
+    current = await reloadCase(db, current.id);
+    outcome = 'paused';
+  }
+
+  const next = dunningTimeline(current, schedule);
+  await db.query(`
+    UPDATE dunning_cases SET next_action_at = $2, updated_at = NOW() WHERE id = $1 AND status = 'open'
+  `, [current.id, next.nextActionAt]);
+  current.next_action_at = next.nextActionAt;
+
+  if (outcome === 'paused') {
+    await sendDunningEmail(db, emailService, current, 'paused', schedule);
+  } else if (outcome === 'retried' && !manualRetry) {
+    await sendDunningEmail(db, emailService, current, 'reminder', schedule);
+  }
+  return { outcome, paused, revoked: false, error };
+}
+
+/**
+ * Claim the open cases whose next action is due. Claiming pushes next_action_at out by CLAIM_MINUTES so an
+ * overlapping run skips them; processDunningCase sets the real next time.
+ * @returns {Promise<object[]>} dunning_cases rows
+ */
+async function claimDueDunningCases(db, { now = new Date(), limit = 100 } = {}) {
+  const result = await db.query(`
+    UPDATE dunning_cases
+    SET next_action_at = $1::timestamp + make_interval(mins => $3), updated_at = NOW()
+    WHERE id IN (
+      SELECT id FROM dunning_cases
+      WHERE status = 'open' AND next_action_at <= $1
+      ORDER BY next_action_at
+      LIMIT $2
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *
+  `, [now, limit, CLAIM_MINUTES]);
+  return result.rows;
+}
+
+/**
+ * Cases for admin-cs, newest first, with the customer's name and email.
+ * @param {object} db
+ * @param {{ status?: string|null, limit?: number }} [options] - status 'open', 'recovered', 'written_off', 'closed'
+ */
+async function listDunningCases(db, { status = null, limit = 100 } = {}) {
+  const safeLimit = Math.min(Math.max(parseInt(limit, 10) || 100, 1), 500);
+  const result = await db.query(`
+    SELECT dc.*,
+           COALESCE(a.company_name, sa.organization_legal_name) AS customer_name,
+           COALESCE(a.email, sa.contact_email) AS customer_email
+    FROM dunning_cases dc
+    LEFT JOIN advertisers a ON a.id = dc.advertiser_id
+    LEFT JOIN sponsor_campaigns sc ON sc.id = dc.sponsor_campaign_id
+    LEFT JOIN sponsor_accounts sa ON sa.id = sc.sponsor_account_id
+    WHERE ($1::text IS NULL OR dc.status = $1)
+    ORDER BY (dc.status = 'open') DESC, dc.failed_at DESC
+    LIMIT $2
+  `, [status || null, safeLimit]);
+  return result.rows;
+}
+
+/**
+ * The case a campaign's portal shows: its open case, else one resolved in the last 30 days that was written
+ * off, else null.
+ * @param {object} db
+ * @param {{ advertiserId?: number|null, sponsorCampaignId?: string|null }} campaign
+ */
+async function loadCampaignDunningCase(db, { advertiserId = null, sponsorCampaignId = null }) {
+  const result = await db.query(`
+    SELECT * FROM dunning_cases
+    WHERE (advertiser_id = $1 OR sponsor_campaign_id = $2)
+      AND (status = 'open' OR (status = 'written_off' AND written_off_at > NOW() - INTERVAL '30 days'))
+    ORDER BY (status = 'open') DESC, failed_at DESC
+    LIMIT 1
+  `, [advertiserId, sponsorCampaignId]);
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  DUNNING_DEFAULTS,
+  REVOKED_REASON,
+  dunningSchedule,
+  dunningTimeline,
+  dunningCaseResponse,
+  dunningEmailLabels,
+  openDunningCase,
+  recoverDunningCase,
+  pauseForDunning,
+  processDunningCase,
+  claimDueDunningCases,
+  listDunningCases,
+  loadCampaignDunningCase
+};
@@ -0,0 +1,97 @@
+/**
+ * Per-viewer frequency caps for advertiser campaigns.
+ *
+ * A campaign may set frequency_cap_per_hour and/or frequency_cap_per_day (NULL = no cap). Counts come
+ * from traffic_events: billable impressions are `event_type = 'impression' AND is_valid AND NOT
+ * frequency_capped` for the viewer (`user:<userId>`, the same viewer_key the IVT filter uses).
+ *
+ * /api/videos/playlist drops campaigns the viewer has already reached the cap for. /api/impressions/record
+ * still stores an over-cap impression (the client may be playing an older playlist) but flags its
+ * traffic_events row frequency_capped = TRUE and leaves the advertiser counters untouched, so it is
+ * never billed.
+ */
+
+const FREQUENCY_CAP_WINDOWS = [
+  { column: 'frequency_cap_per_hour', countKey: 'lastHour' },
+  { column: 'frequency_cap_per_day', countKey: 'lastDay' }
+];
+
+function hasFrequencyCap(ad) {
+  return FREQUENCY_CAP_WINDOWS.some(({ column }) => ad[column] !== null && ad[column] !== undefined);
+}
+
+/**
+ * Billable impressions by this viewer per advertiser over the last hour and day.
+ * @param {object} pool
+ * @param {string} viewerKey
+ * @param {number[]} advertiserIds
+ * @param {number|null} [excludeEventId] - traffic_events row being evaluated, left out of its own count
+ * @returns {Promise<Map<number, { lastHour: number, lastDay: number }>>}
+ */
+async function getViewerImpressionCounts(pool, viewerKey, advertiserIds, excludeEventId = null) {
+  const counts = new Map();
+  if (advertiserIds.length === 0) return counts;
+
+  const result = await pool.query(`
+    SELECT
+      advertiser_id,
+      COUNT(*) FILTER (WHERE created_at > NOW() - INTERVAL '1 hour')::integer AS last_hour,
+      COUNT(*)::integer AS last_day
+    FROM traffic_events
+    WHERE viewer_key = $1
+      AND event_type = 'impression'
+      AND advertiser_id = ANY($2::int[])
+      AND is_valid = TRUE
+      AND frequency_capped = FALSE
+      AND created_at > NOW() - INTERVAL '1 day'
+      AND ($3::bigint IS NULL OR id <> $3::bigint)
+    GROUP BY advertiser_id
+  `, [viewerKey, advertiserIds, excludeEventId]);
+
+  result.rows.forEach(row => {
+    counts.set(row.advertiser_id, { lastHour: row.last_hour, lastDay: row.last_day });
+  });
+  return counts;
+}
+
+function isAtFrequencyCap(ad, counts) {
+  const viewerCounts = counts || { lastHour: 0, lastDay: 0 };
+  return FREQUENCY_CAP_WINDOWS.some(({ column, countKey }) =>
+    ad[column] !== null && ad[column] !== undefined && viewerCounts[countKey] >= ad[column]
+  );
+}
+
+/**
+ * Advertiser ids (from `caps`) this viewer has already reached the frequency cap for.
+ * @param {object} pool
+ * @param {string} viewerKey
+ * @param {{ [advertiserId: number]: { frequency_cap_per_hour: number|null, frequency_cap_per_day: number|null } }} caps
+ * @returns {Promise<Set<number>>}
+ */
+async function getFrequencyCappedAdvertisers(pool, viewerKey, caps) {
+  const advertiserIds = Object.keys(caps).map(Number);
+  const counts = await getViewerImpressionCounts(pool, viewerKey, advertiserIds);
+  return new Set(advertiserIds.filter(id => isAtFrequencyCap(caps[id], counts.get(id))));
+}
+
+/**
+ * Check a just-screened impression against the campaign's frequency cap. Over-cap impressions are
+ * flagged on their traffic_events row and must not be counted.
+ * @returns {Promise<{ capped: boolean }>}
+ */
+async function applyImpressionFrequencyCap(pool, { viewerKey, advertiser, eventId }) {
+  if (!hasFrequencyCap(advertiser)) return { capped: false };
+
+  const counts = await getViewerImpressionCounts(pool, viewerKey, [advertiser.id], eventId);
+  if (!isAtFrequencyCap(advertiser, counts.get(advertiser.id))) return { capped: false };
+
+  await pool.query('UPDATE traffic_events SET frequency_capped = TRUE WHERE id = $1', [eventId]);
+  console.log(`🔁 [FREQUENCY CAP] Non-billable impression for advertiser ${advertiser.id} (${viewerKey})`);
+  return { capped: true };
+}
+
+module.exports = {
+  hasFrequencyCap,
+  getFrequencyCappedAdvertisers,
+  applyImpressionFrequencyCap
+};
@@ -0,0 +1,244 @@
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { exec } = require('child_process');
+const { promisify } = require('util');
+const { pipeline } = require('stream/promises');
+const { GetObjectCommand, PutObjectCommand } = require('@aws-sdk/client-s3');
+
+const execAsync = promisify(exec);
+
+/**
+ * HLS adaptive streaming for video creatives.
+ *
+ * Transcodes a creative MP4 with ffmpeg into an HLS ladder (one rendition per HLS_RENDITIONS entry
+ * that fits the source height, plus a master playlist) and uploads it next to the MP4 in the same
+ * bucket under hls/<creative basename>/:
+ *
+ *   hls/video_12_1700000000000_<uuid>/master.m3u8
+ *   hls/video_12_1700000000000_<uuid>/720p/index.m3u8, seg_000.ts, ...
+ *
+ * The creatives row tracks the result (hls_status, hls_manifest_key, hls_renditions). The playlist
+ * API returns the master playlist URL as hlsUrl once hls_status = 'ready' and keeps videoUrl (the MP4)
+ * as the fallback, so a failed or pending transcode never takes a creative out of rotation.
+ *
+ * Runs where ffmpeg is installed: scripts/process-approved-advertisers.js on approval,
+ * scripts/generate-sponsor-videos-ffmpeg.js after generation, and scripts/transcode-creatives-hls.js
+ * for backfills / retries. The public buckets need CORS GET allowed for the player origin, since the
+ * player fetches playlists and segments over XHR rather than through a <video src>.
+ */
+
+// Ladder, highest first. Bitrates are video kbps; audio is added on top.
+const HLS_RENDITIONS = [
+  { name: '1080p', height: 1080, videoKbps: 5000 },
+  { name: '720p', height: 720, videoKbps: 2800 },
+  { name: '480p', height: 480, videoKbps: 1400 },
+  { name: '360p', height: 360, videoKbps: 800 }
+];
+
+const HLS_KEY_PREFIX = 'hls/';
+const HLS_SEGMENT_SECONDS = 4;
+const HLS_AUDIO_KBPS = 128;
+
+const HLS_CONTENT_TYPES = {
+  '.m3u8': 'application/vnd.apple.mpegurl',
+  '.ts': 'video/mp2t'
+};
+
+// hls/<basename>/ for a creative key, e.g. "video_12_..._<uuid>.mp4" → "hls/video_12_..._<uuid>"
+function hlsPrefixFor(videoKey) {
+  return `${HLS_KEY_PREFIX}${path.basename(videoKey, path.extname(videoKey))}`;
+}
+
+// Duration, dimensions and audio presence of a local video via ffprobe (null fields if ffprobe is unavailable)
+async function probeVideo(videoPath) {
+  try {
+    const { stdout } = await execAsync(
+      `ffprobe -v error -show_entries stream=codec_type,width,height:format=duration -of json "${videoPath}"`
+    );
+    const probe = JSON.parse(stdout);
+    const streams = probe.streams || [];
+    const videoStream = streams.find(s => s.codec_type === 'video') || {};
+    return {
+      durationSeconds: probe.format && probe.format.duration ? parseFloat(probe.format.duration) : null,
+      width: videoStream.width || null,
+      height: videoStream.height || null,
+      hasAudio: streams.some(s => s.codec_type === 'audio')
+    };
+  } catch (error) {
+    console.error('⚠️ ffprobe failed (non-critical):', error.message);
+    return { durationSeconds: null, width: null, height: null, hasAudio: false };
+  }
+}
+
+// Renditions no taller than the source (never upscale); always at least the smallest one
+function renditionsForSource(sourceHeight) {
+  const fitting = sourceHeight ? HLS_RENDITIONS.filter(r => r.height <= sourceHeight) : HLS_RENDITIONS;
+  return fitting.length > 0 ? fitting : [HLS_RENDITIONS[HLS_RENDITIONS.length - 1]];
+}
+
+/**
+ * Transcode a local video into an HLS ladder in outputDir (one ffmpeg run, keyframes aligned across
+ * renditions so the player can switch at any segment boundary).
+ * @returns {Promise<Array<{ name: string, height: number, bandwidth: number }>>} renditions written
+ */
+async function transcodeToHls(inputPath, outputDir, probe) {
+  const renditions = renditionsForSource(probe.height);
+  const splits = renditions.map((_, i) => `[v${i}]`).join('');
+  const filterChain = [
+    `[0:v]split=${renditions.length}${splits}`,
+    ...renditions.map((r, i) => `[v${i}]scale=w=-2:h=${r.height}[v${i}out]`)
+  ].join(';');
+
+  const streamArgs = renditions.map((r, i) => {
+    const args = [
+      `-map "[v${i}out]"`,
+      `-c:v:${i} libx264 -preset veryfast -profile:v:${i} main`,
+      `-b:v:${i} ${r.videoKbps}k -maxrate:v:${i} ${Math.round(r.videoKbps * 1.07)}k -bufsize:v:${i} ${Math.round(r.videoKbps * 1.5)}k`
+    ];
+    if (probe.hasAudio) {
+      args.push(`-map 0:a:0 -c:a:${i} aac -b:a:${i} ${HLS_AUDIO_KBPS}k -ac 2`);
+    }
+    return args.join(' ');
+  }).join(' ');
+
+  const varStreamMap = renditions
+    .map((r, i) => (probe.hasAudio ? `v:${i},a:${i},name:${r.name}` : `v:${i},name:${r.name}`))
+    .join(' ');
+
+  const ffmpegCommand = `ffmpeg -y -i "${inputPath}" \
+    -filter_complex "${filterChain}" \
+    ${streamArgs} \
+    -pix_fmt yuv420p \
+    -force_key_frames "expr:gte(t,n_forced*${HLS_SEGMENT_SECONDS})" -sc_threshold 0 \
+    -f hls -hls_time ${HLS_SEGMENT_SECONDS} -hls_playlist_type vod -hls_flags independent_segments \
+    -hls_segment_filename "${path.join(outputDir, '%v', 'seg_%03d.ts')}" \
+    -master_pl_name master.m3u8 \
+    -var_stream_map "${varStreamMap}" \
+    "${path.join(outputDir, '%v', 'index.m3u8')}"`;
+
+  try {
+    await execAsync(ffmpegCommand, { maxBuffer: 50 * 1024 * 1024 });
+  } catch (error) {
+    if (error.stderr) {
+      console.error('FFmpeg stderr:', error.stderr);
+    }
+    throw new Error(`HLS transcode failed: ${error.message}`);
+  }
+
+  return renditions.map(r => ({
+    name: r.name,
+    height: r.height,
+    bandwidth: (r.videoKbps + (probe.hasAudio ? HLS_AUDIO_KBPS : 0)) * 1000
+  }));
+}
+
+function listFilesRecursive(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const fullPath = path.join(dir, entry.name);
+    return entry.isDirectory() ? listFilesRecursive(fullPath) : [fullPath];
+  });
+}
+
+// Upload every playlist and segment in localDir under prefix/ (playlists last, so a reader never
+// sees a playlist that references segments which are not there yet)
+async function uploadHlsDirectory(r2Client, bucket, prefix, localDir) {
+  const files = listFilesRecursive(localDir).sort((a, b) =>
+    (a.endsWith('.m3u8') ? 1 : 0) - (b.endsWith('.m3u8') ? 1 : 0)
+  );
+  for (const filePath of files) {
+    const relativeKey = path.relative(localDir, filePath).split(path.sep).join('/');
+    await r2Client.send(new PutObjectCommand({
+      Bucket: bucket,
+      Key: `${prefix}/${relativeKey}`,
+      Body: fs.readFileSync(filePath),
+      ContentType: HLS_CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream',
+      CacheControl: 'public, max-age=31536000, immutable'
+    }));
+  }
+  return files.length;
+}
+
+async function downloadR2Object(r2Client, bucket, key, outputPath) {
+  const response = await r2Client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+  await pipeline(response.Body, fs.createWriteStream(outputPath));
+  return outputPath;
+}
+
+/**
+ * Build the HLS ladder for a registered video creative and record it on the creatives row.
+ * Never throws: failures set hls_status = 'failed' and the MP4 keeps being served.
+ * @param {object} db - pool or client
+ * @param {object} r2Client
+ * @param {{ creative: { id: number, r2_bucket: string, r2_key: string, normalized_key?: string|null }, localPath?: string }} params -
+ *   localPath skips the download when the caller already has the MP4 on disk; otherwise the loudness-normalized
+ *   rendition (lib/creativeMedia.js) is used when there is one
+ * @returns {Promise<{ success: boolean, manifestKey?: string, renditions?: Array, error?: string }>}
+ */
+async function buildCreativeHls(db, r2Client, { creative, localPath = null }) {
+  let tempDir = null;
+  try {
+    await db.query(
+      `UPDATE creatives SET hls_status = 'processing', hls_error = NULL, updated_at = NOW() WHERE id = $1`,
+      [creative.id]
+    );
+
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'creative-hls-'));
+    let inputPath = localPath;
+    if (!inputPath) {
+      const sourceKey = creative.normalized_key || creative.r2_key;
+      inputPath = path.join(tempDir, `source${path.extname(sourceKey) || '.mp4'}`);
+      console.log(`⬇️  [HLS] Downloading ${creative.r2_bucket}/${sourceKey}`);
+      await downloadR2Object(r2Client, creative.r2_bucket, sourceKey, inputPath);
+    }
+
+    const probe = await probeVideo(inputPath);
+    const outputDir = path.join(tempDir, 'hls');
+    fs.mkdirSync(outputDir);
+
+    console.log(`🎞️  [HLS] Transcoding creative ${creative.id} (${probe.width || '?'}x${probe.height || '?'}, audio: ${probe.hasAudio ? 'yes' : 'no'})`);
+    const renditions = await transcodeToHls(inputPath, outputDir, probe);
+
+    const prefix = hlsPrefixFor(creative.r2_key);
+    const uploaded = await uploadHlsDirectory(r2Client, creative.r2_bucket, prefix, outputDir);
+    const manifestKey = `${prefix}/master.m3u8`;
+
+    await db.query(`
+      UPDATE creatives SET
+        hls_status = 'ready',
+        hls_manifest_key = $2,
+        hls_renditions = $3::jsonb,
+        hls_error = NULL,
+        duration_seconds = COALESCE(duration_seconds, $4),
+        width = COALESCE(width, $5),
+        height = COALESCE(height, $6),
+        updated_at = NOW()
+      WHERE id = $1
+    `, [creative.id, manifestKey, JSON.stringify(renditions), probe.durationSeconds, probe.width, probe.height]);
+
+    console.log(`✅ [HLS] ${creative.r2_bucket}/${manifestKey} (${renditions.map(r => r.name).join(', ')}; ${uploaded} files)`);
+    return { success: true, manifestKey, renditions };
+  } catch (error) {
+    console.error(`❌ [HLS] Creative ${creative.id} failed (MP4 still served):`, error.message);
+    await db.query(
+      `UPDATE creatives SET hls_status = 'failed', hls_error = $2, updated_at = NOW() WHERE id = $1`,
+      [creative.id, error.message.slice(0, 1000)]
+    ).catch(() => {});
+    return { success: false, error: error.message };
+  } finally {
+    if (tempDir && fs.existsSync(tempDir)) {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  }
+}
+
+module.exports = {
+  HLS_RENDITIONS,
+  HLS_KEY_PREFIX,
+  HLS_SEGMENT_SECONDS,
+  hlsPrefixFor,
+  probeVideo,
+  transcodeToHls,
+  downloadR2Object,
+  buildCreativeHls
+};
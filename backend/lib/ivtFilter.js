@@ -0,0 +1,141 @@
+/**
+ * Invalid-traffic (IVT) filter for advertiser impressions, advertiser clicks and sponsor impressions.
+ *
+ * Every event that reaches a tracking endpoint is screened here and written to traffic_events with
+ * is_valid + ivt_reason before any counter on advertisers / sponsor_campaigns is touched. Only valid
+ * events increment counters, so flagged traffic never reaches weekly_contributed_amount, caps or the
+ * billing jobs; billCampaignUsage / billNonRecurringCampaign read the flagged counts back with
+ * getFilteredTrafficCounts to show them on the invoice.
+ *
+ * Reason codes: missing_user_agent, headless_user_agent, viewer_velocity, ip_velocity,
+ * duplicate_impression, click_without_impression.
+ */
+
+const { PLAY_TOKEN_TTL_SECONDS } = require('./playTokens');
+
+const IVT_LIMITS = {
+  // Per viewer (logged-in user or anonymous sponsor viewerId), per event type, rolling 60s
+  viewerPerMinute: { impression: 6, sponsor_impression: 6, click: 4 },
+  // Per IP, per event type, rolling 60s — higher to tolerate shared NAT (offices, campuses)
+  ipPerMinute: { impression: 30, sponsor_impression: 30, click: 15 },
+  // Same viewer + same creative counted at most once per window
+  duplicateWindowSeconds: 30,
+  // A click must follow a valid impression of the same advertiser by the same viewer within this window, or
+  // land while one of the viewer's play tokens for that advertiser is playing (before minWatchSeconds has
+  // passed no impression is recorded yet) and unexpired
+  clickImpressionWindowMinutes: 30
+};
+
+const HEADLESS_UA_PATTERN = /HeadlessChrome|PhantomJS|puppeteer|playwright|selenium|webdriver|electron\/.*headless|curl\/|wget\/|python-requests|python-urllib|aiohttp|node-fetch|axios\/|undici|Go-http-client|okhttp|Java\/|libwww-perl|scrapy|\b(bot|crawler|spider)\b/i;
+
+function getClientIp(req) {
+  return req.ip || (req.connection && req.connection.remoteAddress) || null;
+}
+
+function classifyUserAgent(userAgent) {
+  if (!userAgent || !String(userAgent).trim()) return 'missing_user_agent';
+  if (HEADLESS_UA_PATTERN.test(userAgent)) return 'headless_user_agent';
+  return null;
+}
+
+/**
+ * Screen one tracking event and persist it to traffic_events.
+ * @param {object} pool
+ * @param {import('express').Request} req
+ * @param {{ eventType: 'impression'|'click'|'sponsor_impression', viewerKey: string, userId?: number, advertiserId?: number, sponsorCampaignId?: string, creative?: string }} event
+ * @returns {Promise<{ valid: boolean, reason: string|null, eventId: number }>}
+ */
+async function screenTrafficEvent(pool, req, { eventType, viewerKey, userId = null, advertiserId = null, sponsorCampaignId = null, creative = null }) {
+  const ip = getClientIp(req);
+  const userAgent = req.headers['user-agent'] || null;
+
+  let reason = classifyUserAgent(userAgent);
+
+  if (!reason) {
+    const counts = await pool.query(`
+      SELECT
+        COUNT(*) FILTER (WHERE viewer_key = $2)::integer AS viewer_last_minute,
+        COUNT(*) FILTER (WHERE ip_address = $3)::integer AS ip_last_minute
+      FROM traffic_events
+      WHERE event_type = $1
+        AND created_at > NOW() - INTERVAL '1 minute'
+        AND (viewer_key = $2 OR ip_address = $3)
+    `, [eventType, viewerKey, ip]);
+    const { viewer_last_minute, ip_last_minute } = counts.rows[0];
+
+    if (viewer_last_minute >= IVT_LIMITS.viewerPerMinute[eventType]) {
+      reason = 'viewer_velocity';
+    } else if (ip && ip_last_minute >= IVT_LIMITS.ipPerMinute[eventType]) {
+      reason = 'ip_velocity';
+    }
+  }
+
+  if (!reason && eventType !== 'click') {
+    const duplicate = await pool.query(`
+      SELECT 1 FROM traffic_events
+      WHERE event_type = $1
+        AND viewer_key = $2
+        AND is_valid = TRUE
+        AND advertiser_id IS NOT DISTINCT FROM $3
+        AND sponsor_campaign_id IS NOT DISTINCT FROM $4::uuid
+        AND creative IS NOT DISTINCT FROM $5
+        AND created_at > NOW() - make_interval(secs => $6)
+      LIMIT 1
+    `, [eventType, viewerKey, advertiserId, sponsorCampaignId, creative, IVT_LIMITS.duplicateWindowSeconds]);
+    if (duplicate.rows.length > 0) reason = 'duplicate_impression';
+  }
+
+  if (!reason && eventType === 'click') {
+    const priorImpression = await pool.query(`
+      SELECT 1 FROM traffic_events
+      WHERE event_type = 'impression'
+        AND viewer_key = $1
+        AND advertiser_id = $2
+        AND is_valid = TRUE
+        AND created_at > NOW() - make_interval(mins => $3)
+      UNION ALL
+      SELECT 1 FROM impression_play_tokens
+      WHERE user_id = $4
+        AND advertiser_id = $2
+        AND issued_at > NOW() - make_interval(secs => $5)
+      LIMIT 1
+    `, [viewerKey, advertiserId, IVT_LIMITS.clickImpressionWindowMinutes, userId, PLAY_TOKEN_TTL_SECONDS]);
+    if (priorImpression.rows.length === 0) reason = 'click_without_impression';
+  }
+
+  const inserted = await pool.query(`
+    INSERT INTO traffic_events
+      (event_type, advertiser_id, sponsor_campaign_id, creative, viewer_key, ip_address, user_agent, is_valid, ivt_reason)
+    VALUES ($1, $2, $3::uuid, $4, $5, $6, $7, $8, $9)
+    RETURNING id
+  `, [eventType, advertiserId, sponsorCampaignId, creative, viewerKey, ip, userAgent, reason === null, reason]);
+
+  if (reason) {
+    console.log(`🚫 [IVT] Filtered ${eventType} (${reason}):`, { viewerKey, ip, advertiserId, sponsorCampaignId });
+  }
+
+  return { valid: reason === null, reason, eventId: inserted.rows[0].id };
+}
+
+/**
+ * Flagged (non-billable) advertiser traffic in [from, to) — shown on invoices and billing records.
+ * @returns {Promise<{ impressions: number, clicks: number }>}
+ */
+async function getFilteredTrafficCounts(pool, advertiserId, from, to) {
+  const result = await pool.query(`
+    SELECT
+      COUNT(*) FILTER (WHERE event_type = 'impression')::integer AS impressions,
+      COUNT(*) FILTER (WHERE event_type = 'click')::integer AS clicks
+    FROM traffic_events
+    WHERE advertiser_id = $1
+      AND is_valid = FALSE
+      AND created_at >= $2
+      AND created_at < $3
+  `, [advertiserId, from, to]);
+  return {
+    impressions: result.rows[0]?.impressions || 0,
+    clicks: result.rows[0]?.clicks || 0
+  };
+}
+
+module.exports = { screenTrafficEvent, getFilteredTrafficCounts, classifyUserAgent, IVT_LIMITS };
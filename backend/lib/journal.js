@@ -0,0 +1,463 @@
+/**
+ * Double-entry journal for every money movement.
+ *
+ * Each business event posts one journal_entries row with balanced journal_lines (total debits = total
+ * credits). entry_key makes posting idempotent, so webhook retries and job re-runs are safe. The existing
+ * write paths keep updating donation_ledger / weekly_donation_pool; entries with a pool_source mirror those
+ * pool contributions, and trialBalance() reconciles the two week by week.
+ *
+ *   advertiser invoice finalized  Dr advertiser_receivable   Cr advertiser_revenue
+ *   advertiser invoice paid       Dr stripe_balance          Cr advertiser_receivable   (pool: advertiser)
+ *   advertiser invoice write-off  Dr bad_debt                Cr advertiser_receivable   (paid after all: the opposite)
+ *   expedited approval fee        Dr stripe_balance          Cr advertiser_revenue      (pool: advertiser)
+ *   prepaid wallet top-up         Dr stripe_balance          Cr advertiser_prepaid      (refunded top-ups post the opposite)
+ *   prepaid usage settled weekly  Dr advertiser_prepaid      Cr advertiser_revenue      (pool: advertiser)
+ *   sponsor payment               Dr stripe_balance          Cr sponsor_receipts        (pool: sponsor)
+ *   viewer donation/subscription  Dr stripe_balance          Cr viewer_donations        (pool: viewer)
+ *   Stripe fee on a charge        Dr stripe_fees             Cr stripe_balance
+ *   weekly pool finalized         Dr charity_grants          Cr charity_payable
+ *   transfer to the charity       Dr charity_payable         Cr stripe_balance          (reversals post the opposite)
+ *   refund / dispute of a payment Dr refunds                 Cr stripe_balance          (pool: negative; won disputes post the opposite)
+ *
+ * Tables: ledger_accounts, journal_entries, journal_lines (migrations/009_journal.sql).
+ */
+
+const ACCOUNTS = {
+  STRIPE_BALANCE: 'stripe_balance',
+  ADVERTISER_RECEIVABLE: 'advertiser_receivable',
+  CHARITY_PAYABLE: 'charity_payable',
+  ADVERTISER_REVENUE: 'advertiser_revenue',
+  SPONSOR_RECEIPTS: 'sponsor_receipts',
+  VIEWER_DONATIONS: 'viewer_donations',
+  CHARITY_GRANTS: 'charity_grants',
+  STRIPE_FEES: 'stripe_fees',
+  REFUNDS: 'refunds',
+  ADVERTISER_PREPAID: 'advertiser_prepaid',
+  BAD_DEBT: 'bad_debt'
+};
+
+const KNOWN_ACCOUNTS = new Set(Object.values(ACCOUNTS));
+
+// weekly_donation_pool column each pool_source adds to, and the income account it is credited to
+const POOL_SOURCES = {
+  advertiser: { poolColumn: 'advertiser_total', account: ACCOUNTS.ADVERTISER_REVENUE },
+  sponsor: { poolColumn: 'sponsor_total', account: ACCOUNTS.SPONSOR_RECEIPTS },
+  viewer: { poolColumn: 'viewer_total', account: ACCOUNTS.VIEWER_DONATIONS }
+};
+
+function toCents(amount) {
+  const n = typeof amount === 'number' ? amount : parseFloat(amount);
+  return Number.isFinite(n) ? Math.round(n * 100) : NaN;
+}
+
+function toWeekStartString(weekStart) {
+  if (!weekStart) return null;
+  return weekStart instanceof Date ? weekStart.toISOString().slice(0, 10) : String(weekStart).split('T')[0];
+}
+
+/**
+ * Post a balanced entry. Header and lines are written in one statement, so a pool or a client inside an
+ * open transaction both work and a half-written entry is impossible.
+ * @param {object} db - pool or client
+ * @param {{ entryKey: string, sourceType: string, sourceId?: string|number|null, weekStart?: string|Date|null,
+ *   poolSource?: 'advertiser'|'sponsor'|'viewer'|null, description?: string|null,
+ *   lines: Array<{ account: string, debit?: number, credit?: number }> }} entry
+ * @returns {Promise<{ posted: boolean, entryId: number|null }>} posted is false when entryKey was already posted
+ */
+async function postJournalEntry(db, { entryKey, sourceType, sourceId = null, weekStart = null, poolSource = null, description = null, lines }) {
+  if (!entryKey || !sourceType) {
+    throw new Error('Journal entry needs an entryKey and a sourceType');
+  }
+  if (poolSource && !POOL_SOURCES[poolSource]) {
+    throw new Error(`Unknown pool source "${poolSource}" for journal entry ${entryKey}`);
+  }
+  if (!Array.isArray(lines) || lines.length < 2) {
+    throw new Error(`Journal entry ${entryKey} needs at least two lines`);
+  }
+
+  let debitCents = 0;
+  let creditCents = 0;
+  const rows = lines.map(line => {
+    if (!KNOWN_ACCOUNTS.has(line.account)) {
+      throw new Error(`Unknown ledger account "${line.account}" in journal entry ${entryKey}`);
+    }
+    const debit = toCents(line.debit || 0);
+    const credit = toCents(line.credit || 0);
+    if (!Number.isInteger(debit) || !Number.isInteger(credit) || debit < 0 || credit < 0 || (debit > 0) === (credit > 0)) {
+      throw new Error(`Journal line for ${line.account} in ${entryKey} must have exactly one positive debit or credit`);
+    }
+    debitCents += debit;
+    creditCents += credit;
+    return { account_code: line.account, debit: debit / 100, credit: credit / 100 };
+  });
+  if (debitCents !== creditCents) {
+    throw new Error(`Journal entry ${entryKey} is unbalanced: debits ${debitCents / 100}, credits ${creditCents / 100}`);
+  }
+
+  const result = await db.query(`
+    WITH entry AS (
+      INSERT INTO journal_entries (entry_key, source_type, source_id, week_start, pool_source, description)
+      VALUES ($1, $2, $3, $4::date, $5, $6)
+      ON CONFLICT (entry_key) DO NOTHING
+      RETURNING id
+    ), inserted AS (
+      INSERT INTO journal_lines (entry_id, account_code, debit, credit)
+      SELECT entry.id, l.account_code, l.debit, l.credit
+      FROM entry, jsonb_to_recordset($7::jsonb) AS l(account_code TEXT, debit NUMERIC, credit NUMERIC)
+      RETURNING entry_id
+    )
+    SELECT id FROM entry
+  `, [
+    entryKey,
+    sourceType,
+    sourceId == null ? null : String(sourceId),
+    toWeekStartString(weekStart),
+    poolSource,
+    description,
+    JSON.stringify(rows)
+  ]);
+
+  const entryId = result.rows[0]?.id ?? null;
+  if (entryId) {
+    console.log(`📒 [JOURNAL] ${entryKey}: ${(debitCents / 100).toFixed(2)} posted`);
+  }
+  return { posted: entryId !== null, entryId };
+}
+
+/**
+ * Money collected into Stripe that also went into weekly_donation_pool.
+ * Credits the pool source's income account unless creditAccount says otherwise (an advertiser invoice
+ * payment settles advertiser_receivable instead).
+ */
+async function postPoolReceipt(db, { entryKey, sourceType, sourceId = null, poolSource, amount, weekStart, description = null, creditAccount = null }) {
+  if (!POOL_SOURCES[poolSource]) {
+    throw new Error(`Unknown pool source "${poolSource}" for journal entry ${entryKey}`);
+  }
+  if (!(toCents(amount) > 0)) {
+    return { posted: false, entryId: null }; // e.g. $0 trial invoices still write a donation_ledger row
+  }
+  return postJournalEntry(db, {
+    entryKey,
+    sourceType,
+    sourceId,
+    weekStart,
+    poolSource,
+    description,
+    lines: [
+      { account: ACCOUNTS.STRIPE_BALANCE, debit: amount },
+      { account: creditAccount || POOL_SOURCES[poolSource].account, credit: amount }
+    ]
+  });
+}
+
+/**
+ * A refund or dispute taking pooled money back out of Stripe (amount > 0), or a won dispute putting it
+ * back (amount < 0). Same pool_source and week as the original receipt, so the pool reconciliation nets out.
+ */
+async function postPoolReversal(db, { entryKey, sourceType, sourceId = null, poolSource, amount, weekStart, description = null }) {
+  const cents = toCents(amount);
+  if (!cents) {
+    return { posted: false, entryId: null };
+  }
+  const value = Math.abs(cents) / 100;
+  return postJournalEntry(db, {
+    entryKey,
+    sourceType,
+    sourceId,
+    weekStart,
+    poolSource,
+    description,
+    lines: cents > 0
+      ? [{ account: ACCOUNTS.REFUNDS, debit: value }, { account: ACCOUNTS.STRIPE_BALANCE, credit: value }]
+      : [{ account: ACCOUNTS.STRIPE_BALANCE, debit: value }, { account: ACCOUNTS.REFUNDS, credit: value }]
+  });
+}
+
+// Advertiser invoice finalized by weekly billing: revenue earned, payment still outstanding
+async function postAdvertiserBilling(db, { invoiceId, advertiserId, amount, weekStart, description = null }) {
+  if (!(toCents(amount) > 0)) {
+    return { posted: false, entryId: null };
+  }
+  return postJournalEntry(db, {
+    entryKey: `advertiser_billing:${invoiceId}`,
+    sourceType: 'advertiser_billing',
+    sourceId: advertiserId,
+    weekStart,
+    description,
+    lines: [
+      { account: ACCOUNTS.ADVERTISER_RECEIVABLE, debit: amount },
+      { account: ACCOUNTS.ADVERTISER_REVENUE, credit: amount }
+    ]
+  });
+}
+
+/**
+ * Unpaid advertiser invoice written off at the end of dunning (lib/dunning.js). recovered posts the opposite
+ * entry when the invoice is paid after all, so the payment's credit to advertiser_receivable nets to zero.
+ */
+async function postAdvertiserWriteOff(db, { invoiceId, advertiserId, amount, recovered = false, description = null }) {
+  if (!(toCents(amount) > 0)) {
+    return { posted: false, entryId: null };
+  }
+  return postJournalEntry(db, {
+    entryKey: `${recovered ? 'advertiser_write_off_recovered' : 'advertiser_write_off'}:${invoiceId}`,
+    sourceType: recovered ? 'advertiser_write_off_recovered' : 'advertiser_write_off',
+    sourceId: advertiserId,
+    description,
+    lines: recovered
+      ? [{ account: ACCOUNTS.ADVERTISER_RECEIVABLE, debit: amount }, { account: ACCOUNTS.BAD_DEBT, credit: amount }]
+      : [{ account: ACCOUNTS.BAD_DEBT, debit: amount }, { account: ACCOUNTS.ADVERTISER_RECEIVABLE, credit: amount }]
+  });
+}
+
+/**
+ * Money added to (amount > 0) or refunded from (amount < 0) an advertiser's prepaid wallet. Not pooled until
+ * it is drawn down (postWalletSettlement).
+ */
+async function postWalletTopUp(db, { entryKey, walletId, amount, description = null }) {
+  const cents = toCents(amount);
+  if (!cents) {
+    return { posted: false, entryId: null };
+  }
+  const value = Math.abs(cents) / 100;
+  return postJournalEntry(db, {
+    entryKey,
+    sourceType: 'wallet_top_up',
+    sourceId: walletId,
+    description,
+    lines: cents > 0
+      ? [{ account: ACCOUNTS.STRIPE_BALANCE, debit: value }, { account: ACCOUNTS.ADVERTISER_PREPAID, credit: value }]
+      : [{ account: ACCOUNTS.ADVERTISER_PREPAID, debit: value }, { account: ACCOUNTS.STRIPE_BALANCE, credit: value }]
+  });
+}
+
+// A prepaid campaign's drawn-down usage moved into the week's advertiser pool
+async function postWalletSettlement(db, { settlementRef, advertiserId, amount, weekStart, description = null }) {
+  if (!(toCents(amount) > 0)) {
+    return { posted: false, entryId: null };
+  }
+  return postJournalEntry(db, {
+    entryKey: `wallet_settlement:${settlementRef}`,
+    sourceType: 'wallet_settlement',
+    sourceId: advertiserId,
+    weekStart,
+    poolSource: 'advertiser',
+    description,
+    lines: [
+      { account: ACCOUNTS.ADVERTISER_PREPAID, debit: amount },
+      { account: ACCOUNTS.ADVERTISER_REVENUE, credit: amount }
+    ]
+  });
+}
+
+/**
+ * Stripe's processing fee for a charge, from its balance transaction. Skipped while the charge has no
+ * balance transaction yet or the fee is zero.
+ */
+async function postStripeFee(db, stripe, charge) {
+  const balanceTransactionId = typeof charge.balance_transaction === 'string'
+    ? charge.balance_transaction
+    : charge.balance_transaction?.id;
+  if (!balanceTransactionId) {
+    return { posted: false, entryId: null };
+  }
+  const balanceTransaction = typeof charge.balance_transaction === 'object' && charge.balance_transaction
+    ? charge.balance_transaction
+    : await stripe.balanceTransactions.retrieve(balanceTransactionId);
+  const fee = (balanceTransaction.fee || 0) / 100;
+  if (!(fee > 0)) {
+    return { posted: false, entryId: null };
+  }
+  return postJournalEntry(db, {
+    entryKey: `stripe_fee:${charge.id}`,
+    sourceType: 'stripe_fee',
+    sourceId: charge.id,
+    description: `Stripe fee on ${charge.id}`,
+    lines: [
+      { account: ACCOUNTS.STRIPE_FEES, debit: fee },
+      { account: ACCOUNTS.STRIPE_BALANCE, credit: fee }
+    ]
+  });
+}
+
+// One charity's part of a finalized weekly pool, now owed to it (one entry per weekly_charity_allocation_recipients row)
+async function postWeeklyAllocation(db, { weekStart, charityApplicationId, amount }) {
+  if (!(toCents(amount) > 0)) {
+    return { posted: false, entryId: null };
+  }
+  return postJournalEntry(db, {
+    entryKey: `weekly_allocation:${toWeekStartString(weekStart)}:${charityApplicationId}`,
+    sourceType: 'weekly_allocation',
+    sourceId: charityApplicationId,
+    weekStart,
+    description: 'Weekly donation pool allocated to a winning charity',
+    lines: [
+      { account: ACCOUNTS.CHARITY_GRANTS, debit: amount },
+      { account: ACCOUNTS.CHARITY_PAYABLE, credit: amount }
+    ]
+  });
+}
+
+/**
+ * A Stripe Transfer to a charity and each of its reversals (one entry per reversal id, so partial
+ * reversals arriving over several transfer.updated webhooks are each posted once).
+ */
+async function postCharityTransfer(db, { transfer, transferIntentId, weekStart }) {
+  await postJournalEntry(db, {
+    entryKey: `charity_transfer:${transfer.id}`,
+    sourceType: 'charity_transfer',
+    sourceId: transferIntentId,
+    weekStart,
+    description: `Stripe transfer ${transfer.id} to ${transfer.destination}`,
+    lines: [
+      { account: ACCOUNTS.CHARITY_PAYABLE, debit: transfer.amount / 100 },
+      { account: ACCOUNTS.STRIPE_BALANCE, credit: transfer.amount / 100 }
+    ]
+  });
+  for (const reversal of transfer.reversals?.data || []) {
+    await postJournalEntry(db, {
+      entryKey: `charity_transfer_reversal:${reversal.id}`,
+      sourceType: 'charity_transfer_reversal',
+      sourceId: transferIntentId,
+      weekStart,
+      description: `Reversal ${reversal.id} of transfer ${transfer.id}`,
+      lines: [
+        { account: ACCOUNTS.STRIPE_BALANCE, debit: reversal.amount / 100 },
+        { account: ACCOUNTS.CHARITY_PAYABLE, credit: reversal.amount / 100 }
+      ]
+    });
+  }
+}
+
+/**
+ * Trial balance over the whole journal plus the checks that prove it agrees with the pool tables:
+ *   - unbalancedEntries: entries whose lines do not net to zero (should always be empty)
+ *   - weeks: per week, journal pool receipts by source vs weekly_donation_pool, and the weekly_allocation
+ *     entries (one per charity; a single one for weeks finalized before the split) vs weekly_charity_allocation.total_amount
+ * @param {object} db
+ * @param {{ weeks?: number }} [options] - how many recent weeks to reconcile
+ */
+async function trialBalance(db, { weeks = 12 } = {}) {
+  const [accountsResult, unbalancedResult, poolResult, journalPoolResult, allocationResult] = await Promise.all([
+    db.query(`
+      SELECT la.code, la.name, la.account_type, la.normal_side,
+             COALESCE(SUM(jl.debit), 0)::numeric AS debit,
+             COALESCE(SUM(jl.credit), 0)::numeric AS credit
+      FROM ledger_accounts la
+      LEFT JOIN journal_lines jl ON jl.account_code = la.code
+      GROUP BY la.code, la.name, la.account_type, la.normal_side
+      ORDER BY CASE la.account_type WHEN 'asset' THEN 1 WHEN 'liability' THEN 2 WHEN 'income' THEN 3 ELSE 4 END, la.code
+    `),
+    db.query(`
+      SELECT je.id, je.entry_key, SUM(jl.debit)::numeric AS debit, SUM(jl.credit)::numeric AS credit
+      FROM journal_entries je
+      LEFT JOIN journal_lines jl ON jl.entry_id = je.id
+      GROUP BY je.id, je.entry_key
+      HAVING COALESCE(SUM(jl.debit), 0) <> COALESCE(SUM(jl.credit), 0) OR COUNT(jl.id) = 0
+      ORDER BY je.id DESC
+      LIMIT 50
+    `),
+    db.query(`
+      SELECT week_start::text AS week_start, sponsor_total, advertiser_total, COALESCE(viewer_total, 0) AS viewer_total
+      FROM weekly_donation_pool
+      ORDER BY week_start DESC
+      LIMIT $1
+    `, [weeks]),
+    db.query(`
+      SELECT je.week_start::text AS week_start, je.pool_source, SUM(jl.debit - jl.credit)::numeric AS amount
+      FROM journal_entries je
+      JOIN journal_lines jl ON jl.entry_id = je.id AND jl.account_code IN ('stripe_balance', 'advertiser_prepaid')
+      WHERE je.pool_source IS NOT NULL
+      GROUP BY je.week_start, je.pool_source
+    `),
+    db.query(`
+      SELECT wca.week_start::text AS week_start, wca.total_amount,
+             (SELECT SUM(jl.debit) FROM journal_entries je JOIN journal_lines jl ON jl.entry_id = je.id
+              WHERE je.source_type = 'weekly_allocation' AND je.week_start = wca.week_start) AS journal_amount
+      FROM weekly_charity_allocation wca
+      ORDER BY wca.week_start DESC
+      LIMIT $1
+    `, [weeks])
+  ]);
+
+  const accounts = accountsResult.rows.map(row => {
+    const debitCents = toCents(row.debit);
+    const creditCents = toCents(row.credit);
+    const balanceCents = row.normal_side === 'debit' ? debitCents - creditCents : creditCents - debitCents;
+    return {
+      code: row.code,
+      name: row.name,
+      type: row.account_type,
+      normalSide: row.normal_side,
+      debit: debitCents / 100,
+      credit: creditCents / 100,
+      balance: balanceCents / 100
+    };
+  });
+  const totalDebitCents = accounts.reduce((sum, a) => sum + toCents(a.debit), 0);
+  const totalCreditCents = accounts.reduce((sum, a) => sum + toCents(a.credit), 0);
+
+  const journalPool = {};
+  for (const row of journalPoolResult.rows) {
+    journalPool[`${row.week_start}:${row.pool_source}`] = toCents(row.amount);
+  }
+  const allocationByWeek = {};
+  for (const row of allocationResult.rows) {
+    allocationByWeek[row.week_start] = row;
+  }
+
+  const weekChecks = poolResult.rows.map(row => {
+    const sources = {};
+    let matches = true;
+    for (const [source, { poolColumn }] of Object.entries(POOL_SOURCES)) {
+      const poolCents = toCents(row[poolColumn] || 0);
+      const journalCents = journalPool[`${row.week_start}:${source}`] || 0;
+      sources[source] = { pool: poolCents / 100, journal: journalCents / 100, difference: (journalCents - poolCents) / 100 };
+      if (poolCents !== journalCents) matches = false;
+    }
+    const allocation = allocationByWeek[row.week_start];
+    let allocationCheck = null;
+    if (allocation) {
+      const allocationCents = toCents(allocation.total_amount);
+      const journalCents = toCents(allocation.journal_amount || 0);
+      allocationCheck = { allocated: allocationCents / 100, journal: journalCents / 100, difference: (journalCents - allocationCents) / 100 };
+      if (allocationCents !== journalCents) matches = false;
+    }
+    return { weekStart: row.week_start, matches, sources, allocation: allocationCheck };
+  });
+
+  return {
+    accounts,
+    totals: {
+      debit: totalDebitCents / 100,
+      credit: totalCreditCents / 100,
+      balanced: totalDebitCents === totalCreditCents
+    },
+    unbalancedEntries: unbalancedResult.rows.map(row => ({
+      id: row.id,
+      entryKey: row.entry_key,
+      debit: parseFloat(row.debit || 0),
+      credit: parseFloat(row.credit || 0)
+    })),
+    weeks: weekChecks,
+    inAgreement: totalDebitCents === totalCreditCents
+      && unbalancedResult.rows.length === 0
+      && weekChecks.every(w => w.matches)
+  };
+}
+
+module.exports = {
+  ACCOUNTS,
+  POOL_SOURCES,
+  postJournalEntry,
+  postPoolReceipt,
+  postPoolReversal,
+  postAdvertiserBilling,
+  postAdvertiserWriteOff,
+  postWalletTopUp,
+  postWalletSettlement,
+  postStripeFee,
+  postWeeklyAllocation,
+  postCharityTransfer,
+  trialBalance
+};
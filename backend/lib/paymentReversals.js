@@ -0,0 +1,321 @@
+const { ACCOUNTS, postJournalEntry, postPoolReversal } = require('./journal');
+
+/**
+ * Refunds, disputes and chargebacks against pooled payments (charge.refunded, charge.dispute.created,
+ * charge.dispute.closed in processStripeEvent).
+ *
+ * The charge is traced back to the donation_ledger row its payment wrote (by invoice / PaymentIntent id).
+ * Each Stripe refund or dispute then, in one transaction:
+ *   - inserts a reversing donation_ledger row (negative amount, same source_type and week_start,
+ *     source_id '<kind>:<stripe id>', reverses_ledger_id → the original row). Stripe amounts are in the
+ *     charge currency: they are capped against original_amount and converted at the original row's fx_rate,
+ *     so a full refund takes out exactly what the payment put into the pool. When the charge included
+ *     sales tax / VAT (lib/tax.js), only the net share of the refund or dispute comes out of the pool
+ *   - subtracts the amount from that week's weekly_donation_pool column and posts the journal reversal
+ *   - puts the advertiser (is_paused + payment_hold_reason) or sponsor campaign (status 'on_hold') on hold
+ *   - when the week was already finalized: flags the payment_reversals row for admin review and holds the
+ *     charity transfer intent that week was allocated to, if it has not been paid yet
+ * A won dispute puts the money back into the same week (kind 'dispute_won'); holds stay until an admin
+ * releases them.
+ *
+ * Tables: donation_ledger, weekly_donation_pool, payment_reversals, advertisers, sponsor_campaigns,
+ * transfer_intents, sponsor_donations, donations.
+ */
+
+// donation_ledger.source_type → weekly_donation_pool column / journal pool_source
+const POOL_BY_SOURCE_TYPE = {
+  advertiser: { column: 'advertiser_total', poolSource: 'advertiser' },
+  sponsor: { column: 'sponsor_total', poolSource: 'sponsor' },
+  direct_donation: { column: 'viewer_total', poolSource: 'viewer' },
+  subscription: { column: 'viewer_total', poolSource: 'viewer' }
+};
+
+const HOLD_REASONS = {
+  refund: 'Payment refunded',
+  dispute: 'Payment disputed'
+};
+
+function stripeId(ref) {
+  return typeof ref === 'string' ? ref : ref?.id || null;
+}
+
+/**
+ * The donation_ledger row a charge's payment wrote, or null (not a pooled payment, or not recorded yet).
+ * @param {object} db
+ * @param {object} charge - Stripe Charge
+ */
+async function findLedgerRowForCharge(db, charge) {
+  const refs = [stripeId(charge.invoice), stripeId(charge.payment_intent)].filter(Boolean);
+  if (refs.length === 0) {
+    return null;
+  }
+  const result = await db.query(`
+    SELECT dl.id::text AS id, dl.source_type, dl.source_id::text AS source_id, dl.amount,
+           COALESCE(dl.original_amount, dl.amount) AS original_amount, dl.currency, dl.fx_rate, dl.fx_rate_id,
+           dl.week_start::text AS week_start, dl.cause_category
+    FROM donation_ledger dl
+    WHERE dl.reverses_ledger_id IS NULL
+      AND dl.amount > 0
+      AND (
+        dl.billing_record_id::text = ANY($1::text[])
+        OR (dl.source_type = 'subscription' AND dl.source_id::text = ANY($1::text[]))
+        OR (dl.source_type = 'sponsor' AND dl.billing_record_id::text IN (
+          SELECT sd.id::text FROM sponsor_donations sd
+          WHERE sd.stripe_invoice_id = ANY($1::text[]) OR sd.stripe_payment_intent_id = ANY($1::text[])
+        ))
+        OR (dl.source_type = 'direct_donation' AND dl.source_id::text IN (
+          SELECT d.id::text FROM donations d WHERE d.stripe_payment_intent_id = ANY($1::text[])
+        ))
+      )
+    ORDER BY dl.week_start ASC
+    LIMIT 1
+  `, [refs]);
+  return result.rows[0] || null;
+}
+
+async function holdCampaign(client, ledgerRow, reason) {
+  if (ledgerRow.source_type === 'advertiser') {
+    const result = await client.query(`
+      UPDATE advertisers
+      SET is_paused = TRUE, payment_hold_reason = $2
+      WHERE id::text = $1
+    `, [ledgerRow.source_id, reason]);
+    return result.rowCount > 0;
+  }
+  if (ledgerRow.source_type === 'sponsor') {
+    const result = await client.query(`
+      UPDATE sponsor_campaigns
+      SET status_before_hold = CASE WHEN status = 'on_hold' THEN status_before_hold ELSE status END,
+          status = 'on_hold',
+          payment_hold_reason = $2,
+          updated_at = NOW()
+      WHERE id::text = $1
+        AND status NOT IN ('ended', 'canceled', 'cancelled', 'rejected')
+    `, [ledgerRow.source_id, reason]);
+    return result.rowCount > 0;
+  }
+  return false; // Viewer donations and subscriptions have no campaign
+}
+
+// The unpaid charity transfer intents a finalized week was allocated to (finalize accumulates earlier weeks
+// into the next allocation; a split week has one per charity), put on hold until an admin reviews the reversal.
+// Returns the held intent ids, comma-separated
+async function holdTransferIntentForWeek(client, weekStart, reason) {
+  const result = await client.query(`
+    UPDATE transfer_intents
+    SET status = 'held', hold_reason = $2, updated_at = NOW()
+    WHERE recipient_type = 'charity'
+      AND status IN ('pending', 'failed')
+      AND week_start = (
+        SELECT MIN(wca.week_start) FROM weekly_charity_allocation wca WHERE wca.week_start >= $1::date
+      )
+    RETURNING id::text AS id
+  `, [weekStart, reason]);
+  return result.rows.map(r => r.id).join(', ') || null;
+}
+
+/**
+ * Apply one refund / dispute (or a won dispute's reinstatement) to the pool. Idempotent per
+ * (kind, stripe object id).
+ * @param {object} pool
+ * @param {{ kind: 'refund'|'dispute'|'dispute_won', stripeObjectId: string, charge: object, amountCents: number,
+ *   stripeStatus?: string|null }} params - amountCents is always positive, in the charge currency
+ * @returns {Promise<{ applied: boolean, reason?: string, reversalId?: number, weekFinalized?: boolean,
+ *   campaignHeld?: boolean, transferIntentHeld?: string|null }>}
+ */
+async function applyPaymentReversal(pool, { kind, stripeObjectId, charge, amountCents, stripeStatus = null }) {
+  const ledgerRow = await findLedgerRowForCharge(pool, charge);
+  if (!ledgerRow) {
+    return { applied: false, reason: 'no_ledger_row' };
+  }
+  const poolTarget = POOL_BY_SOURCE_TYPE[ledgerRow.source_type];
+  if (!poolTarget) {
+    return { applied: false, reason: `unsupported_source_type:${ledgerRow.source_type}` };
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    // Lock the original row so concurrent refunds of one charge never reverse more than was pooled
+    await client.query('SELECT id FROM donation_ledger WHERE id::text = $1 FOR UPDATE', [ledgerRow.id]);
+    const reversedResult = await client.query(`
+      SELECT COALESCE(SUM(-COALESCE(original_amount, amount)), 0)::numeric AS reversed,
+             COALESCE(SUM(-amount), 0)::numeric AS reversed_pooled
+      FROM donation_ledger WHERE reverses_ledger_id = $1
+    `, [ledgerRow.id]);
+    const originalCents = Math.round(parseFloat(ledgerRow.original_amount) * 100);
+    const reversedCents = Math.round(parseFloat(reversedResult.rows[0].reversed) * 100);
+    const pooledCents = Math.round(parseFloat(ledgerRow.amount) * 100);
+    const reversedPooledCents = Math.round(parseFloat(reversedResult.rows[0].reversed_pooled) * 100);
+    const fxRate = parseFloat(ledgerRow.fx_rate) || 1;
+
+    let signedCents; // charge-currency amount taken out of the pool (negative when a won dispute puts it back)
+    let pooledSignedCents; // the same in the reporting currency
+    if (kind === 'dispute_won') {
+      const disputeRow = await client.query(
+        `SELECT amount, COALESCE(original_amount, amount) AS original_amount FROM payment_reversals WHERE kind = 'dispute' AND stripe_object_id = $1`,
+        [stripeObjectId]
+      );
+      if (disputeRow.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return { applied: false, reason: 'dispute_not_applied' };
+      }
+      signedCents = -Math.min(Math.round(parseFloat(disputeRow.rows[0].original_amount) * 100), reversedCents);
+      pooledSignedCents = -Math.min(Math.round(parseFloat(disputeRow.rows[0].amount) * 100), reversedPooledCents);
+    } else {
+      // A charge that included tax pooled only its net amount: refund / dispute the net share pro rata
+      const chargeCents = typeof charge.amount === 'number' ? charge.amount : originalCents;
+      const netCents = chargeCents > originalCents
+        ? Math.round(amountCents * originalCents / chargeCents)
+        : amountCents;
+      signedCents = Math.min(netCents, originalCents - reversedCents);
+      pooledSignedCents = signedCents === originalCents - reversedCents
+        ? pooledCents - reversedPooledCents
+        : Math.round(signedCents * fxRate);
+    }
+    if (!signedCents) {
+      await client.query('ROLLBACK');
+      return { applied: false, reason: 'nothing_to_reverse' };
+    }
+    const amount = pooledSignedCents / 100;
+    const originalAmount = signedCents / 100;
+
+    const ledgerInsert = await client.query(`
+      INSERT INTO donation_ledger (
+        source_type, source_id, billing_record_id, amount, week_start, reverses_ledger_id,
+        currency, original_amount, fx_rate, fx_rate_id, cause_category
+      )
+      VALUES ($1, $2, $3, $4, $5::date, $6, $7, $8, $9, $10, $11)
+      ON CONFLICT (source_id, week_start) DO NOTHING
+      RETURNING id::text AS id
+    `, [
+      ledgerRow.source_type, `${kind}:${stripeObjectId}`, stripeObjectId, -amount, ledgerRow.week_start, ledgerRow.id,
+      ledgerRow.currency, -originalAmount, fxRate, ledgerRow.fx_rate_id, ledgerRow.cause_category
+    ]);
+    if (ledgerInsert.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return { applied: false, reason: 'already_applied' };
+    }
+
+    const poolUpdate = await client.query(`
+      UPDATE weekly_donation_pool
+      SET ${poolTarget.column} = COALESCE(${poolTarget.column}, 0) - $2, updated_at = NOW()
+      WHERE week_start = $1::date
+      RETURNING finalized_at
+    `, [ledgerRow.week_start, amount]);
+    const weekFinalized = Boolean(poolUpdate.rows[0]?.finalized_at);
+
+    await postPoolReversal(client, {
+      entryKey: `${kind}:${stripeObjectId}`,
+      sourceType: kind,
+      sourceId: ledgerRow.source_id,
+      poolSource: poolTarget.poolSource,
+      amount,
+      weekStart: ledgerRow.week_start,
+      description: `${kind === 'dispute_won' ? 'Dispute won' : kind === 'dispute' ? 'Dispute' : 'Refund'} on charge ${charge.id}`
+    });
+
+    let campaignHeld = false;
+    let transferIntentId = null;
+    if (HOLD_REASONS[kind]) {
+      campaignHeld = await holdCampaign(client, ledgerRow, `${HOLD_REASONS[kind]} (${stripeObjectId})`);
+      if (weekFinalized) {
+        transferIntentId = await holdTransferIntentForWeek(
+          client,
+          ledgerRow.week_start,
+          `${HOLD_REASONS[kind]} after week ${ledgerRow.week_start} was finalized (${stripeObjectId})`
+        );
+      }
+    }
+
+    const reversalInsert = await client.query(`
+      INSERT INTO payment_reversals (
+        kind, stripe_object_id, stripe_charge_id, stripe_status, donation_ledger_id, reversal_ledger_id,
+        source_type, source_id, amount, week_start, week_finalized, transfer_intent_id, campaign_held, needs_review,
+        currency, original_amount
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10::date, $11, $12, $13, $11, $14, $15)
+      RETURNING id
+    `, [
+      kind, stripeObjectId, charge.id, stripeStatus, ledgerRow.id, ledgerInsert.rows[0].id,
+      ledgerRow.source_type, ledgerRow.source_id, Math.abs(amount), ledgerRow.week_start,
+      weekFinalized, transferIntentId, campaignHeld, ledgerRow.currency, Math.abs(originalAmount)
+    ]);
+
+    await client.query('COMMIT');
+
+    console.log(`↩️ [REVERSAL] ${kind} ${stripeObjectId}: ${amount > 0 ? '-' : '+'}$${Math.abs(amount).toFixed(2)} ${ledgerRow.source_type} pool week ${ledgerRow.week_start}` +
+      `${weekFinalized ? ' (finalized week — flagged for review)' : ''}${campaignHeld ? `, ${ledgerRow.source_type} ${ledgerRow.source_id} on hold` : ''}` +
+      `${transferIntentId ? `, transfer intent ${transferIntentId} held` : ''}`);
+    return {
+      applied: true,
+      reversalId: reversalInsert.rows[0].id,
+      weekFinalized,
+      campaignHeld,
+      transferIntentHeld: transferIntentId
+    };
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Dispute fees Stripe withdrew with the disputed amount (from the dispute's balance transactions)
+async function postDisputeFees(db, dispute) {
+  const fee = (dispute.balance_transactions || []).reduce((sum, bt) => sum + (bt.fee || 0), 0) / 100;
+  if (!(fee > 0)) {
+    return { posted: false, entryId: null };
+  }
+  return postJournalEntry(db, {
+    entryKey: `dispute_fee:${dispute.id}`,
+    sourceType: 'stripe_fee',
+    sourceId: dispute.id,
+    description: `Dispute fee on ${stripeId(dispute.charge)}`,
+    lines: [
+      { account: ACCOUNTS.STRIPE_FEES, debit: fee },
+      { account: ACCOUNTS.STRIPE_BALANCE, credit: fee }
+    ]
+  });
+}
+
+// Record the final Stripe status (won / lost / …) on an applied dispute
+async function updateDisputeStatus(db, dispute) {
+  await db.query(
+    `UPDATE payment_reversals SET stripe_status = $2, updated_at = NOW() WHERE kind = 'dispute' AND stripe_object_id = $1`,
+    [dispute.id, dispute.status]
+  );
+}
+
+/**
+ * Clear a refund / dispute hold: un-pause the advertiser or restore the sponsor campaign's previous status.
+ * @returns {Promise<boolean>} whether a held campaign was released
+ */
+async function releaseCampaignHold(db, sourceType, sourceId) {
+  if (sourceType === 'advertiser') {
+    const result = await db.query(`
+      UPDATE advertisers SET is_paused = FALSE, payment_hold_reason = NULL
+      WHERE id::text = $1 AND payment_hold_reason IS NOT NULL
+    `, [String(sourceId)]);
+    return result.rowCount > 0;
+  }
+  if (sourceType === 'sponsor') {
+    const result = await db.query(`
+      UPDATE sponsor_campaigns
+      SET status = COALESCE(status_before_hold, 'approved'), status_before_hold = NULL,
+          payment_hold_reason = NULL, updated_at = NOW()
+      WHERE id::text = $1 AND status = 'on_hold'
+    `, [String(sourceId)]);
+    return result.rowCount > 0;
+  }
+  return false;
+}
+
+module.exports = {
+  findLedgerRowForCharge,
+  applyPaymentReversal,
+  postDisputeFees,
+  updateDisputeStatus,
+  releaseCampaignHold
+};
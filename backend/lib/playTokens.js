@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Signed per-slot play tokens for advertiser impressions.
+ *
+ * /api/videos/playlist and /api/images/popup-ads issue one token per advertiser slot, bound to the
+ * viewer, advertiser, creative filename and issue time. /api/impressions/start marks the token as
+ * playing and /api/impressions/record redeems it once the minimum watch time (carried in the token
+ * as `mw`, so the client cannot shorten it) has elapsed. Redemption state lives in
+ * impression_play_tokens; rejected attempts are written to impression_fraud_events.
+ */
+
+const PLAY_TOKEN_SECRET = process.env.PLAY_TOKEN_SECRET || process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production';
+const PLAY_TOKEN_TTL_SECONDS = parseInt(process.env.PLAY_TOKEN_TTL_SECONDS || '1800', 10); // 30 minutes — outlives the 3-minute client playlist refresh
+const VIDEO_MIN_WATCH_SECONDS = parseInt(process.env.IMPRESSION_MIN_WATCH_SECONDS || '10', 10);
+const IMAGE_MIN_DISPLAY_SECONDS = parseInt(process.env.POPUP_IMPRESSION_MIN_DISPLAY_SECONDS || '3', 10);
+
+function issuePlayToken({ userId, advertiserId, filename, kind = 'video' }) {
+  const minWatchSeconds = kind === 'image' ? IMAGE_MIN_DISPLAY_SECONDS : VIDEO_MIN_WATCH_SECONDS;
+  return jwt.sign(
+    {
+      typ: 'play',
+      uid: userId,
+      aid: Number(advertiserId),
+      fn: filename,
+      mw: minWatchSeconds
+    },
+    PLAY_TOKEN_SECRET,
+    { expiresIn: PLAY_TOKEN_TTL_SECONDS, jwtid: crypto.randomUUID() }
+  );
+}
+
+/**
+ * Verify signature, expiry and bindings. Does not touch the database.
+ * @returns {{ ok: true, claims: object } | { ok: false, reason: string, claims?: object }}
+ */
+function verifyPlayToken(playToken, { userId, advertiserId, filename } = {}) {
+  if (!playToken || typeof playToken !== 'string') {
+    return { ok: false, reason: 'missing_token' };
+  }
+
+  let claims;
+  try {
+    claims = jwt.verify(playToken, PLAY_TOKEN_SECRET);
+  } catch (err) {
+    if (err.name === 'TokenExpiredError') {
+      return { ok: false, reason: 'expired_token', claims: jwt.decode(playToken) || undefined };
+    }
+    return { ok: false, reason: 'invalid_signature' };
+  }
+
+  if (claims.typ !== 'play' || !claims.jti) {
+    return { ok: false, reason: 'invalid_signature' };
+  }
+  if (userId !== undefined && String(claims.uid) !== String(userId)) {
+    return { ok: false, reason: 'viewer_mismatch', claims };
+  }
+  if (advertiserId !== undefined && String(claims.aid) !== String(advertiserId)) {
+    return { ok: false, reason: 'advertiser_mismatch', claims };
+  }
+  if (filename !== undefined && claims.fn !== filename) {
+    return { ok: false, reason: 'filename_mismatch', claims };
+  }
+
+  return { ok: true, claims };
+}
+
+/**
+ * Mark a verified token as playing. Repeated starts keep the original started_at.
+ */
+async function startPlayToken(pool, claims) {
+  await pool.query(`
+    INSERT INTO impression_play_tokens (jti, user_id, advertiser_id, video_filename, issued_at, min_watch_seconds, started_at)
+    VALUES ($1, $2, $3, $4, to_timestamp($5), $6, NOW())
+    ON CONFLICT (jti) DO NOTHING
+  `, [claims.jti, claims.uid, claims.aid, claims.fn, claims.iat, claims.mw]);
+}
+
+/**
+ * Atomically redeem a started token once its minimum watch time has elapsed.
+ * @returns {Promise<{ ok: true } | { ok: false, reason: 'not_started' | 'too_early' | 'replayed_token' }>}
+ */
+async function redeemPlayToken(pool, claims) {
+  const redeemed = await pool.query(`
+    UPDATE impression_play_tokens
+    SET redeemed_at = NOW()
+    WHERE jti = $1
+      AND user_id = $2
+      AND redeemed_at IS NULL
+      AND started_at <= NOW() - make_interval(secs => min_watch_seconds)
+    RETURNING jti
+  `, [claims.jti, claims.uid]);
+
+  if (redeemed.rows.length > 0) {
+    return { ok: true };
+  }
+
+  const existing = await pool.query(
+    'SELECT redeemed_at FROM impression_play_tokens WHERE jti = $1',
+    [claims.jti]
+  );
+  if (existing.rows.length === 0) return { ok: false, reason: 'not_started' };
+  if (existing.rows[0].redeemed_at) return { ok: false, reason: 'replayed_token' };
+  return { ok: false, reason: 'too_early' };
+}
+
+module.exports = {
+  issuePlayToken,
+  verifyPlayToken,
+  startPlayToken,
+  redeemPlayToken,
+  PLAY_TOKEN_TTL_SECONDS,
+  VIDEO_MIN_WATCH_SECONDS,
+  IMAGE_MIN_DISPLAY_SECONDS
+};
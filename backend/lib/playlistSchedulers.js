@@ -0,0 +1,271 @@
+/**
+ * Playlist scheduling strategies for /api/videos/playlist.
+ *
+ * Every scheduler has the same signature: (advertisers, sponsors, options) => merged playlist, where
+ * advertisers / sponsors are the playlist items built by the endpoint (sponsors carry `tier`). The
+ * active scheduler is chosen with PLAYLIST_SCHEDULER; the rest of the behaviour is tuned through
+ * options (see DEFAULT_SCHEDULER_OPTIONS). scripts/simulate-playlist-schedulers.js runs any of them
+ * against a fixed set of advertisers/sponsors and reports each one's share of slots.
+ *
+ * Built-in schedulers:
+ * - engagement_balanced: original buildEngagementBalancedPlaylist — advertisers in order, sponsors on
+ *   a bronze/silver/gold/diamond 1:2:3:4 rotation.
+ * - budget_paced: advertisers weighted by advertiserWeights (pacing weights from lib/budgetPacing.js)
+ *   with smooth weighted round-robin, so campaigns behind pace get more slots and campaigns ahead of
+ *   pace fewer; sponsors as engagement_balanced.
+ * - round_robin: advertisers and sponsors each cycled in order, ignoring tier.
+ * - weighted_random: advertisers by advertiserWeights, sponsors by tier weight, drawn from a PRNG
+ *   seeded per viewer so a viewer's playlist is stable across refreshes but differs between viewers.
+ *
+ * All of them share the same slot rules: at most maxSponsorStreak sponsors in a row, at most
+ * maxSponsorsInWindow sponsors in any windowSize slots, and no sponsor-only tail. No advertisers →
+ * sponsors only; no sponsors → advertisers only.
+ */
+
+const DEFAULT_SCHEDULER = 'engagement_balanced';
+
+const DEFAULT_SCHEDULER_OPTIONS = {
+  windowSize: 5,
+  maxSponsorsInWindow: 2,
+  maxSponsorStreak: 2,
+  tierWeights: { bronze: 1, silver: 2, gold: 3, diamond: 4 },
+  minLength: 50,
+  lengthPerAdvertiser: 3,
+  // budget_paced / weighted_random: { [advertiserId]: weight }; advertisers not listed get weight 1
+  advertiserWeights: null,
+  // weighted_random: per-viewer seed (e.g. `viewer:<userId>`)
+  seed: null
+};
+
+const TIER_ORDER = ['bronze', 'silver', 'gold', 'diamond'];
+
+function sponsorTier(sponsor) {
+  const tier = (sponsor.tier || 'bronze').toLowerCase();
+  return TIER_ORDER.includes(tier) ? tier : 'bronze';
+}
+
+function advertiserWeight(advertiser, options) {
+  const weights = options.advertiserWeights;
+  if (!weights || advertiser.advertiserId == null) return 1;
+  const weight = weights[advertiser.advertiserId];
+  return typeof weight === 'number' && weight >= 0 ? weight : 1;
+}
+
+/**
+ * Fill the playlist slot by slot. Decides whether each slot is an advertiser or a sponsor slot and
+ * delegates the choice of item to the strategy's pickers.
+ */
+function interleave(advertisers, sponsors, options, pickAdvertiser, pickSponsor) {
+  if (advertisers.length === 0) {
+    return sponsors.slice();
+  }
+  if (sponsors.length === 0) {
+    return advertisers.slice();
+  }
+
+  const merged = [];
+  const recentTypes = []; // sliding window: last windowSize item types ('advertiser' | 'sponsor')
+  let sponsorStreak = 0;
+  const maxLength = Math.max(options.minLength, advertisers.length * options.lengthPerAdvertiser);
+
+  while (merged.length < maxLength) {
+    const mustPlayAdvertiser = sponsorStreak >= options.maxSponsorStreak;
+    const recentSponsors = recentTypes.filter(t => t === 'sponsor').length;
+    const mayPlaySponsor = !mustPlayAdvertiser && recentSponsors < options.maxSponsorsInWindow;
+
+    if (mustPlayAdvertiser || !mayPlaySponsor) {
+      merged.push(pickAdvertiser());
+      sponsorStreak = 0;
+      recentTypes.push('advertiser');
+    } else {
+      merged.push(pickSponsor());
+      sponsorStreak++;
+      recentTypes.push('sponsor');
+    }
+    if (recentTypes.length > options.windowSize) recentTypes.shift();
+  }
+
+  return merged;
+}
+
+function cyclicPicker(items) {
+  let index = 0;
+  return () => items[index++ % items.length];
+}
+
+// Tier rotation: each tier appears tierWeights[tier] times per cycle; empty tiers are skipped
+// without consuming weight.
+function tierRotationPicker(sponsors, tierWeights) {
+  const tierPools = { bronze: [], silver: [], gold: [], diamond: [] };
+  sponsors.forEach(s => tierPools[sponsorTier(s)].push(s));
+
+  const tierSchedule = [];
+  TIER_ORDER.forEach(tier => {
+    for (let i = 0; i < (tierWeights[tier] || 0); i++) tierSchedule.push(tier);
+  });
+
+  const tierIndices = { bronze: 0, silver: 0, gold: 0, diamond: 0 };
+  let tierPointer = 0;
+  const fallback = cyclicPicker(sponsors);
+
+  return () => {
+    for (let attempts = 0; attempts < tierSchedule.length; attempts++) {
+      const tier = tierSchedule[tierPointer % tierSchedule.length];
+      tierPointer++;
+      const pool = tierPools[tier];
+      if (pool.length > 0) {
+        return pool[tierIndices[tier]++ % pool.length];
+      }
+    }
+    return fallback();
+  };
+}
+
+// Smooth weighted round-robin (as in nginx upstreams): deterministic, and spreads each item's
+// slots evenly instead of bunching them.
+function smoothWeightedPicker(items, weightOf) {
+  const weights = items.map(weightOf);
+  const total = weights.reduce((sum, w) => sum + w, 0);
+  if (total <= 0) return cyclicPicker(items);
+
+  const current = items.map(() => 0);
+  return () => {
+    let best = 0;
+    for (let i = 0; i < items.length; i++) {
+      current[i] += weights[i];
+      if (current[i] > current[best]) best = i;
+    }
+    current[best] -= total;
+    return items[best];
+  };
+}
+
+// mulberry32 seeded from a 32-bit FNV-1a hash of the seed string
+function seededRandom(seed) {
+  let h = 0x811c9dc5;
+  const str = String(seed == null ? '' : seed);
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  let state = h >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function weightedRandomPicker(items, weightOf, random) {
+  const weights = items.map(weightOf);
+  const total = weights.reduce((sum, w) => sum + w, 0);
+  if (total <= 0) return () => items[Math.floor(random() * items.length)];
+
+  return () => {
+    let r = random() * total;
+    for (let i = 0; i < items.length; i++) {
+      r -= weights[i];
+      if (r < 0) return items[i];
+    }
+    return items[items.length - 1];
+  };
+}
+
+const SCHEDULERS = {
+  engagement_balanced: {
+    perViewer: false,
+    build(advertisers, sponsors, options) {
+      return interleave(advertisers, sponsors, options,
+        cyclicPicker(advertisers),
+        tierRotationPicker(sponsors, options.tierWeights));
+    }
+  },
+  budget_paced: {
+    perViewer: false,
+    build(advertisers, sponsors, options) {
+      // Without sponsors interleave returns each advertiser once, which would skip pacing
+      if (sponsors.length === 0) {
+        return buildWeightedRotation(advertisers, a => advertiserWeight(a, options),
+          Math.max(options.minLength, advertisers.length * options.lengthPerAdvertiser));
+      }
+      return interleave(advertisers, sponsors, options,
+        smoothWeightedPicker(advertisers, a => advertiserWeight(a, options)),
+        tierRotationPicker(sponsors, options.tierWeights));
+    }
+  },
+  round_robin: {
+    perViewer: false,
+    build(advertisers, sponsors, options) {
+      return interleave(advertisers, sponsors, options,
+        cyclicPicker(advertisers),
+        cyclicPicker(sponsors));
+    }
+  },
+  weighted_random: {
+    perViewer: true,
+    build(advertisers, sponsors, options) {
+      const random = seededRandom(options.seed);
+      return interleave(advertisers, sponsors, options,
+        weightedRandomPicker(advertisers, a => advertiserWeight(a, options), random),
+        weightedRandomPicker(sponsors, s => options.tierWeights[sponsorTier(s)] || 0, random));
+    }
+  }
+};
+
+function resolveSchedulerName(name) {
+  if (name && SCHEDULERS[name]) return name;
+  if (name) {
+    console.warn(`⚠️ [PLAYLIST] Unknown scheduler "${name}", falling back to ${DEFAULT_SCHEDULER}`);
+  }
+  return DEFAULT_SCHEDULER;
+}
+
+/**
+ * Build a playlist with the named scheduler.
+ * @param {string} schedulerName - key of SCHEDULERS (unknown names fall back to engagement_balanced)
+ * @param {Array} advertisers - Array of advertiser video items
+ * @param {Array} sponsors - Array of sponsor video items
+ * @param {object} [options] - overrides for DEFAULT_SCHEDULER_OPTIONS
+ * @returns {Array} Merged playlist
+ */
+function buildPlaylist(schedulerName, advertisers, sponsors, options = {}) {
+  const scheduler = SCHEDULERS[resolveSchedulerName(schedulerName)];
+  const merged = {
+    ...DEFAULT_SCHEDULER_OPTIONS,
+    ...options,
+    tierWeights: { ...DEFAULT_SCHEDULER_OPTIONS.tierWeights, ...(options.tierWeights || {}) }
+  };
+  return scheduler.build(advertisers, sponsors, merged);
+}
+
+/**
+ * Evenly spread weighted rotation of `length` slots (smooth weighted round-robin), e.g. the paced
+ * popup-ads list. Items whose weight rounds to no slots are left out.
+ * @param {Array} items
+ * @param {(item: any) => number} weightOf
+ * @param {number} length
+ * @returns {Array}
+ */
+function buildWeightedRotation(items, weightOf, length) {
+  if (items.length === 0) return [];
+  const pick = smoothWeightedPicker(items, weightOf);
+  const rotation = [];
+  for (let i = 0; i < length; i++) rotation.push(pick());
+  return rotation;
+}
+
+function isPerViewerScheduler(schedulerName) {
+  return SCHEDULERS[resolveSchedulerName(schedulerName)].perViewer;
+}
+
+module.exports = {
+  buildPlaylist,
+  buildWeightedRotation,
+  isPerViewerScheduler,
+  resolveSchedulerName,
+  SCHEDULERS,
+  DEFAULT_SCHEDULER,
+  DEFAULT_SCHEDULER_OPTIONS
+};
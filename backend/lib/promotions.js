@@ -0,0 +1,465 @@
+const { SUPPORTED_CURRENCIES, normalizeCurrency, formatMoney } = require('./currency');
+
+/**
+ * Promotions for advertiser campaigns: promo codes and free-credit grants.
+ *
+ * A promotion is either 'percent_off' (percent_off off the first duration_weeks invoices) or 'credit'
+ * (credit_amount in one currency, drawn down invoice by invoice until used up). Advertisers redeem a code on
+ * /api/advertiser/submit or /api/advertiser/create-checkout-session, which scopes the redemption to the new
+ * campaign; /admin-cs grants credit to an account without a code (applies to any of its campaigns).
+ *
+ * billCampaignUsage / billNonRecurringCampaign ask quoteCampaignDiscount for the discount on the gross amount,
+ * put it on the invoice as a negative line and store amount_billed net of it, so donation_ledger and the
+ * journal only ever see what the advertiser actually pays. recordPromotionApplication then counts the
+ * redemption down once per invoice, in the same transaction as the billing record. One redemption applies per invoice (the campaign's own before account-wide
+ * grants, oldest first); discounts never stack. Prepaid campaigns are not invoiced and take no discount.
+ *
+ * Tables: promotions, promotion_redemptions, promotion_applications, advertiser_accounts, advertisers.
+ */
+
+const PROMOTION_LIMITS = {
+  maxCredit: 10000,
+  maxDurationWeeks: 52
+};
+
+// Redemptions that count towards max_redemptions / per_account_limit. A code redeemed for a campaign whose
+// checkout never completed stops counting after a day, when its Checkout session has expired
+const COUNTED_REDEMPTION_SQL = `
+  r.status <> 'revoked'
+  AND (r.advertiser_id IS NULL OR a.payment_completed = TRUE OR r.redeemed_at > NOW() - INTERVAL '1 day')
+`;
+
+function toNumber(value) {
+  const n = parseFloat(value);
+  return Number.isFinite(n) ? n : 0;
+}
+
+function roundMoney(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function normalizePromoCode(value) {
+  if (typeof value !== 'string') return null;
+  const code = value.trim().toUpperCase();
+  return code || null;
+}
+
+function parseOptionalDate(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+function parseOptionalInteger(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const n = Number(value);
+  return Number.isInteger(n) ? n : NaN;
+}
+
+function describePromotion(promotion) {
+  if (promotion.kind === 'percent_off') {
+    const weeks = promotion.duration_weeks;
+    return `${toNumber(promotion.percent_off)}% off ${weeks === 1 ? 'the first week' : `the first ${weeks} weeks`}`;
+  }
+  return `${formatMoney(promotion.credit_amount, promotion.currency)} of free delivery`;
+}
+
+// What the advertiser sees when a code is accepted
+function publicPromotionResponse(promotion) {
+  return { code: promotion.code, description: promotion.description, summary: describePromotion(promotion) };
+}
+
+function promotionResponse(promotion) {
+  if (!promotion) return null;
+  return {
+    id: promotion.id,
+    code: promotion.code,
+    description: promotion.description,
+    summary: describePromotion(promotion),
+    kind: promotion.kind,
+    percentOff: promotion.percent_off !== null ? toNumber(promotion.percent_off) : null,
+    durationWeeks: promotion.duration_weeks,
+    creditAmount: promotion.credit_amount !== null ? toNumber(promotion.credit_amount) : null,
+    currency: promotion.currency,
+    startsAt: promotion.starts_at,
+    expiresAt: promotion.expires_at,
+    maxRedemptions: promotion.max_redemptions,
+    perAccountLimit: promotion.per_account_limit,
+    active: Boolean(promotion.active),
+    ...(promotion.redemption_count !== undefined && { redemptionCount: Number(promotion.redemption_count) }),
+    ...(promotion.discounted_total !== undefined && { discountedTotal: toNumber(promotion.discounted_total) }),
+    createdAt: promotion.created_at
+  };
+}
+
+/**
+ * Validate a promotion created from /admin-cs.
+ * @param {object} input - { code, description, kind, percentOff, durationWeeks, creditAmount, currency,
+ *   startsAt, expiresAt, maxRedemptions, perAccountLimit }
+ * @returns {{ ok: true, promotion: object } | { ok: false, error: string }}
+ */
+function validatePromotionInput(input) {
+  const code = normalizePromoCode(input?.code);
+  if (!code || !/^[A-Z0-9_-]{3,32}$/.test(code)) {
+    return { ok: false, error: 'Code must be 3-32 letters, digits, dashes or underscores' };
+  }
+  const description = typeof input?.description === 'string' ? input.description.trim() : '';
+  if (!description) return { ok: false, error: 'Description is required' };
+
+  const kind = input?.kind;
+  if (kind !== 'percent_off' && kind !== 'credit') {
+    return { ok: false, error: "Kind must be 'percent_off' or 'credit'" };
+  }
+
+  const promotion = {
+    code,
+    description,
+    kind,
+    percentOff: null,
+    durationWeeks: 1,
+    creditAmount: null,
+    currency: null,
+    startsAt: parseOptionalDate(input?.startsAt),
+    expiresAt: parseOptionalDate(input?.expiresAt),
+    maxRedemptions: parseOptionalInteger(input?.maxRedemptions),
+    perAccountLimit: parseOptionalInteger(input?.perAccountLimit) ?? 1
+  };
+
+  if (kind === 'percent_off') {
+    const percentOff = Number(input?.percentOff);
+    if (!Number.isFinite(percentOff) || percentOff <= 0 || percentOff > 100) {
+      return { ok: false, error: 'Percent off must be between 0 and 100' };
+    }
+    const durationWeeks = parseOptionalInteger(input?.durationWeeks) ?? 1;
+    if (Number.isNaN(durationWeeks) || durationWeeks < 1 || durationWeeks > PROMOTION_LIMITS.maxDurationWeeks) {
+      return { ok: false, error: `Duration must be 1-${PROMOTION_LIMITS.maxDurationWeeks} weeks` };
+    }
+    promotion.percentOff = Math.round(percentOff * 100) / 100;
+    promotion.durationWeeks = durationWeeks;
+  } else {
+    const currency = normalizeCurrency(input?.currency);
+    if (!currency) {
+      return { ok: false, error: `Currency must be one of: ${SUPPORTED_CURRENCIES.join(', ').toUpperCase()}` };
+    }
+    const creditAmount = roundMoney(Number(input?.creditAmount));
+    if (!Number.isFinite(creditAmount) || creditAmount <= 0 || creditAmount > PROMOTION_LIMITS.maxCredit) {
+      return { ok: false, error: `Credit must be between ${formatMoney(0.01, currency)} and ${formatMoney(PROMOTION_LIMITS.maxCredit, currency)}` };
+    }
+    promotion.creditAmount = creditAmount;
+    promotion.currency = currency;
+  }
+
+  if (promotion.startsAt === undefined || promotion.expiresAt === undefined) {
+    return { ok: false, error: 'Start and expiry must be valid dates' };
+  }
+  if (promotion.startsAt && promotion.expiresAt && promotion.expiresAt <= promotion.startsAt) {
+    return { ok: false, error: 'Expiry must be after the start date' };
+  }
+  if (Number.isNaN(promotion.maxRedemptions) || (promotion.maxRedemptions !== null && promotion.maxRedemptions < 1)) {
+    return { ok: false, error: 'Max redemptions must be a positive whole number' };
+  }
+  if (Number.isNaN(promotion.perAccountLimit) || promotion.perAccountLimit < 1) {
+    return { ok: false, error: 'Per-account limit must be a positive whole number' };
+  }
+  return { ok: true, promotion };
+}
+
+async function insertPromotion(db, promotion, createdBy) {
+  const result = await db.query(`
+    INSERT INTO promotions (code, description, kind, percent_off, duration_weeks, credit_amount, currency,
+                            starts_at, expires_at, max_redemptions, per_account_limit, created_by)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+    RETURNING *
+  `, [
+    promotion.code,
+    promotion.description,
+    promotion.kind,
+    promotion.percentOff,
+    promotion.durationWeeks,
+    promotion.creditAmount,
+    promotion.currency,
+    promotion.startsAt,
+    promotion.expiresAt,
+    promotion.maxRedemptions,
+    promotion.perAccountLimit,
+    createdBy || null
+  ]);
+  return result.rows[0];
+}
+
+/**
+ * Create a promo code. A duplicate code comes back as { ok: false } rather than a unique violation.
+ * @returns {Promise<{ ok: true, promotion: object } | { ok: false, error: string }>}
+ */
+async function createPromotion(db, promotion, createdBy) {
+  try {
+    return { ok: true, promotion: await insertPromotion(db, promotion, createdBy) };
+  } catch (err) {
+    if (err.code === '23505') return { ok: false, error: `Code ${promotion.code} already exists` };
+    throw err;
+  }
+}
+
+// Promotions with how often they were redeemed and how much they have taken off invoices, newest first
+async function listPromotions(db) {
+  const result = await db.query(`
+    SELECT p.*,
+           (SELECT COUNT(*) FROM promotion_redemptions r WHERE r.promotion_id = p.id AND r.status <> 'revoked') AS redemption_count,
+           (SELECT COALESCE(SUM(pa.discount_amount), 0)
+              FROM promotion_applications pa
+              JOIN promotion_redemptions r ON r.id = pa.redemption_id
+             WHERE r.promotion_id = p.id) AS discounted_total
+    FROM promotions p
+    ORDER BY p.created_at DESC
+  `);
+  return result.rows;
+}
+
+async function setPromotionActive(db, promotionId, active) {
+  const result = await db.query(`
+    UPDATE promotions SET active = $2, updated_at = NOW()
+    WHERE id = $1
+    RETURNING *
+  `, [promotionId, Boolean(active)]);
+  return result.rows[0] || null;
+}
+
+// Why this account cannot redeem the promotion now, or null if it can
+async function redemptionError(db, promotion, { accountId, currency }) {
+  if (!promotion || !promotion.active || !promotion.code) return 'This promo code is not valid';
+  const now = new Date();
+  if (promotion.starts_at && new Date(promotion.starts_at) > now) return 'This promo code is not active yet';
+  if (promotion.expires_at && new Date(promotion.expires_at) <= now) return 'This promo code has expired';
+  if (promotion.kind === 'credit' && currency && promotion.currency !== currency) {
+    return `This promo code is only valid for campaigns billed in ${promotion.currency.toUpperCase()}`;
+  }
+
+  const counts = await db.query(`
+    SELECT COUNT(*) AS total,
+           COUNT(*) FILTER (WHERE r.advertiser_account_id = $2) AS account_total
+    FROM promotion_redemptions r
+    LEFT JOIN advertisers a ON a.id = r.advertiser_id
+    WHERE r.promotion_id = $1
+      AND ${COUNTED_REDEMPTION_SQL}
+  `, [promotion.id, accountId || null]);
+  const { total, account_total: accountTotal } = counts.rows[0];
+  if (promotion.max_redemptions !== null && Number(total) >= promotion.max_redemptions) {
+    return 'This promo code has been fully redeemed';
+  }
+  if (accountId && Number(accountTotal) >= promotion.per_account_limit) {
+    return 'This promo code has already been used on your account';
+  }
+  return null;
+}
+
+/**
+ * Check a code before anything is created. The account may not exist yet (first campaign).
+ * @param {{ code: string, email?: string, currency?: string }} params
+ * @returns {Promise<{ ok: true, promotion: object } | { ok: false, error: string }>}
+ */
+async function checkPromoCode(db, { code, email, currency }) {
+  const normalized = normalizePromoCode(code);
+  if (!normalized) return { ok: false, error: 'Enter a promo code' };
+  const result = await db.query('SELECT * FROM promotions WHERE code = $1', [normalized]);
+  const promotion = result.rows[0];
+
+  let accountId = null;
+  if (email) {
+    const account = await db.query(
+      'SELECT id FROM advertiser_accounts WHERE LOWER(TRIM(email)) = LOWER(TRIM($1)) LIMIT 1',
+      [email]
+    );
+    accountId = account.rows[0]?.id || null;
+  }
+
+  const error = await redemptionError(db, promotion, { accountId, currency });
+  return error ? { ok: false, error } : { ok: true, promotion };
+}
+
+async function insertRedemption(db, promotion, { accountId, advertiserId }) {
+  const result = await db.query(`
+    INSERT INTO promotion_redemptions (promotion_id, advertiser_account_id, advertiser_id, credit_remaining, weeks_remaining)
+    VALUES ($1, $2, $3, $4, $5)
+    RETURNING *
+  `, [
+    promotion.id,
+    accountId,
+    advertiserId || null,
+    promotion.kind === 'credit' ? promotion.credit_amount : null,
+    promotion.kind === 'percent_off' ? promotion.duration_weeks : null
+  ]);
+  return result.rows[0];
+}
+
+/**
+ * Redeem a code for a new campaign. The promotion row is locked so two signups cannot both take the last
+ * redemption.
+ * @param {{ code: string, accountId: number, advertiserId: number, currency: string }} params
+ * @returns {Promise<{ ok: true, promotion: object, redemption: object } | { ok: false, error: string }>}
+ */
+async function redeemPromoCode(db, { code, accountId, advertiserId, currency }) {
+  const normalized = normalizePromoCode(code);
+  if (!normalized) return { ok: false, error: 'Enter a promo code' };
+
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+    const locked = await client.query('SELECT * FROM promotions WHERE code = $1 FOR UPDATE', [normalized]);
+    const promotion = locked.rows[0];
+    const error = await redemptionError(client, promotion, { accountId, currency });
+    if (error) {
+      await client.query('ROLLBACK');
+      return { ok: false, error };
+    }
+    const redemption = await insertRedemption(client, promotion, { accountId, advertiserId });
+    await client.query('COMMIT');
+    console.log(`🎟️ [PROMOTIONS] Account ${accountId} redeemed ${promotion.code} for campaign ${advertiserId} (redemption ${redemption.id})`);
+    return { ok: true, promotion, redemption };
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Free credit granted by an admin to an advertiser account (no code; applies to any of its campaigns).
+ * @param {{ email: string, amount: number, description: string, createdBy?: string }} params
+ * @returns {Promise<{ ok: true, promotion: object, redemption: object } | { ok: false, error: string }>}
+ */
+async function grantAccountCredit(db, { email, amount, description, createdBy }) {
+  const account = await db.query(
+    'SELECT id, currency FROM advertiser_accounts WHERE LOWER(TRIM(email)) = LOWER(TRIM($1)) LIMIT 1',
+    [email || '']
+  );
+  if (account.rows.length === 0) return { ok: false, error: 'No advertiser account with that email' };
+  const { id: accountId, currency } = account.rows[0];
+
+  const creditAmount = roundMoney(Number(amount));
+  if (!Number.isFinite(creditAmount) || creditAmount <= 0 || creditAmount > PROMOTION_LIMITS.maxCredit) {
+    return { ok: false, error: `Credit must be between ${formatMoney(0.01, currency)} and ${formatMoney(PROMOTION_LIMITS.maxCredit, currency)}` };
+  }
+  const label = typeof description === 'string' && description.trim()
+    ? description.trim()
+    : `${formatMoney(creditAmount, currency)} promotional credit`;
+
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+    const promotion = await insertPromotion(client, {
+      code: null,
+      description: label,
+      kind: 'credit',
+      percentOff: null,
+      durationWeeks: 1,
+      creditAmount,
+      currency,
+      startsAt: null,
+      expiresAt: null,
+      maxRedemptions: 1,
+      perAccountLimit: 1
+    }, createdBy);
+    const redemption = await insertRedemption(client, promotion, { accountId, advertiserId: null });
+    await client.query('COMMIT');
+    console.log(`🎟️ [PROMOTIONS] Granted ${formatMoney(creditAmount, currency)} credit to account ${accountId} (redemption ${redemption.id})`);
+    return { ok: true, promotion, redemption };
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Discount on one invoice of a campaign. The net amount never lands between zero and the Stripe minimum
+ * (the discount is trimmed to leave the minimum instead); a fully covered invoice nets to zero.
+ * @param {{ advertiserId: number, currency: string, grossAmount: number, minimumAmount: number }} params
+ * @returns {Promise<{ amount: number, netAmount: number, redemptionId: number|null, promotionCode: string|null,
+ *   description: string|null }>}
+ */
+async function quoteCampaignDiscount(db, { advertiserId, currency, grossAmount, minimumAmount }) {
+  const none = { amount: 0, netAmount: grossAmount, redemptionId: null, promotionCode: null, description: null };
+  const result = await db.query(`
+    SELECT r.id AS redemption_id, r.credit_remaining, r.weeks_remaining,
+           p.code, p.description, p.kind, p.percent_off, p.currency
+    FROM advertisers a
+    JOIN advertiser_accounts aa ON LOWER(TRIM(aa.email)) = LOWER(TRIM(a.email))
+    JOIN promotion_redemptions r ON r.advertiser_account_id = aa.id
+    JOIN promotions p ON p.id = r.promotion_id
+    WHERE a.id = $1
+      AND r.status = 'active'
+      AND (r.advertiser_id = a.id OR r.advertiser_id IS NULL)
+      AND (p.kind <> 'credit' OR p.currency = $2)
+    ORDER BY (r.advertiser_id IS NULL), r.redeemed_at ASC, r.id ASC
+    LIMIT 1
+  `, [advertiserId, currency]);
+  const redemption = result.rows[0];
+  if (!redemption) return none;
+
+  let amount = redemption.kind === 'percent_off'
+    ? roundMoney(grossAmount * toNumber(redemption.percent_off) / 100)
+    : roundMoney(Math.min(toNumber(redemption.credit_remaining), grossAmount));
+  let netAmount = roundMoney(grossAmount - amount);
+  if (netAmount > 0 && netAmount < minimumAmount) {
+    amount = roundMoney(grossAmount - minimumAmount);
+    netAmount = minimumAmount;
+  }
+  if (amount <= 0) return none;
+
+  return {
+    amount,
+    netAmount,
+    redemptionId: redemption.redemption_id,
+    promotionCode: redemption.code,
+    description: redemption.code ? `Promotion ${redemption.code} – ${redemption.description}` : redemption.description
+  };
+}
+
+/**
+ * Count a discount against its redemption once the billing record is saved. Idempotent per invoice.
+ * Runs on the caller's transaction client, so it commits or rolls back together with the billing record.
+ * @param {{ redemptionId: number, recordType: 'recurring'|'non_recurring', advertiserId: number,
+ *   stripeInvoiceId: string, weekStart: Date|string, amount: number, currency: string }} params
+ * @returns {Promise<boolean>} false when this invoice was already counted
+ */
+async function recordPromotionApplication(client, { redemptionId, recordType, advertiserId, stripeInvoiceId, weekStart, amount, currency }) {
+  const inserted = await client.query(`
+    INSERT INTO promotion_applications (redemption_id, record_type, advertiser_id, stripe_invoice_id, week_start, discount_amount, currency)
+    VALUES ($1, $2, $3, $4, $5::date, $6, $7)
+    ON CONFLICT (redemption_id, stripe_invoice_id) DO NOTHING
+    RETURNING id
+  `, [redemptionId, recordType, advertiserId, stripeInvoiceId, weekStart, amount, currency]);
+  if (inserted.rows.length === 0) {
+    return false;
+  }
+  await client.query(`
+    UPDATE promotion_redemptions
+    SET credit_remaining = CASE WHEN credit_remaining IS NULL THEN NULL ELSE GREATEST(credit_remaining - $2, 0) END,
+        weeks_remaining = CASE WHEN weeks_remaining IS NULL THEN NULL ELSE GREATEST(weeks_remaining - 1, 0) END,
+        status = CASE
+          WHEN COALESCE(credit_remaining - $2, 1) <= 0 OR COALESCE(weeks_remaining - 1, 1) <= 0 THEN 'exhausted'
+          ELSE status
+        END,
+        updated_at = NOW()
+    WHERE id = $1
+  `, [redemptionId, amount]);
+  return true;
+}
+
+module.exports = {
+  PROMOTION_LIMITS,
+  normalizePromoCode,
+  publicPromotionResponse,
+  promotionResponse,
+  validatePromotionInput,
+  createPromotion,
+  listPromotions,
+  setPromotionActive,
+  checkPromoCode,
+  redeemPromoCode,
+  grantAccountCredit,
+  quoteCampaignDiscount,
+  recordPromotionApplication
+};
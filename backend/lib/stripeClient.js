@@ -0,0 +1,25 @@
+/**
+ * Stripe client factory.
+ *
+ * STRIPE_API_BASE points the SDK at another API host — stripe-mock (`docker run -p 12111:12111
+ * stripe/stripe-mock`, then STRIPE_API_BASE=http://localhost:12111) or a local stub — so jobs that move
+ * money (scripts/process-charity-payouts.js) can be exercised without touching a real Stripe account.
+ * Unset in production.
+ */
+
+function createStripeClient(secretKey = process.env.STRIPE_SECRET_KEY) {
+  const apiBase = process.env.STRIPE_API_BASE;
+  if (!apiBase) {
+    return require('stripe')(secretKey);
+  }
+  const url = new URL(apiBase);
+  const protocol = url.protocol.replace(':', '');
+  console.log(`🧪 [STRIPE] Using API base ${url.origin}`);
+  return require('stripe')(secretKey || 'sk_test_123', {
+    host: url.hostname,
+    port: url.port || (protocol === 'https' ? 443 : 80),
+    protocol
+  });
+}
+
+module.exports = { createStripeClient };
@@ -0,0 +1,292 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Durable Stripe event store with exactly-once processing.
+ *
+ * Every verified webhook is written to stripe_events before any handler runs. processStripeEventOnce then
+ * locks the row and runs the handler inside one transaction: while it runs, getPool() in server.js returns
+ * the event's transaction (eventDb()), so donation_ledger, weekly_donation_pool and every other write of the
+ * event commit or roll back together. A redelivered or replayed event that is already processed is
+ * acknowledged without running the handler again.
+ *
+ * Inside the transaction each statement runs under its own savepoint, so handlers that catch a failed query
+ * (unique violations, optional lookups) keep working as they did in autocommit; a nested
+ * pool.connect() / BEGIN / COMMIT becomes a savepoint as well. Savepoints never hide lost money: a failed
+ * INSERT / UPDATE / DELETE on donation_ledger, weekly_donation_pool or the journal (other than a unique
+ * violation) fails the whole event even when the handler caught it, so the event rolls back and stays
+ * replayable. Other writes keep the handler's own error handling. Stripe API calls and emails are not
+ * transactional — a rolled-back event that is replayed may repeat them. dbHelpers (database-postgres.js)
+ * keeps using the pool directly.
+ *
+ * Replay: replayFailedStripeEvents (failed, or received but never committed) and syncStripeEvents (lists
+ * events from Stripe for a date range and processes any missing here). Used by
+ * POST /api/admin/stripe-events/replay and scripts/replay-stripe-events.js.
+ *
+ * Tables: stripe_events (migrations/011_stripe_events.sql).
+ */
+
+// A 'received' event older than this never committed (crash / timeout mid-handler) and is replayable
+const STALE_RECEIVED_MINUTES = 10;
+// Stripe keeps events for 30 days; one sync never processes more than this many
+const MAX_SYNC_EVENTS = 1000;
+
+const eventTransaction = new AsyncLocalStorage();
+
+/**
+ * Transaction-scoped stand-in for the pool while an event is processed. Statements are serialized on the
+ * client (savepoints must not interleave); once the event has finished, calls fall through to the pool so
+ * a stray late query never touches a released client.
+ */
+function createEventDb(client, pool) {
+  const state = { done: false, chain: Promise.resolve(), savepoints: 0, failedWrite: null };
+
+  const serialized = (fn) => {
+    const run = state.chain.then(fn, fn);
+    state.chain = run.catch(() => {});
+    return run;
+  };
+
+  // One statement with autocommit-like failure semantics: an error rolls back only this statement
+  const statement = (args) => serialized(async () => {
+    const name = `stmt_${++state.savepoints}`;
+    await client.query(`SAVEPOINT ${name}`);
+    try {
+      const result = await client.query(...args);
+      await client.query(`RELEASE SAVEPOINT ${name}`);
+      return result;
+    } catch (err) {
+      await client.query(`ROLLBACK TO SAVEPOINT ${name}`);
+      await client.query(`RELEASE SAVEPOINT ${name}`);
+      if (!state.failedWrite && isLedgerWrite(args[0]) && err.code !== UNIQUE_VIOLATION) {
+        state.failedWrite = err;
+      }
+      throw err;
+    }
+  });
+
+  const eventDb = {
+    query: (...args) => (state.done ? pool.query(...args) : statement(args)),
+    // Handlers that open their own transaction get a savepoint-backed client
+    connect: async () => {
+      if (state.done) return pool.connect();
+      const name = `nested_${++state.savepoints}`;
+      return {
+        query: (...args) => {
+          const sql = typeof args[0] === 'string' ? args[0].trim().replace(/;$/, '').toUpperCase() : '';
+          if (sql === 'BEGIN') return serialized(() => client.query(`SAVEPOINT ${name}`));
+          if (sql === 'COMMIT') return serialized(() => client.query(`RELEASE SAVEPOINT ${name}`));
+          if (sql === 'ROLLBACK') return serialized(() => client.query(`ROLLBACK TO SAVEPOINT ${name}`));
+          return eventDb.query(...args);
+        },
+        release: () => {}
+      };
+    }
+  };
+
+  return {
+    eventDb,
+    finish: async () => {
+      await state.chain;
+      state.done = true;
+    },
+    // First ledger / pool write that failed while the event ran, caught by the handler or not
+    failedWrite: () => state.failedWrite
+  };
+}
+
+const UNIQUE_VIOLATION = '23505';
+const LEDGER_WRITE = /\b(INSERT\s+INTO|UPDATE|DELETE\s+FROM)\s+(donation_ledger|weekly_donation_pool|journal_entries|journal_lines)\b/i;
+
+// An INSERT / UPDATE / DELETE (possibly behind a WITH) that writes the ledger, the pool or the journal
+function isLedgerWrite(queryArg) {
+  const sql = typeof queryArg === 'string' ? queryArg : (queryArg && queryArg.text) || '';
+  return /^\s*(WITH\b[\s\S]*?\b)?(INSERT|UPDATE|DELETE)\b/i.test(sql) && LEDGER_WRITE.test(sql);
+}
+
+// The current event's transaction (see createEventDb), or null outside event processing
+function eventDb() {
+  return eventTransaction.getStore() || null;
+}
+
+/**
+ * Persist an incoming event (first delivery) or count a redelivery.
+ * @returns {Promise<string>} the stored status
+ */
+async function recordStripeEvent(pool, event, { source = 'webhook' } = {}) {
+  const result = await pool.query(`
+    INSERT INTO stripe_events (id, type, livemode, api_version, stripe_created_at, payload, source)
+    VALUES ($1, $2, $3, $4, TO_TIMESTAMP($5), $6::jsonb, $7)
+    ON CONFLICT (id) DO UPDATE
+    SET deliveries = stripe_events.deliveries + 1, last_received_at = NOW()
+    RETURNING status
+  `, [
+    event.id,
+    event.type,
+    typeof event.livemode === 'boolean' ? event.livemode : null,
+    event.api_version || null,
+    event.created || Math.floor(Date.now() / 1000),
+    JSON.stringify(event),
+    source
+  ]);
+  return result.rows[0].status;
+}
+
+async function markStripeEventIgnored(pool, eventId, reason) {
+  await pool.query(
+    `UPDATE stripe_events SET status = 'ignored', last_error = $2, updated_at = NOW() WHERE id = $1 AND status <> 'processed'`,
+    [eventId, reason]
+  );
+}
+
+/**
+ * Run handler(event) exactly once for a stored event, inside one transaction.
+ * Throws whatever the handler threw (after recording the failure), so the webhook route still answers
+ * Stripe with the handler's status code and Stripe retries.
+ * @param {object} pool
+ * @param {object} event - Stripe event (already recorded)
+ * @param {(event: object) => Promise<void>} handler
+ * @returns {Promise<{ status: 'processed'|'duplicate'|'ignored' }>}
+ */
+async function processStripeEventOnce(pool, event, handler) {
+  const client = await pool.connect();
+  let released = false;
+  try {
+    await client.query('BEGIN');
+    // Row lock: a concurrent delivery of the same event waits here, then sees it processed
+    const locked = await client.query(
+      'SELECT status FROM stripe_events WHERE id = $1 FOR UPDATE',
+      [event.id]
+    );
+    const status = locked.rows[0]?.status;
+    if (status === 'processed' || status === 'ignored') {
+      await client.query('COMMIT');
+      console.log(`⏭️ [STRIPE EVENTS] ${event.id} (${event.type}) already ${status}, skipping`);
+      return { status: status === 'processed' ? 'duplicate' : 'ignored' };
+    }
+
+    const { eventDb: txDb, finish, failedWrite } = createEventDb(client, pool);
+    try {
+      await eventTransaction.run(txDb, () => handler(event));
+    } finally {
+      await finish();
+    }
+    if (failedWrite()) {
+      throw new Error(`Ledger write failed while processing the event: ${failedWrite().message}`);
+    }
+
+    await client.query(`
+      UPDATE stripe_events
+      SET status = 'processed', attempts = attempts + 1, last_error = NULL, processed_at = NOW(), updated_at = NOW()
+      WHERE id = $1
+    `, [event.id]);
+    await client.query('COMMIT');
+    return { status: 'processed' };
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    client.release();
+    released = true;
+    await pool.query(`
+      UPDATE stripe_events
+      SET status = 'failed', attempts = attempts + 1, last_error = $2, updated_at = NOW()
+      WHERE id = $1
+    `, [event.id, String(err.message || err).slice(0, 2000)]).catch(recordErr => {
+      console.error(`❌ [STRIPE EVENTS] Could not record failure of ${event.id}:`, recordErr.message);
+    });
+    console.error(`❌ [STRIPE EVENTS] ${event.id} (${event.type}) failed, rolled back:`, err.message);
+    throw err;
+  } finally {
+    if (!released) client.release();
+  }
+}
+
+/**
+ * Re-run stored events that failed, or were received but never committed.
+ * @returns {Promise<{ success: boolean, attempted: number, processed: number, failed: number, errors: Array<{ id: string, error: string }> }>}
+ */
+async function replayFailedStripeEvents(pool, handler, { limit = 100, eventId = null } = {}) {
+  const result = await pool.query(`
+    SELECT payload
+    FROM stripe_events
+    WHERE ($2::text IS NULL OR id = $2)
+      AND (status = 'failed'
+        OR (status = 'received' AND last_received_at < NOW() - make_interval(mins => $3)))
+    ORDER BY stripe_created_at ASC
+    LIMIT $1
+  `, [limit, eventId, STALE_RECEIVED_MINUTES]);
+
+  const summary = { success: true, attempted: result.rows.length, processed: 0, failed: 0, errors: [] };
+  for (const { payload } of result.rows) {
+    try {
+      const outcome = await processStripeEventOnce(pool, payload, handler);
+      if (outcome.status === 'processed') summary.processed++;
+    } catch (err) {
+      summary.failed++;
+      summary.errors.push({ id: payload.id, error: err.message });
+    }
+  }
+  console.log(`🔁 [STRIPE EVENTS] Replay: ${summary.processed}/${summary.attempted} processed, ${summary.failed} failed`);
+  return summary;
+}
+
+/**
+ * List events from Stripe created in [from, to] and process every one not already processed here
+ * (missed deliveries, endpoint outages). Oldest first, like Stripe delivers them.
+ * @param {{ from: Date, to: Date, types?: string[]|null }} range
+ * @returns {Promise<{ success: boolean, listed: number, alreadyProcessed: number, processed: number, failed: number, errors: Array<{ id: string, error: string }>, truncated: boolean }>}
+ */
+async function syncStripeEvents(pool, stripe, handler, { from, to, types = null }) {
+  const params = {
+    created: { gte: Math.floor(from.getTime() / 1000), lte: Math.floor(to.getTime() / 1000) },
+    limit: 100
+  };
+  if (types && types.length) params.types = types;
+
+  const listed = [];
+  let truncated = false;
+  for await (const event of stripe.events.list(params)) {
+    if (listed.length >= MAX_SYNC_EVENTS) {
+      truncated = true;
+      break;
+    }
+    listed.push(event);
+  }
+  listed.reverse();
+
+  const known = listed.length
+    ? await pool.query(`SELECT id, status FROM stripe_events WHERE id = ANY($1::text[])`, [listed.map(e => e.id)])
+    : { rows: [] };
+  const statusById = new Map(known.rows.map(row => [row.id, row.status]));
+
+  const summary = { success: true, listed: listed.length, alreadyProcessed: 0, processed: 0, failed: 0, errors: [], truncated };
+  for (const event of listed) {
+    const status = statusById.get(event.id);
+    if (status === 'processed' || status === 'ignored') {
+      summary.alreadyProcessed++;
+      continue;
+    }
+    try {
+      if (!status) {
+        await recordStripeEvent(pool, event, { source: 'sync' });
+      }
+      const outcome = await processStripeEventOnce(pool, event, handler);
+      if (outcome.status === 'processed') summary.processed++;
+      else summary.alreadyProcessed++;
+    } catch (err) {
+      summary.failed++;
+      summary.errors.push({ id: event.id, error: err.message });
+    }
+  }
+  console.log(`🔁 [STRIPE EVENTS] Sync ${from.toISOString()} → ${to.toISOString()}: ${summary.listed} listed, ${summary.processed} processed, ${summary.failed} failed${truncated ? ' (truncated)' : ''}`);
+  return summary;
+}
+
+module.exports = {
+  createEventDb,
+  isLedgerWrite,
+  eventDb,
+  recordStripeEvent,
+  markStripeEventIgnored,
+  processStripeEventOnce,
+  replayFailedStripeEvents,
+  syncStripeEvents
+};
@@ -0,0 +1,357 @@
+/**
+ * Sales tax / VAT on advertiser invoices and sponsor subscriptions.
+ *
+ * Tax comes from the billing address and tax ID stored on advertiser_accounts / sponsor_accounts (edited on
+ * the portal Account pages, validated by validateTaxDetails). A tax provider turns them into a quote:
+ *
+ *   provider = { name, calculate(db, { customer, amountCents, currency }) → Promise<quote> }
+ *   quote    = { taxName, jurisdiction, ratePercent, taxCents, reverseCharge, note }
+ *
+ * TAX_PROVIDER picks the provider (default 'local': the tax_rules table); registerTaxProvider adds another,
+ * e.g. a hosted tax API, without touching the billing code. A quote with a rate becomes a Stripe TaxRate
+ * (stripeTaxRateFor, cached in stripe_tax_rates) set on the invoice items or subscription, so Stripe prints
+ * the tax line, the customer's address and tax ID on the invoice.
+ *
+ * Tax is never donated: billing records keep amount_billed net of tax with tax_amount beside it, and
+ * sponsor_donations keeps tax_cents apart from amount_cents, so donation_ledger only receives the net amount.
+ *
+ * Tables: tax_rules, stripe_tax_rates, advertiser_accounts / sponsor_accounts billing columns
+ * (migrations/016_sales_tax.sql).
+ */
+
+const EU_COUNTRIES = [
+  'AT', 'BE', 'BG', 'HR', 'CY', 'CZ', 'DK', 'EE', 'FI', 'FR', 'DE', 'GR', 'HU', 'IE',
+  'IT', 'LV', 'LT', 'LU', 'MT', 'NL', 'PL', 'PT', 'RO', 'SK', 'SI', 'ES', 'SE'
+];
+
+// Tax ID types accepted on accounts (Stripe customer tax ID types) and the countries they belong to
+const TAX_ID_TYPES = {
+  eu_vat: { label: 'EU VAT number', pattern: /^[A-Z]{2}[0-9A-Z+*]{2,12}$/, countries: EU_COUNTRIES },
+  gb_vat: { label: 'UK VAT number', pattern: /^GB([0-9]{9}|[0-9]{12}|GD[0-9]{3}|HA[0-9]{3})$/, countries: ['GB'] },
+  us_ein: { label: 'US EIN', pattern: /^[0-9]{2}-[0-9]{7}$/, countries: ['US'] }
+};
+
+// Billing account tables whose tax columns saveTaxDetails may write
+const ACCOUNT_TABLES = {
+  advertiser: 'advertiser_accounts',
+  sponsor: 'sponsor_accounts'
+};
+
+function cleanText(value, maxLength = 200) {
+  if (value == null) return null;
+  const text = String(value).trim();
+  return text ? text.slice(0, maxLength) : null;
+}
+
+// VAT numbers are written with spaces, dots and dashes; Greece uses EL as its VAT prefix
+function normalizeTaxIdValue(type, value) {
+  const raw = String(value || '').toUpperCase().replace(/[\s.]/g, '');
+  if (type === 'us_ein') {
+    const digits = raw.replace(/-/g, '');
+    return /^[0-9]{9}$/.test(digits) ? `${digits.slice(0, 2)}-${digits.slice(2)}` : raw;
+  }
+  return raw.replace(/-/g, '');
+}
+
+/**
+ * Validate a billing address and optional tax ID from the portal Account pages.
+ * @param {{ billingAddress?: object, taxId?: { type: string, value: string }|null }} input
+ * @returns {{ ok: true, address: object, taxId: { type: string, value: string }|null }|{ ok: false, error: string }}
+ */
+function validateTaxDetails(input) {
+  const source = input?.billingAddress || {};
+  const address = {
+    line1: cleanText(source.line1),
+    line2: cleanText(source.line2),
+    city: cleanText(source.city, 100),
+    state: cleanText(source.state, 100),
+    postalCode: cleanText(source.postalCode, 20),
+    country: cleanText(source.country, 2)?.toUpperCase() || null
+  };
+  if (!address.country || !/^[A-Z]{2}$/.test(address.country)) {
+    return { ok: false, error: 'Country must be a two-letter ISO code (e.g. US, GB, DE)' };
+  }
+  if (!address.line1 || !address.city) {
+    return { ok: false, error: 'Street address and city are required' };
+  }
+  if (address.country === 'US') {
+    if (!address.state || !/^[A-Za-z]{2}$/.test(address.state)) {
+      return { ok: false, error: 'US addresses need a two-letter state code' };
+    }
+    if (!address.postalCode || !/^[0-9]{5}(-[0-9]{4})?$/.test(address.postalCode)) {
+      return { ok: false, error: 'US addresses need a 5-digit ZIP code' };
+    }
+    address.state = address.state.toUpperCase();
+  }
+
+  const taxIdInput = input?.taxId;
+  if (!taxIdInput || !cleanText(taxIdInput.value)) {
+    return { ok: true, address, taxId: null };
+  }
+  const spec = TAX_ID_TYPES[taxIdInput.type];
+  if (!spec) {
+    return { ok: false, error: `Tax ID type must be one of: ${Object.keys(TAX_ID_TYPES).join(', ')}` };
+  }
+  const value = normalizeTaxIdValue(taxIdInput.type, taxIdInput.value);
+  if (!spec.pattern.test(value)) {
+    return { ok: false, error: `${value} is not a valid ${spec.label}` };
+  }
+  if (!spec.countries.includes(address.country)) {
+    return { ok: false, error: `A ${spec.label} does not match a billing address in ${address.country}` };
+  }
+  if (taxIdInput.type === 'eu_vat') {
+    const prefix = address.country === 'GR' ? 'EL' : address.country;
+    if (!value.startsWith(prefix)) {
+      return { ok: false, error: `${spec.label}s for ${address.country} start with ${prefix}` };
+    }
+  }
+  return { ok: true, address, taxId: { type: taxIdInput.type, value } };
+}
+
+/**
+ * The tax customer of an advertiser_accounts / sponsor_accounts row (billing_* and tax_id* columns).
+ */
+function taxCustomerFromAccount(row) {
+  return {
+    address: row?.billing_country
+      ? {
+          line1: row.billing_line1,
+          line2: row.billing_line2,
+          city: row.billing_city,
+          state: row.billing_state,
+          postalCode: row.billing_postal_code,
+          country: row.billing_country
+        }
+      : null,
+    taxId: row?.tax_id ? { type: row.tax_id_type, value: row.tax_id } : null,
+    taxIdValidated: Boolean(row?.tax_id && row.tax_id_validated_at)
+  };
+}
+
+function noTax(note) {
+  return { taxName: null, jurisdiction: null, ratePercent: 0, taxCents: 0, reverseCharge: false, note };
+}
+
+// Default provider: tax_rules, the region row for the billing state first, then the country row
+const localRulesProvider = {
+  name: 'local',
+  async calculate(db, { customer, amountCents }) {
+    const country = customer?.address?.country;
+    if (!country) return noTax('No billing address on file');
+
+    const result = await db.query(`
+      SELECT country, region, tax_name, rate_percent, reverse_charge
+      FROM tax_rules
+      WHERE active = TRUE AND country = $1 AND (region IS NULL OR region = $2)
+      ORDER BY region NULLS LAST
+      LIMIT 1
+    `, [country, customer.address.state || null]);
+    const rule = result.rows[0];
+    if (!rule) return noTax(`No tax rule for ${country}`);
+
+    const jurisdiction = rule.region ? `${rule.country}-${rule.region}` : rule.country;
+    if (rule.reverse_charge && customer.taxIdValidated) {
+      return {
+        taxName: `${rule.tax_name} reverse charge`,
+        jurisdiction,
+        ratePercent: 0,
+        taxCents: 0,
+        reverseCharge: true,
+        note: `Reverse charge: ${rule.tax_name} to be accounted for by the recipient (${customer.taxId.value}).`
+      };
+    }
+    const ratePercent = parseFloat(rule.rate_percent);
+    return {
+      taxName: rule.tax_name,
+      jurisdiction,
+      ratePercent,
+      taxCents: Math.round(amountCents * ratePercent / 100),
+      reverseCharge: false,
+      note: null
+    };
+  }
+};
+
+const TAX_PROVIDERS = { local: localRulesProvider };
+
+function registerTaxProvider(provider) {
+  if (!provider?.name || typeof provider.calculate !== 'function') {
+    throw new Error('A tax provider needs a name and a calculate(db, request) function');
+  }
+  TAX_PROVIDERS[provider.name] = provider;
+}
+
+function getTaxProvider() {
+  const name = process.env.TAX_PROVIDER || 'local';
+  const provider = TAX_PROVIDERS[name];
+  if (!provider) throw new Error(`Unknown TAX_PROVIDER: ${name}`);
+  return provider;
+}
+
+/**
+ * Tax for a charge of amountCents (net, in currency) to a tax customer.
+ * @param {object} db
+ * @param {{ customer: object, amountCents: number, currency: string }} request
+ * @returns {Promise<{ taxName: string|null, jurisdiction: string|null, ratePercent: number, taxCents: number,
+ *   reverseCharge: boolean, note: string|null, label: string|null, provider: string }>}
+ */
+async function quoteTax(db, request) {
+  const provider = getTaxProvider();
+  const quote = await provider.calculate(db, request);
+  const hasTaxLine = Boolean(quote.taxName) && (quote.ratePercent > 0 || quote.reverseCharge);
+  return {
+    ...quote,
+    label: hasTaxLine ? `${quote.taxName} ${quote.ratePercent}% (${quote.jurisdiction})` : null,
+    provider: provider.name
+  };
+}
+
+/**
+ * The Stripe TaxRate id that prints the quote's tax line, creating it on first use. Null when the quote
+ * has no tax line (no rule, or a 0% rate without reverse charge).
+ * @param {object} db
+ * @param {object} stripe
+ * @param {object} quote - from quoteTax
+ */
+async function stripeTaxRateFor(db, stripe, quote) {
+  if (!quote.label) return null;
+  const livemode = String(process.env.STRIPE_SECRET_KEY || '').startsWith('sk_live');
+  const existing = await db.query(`
+    SELECT stripe_tax_rate_id FROM stripe_tax_rates
+    WHERE display_name = $1 AND jurisdiction = $2 AND percentage = $3 AND livemode = $4
+  `, [quote.taxName, quote.jurisdiction, quote.ratePercent, livemode]);
+  if (existing.rows.length > 0) return existing.rows[0].stripe_tax_rate_id;
+
+  const [country, state] = quote.jurisdiction.split('-');
+  const taxRate = await stripe.taxRates.create({
+    display_name: quote.taxName,
+    jurisdiction: quote.jurisdiction,
+    country,
+    ...(state && { state }),
+    percentage: quote.ratePercent,
+    inclusive: false,
+    metadata: { provider: quote.provider }
+  });
+  const saved = await db.query(`
+    INSERT INTO stripe_tax_rates (display_name, jurisdiction, percentage, livemode, stripe_tax_rate_id)
+    VALUES ($1, $2, $3, $4, $5)
+    ON CONFLICT (display_name, jurisdiction, percentage, livemode) DO NOTHING
+    RETURNING stripe_tax_rate_id
+  `, [quote.taxName, quote.jurisdiction, quote.ratePercent, livemode, taxRate.id]);
+  if (saved.rows.length > 0) return saved.rows[0].stripe_tax_rate_id;
+
+  // Created concurrently elsewhere: keep the stored rate and retire the duplicate
+  await stripe.taxRates.update(taxRate.id, { active: false });
+  return stripeTaxRateFor(db, stripe, quote);
+}
+
+/**
+ * Tax collected on a Stripe invoice, in minor units (total_taxes on current API versions, older fields
+ * before that).
+ */
+function invoiceTaxCents(invoice) {
+  if (!invoice) return 0;
+  if (Array.isArray(invoice.total_taxes)) {
+    return invoice.total_taxes.reduce((sum, t) => sum + (t.amount || 0), 0);
+  }
+  if (Array.isArray(invoice.total_tax_amounts)) {
+    return invoice.total_tax_amounts.reduce((sum, t) => sum + (t.amount || 0), 0);
+  }
+  return typeof invoice.tax === 'number' ? invoice.tax : 0;
+}
+
+/**
+ * Save validated tax details on an account and mirror them on its Stripe customer (address, tax ID), so
+ * Stripe invoices carry them. Stripe rejects tax IDs it cannot accept; the details are then not saved.
+ * @param {object} db
+ * @param {object} stripe
+ * @param {{ accountType: 'advertiser'|'sponsor', accountId: number, stripeCustomerId?: string|null,
+ *   details: object }} params - details from validateTaxDetails
+ * @returns {Promise<{ success: boolean, error?: string, billingAddress?: object|null, taxId?: object|null }>} - taxDetailsResponse shape
+ */
+async function saveTaxDetails(db, stripe, { accountType, accountId, stripeCustomerId = null, details }) {
+  const table = ACCOUNT_TABLES[accountType];
+  if (!table) throw new Error(`Unknown account type: ${accountType}`);
+
+  const current = await db.query(`SELECT tax_id, tax_id_type, stripe_tax_id FROM ${table} WHERE id = $1`, [accountId]);
+  if (current.rows.length === 0) return { success: false, error: 'Account not found' };
+  const previous = current.rows[0];
+  const { address, taxId } = details;
+  const taxIdChanged = (previous.tax_id || null) !== (taxId?.value || null) || (previous.tax_id_type || null) !== (taxId?.type || null);
+
+  let stripeTaxId = taxIdChanged ? null : previous.stripe_tax_id;
+  if (stripeCustomerId) {
+    await stripe.customers.update(stripeCustomerId, {
+      address: {
+        line1: address.line1,
+        line2: address.line2 || '',
+        city: address.city,
+        state: address.state || '',
+        postal_code: address.postalCode || '',
+        country: address.country
+      }
+    });
+    if (taxIdChanged || (taxId && !previous.stripe_tax_id)) {
+      if (taxId) {
+        try {
+          const created = await stripe.customers.createTaxId(stripeCustomerId, { type: taxId.type, value: taxId.value });
+          stripeTaxId = created.id;
+        } catch (err) {
+          if (err.type === 'StripeInvalidRequestError') {
+            return { success: false, error: `Tax ID rejected: ${err.message}` };
+          }
+          throw err;
+        }
+      }
+      if (previous.stripe_tax_id && previous.stripe_tax_id !== stripeTaxId) {
+        try {
+          await stripe.customers.deleteTaxId(stripeCustomerId, previous.stripe_tax_id);
+        } catch (err) {
+          if (err.code !== 'resource_missing') throw err;
+        }
+      }
+    }
+  }
+
+  const result = await db.query(`
+    UPDATE ${table}
+    SET billing_line1 = $2, billing_line2 = $3, billing_city = $4, billing_state = $5,
+        billing_postal_code = $6, billing_country = $7,
+        tax_id = $8, tax_id_type = $9,
+        tax_id_validated_at = CASE WHEN $8::text IS NULL THEN NULL
+                                   WHEN $10 OR tax_id_validated_at IS NULL THEN NOW()
+                                   ELSE tax_id_validated_at END,
+        stripe_tax_id = $11
+    WHERE id = $1
+    RETURNING billing_line1, billing_line2, billing_city, billing_state, billing_postal_code, billing_country,
+              tax_id, tax_id_type, tax_id_validated_at
+  `, [
+    accountId, address.line1, address.line2, address.city, address.state, address.postalCode, address.country,
+    taxId?.value || null, taxId?.type || null, taxIdChanged, stripeTaxId
+  ]);
+  return { success: true, ...taxDetailsResponse(result.rows[0]) };
+}
+
+/**
+ * Account API shape of a tax customer: { billingAddress, taxId: { type, value, validated } }.
+ */
+function taxDetailsResponse(row) {
+  const customer = taxCustomerFromAccount(row);
+  return {
+    billingAddress: customer.address,
+    taxId: customer.taxId ? { ...customer.taxId, validated: customer.taxIdValidated } : null
+  };
+}
+
+module.exports = {
+  TAX_ID_TYPES,
+  validateTaxDetails,
+  taxCustomerFromAccount,
+  taxDetailsResponse,
+  registerTaxProvider,
+  getTaxProvider,
+  quoteTax,
+  stripeTaxRateFor,
+  invoiceTaxCents,
+  saveTaxDetails
+};
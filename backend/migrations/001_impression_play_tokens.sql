@@ -0,0 +1,36 @@
+-- Signed play tokens for /api/impressions/record
+-- One row per token that reached /api/impressions/start; redeemed_at is set exactly once by /api/impressions/record.
+
+CREATE TABLE IF NOT EXISTS impression_play_tokens (
+  jti UUID PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id),
+  advertiser_id INTEGER NOT NULL,
+  video_filename TEXT NOT NULL,
+  issued_at TIMESTAMP NOT NULL,
+  min_watch_seconds INTEGER NOT NULL DEFAULT 10,
+  started_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  redeemed_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_impression_play_tokens_started_at
+  ON impression_play_tokens(started_at);
+
+-- Rejected impression attempts, reviewed from /admin-cs
+CREATE TABLE IF NOT EXISTS impression_fraud_events (
+  id SERIAL PRIMARY KEY,
+  reason TEXT NOT NULL,
+  endpoint TEXT NOT NULL,
+  advertiser_id INTEGER,
+  user_id INTEGER,
+  video_filename TEXT,
+  token_jti UUID,
+  ip_address VARCHAR(45),
+  user_agent TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_impression_fraud_events_created_at
+  ON impression_fraud_events(created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_impression_fraud_events_advertiser
+  ON impression_fraud_events(advertiser_id, created_at DESC);
@@ -0,0 +1,39 @@
+-- Invalid-traffic (IVT) filter: one row per tracking event, valid or flagged.
+-- Only is_valid = TRUE events increment advertisers / sponsor_campaigns counters.
+
+CREATE TABLE IF NOT EXISTS traffic_events (
+  id BIGSERIAL PRIMARY KEY,
+  event_type TEXT NOT NULL CHECK (event_type IN ('impression', 'click', 'sponsor_impression')),
+  advertiser_id INTEGER,
+  sponsor_campaign_id UUID,
+  creative TEXT,
+  viewer_key TEXT NOT NULL,
+  ip_address VARCHAR(45),
+  user_agent TEXT,
+  is_valid BOOLEAN NOT NULL,
+  ivt_reason TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_traffic_events_viewer
+  ON traffic_events(viewer_key, event_type, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_traffic_events_ip
+  ON traffic_events(ip_address, event_type, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_traffic_events_advertiser
+  ON traffic_events(advertiser_id, is_valid, created_at DESC)
+  WHERE advertiser_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_traffic_events_sponsor
+  ON traffic_events(sponsor_campaign_id, is_valid, created_at DESC)
+  WHERE sponsor_campaign_id IS NOT NULL;
+
+-- Flagged traffic shown on each invoice (already excluded from impressions_billed / amount_billed)
+ALTER TABLE recurring_billing_records
+  ADD COLUMN IF NOT EXISTS ivt_filtered_impressions INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS ivt_filtered_clicks INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE non_recurring_billing_records
+  ADD COLUMN IF NOT EXISTS ivt_filtered_impressions INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS ivt_filtered_clicks INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,12 @@
+-- Per-viewer frequency caps (NULL = no cap), set from the advertiser portal
+ALTER TABLE advertisers
+  ADD COLUMN IF NOT EXISTS frequency_cap_per_hour INTEGER CHECK (frequency_cap_per_hour > 0),
+  ADD COLUMN IF NOT EXISTS frequency_cap_per_day INTEGER CHECK (frequency_cap_per_day > 0);
+
+-- Valid impressions over a campaign's frequency cap: stored but never counted or billed
+ALTER TABLE traffic_events
+  ADD COLUMN IF NOT EXISTS frequency_capped BOOLEAN NOT NULL DEFAULT FALSE;
+
+CREATE INDEX IF NOT EXISTS idx_traffic_events_viewer_advertiser
+  ON traffic_events(viewer_key, advertiser_id, created_at DESC)
+  WHERE event_type = 'impression' AND is_valid = TRUE;
@@ -0,0 +1,57 @@
+-- Creative registry: what is live is read from here instead of listing R2 (see lib/creatives.js)
+CREATE TABLE IF NOT EXISTS creatives (
+  id SERIAL PRIMARY KEY,
+  r2_bucket TEXT NOT NULL,
+  r2_key TEXT NOT NULL,
+  creative_type TEXT NOT NULL CHECK (creative_type IN ('video', 'image')),
+  status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('pending_review', 'active', 'archived', 'retired')),
+  advertiser_id INTEGER REFERENCES advertisers(id),
+  sponsor_campaign_id UUID REFERENCES sponsor_campaigns(id),
+  content_type TEXT,
+  size_bytes BIGINT,
+  duration_seconds NUMERIC(8, 3),
+  width INTEGER,
+  height INTEGER,
+  checksum TEXT, -- R2 ETag
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  retired_at TIMESTAMP,
+  UNIQUE (r2_bucket, r2_key),
+  CHECK ((advertiser_id IS NULL) <> (sponsor_campaign_id IS NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_creatives_live
+  ON creatives(creative_type, status)
+  WHERE status = 'active';
+
+CREATE INDEX IF NOT EXISTS idx_creatives_advertiser ON creatives(advertiser_id) WHERE advertiser_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_creatives_sponsor ON creatives(sponsor_campaign_id) WHERE sponsor_campaign_id IS NOT NULL;
+
+-- Backfill from existing campaigns. Size/checksum/duration stay NULL until the next write or
+-- reconcile-creatives run reports them.
+INSERT INTO creatives (r2_bucket, r2_key, creative_type, status, advertiser_id, created_at)
+SELECT
+  'charity-stream-videos',
+  a.video_filename,
+  CASE WHEN a.video_filename LIKE 'image\_%' THEN 'image' ELSE 'video' END,
+  'active',
+  a.id,
+  COALESCE(a.approved_at, a.created_at, NOW())
+FROM advertisers a
+WHERE a.status = 'active'
+  AND a.video_filename ~ '^(video|image)_[0-9]+_[0-9]+_'
+ON CONFLICT (r2_bucket, r2_key) DO NOTHING;
+
+INSERT INTO creatives (r2_bucket, r2_key, creative_type, status, sponsor_campaign_id, content_type, created_at)
+SELECT
+  'charity-stream-sponsor-generated',
+  sc.video_r2_key,
+  'video',
+  'active',
+  sc.id,
+  'video/mp4',
+  COALESCE(sc.updated_at, NOW())
+FROM sponsor_campaigns sc
+WHERE sc.generation_completed = TRUE
+  AND sc.video_r2_key IS NOT NULL
+ON CONFLICT (r2_bucket, r2_key) DO NOTHING;
@@ -0,0 +1,11 @@
+-- HLS ladder per video creative (see lib/hlsPipeline.js); NULL hls_status = not transcoded yet
+ALTER TABLE creatives
+  ADD COLUMN IF NOT EXISTS hls_status TEXT CHECK (hls_status IN ('processing', 'ready', 'failed')),
+  ADD COLUMN IF NOT EXISTS hls_manifest_key TEXT,
+  ADD COLUMN IF NOT EXISTS hls_renditions JSONB,
+  ADD COLUMN IF NOT EXISTS hls_error TEXT;
+
+-- transcode-creatives-hls backfill: live video creatives still without a ready ladder
+CREATE INDEX IF NOT EXISTS idx_creatives_hls_pending
+  ON creatives(id)
+  WHERE creative_type = 'video' AND status = 'active' AND hls_status IS DISTINCT FROM 'ready';
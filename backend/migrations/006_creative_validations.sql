@@ -0,0 +1,16 @@
+-- Upload-time creative validation reports (see lib/creativeValidation.js), one per R2 object
+CREATE TABLE IF NOT EXISTS creative_validations (
+  id SERIAL PRIMARY KEY,
+  r2_bucket TEXT NOT NULL,
+  r2_key TEXT NOT NULL,
+  advertiser_id INTEGER REFERENCES advertisers(id),
+  creative_type TEXT NOT NULL CHECK (creative_type IN ('video', 'image')),
+  status TEXT NOT NULL CHECK (status IN ('passed', 'warnings', 'failed')),
+  report JSONB NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  UNIQUE (r2_bucket, r2_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_creative_validations_advertiser
+  ON creative_validations(advertiser_id, created_at DESC)
+  WHERE advertiser_id IS NOT NULL;
@@ -0,0 +1,14 @@
+-- Loudness-normalized rendition, poster and animated preview per video creative (see lib/creativeMedia.js);
+-- NULL media_status = not processed yet
+ALTER TABLE creatives
+  ADD COLUMN IF NOT EXISTS media_status TEXT CHECK (media_status IN ('processing', 'ready', 'failed')),
+  ADD COLUMN IF NOT EXISTS normalized_key TEXT,
+  ADD COLUMN IF NOT EXISTS poster_key TEXT,
+  ADD COLUMN IF NOT EXISTS preview_key TEXT,
+  ADD COLUMN IF NOT EXISTS loudness_lufs NUMERIC(6, 2),
+  ADD COLUMN IF NOT EXISTS media_error TEXT;
+
+-- process-creative-media backfill: live video creatives still without a ready poster / normalized rendition
+CREATE INDEX IF NOT EXISTS idx_creatives_media_pending
+  ON creatives(id)
+  WHERE creative_type = 'video' AND status = 'active' AND media_status IS DISTINCT FROM 'ready';
@@ -0,0 +1,40 @@
+-- Stripe Connect payouts to winning charities (see lib/charityConnect.js, scripts/process-charity-payouts.js)
+
+-- Connect Express account per charity, created when the charity opens its onboarding link
+ALTER TABLE charity_applications
+  ADD COLUMN IF NOT EXISTS stripe_connect_account_id TEXT UNIQUE,
+  ADD COLUMN IF NOT EXISTS connect_details_submitted BOOLEAN NOT NULL DEFAULT FALSE,
+  ADD COLUMN IF NOT EXISTS connect_transfers_enabled BOOLEAN NOT NULL DEFAULT FALSE, -- transfers capability active
+  ADD COLUMN IF NOT EXISTS connect_updated_at TIMESTAMP;
+
+-- Payout state per transfer intent. Status lifecycle:
+--   pending → processing → transferred (→ reversed)
+--   processing → failed → pending (admin retry)
+--   pending / failed → held → pending (admin hold / release)
+--   manual: paid outside Stripe Connect (rows from before the payout job)
+ALTER TABLE transfer_intents
+  ADD COLUMN IF NOT EXISTS charity_application_id UUID REFERENCES charity_applications(id),
+  ADD COLUMN IF NOT EXISTS stripe_transfer_id TEXT UNIQUE,
+  ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS last_error TEXT,
+  ADD COLUMN IF NOT EXISTS hold_reason TEXT,
+  ADD COLUMN IF NOT EXISTS amount_reversed NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS transferred_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP NOT NULL DEFAULT NOW();
+
+-- Recipient for intents written before finalize-weekly-donations recorded it
+UPDATE transfer_intents ti
+SET charity_application_id = wca.charity_application_id
+FROM weekly_charity_allocation wca
+WHERE wca.week_start = ti.week_start
+  AND ti.charity_application_id IS NULL;
+
+-- Fiscal-sponsor intents were paid out by hand; keep the payout job away from them
+UPDATE transfer_intents
+SET status = 'manual', updated_at = NOW()
+WHERE recipient_type = 'fiscal_sponsor'
+  AND status = 'pending';
+
+CREATE INDEX IF NOT EXISTS idx_transfer_intents_payable
+  ON transfer_intents(week_start)
+  WHERE status = 'pending' AND recipient_type = 'charity';
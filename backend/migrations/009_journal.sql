@@ -0,0 +1,96 @@
+-- Double-entry journal for every money movement (see lib/journal.js)
+
+-- Chart of accounts. normal_side is the side that increases the account.
+CREATE TABLE IF NOT EXISTS ledger_accounts (
+  code TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  account_type TEXT NOT NULL CHECK (account_type IN ('asset', 'liability', 'income', 'expense')),
+  normal_side TEXT NOT NULL CHECK (normal_side IN ('debit', 'credit'))
+);
+
+INSERT INTO ledger_accounts (code, name, account_type, normal_side) VALUES
+  ('stripe_balance',        'Stripe balance',                        'asset',     'debit'),
+  ('advertiser_receivable', 'Advertiser receivables',                'asset',     'debit'),
+  ('charity_payable',       'Charity payable',                       'liability', 'credit'),
+  ('advertiser_revenue',    'Advertiser billings',                   'income',    'credit'),
+  ('sponsor_receipts',      'Sponsor receipts',                      'income',    'credit'),
+  ('viewer_donations',      'Viewer donations and subscriptions',    'income',    'credit'),
+  ('charity_grants',        'Weekly pool allocated to charities',    'expense',   'debit'),
+  ('stripe_fees',           'Stripe fees',                           'expense',   'debit'),
+  ('refunds',               'Refunds',                               'expense',   'debit')
+ON CONFLICT (code) DO NOTHING;
+
+-- One row per business event; entry_key makes posting idempotent (webhook retries, job re-runs).
+-- pool_source marks entries that also added to weekly_donation_pool (advertiser / sponsor / viewer total)
+-- so the trial balance report can reconcile the journal against the pool week by week.
+CREATE TABLE IF NOT EXISTS journal_entries (
+  id SERIAL PRIMARY KEY,
+  entry_key TEXT NOT NULL UNIQUE,
+  source_type TEXT NOT NULL,
+  source_id TEXT,
+  week_start DATE,
+  pool_source TEXT CHECK (pool_source IN ('advertiser', 'sponsor', 'viewer')),
+  description TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS journal_lines (
+  id SERIAL PRIMARY KEY,
+  entry_id INTEGER NOT NULL REFERENCES journal_entries(id) ON DELETE CASCADE,
+  account_code TEXT NOT NULL REFERENCES ledger_accounts(code),
+  debit NUMERIC(12, 2) NOT NULL DEFAULT 0 CHECK (debit >= 0),
+  credit NUMERIC(12, 2) NOT NULL DEFAULT 0 CHECK (credit >= 0),
+  CHECK ((debit = 0) <> (credit = 0))
+);
+
+CREATE INDEX IF NOT EXISTS idx_journal_lines_entry ON journal_lines(entry_id);
+CREATE INDEX IF NOT EXISTS idx_journal_lines_account ON journal_lines(account_code);
+CREATE INDEX IF NOT EXISTS idx_journal_entries_week ON journal_entries(week_start, pool_source);
+
+-- Backfill history so the journal starts out agreeing with the pool: every donation_ledger row was
+-- collected into Stripe (advertiser receivables were not tracked before, so billings post straight to revenue)
+INSERT INTO journal_entries (entry_key, source_type, source_id, week_start, pool_source, description)
+SELECT 'backfill:donation_ledger:' || dl.id, 'backfill', dl.source_id::text, dl.week_start,
+       CASE dl.source_type
+         WHEN 'advertiser' THEN 'advertiser'
+         WHEN 'sponsor' THEN 'sponsor'
+         ELSE 'viewer'
+       END,
+       'Backfilled from donation_ledger (' || dl.source_type || ')'
+FROM donation_ledger dl
+WHERE dl.amount > 0
+ON CONFLICT (entry_key) DO NOTHING;
+
+INSERT INTO journal_lines (entry_id, account_code, debit, credit)
+SELECT je.id, line.account_code, line.debit, line.credit
+FROM journal_entries je
+JOIN donation_ledger dl ON je.entry_key = 'backfill:donation_ledger:' || dl.id
+CROSS JOIN LATERAL (VALUES
+  ('stripe_balance', dl.amount, 0::numeric),
+  (CASE dl.source_type
+     WHEN 'advertiser' THEN 'advertiser_revenue'
+     WHEN 'sponsor' THEN 'sponsor_receipts'
+     ELSE 'viewer_donations'
+   END, 0::numeric, dl.amount)
+) AS line(account_code, debit, credit)
+WHERE NOT EXISTS (SELECT 1 FROM journal_lines jl WHERE jl.entry_id = je.id);
+
+INSERT INTO journal_entries (entry_key, source_type, source_id, week_start, description)
+SELECT 'weekly_allocation:' || wca.week_start, 'weekly_allocation', wca.charity_application_id::text, wca.week_start,
+       'Backfilled weekly charity allocation'
+FROM weekly_charity_allocation wca
+WHERE wca.total_amount > 0
+ON CONFLICT (entry_key) DO NOTHING;
+
+INSERT INTO journal_lines (entry_id, account_code, debit, credit)
+SELECT je.id, line.account_code, line.debit, line.credit
+FROM journal_entries je
+JOIN weekly_charity_allocation wca ON je.entry_key = 'weekly_allocation:' || wca.week_start
+CROSS JOIN LATERAL (VALUES
+  ('charity_grants', wca.total_amount, 0::numeric),
+  ('charity_payable', 0::numeric, wca.total_amount)
+) AS line(account_code, debit, credit)
+WHERE NOT EXISTS (SELECT 1 FROM journal_lines jl WHERE jl.entry_id = je.id);
+
+-- Charity transfers are journaled by lib/charityConnect.js syncTransferIntent (payout job and transfer.*
+-- webhooks) from the first sync on; intents paid by hand (status 'manual') stay in charity_payable.
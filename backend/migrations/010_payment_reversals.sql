@@ -0,0 +1,47 @@
+-- Refunds, disputes and chargebacks against pooled payments (see lib/paymentReversals.js)
+
+-- Reversing rows carry a negative amount, keep the original source_type and week_start, and point at the
+-- row they reverse (donation_ledger.id as text; the table predates these migrations)
+ALTER TABLE donation_ledger
+  ADD COLUMN IF NOT EXISTS reverses_ledger_id TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_donation_ledger_reverses
+  ON donation_ledger(reverses_ledger_id)
+  WHERE reverses_ledger_id IS NOT NULL;
+
+-- Campaigns put on hold by a refund or dispute; cleared by an admin from admin-cs
+ALTER TABLE advertisers
+  ADD COLUMN IF NOT EXISTS payment_hold_reason TEXT;
+
+ALTER TABLE sponsor_campaigns
+  ADD COLUMN IF NOT EXISTS payment_hold_reason TEXT,
+  ADD COLUMN IF NOT EXISTS status_before_hold TEXT;
+
+-- One row per Stripe refund / dispute applied to the pool. needs_review is set when the original week was
+-- already finalized (the money may have been allocated or paid to a charity) and cleared by an admin.
+CREATE TABLE IF NOT EXISTS payment_reversals (
+  id SERIAL PRIMARY KEY,
+  kind TEXT NOT NULL CHECK (kind IN ('refund', 'dispute', 'dispute_won')),
+  stripe_object_id TEXT NOT NULL,
+  stripe_charge_id TEXT NOT NULL,
+  stripe_status TEXT,
+  donation_ledger_id TEXT NOT NULL,
+  reversal_ledger_id TEXT,
+  source_type TEXT NOT NULL,
+  source_id TEXT NOT NULL,
+  amount NUMERIC(12, 2) NOT NULL,
+  week_start DATE NOT NULL,
+  week_finalized BOOLEAN NOT NULL DEFAULT FALSE,
+  transfer_intent_id TEXT,
+  campaign_held BOOLEAN NOT NULL DEFAULT FALSE,
+  needs_review BOOLEAN NOT NULL DEFAULT FALSE,
+  resolution_note TEXT,
+  resolved_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  UNIQUE (kind, stripe_object_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_reversals_review
+  ON payment_reversals(created_at DESC)
+  WHERE needs_review = TRUE;
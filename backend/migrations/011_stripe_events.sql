@@ -0,0 +1,28 @@
+-- Durable store of every Stripe event received (see lib/stripeEvents.js)
+--   received  → persisted, handler not (yet) committed; picked up by replay once stale
+--   processed → handler committed in one transaction; redeliveries are acknowledged without running it again
+--   failed    → handler threw and its transaction rolled back; replayed from admin-cs or scripts/replay-stripe-events.js
+--   ignored   → livemode did not match the API key (ENV-GUARD)
+CREATE TABLE IF NOT EXISTS stripe_events (
+  id TEXT PRIMARY KEY,
+  type TEXT NOT NULL,
+  livemode BOOLEAN,
+  api_version TEXT,
+  stripe_created_at TIMESTAMP,
+  payload JSONB NOT NULL,
+  status TEXT NOT NULL DEFAULT 'received' CHECK (status IN ('received', 'processed', 'failed', 'ignored')),
+  source TEXT NOT NULL DEFAULT 'webhook' CHECK (source IN ('webhook', 'sync')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  deliveries INTEGER NOT NULL DEFAULT 1,
+  last_error TEXT,
+  received_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  last_received_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  processed_at TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_stripe_events_unprocessed
+  ON stripe_events(stripe_created_at)
+  WHERE status IN ('received', 'failed');
+
+CREATE INDEX IF NOT EXISTS idx_stripe_events_created ON stripe_events(stripe_created_at DESC);
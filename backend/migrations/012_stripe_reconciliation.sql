@@ -0,0 +1,32 @@
+-- Nightly Stripe ↔ database reconciliation reports (scripts/reconcile-stripe.js)
+-- One row per run; summary holds the mismatch count per category
+CREATE TABLE IF NOT EXISTS stripe_reconciliation_runs (
+  id SERIAL PRIMARY KEY,
+  status TEXT NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'completed', 'failed')),
+  window_days INTEGER NOT NULL,
+  checked JSONB NOT NULL DEFAULT '{}'::jsonb,
+  summary JSONB NOT NULL DEFAULT '{}'::jsonb,
+  mismatch_count INTEGER NOT NULL DEFAULT 0,
+  error TEXT,
+  started_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  finished_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_stripe_reconciliation_runs_started
+  ON stripe_reconciliation_runs(started_at DESC);
+
+-- Report only: nothing is changed in Stripe or the database; admins read these in admin-cs (Reconciliation tab)
+CREATE TABLE IF NOT EXISTS stripe_reconciliation_mismatches (
+  id SERIAL PRIMARY KEY,
+  run_id INTEGER NOT NULL REFERENCES stripe_reconciliation_runs(id) ON DELETE CASCADE,
+  category TEXT NOT NULL,
+  entity_type TEXT NOT NULL,
+  entity_id TEXT NOT NULL,
+  stripe_id TEXT,
+  message TEXT NOT NULL,
+  details JSONB NOT NULL DEFAULT '{}'::jsonb,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_stripe_reconciliation_mismatches_run
+  ON stripe_reconciliation_mismatches(run_id, category);
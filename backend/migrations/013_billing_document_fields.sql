@@ -0,0 +1,10 @@
+-- Billed clicks and the CPM rate in effect at billing time, shown on PDF invoices and statements
+-- (lib/billingDocuments.js). NULL on rows billed before this migration: statements fall back to the
+-- campaign's current cpm_rate and show clicks as "—".
+ALTER TABLE recurring_billing_records
+  ADD COLUMN IF NOT EXISTS clicks_billed INTEGER,
+  ADD COLUMN IF NOT EXISTS cpm_rate DECIMAL(10,2);
+
+ALTER TABLE non_recurring_billing_records
+  ADD COLUMN IF NOT EXISTS clicks_billed INTEGER,
+  ADD COLUMN IF NOT EXISTS cpm_rate DECIMAL(10,2);
@@ -0,0 +1,60 @@
+-- Numbered donation receipts and year-end donation statements (lib/donationReceipts.js)
+
+-- Payment date for sponsor receipts; rows from before this migration take the migration time
+ALTER TABLE sponsor_donations
+  ADD COLUMN IF NOT EXISTS created_at TIMESTAMP DEFAULT NOW();
+
+-- DR-<year>-<number>: numbers are never reused, even across years
+CREATE SEQUENCE IF NOT EXISTS donation_receipt_number_seq;
+
+-- One receipt per completed viewer donation (donations) or sponsor payment (sponsor_donations).
+-- The receiving charity is the winner of the donation week (charity_week_winner); its name and EIN are
+-- copied here once known, so a later change to the application does not alter an issued receipt.
+CREATE TABLE IF NOT EXISTS donation_receipts (
+  id SERIAL PRIMARY KEY,
+  receipt_number TEXT NOT NULL UNIQUE,
+  donor_type TEXT NOT NULL CHECK (donor_type IN ('viewer', 'sponsor')),
+  donation_id INTEGER NOT NULL,
+  user_id INTEGER,
+  sponsor_account_id INTEGER,
+  donor_name TEXT,
+  donor_email TEXT,
+  ledger_id TEXT,
+  amount DECIMAL(10,2) NOT NULL,
+  currency TEXT NOT NULL DEFAULT 'usd',
+  donated_at TIMESTAMP NOT NULL,
+  week_start DATE NOT NULL,
+  charity_application_id UUID,
+  charity_name TEXT,
+  charity_ein TEXT,
+  emailed_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  UNIQUE (donor_type, donation_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_donation_receipts_user
+  ON donation_receipts(user_id, donated_at) WHERE user_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_donation_receipts_sponsor
+  ON donation_receipts(sponsor_account_id, donated_at) WHERE sponsor_account_id IS NOT NULL;
+
+-- Receipts waiting for their week's winner or for their email
+CREATE INDEX IF NOT EXISTS idx_donation_receipts_pending
+  ON donation_receipts(week_start) WHERE charity_application_id IS NULL OR emailed_at IS NULL;
+
+-- One row per donor per calendar year, written by scripts/generate-donation-statements.js
+CREATE TABLE IF NOT EXISTS donation_statements (
+  id SERIAL PRIMARY KEY,
+  statement_number TEXT NOT NULL UNIQUE,
+  donor_type TEXT NOT NULL CHECK (donor_type IN ('viewer', 'sponsor')),
+  donor_id INTEGER NOT NULL,
+  year INTEGER NOT NULL,
+  donor_name TEXT,
+  donor_email TEXT,
+  receipt_count INTEGER NOT NULL,
+  total_amount DECIMAL(12,2) NOT NULL,
+  emailed_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  UNIQUE (donor_type, donor_id, year)
+);
@@ -0,0 +1,57 @@
+-- Multi-currency charging (lib/currency.js): USD, EUR and GBP accounts and campaigns, with donation_ledger
+-- converted into the USD reporting currency through stored FX rate snapshots
+
+-- Snapshots of Stripe's exchange rates (scripts/refresh-fx-rates.js); rate = USD per one unit of currency
+CREATE TABLE IF NOT EXISTS fx_rates (
+  id SERIAL PRIMARY KEY,
+  currency TEXT NOT NULL CHECK (currency IN ('eur', 'gbp')),
+  rate NUMERIC(20,10) NOT NULL CHECK (rate > 0),
+  source TEXT NOT NULL DEFAULT 'stripe',
+  captured_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_fx_rates_currency_captured
+  ON fx_rates(currency, captured_at DESC);
+
+-- Charge currency: chosen at signup on the account (Stripe customers cannot switch currency), copied to
+-- each campaign; cpm_rate, weekly_budget_cap and prices are in this currency
+ALTER TABLE advertiser_accounts
+  ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'usd' CHECK (currency IN ('usd', 'eur', 'gbp'));
+
+ALTER TABLE advertisers
+  ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'usd' CHECK (currency IN ('usd', 'eur', 'gbp'));
+
+ALTER TABLE sponsor_accounts
+  ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'usd' CHECK (currency IN ('usd', 'eur', 'gbp'));
+
+ALTER TABLE sponsor_campaigns
+  ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'usd' CHECK (currency IN ('usd', 'eur', 'gbp'));
+
+ALTER TABLE sponsor_donations
+  ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'usd';
+
+-- amount_billed is in the invoice currency; fx_rate_id is the snapshot taken at finalization, used again when
+-- invoice.paid writes donation_ledger
+ALTER TABLE recurring_billing_records
+  ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'usd',
+  ADD COLUMN IF NOT EXISTS fx_rate_id INTEGER REFERENCES fx_rates(id);
+
+ALTER TABLE non_recurring_billing_records
+  ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'usd',
+  ADD COLUMN IF NOT EXISTS fx_rate_id INTEGER REFERENCES fx_rates(id);
+
+-- amount stays in USD (weekly_donation_pool, journal, payouts); original_amount is what was charged, in currency
+ALTER TABLE donation_ledger
+  ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'usd',
+  ADD COLUMN IF NOT EXISTS original_amount NUMERIC(12,2),
+  ADD COLUMN IF NOT EXISTS fx_rate NUMERIC(20,10) NOT NULL DEFAULT 1,
+  ADD COLUMN IF NOT EXISTS fx_rate_id INTEGER REFERENCES fx_rates(id);
+
+UPDATE donation_ledger SET original_amount = amount WHERE original_amount IS NULL;
+
+-- Reversals are capped against the original payment in its own currency
+ALTER TABLE payment_reversals
+  ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'usd',
+  ADD COLUMN IF NOT EXISTS original_amount NUMERIC(12,2);
+
+UPDATE payment_reversals SET original_amount = amount WHERE original_amount IS NULL;
@@ -0,0 +1,85 @@
+-- Sales tax / VAT on advertiser invoices and sponsor subscriptions (lib/tax.js). Tax is computed from the
+-- account's billing address and tax ID and is kept apart from the amounts that reach donation_ledger
+
+-- Billing address and tax ID, edited on the advertiser portal / sponsor portal Account pages.
+-- tax_id_validated_at is set once the ID passed format validation and Stripe accepted it on the customer
+ALTER TABLE advertiser_accounts
+  ADD COLUMN IF NOT EXISTS billing_line1 TEXT,
+  ADD COLUMN IF NOT EXISTS billing_line2 TEXT,
+  ADD COLUMN IF NOT EXISTS billing_city TEXT,
+  ADD COLUMN IF NOT EXISTS billing_state TEXT,
+  ADD COLUMN IF NOT EXISTS billing_postal_code TEXT,
+  ADD COLUMN IF NOT EXISTS billing_country TEXT CHECK (billing_country ~ '^[A-Z]{2}$'),
+  ADD COLUMN IF NOT EXISTS tax_id TEXT,
+  ADD COLUMN IF NOT EXISTS tax_id_type TEXT CHECK (tax_id_type IN ('eu_vat', 'gb_vat', 'us_ein')),
+  ADD COLUMN IF NOT EXISTS tax_id_validated_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS stripe_tax_id TEXT;
+
+ALTER TABLE sponsor_accounts
+  ADD COLUMN IF NOT EXISTS billing_line1 TEXT,
+  ADD COLUMN IF NOT EXISTS billing_line2 TEXT,
+  ADD COLUMN IF NOT EXISTS billing_city TEXT,
+  ADD COLUMN IF NOT EXISTS billing_state TEXT,
+  ADD COLUMN IF NOT EXISTS billing_postal_code TEXT,
+  ADD COLUMN IF NOT EXISTS billing_country TEXT CHECK (billing_country ~ '^[A-Z]{2}$'),
+  ADD COLUMN IF NOT EXISTS tax_id TEXT,
+  ADD COLUMN IF NOT EXISTS tax_id_type TEXT CHECK (tax_id_type IN ('eu_vat', 'gb_vat', 'us_ein')),
+  ADD COLUMN IF NOT EXISTS tax_id_validated_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS stripe_tax_id TEXT;
+
+-- Rules for the local tax provider: one row per country, or per country + state / region. A region row wins
+-- over the country row. reverse_charge: business customers with a validated tax ID account for the tax
+-- themselves (EU / UK VAT on services bought from abroad), so the invoice carries a 0% reverse-charge line
+CREATE TABLE IF NOT EXISTS tax_rules (
+  id SERIAL PRIMARY KEY,
+  country TEXT NOT NULL CHECK (country ~ '^[A-Z]{2}$'),
+  region TEXT,
+  tax_name TEXT NOT NULL,
+  rate_percent NUMERIC(6,3) NOT NULL CHECK (rate_percent >= 0 AND rate_percent < 100),
+  reverse_charge BOOLEAN NOT NULL DEFAULT FALSE,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tax_rules_country_region
+  ON tax_rules(country, COALESCE(region, ''));
+
+-- Standard VAT rates; US states are added here as they start taxing digital advertising
+INSERT INTO tax_rules (country, tax_name, rate_percent, reverse_charge) VALUES
+  ('GB', 'VAT', 20, TRUE),
+  ('AT', 'VAT', 20, TRUE), ('BE', 'VAT', 21, TRUE), ('BG', 'VAT', 20, TRUE), ('HR', 'VAT', 25, TRUE),
+  ('CY', 'VAT', 19, TRUE), ('CZ', 'VAT', 21, TRUE), ('DK', 'VAT', 25, TRUE), ('EE', 'VAT', 24, TRUE),
+  ('FI', 'VAT', 25.5, TRUE), ('FR', 'VAT', 20, TRUE), ('DE', 'VAT', 19, TRUE), ('GR', 'VAT', 24, TRUE),
+  ('HU', 'VAT', 27, TRUE), ('IE', 'VAT', 23, TRUE), ('IT', 'VAT', 22, TRUE), ('LV', 'VAT', 21, TRUE),
+  ('LT', 'VAT', 21, TRUE), ('LU', 'VAT', 17, TRUE), ('MT', 'VAT', 18, TRUE), ('NL', 'VAT', 21, TRUE),
+  ('PL', 'VAT', 23, TRUE), ('PT', 'VAT', 23, TRUE), ('RO', 'VAT', 21, TRUE), ('SK', 'VAT', 23, TRUE),
+  ('SI', 'VAT', 22, TRUE), ('ES', 'VAT', 21, TRUE), ('SE', 'VAT', 25, TRUE)
+ON CONFLICT DO NOTHING;
+
+-- Stripe TaxRate objects created for quotes (one per display name, jurisdiction, percentage and API mode)
+CREATE TABLE IF NOT EXISTS stripe_tax_rates (
+  id SERIAL PRIMARY KEY,
+  display_name TEXT NOT NULL,
+  jurisdiction TEXT NOT NULL,
+  percentage NUMERIC(6,3) NOT NULL,
+  livemode BOOLEAN NOT NULL,
+  stripe_tax_rate_id TEXT NOT NULL UNIQUE,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  UNIQUE (display_name, jurisdiction, percentage, livemode)
+);
+
+-- amount_billed stays net of tax (it is what invoice.paid pools); tax_amount is the tax line of the invoice
+ALTER TABLE recurring_billing_records
+  ADD COLUMN IF NOT EXISTS tax_amount NUMERIC(12,2) NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS tax_rate NUMERIC(6,3),
+  ADD COLUMN IF NOT EXISTS tax_label TEXT;
+
+ALTER TABLE non_recurring_billing_records
+  ADD COLUMN IF NOT EXISTS tax_amount NUMERIC(12,2) NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS tax_rate NUMERIC(6,3),
+  ADD COLUMN IF NOT EXISTS tax_label TEXT;
+
+-- amount_cents is the sponsorship net of tax; tax_cents is the tax collected on the same invoice
+ALTER TABLE sponsor_donations
+  ADD COLUMN IF NOT EXISTS tax_cents INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,61 @@
+-- Prepaid balance (wallet) for advertisers (lib/advertiserWallet.js). Top-ups come in through Stripe Checkout or
+-- auto-reload; /api/impressions/record and /api/track-click draw prepaid campaigns down as they deliver, and the
+-- weekly billing job moves what was drawn into the donation pool instead of invoicing it
+
+-- Top-ups not yet spent are owed back to the advertiser, so they sit in a liability until they are drawn down
+INSERT INTO ledger_accounts (code, name, account_type, normal_side) VALUES
+  ('advertiser_prepaid', 'Advertiser prepaid balances', 'liability', 'credit')
+ON CONFLICT (code) DO NOTHING;
+
+-- One wallet per advertiser account, in the account currency. prepaid_enabled switches the account's recurring
+-- campaigns to billing_mode 'prepaid'. Auto-reload charges auto_reload_amount to the default card when the
+-- balance drops below auto_reload_threshold; auto_reload_pending_at stops a second reload while one is running
+CREATE TABLE IF NOT EXISTS advertiser_wallets (
+  id SERIAL PRIMARY KEY,
+  advertiser_account_id INTEGER NOT NULL UNIQUE REFERENCES advertiser_accounts(id) ON DELETE CASCADE,
+  currency TEXT NOT NULL DEFAULT 'usd',
+  balance NUMERIC(14,4) NOT NULL DEFAULT 0,
+  prepaid_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+  auto_reload_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+  auto_reload_threshold NUMERIC(12,2),
+  auto_reload_amount NUMERIC(12,2),
+  auto_reload_pending_at TIMESTAMP,
+  last_auto_reload_error TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  CHECK (NOT auto_reload_enabled OR (auto_reload_threshold >= 0 AND auto_reload_amount > 0))
+);
+
+-- Balance history. Top-ups, auto-reloads and refunds are one row each (keyed by their Stripe object);
+-- impression / click draws are rolled up per campaign and day while open, and marked settled once the weekly
+-- billing job has pooled them (settlement_ref = the donation_ledger billing_record_id)
+CREATE TABLE IF NOT EXISTS advertiser_wallet_transactions (
+  id SERIAL PRIMARY KEY,
+  wallet_id INTEGER NOT NULL REFERENCES advertiser_wallets(id) ON DELETE CASCADE,
+  kind TEXT NOT NULL CHECK (kind IN ('top_up', 'auto_reload', 'impression', 'click', 'refund')),
+  amount NUMERIC(14,4) NOT NULL,
+  balance_after NUMERIC(14,4) NOT NULL,
+  advertiser_id INTEGER REFERENCES advertisers(id) ON DELETE SET NULL,
+  usage_date DATE,
+  units INTEGER NOT NULL DEFAULT 1,
+  tax_amount NUMERIC(12,2) NOT NULL DEFAULT 0,
+  stripe_object_id TEXT UNIQUE,
+  description TEXT,
+  settled_at TIMESTAMP,
+  settlement_ref TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_wallet_transactions_open_usage
+  ON advertiser_wallet_transactions(wallet_id, advertiser_id, kind, usage_date)
+  WHERE settled_at IS NULL AND kind IN ('impression', 'click');
+CREATE INDEX IF NOT EXISTS idx_wallet_transactions_wallet ON advertiser_wallet_transactions(wallet_id, updated_at DESC);
+
+-- 'prepaid' campaigns draw from the wallet instead of being invoiced. A switch requested mid-week waits in
+-- pending_billing_mode until the weekly reset, so one week is never part invoiced and part prepaid.
+-- paused_for_balance marks campaigns the wallet paused at zero, which a top-up resumes
+ALTER TABLE advertisers
+  ADD COLUMN IF NOT EXISTS billing_mode TEXT NOT NULL DEFAULT 'invoice' CHECK (billing_mode IN ('invoice', 'prepaid')),
+  ADD COLUMN IF NOT EXISTS pending_billing_mode TEXT CHECK (pending_billing_mode IN ('invoice', 'prepaid')),
+  ADD COLUMN IF NOT EXISTS paused_for_balance BOOLEAN NOT NULL DEFAULT FALSE;
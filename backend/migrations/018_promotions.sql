@@ -0,0 +1,70 @@
+-- Promotions for advertiser campaigns (lib/promotions.js): promo codes entered at signup and free-credit grants
+-- made from /admin-cs. Discounts come off the weekly / end-of-campaign invoice; amount_billed (what the charity
+-- pool receives) is the amount after the discount
+
+-- kind 'percent_off' takes percent_off off the first duration_weeks invoices of the campaign; kind 'credit'
+-- takes up to credit_amount (in currency) off invoices until it is used up. code is NULL for admin grants,
+-- which are not redeemable by advertisers. expires_at is the last moment the code can be redeemed;
+-- redemptions already made keep running after it
+CREATE TABLE IF NOT EXISTS promotions (
+  id SERIAL PRIMARY KEY,
+  code TEXT UNIQUE CHECK (code ~ '^[A-Z0-9_-]{3,32}$'),
+  description TEXT NOT NULL,
+  kind TEXT NOT NULL CHECK (kind IN ('percent_off', 'credit')),
+  percent_off NUMERIC(5,2),
+  duration_weeks INTEGER NOT NULL DEFAULT 1 CHECK (duration_weeks > 0),
+  credit_amount NUMERIC(12,2),
+  currency TEXT,
+  starts_at TIMESTAMP,
+  expires_at TIMESTAMP,
+  max_redemptions INTEGER CHECK (max_redemptions > 0),
+  per_account_limit INTEGER NOT NULL DEFAULT 1 CHECK (per_account_limit > 0),
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_by TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  CHECK (kind <> 'percent_off' OR (percent_off > 0 AND percent_off <= 100)),
+  CHECK (kind <> 'credit' OR (credit_amount > 0 AND currency IS NOT NULL))
+);
+
+-- One row per redemption. advertiser_id scopes a code redeemed at signup to that campaign; NULL (admin grants)
+-- applies to any of the account's campaigns. credit_remaining / weeks_remaining count down as invoices are
+-- discounted and status becomes 'exhausted' at zero. A redemption on a campaign that never completed checkout
+-- stops counting against the limits after a day (Checkout sessions expire after 24 hours)
+CREATE TABLE IF NOT EXISTS promotion_redemptions (
+  id SERIAL PRIMARY KEY,
+  promotion_id INTEGER NOT NULL REFERENCES promotions(id) ON DELETE CASCADE,
+  advertiser_account_id INTEGER NOT NULL REFERENCES advertiser_accounts(id) ON DELETE CASCADE,
+  advertiser_id INTEGER REFERENCES advertisers(id) ON DELETE CASCADE,
+  credit_remaining NUMERIC(12,2),
+  weeks_remaining INTEGER,
+  status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'exhausted', 'revoked')),
+  redeemed_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_promotion_redemptions_account ON promotion_redemptions(advertiser_account_id, status);
+CREATE INDEX IF NOT EXISTS idx_promotion_redemptions_promotion ON promotion_redemptions(promotion_id);
+
+-- Discount taken off one invoice (keyed by the invoice, so a retried billing run never counts it twice)
+CREATE TABLE IF NOT EXISTS promotion_applications (
+  id SERIAL PRIMARY KEY,
+  redemption_id INTEGER NOT NULL REFERENCES promotion_redemptions(id) ON DELETE CASCADE,
+  record_type TEXT NOT NULL CHECK (record_type IN ('recurring', 'non_recurring')),
+  advertiser_id INTEGER REFERENCES advertisers(id) ON DELETE SET NULL,
+  stripe_invoice_id TEXT NOT NULL,
+  week_start DATE,
+  discount_amount NUMERIC(12,2) NOT NULL,
+  currency TEXT NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  UNIQUE (redemption_id, stripe_invoice_id)
+);
+
+-- amount_billed is net of the discount; discount_amount is the negative promotion line on the invoice
+ALTER TABLE recurring_billing_records
+  ADD COLUMN IF NOT EXISTS discount_amount NUMERIC(12,2) NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS promotion_code TEXT;
+
+ALTER TABLE non_recurring_billing_records
+  ADD COLUMN IF NOT EXISTS discount_amount NUMERIC(12,2) NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS promotion_code TEXT;
@@ -0,0 +1,49 @@
+-- Dunning for failed advertiser invoices and sponsor subscription invoices (lib/dunning.js). invoice.payment_failed
+-- opens a case; the daily /api/system/process-dunning cron retries the invoice on the schedule, emails the
+-- customer at each step, pauses the campaign once the grace period is over and finally revokes it and writes
+-- the invoice off. invoice.paid closes the case at any point
+
+-- Advertiser invoices that are written off were already booked as receivable revenue (postAdvertiserBilling)
+INSERT INTO ledger_accounts (code, name, account_type, normal_side) VALUES
+  ('bad_debt', 'Bad debt written off', 'expense', 'debit')
+ON CONFLICT (code) DO NOTHING;
+
+-- One row per failed invoice. Exactly one of advertiser_id / sponsor_campaign_id is set. attempts counts the
+-- scheduled retries made so far; next_action_at is when the cron next looks at the case (the next retry, the
+-- end of the grace period or the final step, whichever comes first). status 'closed' is an invoice voided or
+-- paid outside the schedule before the case recovered
+CREATE TABLE IF NOT EXISTS dunning_cases (
+  id SERIAL PRIMARY KEY,
+  subject_type TEXT NOT NULL CHECK (subject_type IN ('advertiser', 'sponsor')),
+  advertiser_id INTEGER REFERENCES advertisers(id) ON DELETE CASCADE,
+  sponsor_campaign_id UUID REFERENCES sponsor_campaigns(id) ON DELETE CASCADE,
+  stripe_invoice_id TEXT NOT NULL UNIQUE,
+  amount_due NUMERIC(12,2) NOT NULL,
+  currency TEXT NOT NULL DEFAULT 'usd',
+  status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'recovered', 'written_off', 'closed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  failed_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  next_action_at TIMESTAMP,
+  last_attempt_at TIMESTAMP,
+  last_error TEXT,
+  paused_at TIMESTAMP,
+  written_off_at TIMESTAMP,
+  resolved_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  CHECK ((advertiser_id IS NULL) <> (sponsor_campaign_id IS NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_dunning_cases_due ON dunning_cases(next_action_at) WHERE status = 'open';
+CREATE INDEX IF NOT EXISTS idx_dunning_cases_advertiser ON dunning_cases(advertiser_id, created_at DESC) WHERE advertiser_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_dunning_cases_sponsor ON dunning_cases(sponsor_campaign_id, created_at DESC) WHERE sponsor_campaign_id IS NOT NULL;
+
+-- Recurring campaigns paused at the end of the grace period. Like paused_for_balance, the advertiser cannot
+-- unpause them; the invoice being paid does
+ALTER TABLE advertisers
+  ADD COLUMN IF NOT EXISTS paused_for_dunning BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Campaigns the old invoice.payment_failed handler paused straight away resume when their invoice is paid
+UPDATE advertisers
+SET paused_for_dunning = TRUE
+WHERE billing_failed = TRUE AND is_paused = TRUE AND recurring_weekly = TRUE AND status <> 'archived';
@@ -0,0 +1,20 @@
+-- Viewer voting for the weekly charity winner (lib/charityVoting.js). Verified viewers vote during the week
+-- for one of the approved charities in next week's charity_week_pool; the /api/system/close-charity-vote
+-- cron closes the round on Saturday before the fallback winner job and writes the top charity to
+-- charity_week_winner with selection_method 'vote'
+
+-- One vote per viewer and round (week_start = the Monday the winner is chosen for). A viewer can change
+-- their vote until the round closes. weight is NULL while voting is open (tallies weigh votes live) and is
+-- snapshotted when the round closes, so later daily_stats updates never change a closed result
+CREATE TABLE IF NOT EXISTS charity_votes (
+  id SERIAL PRIMARY KEY,
+  week_start DATE NOT NULL,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  charity_application_id UUID NOT NULL REFERENCES charity_applications(id) ON DELETE CASCADE,
+  weight INTEGER CHECK (weight > 0),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  UNIQUE (week_start, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_charity_votes_week_charity ON charity_votes(week_start, charity_application_id);
@@ -0,0 +1,45 @@
+-- Weekly pools split between several charities (lib/charityRecipients.js). charity_week_winner keeps one row
+-- per week (the first recipient and how the week was chosen); a split week also lists every recipient here,
+-- and finalize-weekly-donations writes one allocation row and transfer intent per recipient
+
+-- Recipients of a split week in payout order. A share is either a percentage of what is left after the fixed
+-- amounts or a fixed USD amount taken off the top; percentages of a week add up to 100 (checked by
+-- validateRecipients). Weeks with no rows here go wholly to their charity_week_winner
+CREATE TABLE IF NOT EXISTS charity_week_recipients (
+  id SERIAL PRIMARY KEY,
+  week_start DATE NOT NULL,
+  charity_application_id UUID NOT NULL REFERENCES charity_applications(id),
+  position INTEGER NOT NULL CHECK (position > 0),
+  share_type TEXT NOT NULL CHECK (share_type IN ('percent', 'fixed')),
+  share_percent NUMERIC(5,2) CHECK (share_percent > 0 AND share_percent <= 100),
+  fixed_amount NUMERIC(12,2) CHECK (fixed_amount > 0),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  UNIQUE (week_start, charity_application_id),
+  UNIQUE (week_start, position),
+  CHECK ((share_type = 'percent' AND share_percent IS NOT NULL AND fixed_amount IS NULL)
+      OR (share_type = 'fixed' AND fixed_amount IS NOT NULL AND share_percent IS NULL))
+);
+
+-- What each recipient of a finalized week was allocated; amounts add up to weekly_charity_allocation.total_amount
+-- to the cent. weekly_charity_allocation.charity_application_id stays the first recipient
+CREATE TABLE IF NOT EXISTS weekly_charity_allocation_recipients (
+  id SERIAL PRIMARY KEY,
+  week_start DATE NOT NULL REFERENCES weekly_charity_allocation(week_start) ON DELETE CASCADE,
+  charity_application_id UUID NOT NULL REFERENCES charity_applications(id),
+  position INTEGER NOT NULL,
+  share_type TEXT NOT NULL CHECK (share_type IN ('percent', 'fixed')),
+  share_percent NUMERIC(5,2),
+  fixed_amount NUMERIC(12,2),
+  amount NUMERIC(12,2) NOT NULL CHECK (amount >= 0),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  UNIQUE (week_start, charity_application_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_wca_recipients_charity ON weekly_charity_allocation_recipients(charity_application_id);
+
+-- Allocations finalized before splits went wholly to their charity
+INSERT INTO weekly_charity_allocation_recipients (week_start, charity_application_id, position, share_type, share_percent, amount)
+SELECT wca.week_start, wca.charity_application_id, 1, 'percent', 100, wca.total_amount
+FROM weekly_charity_allocation wca
+WHERE wca.charity_application_id IS NOT NULL
+ON CONFLICT (week_start, charity_application_id) DO NOTHING;
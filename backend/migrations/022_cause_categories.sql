@@ -0,0 +1,65 @@
+-- Cause categories and advertiser / sponsor directed giving (lib/causes.js). Campaigns with a cause send their
+-- money only to a charity in that category; finalize-weekly-donations splits the pool into directed and
+-- undirected money
+
+-- Category of a charity (set on application, editable in admin-cs) and the optional preference of a campaign
+ALTER TABLE charity_applications
+  ADD COLUMN IF NOT EXISTS cause_category TEXT CHECK (cause_category IN (
+    'education', 'environment', 'health', 'animals', 'hunger_poverty', 'human_rights', 'disaster_relief',
+    'arts_culture', 'community'
+  ));
+ALTER TABLE advertisers
+  ADD COLUMN IF NOT EXISTS cause_category TEXT CHECK (cause_category IN (
+    'education', 'environment', 'health', 'animals', 'hunger_poverty', 'human_rights', 'disaster_relief',
+    'arts_culture', 'community'
+  ));
+ALTER TABLE sponsor_campaigns
+  ADD COLUMN IF NOT EXISTS cause_category TEXT CHECK (cause_category IN (
+    'education', 'environment', 'health', 'animals', 'hunger_poverty', 'human_rights', 'disaster_relief',
+    'arts_culture', 'community'
+  ));
+
+-- The campaign's cause when the payment was pooled; refunds and disputes copy it from the row they reverse.
+-- NULL = undirected (viewer donations and subscriptions are always undirected)
+ALTER TABLE donation_ledger
+  ADD COLUMN IF NOT EXISTS cause_category TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_donation_ledger_directed
+  ON donation_ledger(week_start, cause_category)
+  WHERE cause_category IS NOT NULL;
+
+-- Directed money per finalization (week_start = the finalized week) and cause. sponsor_amount and
+-- advertiser_amount include carried_in_amount, the part carried over from earlier finalizations. A row
+-- without a charity had no charity in its category that week: its amount is carried into the next
+-- finalization, which stamps carried_to_week
+CREATE TABLE IF NOT EXISTS weekly_cause_allocations (
+  id SERIAL PRIMARY KEY,
+  week_start DATE NOT NULL,
+  cause_category TEXT NOT NULL,
+  sponsor_amount NUMERIC(12,2) NOT NULL DEFAULT 0,
+  advertiser_amount NUMERIC(12,2) NOT NULL DEFAULT 0,
+  carried_in_amount NUMERIC(12,2) NOT NULL DEFAULT 0,
+  amount NUMERIC(12,2) NOT NULL,
+  charity_application_id UUID REFERENCES charity_applications(id),
+  carried_to_week DATE,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  UNIQUE (week_start, cause_category)
+);
+
+CREATE INDEX IF NOT EXISTS idx_weekly_cause_allocations_carried
+  ON weekly_cause_allocations(cause_category)
+  WHERE charity_application_id IS NULL AND carried_to_week IS NULL;
+
+-- Directed money included in an allocation (part of total_amount); the rest followed the normal winner
+ALTER TABLE weekly_charity_allocation
+  ADD COLUMN IF NOT EXISTS directed_amount NUMERIC(12,2) NOT NULL DEFAULT 0;
+
+-- A charity's part now includes any directed money it received; share_type 'cause' is a charity that only
+-- received directed money
+ALTER TABLE weekly_charity_allocation_recipients
+  ADD COLUMN IF NOT EXISTS directed_amount NUMERIC(12,2) NOT NULL DEFAULT 0;
+ALTER TABLE weekly_charity_allocation_recipients
+  DROP CONSTRAINT IF EXISTS weekly_charity_allocation_recipients_share_type_check;
+ALTER TABLE weekly_charity_allocation_recipients
+  ADD CONSTRAINT weekly_charity_allocation_recipients_share_type_check
+  CHECK (share_type IN ('percent', 'fixed', 'cause'));
@@ -0,0 +1,67 @@
+-- Charity self-service portal (lib/charityPortal.js). One login per charity, keyed by contact email, covering
+-- every weekly application it has entered; password setup / reset tokens mirror sponsor_account_tokens
+
+-- A charity's portal account and public profile (shown with its reports on the impact page)
+CREATE TABLE IF NOT EXISTS charity_accounts (
+  id SERIAL PRIMARY KEY,
+  contact_email TEXT NOT NULL UNIQUE, -- lowercased
+  password_hash TEXT,
+  charity_name TEXT NOT NULL,
+  federal_ein TEXT,
+  website_url TEXT,
+  mission_text TEXT,
+  logo_r2_key TEXT, -- advertiser-media bucket, charities/<id>/...
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- Applications are linked when approved (scripts/process-charity-approvals.js)
+ALTER TABLE charity_applications
+  ADD COLUMN IF NOT EXISTS charity_account_id INTEGER REFERENCES charity_accounts(id);
+
+CREATE INDEX IF NOT EXISTS idx_charity_applications_account ON charity_applications(charity_account_id);
+
+-- bcrypt-hashed one-time links, valid 24 hours; a password_setup token stops working once a password is set
+CREATE TABLE IF NOT EXISTS charity_account_tokens (
+  id SERIAL PRIMARY KEY,
+  charity_account_id INTEGER NOT NULL REFERENCES charity_accounts(id) ON DELETE CASCADE,
+  purpose TEXT NOT NULL CHECK (purpose IN ('password_setup', 'password_reset')),
+  token_hash TEXT NOT NULL,
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_charity_account_tokens_open
+  ON charity_account_tokens(expires_at)
+  WHERE used_at IS NULL;
+
+-- Proof-of-use reports uploaded by charities, shown on the impact page. week_start is the week whose money
+-- the report covers (NULL = general update); the optional file lives in the advertiser-media bucket
+CREATE TABLE IF NOT EXISTS charity_impact_reports (
+  id SERIAL PRIMARY KEY,
+  charity_account_id INTEGER NOT NULL REFERENCES charity_accounts(id) ON DELETE CASCADE,
+  week_start DATE,
+  title TEXT NOT NULL,
+  body TEXT NOT NULL,
+  file_r2_key TEXT,
+  file_content_type TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_charity_impact_reports_created ON charity_impact_reports(created_at DESC);
+
+-- Accounts for charities approved before the portal; they get their password through the reset link
+INSERT INTO charity_accounts (contact_email, charity_name, federal_ein)
+SELECT DISTINCT ON (LOWER(TRIM(contact_email))) LOWER(TRIM(contact_email)), charity_name, federal_ein
+FROM charity_applications
+WHERE status = 'approved' AND contact_email IS NOT NULL AND TRIM(contact_email) <> ''
+ORDER BY LOWER(TRIM(contact_email)), created_at DESC
+ON CONFLICT (contact_email) DO NOTHING;
+
+UPDATE charity_applications ca
+SET charity_account_id = acc.id
+FROM charity_accounts acc
+WHERE acc.contact_email = LOWER(TRIM(ca.contact_email))
+  AND ca.status = 'approved'
+  AND ca.charity_account_id IS NULL;
@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+/**
+ * Close Charity Vote Job
+ *
+ * Runs every Saturday 7:00 PM UTC (11:00 AM PST / 12:00 PM PDT), an hour before the fallback winner job.
+ * Closes the viewer vote for the upcoming week (lib/charityVoting.js) and, unless a winner was already
+ * chosen, writes the charity with the most votes to charity_week_winner with selection_method 'vote' and
+ * emails it. A week without votes is left to the fallback winner job.
+ *
+ * Usage: node backend/scripts/close-charity-vote.js
+ *    or: npm run close-charity-vote
+ *    or: GET /api/system/close-charity-vote (Vercel cron)
+ *
+ * Tables: charity_votes, charity_week_winner, charity_week_pool, charity_applications, daily_stats.
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+const envPath = path.join(__dirname, '..', '..', '.env');
+if (fs.existsSync(envPath)) {
+  require('dotenv').config({ path: envPath });
+} else {
+  require('dotenv').config();
+}
+
+const ws = require('ws');
+const { fetch } = require('undici');
+global.WebSocket = ws;
+global.fetch = fetch;
+
+const { Pool } = require('@neondatabase/serverless');
+
+const { closeCharityVote } = require('../lib/charityVoting');
+
+let emailService = null;
+try {
+  emailService = require('../services/emailService');
+} catch (e) {
+  console.warn('⚠️ Email service not available:', e.message);
+}
+
+/**
+ * Close the vote and notify the winning charity; notification_sent_at is stamped only when the email is sent.
+ * @param {object} pool
+ * @param {{ now?: Date }} [options]
+ * @returns {Promise<{ success: boolean, skipped: boolean, reason?: string, weekStart: string, weekEnd: string,
+ *   charityApplicationId?: string, charityName?: string, votes?: number, voters?: number, notificationSent?: boolean }>}
+ */
+async function runCloseCharityVote(pool, { now = new Date() } = {}) {
+  const result = await closeCharityVote(pool, { now });
+  if (result.skipped) {
+    console.log(`🗳️ [CHARITY VOTE] Skipped for week of ${result.weekStart}: ${result.reason}`);
+    return result;
+  }
+
+  let notificationSent = false;
+  if (result.contactEmail && emailService && emailService.isEmailConfigured()) {
+    try {
+      const emailResult = await emailService.sendCharityWeekWinnerEmail(
+        result.contactEmail,
+        result.charityName,
+        result.weekStart,
+        result.weekEnd,
+        { vote: true }
+      );
+      if (emailResult.success) {
+        await pool.query(
+          'UPDATE charity_week_winner SET notification_sent_at = NOW() WHERE week_start = $1::date',
+          [result.weekStart]
+        );
+        notificationSent = true;
+        console.log(`🗳️ [CHARITY VOTE] Winner notification sent to ${result.contactEmail}`);
+      } else {
+        console.error('❌ [CHARITY VOTE] Winner notification email failed:', emailResult.error);
+      }
+    } catch (emailErr) {
+      console.error('❌ [CHARITY VOTE] Winner notification email error:', emailErr.message);
+    }
+  } else {
+    console.warn('⚠️ Email not configured or no contact email; winner notification was not sent.');
+  }
+
+  const { contactEmail, ...summary } = result;
+  return { ...summary, notificationSent };
+}
+
+async function main() {
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: true
+  });
+
+  try {
+    await runCloseCharityVote(pool);
+  } catch (err) {
+    console.error('❌ [CHARITY VOTE] Error:', err.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  main();
+} else {
+  module.exports = { runCloseCharityVote };
+}
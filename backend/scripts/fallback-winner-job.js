@@ -4,7 +4,8 @@
  *
  * Runs every Saturday 8:00 PM UTC (12:00 PM PST / 1:00 PM PDT) to ensure
  * the upcoming week has a winner. If no manual winner was set, auto-selects
- * one from the pool.
+ * one from the pool. A winner chosen by the viewer vote (close-charity-vote, an hour
+ * earlier) counts as chosen.
  *
  * Usage: node backend/scripts/fallback-winner-job.js
  *    or: npm run fallback-winner-job
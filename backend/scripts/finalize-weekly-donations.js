@@ -7,14 +7,22 @@
  * During PDT this fires at 03:00 AM PT; that is acceptable — week boundary
  * is determined by date computation, not the exact fire time.
  *
- * Writes weekly_charity_allocation, transfer_intents, and stamps finalized_at
- * on weekly_donation_pool. Does not send emails, process Stripe, touch
- * donation_ledger, or select a winner.
+ * Writes weekly_charity_allocation, transfer_intents, the charity payable
+ * journal entry (lib/journal.js), and stamps finalized_at on
+ * weekly_donation_pool. Does not send emails, process Stripe, touch
+ * donation_ledger, or select a winner. A week split between several
+ * charities (lib/charityRecipients.js) gets one allocation recipient row and
+ * transfer intent per charity. Money that advertiser and sponsor campaigns
+ * directed to a cause category (lib/causes.js) goes to that week's charity in
+ * the category instead, and is carried over to the next finalization when
+ * there is none. Transfer intents are paid out by process-charity-payouts.js.
  *
  * Usage: node backend/scripts/finalize-weekly-donations.js
  *    or: GET /api/system/finalize-weekly-donations (Vercel cron)
  *
- * Tables: weekly_donation_pool, charity_week_winner, weekly_charity_allocation, transfer_intents.
+ * Tables: weekly_donation_pool, donation_ledger, charity_week_winner, charity_week_recipients,
+ * weekly_charity_allocation, weekly_charity_allocation_recipients, weekly_cause_allocations, transfer_intents,
+ * journal_entries, journal_lines.
  */
 
 const path = require('path');
@@ -34,6 +42,10 @@ global.fetch = fetch;
 
 const { Pool } = require('@neondatabase/serverless');
 
+const { postWeeklyAllocation } = require('../lib/journal');
+const { loadWeekRecipients, splitAllocation } = require('../lib/charityRecipients');
+const { loadCauseRecipient, splitDirectedPool, addDirectedAllocations } = require('../lib/causes');
+
 /**
  * Monday 00:00 America/Los_Angeles for a given date (replicated from server.js getBillingWeekStart).
  * Returns a Date (UTC) representing that moment.
@@ -89,7 +101,7 @@ function toWeekStartString(date) {
 /**
  * Run the finalize job. Uses the provided pool (e.g. from server) or creates one if not provided.
  * @param {import('@neondatabase/serverless').Pool} [externalPool] - Optional pool from server
- * @returns {{ success: boolean, skipped?: boolean, reason?: string, error?: string, weeksAccumulated?: number, sponsorTotal?: number, advertiserTotal?: number, totalAmount?: number, charityApplicationId?: string }}
+ * @returns {{ success: boolean, skipped?: boolean, reason?: string, error?: string, weeksAccumulated?: number, sponsorTotal?: number, advertiserTotal?: number, totalAmount?: number, directedAmount?: number, carriedAmount?: number, charityApplicationId?: string, recipients?: Array<{ charityApplicationId: string, amount: number }> }}
  */
 async function runFinalizeWeeklyDonations(externalPool) {
   const ownPool = !externalPool;
@@ -118,18 +130,15 @@ async function runFinalizeWeeklyDonations(externalPool) {
       return { success: true, skipped: true, reason: 'already_finalized' };
     }
 
-    // 2. Winner for previous week
-    const winnerResult = await pool.query(
-      'SELECT charity_application_id FROM charity_week_winner WHERE week_start = $1::date LIMIT 1',
-      [previous_week_start]
-    );
+    // 2. Winner (and any split recipients) for previous week
+    const weekRecipients = await loadWeekRecipients(pool, previous_week_start);
 
-    if (winnerResult.rows.length === 0) {
+    if (weekRecipients.length === 0) {
       console.log(`[FINALIZE] No winner selected for week ${previous_week_start}, money will accumulate.`);
       return { success: true, skipped: true, reason: 'no_winner' };
     }
 
-    const charityApplicationId = winnerResult.rows[0].charity_application_id;
+    const charityApplicationId = weekRecipients[0].charity_application_id;
 
     // 3. Single transaction: aggregate unfinalized → allocation → transfer_intent → stamp finalized_at
     const client = await pool.connect();
@@ -149,12 +158,59 @@ async function runFinalizeWeeklyDonations(externalPool) {
       `);
 
       const row = sumResult.rows[0];
-      const sponsorTotal = parseFloat(row.sponsor_total) || 0;
-      const advertiserTotal = parseFloat(row.advertiser_total) || 0;
       const viewerTotal = parseFloat(row.viewer_total || 0);
-      const totalAmount = sponsorTotal + advertiserTotal + viewerTotal;
       const weeksCount = parseInt(row.weeks_count, 10) || 0;
 
+      //    Directed money: ledger rows with a cause in those weeks, plus causes carried over from earlier
+      //    finalizations that had no charity in their category
+      const directedResult = await client.query(`
+        SELECT dl.cause_category,
+               COALESCE(SUM(dl.amount) FILTER (WHERE dl.source_type = 'sponsor'), 0)::numeric AS sponsor_amount,
+               COALESCE(SUM(dl.amount) FILTER (WHERE dl.source_type = 'advertiser'), 0)::numeric AS advertiser_amount
+        FROM donation_ledger dl
+        JOIN weekly_donation_pool wdp ON wdp.week_start = dl.week_start
+        WHERE wdp.finalized_at IS NULL AND dl.cause_category IS NOT NULL
+        GROUP BY dl.cause_category
+      `);
+      const carriedResult = await client.query(`
+        UPDATE weekly_cause_allocations SET carried_to_week = $1::date
+        WHERE charity_application_id IS NULL AND carried_to_week IS NULL
+        RETURNING cause_category, sponsor_amount, advertiser_amount
+      `, [previous_week_start]);
+      const directed = splitDirectedPool(
+        { sponsorTotal: row.sponsor_total, advertiserTotal: row.advertiser_total },
+        directedResult.rows,
+        carriedResult.rows
+      );
+
+      //    Each cause goes to the week's charity in its category, or is carried over when there is none
+      const causeAllocations = [];
+      for (const part of directed.causes) {
+        const causeRecipient = await loadCauseRecipient(client, previous_week_start, part.cause);
+        const causeCharityId = causeRecipient ? causeRecipient.charity_application_id : null;
+        await client.query(
+          `INSERT INTO weekly_cause_allocations (
+            week_start, cause_category, sponsor_amount, advertiser_amount, carried_in_amount, amount, charity_application_id
+          ) VALUES ($1::date, $2, $3, $4, $5, $6, $7::uuid)
+          ON CONFLICT (week_start, cause_category) DO NOTHING`,
+          [previous_week_start, part.cause, part.sponsorAmount, part.advertiserAmount, part.carriedInAmount, part.amount, causeCharityId]
+        );
+        causeAllocations.push({ ...part, charityApplicationId: causeCharityId });
+      }
+      const allocatedCauses = causeAllocations.filter(c => c.charityApplicationId);
+      const cents = value => Math.round(value * 100);
+      const sumCents = (parts, key) => parts.reduce((sum, p) => sum + cents(p[key]), 0);
+
+      //    Allocated now: the undirected money plus every cause that found a charity (in cents until the end)
+      const undirectedCents = cents(directed.undirectedSponsor) + cents(directed.undirectedAdvertiser) + cents(viewerTotal);
+      const directedCents = sumCents(allocatedCauses, 'amount');
+      const sponsorTotal = (cents(directed.undirectedSponsor) + sumCents(allocatedCauses, 'sponsorAmount')) / 100;
+      const advertiserTotal = (cents(directed.undirectedAdvertiser) + sumCents(allocatedCauses, 'advertiserAmount')) / 100;
+      const undirectedAmount = undirectedCents / 100;
+      const directedAmount = directedCents / 100;
+      const totalAmount = (undirectedCents + directedCents) / 100;
+      const carriedAmount = sumCents(causeAllocations.filter(c => !c.charityApplicationId), 'amount') / 100;
+
       // b. Insert weekly_charity_allocation (idempotency: ON CONFLICT DO NOTHING)
       await client.query(
         `INSERT INTO weekly_charity_allocation (
@@ -164,21 +220,44 @@ async function runFinalizeWeeklyDonations(externalPool) {
           advertiser_amount,
           viewer_amount,
           total_amount,
-          weeks_accumulated
-        ) VALUES ($1::date, $2::uuid, $3, $4, $5, $6, $7)
+          weeks_accumulated,
+          directed_amount
+        ) VALUES ($1::date, $2::uuid, $3, $4, $5, $6, $7, $8)
         ON CONFLICT (week_start) DO NOTHING`,
-        [previous_week_start, charityApplicationId, sponsorTotal, advertiserTotal, viewerTotal, totalAmount, weeksCount]
+        [previous_week_start, charityApplicationId, sponsorTotal, advertiserTotal, viewerTotal, totalAmount, weeksCount, directedAmount]
       );
 
-      // c. Insert transfer_intent only if total_amount > 0
-      if (totalAmount > 0) {
+      //    Each recipient's part, to the cent: its share of the undirected money (a single winner gets it
+      //    all) plus any directed money, which may add charities that only received a cause's money
+      const recipients = addDirectedAllocations(splitAllocation(undirectedAmount, weekRecipients), allocatedCauses);
+      for (const recipient of recipients) {
         await client.query(
-          `INSERT INTO transfer_intents (week_start, recipient_type, amount, status)
-           VALUES ($1::date, 'fiscal_sponsor', $2, 'pending')`,
-          [previous_week_start, totalAmount]
+          `INSERT INTO weekly_charity_allocation_recipients (
+            week_start, charity_application_id, position, share_type, share_percent, fixed_amount, amount, directed_amount
+          ) VALUES ($1::date, $2::uuid, $3, $4, $5, $6, $7, $8)
+          ON CONFLICT (week_start, charity_application_id) DO NOTHING`,
+          [previous_week_start, recipient.charity_application_id, recipient.position, recipient.share_type,
+            recipient.share_percent, recipient.fixed_amount, recipient.amount, recipient.directed_amount]
         );
       }
 
+      // c. Insert a transfer_intent per recipient with a non-zero part (paid to the charity's Connect
+      //    account by process-charity-payouts), and journal each part as owed to its charity
+      if (totalAmount > 0) {
+        for (const recipient of recipients.filter(r => r.amount > 0)) {
+          await client.query(
+            `INSERT INTO transfer_intents (week_start, recipient_type, charity_application_id, amount, status)
+             VALUES ($1::date, 'charity', $2::uuid, $3, 'pending')`,
+            [previous_week_start, recipient.charity_application_id, recipient.amount]
+          );
+          await postWeeklyAllocation(client, {
+            weekStart: previous_week_start,
+            charityApplicationId: recipient.charity_application_id,
+            amount: recipient.amount
+          });
+        }
+      }
+
       // d. Backfill charity_week_winner for all accumulated no-winner weeks so
       //    the donation_ledger → charity_week_winner JOIN resolves correctly for
       //    advertiser campaigns whose contributions landed in those weeks.
@@ -192,6 +271,19 @@ async function runFinalizeWeeklyDonations(externalPool) {
         ON CONFLICT DO NOTHING
       `, [charityApplicationId]);
 
+      //    and give those weeks the same split, so receipts and campaign pages name every recipient
+      await client.query(`
+        INSERT INTO charity_week_recipients (week_start, charity_application_id, position, share_type, share_percent, fixed_amount)
+        SELECT wdp.week_start, r.charity_application_id, r.position, r.share_type, r.share_percent, r.fixed_amount
+        FROM weekly_donation_pool wdp
+        JOIN charity_week_winner cww ON cww.week_start = wdp.week_start AND cww.selection_method = 'accumulated'
+        CROSS JOIN charity_week_recipients r
+        WHERE r.week_start = $1::date
+          AND wdp.finalized_at IS NULL
+          AND wdp.week_start <> $1::date
+        ON CONFLICT DO NOTHING
+      `, [previous_week_start]);
+
       // e. Stamp all unfinalized rows
       await client.query(
         'UPDATE weekly_donation_pool SET finalized_at = NOW() WHERE finalized_at IS NULL'
@@ -206,7 +298,9 @@ async function runFinalizeWeeklyDonations(externalPool) {
         advertiserTotal: advertiserTotal.toFixed(2),
         viewerTotal: viewerTotal.toFixed(2),
         totalAmount: totalAmount.toFixed(2),
-        charityApplicationId
+        directedAmount: directedAmount.toFixed(2),
+        carriedAmount: carriedAmount.toFixed(2),
+        recipients: recipients.map(r => `${r.charity_application_id}=${r.amount.toFixed(2)}`)
       });
 
       return {
@@ -217,7 +311,10 @@ async function runFinalizeWeeklyDonations(externalPool) {
         advertiserTotal,
         viewerTotal,
         totalAmount,
-        charityApplicationId
+        directedAmount,
+        carriedAmount,
+        charityApplicationId,
+        recipients: recipients.map(r => ({ charityApplicationId: r.charity_application_id, amount: r.amount }))
       };
     } catch (txErr) {
       await client.query('ROLLBACK');
@@ -244,32 +341,35 @@ async function main() {
       console.log(
         `[FINALIZE] Done. ${result.weeksAccumulated} week(s) accumulated; ` +
         `sponsor_total=$${result.sponsorTotal?.toFixed(2)}, advertiser_total=$${result.advertiserTotal?.toFixed(2)}, viewer_total=$${result.viewerTotal?.toFixed(2)}, ` +
-        `total=$${result.totalAmount?.toFixed(2)}; allocation to charity_application_id=${result.charityApplicationId}.`
+        `total=$${result.totalAmount?.toFixed(2)} (directed=$${result.directedAmount?.toFixed(2)}, carried over=$${result.carriedAmount?.toFixed(2)}); allocation to ` +
+        result.recipients.map(r => `charity_application_id=${r.charityApplicationId} ($${r.amount.toFixed(2)})`).join(', ') + '.'
       );
 
-      // Send finalization email to winning charity
-      if (result.charityApplicationId) {
+      // Send finalization email to every receiving charity
+      if (result.recipients.length > 0) {
         let emailService = null;
         try { emailService = require('../services/emailService'); } catch (e) {
           console.warn('[FINALIZE] Email service not available:', e.message);
         }
         if (emailService && emailService.isEmailConfigured()) {
-          try {
-            const charityRow = await pool.query(
-              'SELECT contact_email, charity_name FROM charity_applications WHERE id = $1',
-              [result.charityApplicationId]
-            );
-            if (charityRow.rows.length > 0 && charityRow.rows[0].contact_email) {
-              const { contact_email, charity_name } = charityRow.rows[0];
-              const emailResult = await emailService.sendCharityFinalizationEmail(contact_email, charity_name);
-              if (emailResult.success) {
-                console.log(`[FINALIZE] Finalization email sent to ${contact_email}`);
-              } else {
-                console.error('[FINALIZE] Finalization email failed:', emailResult.error);
+          for (const recipient of result.recipients) {
+            try {
+              const charityRow = await pool.query(
+                'SELECT contact_email, charity_name FROM charity_applications WHERE id = $1',
+                [recipient.charityApplicationId]
+              );
+              if (charityRow.rows.length > 0 && charityRow.rows[0].contact_email) {
+                const { contact_email, charity_name } = charityRow.rows[0];
+                const emailResult = await emailService.sendCharityFinalizationEmail(contact_email, charity_name);
+                if (emailResult.success) {
+                  console.log(`[FINALIZE] Finalization email sent to ${contact_email}`);
+                } else {
+                  console.error('[FINALIZE] Finalization email failed:', emailResult.error);
+                }
               }
+            } catch (emailErr) {
+              console.error('[FINALIZE] Finalization email error:', emailErr.message);
             }
-          } catch (emailErr) {
-            console.error('[FINALIZE] Finalization email error:', emailErr.message);
           }
         } else {
           console.warn('[FINALIZE] Email not configured, skipping finalization email.');
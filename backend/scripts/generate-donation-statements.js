@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+/**
+ * Generate Donation Statements Job
+ *
+ * Yearly cron — builds the year-end donation statement for every viewer and sponsor who donated in the
+ * previous calendar year: issues any missing receipts for the year, records one donation_statements row per
+ * donor (receipt count, total net of refunds in the reporting currency) and emails the statement PDF (lib/donationReceipts.js) once.
+ * Re-running updates the totals and only emails donors who have not received their statement.
+ * Vercel cron schedule: "0 16 15 1 *" (January 15, 16:00 UTC — after December's winners are final).
+ *
+ * Usage: node backend/scripts/generate-donation-statements.js [--year 2026] [--no-email]
+ *    or: GET /api/system/generate-donation-statements[?year=2026] (Vercel cron)
+ *
+ * Tables: donation_statements, donation_receipts, donations, sponsor_donations, donation_ledger.
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+const envPath = path.join(__dirname, '..', '..', '.env');
+if (fs.existsSync(envPath)) {
+  require('dotenv').config({ path: envPath });
+} else {
+  require('dotenv').config();
+}
+
+const ws = require('ws');
+const { fetch } = require('undici');
+global.WebSocket = ws;
+global.fetch = fetch;
+
+const { Pool } = require('@neondatabase/serverless');
+
+const {
+  statementNumber,
+  issueDonationReceipts,
+  loadStatementDonors,
+  loadDonationStatementDocument
+} = require('../lib/donationReceipts');
+const { renderBillingPdf } = require('../lib/billingDocuments');
+
+let emailService = null;
+try {
+  emailService = require('../services/emailService');
+} catch (e) {
+  console.warn('⚠️ Email service not available:', e.message);
+}
+
+/**
+ * @param {object} pool
+ * @param {{ year?: number, sendEmails?: boolean }} [options] - year defaults to the previous calendar year
+ * @returns {Promise<{ success: boolean, year: number, donors: number, sent: number, failed: number, errors: Array<{ statementNumber: string, error: string }> }>}
+ */
+async function runGenerateDonationStatements(pool, { year = new Date().getUTCFullYear() - 1, sendEmails = true } = {}) {
+  await issueDonationReceipts(pool, { since: new Date(Date.UTC(year, 0, 1)) });
+  const donors = await loadStatementDonors(pool, year);
+
+  const canEmail = sendEmails && emailService && emailService.isEmailConfigured();
+  if (sendEmails && !canEmail) {
+    console.warn('⚠️ [DONATION STATEMENTS] Email not configured; statements recorded but not sent');
+  }
+
+  const summary = { success: true, year, donors: donors.length, sent: 0, failed: 0, errors: [] };
+  for (const donor of donors) {
+    const number = statementNumber(donor.donor_type, donor.donor_id, year);
+    const saved = await pool.query(`
+      INSERT INTO donation_statements (
+        statement_number, donor_type, donor_id, year, donor_name, donor_email, receipt_count, total_amount
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      ON CONFLICT (donor_type, donor_id, year) DO UPDATE
+      SET donor_name = EXCLUDED.donor_name,
+          donor_email = EXCLUDED.donor_email,
+          receipt_count = EXCLUDED.receipt_count,
+          total_amount = EXCLUDED.total_amount,
+          updated_at = NOW()
+      RETURNING id, emailed_at
+    `, [number, donor.donor_type, donor.donor_id, year, donor.donor_name, donor.donor_email, donor.receipt_count, donor.total_amount]);
+
+    const statement = saved.rows[0];
+    if (!canEmail || statement.emailed_at || !donor.donor_email || donor.total_amount <= 0) continue;
+
+    try {
+      const owner = donor.donor_type === 'sponsor' ? { sponsorAccountId: donor.donor_id } : { userId: donor.donor_id };
+      const model = await loadDonationStatementDocument(pool, owner, year);
+      const result = await emailService.sendDonationStatementEmail(donor.donor_email, donor.donor_name, {
+        year,
+        totalLabel: model.total,
+        donationCount: donor.receipt_count,
+        pdf: { filename: model.filename, content: await renderBillingPdf(model) }
+      });
+      if (!result || !result.success) {
+        throw new Error(result?.error || 'Email not sent');
+      }
+      await pool.query('UPDATE donation_statements SET emailed_at = NOW() WHERE id = $1', [statement.id]);
+      summary.sent++;
+    } catch (err) {
+      summary.failed++;
+      summary.errors.push({ statementNumber: number, error: err.message });
+      console.error(`❌ [DONATION STATEMENTS] ${number} not sent:`, err.message);
+    }
+  }
+
+  console.log(`🧾 [DONATION STATEMENTS] ${year}: ${summary.donors} donor(s), ${summary.sent} emailed, ${summary.failed} failed`);
+  return summary;
+}
+
+async function main() {
+  const yearIndex = process.argv.indexOf('--year');
+  const year = yearIndex !== -1 ? parseInt(process.argv[yearIndex + 1], 10) : new Date().getUTCFullYear() - 1;
+  if (!Number.isInteger(year) || year < 2000 || year > new Date().getUTCFullYear()) {
+    console.error('❌ --year must be a past or current year, e.g. --year 2026');
+    process.exit(1);
+  }
+
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: true
+  });
+
+  try {
+    const result = await runGenerateDonationStatements(pool, { year, sendEmails: !process.argv.includes('--no-email') });
+    if (result.failed > 0) process.exitCode = 1;
+  } catch (err) {
+    console.error('❌ [DONATION STATEMENTS] Error:', err.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  main();
+} else {
+  module.exports = { runGenerateDonationStatements };
+}
@@ -37,6 +37,13 @@ const os = require('os');
 
 const execAsync = promisify(exec);
 const sharp = require('sharp');
+const { registerCreative } = require('../lib/creatives');
+const { probeVideo } = require('../lib/hlsPipeline');
+const { processCreativeMedia } = require('../lib/creativeMedia');
+const { postPoolReceipt } = require('../lib/journal');
+const { buildSponsorCampaignPdf } = require('../lib/billingDocuments');
+const { formatMoney, toReportingAmount } = require('../lib/currency');
+const { ledgerCauseSql } = require('../lib/causes');
 
 // Rasterize SVG to PNG for FFmpeg (FFmpeg cannot decode SVG)
 const SVG_TARGET_WIDTH = 800;
@@ -413,9 +420,9 @@ async function uploadVideoToR2(videoPath, key) {
       ContentType: 'video/mp4'
     });
     
-    await r2Client.send(putCommand);
+    const putResult = await r2Client.send(putCommand);
     console.log(`✅ Video uploaded to R2: ${GENERATED_BUCKET}/${key}`);
-    return { success: true, key };
+    return { success: true, key, etag: putResult.ETag || null, sizeBytes: videoBuffer.length };
   } catch (error) {
     console.error(`❌ R2 upload failed:`, error.message);
     return { success: false, error: error.message };
@@ -482,6 +489,26 @@ async function processCampaign(campaign, sponsorAccount) {
     if (!uploadResult.success) {
       throw new Error(`R2 upload failed: ${uploadResult.error}`);
     }
+
+    // Register in the creatives table (playlist reads live creatives from there)
+    const probe = await probeVideo(videoPath);
+    const creative = await registerCreative(pool, {
+      bucket: GENERATED_BUCKET,
+      key: outputKey,
+      creativeType: 'video',
+      status: 'active',
+      sponsorCampaignId: campaign.id,
+      contentType: 'video/mp4',
+      sizeBytes: uploadResult.sizeBytes,
+      durationSeconds: probe.durationSeconds,
+      width: probe.width,
+      height: probe.height,
+      checksum: uploadResult.etag
+    });
+    console.log(`🗂️ Creative registered: ${GENERATED_BUCKET}/${outputKey}`);
+
+    // Normalized audio, poster, preview and HLS ladder from the local MP4 (non-critical: the playlist falls back to the MP4)
+    await processCreativeMedia(pool, r2Client, { creative, localPath: videoPath });
     
     // Mark campaign as generation completed and store R2 key. Status changes are handled by Monday job only.
     if (campaign.is_recurring) {
@@ -532,7 +559,7 @@ async function processCampaign(campaign, sponsorAccount) {
               nonRecurringPaymentFailed = true;
             } else {
               const billingRow = await pool.query(
-                `SELECT id, amount_cents, stripe_payment_intent_id FROM sponsor_billing WHERE sponsor_campaign_id = $1 AND stripe_mode = 'one_time' LIMIT 1`,
+                `SELECT id, amount_cents, currency, stripe_payment_intent_id FROM sponsor_billing WHERE sponsor_campaign_id = $1 AND stripe_mode = 'one_time' LIMIT 1`,
                 [campaign.id]
               );
               if (billingRow.rows.length === 0 || billingRow.rows[0].amount_cents == null) {
@@ -543,9 +570,11 @@ async function processCampaign(campaign, sponsorAccount) {
                 return { success: true, campaignId: campaign.id };
               } else {
                 const amountCents = parseInt(billingRow.rows[0].amount_cents, 10);
+                // FX snapshot before charging, so the ledger row can always be written once the card is charged
+                const converted = await toReportingAmount(pool, amountCents / 100, billingRow.rows[0].currency);
                 const paymentIntent = await stripe.paymentIntents.create({
                   amount: amountCents,
-                  currency: 'usd',
+                  currency: converted.currency,
                   customer: stripeCustomerId,
                   payment_method: paymentMethodId,
                   off_session: true,
@@ -571,19 +600,20 @@ async function processCampaign(campaign, sponsorAccount) {
                     [campaign.id, startWeekStr, endAtStr]
                   );
                   const donResult = await pool.query(
-                    `INSERT INTO sponsor_donations (sponsor_account_id, sponsor_campaign_id, stripe_payment_intent_id, amount_cents, source)
-                     VALUES ($1, $2, $3, $4, 'one_time_payment')
+                    `INSERT INTO sponsor_donations (sponsor_account_id, sponsor_campaign_id, stripe_payment_intent_id, amount_cents, source, currency)
+                     VALUES ($1, $2, $3, $4, 'one_time_payment', $5)
                      RETURNING id`,
-                    [campaign.sponsor_account_id, campaign.id, paymentIntent.id, amountCents]
+                    [campaign.sponsor_account_id, campaign.id, paymentIntent.id, amountCents, converted.currency]
                   );
                   const donationId = donResult.rows[0].id;
-                  const amountDollars = amountCents / 100;
+                  const amountDollars = converted.amount;
                   const ledgerResult = await pool.query(
-                    `INSERT INTO donation_ledger (source_type, source_id, billing_record_id, amount, week_start)
-                     VALUES ($1, $2, $3, $4, $5)
+                    `INSERT INTO donation_ledger (source_type, source_id, billing_record_id, amount, week_start, currency, original_amount, fx_rate, fx_rate_id, cause_category)
+                     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, ${ledgerCauseSql('sponsor', '$2')})
                      ON CONFLICT (source_id, week_start) DO NOTHING
                      RETURNING id`,
-                    ['sponsor', campaign.id, donationId, amountDollars, startWeekStr]
+                    ['sponsor', campaign.id, donationId, amountDollars, startWeekStr,
+                      converted.currency, converted.originalAmount, converted.fxRate, converted.fxRateId]
                   );
                   if (ledgerResult.rows.length === 0) {
                     console.warn(`Donation ledger entry already exists for campaign ${campaign.id}, skipping pool update.`);
@@ -596,8 +626,33 @@ async function processCampaign(campaign, sponsorAccount) {
                            updated_at = NOW()`,
                       [startWeekStr, amountDollars]
                     );
+                    await postPoolReceipt(pool, {
+                      entryKey: `sponsor_donation:${donationId}`,
+                      sourceType: 'sponsor',
+                      sourceId: campaign.id,
+                      poolSource: 'sponsor',
+                      amount: amountDollars,
+                      weekStart: startWeekStr,
+                      description: `Non-recurring sponsor payment (${paymentIntent.id})`
+                    });
+                  }
+                  const amountLabel = formatMoney(converted.originalAmount, converted.currency);
+                  console.log(`✅ [NON-RECURRING CHARGE] Charged ${amountLabel} for campaign ${campaign.id}`);
+                  if (ledgerResult.rows.length > 0 && emailService && emailService.isEmailConfigured()) {
+                    try {
+                      const pdf = await buildSponsorCampaignPdf(pool, campaign.id).catch(pdfErr => {
+                        console.error(`❌ [NON-RECURRING CHARGE] Could not build receipt PDF:`, pdfErr.message);
+                        return null;
+                      });
+                      await emailService.sendBillingReceiptEmail(
+                        sponsorAccount.contact_email,
+                        sponsorAccount.organization_legal_name,
+                        { amountLabel, description: 'your Charity Stream sponsorship', pdf }
+                      );
+                    } catch (emailErr) {
+                      console.error(`❌ [NON-RECURRING CHARGE] Error sending receipt email:`, emailErr.message);
+                    }
                   }
-                  console.log(`✅ [NON-RECURRING CHARGE] Charged $${amountDollars.toFixed(2)} for campaign ${campaign.id}`);
                 }
               }
             }
@@ -638,9 +693,14 @@ async function processCampaign(campaign, sponsorAccount) {
         // Send payment failure notification email
         if (emailService && emailService.isEmailConfigured()) {
           try {
+            const pdf = await buildSponsorCampaignPdf(pool, campaign.id).catch(pdfErr => {
+              console.error(`❌ [NON-RECURRING] Could not build billing PDF:`, pdfErr.message);
+              return null;
+            });
             await emailService.sendSponsorPaymentFailedEmail(
               sponsorAccount.contact_email,
-              sponsorAccount.organization_legal_name
+              sponsorAccount.organization_legal_name,
+              pdf
             );
           } catch (emailErr) {
             console.error(`❌ [NON-RECURRING] Error sending payment failed email:`, emailErr.message);
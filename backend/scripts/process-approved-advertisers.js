@@ -31,6 +31,8 @@ if (fs.existsSync(envPath)) {
 // NOW load email service after env vars are available
 const emailService = require('../services/emailService');
 const { normalizeBareMediaR2Link } = require('../lib/normalizeBareMediaR2Link');
+const { creativeTypeForAdFormat, describeR2Object, registerCreative } = require('../lib/creatives');
+const { processCreativeMedia } = require('../lib/creativeMedia');
 
 console.log('🔗 DATABASE_URL present:', !!process.env.DATABASE_URL);
 
@@ -241,7 +243,7 @@ async function processApprovedAdvertisers() {
       `
       SELECT id, company_name, email, website_url, media_r2_link, ad_format,
              click_tracking, destination_url, cpm_rate, weekly_budget_cap, expedited,
-             is_paused, recurring_weekly, campaign_start_date
+             is_paused, recurring_weekly, campaign_start_date, currency
       FROM advertisers
       WHERE status = 'pending_review'
         AND ad_format IN ('video', 'image', 'static_image')
@@ -456,6 +458,30 @@ async function processApprovedAdvertisers() {
             }
           }
           
+          // Register the live creative (retires the pending upload in advertiser-media) so it enters the playlist
+          try {
+            const copied = await describeR2Object(r2Client, DESTINATION_BUCKET, standardizedFilename);
+            const creative = await registerCreative(client, {
+              bucket: DESTINATION_BUCKET,
+              key: standardizedFilename,
+              creativeType: creativeTypeForAdFormat(advertiser.ad_format),
+              status: 'active',
+              advertiserId: advertiser.id,
+              contentType: copied?.contentType || null,
+              sizeBytes: copied?.sizeBytes ?? null,
+              checksum: copied?.checksum ?? null
+            });
+            console.log(`🗂️ Creative registered: ${DESTINATION_BUCKET}/${standardizedFilename}`);
+
+            // Loudness-normalized rendition, poster, preview and HLS ladder (non-critical: the playlist
+            // serves the original MP4 until they are ready)
+            if (creative.creative_type === 'video') {
+              await processCreativeMedia(client, r2Client, { creative });
+            }
+          } catch (registryError) {
+            console.error(`❌ Failed to register creative (campaign will not appear in rotation until reconciled):`, registryError.message);
+          }
+          
           // Send approval email to advertiser
           if (emailService && emailService.isEmailConfigured()) {
             try {
@@ -472,7 +498,8 @@ async function processApprovedAdvertisers() {
                 cpm_rate: advertiser.cpm_rate,
                 weekly_budget_cap: advertiser.weekly_budget_cap,
                 expedited: advertiser.expedited,
-                click_tracking: advertiser.click_tracking
+                click_tracking: advertiser.click_tracking,
+                currency: advertiser.currency
               };
               
               // Use the new approval email function (distinct content)
@@ -516,6 +543,7 @@ async function processApprovedAdvertisers() {
     if (successCount > 0) {
       console.log('\n📢 IMPORTANT: Media (videos and images) have been copied to charity-stream-videos bucket');
       console.log('📢 Media have been assigned unique filenames to prevent collisions');
+      console.log('📢 Creatives have been registered in the creatives table');
       console.log('📢 Videos will AUTOMATICALLY appear in video playlist rotation');
       console.log('📢 Images will AUTOMATICALLY appear in popup ad rotation');
       console.log('📢 No code changes needed - dynamic discovery is enabled!');
@@ -9,7 +9,9 @@
  * 2. Set reviewed_at = NOW()
  * 3. Insert into charity_week_pool (charity_application_id, week_start)
  *    where week_start = next Monday from created_at in America/Los_Angeles
- * 4. Send approval email
+ * 4. Link the application to the charity's portal account, creating it on first approval (lib/charityPortal.js)
+ * 5. Send approval email (with the Stripe Connect payout onboarding link, lib/charityConnect.js, and the
+ *    charity portal link — a create-password link while the account has no password)
  *
  * Idempotent: Only processes rows with reviewed_at IS NULL.
  * Schema: charity_applications (id UUID), charity_week_pool (charity_application_id UUID, week_start DATE).
@@ -31,6 +33,8 @@ global.WebSocket = ws;
 global.fetch = fetch;
 
 const { Pool } = require('@neondatabase/serverless');
+const { onboardingUrlFor } = require('../lib/charityConnect');
+const { ensureCharityAccount, createCharityPasswordToken, portalUrl } = require('../lib/charityPortal');
 
 let emailService = null;
 try {
@@ -67,7 +71,7 @@ async function run() {
 
   try {
     const { rows } = await pool.query(
-      `SELECT id, charity_name, contact_email, created_at
+      `SELECT id, charity_name, federal_ein, contact_email, created_at
        FROM charity_applications
        WHERE id = $1
          AND reviewed_at IS NULL`,
@@ -79,7 +83,7 @@ async function run() {
       process.exit(1);
     }
 
-    const { id, charity_name, contact_email, created_at } = rows[0];
+    const { id, charity_name, federal_ein, contact_email, created_at } = rows[0];
 
     await pool.query(
       `UPDATE charity_applications SET status = 'approved', reviewed_at = NOW() WHERE id = $1`,
@@ -100,11 +104,22 @@ async function run() {
     );
     console.log(`✅ Inserted charity_week_pool entry for application ${id}, week_start ${weekStart}`);
 
+    let charityPortalUrl = null;
+    if (contact_email) {
+      const account = await ensureCharityAccount(pool, { id, charity_name, federal_ein, contact_email });
+      console.log(`✅ Linked application ${id} to charity account ${account.id}`);
+      charityPortalUrl = account.hasPassword
+        ? portalUrl()
+        : portalUrl(await createCharityPasswordToken(pool, account.id, 'password_setup'));
+    }
+
     if (contact_email && emailService && emailService.isEmailConfigured()) {
       const emailResult = await emailService.sendCharityApprovalEmail(
         contact_email,
         charity_name,
-        weekStartLabel
+        weekStartLabel,
+        onboardingUrlFor(id),
+        charityPortalUrl
       );
       if (emailResult.success) {
         console.log(`✅ Approval email sent to ${contact_email}`);
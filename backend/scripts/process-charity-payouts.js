@@ -0,0 +1,193 @@
+#!/usr/bin/env node
+/**
+ * Process Charity Payouts Job
+ *
+ * Daily cron — turns pending transfer_intents (written by finalize-weekly-donations) into Stripe
+ * Transfers to the winning charity's Connect account (lib/charityConnect.js).
+ * Vercel cron schedule: "0 12 * * *" (12:00 UTC daily, after Monday's finalize run).
+ *
+ * Per intent:
+ *   - charity not onboarded yet (transfers capability inactive): stays pending, last_error says why
+ *   - claimed pending → processing (attempts + 1), so overlapping runs never pay the same intent twice;
+ *     rows stuck in processing for STALE_PROCESSING_MINUTES (crashed run) are picked up again
+ *   - a transfer already in the intent's transfer_group (crashed run) is adopted instead of re-sent
+ *   - otherwise stripe.transfers.create with an idempotency key per attempt
+ *   - success → transferred; Stripe error → failed (admin-cs Payouts tab: retry / hold / release)
+ * transfer.* webhooks (processStripeEvent) keep the status in sync afterwards, including reversals.
+ *
+ * Works against stripe-mock or a local stub: set STRIPE_API_BASE (lib/stripeClient.js), or pass any
+ * object with transfers.list / transfers.create to runCharityPayouts.
+ *
+ * Usage: node backend/scripts/process-charity-payouts.js [--limit 50]
+ *    or: GET /api/system/process-charity-payouts (Vercel cron)
+ *
+ * Tables: transfer_intents, charity_applications.
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+const envPath = path.join(__dirname, '..', '..', '.env');
+if (fs.existsSync(envPath)) {
+  require('dotenv').config({ path: envPath });
+} else {
+  require('dotenv').config();
+}
+
+const ws = require('ws');
+const { fetch } = require('undici');
+global.WebSocket = ws;
+global.fetch = fetch;
+
+const { Pool } = require('@neondatabase/serverless');
+
+const { createStripeClient } = require('../lib/stripeClient');
+const { syncTransferIntent } = require('../lib/charityConnect');
+const { REPORTING_CURRENCY } = require('../lib/currency');
+
+const AWAITING_ONBOARDING_ERROR = 'Waiting for the charity to finish Stripe Connect onboarding';
+const STALE_PROCESSING_MINUTES = 60;
+
+function transferGroupFor(intentId) {
+  return `transfer_intent_${intentId}`;
+}
+
+// A transfer from an earlier attempt that reached Stripe but was never recorded (not fully reversed)
+async function findExistingTransfer(stripe, intentId) {
+  const existing = await stripe.transfers.list({ transfer_group: transferGroupFor(intentId), limit: 10 });
+  return (existing.data || []).find(t =>
+    String(t.metadata?.transfer_intent_id) === String(intentId) && t.reversed !== true
+  ) || null;
+}
+
+/**
+ * @param {object} pool
+ * @param {object} stripe
+ * @param {{ limit?: number }} [options]
+ * @returns {Promise<{ success: boolean, error?: string, processed?: number, transferred?: number, failed?: number, awaitingOnboarding?: number }>}
+ */
+async function runCharityPayouts(pool, stripe, { limit = 50 } = {}) {
+  try {
+    const result = await pool.query(`
+      SELECT ti.id, ti.week_start::text AS week_start, ti.amount, ti.last_error,
+             ca.id AS charity_application_id, ca.charity_name,
+             ca.stripe_connect_account_id, ca.connect_transfers_enabled
+      FROM transfer_intents ti
+      JOIN charity_applications ca ON ca.id = ti.charity_application_id
+      WHERE ti.recipient_type = 'charity'
+        AND (ti.status = 'pending'
+          OR (ti.status = 'processing' AND ti.updated_at < NOW() - make_interval(mins => $2)))
+      ORDER BY ti.week_start ASC
+      LIMIT $1
+    `, [limit, STALE_PROCESSING_MINUTES]);
+
+    console.log(`💸 [PAYOUTS] ${result.rows.length} payable transfer intent(s)`);
+
+    let transferred = 0;
+    let failed = 0;
+    let awaitingOnboarding = 0;
+
+    for (const intent of result.rows) {
+      if (!intent.stripe_connect_account_id || !intent.connect_transfers_enabled) {
+        awaitingOnboarding++;
+        if (intent.last_error !== AWAITING_ONBOARDING_ERROR) {
+          await pool.query(
+            `UPDATE transfer_intents SET last_error = $2, updated_at = NOW() WHERE id = $1`,
+            [intent.id, AWAITING_ONBOARDING_ERROR]
+          );
+        }
+        console.log(`⏳ [PAYOUTS] Intent ${intent.id} (${intent.charity_name}): charity not onboarded to Connect yet`);
+        continue;
+      }
+
+      const claim = await pool.query(`
+        UPDATE transfer_intents
+        SET status = 'processing', attempts = attempts + 1, updated_at = NOW()
+        WHERE id = $1
+          AND (status = 'pending'
+            OR (status = 'processing' AND updated_at < NOW() - make_interval(mins => $2)))
+        RETURNING attempts
+      `, [intent.id, STALE_PROCESSING_MINUTES]);
+      if (claim.rows.length === 0) {
+        continue; // Claimed by another run, or held by an admin since the SELECT
+      }
+      const attempt = claim.rows[0].attempts;
+
+      let transfer;
+      try {
+        transfer = await findExistingTransfer(stripe, intent.id);
+        if (transfer) {
+          console.log(`♻️ [PAYOUTS] Intent ${intent.id}: adopting existing transfer ${transfer.id}`);
+        } else {
+          transfer = await stripe.transfers.create({
+            amount: Math.round(parseFloat(intent.amount) * 100),
+            currency: REPORTING_CURRENCY, // The pool is kept in the reporting currency (lib/currency.js)
+            destination: intent.stripe_connect_account_id,
+            transfer_group: transferGroupFor(intent.id),
+            description: `Charity Stream donations for the week of ${intent.week_start}`,
+            metadata: {
+              transfer_intent_id: String(intent.id),
+              week_start: intent.week_start,
+              charity_application_id: String(intent.charity_application_id)
+            }
+          }, {
+            // Per attempt: Stripe replays a stored error for a reused key, so a retry after e.g. an
+            // insufficient balance needs a new one. Duplicates are prevented by findExistingTransfer.
+            idempotencyKey: `${transferGroupFor(intent.id)}_attempt_${attempt}`
+          });
+        }
+      } catch (transferErr) {
+        failed++;
+        console.error(`❌ [PAYOUTS] Intent ${intent.id} failed (attempt ${attempt}):`, transferErr.message);
+        await pool.query(
+          `UPDATE transfer_intents SET status = 'failed', last_error = $2, updated_at = NOW() WHERE id = $1`,
+          [intent.id, String(transferErr.message).slice(0, 1000)]
+        );
+        continue;
+      }
+
+      transferred++;
+      try {
+        await syncTransferIntent(pool, transfer);
+      } catch (syncErr) {
+        // The money has moved; the transfer.created webhook (or the next run, which adopts the transfer) records it
+        console.error(`❌ [PAYOUTS] Intent ${intent.id}: transfer ${transfer.id} sent but not recorded:`, syncErr.message);
+      }
+      console.log(`✅ [PAYOUTS] Intent ${intent.id}: $${parseFloat(intent.amount).toFixed(2)} → ${intent.charity_name} (${transfer.id})`);
+    }
+
+    console.log(`✅ [PAYOUTS] Done: ${transferred} transferred, ${failed} failed, ${awaitingOnboarding} awaiting onboarding`);
+    return { success: true, processed: result.rows.length, transferred, failed, awaitingOnboarding };
+  } catch (err) {
+    console.error('❌ [PAYOUTS] Error:', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+async function main() {
+  const limitIndex = process.argv.indexOf('--limit');
+  const limit = limitIndex !== -1 ? parseInt(process.argv[limitIndex + 1], 10) : 50;
+  if (!Number.isInteger(limit) || limit <= 0) {
+    console.error('❌ --limit must be a positive integer');
+    process.exit(1);
+  }
+
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: true
+  });
+  const stripe = createStripeClient();
+
+  try {
+    const result = await runCharityPayouts(pool, stripe, { limit });
+    process.exitCode = result.success && result.failed === 0 ? 0 : 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  main();
+} else {
+  module.exports = { runCharityPayouts };
+}
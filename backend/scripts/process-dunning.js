@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+/**
+ * Process Dunning Job
+ *
+ * Daily cron — works through the open dunning cases (lib/dunning.js) whose next step is due: retries the failed
+ * advertiser or sponsor invoice, emails the customer, pauses the campaign once the grace period is over and,
+ * on the final day, marks the invoice uncollectible, revokes the campaign and writes the receivable off.
+ * Schedule: DUNNING_RETRY_DAYS (default "1,3,7"), DUNNING_GRACE_DAYS (3), DUNNING_FINAL_DAYS (14).
+ * Vercel cron schedule: "0 14 * * *" (14:00 UTC daily).
+ *
+ * Usage: node backend/scripts/process-dunning.js
+ *    or: GET /api/system/process-dunning (Vercel cron)
+ *
+ * Tables: dunning_cases, advertisers, sponsor_campaigns, sponsor_billing, journal_entries, journal_lines.
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+const envPath = path.join(__dirname, '..', '..', '.env');
+if (fs.existsSync(envPath)) {
+  require('dotenv').config({ path: envPath });
+} else {
+  require('dotenv').config();
+}
+
+const ws = require('ws');
+const { fetch } = require('undici');
+global.WebSocket = ws;
+global.fetch = fetch;
+
+const { Pool } = require('@neondatabase/serverless');
+
+const { createStripeClient } = require('../lib/stripeClient');
+const { dunningSchedule, claimDueDunningCases, processDunningCase } = require('../lib/dunning');
+
+let emailService = null;
+try {
+  emailService = require('../services/emailService');
+} catch (e) {
+  console.warn('⚠️ Email service not available:', e.message);
+}
+
+/**
+ * @param {object} pool
+ * @param {object} [stripe]
+ * @returns {Promise<{ success: boolean, processed: number, recovered: number, retried: number, paused: number,
+ *   writtenOff: number, closed: number, failed: number, errors: Array<{ caseId: number, error: string }> }>}
+ */
+async function runProcessDunning(pool, stripe = createStripeClient()) {
+  const schedule = dunningSchedule();
+  const cases = await claimDueDunningCases(pool);
+
+  const summary = { success: true, processed: 0, recovered: 0, retried: 0, paused: 0, writtenOff: 0, closed: 0, failed: 0, errors: [] };
+  for (const dunningCase of cases) {
+    try {
+      const result = await processDunningCase(pool, stripe, dunningCase, { schedule, emailService });
+      summary.processed++;
+      if (result.outcome === 'recovered') summary.recovered++;
+      else if (result.outcome === 'closed') summary.closed++;
+      else if (result.outcome === 'written_off') summary.writtenOff++;
+      else if (result.outcome === 'retried') summary.retried++;
+      if (result.paused) summary.paused++;
+    } catch (err) {
+      summary.failed++;
+      summary.errors.push({ caseId: dunningCase.id, error: err.message });
+      console.error(`❌ [DUNNING] Case ${dunningCase.id} (invoice ${dunningCase.stripe_invoice_id}) failed:`, err.message);
+    }
+  }
+
+  console.log(`📮 [DUNNING] ${summary.processed} processed: ${summary.recovered} recovered, ${summary.retried} retried, ${summary.paused} paused, ${summary.writtenOff} written off, ${summary.closed} closed, ${summary.failed} failed`);
+  return summary;
+}
+
+async function main() {
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: true
+  });
+
+  try {
+    const result = await runProcessDunning(pool);
+    if (result.failed > 0) process.exitCode = 1;
+  } catch (err) {
+    console.error('❌ [DUNNING] Error:', err.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  main();
+} else {
+  module.exports = { runProcessDunning };
+}
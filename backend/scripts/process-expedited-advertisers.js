@@ -31,6 +31,8 @@ if (fs.existsSync(envPath)) {
 // NOW load email service after env vars are available
 const emailService = require('../services/emailService');
 const { normalizeBareMediaR2Link } = require('../lib/normalizeBareMediaR2Link');
+const { creativeTypeForAdFormat, describeR2Object, registerCreative } = require('../lib/creatives');
+const { processCreativeMedia } = require('../lib/creativeMedia');
 
 console.log('🔗 DATABASE_URL present:', !!process.env.DATABASE_URL);
 
@@ -217,6 +219,98 @@ function parseCliCampaignId() {
   return null;
 }
 
+/**
+ * Activate an approved expedited campaign on its copied media. The advertisers row and its live creatives row
+ * commit together, so a paid campaign is never active without a creative the playlist can serve; loudness,
+ * poster and HLS processing runs after the commit (non-critical: the original MP4 is served until it is ready).
+ * @param {object} client - pool client, not inside a transaction
+ * @param {object} r2 - S3Client for R2
+ * @param {{ advertiser: object, standardizedFilename: string, startDate: Date }} params
+ * @returns {Promise<object>} the creatives row
+ */
+async function activateExpeditedCampaign(client, r2, { advertiser, standardizedFilename, startDate }) {
+  // After approval, media is in charity-stream-videos bucket, so media_r2_link must point there
+  const fullPublicUrl = normalizeBareMediaR2Link(`${R2_PUBLIC_URL}/${standardizedFilename}`);
+  const copied = await describeR2Object(r2, DESTINATION_BUCKET, standardizedFilename);
+
+  let creative;
+  await client.query('BEGIN');
+  try {
+    console.log(`💾 Updating advertiser record with approval status...`);
+    await client.query('SAVEPOINT full_update');
+    try {
+      await client.query(`
+        UPDATE advertisers SET
+          status = 'active',
+          video_filename = $2,
+          media_r2_link = $3,
+          is_paused = false,
+          current_week_start = $4,
+          campaign_start_date = $5,
+          approved_at = COALESCE(approved_at, NOW()),
+          updated_at = NOW()
+        WHERE id = $1
+      `, [advertiser.id, standardizedFilename, fullPublicUrl, startDate, startDate]);
+      console.log(`✅ Advertiser record updated: ${advertiser.company_name} (ID: ${advertiser.id})`);
+    } catch (updateError) {
+      // If some columns don't exist, try a simpler update
+      console.log(`⚠️ Full update failed, trying simplified update...`);
+      console.log(`⚠️ Error: ${updateError.message}`);
+      await client.query('ROLLBACK TO SAVEPOINT full_update');
+      await client.query(`
+        UPDATE advertisers SET 
+          status = 'active',
+          video_filename = $2,
+          media_r2_link = $3,
+          is_paused = false,
+          current_week_start = $4,
+          campaign_start_date = $5,
+          updated_at = NOW() 
+        WHERE id = $1
+      `, [advertiser.id, standardizedFilename, fullPublicUrl, startDate, startDate]);
+      console.log(`✅ Advertiser record updated (simplified): ${advertiser.company_name}`);
+    }
+    console.log(`📹 Media filename set: ${standardizedFilename}`);
+    console.log(`🎉 Updated media_r2_link → ${fullPublicUrl}`);
+
+    // Register the live creative (retires the pending upload in advertiser-media) so it enters the playlist
+    creative = await registerCreative(client, {
+      bucket: DESTINATION_BUCKET,
+      key: standardizedFilename,
+      creativeType: creativeTypeForAdFormat(advertiser.ad_format),
+      status: 'active',
+      advertiserId: advertiser.id,
+      contentType: copied?.contentType || null,
+      sizeBytes: copied?.sizeBytes ?? null,
+      checksum: copied?.checksum ?? null
+    });
+    await client.query('COMMIT');
+    console.log(`🗂️ Creative registered: ${DESTINATION_BUCKET}/${standardizedFilename}`);
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error(`❌ Database update failed:`, error.message);
+    throw error;
+  }
+
+  // Verification: ensure click tracking data saved correctly
+  const verifyResult = await client.query(
+    `SELECT click_tracking, destination_url, status 
+     FROM advertisers WHERE id = $1`,
+    [advertiser.id]
+  );
+  const saved = verifyResult.rows[0] || {};
+  console.log('✅ Verification - Saved data:', {
+    click_tracking: saved.click_tracking,
+    destination_url: saved.destination_url,
+    status: saved.status
+  });
+
+  if (creative.creative_type === 'video') {
+    await processCreativeMedia(client, r2, { creative });
+  }
+  return creative;
+}
+
 async function processExpeditedAdvertisers() {
   let client;
   try {
@@ -243,7 +337,7 @@ async function processExpeditedAdvertisers() {
       `
       SELECT id, company_name, email, website_url, media_r2_link, ad_format, 
              click_tracking, destination_url, cpm_rate, weekly_budget_cap, expedited,
-             is_paused, recurring_weekly, campaign_start_date
+             is_paused, recurring_weekly, campaign_start_date, currency
       FROM advertisers 
       WHERE status = 'pending_review'
         AND expedited = TRUE
@@ -368,95 +462,11 @@ async function processExpeditedAdvertisers() {
           console.log(`✅ Media copied successfully!`);
           console.log(`🔗 New media URL: ${copyResult.destinationUrl}`);
           
-          // Update advertiser record with all required fields
-          console.log(`💾 Updating advertiser record with approval status...`);
-          
-          // Build update query with all required columns
-          // After approval, video is in charity-stream-videos bucket, so media_r2_link must point there
-          // Generate full public URL for the standardized filename in charity-stream-videos bucket
-          const fullPublicUrl = normalizeBareMediaR2Link(`${R2_PUBLIC_URL}/${standardizedFilename}`);
-          
           // Expedited recurring: Monday that started the current billing week (LA).
-          const lastMonday = getBillingWeekStart(new Date());
-          const startDate = lastMonday;
+          const startDate = getBillingWeekStart(new Date());
           console.log(`📅 Expedited campaign: go-live set to billing week Monday (LA): ${startDate.toISOString()}`);
           
-          // Always update media_r2_link and video_filename after approval (both new and replacement)
-          // The video is now in charity-stream-videos, so media_r2_link must point there
-          const updateQuery = `
-            UPDATE advertisers SET
-              status = 'active',
-              video_filename = $2,
-              media_r2_link = $3,
-              is_paused = false,
-              current_week_start = $4,
-              campaign_start_date = $5,
-              approved_at = COALESCE(approved_at, NOW()),
-              updated_at = NOW()
-            WHERE id = $1
-          `;
-          
-          try {
-            await client.query(updateQuery, [advertiser.id, standardizedFilename, fullPublicUrl, startDate, startDate]);
-            console.log(`✅ Advertiser record updated: ${advertiser.company_name} (ID: ${advertiser.id})`);
-            console.log(`📹 Media filename set: ${standardizedFilename}`);
-            console.log(`🎉 Updated media_r2_link → ${fullPublicUrl}`);
-            
-            // Verification: ensure click tracking data saved correctly
-            const verifyResult = await client.query(
-              `SELECT click_tracking, destination_url, status 
-               FROM advertisers WHERE id = $1`,
-              [advertiser.id]
-            );
-            const saved = verifyResult.rows[0] || {};
-            console.log('✅ Verification - Saved data:', {
-              click_tracking: saved.click_tracking,
-              destination_url: saved.destination_url,
-              status: saved.status
-            });
-          } catch (updateError) {
-            // If some columns don't exist, try a simpler update
-            console.log(`⚠️ Full update failed, trying simplified update...`);
-            console.log(`⚠️ Error: ${updateError.message}`);
-            try {
-              // Generate full public URL for the standardized filename in charity-stream-videos bucket
-              const fullPublicUrl = normalizeBareMediaR2Link(`${R2_PUBLIC_URL}/${standardizedFilename}`);
-              
-              // Simplified update - same start date as main path (billing week Monday LA)
-              const simpleUpdateQuery = `
-                UPDATE advertisers SET 
-                  status = 'active',
-                  video_filename = $2,
-                  media_r2_link = $3,
-                  is_paused = false,
-                  current_week_start = $4,
-                  campaign_start_date = $5,
-                  updated_at = NOW() 
-                WHERE id = $1
-              `;
-              
-              await client.query(simpleUpdateQuery, [advertiser.id, standardizedFilename, fullPublicUrl, startDate, startDate]);
-              console.log(`✅ Advertiser record updated (simplified): ${advertiser.company_name}`);
-              console.log(`📹 Video filename set: ${standardizedFilename}`);
-              console.log(`🎉 Updated media_r2_link → ${fullPublicUrl}`);
-              
-              // Verification for simplified path
-              const verifyResult = await client.query(
-                `SELECT click_tracking, destination_url, status 
-                 FROM advertisers WHERE id = $1`,
-                [advertiser.id]
-              );
-              const saved = verifyResult.rows[0] || {};
-              console.log('✅ Verification - Saved data (simplified):', {
-                click_tracking: saved.click_tracking,
-                destination_url: saved.destination_url,
-                status: saved.status
-              });
-            } catch (simpleError) {
-              console.error(`❌ Database update failed:`, simpleError.message);
-              throw simpleError;
-            }
-          }
+          await activateExpeditedCampaign(client, r2Client, { advertiser, standardizedFilename, startDate });
           
           // Send approval email to advertiser
           if (emailService && emailService.isEmailConfigured()) {
@@ -474,7 +484,8 @@ async function processExpeditedAdvertisers() {
                 cpm_rate: advertiser.cpm_rate,
                 weekly_budget_cap: advertiser.weekly_budget_cap,
                 expedited: advertiser.expedited,
-                click_tracking: advertiser.click_tracking
+                click_tracking: advertiser.click_tracking,
+                currency: advertiser.currency
               };
               
               // Use the new approval email function (distinct content)
@@ -518,6 +529,7 @@ async function processExpeditedAdvertisers() {
     if (successCount > 0) {
       console.log('\n📢 IMPORTANT: Media (videos and images) have been copied to charity-stream-videos bucket');
       console.log('📢 Media have been assigned unique filenames to prevent collisions');
+      console.log('📢 Creatives have been registered in the creatives table');
       console.log('📢 Videos will AUTOMATICALLY appear in video playlist rotation');
       console.log('📢 Images will AUTOMATICALLY appear in popup ad rotation');
       console.log('📢 No code changes needed - dynamic discovery is enabled!');
@@ -589,5 +601,5 @@ if (require.main === module) {
   processExpeditedAdvertisers();
 }
 
-module.exports = { processExpeditedAdvertisers, extractMediaFilename };
+module.exports = { processExpeditedAdvertisers, activateExpeditedCampaign, extractMediaFilename };
 
@@ -0,0 +1,225 @@
+#!/usr/bin/env node
+/**
+ * Reconcile Creatives Job
+ *
+ * Daily cron — compares the creatives table with what is actually in R2 and reports drift. Read-only:
+ * nothing in R2 or the database is changed; fix drift by re-running the writer that owns it
+ * (process-approved-advertisers, replace-creative, generate-sponsor-videos-ffmpeg) or by hand.
+ * Vercel cron schedule: "30 9 * * *" (09:30 UTC daily).
+ *
+ * Drift reported:
+ *   - missing_in_r2: registry row (pending_review / active / archived) whose object is gone
+ *   - untracked_in_r2: object in charity-stream-videos or charity-stream-sponsor-generated with no
+ *     pending/active/archived row (advertiser-media is not scanned — it also holds unpaid signups;
+ *     derived files under hls/, normalized/, posters/ and previews/ belong to their creative and are
+ *     not listed individually)
+ *   - hls_manifest_missing: creative marked hls_status = 'ready' whose master playlist is gone
+ *   - checksum_mismatch / size_mismatch: object differs from what was registered
+ *   - campaign_without_creative: live advertiser or sponsor campaign with no active creative
+ *
+ * Usage: node backend/scripts/reconcile-creatives.js [--json]
+ *    or: GET /api/system/reconcile-creatives (Vercel cron)
+ *
+ * Tables: creatives, advertisers, sponsor_campaigns.
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+const envPath = path.join(__dirname, '..', '..', '.env');
+if (fs.existsSync(envPath)) {
+  require('dotenv').config({ path: envPath });
+} else {
+  require('dotenv').config();
+}
+
+const ws = require('ws');
+const { fetch } = require('undici');
+global.WebSocket = ws;
+global.fetch = fetch;
+
+const { Pool } = require('@neondatabase/serverless');
+const { S3Client, ListObjectsV2Command } = require('@aws-sdk/client-s3');
+
+const { CREATIVE_BUCKETS, describeR2Object } = require('../lib/creatives');
+const { HLS_KEY_PREFIX } = require('../lib/hlsPipeline');
+const { NORMALIZED_KEY_PREFIX, POSTER_KEY_PREFIX, PREVIEW_KEY_PREFIX } = require('../lib/creativeMedia');
+
+// Buckets listed in full; every object in them should be registered
+const SCANNED_BUCKETS = [CREATIVE_BUCKETS.live, CREATIVE_BUCKETS.sponsorGenerated];
+
+// Files generated from a registered creative (HLS ladder, normalized rendition, poster, preview)
+const DERIVED_KEY_PREFIXES = [HLS_KEY_PREFIX, NORMALIZED_KEY_PREFIX, POSTER_KEY_PREFIX, PREVIEW_KEY_PREFIX];
+
+function normalizeEtag(etag) {
+  return etag ? String(etag).replace(/"/g, '') : null;
+}
+
+// Paginated listing — ListObjectsV2 returns at most 1000 keys per call
+async function listAllObjects(r2Client, bucket) {
+  const objects = new Map();
+  let continuationToken;
+  do {
+    const page = await r2Client.send(new ListObjectsV2Command({
+      Bucket: bucket,
+      ContinuationToken: continuationToken
+    }));
+    (page.Contents || []).forEach(obj => {
+      objects.set(obj.Key, { sizeBytes: Number(obj.Size), checksum: normalizeEtag(obj.ETag) });
+    });
+    continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+  } while (continuationToken);
+  return objects;
+}
+
+/**
+ * @param {object} pool
+ * @param {object} r2Client
+ * @returns {Promise<{ success: boolean, error?: string, driftCount?: number, drift?: object, checked?: object }>}
+ */
+async function runReconcileCreatives(pool, r2Client) {
+  try {
+    const registry = await pool.query(`
+      SELECT id, r2_bucket, r2_key, status, advertiser_id, sponsor_campaign_id, size_bytes, checksum,
+             hls_status, hls_manifest_key
+      FROM creatives
+      WHERE status IN ('pending_review', 'active', 'archived')
+    `);
+
+    const drift = {
+      missing_in_r2: [],
+      untracked_in_r2: [],
+      checksum_mismatch: [],
+      size_mismatch: [],
+      hls_manifest_missing: [],
+      campaign_without_creative: []
+    };
+
+    const listings = new Map();
+    for (const bucket of SCANNED_BUCKETS) {
+      listings.set(bucket, await listAllObjects(r2Client, bucket));
+    }
+
+    const registeredKeys = new Set();
+    for (const row of registry.rows) {
+      registeredKeys.add(`${row.r2_bucket}/${row.r2_key}`);
+      // advertiser-media rows (pending_review uploads) are checked one by one
+      const object = listings.has(row.r2_bucket)
+        ? (listings.get(row.r2_bucket).get(row.r2_key) || null)
+        : await describeR2Object(r2Client, row.r2_bucket, row.r2_key);
+
+      const ref = {
+        creativeId: row.id,
+        bucket: row.r2_bucket,
+        key: row.r2_key,
+        status: row.status,
+        advertiserId: row.advertiser_id,
+        sponsorCampaignId: row.sponsor_campaign_id
+      };
+
+      if (!object) {
+        drift.missing_in_r2.push(ref);
+        continue;
+      }
+      if (row.checksum && object.checksum && row.checksum !== object.checksum) {
+        drift.checksum_mismatch.push({ ...ref, registered: row.checksum, actual: object.checksum });
+      }
+      if (row.size_bytes != null && object.sizeBytes != null && Number(row.size_bytes) !== object.sizeBytes) {
+        drift.size_mismatch.push({ ...ref, registered: Number(row.size_bytes), actual: object.sizeBytes });
+      }
+      if (row.hls_status === 'ready' && listings.has(row.r2_bucket) &&
+          !listings.get(row.r2_bucket).has(row.hls_manifest_key)) {
+        drift.hls_manifest_missing.push({ ...ref, manifestKey: row.hls_manifest_key });
+      }
+    }
+
+    for (const [bucket, objects] of listings.entries()) {
+      for (const [key, object] of objects.entries()) {
+        const isDerived = DERIVED_KEY_PREFIXES.some(prefix => key.startsWith(prefix));
+        if (!isDerived && !registeredKeys.has(`${bucket}/${key}`)) {
+          drift.untracked_in_r2.push({ bucket, key, sizeBytes: object.sizeBytes });
+        }
+      }
+    }
+
+    const orphanedCampaigns = await pool.query(`
+      SELECT 'advertiser' AS owner_type, a.id::text AS owner_id, a.video_filename AS expected_key
+      FROM advertisers a
+      WHERE a.status = 'active'
+        AND a.video_filename IS NOT NULL
+        AND NOT EXISTS (
+          SELECT 1 FROM creatives c WHERE c.advertiser_id = a.id AND c.status = 'active'
+        )
+      UNION ALL
+      SELECT 'sponsor' AS owner_type, sc.id::text AS owner_id, sc.video_r2_key AS expected_key
+      FROM sponsor_campaigns sc
+      WHERE sc.status = 'active'
+        AND sc.generation_completed = TRUE
+        AND NOT EXISTS (
+          SELECT 1 FROM creatives c WHERE c.sponsor_campaign_id = sc.id AND c.status = 'active'
+        )
+    `);
+    drift.campaign_without_creative = orphanedCampaigns.rows.map(row => ({
+      ownerType: row.owner_type,
+      ownerId: row.owner_id,
+      expectedKey: row.expected_key
+    }));
+
+    const driftCount = Object.values(drift).reduce((sum, list) => sum + list.length, 0);
+    const checked = {
+      registryRows: registry.rows.length,
+      objectsListed: [...listings.values()].reduce((sum, objects) => sum + objects.size, 0)
+    };
+
+    if (driftCount === 0) {
+      console.log(`✅ [RECONCILE CREATIVES] No drift (${checked.registryRows} registry rows, ${checked.objectsListed} R2 objects)`);
+    } else {
+      console.warn(`⚠️ [RECONCILE CREATIVES] ${driftCount} drift item(s):`, Object.fromEntries(
+        Object.entries(drift).map(([kind, list]) => [kind, list.length])
+      ));
+    }
+
+    return { success: true, driftCount, drift, checked };
+  } catch (err) {
+    console.error('❌ [RECONCILE CREATIVES] Error:', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+async function main() {
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: true
+  });
+  const r2Client = new S3Client({
+    region: 'auto',
+    endpoint: 'https://e94c5ecbf3e438d402b3fe2ad136c0fc.r2.cloudflarestorage.com',
+    credentials: {
+      accessKeyId: process.env.R2_ACCESS_KEY_ID || '9eeb17f20eafece615e6b3520faf05c0',
+      secretAccessKey: process.env.R2_SECRET_ACCESS_KEY || '86716ae1188f87ba5c6d0939a2ff19d972a0b53a6edfb0ed9fe5ba17a87cb4a4'
+    }
+  });
+
+  try {
+    const result = await runReconcileCreatives(pool, r2Client);
+    if (!result.success) {
+      process.exitCode = 1;
+      return;
+    }
+    if (process.argv.includes('--json')) {
+      console.log(JSON.stringify(result, null, 2));
+    } else {
+      Object.entries(result.drift).forEach(([kind, list]) => {
+        list.forEach(item => console.log(`   ${kind}: ${JSON.stringify(item)}`));
+      });
+    }
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  main();
+} else {
+  module.exports = { runReconcileCreatives };
+}
@@ -0,0 +1,427 @@
+#!/usr/bin/env node
+/**
+ * Reconcile Stripe Job
+ *
+ * Nightly cron — compares billing state in the database with Stripe and stores a categorized mismatch report
+ * (stripe_reconciliation_runs / stripe_reconciliation_mismatches) for the admin-cs Reconciliation tab.
+ * Report only: nothing in Stripe or the database is changed.
+ * Vercel cron schedule: "0 7 * * *" (07:00 UTC daily).
+ *
+ * Mismatches reported:
+ *   - customer_missing: advertiser_accounts / sponsor_accounts customer that Stripe no longer has (or deleted),
+ *     or a paid advertiser whose account has no customer at all
+ *   - payment_method_missing: advertiser with payment_completed = TRUE whose customer has no default payment method
+ *   - subscription_inactive: live advertiser or sponsor campaign whose Stripe subscription is canceled / gone
+ *   - invoice_voided / invoice_uncollectible / invoice_missing: recurring_billing_records or
+ *     non_recurring_billing_records row whose invoice was voided, written off or deleted
+ *   - invoice_amount_mismatch: billed amount or currency differs from the invoice total
+ *   - invoice_paid_not_in_ledger: paid invoice with no donation_ledger row (invoice.paid never processed)
+ *   - payment_status_mismatch: sponsor_billing / donations marked paid whose payment did not succeed in Stripe,
+ *     or still unpaid although Stripe collected the money
+ *   - payment_amount_mismatch: donation amount or currency differs from what Stripe collected
+ *   - lookup_failed: Stripe returned an error other than "not found" (rate limit, outage); re-checked next run
+ *
+ * Billing records, sponsor_billing and donations are checked for the last --days days (default 35);
+ * live advertiser and sponsor campaigns are always checked.
+ *
+ * Usage: node backend/scripts/reconcile-stripe.js [--days 35] [--json]
+ *    or: GET /api/system/reconcile-stripe (Vercel cron)
+ *
+ * Tables: advertisers, advertiser_accounts, sponsor_campaigns, sponsor_accounts, sponsor_billing,
+ * recurring_billing_records, non_recurring_billing_records, donations, donation_ledger.
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+const envPath = path.join(__dirname, '..', '..', '.env');
+if (fs.existsSync(envPath)) {
+  require('dotenv').config({ path: envPath });
+} else {
+  require('dotenv').config();
+}
+
+const ws = require('ws');
+const { fetch } = require('undici');
+global.WebSocket = ws;
+global.fetch = fetch;
+
+const { Pool } = require('@neondatabase/serverless');
+
+const { createStripeClient } = require('../lib/stripeClient');
+const { formatMoney } = require('../lib/currency');
+
+const DEFAULT_WINDOW_DAYS = 35;
+// Checkout sessions younger than this may still be waiting for their webhook
+const WEBHOOK_GRACE_MINUTES = 60;
+const INACTIVE_SUBSCRIPTION_STATUSES = ['canceled', 'incomplete_expired'];
+
+const MISMATCH_CATEGORIES = [
+  'customer_missing',
+  'payment_method_missing',
+  'subscription_inactive',
+  'invoice_voided',
+  'invoice_uncollectible',
+  'invoice_missing',
+  'invoice_amount_mismatch',
+  'invoice_paid_not_in_ledger',
+  'payment_status_mismatch',
+  'payment_amount_mismatch',
+  'lookup_failed'
+];
+
+function toCents(dollars) {
+  return Math.round(parseFloat(dollars) * 100);
+}
+
+/**
+ * Cached Stripe retrievals. Resolves to the object, or null when Stripe has no such object (or it was
+ * deleted); other Stripe errors are rethrown so the caller reports them as lookup_failed.
+ */
+function createStripeLookup(stripe) {
+  const cache = new Map();
+  const retrieve = (name, resource, id) => {
+    const key = `${name}:${id}`;
+    if (!cache.has(key)) {
+      cache.set(key, resource.retrieve(id).then(
+        obj => (obj && obj.deleted ? null : obj),
+        err => {
+          if (err.code === 'resource_missing' || err.statusCode === 404) return null;
+          cache.delete(key);
+          throw err;
+        }
+      ));
+    }
+    return cache.get(key);
+  };
+  return {
+    customer: id => retrieve('customer', stripe.customers, id),
+    subscription: id => retrieve('subscription', stripe.subscriptions, id),
+    invoice: id => retrieve('invoice', stripe.invoices, id),
+    paymentIntent: id => retrieve('payment_intent', stripe.paymentIntents, id),
+    checkoutSession: id => retrieve('checkout_session', stripe.checkout.sessions, id)
+  };
+}
+
+/**
+ * @param {object} pool
+ * @param {object} stripe
+ * @param {{ days?: number }} [options]
+ * @returns {Promise<{ success: boolean, error?: string, runId?: number, mismatchCount?: number, summary?: object, checked?: object, mismatches?: object[] }>}
+ */
+async function runReconcileStripe(pool, stripe, { days = DEFAULT_WINDOW_DAYS } = {}) {
+  let runId = null;
+  try {
+    const run = await pool.query(
+      `INSERT INTO stripe_reconciliation_runs (window_days) VALUES ($1) RETURNING id`,
+      [days]
+    );
+    runId = run.rows[0].id;
+
+    const lookup = createStripeLookup(stripe);
+    const mismatches = [];
+    const checked = {};
+
+    const report = (category, entityType, entityId, stripeId, message, details = {}) => {
+      mismatches.push({ category, entityType, entityId: String(entityId), stripeId: stripeId || null, message, details });
+    };
+
+    // Runs one Stripe comparison; a Stripe error becomes lookup_failed instead of aborting the run
+    const check = async (entityType, entityId, stripeId, fn) => {
+      try {
+        await fn();
+      } catch (err) {
+        report('lookup_failed', entityType, entityId, stripeId, `Stripe lookup failed: ${err.message}`);
+      }
+    };
+
+    // ── Advertisers ──────────────────────────────────────────
+    const advertisers = await pool.query(`
+      SELECT a.id, a.company_name, a.status, a.stripe_subscription_id,
+             aa.id AS account_id, aa.stripe_customer_id
+      FROM advertisers a
+      LEFT JOIN advertiser_accounts aa ON LOWER(TRIM(aa.email)) = LOWER(TRIM(a.email))
+      WHERE a.payment_completed = TRUE
+        AND a.status IN ('pending_review', 'active')
+    `);
+    checked.advertisers = advertisers.rows.length;
+
+    for (const ad of advertisers.rows) {
+      if (!ad.stripe_customer_id) {
+        report('customer_missing', 'advertiser', ad.id, null,
+          'payment_completed is set but the advertiser account has no Stripe customer',
+          { companyName: ad.company_name, accountId: ad.account_id });
+        continue;
+      }
+      await check('advertiser', ad.id, ad.stripe_customer_id, async () => {
+        const customer = await lookup.customer(ad.stripe_customer_id);
+        if (!customer) {
+          report('customer_missing', 'advertiser', ad.id, ad.stripe_customer_id,
+            'Stripe customer not found or deleted', { companyName: ad.company_name, accountId: ad.account_id });
+          return;
+        }
+        if (!customer.invoice_settings?.default_payment_method) {
+          report('payment_method_missing', 'advertiser', ad.id, ad.stripe_customer_id,
+            'payment_completed is set but the customer has no default payment method',
+            { companyName: ad.company_name, status: ad.status });
+        }
+      });
+
+      if (ad.status === 'active' && ad.stripe_subscription_id) {
+        await check('advertiser', ad.id, ad.stripe_subscription_id, async () => {
+          const subscription = await lookup.subscription(ad.stripe_subscription_id);
+          if (!subscription || INACTIVE_SUBSCRIPTION_STATUSES.includes(subscription.status)) {
+            report('subscription_inactive', 'advertiser', ad.id, ad.stripe_subscription_id,
+              `Campaign is active but its subscription is ${subscription ? subscription.status : 'missing'}`,
+              { companyName: ad.company_name });
+          }
+        });
+      }
+    }
+
+    // ── Advertiser invoices ──────────────────────────────────
+    const billingRecords = await pool.query(`
+      SELECT 'recurring' AS record_type, id, advertiser_id, billing_week_start::text AS week_start,
+             amount_billed, tax_amount, currency, stripe_invoice_id
+      FROM recurring_billing_records
+      WHERE stripe_invoice_id IS NOT NULL AND created_at >= NOW() - make_interval(days => $1)
+      UNION ALL
+      SELECT 'non_recurring' AS record_type, id, advertiser_id, billing_week_start::text AS week_start,
+             amount_billed, tax_amount, currency, stripe_invoice_id
+      FROM non_recurring_billing_records
+      WHERE stripe_invoice_id IS NOT NULL AND created_at >= NOW() - make_interval(days => $1)
+    `, [days]);
+    checked.billingRecords = billingRecords.rows.length;
+
+    const ledgered = billingRecords.rows.length
+      ? await pool.query(`
+          SELECT DISTINCT billing_record_id::text AS invoice_id
+          FROM donation_ledger
+          WHERE reverses_ledger_id IS NULL AND billing_record_id::text = ANY($1::text[])
+        `, [billingRecords.rows.map(r => r.stripe_invoice_id)])
+      : { rows: [] };
+    const ledgeredInvoices = new Set(ledgered.rows.map(r => r.invoice_id));
+
+    for (const record of billingRecords.rows) {
+      const entityType = `${record.record_type}_billing_record`;
+      const details = {
+        advertiserId: record.advertiser_id,
+        weekStart: record.week_start,
+        amountBilled: parseFloat(record.amount_billed),
+        taxAmount: parseFloat(record.tax_amount) || 0,
+        currency: record.currency
+      };
+      await check(entityType, record.id, record.stripe_invoice_id, async () => {
+        const invoice = await lookup.invoice(record.stripe_invoice_id);
+        if (!invoice) {
+          report('invoice_missing', entityType, record.id, record.stripe_invoice_id, 'Invoice not found in Stripe', details);
+          return;
+        }
+        if (invoice.status === 'void') {
+          report('invoice_voided', entityType, record.id, record.stripe_invoice_id, 'Invoice was voided in Stripe', details);
+          return;
+        }
+        if (invoice.status === 'uncollectible') {
+          report('invoice_uncollectible', entityType, record.id, record.stripe_invoice_id, 'Invoice was marked uncollectible', details);
+        }
+        // The invoice total includes the tax line; amount_billed is net of it
+        const expectedCents = toCents(record.amount_billed) + toCents(record.tax_amount || 0);
+        if (invoice.total !== expectedCents || invoice.currency !== record.currency) {
+          report('invoice_amount_mismatch', entityType, record.id, record.stripe_invoice_id,
+            `Billed ${formatMoney(expectedCents / 100, record.currency)} but the invoice total is ${formatMoney(invoice.total / 100, invoice.currency)}`,
+            { ...details, invoiceTotalCents: invoice.total, invoiceCurrency: invoice.currency });
+        }
+        if (invoice.status === 'paid' && !ledgeredInvoices.has(record.stripe_invoice_id)) {
+          report('invoice_paid_not_in_ledger', entityType, record.id, record.stripe_invoice_id,
+            'Invoice is paid but no donation_ledger row was written', details);
+        }
+      });
+    }
+
+    // ── Sponsors ─────────────────────────────────────────────
+    const sponsorCampaigns = await pool.query(`
+      SELECT sc.id, sc.status, sa.id AS sponsor_account_id, sa.organization_legal_name, sa.stripe_customer_id,
+             sb.stripe_subscription_id
+      FROM sponsor_campaigns sc
+      JOIN sponsor_accounts sa ON sa.id = sc.sponsor_account_id
+      LEFT JOIN LATERAL (
+        SELECT stripe_subscription_id FROM sponsor_billing
+        WHERE sponsor_campaign_id = sc.id AND stripe_subscription_id IS NOT NULL
+        ORDER BY created_at DESC LIMIT 1
+      ) sb ON TRUE
+      WHERE sc.status IN ('approved', 'active')
+    `);
+    checked.sponsorCampaigns = sponsorCampaigns.rows.length;
+
+    for (const campaign of sponsorCampaigns.rows) {
+      const details = { organization: campaign.organization_legal_name, status: campaign.status };
+      if (campaign.stripe_customer_id) {
+        await check('sponsor_campaign', campaign.id, campaign.stripe_customer_id, async () => {
+          if (!(await lookup.customer(campaign.stripe_customer_id))) {
+            report('customer_missing', 'sponsor_campaign', campaign.id, campaign.stripe_customer_id,
+              'Stripe customer not found or deleted', { ...details, sponsorAccountId: campaign.sponsor_account_id });
+          }
+        });
+      }
+      if (campaign.stripe_subscription_id) {
+        await check('sponsor_campaign', campaign.id, campaign.stripe_subscription_id, async () => {
+          const subscription = await lookup.subscription(campaign.stripe_subscription_id);
+          if (!subscription || INACTIVE_SUBSCRIPTION_STATUSES.includes(subscription.status)) {
+            report('subscription_inactive', 'sponsor_campaign', campaign.id, campaign.stripe_subscription_id,
+              `Campaign is ${campaign.status} but its subscription is ${subscription ? subscription.status : 'missing'}`, details);
+          }
+        });
+      }
+    }
+
+    const sponsorBilling = await pool.query(`
+      SELECT id, sponsor_campaign_id, stripe_mode, stripe_checkout_session_id, stripe_payment_intent_id,
+             amount_cents, status
+      FROM sponsor_billing
+      WHERE stripe_mode = 'one_time'
+        AND created_at >= NOW() - make_interval(days => $1)
+        AND created_at < NOW() - make_interval(mins => $2)
+    `, [days, WEBHOOK_GRACE_MINUTES]);
+    checked.sponsorBilling = sponsorBilling.rows.length;
+
+    for (const billing of sponsorBilling.rows) {
+      const details = { sponsorCampaignId: billing.sponsor_campaign_id, status: billing.status, amountCents: billing.amount_cents };
+      if (billing.status === 'paid' && billing.stripe_payment_intent_id) {
+        await check('sponsor_billing', billing.id, billing.stripe_payment_intent_id, async () => {
+          const intent = await lookup.paymentIntent(billing.stripe_payment_intent_id);
+          if (!intent || intent.status !== 'succeeded') {
+            report('payment_status_mismatch', 'sponsor_billing', billing.id, billing.stripe_payment_intent_id,
+              `Marked paid but the payment intent is ${intent ? intent.status : 'missing'}`, details);
+          }
+        });
+      } else if (billing.status !== 'paid' && billing.status !== 'canceled' && billing.stripe_checkout_session_id) {
+        await check('sponsor_billing', billing.id, billing.stripe_checkout_session_id, async () => {
+          const session = await lookup.checkoutSession(billing.stripe_checkout_session_id);
+          if (session && session.payment_status === 'paid') {
+            report('payment_status_mismatch', 'sponsor_billing', billing.id, billing.stripe_checkout_session_id,
+              `Stripe collected the payment but the billing row is still ${billing.status}`, details);
+          }
+        });
+      }
+    }
+
+    // ── Viewer donations ─────────────────────────────────────
+    const donations = await pool.query(`
+      SELECT id, amount, currency, status, stripe_session_id, stripe_payment_intent_id
+      FROM donations
+      WHERE created_at >= NOW() - make_interval(days => $1)
+        AND created_at < NOW() - make_interval(mins => $2)
+        AND (stripe_payment_intent_id IS NOT NULL OR stripe_session_id IS NOT NULL)
+    `, [days, WEBHOOK_GRACE_MINUTES]);
+    checked.donations = donations.rows.length;
+
+    for (const donation of donations.rows) {
+      const details = { status: donation.status, amount: donation.amount, currency: donation.currency };
+      // checkout.session.completed stores the session id when the session had no payment intent
+      const intentId = donation.stripe_payment_intent_id && donation.stripe_payment_intent_id.startsWith('pi_')
+        ? donation.stripe_payment_intent_id
+        : null;
+      if (donation.status === 'completed' && intentId) {
+        await check('donation', donation.id, intentId, async () => {
+          const intent = await lookup.paymentIntent(intentId);
+          if (!intent || intent.status !== 'succeeded') {
+            report('payment_status_mismatch', 'donation', donation.id, intentId,
+              `Marked completed but the payment intent is ${intent ? intent.status : 'missing'}`, details);
+          } else if (Math.round(intent.amount_received / 100) !== Number(donation.amount) || intent.currency !== donation.currency) {
+            report('payment_amount_mismatch', 'donation', donation.id, intentId,
+              `Recorded ${formatMoney(donation.amount, donation.currency)} but Stripe collected ${formatMoney(intent.amount_received / 100, intent.currency)}`,
+              { ...details, amountReceivedCents: intent.amount_received, receivedCurrency: intent.currency });
+          }
+        });
+      } else if (donation.status !== 'completed' && donation.stripe_session_id) {
+        await check('donation', donation.id, donation.stripe_session_id, async () => {
+          const session = await lookup.checkoutSession(donation.stripe_session_id);
+          if (session && session.payment_status === 'paid') {
+            report('payment_status_mismatch', 'donation', donation.id, donation.stripe_session_id,
+              `Stripe collected the payment but the donation is still ${donation.status}`, details);
+          }
+        });
+      }
+    }
+
+    // ── Store the report ─────────────────────────────────────
+    const summary = Object.fromEntries(MISMATCH_CATEGORIES.map(category => [
+      category, mismatches.filter(m => m.category === category).length
+    ]).filter(([, count]) => count > 0));
+
+    if (mismatches.length) {
+      await pool.query(`
+        INSERT INTO stripe_reconciliation_mismatches (run_id, category, entity_type, entity_id, stripe_id, message, details)
+        SELECT $1, m.category, m.entity_type, m.entity_id, m.stripe_id, m.message, m.details
+        FROM jsonb_to_recordset($2::jsonb) AS m(category TEXT, entity_type TEXT, entity_id TEXT, stripe_id TEXT, message TEXT, details JSONB)
+      `, [runId, JSON.stringify(mismatches.map(m => ({
+        category: m.category,
+        entity_type: m.entityType,
+        entity_id: m.entityId,
+        stripe_id: m.stripeId,
+        message: m.message,
+        details: m.details
+      })))]);
+    }
+    await pool.query(`
+      UPDATE stripe_reconciliation_runs
+      SET status = 'completed', checked = $2::jsonb, summary = $3::jsonb, mismatch_count = $4, finished_at = NOW()
+      WHERE id = $1
+    `, [runId, JSON.stringify(checked), JSON.stringify(summary), mismatches.length]);
+
+    if (mismatches.length === 0) {
+      console.log(`✅ [RECONCILE STRIPE] Run ${runId}: no mismatches`, checked);
+    } else {
+      console.warn(`⚠️ [RECONCILE STRIPE] Run ${runId}: ${mismatches.length} mismatch(es):`, summary);
+    }
+
+    return { success: true, runId, mismatchCount: mismatches.length, summary, checked, mismatches };
+  } catch (err) {
+    console.error('❌ [RECONCILE STRIPE] Error:', err.message);
+    if (runId) {
+      await pool.query(
+        `UPDATE stripe_reconciliation_runs SET status = 'failed', error = $2, finished_at = NOW() WHERE id = $1`,
+        [runId, String(err.message).slice(0, 1000)]
+      ).catch(() => {});
+    }
+    return { success: false, error: err.message, runId };
+  }
+}
+
+async function main() {
+  const daysIndex = process.argv.indexOf('--days');
+  const days = daysIndex !== -1 ? parseInt(process.argv[daysIndex + 1], 10) : DEFAULT_WINDOW_DAYS;
+  if (!Number.isInteger(days) || days <= 0) {
+    console.error('❌ --days must be a positive integer');
+    process.exit(1);
+  }
+
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: true
+  });
+  const stripe = createStripeClient();
+
+  try {
+    const result = await runReconcileStripe(pool, stripe, { days });
+    if (!result.success) {
+      process.exitCode = 1;
+      return;
+    }
+    if (process.argv.includes('--json')) {
+      console.log(JSON.stringify(result, null, 2));
+    } else {
+      result.mismatches.forEach(m => {
+        console.log(`   ${m.category}: ${m.entityType} ${m.entityId}${m.stripeId ? ` (${m.stripeId})` : ''} — ${m.message}`);
+      });
+    }
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  main();
+} else {
+  module.exports = { runReconcileStripe, MISMATCH_CATEGORIES };
+}
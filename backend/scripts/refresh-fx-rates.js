@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+/**
+ * Refresh FX Rates Job
+ *
+ * Daily cron — stores a snapshot of Stripe's exchange rate for every supported charge currency (lib/currency.js)
+ * in fx_rates. Payments in EUR or GBP are converted into the USD reporting currency with the latest snapshot
+ * when they reach donation_ledger; advertiser invoices keep the snapshot taken when they were finalized.
+ * Vercel cron schedule: "0 6 * * *" (06:00 UTC daily, ahead of the Monday billing run).
+ *
+ * Usage: node backend/scripts/refresh-fx-rates.js
+ *    or: GET /api/system/refresh-fx-rates (Vercel cron)
+ *
+ * Tables: fx_rates.
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+const envPath = path.join(__dirname, '..', '..', '.env');
+if (fs.existsSync(envPath)) {
+  require('dotenv').config({ path: envPath });
+} else {
+  require('dotenv').config();
+}
+
+const ws = require('ws');
+const { fetch } = require('undici');
+global.WebSocket = ws;
+global.fetch = fetch;
+
+const { Pool } = require('@neondatabase/serverless');
+
+const { createStripeClient } = require('../lib/stripeClient');
+const { refreshFxRates } = require('../lib/currency');
+
+/**
+ * @param {object} pool
+ * @param {object} [stripe]
+ * @returns {Promise<{ success: boolean, rates: Array<{ id: number, currency: string, rate: string, captured_at: Date }> }>}
+ */
+async function runRefreshFxRates(pool, stripe = createStripeClient()) {
+  const rates = await refreshFxRates(pool, stripe);
+  for (const snapshot of rates) {
+    console.log(`💱 [FX RATES] 1 ${snapshot.currency.toUpperCase()} = ${parseFloat(snapshot.rate).toFixed(6)} USD (snapshot ${snapshot.id})`);
+  }
+  return { success: true, rates };
+}
+
+async function main() {
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: true
+  });
+
+  try {
+    await runRefreshFxRates(pool);
+  } catch (err) {
+    console.error('❌ [FX RATES] Error:', err.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  main();
+} else {
+  module.exports = { runRefreshFxRates };
+}
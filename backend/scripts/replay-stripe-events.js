@@ -0,0 +1,50 @@
+// Replay Stripe events through the webhook handler (lib/stripeEvents.js)
+// Run with: npm run replay-stripe-events -- --failed [--limit 100]
+//       or: npm run replay-stripe-events -- --event evt_123
+//       or: npm run replay-stripe-events -- --from 2026-01-01 [--to 2026-01-08]
+// --failed (default) re-runs stored events that failed or never committed; --from/--to lists events from
+// Stripe for the range and processes every one not already processed here. Processed events are never re-run.
+
+// Load environment variables
+require('dotenv').config({ path: require('path').join(__dirname, '..', '..', '.env') });
+
+const { processStripeEvent } = require('../server.js');
+const { getPool } = require('../database-postgres');
+const { createStripeClient } = require('../lib/stripeClient');
+const { replayFailedStripeEvents, syncStripeEvents } = require('../lib/stripeEvents');
+
+function argValue(name) {
+  const index = process.argv.indexOf(name);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+}
+
+(async () => {
+  console.log('🔁 ===== REPLAY STRIPE EVENTS =====');
+  console.log('🔁 Time:', new Date().toISOString());
+
+  try {
+    const pool = getPool();
+    const fromArg = argValue('--from');
+    let summary;
+
+    if (fromArg) {
+      const from = new Date(fromArg);
+      const to = argValue('--to') ? new Date(argValue('--to')) : new Date();
+      if (isNaN(from.getTime()) || isNaN(to.getTime()) || from > to) {
+        console.error('❌ --from and --to must be dates with from <= to');
+        process.exit(1);
+      }
+      summary = await syncStripeEvents(pool, createStripeClient(), processStripeEvent, { from, to });
+    } else {
+      const limit = parseInt(argValue('--limit'), 10) || 100;
+      summary = await replayFailedStripeEvents(pool, processStripeEvent, { limit, eventId: argValue('--event') || null });
+    }
+
+    summary.errors.forEach(e => console.error(`❌ ${e.id}: ${e.error}`));
+    console.log('✅ Replay finished:', JSON.stringify({ ...summary, errors: summary.errors.length }));
+    process.exit(summary.failed > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('❌ Replay error:', error);
+    process.exit(1);
+  }
+})();
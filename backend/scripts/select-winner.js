@@ -2,11 +2,15 @@
 /**
  * Manual Winner Selection Script
  *
- * Designates a charity as the weekly winner for a given week.
+ * Designates a charity as the weekly winner for a given week, or splits the week's pool between several
+ * charities: repeat --charity-id with a share after a colon, either a percentage or a fixed USD amount
+ * (lib/charityRecipients.js). Fixed amounts come off the top; percentages share the rest and add up to 100.
  * Usage: node backend/scripts/select-winner.js --charity-id=<uuid> --week-start=YYYY-MM-DD
+ *    or: node backend/scripts/select-winner.js --charity-id=<uuid>:60% --charity-id=<uuid>:40% --week-start=YYYY-MM-DD
+ *    or: node backend/scripts/select-winner.js --charity-id=<uuid>:250usd --charity-id=<uuid>:100% --week-start=YYYY-MM-DD
  *    or: npm run select-winner -- --charity-id=<uuid> --week-start=YYYY-MM-DD
  *
- * Tables: charity_week_winner, charity_applications. Run migration add-charity-week-winner.sql if needed.
+ * Tables: charity_week_winner, charity_week_recipients, charity_applications.
  */
 
 const path = require('path');
@@ -26,6 +30,13 @@ global.fetch = fetch;
 
 const { Pool } = require('@neondatabase/serverless');
 
+const {
+  validateRecipients,
+  recordWeekRecipients,
+  describeShare,
+  formatRecipientNames
+} = require('../lib/charityRecipients');
+
 let emailService = null;
 try {
   emailService = require('../services/emailService');
@@ -35,16 +46,17 @@ try {
 
 function parseArgs() {
   const args = process.argv.slice(2);
-  let charityId = null;
+  const charities = [];
   let weekStart = null;
   for (const a of args) {
     if (a.startsWith('--charity-id=')) {
-      charityId = a.slice('--charity-id='.length).trim();
+      const [charityApplicationId, share] = a.slice('--charity-id='.length).trim().split(':');
+      charities.push({ charityApplicationId, share });
     } else if (a.startsWith('--week-start=')) {
       weekStart = a.slice('--week-start='.length).trim();
     }
   }
-  return { charityId, weekStart };
+  return { charities, weekStart };
 }
 
 function isValidMonday(dateStr) {
@@ -72,18 +84,19 @@ function formatWeekEnd(weekStartStr) {
 }
 
 async function main() {
-  const { charityId, weekStart } = parseArgs();
+  const { charities, weekStart } = parseArgs();
 
   // Step 1 — Validate inputs
-  if (!charityId || !weekStart) {
+  if (charities.length === 0 || !weekStart) {
     console.error('Error: Both --charity-id=<uuid> and --week-start=YYYY-MM-DD are required.');
     process.exit(1);
   }
-  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
-  if (!uuidRegex.test(charityId)) {
-    console.error('Error: --charity-id must be a valid UUID.');
+  const validation = validateRecipients(charities);
+  if (!validation.ok) {
+    console.error(`Error: ${validation.error}.`);
     process.exit(1);
   }
+  const recipients = validation.recipients;
   if (!isValidMonday(weekStart)) {
     console.error('Error: --week-start must be a valid date in YYYY-MM-DD format and must be a Monday.');
     process.exit(1);
@@ -103,60 +116,64 @@ async function main() {
       process.exit(0);
     }
 
-    // Step 3 — Verify charity exists and is approved
+    // Step 3 — Verify every charity exists and is approved
     const charityResult = await pool.query(
       `SELECT id, charity_name, contact_email
        FROM charity_applications
-       WHERE id = $1::uuid AND status = 'approved'`,
-      [charityId]
+       WHERE id = ANY($1::uuid[]) AND status = 'approved'`,
+      [recipients.map(r => r.charityApplicationId)]
     );
-    if (charityResult.rows.length === 0) {
+    const charitiesById = new Map(charityResult.rows.map(row => [row.id, row]));
+    if (recipients.some(r => !charitiesById.has(r.charityApplicationId))) {
       console.error('Error: No approved charity application found with the given charity-id.');
       await pool.end();
       process.exit(1);
     }
-    const charity = charityResult.rows[0];
-    const { charity_name: charityName, contact_email: contactEmail } = charity;
 
-    // Step 4 — Insert the winner
+    // Step 4 — Insert the winner (and the split, if any)
+    const recorded = await recordWeekRecipients(pool, { weekStart, recipients, selectionMethod: 'manual' });
+    if (!recorded.ok) {
+      console.log(`Winner already exists for week ${weekStart}. Exiting.`);
+      await pool.end();
+      process.exit(0);
+    }
     await pool.query(
-      `INSERT INTO charity_week_winner (
-        charity_application_id,
-        week_start,
-        selection_method,
-        notification_sent_at
-      ) VALUES (
-        $1::uuid,
-        $2::date,
-        'manual',
-        NOW()
-      )`,
-      [charityId, weekStart]
+      'UPDATE charity_week_winner SET notification_sent_at = NOW() WHERE week_start = $1::date',
+      [weekStart]
     );
 
-    // Step 5 — Send winner notification email
+    // Step 5 — Send winner notification emails
     const weekEnd = formatWeekEnd(weekStart);
-    let notificationSent = false;
-    if (contactEmail && emailService && emailService.isEmailConfigured()) {
-      const emailResult = await emailService.sendCharityWeekWinnerEmail(
-        contactEmail,
-        charityName,
-        weekStart,
-        weekEnd
+    const isSplit = recipients.length > 1;
+    for (const recipient of recipients) {
+      const { charity_name: charityName, contact_email: contactEmail } = charitiesById.get(recipient.charityApplicationId);
+      const coRecipients = formatRecipientNames(
+        recipients.filter(r => r !== recipient).map(r => charitiesById.get(r.charityApplicationId).charity_name)
       );
-      notificationSent = emailResult.success;
-      if (!emailResult.success) {
-        console.error('❌ Winner notification email failed:', emailResult.error);
-        console.warn('⚠️ Winner was recorded in the database, but the notification may not have been sent.');
+      let notificationSent = false;
+      if (contactEmail && emailService && emailService.isEmailConfigured()) {
+        const emailResult = await emailService.sendCharityWeekWinnerEmail(
+          contactEmail,
+          charityName,
+          weekStart,
+          weekEnd,
+          isSplit ? { share: describeShare(recipient), coRecipients } : {}
+        );
+        notificationSent = emailResult.success;
+        if (!emailResult.success) {
+          console.error('❌ Winner notification email failed:', emailResult.error);
+          console.warn('⚠️ Winner was recorded in the database, but the notification may not have been sent.');
+        }
+      } else {
+        console.warn('⚠️ Email not configured or no contact email; winner notification was not sent.');
       }
-    } else {
-      console.warn('⚠️ Email not configured or no contact email; winner notification was not sent.');
-    }
 
-    // Step 6 — Success output
-    console.log(`Winner selected: ${charityName} for week of ${weekStart}. Notification sent to ${contactEmail}.`);
-    if (!notificationSent && contactEmail) {
-      console.warn('⚠️ The notification may not have been sent. Please verify or resend manually.');
+      // Step 6 — Success output
+      const shareNote = isSplit ? ` (${describeShare(recipient)})` : '';
+      console.log(`Winner selected: ${charityName}${shareNote} for week of ${weekStart}. Notification sent to ${contactEmail}.`);
+      if (!notificationSent && contactEmail) {
+        console.warn('⚠️ The notification may not have been sent. Please verify or resend manually.');
+      }
     }
     await pool.end();
     process.exit(0);
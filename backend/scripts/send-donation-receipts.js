@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+/**
+ * Send Donation Receipts Job
+ *
+ * Daily cron — issues numbered donation receipts (lib/donationReceipts.js) for completed viewer donations and
+ * sponsor payments of the last --days days that have none, copies the week's winning charity and EIN onto
+ * receipts issued before the winner was picked, and emails every receipt that has a charity but was never
+ * sent. Direct donations usually get their receipt with the thank-you email; this job covers sponsors and
+ * donations made before their week's winner was known.
+ * Vercel cron schedule: "0 15 * * *" (15:00 UTC daily).
+ *
+ * Usage: node backend/scripts/send-donation-receipts.js [--days 35]
+ *    or: GET /api/system/send-donation-receipts (Vercel cron)
+ *
+ * Tables: donation_receipts, donations, sponsor_donations, donation_ledger, charity_week_winner,
+ * charity_applications.
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+const envPath = path.join(__dirname, '..', '..', '.env');
+if (fs.existsSync(envPath)) {
+  require('dotenv').config({ path: envPath });
+} else {
+  require('dotenv').config();
+}
+
+const ws = require('ws');
+const { fetch } = require('undici');
+global.WebSocket = ws;
+global.fetch = fetch;
+
+const { Pool } = require('@neondatabase/serverless');
+
+const { issueDonationReceipts, loadUnsentDonationReceipts, emailDonationReceipt } = require('../lib/donationReceipts');
+
+let emailService = null;
+try {
+  emailService = require('../services/emailService');
+} catch (e) {
+  console.warn('⚠️ Email service not available:', e.message);
+}
+
+const DEFAULT_WINDOW_DAYS = 35;
+
+/**
+ * @param {object} pool
+ * @param {{ days?: number }} [options]
+ * @returns {Promise<{ success: boolean, issued: number, sent: number, failed: number, errors: Array<{ receiptNumber: string, error: string }> }>}
+ */
+async function runSendDonationReceipts(pool, { days = DEFAULT_WINDOW_DAYS } = {}) {
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  const issued = await issueDonationReceipts(pool, { since });
+
+  const summary = { success: true, issued: issued.length, sent: 0, failed: 0, errors: [] };
+  if (!emailService || !emailService.isEmailConfigured()) {
+    console.warn('⚠️ [DONATION RECEIPTS] Email not configured; receipts issued but not sent');
+    return summary;
+  }
+
+  const pending = await loadUnsentDonationReceipts(pool, { since });
+
+  for (const receipt of pending) {
+    try {
+      if (await emailDonationReceipt(pool, emailService, receipt)) summary.sent++;
+    } catch (err) {
+      summary.failed++;
+      summary.errors.push({ receiptNumber: receipt.receipt_number, error: err.message });
+      console.error(`❌ [DONATION RECEIPTS] ${receipt.receipt_number} not sent:`, err.message);
+    }
+  }
+
+  console.log(`🧾 [DONATION RECEIPTS] ${summary.issued} issued, ${summary.sent} emailed, ${summary.failed} failed`);
+  return summary;
+}
+
+async function main() {
+  const daysIndex = process.argv.indexOf('--days');
+  const days = daysIndex !== -1 ? parseInt(process.argv[daysIndex + 1], 10) : DEFAULT_WINDOW_DAYS;
+  if (!Number.isInteger(days) || days <= 0) {
+    console.error('❌ --days must be a positive integer');
+    process.exit(1);
+  }
+
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: true
+  });
+
+  try {
+    const result = await runSendDonationReceipts(pool, { days });
+    if (result.failed > 0) process.exitCode = 1;
+  } catch (err) {
+    console.error('❌ [DONATION RECEIPTS] Error:', err.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  main();
+} else {
+  module.exports = { runSendDonationReceipts };
+}
@@ -0,0 +1,182 @@
+#!/usr/bin/env node
+/**
+ * Playlist Scheduler Simulation
+ *
+ * Deterministic harness for lib/playlistSchedulers.js. Takes a set of advertisers and sponsors,
+ * plays N slots per scheduler across a number of simulated viewers (each viewer loops its own
+ * playlist, as the client does) and reports every advertiser's / sponsor's share of slots plus the
+ * longest sponsor streak seen. Same input → same report, so scheduler changes can be compared
+ * before they reach production. No database or R2 access.
+ *
+ * Usage: node backend/scripts/simulate-playlist-schedulers.js [--scheduler all|<name>]
+ *          [--plays 10000] [--viewers 20] [--input scenario.json] [--json]
+ *
+ * Scenario JSON:
+ *   {
+ *     "weekElapsedFraction": 0.5,
+ *     "advertisers": [{ "id": 1, "maxWeeklyImpressions": 10000, "currentWeekImpressions": 7000 }, { "id": 2 }],
+ *     "sponsors": [{ "id": "a1b2...", "tier": "gold" }],
+ *     "options": { "maxSponsorStreak": 2 }
+ *   }
+ * Advertiser goals/counters (maxWeeklyImpressions, or weeklyBudgetCap + cpmRate, and
+ * currentWeekImpressions) go through lib/budgetPacing.js at weekElapsedFraction of the week to give
+ * advertiserWeights; omit the goal for an uncapped campaign. options override DEFAULT_SCHEDULER_OPTIONS.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { buildPlaylist, SCHEDULERS } = require('../lib/playlistSchedulers');
+const { getPacingWeights } = require('../lib/budgetPacing');
+
+// Fixed clock so pacing weights (and therefore reports) do not depend on when the script runs
+const SIMULATION_NOW = new Date('2025-01-08T12:00:00Z');
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+const SAMPLE_SCENARIO = {
+  weekElapsedFraction: 0.5,
+  advertisers: [
+    { id: 101, maxWeeklyImpressions: 20000, currentWeekImpressions: 4000 },   // behind pace
+    { id: 102, maxWeeklyImpressions: 10000, currentWeekImpressions: 5000 },   // on pace
+    { id: 103, weeklyBudgetCap: 100, cpmRate: 20, currentWeekImpressions: 4500 }, // ahead of pace
+    { id: 104 }                                                                // uncapped
+  ],
+  sponsors: [
+    { id: 'sponsor-bronze', tier: 'bronze' },
+    { id: 'sponsor-silver', tier: 'silver' },
+    { id: 'sponsor-gold', tier: 'gold' },
+    { id: 'sponsor-diamond', tier: 'diamond' }
+  ],
+  options: {}
+};
+
+function parseArgs(argv) {
+  const args = { scheduler: 'all', plays: 10000, viewers: 20, input: null, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--json') args.json = true;
+    else if (arg === '--scheduler') args.scheduler = argv[++i];
+    else if (arg === '--plays') args.plays = parseInt(argv[++i], 10);
+    else if (arg === '--viewers') args.viewers = parseInt(argv[++i], 10);
+    else if (arg === '--input') args.input = argv[++i];
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+  if (!Number.isInteger(args.plays) || args.plays <= 0) throw new Error('--plays must be a positive integer');
+  if (!Number.isInteger(args.viewers) || args.viewers <= 0) throw new Error('--viewers must be a positive integer');
+  return args;
+}
+
+// Turn scenario entries into the same item shape /api/videos/playlist builds
+function toPlaylistItems(scenario) {
+  const advertisers = (scenario.advertisers || []).map(a => ({
+    videoId: `advertiser_${a.id}`,
+    advertiserId: a.id,
+    sponsorCampaignId: null
+  }));
+  const sponsors = (scenario.sponsors || []).map(s => ({
+    videoId: `sponsor_${s.id}`,
+    advertiserId: null,
+    sponsorCampaignId: s.id,
+    tier: (s.tier || 'bronze').toLowerCase()
+  }));
+
+  // Shape scenario advertisers like the advertisers rows the playlist endpoint passes to getPacingWeights
+  const elapsed = typeof scenario.weekElapsedFraction === 'number' ? scenario.weekElapsedFraction : 0.5;
+  const weekStart = new Date(SIMULATION_NOW.getTime() - elapsed * WEEK_MS);
+  const advertiserWeights = getPacingWeights((scenario.advertisers || []).map(a => ({
+    id: a.id,
+    recurring_weekly: true,
+    current_week_start: weekStart,
+    current_week_impressions: a.currentWeekImpressions || 0,
+    max_weekly_impressions: typeof a.maxWeeklyImpressions === 'number' ? a.maxWeeklyImpressions : null,
+    weekly_budget_cap: a.weeklyBudgetCap || null,
+    cpm_rate: a.cpmRate || 0,
+    click_tracking: false
+  })), SIMULATION_NOW);
+
+  return { advertisers, sponsors, advertiserWeights };
+}
+
+/**
+ * Simulate one scheduler.
+ * @returns {{ scheduler: string, plays: number, viewers: number, maxSponsorStreak: number, shares: Array<{ videoId: string, kind: string, tier: string|null, slots: number, share: number }> }}
+ */
+function runSimulation(scenario, { scheduler, plays = 10000, viewers = 20 } = {}) {
+  const { advertisers, sponsors, advertiserWeights } = toPlaylistItems(scenario);
+  const slots = new Map();
+  [...advertisers, ...sponsors].forEach(item => slots.set(item.videoId, 0));
+
+  let maxSponsorStreak = 0;
+  let played = 0;
+
+  for (let viewer = 0; viewer < viewers; viewer++) {
+    // Spread plays as evenly as possible across viewers
+    const viewerPlays = Math.floor(plays / viewers) + (viewer < plays % viewers ? 1 : 0);
+    const playlist = buildPlaylist(scheduler, advertisers, sponsors, {
+      ...(scenario.options || {}),
+      advertiserWeights,
+      seed: `viewer:${viewer}`
+    });
+    if (playlist.length === 0) continue;
+
+    let streak = 0;
+    for (let i = 0; i < viewerPlays; i++) {
+      const item = playlist[i % playlist.length];
+      slots.set(item.videoId, slots.get(item.videoId) + 1);
+      streak = item.sponsorCampaignId ? streak + 1 : 0;
+      maxSponsorStreak = Math.max(maxSponsorStreak, streak);
+      played++;
+    }
+  }
+
+  const shares = [...advertisers, ...sponsors].map(item => ({
+    videoId: item.videoId,
+    kind: item.sponsorCampaignId ? 'sponsor' : 'advertiser',
+    tier: item.tier || null,
+    slots: slots.get(item.videoId),
+    share: played > 0 ? slots.get(item.videoId) / played : 0
+  }));
+
+  return { scheduler, plays: played, viewers, maxSponsorStreak, shares };
+}
+
+function printReport(result) {
+  console.log(`\n📊 ${result.scheduler} — ${result.plays} plays across ${result.viewers} viewer(s), max sponsor streak ${result.maxSponsorStreak}`);
+  result.shares.forEach(row => {
+    const label = row.kind === 'sponsor' ? `${row.videoId} (${row.tier})` : row.videoId;
+    console.log(`   ${label.padEnd(36)} ${String(row.slots).padStart(8)}  ${(row.share * 100).toFixed(2).padStart(6)}%`);
+  });
+}
+
+function main() {
+  try {
+    const args = parseArgs(process.argv.slice(2));
+    const scenario = args.input
+      ? JSON.parse(fs.readFileSync(path.resolve(args.input), 'utf8'))
+      : SAMPLE_SCENARIO;
+    const schedulers = args.scheduler === 'all' ? Object.keys(SCHEDULERS) : [args.scheduler];
+
+    const unknown = schedulers.filter(name => !SCHEDULERS[name]);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown scheduler(s): ${unknown.join(', ')} (available: ${Object.keys(SCHEDULERS).join(', ')})`);
+    }
+
+    const results = schedulers.map(scheduler => runSimulation(scenario, { scheduler, plays: args.plays, viewers: args.viewers }));
+
+    if (args.json) {
+      console.log(JSON.stringify(results, null, 2));
+    } else {
+      results.forEach(printReport);
+    }
+    process.exit(0);
+  } catch (err) {
+    console.error('❌ [SIMULATE PLAYLIST] Error:', err.message);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+} else {
+  module.exports = { runSimulation, toPlaylistItems, SAMPLE_SCENARIO };
+}
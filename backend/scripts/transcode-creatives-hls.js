@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+/**
+ * Transcode Creatives to HLS
+ *
+ * Builds the HLS ladder (lib/hlsPipeline.js) for active video creatives that do not have a ready one:
+ * creatives registered before the pipeline existed, and creatives whose transcode failed on approval.
+ * Needs ffmpeg/ffprobe on PATH, so it is run by hand (or from the machine that runs the approval
+ * scripts), not as a Vercel cron.
+ *
+ * Usage: node backend/scripts/transcode-creatives-hls.js [--id <creativeId>] [--limit 20] [--include-processing]
+ *   --include-processing: also pick up rows left in 'processing' by an interrupted run
+ *
+ * Tables: creatives.
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+const envPath = path.join(__dirname, '..', '..', '.env');
+if (fs.existsSync(envPath)) {
+  require('dotenv').config({ path: envPath });
+} else {
+  require('dotenv').config();
+}
+
+const ws = require('ws');
+const { fetch } = require('undici');
+global.WebSocket = ws;
+global.fetch = fetch;
+
+const { Pool } = require('@neondatabase/serverless');
+const { S3Client } = require('@aws-sdk/client-s3');
+
+const { buildCreativeHls } = require('../lib/hlsPipeline');
+
+function parseArgs(argv) {
+  const args = { creativeId: null, limit: 20, includeProcessing: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--id') args.creativeId = parseInt(argv[++i], 10);
+    else if (arg === '--limit') args.limit = parseInt(argv[++i], 10);
+    else if (arg === '--include-processing') args.includeProcessing = true;
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+  if (args.creativeId !== null && !Number.isInteger(args.creativeId)) throw new Error('--id must be an integer');
+  if (!Number.isInteger(args.limit) || args.limit <= 0) throw new Error('--limit must be a positive integer');
+  return args;
+}
+
+/**
+ * @param {object} pool
+ * @param {object} r2Client
+ * @param {{ creativeId?: number|null, limit?: number, includeProcessing?: boolean }} [options]
+ * @returns {Promise<{ success: boolean, error?: string, processed?: number, ready?: number, failed?: number }>}
+ */
+async function runHlsTranscode(pool, r2Client, { creativeId = null, limit = 20, includeProcessing = false } = {}) {
+  try {
+    const result = creativeId !== null
+      ? await pool.query(
+        `SELECT id, r2_bucket, r2_key, normalized_key FROM creatives WHERE id = $1 AND creative_type = 'video'`,
+        [creativeId]
+      )
+      : await pool.query(`
+        SELECT id, r2_bucket, r2_key, normalized_key
+        FROM creatives
+        WHERE creative_type = 'video'
+          AND status = 'active'
+          AND (hls_status IS NULL OR hls_status = 'failed' OR ($2 AND hls_status = 'processing'))
+        ORDER BY id ASC
+        LIMIT $1
+      `, [limit, includeProcessing]);
+
+    if (creativeId !== null && result.rows.length === 0) {
+      return { success: false, error: `Video creative ${creativeId} not found` };
+    }
+
+    console.log(`🎞️  [HLS BACKFILL] ${result.rows.length} creative(s) to transcode`);
+
+    let ready = 0;
+    let failed = 0;
+    // One at a time: each transcode already uses every core
+    for (const creative of result.rows) {
+      const outcome = await buildCreativeHls(pool, r2Client, { creative });
+      if (outcome.success) ready++;
+      else failed++;
+    }
+
+    console.log(`✅ [HLS BACKFILL] Done: ${ready} ready, ${failed} failed`);
+    return { success: true, processed: result.rows.length, ready, failed };
+  } catch (err) {
+    console.error('❌ [HLS BACKFILL] Error:', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error('❌', err.message);
+    process.exit(1);
+  }
+
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: true
+  });
+  const r2Client = new S3Client({
+    region: 'auto',
+    endpoint: 'https://e94c5ecbf3e438d402b3fe2ad136c0fc.r2.cloudflarestorage.com',
+    credentials: {
+      accessKeyId: process.env.R2_ACCESS_KEY_ID || '9eeb17f20eafece615e6b3520faf05c0',
+      secretAccessKey: process.env.R2_SECRET_ACCESS_KEY || '86716ae1188f87ba5c6d0939a2ff19d972a0b53a6edfb0ed9fe5ba17a87cb4a4'
+    }
+  });
+
+  try {
+    const result = await runHlsTranscode(pool, r2Client, args);
+    process.exitCode = result.success && result.failed === 0 ? 0 : 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  main();
+} else {
+  module.exports = { runHlsTranscode };
+}
@@ -48,9 +48,32 @@ const R2_PUBLIC_ASSETS_URL = process.env.R2_PUBLIC_ASSETS_URL || 'https://public
 
 const { initializeDatabase, dbHelpers, getPool: getPoolFromDb } = require('./database-postgres');
 const { normalizeBareMediaR2Link } = require('./lib/normalizeBareMediaR2Link');
+const { issuePlayToken, verifyPlayToken, startPlayToken, redeemPlayToken } = require('./lib/playTokens');
+const { screenTrafficEvent, getFilteredTrafficCounts } = require('./lib/ivtFilter');
+const { buildPlaylist, buildWeightedRotation, isPerViewerScheduler, resolveSchedulerName } = require('./lib/playlistSchedulers');
+const { computeCampaignPacing, getPacingWeights } = require('./lib/budgetPacing');
+const { hasFrequencyCap, getFrequencyCappedAdvertisers, applyImpressionFrequencyCap } = require('./lib/frequencyCaps');
+const { CREATIVE_BUCKETS, creativeTypeForAdFormat, describeR2Object, registerCreative, retireAdvertiserCreatives, archiveAdvertiserCreatives } = require('./lib/creatives');
+const { CREATIVE_VALIDATION_RULES, validateCreative, saveValidationReport, getOrValidateCreative, summarizeFailures } = require('./lib/creativeValidation');
 // Google OAuth - Enabled for production
 const passportConfig = require('./config/google-oauth');
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const { createStripeClient } = require('./lib/stripeClient');
+const { verifyOnboardingToken, onboardingUrlFor, ensureConnectAccount, createOnboardingLink, syncConnectAccount, syncTransferIntent } = require('./lib/charityConnect');
+const { ACCOUNTS, postPoolReceipt, postAdvertiserBilling, postStripeFee, trialBalance } = require('./lib/journal');
+const { applyPaymentReversal, postDisputeFees, updateDisputeStatus, releaseCampaignHold } = require('./lib/paymentReversals');
+const { parseStatementMonth, loadAdvertiserInvoiceDocument, loadAdvertiserStatementDocument, loadSponsorBillingDocument, loadSponsorStatementDocument, renderBillingPdf, buildSponsorCampaignPdf } = require('./lib/billingDocuments');
+const { issueDonationReceipts, listDonationReceipts, loadDonationReceiptDocument, loadDonationStatementDocument, buildDonationReceiptPdf, markDonationReceiptEmailed } = require('./lib/donationReceipts');
+const { REPORTING_CURRENCY, SUPPORTED_CURRENCIES, normalizeCurrency, priceList, minimumCharge, formatMoney, loadFxRate, toReportingAmount } = require('./lib/currency');
+const { validateTaxDetails, taxCustomerFromAccount, taxDetailsResponse, quoteTax, stripeTaxRateFor, invoiceTaxCents, saveTaxDetails } = require('./lib/tax');
+const { ensureWallet, walletResponse, validateTopUpAmount, validateWalletSettings, saveWalletSettings, accountBillingMode, recordWalletUsage, creditWallet, createTopUpCheckoutSession, runAutoReload, reverseWalletTopUp, settleWalletUsage, listWalletTransactions } = require('./lib/advertiserWallet');
+const { normalizePromoCode, publicPromotionResponse, promotionResponse, validatePromotionInput, createPromotion, listPromotions, setPromotionActive, checkPromoCode, redeemPromoCode, grantAccountCredit, quoteCampaignDiscount, recordPromotionApplication } = require('./lib/promotions');
+const { REVOKED_REASON: DUNNING_REVOKED_REASON, dunningSchedule, dunningCaseResponse, dunningEmailLabels, openDunningCase, recoverDunningCase, pauseForDunning, processDunningCase, listDunningCases, loadCampaignDunningCase } = require('./lib/dunning');
+const { tallyCharityVotes, loadCharityBallot, loadViewerVote, castCharityVote } = require('./lib/charityVoting');
+const { WEEK_RECIPIENTS_SQL, validateRecipients, describeShare, formatRecipientNames } = require('./lib/charityRecipients');
+const { causeLabel, normalizeCause, causeOptions, ledgerCauseSql, loadCauseRecipient } = require('./lib/causes');
+const { LOGO_CONTENT_TYPES, REPORT_FILE_CONTENT_TYPES, portalUrl: charityPortalUrl, normalizeEmail: normalizeCharityEmail, createCharityPasswordToken, findCharityPasswordToken, setCharityPassword, validateCharityProfile, validateImpactReport, loadCharityPortal, loadPublishedReports } = require('./lib/charityPortal');
+const { eventDb, recordStripeEvent, markStripeEventIgnored, processStripeEventOnce, replayFailedStripeEvents, syncStripeEvents } = require('./lib/stripeEvents');
+const stripe = createStripeClient();
 try {
   const stripePkg = require('stripe/package.json');
   console.log('[STRIPE API VERSION] stripe-node', stripePkg.version);
@@ -58,9 +81,9 @@ try {
   console.log('[STRIPE API VERSION] unknown');
 }
 
-// Use the single pool from database-postgres.js
+// Use the single pool from database-postgres.js; while a Stripe event is processed, its transaction (lib/stripeEvents.js)
 function getPool() {
-  return getPoolFromDb();
+  return eventDb() || getPoolFromDb();
 }
 
 // Email service - handle missing config gracefully
@@ -539,7 +562,8 @@ const processStripeEvent = async (event) => {
               cpm_rate: subscription.metadata?.cpmRate,
               click_tracking: subscription.metadata?.clickTracking === 'true',
               expedited: subscription.metadata?.expedited === 'true',
-              ad_format: subscription.metadata?.adFormat || 'video'
+              ad_format: subscription.metadata?.adFormat || 'video',
+              currency: subscription.currency
             };
             
           console.log('📧 [WEBHOOK] Campaign summary prepared (compact):', {
@@ -604,6 +628,7 @@ const processStripeEvent = async (event) => {
                                  sessionCompleted.metadata?.campaignType === 'advertiser' &&
                                  sessionCompleted.metadata?.advertiserId;
       const isSponsor = sessionCompleted.metadata?.campaignType === 'sponsor';
+      const isWalletTopUp = sessionCompleted.metadata?.walletTopUp === 'top_up';
       console.log('[SPONSOR DONATION DEBUG] isSponsor:', isSponsor);
 
       if (isDonation && sessionCompleted.mode === 'payment') {
@@ -649,19 +674,24 @@ const processStripeEvent = async (event) => {
               });
 
               const amountCents = sessionCompleted.amount_total;
-              const amountDollars = amountCents / 100;
+              const donationCurrency = normalizeCurrency(sessionCompleted.currency) || REPORTING_CURRENCY;
+              // Pooled in the reporting currency at the latest FX snapshot
+              const converted = await toReportingAmount(pool, amountCents / 100, donationCurrency);
+              const amountDollars = converted.amount;
 
               await pool.query(
                 `UPDATE donations
                  SET status = 'completed',
                      stripe_payment_intent_id = $1,
                      amount = $2,
+                     currency = $4,
                      updated_at = CURRENT_TIMESTAMP
                  WHERE id = $3`,
                 [
                   sessionCompleted.payment_intent || sessionCompleted.id,
                   Math.round(amountCents / 100),
-                  donationId
+                  donationId,
+                  donationCurrency
                 ]
               );
 
@@ -669,11 +699,12 @@ const processStripeEvent = async (event) => {
               const weekStartStr = donationWeekStart.toISOString().slice(0, 10);
 
               const ledgerResult = await pool.query(
-                `INSERT INTO donation_ledger (source_type, source_id, billing_record_id, amount, week_start)
-                 VALUES ('direct_donation', $1, $2, $3, $4::date)
+                `INSERT INTO donation_ledger (source_type, source_id, billing_record_id, amount, week_start, currency, original_amount, fx_rate, fx_rate_id)
+                 VALUES ('direct_donation', $1, $2, $3, $4::date, $5, $6, $7, $8)
                  ON CONFLICT (source_id, week_start) DO NOTHING
                  RETURNING id`,
-                [String(donationId), sessionCompleted.id, amountDollars, weekStartStr]
+                [String(donationId), sessionCompleted.id, amountDollars, weekStartStr,
+                  converted.currency, converted.originalAmount, converted.fxRate, converted.fxRateId]
               );
 
               if (ledgerResult.rows.length > 0) {
@@ -685,6 +716,15 @@ const processStripeEvent = async (event) => {
                        updated_at = NOW()`,
                   [weekStartStr, amountDollars]
                 );
+                await postPoolReceipt(pool, {
+                  entryKey: `viewer_donation:${donationId}`,
+                  sourceType: 'direct_donation',
+                  sourceId: donationId,
+                  poolSource: 'viewer',
+                  amount: amountDollars,
+                  weekStart: weekStartStr,
+                  description: `Direct donation (checkout ${sessionCompleted.id})`
+                });
               }
 
               console.log('âœ… Donation status updated to completed for donation ID:', donationId);
@@ -695,13 +735,32 @@ const processStripeEvent = async (event) => {
                 } else {
                   console.log('ðŸ“§ Sending donation thank you email to:', customerEmail);
 
+                  // Numbered receipt (lib/donationReceipts.js) rides along once the week's charity is known;
+                  // otherwise send-donation-receipts emails it after the winner is picked
+                  let receipt = null;
+                  let receiptPdf = null;
+                  try {
+                    [receipt] = await issueDonationReceipts(pool, { donorType: 'viewer', donationId: parseInt(donationId, 10) });
+                    if (receipt && receipt.charity_name) {
+                      receiptPdf = await buildDonationReceiptPdf(receipt);
+                    }
+                  } catch (receiptErr) {
+                    console.error('❌ [DONATION RECEIPTS] Could not issue receipt for donation', donationId, receiptErr.message);
+                  }
+
                   const emailResult = await emailService.sendDonationThankYouEmail(
                     customerEmail,
                     username,
                     amountCents,
-                    sessionCompleted.customer || null
+                    sessionCompleted.customer || null,
+                    receiptPdf,
+                    donationCurrency
                   );
 
+                  if (emailResult.success && receiptPdf) {
+                    await markDonationReceiptEmailed(pool, receipt.id);
+                  }
+
                   if (emailResult.success) {
                     console.log('âœ… Donation thank you email sent successfully');
                   } else {
@@ -967,19 +1026,21 @@ const processStripeEvent = async (event) => {
                   sponsor_campaign_id,
                   stripe_payment_intent_id,
                   amount_cents,
-                  source
+                  source,
+                  currency
                 )
-                VALUES ($1, $2, $3, $4, 'one_time_payment')
+                VALUES ($1, $2, $3, $4, 'one_time_payment', $5)
                 ON CONFLICT (stripe_payment_intent_id)
                 WHERE stripe_payment_intent_id IS NOT NULL
                 DO NOTHING`,
-                [sponsorAccountId, sponsorCampaignId, paymentIntent.id, amountCents]
+                [sponsorAccountId, sponsorCampaignId, paymentIntent.id, amountCents, paymentIntent.currency || REPORTING_CURRENCY]
               );
               console.log('[SPONSOR DONATION DEBUG] sponsor_donations insert attempted');
               console.log('✅ [SPONSOR] sponsor_donations ledger updated (one_time_payment)');
             } catch (ledgerErr) {
               console.error('[SPONSOR DONATION DEBUG] donation insert failed:', ledgerErr);
-              console.error('❌ [SPONSOR] sponsor_donations insert failed (non-fatal):', ledgerErr.message);
+              console.error('❌ [SPONSOR] sponsor_donations insert failed:', ledgerErr.message);
+              throw new WebhookProcessingError('Failed to record sponsor donation', 500, ledgerErr.message);
             }
             
           } else if (sessionCompleted.mode === 'subscription') {
@@ -1166,6 +1227,35 @@ const processStripeEvent = async (event) => {
           }
           throw new WebhookProcessingError('Failed to process sponsor checkout', 500, sponsorError.message);
         }
+      } else if (isWalletTopUp && sessionCompleted.mode === 'payment') {
+        // Advertiser prepaid balance top-up (lib/advertiserWallet.js); keyed on the PaymentIntent so a refund of
+        // the charge can find it
+        if (sessionCompleted.payment_status !== 'paid') {
+          console.log(`⏭️ [WALLET] Top-up session ${sessionCompleted.id} not paid yet (${sessionCompleted.payment_status})`);
+          break;
+        }
+        const poolTopUp = getPool();
+        if (!poolTopUp) {
+          throw new WebhookProcessingError('Database connection not available', 500);
+        }
+        try {
+          const paymentIntentId = typeof sessionCompleted.payment_intent === 'string'
+            ? sessionCompleted.payment_intent
+            : sessionCompleted.payment_intent?.id;
+          const credit = await creditWallet(poolTopUp, {
+            walletId: parseInt(sessionCompleted.metadata.walletId, 10),
+            kind: 'top_up',
+            amountCents: sessionCompleted.amount_subtotal,
+            taxCents: sessionCompleted.total_details?.amount_tax || 0,
+            stripeObjectId: paymentIntentId || sessionCompleted.id
+          });
+          if (credit.resumedCampaignIds.length > 0) {
+            playlistCache.clear();
+          }
+        } catch (topUpError) {
+          console.error('❌ [WALLET] Error crediting top-up:', topUpError.message);
+          throw new WebhookProcessingError('Failed to credit wallet top-up', 500, topUpError.message);
+        }
       } else {
         console.log('⚠️ checkout.session.completed received but not a donation payment, advertiser setup, or sponsor checkout');
         console.log('⚠️ Session mode:', sessionCompleted.mode);
@@ -1177,6 +1267,35 @@ const processStripeEvent = async (event) => {
       break;
     }
 
+    case 'payment_intent.succeeded': {
+      // Prepaid wallet auto-reloads that did not succeed synchronously (e.g. after authentication); the
+      // synchronous ones were credited by runAutoReload and are skipped by creditWallet's idempotency
+      const paymentIntent = event.data.object;
+      if (paymentIntent.metadata?.walletTopUp !== 'auto_reload') {
+        break;
+      }
+      const poolReload = getPool();
+      if (!poolReload) {
+        throw new WebhookProcessingError('Database connection not available', 500);
+      }
+      try {
+        const credit = await creditWallet(poolReload, {
+          walletId: parseInt(paymentIntent.metadata.walletId, 10),
+          kind: 'auto_reload',
+          amountCents: parseInt(paymentIntent.metadata.netAmountCents, 10),
+          taxCents: parseInt(paymentIntent.metadata.taxCents, 10) || 0,
+          stripeObjectId: paymentIntent.id
+        });
+        if (credit.resumedCampaignIds.length > 0) {
+          playlistCache.clear();
+        }
+      } catch (reloadError) {
+        console.error('❌ [WALLET] Error crediting auto-reload:', reloadError.message);
+        throw new WebhookProcessingError('Failed to credit wallet auto-reload', 500, reloadError.message);
+      }
+      break;
+    }
+
     case 'setup_intent.succeeded': {
       // Handle SetupIntent confirmation (e.g., when user adds new card via Payment Element or Checkout)
       // Dedupe by fingerprint, then auto-set as default only if customer has no default
@@ -1276,7 +1395,7 @@ const processStripeEvent = async (event) => {
 
               const advertiserRowResult = await pool.query(
                 `
-                SELECT email, company_name, ad_format, cpm_rate, weekly_budget_cap, expedited, click_tracking
+                SELECT email, company_name, ad_format, cpm_rate, weekly_budget_cap, expedited, click_tracking, currency
                 FROM advertisers
                 WHERE id = $1
                 `,
@@ -1292,7 +1411,8 @@ const processStripeEvent = async (event) => {
                   cpm_rate: adv.cpm_rate || null,
                   weekly_budget_cap: adv.weekly_budget_cap || null,
                   expedited: adv.expedited || false,
-                  click_tracking: adv.click_tracking || false
+                  click_tracking: adv.click_tracking || false,
+                  currency: adv.currency
                 };
 
                 console.log('📧 [WEBHOOK] Campaign summary prepared from database:', {
@@ -1415,6 +1535,16 @@ const processStripeEvent = async (event) => {
       console.log('[SPONSOR DONATION DEBUG] subscription:', invoice.subscription);
       console.log('[SPONSOR DONATION DEBUG] amount_paid:', invoice.amount_paid);
 
+      // A paid invoice ends its dunning case (lib/dunning.js), before the handlers below un-pause anything
+      try {
+        const poolDunning = getPool();
+        if (poolDunning) {
+          await recoverDunningCase(poolDunning, invoice.id);
+        }
+      } catch (dunningErr) {
+        console.error('❌ [INVOICE.PAID] Dunning recovery error:', dunningErr.message);
+      }
+
       // Normalize: invoice.subscription can be a string ID or an expanded object { id: "sub_..." }
       // Fallback: when trial is ended manually, Stripe may omit invoice.subscription; use first line's subscription
       let rawSub = invoice.subscription;
@@ -1582,7 +1712,10 @@ const processStripeEvent = async (event) => {
         console.log('[SPONSOR DONATION DEBUG] recurring campaign lookup result:', campaignRow);
         if (campaignLookup.rows.length > 0) {
           const { sponsor_campaign_id, sponsor_account_id } = campaignLookup.rows[0];
-          const amountCents = typeof invoice.amount_paid === 'number' ? invoice.amount_paid : parseInt(invoice.amount_paid, 10) || 0;
+          // The sponsorship is the amount paid net of tax; tax is recorded beside it and never pooled
+          const taxCents = invoiceTaxCents(invoice);
+          const paidCents = typeof invoice.amount_paid === 'number' ? invoice.amount_paid : parseInt(invoice.amount_paid, 10) || 0;
+          const amountCents = Math.max(paidCents - taxCents, 0);
           console.log('[SPONSOR DONATION DEBUG] inserting recurring donation (invoice.paid fallback):', {
             sponsor_account_id,
             sponsor_campaign_id,
@@ -1595,13 +1728,15 @@ const processStripeEvent = async (event) => {
                 sponsor_campaign_id,
                 stripe_invoice_id,
                 amount_cents,
-                source
+                tax_cents,
+                source,
+                currency
               )
-              VALUES ($1, $2, $3, $4, 'recurring_invoice')
+              VALUES ($1, $2, $3, $4, $5, 'recurring_invoice', $6)
               ON CONFLICT (stripe_invoice_id)
               WHERE stripe_invoice_id IS NOT NULL
               DO NOTHING`,
-              [sponsor_account_id, sponsor_campaign_id, invoice.id, amountCents]
+              [sponsor_account_id, sponsor_campaign_id, invoice.id, amountCents, taxCents, invoice.currency || REPORTING_CURRENCY]
             );
             console.log('[SPONSOR DONATION DEBUG] recurring donation insert attempted (invoice.paid)');
             console.log('✅ [INVOICE.PAID] sponsor_donations ledger updated (recurring_invoice) — ledger/pool/start_week run in charge.succeeded when subscription context missing here');
@@ -1658,6 +1793,15 @@ const processStripeEvent = async (event) => {
                        updated_at = NOW()`,
                   [weekStart, amountDollars]
                 );
+                await postPoolReceipt(poolPremium, {
+                  entryKey: `viewer_subscription:${invoice.id}:${weekStart}`,
+                  sourceType: 'subscription',
+                  sourceId: invoice.id,
+                  poolSource: 'viewer',
+                  amount: amountDollars,
+                  weekStart,
+                  description: 'Premium subscription invoice paid'
+                });
                 console.log('✅ [INVOICE.PAID] User premium subscription ledger recorded, week_start:', weekStart);
               } else {
                 console.log('ℹ️ [INVOICE.PAID] Invoice already in ledger — pool not double-counted, week_start:', weekStart);
@@ -1666,6 +1810,7 @@ const processStripeEvent = async (event) => {
           }
         } catch (premiumLedgerErr) {
           console.error('❌ [INVOICE.PAID] User premium ledger error:', premiumLedgerErr.message);
+          throw new WebhookProcessingError('Failed to record premium subscription ledger', 500, premiumLedgerErr.message);
         }
       }
 
@@ -1676,6 +1821,7 @@ const processStripeEvent = async (event) => {
         }
       } catch (advLedgerErr) {
         console.error('❌ [INVOICE.PAID] Advertiser recurring ledger error:', advLedgerErr.message);
+        throw new WebhookProcessingError('Failed to record advertiser recurring ledger', 500, advLedgerErr.message);
       }
 
       try {
@@ -1685,6 +1831,7 @@ const processStripeEvent = async (event) => {
         }
       } catch (nrAdvLedgerErr) {
         console.error('❌ [INVOICE.PAID] Advertiser non-recurring ledger error:', nrAdvLedgerErr.message);
+        throw new WebhookProcessingError('Failed to record advertiser non-recurring ledger', 500, nrAdvLedgerErr.message);
       }
 
       // Advertiser billing: log card used for verification (no billing behavior change)
@@ -1717,8 +1864,10 @@ const processStripeEvent = async (event) => {
     }
 
     case 'invoice.payment_failed': {
-      // Handle Stripe subscription payment failures for recurring sponsors
-      // Updates sponsor_billing.status to 'failed' so unpaid sponsors are not eligible to run
+      // Handle payment failures for advertiser invoices and recurring sponsor subscriptions
+      // Opens a dunning case (lib/dunning.js): the daily process-dunning cron retries the invoice and pauses
+      // the campaign once the grace period is over. Stripe sends this event again for every failed retry;
+      // only the first one opens the case and sends the payment failed email
       const invoice = event.data.object;
       console.log('❌ [WEBHOOK] invoice.payment_failed received');
       console.log('❌ Invoice ID:', invoice.id);
@@ -1836,20 +1985,38 @@ const processStripeEvent = async (event) => {
             const pool = getPool();
             if (pool) {
               const parsedId = parseInt(advertiserIdStr, 10);
-              // Recurring campaigns are paused immediately to stop serving ads
+              // Recurring campaigns keep serving through the dunning grace period, then the cron pauses them
               // Non-recurring campaigns are already archived — just flag for admin visibility
-              const pauseClause = campaignType === 'recurring' ? ', is_paused = TRUE' : '';
               const advResult = await pool.query(
-                `UPDATE advertisers SET billing_failed = TRUE${pauseClause} WHERE id = $1 RETURNING email, company_name`,
+                `UPDATE advertisers SET billing_failed = TRUE WHERE id = $1 RETURNING email, company_name`,
                 [parsedId]
               );
-              console.log(`❌ [INVOICE.PAYMENT_FAILED] Marked advertiser ${advertiserIdStr} billing_failed = TRUE${campaignType === 'recurring' ? ' and is_paused = TRUE' : ''}`);
+              console.log(`❌ [INVOICE.PAYMENT_FAILED] Marked advertiser ${advertiserIdStr} billing_failed = TRUE`);
               if (advResult.rows.length > 0) {
-                const { email: advEmail, company_name } = advResult.rows[0];
-                try {
-                  await emailService.sendAdvertiserPaymentFailedEmail(advEmail, company_name);
-                } catch (emailErr) {
-                  console.error('❌ [INVOICE.PAYMENT_FAILED] Error sending advertiser payment failed email:', emailErr.message);
+                const schedule = dunningSchedule();
+                const { opened, dunningCase } = await openDunningCase(pool, {
+                  subjectType: 'advertiser',
+                  advertiserId: parsedId,
+                  invoice,
+                  schedule
+                });
+                if (opened) {
+                  console.log(`❌ [INVOICE.PAYMENT_FAILED] Opened dunning case ${dunningCase.id} for advertiser ${advertiserIdStr}`);
+                  // No grace period configured: pause straight away
+                  if (schedule.graceDays === 0) {
+                    await pauseForDunning(pool, dunningCase);
+                    playlistCache.clear();
+                  }
+                  const { email: advEmail, company_name } = advResult.rows[0];
+                  try {
+                    const pdf = await buildAdvertiserInvoicePdf(pool, invoice, '❌ [INVOICE.PAYMENT_FAILED]');
+                    const dunning = schedule.graceDays > 0 ? dunningEmailLabels(dunningCase, schedule) : null;
+                    await emailService.sendAdvertiserPaymentFailedEmail(advEmail, company_name, pdf, dunning);
+                  } catch (emailErr) {
+                    console.error('❌ [INVOICE.PAYMENT_FAILED] Error sending advertiser payment failed email:', emailErr.message);
+                  }
+                } else if (dunningCase) {
+                  console.log(`ℹ️ [INVOICE.PAYMENT_FAILED] Dunning case ${dunningCase.id} already open for invoice ${invoice.id} (retry failed)`);
                 }
               }
             }
@@ -1872,75 +2039,58 @@ const processStripeEvent = async (event) => {
           break;
         }
         
-        // Update sponsor_billing.status to 'failed'
-        // Idempotent: safe to run multiple times regardless of current status
-        // Status-agnostic: updates from any status (trialing, paid, etc.) to 'failed'
-        const updateResult = await pool.query(
-          `UPDATE sponsor_billing
-           SET status = 'failed'
-           WHERE stripe_subscription_id = $1`,
+        const billingResult = await pool.query(
+          `SELECT sb.id, sb.status, sb.sponsor_campaign_id, sa.contact_email, sa.organization_legal_name
+           FROM sponsor_billing sb
+           JOIN sponsor_campaigns sc ON sc.id = sb.sponsor_campaign_id
+           JOIN sponsor_accounts sa ON sa.id = sc.sponsor_account_id
+           WHERE sb.stripe_subscription_id = $1
+           LIMIT 1`,
           [subscriptionId]
         );
 
-        if (updateResult.rowCount > 0) {
-          console.log('✅ [INVOICE.PAYMENT_FAILED] Marked sponsor billing as failed');
-          console.log('✅ [INVOICE.PAYMENT_FAILED] Subscription ID:', subscriptionId);
-          console.log('✅ [INVOICE.PAYMENT_FAILED] Invoice ID:', invoice.id);
-          console.log('✅ [INVOICE.PAYMENT_FAILED] Resolution path:', resolutionPath);
+        if (billingResult.rows.length === 0) {
+          console.warn('⚠️ [INVOICE.PAYMENT_FAILED] No sponsor_billing row found for subscription:', subscriptionId);
+          console.warn('⚠️ [INVOICE.PAYMENT_FAILED] This invoice may be for a non-sponsor subscription (advertiser or other)');
+          break;
+        }
 
-          // Mark campaign as payment_failed and send notification email
-          const campaignResult = await pool.query(
-            `UPDATE sponsor_campaigns sc
-             SET status = 'payment_failed', updated_at = NOW()
-             FROM sponsor_billing sb
-             WHERE sb.stripe_subscription_id = $1
-               AND sc.id = sb.sponsor_campaign_id
-               AND sc.status NOT IN ('payment_failed', 'rejected', 'cancelled')
-             RETURNING sc.id, sc.sponsor_account_id`,
-            [subscriptionId]
-          );
-          if (campaignResult.rowCount > 0) {
-            console.log('❌ [INVOICE.PAYMENT_FAILED] Marked sponsor_campaigns.status = payment_failed for campaign(s):', campaignResult.rows.map(r => r.id));
-            // Send failure notification email
-            if (emailService && emailService.isEmailConfigured()) {
-              try {
-                const sponsorAccountId = campaignResult.rows[0].sponsor_account_id;
-                const sponsorRow = await pool.query(
-                  `SELECT contact_email, organization_legal_name FROM sponsor_accounts WHERE id = $1`,
-                  [sponsorAccountId]
-                );
-                if (sponsorRow.rows.length > 0) {
-                  const { contact_email, organization_legal_name } = sponsorRow.rows[0];
-                  await emailService.sendSponsorPaymentFailedEmail(contact_email, organization_legal_name);
-                }
-              } catch (emailErr) {
-                console.error('❌ [INVOICE.PAYMENT_FAILED] Error sending sponsor payment failed email:', emailErr.message);
-              }
-            }
-          }
-        } else {
-          // Check if sponsor_billing row exists for this subscription
-          const checkResult = await pool.query(
-            `SELECT id, status, sponsor_campaign_id
-             FROM sponsor_billing
-             WHERE stripe_subscription_id = $1`,
-            [subscriptionId]
-          );
+        const billing = billingResult.rows[0];
+        // The sponsorship keeps running (sponsor_billing stays 'paid') through the dunning grace period;
+        // the cron then marks sponsor_billing 'failed' and the campaign 'payment_failed'
+        const schedule = dunningSchedule();
+        const { opened, dunningCase } = await openDunningCase(pool, {
+          subjectType: 'sponsor',
+          sponsorCampaignId: billing.sponsor_campaign_id,
+          invoice,
+          schedule
+        });
+        if (!opened) {
+          console.log('ℹ️ [INVOICE.PAYMENT_FAILED] Dunning case already open for invoice (retry failed, idempotent - safe to ignore)');
+          console.log('ℹ️ [INVOICE.PAYMENT_FAILED] Case ID:', dunningCase?.id, 'Campaign ID:', billing.sponsor_campaign_id);
+          break;
+        }
+        console.log('❌ [INVOICE.PAYMENT_FAILED] Opened dunning case', dunningCase.id, 'for sponsor campaign', billing.sponsor_campaign_id);
+        console.log('❌ [INVOICE.PAYMENT_FAILED] Subscription ID:', subscriptionId, 'Invoice ID:', invoice.id);
+        console.log('❌ [INVOICE.PAYMENT_FAILED] Resolution path:', resolutionPath);
 
-          if (checkResult.rows.length === 0) {
-            console.warn('⚠️ [INVOICE.PAYMENT_FAILED] No sponsor_billing row found for subscription:', subscriptionId);
-            console.warn('⚠️ [INVOICE.PAYMENT_FAILED] This invoice may be for a non-sponsor subscription (advertiser or other)');
-          } else {
-            const billing = checkResult.rows[0];
-            if (billing.status === 'failed') {
-              console.log('ℹ️ [INVOICE.PAYMENT_FAILED] Billing already marked as failed (idempotent - safe to ignore)');
-              console.log('ℹ️ [INVOICE.PAYMENT_FAILED] Billing ID:', billing.id, 'Campaign ID:', billing.sponsor_campaign_id);
-            } else {
-              // This shouldn't happen if the UPDATE worked, but log it for visibility
-              console.warn('⚠️ [INVOICE.PAYMENT_FAILED] Billing found but status not updated');
-              console.warn('⚠️ [INVOICE.PAYMENT_FAILED] Current status:', billing.status);
-              console.warn('⚠️ [INVOICE.PAYMENT_FAILED] Billing ID:', billing.id, 'Campaign ID:', billing.sponsor_campaign_id);
-            }
+        // No grace period configured: pause straight away
+        if (schedule.graceDays === 0) {
+          await pauseForDunning(pool, dunningCase);
+          playlistCache.clear();
+          console.log('❌ [INVOICE.PAYMENT_FAILED] Marked sponsor billing failed and campaign payment_failed:', billing.sponsor_campaign_id);
+        }
+
+        if (emailService && emailService.isEmailConfigured() && billing.contact_email) {
+          try {
+            const pdf = await buildSponsorCampaignPdf(pool, billing.sponsor_campaign_id).catch(pdfErr => {
+              console.error('❌ [INVOICE.PAYMENT_FAILED] Could not build sponsor billing PDF:', pdfErr.message);
+              return null;
+            });
+            const dunning = schedule.graceDays > 0 ? dunningEmailLabels(dunningCase, schedule) : null;
+            await emailService.sendSponsorPaymentFailedEmail(billing.contact_email, billing.organization_legal_name, pdf, dunning);
+          } catch (emailErr) {
+            console.error('❌ [INVOICE.PAYMENT_FAILED] Error sending sponsor payment failed email:', emailErr.message);
           }
         }
       } catch (invoiceError) {
@@ -1985,6 +2135,14 @@ const processStripeEvent = async (event) => {
       const invSucceeded = event.data.object;
       console.log('💳 [WEBHOOK] invoice.payment_succeeded received');
       console.log('💳 Invoice ID:', invSucceeded.id);
+      try {
+        const poolDunning = getPool();
+        if (poolDunning) {
+          await recoverDunningCase(poolDunning, invSucceeded.id);
+        }
+      } catch (dunningErr) {
+        console.error('❌ [INVOICE.PAYMENT_SUCCEEDED] Dunning recovery error:', dunningErr.message);
+      }
       try {
         const poolPs = getPool();
         if (poolPs) {
@@ -1992,6 +2150,7 @@ const processStripeEvent = async (event) => {
         }
       } catch (advLedgerErr) {
         console.error('❌ [INVOICE.PAYMENT_SUCCEEDED] Advertiser recurring ledger error:', advLedgerErr.message);
+        throw new WebhookProcessingError('Failed to record advertiser recurring ledger', 500, advLedgerErr.message);
       }
       try {
         const poolNrPs = getPool();
@@ -2000,6 +2159,7 @@ const processStripeEvent = async (event) => {
         }
       } catch (nrAdvLedgerErr) {
         console.error('❌ [INVOICE.PAYMENT_SUCCEEDED] Advertiser non-recurring ledger error:', nrAdvLedgerErr.message);
+        throw new WebhookProcessingError('Failed to record advertiser non-recurring ledger', 500, nrAdvLedgerErr.message);
       }
       break;
     }
@@ -2007,6 +2167,14 @@ const processStripeEvent = async (event) => {
     case 'charge.succeeded': {
       // Fallback: when invoice.paid has no subscription linkage, Charge always links to invoice/subscription
       const charge = event.data.object;
+      try {
+        const poolFee = getPool();
+        if (poolFee) {
+          await postStripeFee(poolFee, stripe, charge);
+        }
+      } catch (feeErr) {
+        console.error('❌ [CHARGE.SUCCEEDED] Stripe fee journal error:', feeErr.message);
+      }
       if (charge.payment_method_details?.card) {
         const card = charge.payment_method_details.card;
         console.log('💳 [DEBUG] Charge used card:', {
@@ -2084,38 +2252,46 @@ const processStripeEvent = async (event) => {
             if (campaignLookup.rows.length > 0) {
               const { sponsor_campaign_id, sponsor_account_id } = campaignLookup.rows[0];
               const invoiceId = typeof expandedCharge.invoice === 'string' ? expandedCharge.invoice : expandedCharge.invoice?.id;
-              const amountCents = typeof expandedCharge.amount === 'number' ? expandedCharge.amount : parseInt(expandedCharge.amount, 10) || 0;
-              if (invoiceId && amountCents >= 0) {
+              const chargedCents = typeof expandedCharge.amount === 'number' ? expandedCharge.amount : parseInt(expandedCharge.amount, 10) || 0;
+              const chargeCurrency = normalizeCurrency(expandedCharge.currency) || REPORTING_CURRENCY;
+
+              // The invoice gives the billing period and the tax included in the charge (only the net amount is pooled)
+              let fullInvoice = null;
+              if (invoiceId) {
+                try {
+                  fullInvoice = await stripe.invoices.retrieve(invoiceId);
+                } catch (invoiceErr) {
+                  console.warn('[CHARGE.SUCCEEDED] Could not retrieve invoice for period_start / tax:', invoiceErr.message);
+                }
+              }
+              const taxCents = fullInvoice ? invoiceTaxCents(fullInvoice) : 0;
+              const amountCents = Math.max(chargedCents - taxCents, 0);
+              if (invoiceId && fullInvoice) {
                 await pool.query(
                   `INSERT INTO sponsor_donations (
                     sponsor_account_id,
                     sponsor_campaign_id,
                     stripe_invoice_id,
                     amount_cents,
-                    source
+                    tax_cents,
+                    source,
+                    currency
                   )
-                  VALUES ($1, $2, $3, $4, 'recurring_invoice')
+                  VALUES ($1, $2, $3, $4, $5, 'recurring_invoice', $6)
                   ON CONFLICT (stripe_invoice_id)
                   WHERE stripe_invoice_id IS NOT NULL
                   DO NOTHING`,
-                  [sponsor_account_id, sponsor_campaign_id, invoiceId, amountCents]
+                  [sponsor_account_id, sponsor_campaign_id, invoiceId, amountCents, taxCents, chargeCurrency]
                 );
                 console.log('[SPONSOR DONATION DEBUG] recurring donation inserted via charge.succeeded');
 
                 // donation_ledger + weekly_donation_pool + start_week (invoice.paid often lacks subscription; charge.succeeded has it)
-                let periodStart = null;
-                try {
-                  const fullInvoice = await stripe.invoices.retrieve(invoiceId);
-                  periodStart = fullInvoice.lines?.data?.[0]?.period?.start ?? null;
-                } catch (invoiceErr) {
-                  console.warn('[CHARGE.SUCCEEDED] Could not retrieve invoice for period_start:', invoiceErr.message);
-                }
+                const periodStart = fullInvoice.lines?.data?.[0]?.period?.start ?? null;
 
                 if (periodStart) {
                   const periodStartSec = typeof periodStart === 'number' ? periodStart : parseInt(periodStart, 10);
                   const weekStart = getBillingWeekStart(new Date(periodStartSec * 1000));
                   const weekStartStr = weekStart.toISOString().slice(0, 10);
-                  const amountDollars = amountCents / 100;
 
                   try {
                     const donRow = await pool.query(
@@ -2125,12 +2301,15 @@ const processStripeEvent = async (event) => {
                     const donationId = donRow.rows[0]?.id;
 
                     if (donationId) {
+                      const converted = await toReportingAmount(pool, amountCents / 100, chargeCurrency);
+                      const amountDollars = converted.amount;
                       const ledgerResult = await pool.query(
-                        `INSERT INTO donation_ledger (source_type, source_id, billing_record_id, amount, week_start)
-                         VALUES ('sponsor', $1, $2, $3, $4::date)
+                        `INSERT INTO donation_ledger (source_type, source_id, billing_record_id, amount, week_start, currency, original_amount, fx_rate, fx_rate_id, cause_category)
+                         VALUES ('sponsor', $1, $2, $3, $4::date, $5, $6, $7, $8, ${ledgerCauseSql('sponsor')})
                          ON CONFLICT (source_id, week_start) DO NOTHING
                          RETURNING id`,
-                        [sponsor_campaign_id, String(donationId), amountDollars, weekStartStr]
+                        [sponsor_campaign_id, String(donationId), amountDollars, weekStartStr,
+                          converted.currency, converted.originalAmount, converted.fxRate, converted.fxRateId]
                       );
 
                       if (ledgerResult.rows.length === 0) {
@@ -2144,7 +2323,17 @@ const processStripeEvent = async (event) => {
                                updated_at = NOW()`,
                           [weekStartStr, amountDollars]
                         );
+                        await postPoolReceipt(pool, {
+                          entryKey: `sponsor_donation:${donationId}`,
+                          sourceType: 'sponsor',
+                          sourceId: sponsor_campaign_id,
+                          poolSource: 'sponsor',
+                          amount: amountDollars,
+                          weekStart: weekStartStr,
+                          description: `Recurring sponsor invoice ${invoiceId}`
+                        });
                         console.log(`[CHARGE.SUCCEEDED] Donation ledger and pool updated for recurring sponsor campaign ${sponsor_campaign_id} week ${weekStartStr}`);
+                        await sendSponsorCampaignReceipt(pool, sponsor_campaign_id, converted.originalAmount, '[CHARGE.SUCCEEDED]');
                       }
                     }
 
@@ -2157,6 +2346,7 @@ const processStripeEvent = async (event) => {
                     );
                   } catch (ledgerErr) {
                     console.error('[CHARGE.SUCCEEDED] donation_ledger/weekly_donation_pool/start_week error:', ledgerErr.message);
+                    throw new WebhookProcessingError('Failed to record recurring sponsor ledger', 500, ledgerErr.message);
                   }
                 } else {
                   console.warn(`[CHARGE.SUCCEEDED] No period_start found for invoice ${invoiceId}, skipping donation ledger insert.`);
@@ -2165,10 +2355,181 @@ const processStripeEvent = async (event) => {
             }
           } catch (donationErr) {
             console.error('[SPONSOR DONATION DEBUG] recurring donation insert failed in charge.succeeded:', donationErr.message);
+            if (donationErr instanceof WebhookProcessingError) {
+              throw donationErr;
+            }
           }
         }
       } catch (chargeErr) {
         console.error('❌ [CHARGE.SUCCEEDED] Error:', chargeErr.message);
+        if (chargeErr instanceof WebhookProcessingError) {
+          throw chargeErr;
+        }
+      }
+      break;
+    }
+
+    case 'charge.refunded': {
+      // Take each refund back out of the pool week the payment landed in (lib/paymentReversals.js)
+      const refundedCharge = event.data.object;
+      const poolRefund = getPool();
+      if (!poolRefund) {
+        throw new WebhookProcessingError('Database connection not available', 500);
+      }
+      try {
+        const refunds = await stripe.refunds.list({ charge: refundedCharge.id, limit: 100 });
+        let appliedCount = 0;
+        for (const refund of refunds.data) {
+          if (refund.status === 'failed' || refund.status === 'canceled') {
+            continue;
+          }
+          const result = await applyPaymentReversal(poolRefund, {
+            kind: 'refund',
+            stripeObjectId: refund.id,
+            charge: refundedCharge,
+            amountCents: refund.amount,
+            stripeStatus: refund.status
+          });
+          if (result.applied) {
+            appliedCount++;
+            continue;
+          }
+          if (result.reason === 'no_ledger_row' && refundedCharge.payment_intent) {
+            // Not a pooled payment: it may be a prepaid wallet top-up, which comes off the balance instead
+            const walletRefund = await reverseWalletTopUp(poolRefund, {
+              paymentIntentId: typeof refundedCharge.payment_intent === 'string' ? refundedCharge.payment_intent : refundedCharge.payment_intent.id,
+              refundId: refund.id,
+              amountCents: refund.amount,
+              chargeAmountCents: refundedCharge.amount
+            });
+            if (walletRefund.applied) {
+              appliedCount++;
+              continue;
+            }
+          }
+          if (result.reason !== 'already_applied') {
+            console.log(`⏭️ [CHARGE.REFUNDED] ${refund.id} not applied: ${result.reason}`);
+          }
+        }
+        if (appliedCount > 0) {
+          playlistCache.clear();
+        }
+      } catch (refundErr) {
+        console.error('❌ [CHARGE.REFUNDED] Error:', refundErr.message);
+        throw new WebhookProcessingError('Failed to apply refund', 500, refundErr.message);
+      }
+      break;
+    }
+
+    case 'charge.dispute.created': {
+      const dispute = event.data.object;
+      // Inquiries (warning_*) do not withdraw funds; only a real chargeback leaves the pool
+      if (String(dispute.status).startsWith('warning_')) {
+        console.log(`⏭️ [DISPUTE] ${dispute.id} is an inquiry (${dispute.status}), pool unchanged`);
+        break;
+      }
+      const poolDispute = getPool();
+      if (!poolDispute) {
+        throw new WebhookProcessingError('Database connection not available', 500);
+      }
+      try {
+        const disputedCharge = await stripe.charges.retrieve(
+          typeof dispute.charge === 'string' ? dispute.charge : dispute.charge.id
+        );
+        const result = await applyPaymentReversal(poolDispute, {
+          kind: 'dispute',
+          stripeObjectId: dispute.id,
+          charge: disputedCharge,
+          amountCents: dispute.amount,
+          stripeStatus: dispute.status
+        });
+        await postDisputeFees(poolDispute, dispute);
+        let walletDispute = null;
+        if (result.reason === 'no_ledger_row' && disputedCharge.payment_intent) {
+          // A disputed prepaid wallet top-up comes off the balance like a refund
+          walletDispute = await reverseWalletTopUp(poolDispute, {
+            paymentIntentId: typeof disputedCharge.payment_intent === 'string' ? disputedCharge.payment_intent : disputedCharge.payment_intent.id,
+            refundId: dispute.id,
+            amountCents: dispute.amount,
+            chargeAmountCents: disputedCharge.amount
+          });
+        }
+        if (result.applied || walletDispute?.applied) {
+          playlistCache.clear();
+        } else if (result.reason !== 'already_applied') {
+          console.log(`⏭️ [DISPUTE] ${dispute.id} not applied: ${result.reason}`);
+        }
+      } catch (disputeErr) {
+        console.error('❌ [DISPUTE] Error:', disputeErr.message);
+        throw new WebhookProcessingError('Failed to apply dispute', 500, disputeErr.message);
+      }
+      break;
+    }
+
+    case 'charge.dispute.closed': {
+      const closedDispute = event.data.object;
+      const poolDisputeClosed = getPool();
+      if (!poolDisputeClosed) {
+        throw new WebhookProcessingError('Database connection not available', 500);
+      }
+      try {
+        await updateDisputeStatus(poolDisputeClosed, closedDispute);
+        if (closedDispute.status === 'won') {
+          // Stripe returned the funds: put them back into the original week (the hold stays for an admin to lift)
+          const wonCharge = await stripe.charges.retrieve(
+            typeof closedDispute.charge === 'string' ? closedDispute.charge : closedDispute.charge.id
+          );
+          const result = await applyPaymentReversal(poolDisputeClosed, {
+            kind: 'dispute_won',
+            stripeObjectId: closedDispute.id,
+            charge: wonCharge,
+            amountCents: closedDispute.amount,
+            stripeStatus: closedDispute.status
+          });
+          if (!result.applied && result.reason !== 'already_applied') {
+            console.log(`⏭️ [DISPUTE] Won dispute ${closedDispute.id} not reinstated: ${result.reason}`);
+          }
+        } else {
+          console.log(`⚖️ [DISPUTE] ${closedDispute.id} closed as ${closedDispute.status}`);
+        }
+      } catch (disputeClosedErr) {
+        console.error('❌ [DISPUTE] charge.dispute.closed error:', disputeClosedErr.message);
+        throw new WebhookProcessingError('Failed to apply dispute outcome', 500, disputeClosedErr.message);
+      }
+      break;
+    }
+
+    case 'account.updated': {
+      // Charity Connect onboarding progress (lib/charityConnect.js)
+      const account = event.data.object;
+      const poolAcct = getPool();
+      if (!poolAcct) {
+        throw new WebhookProcessingError('Database connection not available', 500);
+      }
+      const matched = await syncConnectAccount(poolAcct, account);
+      if (!matched) {
+        console.log(`⏭️ [CONNECT] account.updated for ${account.id} - not a charity payout account`);
+      }
+      break;
+    }
+
+    case 'transfer.created':
+    case 'transfer.updated':
+    case 'transfer.reversed': {
+      // Charity payouts (scripts/process-charity-payouts.js): keep transfer_intents in sync with Stripe
+      const transfer = event.data.object;
+      const poolTransfer = getPool();
+      if (!poolTransfer) {
+        throw new WebhookProcessingError('Database connection not available', 500);
+      }
+      try {
+        const matched = await syncTransferIntent(poolTransfer, transfer);
+        if (!matched) {
+          console.log(`⏭️ [PAYOUTS] ${event.type} for ${transfer.id} - no matching transfer intent`);
+        }
+      } catch (transferErr) {
+        console.error(`❌ [PAYOUTS] ${event.type} sync failed:`, transferErr.message);
+        throw new WebhookProcessingError('Failed to sync transfer', 500, transferErr.message);
       }
       break;
     }
@@ -2250,7 +2611,14 @@ app.post('/api/webhook', express.raw({ type: 'application/json' }), async (req,
       }
 
       try {
-        event = stripe.webhooks.constructEvent(bodyBuffer, sig, webhookSecret);
+        try {
+          event = stripe.webhooks.constructEvent(bodyBuffer, sig, webhookSecret);
+        } catch (platformSigErr) {
+          // Connect endpoint (account.updated for charity payout accounts) has its own signing secret
+          if (!process.env.STRIPE_CONNECT_WEBHOOK_SECRET) throw platformSigErr;
+          event = stripe.webhooks.constructEvent(bodyBuffer, sig, process.env.STRIPE_CONNECT_WEBHOOK_SECRET);
+          console.log('✅ Webhook verified with Connect endpoint secret');
+        }
         console.log('âœ… Webhook signature verified successfully');
         console.log('âœ… Event type:', event.type);
         console.log('âœ… Event ID:', event.id);
@@ -2267,6 +2635,13 @@ app.post('/api/webhook', express.raw({ type: 'application/json' }), async (req,
       }
     }
 
+    // Persist before anything else so a failed or lost handler run can be replayed
+    const storedStatus = await recordStripeEvent(getPoolFromDb(), event);
+    if (storedStatus === 'processed' || storedStatus === 'ignored') {
+      console.log(`⏭️ [STRIPE EVENTS] Redelivery of ${storedStatus} event ${event.id}, acknowledging`);
+      return res.json({ received: true, duplicate: true });
+    }
+
     console.log('ðŸ”„ Processing event:', event.type);
     // ENVIRONMENT SAFETY GUARD: Ensure webhook event livemode matches Stripe API key environment
     // This prevents test events from being processed in production and vice versa
@@ -2282,6 +2657,7 @@ app.post('/api/webhook', express.raw({ type: 'application/json' }), async (req,
       console.warn('⚠️ [ENV-GUARD] Event ID:', event.id);
       console.warn('⚠️ [ENV-GUARD] Event livemode:', event.livemode);
       console.warn('⚠️ [ENV-GUARD] API key mode: LIVE');
+      await markStripeEventIgnored(getPoolFromDb(), event.id, 'Test mode event received in live environment');
       return res.json({ 
         received: true, 
         ignored: true, 
@@ -2295,6 +2671,7 @@ app.post('/api/webhook', express.raw({ type: 'application/json' }), async (req,
       console.warn('⚠️ [ENV-GUARD] Event ID:', event.id);
       console.warn('⚠️ [ENV-GUARD] Event livemode:', event.livemode);
       console.warn('⚠️ [ENV-GUARD] API key mode: TEST');
+      await markStripeEventIgnored(getPoolFromDb(), event.id, 'Live mode event received in test environment');
       return res.json({ 
         received: true, 
         ignored: true, 
@@ -2308,9 +2685,9 @@ app.post('/api/webhook', express.raw({ type: 'application/json' }), async (req,
       console.log('✅ [ENV-GUARD] Event livemode matches API key environment');
     }
 
-    await processStripeEvent(event);
+    const outcome = await processStripeEventOnce(getPoolFromDb(), event, processStripeEvent);
 
-    res.json({ received: true });
+    res.json({ received: true, ...(outcome.status === 'duplicate' ? { duplicate: true } : {}) });
   } catch (error) {
     if (error instanceof WebhookProcessingError) {
       console.error('âŒ Webhook processing error:', {
@@ -2693,6 +3070,18 @@ app.get('/sponsor-portal.html', (req, res) => {
   res.sendFile(path.join(__dirname, '../public/sponsor-portal.html'));
 });
 
+// Serve charity-login.html at /charity-login.html
+app.get('/charity-login.html', (req, res) => {
+  console.log('📄 Serving charity-login.html');
+  res.sendFile(path.join(__dirname, '../public/charity-login.html'));
+});
+
+// Serve charity-portal.html at /charity-portal.html
+app.get('/charity-portal.html', (req, res) => {
+  console.log('📄 Serving charity-portal.html');
+  res.sendFile(path.join(__dirname, '../public/charity-portal.html'));
+});
+
 // Serve charity.html at /charity
 app.get('/charity', (req, res) => {
   console.log('📄 Serving charity.html');
@@ -4388,8 +4777,6 @@ app.post('/api/admin/reset-database', async (req, res) => {
 // ===== CLOUDFLARE R2 CONFIGURATION =====
 
 // Configure Cloudflare R2 (S3-compatible)
-const { ListObjectsV2Command } = require('@aws-sdk/client-s3');
-
 const r2Client = new S3Client({
   region: 'auto',
   endpoint: 'https://e94c5ecbf3e438d402b3fe2ad136c0fc.r2.cloudflarestorage.com',
@@ -4430,7 +4817,10 @@ app.post('/api/advertiser/submit', upload.single('creative'), async (req, res) =
       adFormat,
       weeklyBudget,
       cpmRate,
-      isRecurring
+      isRecurring,
+      currency,
+      promoCode,
+      causeCategory
     } = req.body;
     
     // Validate required fields
@@ -4441,6 +4831,19 @@ app.post('/api/advertiser/submit', upload.single('creative'), async (req, res) =
       });
     }
     
+    const requestedCurrency = normalizeCurrency(currency);
+    if (!requestedCurrency) {
+      return res.status(400).json({
+        error: 'Unsupported currency',
+        message: `Currency must be one of: ${SUPPORTED_CURRENCIES.join(', ').toUpperCase()}`
+      });
+    }
+    
+    const cause = normalizeCause(causeCategory);
+    if (!cause.ok) {
+      return res.status(400).json({ error: 'Invalid cause', message: cause.error });
+    }
+    
     console.log(`📝 Advertiser submission received from ${email}`);
     console.log('📝 Received ad_format from frontend:', adFormat);
     
@@ -4458,6 +4861,7 @@ app.post('/api/advertiser/submit', upload.single('creative'), async (req, res) =
     console.log('📝 Using database ad_format:', databaseAdFormat);
     
     let mediaUrl = null;
+    let uploadedKey = null;
     
     // Upload file to R2 if provided
     if (req.file) {
@@ -4475,6 +4879,7 @@ app.post('/api/advertiser/submit', upload.single('creative'), async (req, res) =
         });
         
         await r2Client.send(uploadCommand);
+        uploadedKey = filename;
         
         // Construct public URL using the correct public dev URL
         mediaUrl = normalizeBareMediaR2Link(`${R2_ADVERTISER_MEDIA_URL}/${filename}`);
@@ -4496,9 +4901,35 @@ app.post('/api/advertiser/submit', upload.single('creative'), async (req, res) =
       return res.status(500).json({ error: 'Database connection not available' });
     }
     
+    // Automated creative validation: hard failures block the submission (nothing is created)
+    if (uploadedKey) {
+      const validation = await getOrValidateCreative(pool, r2Client, {
+        bucket: CREATIVE_BUCKETS.advertiserUploads,
+        key: uploadedKey,
+        creativeType: creativeTypeForAdFormat(databaseAdFormat)
+      });
+      if (validation.status === 'failed') {
+        console.log(`❌ Creative failed validation (${uploadedKey}): ${summarizeFailures(validation)}`);
+        return res.status(422).json({
+          error: 'Creative failed validation',
+          message: summarizeFailures(validation),
+          validation
+        });
+      }
+    }
+    
     // Normalize email (always lowercase and trimmed)
     const normalizedEmail = email.toLowerCase().trim();
     
+    // Promo code is checked before anything is created and redeemed once the campaign exists
+    const normalizedPromoCode = normalizePromoCode(promoCode);
+    if (normalizedPromoCode) {
+      const promoCheck = await checkPromoCode(pool, { code: normalizedPromoCode, email: normalizedEmail, currency: requestedCurrency });
+      if (!promoCheck.ok) {
+        return res.status(400).json({ error: 'Invalid promo code', message: promoCheck.error });
+      }
+    }
+    
     // Calculate max_weekly_impressions based on CPM + weekly budget
     let max_weekly_impressions = null;
     const weeklyBudgetNum = weeklyBudget ? parseFloat(weeklyBudget) : null;
@@ -4520,18 +4951,26 @@ app.post('/api/advertiser/submit', upload.single('creative'), async (req, res) =
     let advertiserAccountId = null;
     let accountPasswordHash = null;
     let rawSetupToken = null;
+    let campaignCurrency = requestedCurrency;
     
     try {
       // Check if advertiser_accounts entry already exists for this email (case-insensitive)
       const existingAccountResult = await pool.query(`
-        SELECT id, password_hash, advertiser_id
+        SELECT id, password_hash, advertiser_id, currency
         FROM advertiser_accounts 
         WHERE LOWER(TRIM(email)) = LOWER(TRIM($1))
       `, [normalizedEmail]);
       
       if (existingAccountResult.rows.length > 0) {
-        // Account exists - reuse it
+        // Account exists - reuse it (and its billing currency; Stripe customers cannot switch currency)
         const existingAccount = existingAccountResult.rows[0];
+        if (currency && existingAccount.currency !== requestedCurrency) {
+          return res.status(400).json({
+            error: 'Currency mismatch',
+            message: `This advertiser account is billed in ${existingAccount.currency.toUpperCase()}. Choose ${existingAccount.currency.toUpperCase()} for new campaigns.`
+          });
+        }
+        campaignCurrency = existingAccount.currency;
         advertiserAccountId = existingAccount.id;
         accountPasswordHash = existingAccount.password_hash;
         console.log('ℹ️ [SUBMISSION] Found existing advertiser_accounts for email:', normalizedEmail, 'account_id:', advertiserAccountId);
@@ -4541,10 +4980,11 @@ app.post('/api/advertiser/submit', upload.single('creative'), async (req, res) =
           INSERT INTO advertiser_accounts (
             advertiser_id,
             email,
-            password_hash
-          ) VALUES (NULL, $1, NULL)
+            password_hash,
+            currency
+          ) VALUES (NULL, $1, NULL, $2)
           RETURNING id
-        `, [normalizedEmail]);
+        `, [normalizedEmail, campaignCurrency]);
         
         advertiserAccountId = accountResult.rows[0].id;
         accountPasswordHash = null; // New account, no password yet
@@ -4585,8 +5025,8 @@ app.post('/api/advertiser/submit', upload.single('creative'), async (req, res) =
         `INSERT INTO advertisers (
           company_name, website_url, first_name, last_name, 
           email, title_role, ad_format, weekly_budget_cap, cpm_rate, 
-          media_r2_link, recurring_weekly, max_weekly_impressions, created_at
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, CURRENT_TIMESTAMP)
+          media_r2_link, recurring_weekly, max_weekly_impressions, currency, billing_mode, cause_category, created_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, CURRENT_TIMESTAMP)
         RETURNING id, email, media_r2_link, created_at`,
         [
           companyName || null,
@@ -4600,7 +5040,10 @@ app.post('/api/advertiser/submit', upload.single('creative'), async (req, res) =
           cpmRateNum,
           normalizeBareMediaR2Link(mediaUrl),
           isRecurring === 'true' || isRecurring === true,
-          max_weekly_impressions
+          max_weekly_impressions,
+          campaignCurrency,
+          await accountBillingMode(pool, normalizedEmail, isRecurring === 'true' || isRecurring === true),
+          cause.cause
         ]
       );
       
@@ -4647,6 +5090,27 @@ app.post('/api/advertiser/submit', upload.single('creative'), async (req, res) =
       // The account exists and advertiser was created, so submission is still successful
     }
     
+    // ===== STEP 3b: REDEEM PROMO CODE for the new campaign =====
+    let promotion = null;
+    if (normalizedPromoCode) {
+      try {
+        const redeemed = await redeemPromoCode(pool, {
+          code: normalizedPromoCode,
+          accountId: advertiserAccountId,
+          advertiserId: inserted.id,
+          currency: campaignCurrency
+        });
+        if (redeemed.ok) {
+          promotion = publicPromotionResponse(redeemed.promotion);
+        } else {
+          // Lost a race for the last redemption since the check above - the campaign stands without it
+          console.warn(`⚠️ [SUBMISSION] Promo code ${normalizedPromoCode} not redeemed for advertiser ${inserted.id}: ${redeemed.error}`);
+        }
+      } catch (promoError) {
+        console.error('❌ [SUBMISSION] ERROR redeeming promo code:', promoError.message);
+      }
+    }
+    
     // ===== STEP 4: SEND EMAIL ONLY IF password_hash IS NULL =====
     // Note: The confirmation email will be sent by the payment webhook
     // This submission endpoint no longer sends a separate setup email
@@ -4661,6 +5125,8 @@ app.post('/api/advertiser/submit', upload.single('creative'), async (req, res) =
         id: inserted.id,
         email: inserted.email,
         mediaUrl: inserted.media_r2_link,
+        currency: campaignCurrency,
+        promotion,
         createdAt: inserted.created_at
       }
     });
@@ -4691,7 +5157,9 @@ app.post('/api/sponsor/submit', upload.single('logo'), async (req, res) => {
       sponsorTier,
       isRecurring,
       diamondAmount,
-      tagline
+      tagline,
+      currency,
+      causeCategory
     } = req.body;
     
     // Validate required fields
@@ -4730,21 +5198,17 @@ app.post('/api/sponsor/submit', upload.single('logo'), async (req, res) => {
       });
     }
     
-    // Validate Diamond tier amount (min $500, increments of $50 only)
-    if (tier === 'diamond') {
-      const amount = parseFloat(diamondAmount);
-      if (!amount || isNaN(amount) || amount < 500) {
-        return res.status(400).json({
-          error: 'Invalid Diamond tier amount',
-          message: 'Diamond tier requires a minimum contribution of $500'
-        });
-      }
-      if (amount % 50 !== 0) {
-        return res.status(400).json({
-          error: 'Invalid Diamond tier amount',
-          message: 'Diamond tier amount must be in $50 increments'
-        });
-      }
+    const requestedCurrency = normalizeCurrency(currency);
+    if (!requestedCurrency) {
+      return res.status(400).json({
+        error: 'Unsupported currency',
+        message: `Currency must be one of: ${SUPPORTED_CURRENCIES.join(', ').toUpperCase()}`
+      });
+    }
+    
+    const cause = normalizeCause(causeCategory);
+    if (!cause.ok) {
+      return res.status(400).json({ error: 'Invalid cause', message: cause.error });
     }
     
     // Validate logo is provided
@@ -4778,20 +5242,48 @@ app.post('/api/sponsor/submit', upload.single('logo'), async (req, res) => {
       [contactEmail.toLowerCase().trim()]
     );
     
+    // A returning sponsor keeps the currency it signed up with (its Stripe customer cannot switch currency)
+    const campaignCurrency = accountCheck.rows[0]?.currency || requestedCurrency;
+    if (currency && campaignCurrency !== requestedCurrency) {
+      return res.status(400).json({
+        error: 'Currency mismatch',
+        message: `This sponsor account is billed in ${campaignCurrency.toUpperCase()}. Choose ${campaignCurrency.toUpperCase()} for new campaigns.`
+      });
+    }
+    
+    // Validate Diamond tier amount (minimum and increments from the currency's price list, e.g. $500 in $50 steps)
+    if (tier === 'diamond') {
+      const prices = priceList(campaignCurrency);
+      const amountCents = Math.round(parseFloat(diamondAmount) * 100);
+      if (!amountCents || isNaN(amountCents) || amountCents < prices.diamondMinimum) {
+        return res.status(400).json({
+          error: 'Invalid Diamond tier amount',
+          message: `Diamond tier requires a minimum contribution of ${formatMoney(prices.diamondMinimum / 100, campaignCurrency)}`
+        });
+      }
+      if (amountCents % prices.diamondStep !== 0) {
+        return res.status(400).json({
+          error: 'Invalid Diamond tier amount',
+          message: `Diamond tier amount must be in ${formatMoney(prices.diamondStep / 100, campaignCurrency)} increments`
+        });
+      }
+    }
+    
     if (accountCheck.rows.length > 0) {
       sponsorAccount = accountCheck.rows[0];
       console.log('✅ Found existing sponsor_account:', sponsorAccount.id);
     } else {
       const accountResult = await pool.query(
         `INSERT INTO sponsor_accounts (
-          organization_legal_name, contact_email, website, ein_tax_id, created_at, updated_at
-        ) VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+          organization_legal_name, contact_email, website, ein_tax_id, currency, created_at, updated_at
+        ) VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
         RETURNING *`,
         [
           organization,
           contactEmail.toLowerCase().trim(),
           website || null,
-          einTaxId || null
+          einTaxId || null,
+          campaignCurrency
         ]
       );
       sponsorAccount = accountResult.rows[0];
@@ -4858,11 +5350,13 @@ app.post('/api/sponsor/submit', upload.single('logo'), async (req, res) => {
       isRecurringBool,
       startWeekValue,
       logoR2Key,
-      taglineValue
+      taglineValue,
+      campaignCurrency,
+      cause.cause
     ];
     const insertSql = `INSERT INTO sponsor_campaigns (
-        sponsor_account_id, tier, status, is_recurring, start_week, logo_r2_key, tagline, created_at, updated_at
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+        sponsor_account_id, tier, status, is_recurring, start_week, logo_r2_key, tagline, currency, cause_category, created_at, updated_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
       RETURNING *`;
     
     console.log('[SPONSOR INSERT DEBUG]');
@@ -4874,7 +5368,9 @@ app.post('/api/sponsor/submit', upload.single('logo'), async (req, res) => {
       is_recurring: isRecurringBool,
       start_week: startWeekValue,
       logo_r2_key: logoR2Key,
-      tagline: taglineValue
+      tagline: taglineValue,
+      currency: campaignCurrency,
+      cause_category: cause.cause
     });
     console.log('[SPONSOR INSERT DEBUG] tier =', JSON.stringify(tier), ', is_recurring =', isRecurringBool, ', start_week =', startWeekValue);
     console.log('[SPONSOR INSERT DEBUG] exact SQL:', insertSql);
@@ -4916,10 +5412,10 @@ app.post('/api/sponsor/submit', upload.single('logo'), async (req, res) => {
     
     // ----- NON-RECURRING: Stripe Checkout (setup mode) to save card (charge at approval) -----
     if (!isRecurringBool) {
-      const TIER_AMOUNTS_CENTS = { bronze: 5000, silver: 10000, gold: 25000, diamond: null };
+      const tierPrices = priceList(campaignCurrency);
       const amountCents = tier === 'diamond'
         ? Math.round(parseFloat(diamondAmount) * 100)
-        : (TIER_AMOUNTS_CENTS[tier] || 5000);
+        : (tierPrices[tier] || tierPrices.bronze);
 
       const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3001';
       const session = await stripe.checkout.sessions.create({
@@ -4933,7 +5429,8 @@ app.post('/api/sponsor/submit', upload.single('logo'), async (req, res) => {
           sponsorCampaignId: String(sponsorCampaign.id),
           campaignType: 'sponsor',
           tier: tier,
-          amountCents: String(amountCents)
+          amountCents: String(amountCents),
+          currency: campaignCurrency
         }
       });
       console.log('✅ [NON-RECURRING] Checkout Session (setup mode) created:', session.id);
@@ -4947,7 +5444,7 @@ app.post('/api/sponsor/submit', upload.single('logo'), async (req, res) => {
           'one_time',
           session.id,
           amountCents,
-          'usd',
+          campaignCurrency,
           'open'
         ]
       );
@@ -4959,7 +5456,8 @@ app.post('/api/sponsor/submit', upload.single('logo'), async (req, res) => {
         message: 'Sponsor submission received.',
         checkoutUrl: session.url,
         sponsorAccountId: sponsorAccount.id,
-        sponsorCampaignId: sponsorCampaign.id
+        sponsorCampaignId: sponsorCampaign.id,
+        currency: campaignCurrency
       });
     }
     
@@ -4972,10 +5470,10 @@ app.post('/api/sponsor/submit', upload.single('logo'), async (req, res) => {
       amountCents = Math.round(parseFloat(diamondAmount) * 100);
       lineItems.push({
         price_data: {
-          currency: 'usd',
+          currency: campaignCurrency,
           product_data: {
             name: 'Diamond Sponsorship',
-            description: `Diamond tier sponsorship - $${diamondAmount}`
+            description: `Diamond tier sponsorship - ${formatMoney(amountCents / 100, campaignCurrency)}`
           },
           unit_amount: amountCents,
           recurring: { interval: 'week' }
@@ -4987,15 +5485,22 @@ app.post('/api/sponsor/submit', upload.single('logo'), async (req, res) => {
       try {
         const prices = await stripe.prices.list({
           lookup_keys: [lookupKey],
-          limit: 1
+          limit: 1,
+          expand: ['data.currency_options']
         });
         if (prices.data.length === 0) {
           throw new Error(`Stripe price with lookup key '${lookupKey}' not found`);
         }
         const price = prices.data[0];
-        amountCents = price.unit_amount;
+        // EUR / GBP amounts come from the price's currency_options; Checkout charges the one named on the session
+        amountCents = price.currency === campaignCurrency
+          ? price.unit_amount
+          : price.currency_options?.[campaignCurrency]?.unit_amount;
+        if (!amountCents) {
+          throw new Error(`Stripe price '${lookupKey}' has no ${campaignCurrency.toUpperCase()} amount`);
+        }
         lineItems.push({ price: price.id, quantity: 1 });
-        console.log(`✅ Found Stripe price: ${price.id} (${lookupKey}), amount: $${amountCents / 100}`);
+        console.log(`✅ Found Stripe price: ${price.id} (${lookupKey}), amount: ${formatMoney(amountCents / 100, campaignCurrency)}`);
       } catch (priceError) {
         console.error('❌ Failed to retrieve Stripe price:', priceError);
         return res.status(500).json({
@@ -5010,6 +5515,7 @@ app.post('/api/sponsor/submit', upload.single('logo'), async (req, res) => {
       payment_method_types: ['card'],
       phone_number_collection: { enabled: false },
       mode: 'subscription',
+      currency: campaignCurrency,
       line_items: lineItems,
       custom_text: {
         after_submit: {
@@ -5023,7 +5529,8 @@ app.post('/api/sponsor/submit', upload.single('logo'), async (req, res) => {
         sponsorCampaignId: String(sponsorCampaign.id),
         campaignType: 'sponsor',
         tier: tier,
-        amountCents: String(amountCents)
+        amountCents: String(amountCents),
+        currency: campaignCurrency
       }
     };
     
@@ -5037,8 +5544,16 @@ app.post('/api/sponsor/submit', upload.single('logo'), async (req, res) => {
       console.warn('⚠️ [TRIAL_END_SHIFTED] Trial end was <48h away — pushed to next Monday');
     }
     const customerDefaultPm = stripeCustomer.invoice_settings?.default_payment_method || null;
+    // Tax from the sponsor account's billing address / tax ID (lib/tax.js), charged on top of the tier amount
+    const taxQuote = await quoteTax(pool, {
+      customer: taxCustomerFromAccount(sponsorAccount),
+      amountCents,
+      currency: campaignCurrency
+    });
+    const taxRateId = await stripeTaxRateFor(pool, stripe, taxQuote);
     sessionConfig.subscription_data = {
       trial_end: nextMondayUnix,
+      ...(taxRateId && { default_tax_rates: [taxRateId] }),
       metadata: {
         sponsor_campaign_id: String(sponsorCampaign.id),
         sponsor_account_id: String(sponsorAccount.id),
@@ -5046,6 +5561,9 @@ app.post('/api/sponsor/submit', upload.single('logo'), async (req, res) => {
         tier: tier
       }
     };
+    if (taxQuote.label) {
+      console.log(`🧾 ${taxQuote.label} on sponsorship: ${formatMoney(taxQuote.taxCents / 100, campaignCurrency)}`);
+    }
     if (customerDefaultPm) {
       sessionConfig.metadata.customer_default_pm = customerDefaultPm;
     }
@@ -5063,7 +5581,7 @@ app.post('/api/sponsor/submit', upload.single('logo'), async (req, res) => {
         'subscription',
         session.id,
         amountCents,
-        'usd',
+        campaignCurrency,
         'open'
       ]
     );
@@ -5076,7 +5594,8 @@ app.post('/api/sponsor/submit', upload.single('logo'), async (req, res) => {
       checkoutUrl: session.url,
       sessionId: session.id,
       sponsorAccountId: sponsorAccount.id,
-      sponsorCampaignId: sponsorCampaign.id
+      sponsorCampaignId: sponsorCampaign.id,
+      currency: campaignCurrency
     });
     
   } catch (error) {
@@ -5162,7 +5681,7 @@ app.get('/api/advertiser/public-stats', async (req, res) => {
     const [advertiserCount, allocation, charitiesSupported] = await Promise.all([
       pool.query('SELECT COUNT(*) AS count FROM advertiser_accounts'),
       pool.query('SELECT COALESCE(SUM(total_amount), 0) AS total FROM weekly_charity_allocation'),
-      pool.query('SELECT COUNT(*) AS count FROM charity_week_winner')
+      pool.query(`SELECT COUNT(*) AS count FROM (${WEEK_RECIPIENTS_SQL}) wr`)
     ]);
     res.json({
       advertiserCount: parseInt(advertiserCount.rows[0].count, 10),
@@ -5183,7 +5702,7 @@ app.get('/api/charity/stats', async (req, res) => {
     const [poolCount, allocation, winnersCount] = await Promise.all([
       pool.query('SELECT COUNT(*) AS count FROM charity_week_pool'),
       pool.query('SELECT COALESCE(SUM(total_amount), 0) AS total FROM weekly_charity_allocation'),
-      pool.query('SELECT COUNT(*) AS count FROM charity_week_winner')
+      pool.query(`SELECT COUNT(*) AS count FROM (${WEEK_RECIPIENTS_SQL}) wr`)
     ]);
     res.json({
       nonprofitCount: parseInt(poolCount.rows[0].count, 10),
@@ -5262,7 +5781,7 @@ app.post('/api/charity-entry/create-payment-intent', async (req, res) => {
 // Step 4: Finalize charity application after successful payment confirmation
 app.post('/api/charity-entry/finalize', async (req, res) => {
   try {
-    const { charityName, federalEin, contactEmail, paymentIntentId } = req.body || {};
+    const { charityName, federalEin, contactEmail, paymentIntentId, causeCategory } = req.body || {};
 
     if (!charityName || !federalEin || !contactEmail || !paymentIntentId) {
       return res.status(400).json({
@@ -5271,6 +5790,11 @@ app.post('/api/charity-entry/finalize', async (req, res) => {
       });
     }
 
+    const cause = normalizeCause(causeCategory);
+    if (!cause.ok) {
+      return res.status(400).json({ error: 'invalid_cause', message: cause.error });
+    }
+
     const pool = getPool();
     if (!pool) {
       console.error('❌ Database pool not available');
@@ -5333,17 +5857,19 @@ app.post('/api/charity-entry/finalize', async (req, res) => {
             federal_ein,
             contact_email,
             entry_payment_intent_id,
+            cause_category,
             status,
             created_at
           )
-          VALUES ($1, $2, $3, $4, 'pending', CURRENT_TIMESTAMP)
+          VALUES ($1, $2, $3, $4, $5, 'pending', CURRENT_TIMESTAMP)
           ON CONFLICT (entry_payment_intent_id) DO UPDATE
           SET charity_name = EXCLUDED.charity_name,
               federal_ein = EXCLUDED.federal_ein,
-              contact_email = EXCLUDED.contact_email
-          RETURNING id, charity_name, federal_ein, contact_email, entry_payment_intent_id, status, created_at
+              contact_email = EXCLUDED.contact_email,
+              cause_category = EXCLUDED.cause_category
+          RETURNING id, charity_name, federal_ein, contact_email, entry_payment_intent_id, cause_category, status, created_at
         `,
-        [charityName, federalEin, contactEmail, paymentIntent.id]
+        [charityName, federalEin, contactEmail, paymentIntent.id, cause.cause]
       );
       inserted = result.rows[0];
     } catch (dbError) {
@@ -5389,47 +5915,428 @@ app.post('/api/charity-entry/finalize', async (req, res) => {
   }
 });
 
-// ===== TRACKING ROUTES (Ready for your video player) =====
+// Stripe Connect payout onboarding for approved charities (link from the approval email or admin-cs).
+// Creates the Express account on first use and redirects to a fresh Stripe-hosted onboarding page;
+// Stripe sends the charity back here with return=1 when they finish or leave.
+app.get('/api/charity/connect/onboard', async (req, res) => {
+  const charityApplicationId = verifyOnboardingToken(req.query.token);
+  if (!charityApplicationId) {
+    return res.status(400).send('This payout setup link is invalid or has expired. Please contact contactcharitystream@gmail.com for a new one.');
+  }
 
-// Device fingerprint-based desktop detection endpoints
+  const pool = getPool();
+  if (!pool) {
+    return res.status(500).send('Database connection not available');
+  }
 
-// Desktop app heartbeat (called by desktop app)
-app.post('/api/tracking/desktop-active', trackRequest, trackingRateLimit, async (req, res) => {
   try {
-    const { fingerprint } = req.body;
-    if (!fingerprint) {
-      return res.status(400).json({ error: 'Missing fingerprint' });
+    const result = await pool.query(
+      `SELECT id, charity_name, contact_email, status, stripe_connect_account_id
+       FROM charity_applications WHERE id = $1`,
+      [charityApplicationId]
+    );
+    const charity = result.rows[0];
+    if (!charity || charity.status !== 'approved') {
+      return res.status(404).send('Charity application not found or not approved.');
     }
 
-    const pool = getPool();
-    if (!pool) {
-      return res.status(500).json({ error: 'Database connection not available' });
-    }
+    const accountId = await ensureConnectAccount(pool, stripe, charity);
 
-    await pool.query(`
-      INSERT INTO desktop_active_sessions (fingerprint, last_heartbeat)
-      VALUES ($1, NOW())
-      ON CONFLICT (fingerprint) DO UPDATE SET last_heartbeat = NOW()
-    `, [fingerprint]);
+    if (req.query.return === '1') {
+      const account = await stripe.accounts.retrieve(accountId);
+      await syncConnectAccount(pool, account);
+      const payoutsState = account.capabilities?.transfers === 'active' ? 'complete' : 'pending';
+      console.log(`🏦 [CONNECT] Charity ${charity.id} returned from onboarding (${payoutsState})`);
+      return res.redirect(`/charity.html?payouts=${payoutsState}`);
+    }
 
-    res.json({ success: true });
-  } catch (error) {
-    console.error('❌ Error in desktop-active:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    const onboardingUrl = await createOnboardingLink(stripe, accountId, charity.id);
+    return res.redirect(onboardingUrl);
+  } catch (err) {
+    console.error('❌ [CONNECT] Onboarding error:', err.message);
+    return res.status(500).send('Could not start payout setup. Please try again in a few minutes.');
   }
 });
 
-// Desktop app shutdown (called when desktop app closes)
-app.post('/api/tracking/desktop-inactive', async (req, res) => {
-  try {
-    const { fingerprint } = req.body;
-    if (!fingerprint) {
-      return res.status(400).json({ error: 'Missing fingerprint' });
-    }
+// ===== CHARITY PORTAL (lib/charityPortal.js) =====
+// Token-based login for approved charities: profile, logo and mission, weeks entered / won, payout status
+// from transfer_intents, and proof-of-use reports shown on the impact page.
 
-    const pool = getPool();
-    if (!pool) {
-      return res.status(500).json({ error: 'Database connection not available' });
+// Logos (PNG/JPG) and report files (PNG/JPG/PDF) go to the public advertiser-media bucket under charities/<id>/
+const charityUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB max file size
+  },
+  fileFilter: (req, file, cb) => {
+    if (REPORT_FILE_CONTENT_TYPES.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only PNG/JPG images and PDF files are allowed.'));
+    }
+  }
+});
+
+function charityAssetUrl(key) {
+  return key ? `${R2_ADVERTISER_MEDIA_URL}/${key}` : null;
+}
+
+async function uploadCharityFile(charityAccountId, file, name) {
+  const key = `charities/${charityAccountId}/${Date.now()}-${name.replace(/[^a-zA-Z0-9.-]/g, '_')}`;
+  await r2Client.send(new PutObjectCommand({
+    Bucket: 'advertiser-media',
+    Key: key,
+    Body: file.buffer,
+    ContentType: file.mimetype,
+  }));
+  return key;
+}
+
+app.post('/api/charity/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    console.log('🔐 [CHARITY LOGIN] Login attempt for email:', email);
+
+    if (!email || !password) {
+      return res.status(400).json({ success: false, error: 'Email and password are required' });
+    }
+
+    const pool = getPool();
+    if (!pool) {
+      return res.status(500).json({ success: false, error: 'Database connection not available' });
+    }
+
+    const accountResult = await pool.query(
+      `SELECT id, contact_email, password_hash, charity_name FROM charity_accounts WHERE contact_email = $1`,
+      [normalizeCharityEmail(email)]
+    );
+    if (accountResult.rows.length === 0) {
+      console.log('❌ [CHARITY LOGIN] Account not found for email:', email);
+      return res.status(401).json({ success: false, error: 'Invalid email or password' });
+    }
+
+    const account = accountResult.rows[0];
+    if (!account.password_hash) {
+      return res.status(403).json({
+        success: false,
+        error: 'You need to create a password. Check your approval email or request a new link.',
+        needsPassword: true
+      });
+    }
+
+    const passwordMatch = await bcrypt.compare(password, account.password_hash);
+    if (!passwordMatch) {
+      console.log('❌ [CHARITY LOGIN] Password mismatch for email:', email);
+      return res.status(401).json({ success: false, error: 'Invalid email or password' });
+    }
+
+    const token = jwt.sign(
+      {
+        charityAccountId: account.id,
+        email: account.contact_email,
+        role: 'charity',
+        jwt_type: 'charity_portal'
+      },
+      process.env.JWT_SECRET,
+      { expiresIn: '30d' }
+    );
+    console.log('✅ [CHARITY LOGIN] Token generated for charity account:', account.id);
+
+    return res.json({
+      success: true,
+      token,
+      charityAccountId: account.id,
+      charityName: account.charity_name
+    });
+  } catch (error) {
+    console.error('❌ [CHARITY LOGIN] Error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+// Middleware to authenticate charity portal tokens (JWT with jwt_type === 'charity_portal')
+function requireCharityAuth(req, res, next) {
+  const authHeader = req.headers.authorization;
+
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+
+  try {
+    const decoded = jwt.verify(authHeader.split(' ')[1], JWT_SECRET);
+
+    if (decoded.jwt_type !== 'charity_portal' || !decoded.charityAccountId) {
+      console.error('❌ [CHARITY AUTH] Invalid token type:', decoded.jwt_type);
+      return res.status(403).json({ error: 'Invalid token type' });
+    }
+
+    req.charity = {
+      charityAccountId: decoded.charityAccountId,
+      email: decoded.email,
+    };
+
+    next();
+  } catch (err) {
+    console.error('❌ [CHARITY AUTH] JWT verification failed:', err.message);
+    return res.status(401).json({ error: 'Invalid token' });
+  }
+}
+
+app.get('/api/charity/validate-password-token', async (req, res) => {
+  try {
+    const pool = getPool();
+    if (!pool) {
+      return res.status(500).json({ valid: false, error: 'Database connection not available' });
+    }
+
+    const token = await findCharityPasswordToken(pool, req.query.token);
+    if (!token) {
+      return res.json({ valid: false });
+    }
+    if (token.alreadySetUp) {
+      return res.json({ valid: false, accountAlreadySetup: true, message: 'Account already set up. Please sign in.' });
+    }
+
+    return res.json({ valid: true, email: token.email, charityName: token.charityName, purpose: token.purpose });
+  } catch (error) {
+    console.error('❌ [CHARITY VALIDATE PASSWORD TOKEN] Error:', error);
+    return res.json({ valid: false });
+  }
+});
+
+app.post('/api/charity/set-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ success: false, error: 'Token and password are required' });
+    }
+
+    const pool = getPool();
+    if (!pool) {
+      return res.status(500).json({ success: false, error: 'Database connection not available' });
+    }
+
+    const matchedToken = await findCharityPasswordToken(pool, token);
+    if (!matchedToken) {
+      return res.status(400).json({ success: false, error: 'Invalid or expired link. Please request a new one.' });
+    }
+
+    const result = await setCharityPassword(pool, matchedToken, password);
+    if (!result.ok) {
+      return res.status(400).json({ success: false, accountAlreadySetup: matchedToken.alreadySetUp, error: result.error });
+    }
+
+    console.log(`✅ [CHARITY SET PASSWORD] Password ${matchedToken.purpose === 'password_reset' ? 'reset' : 'created'} for charity account ${matchedToken.charityAccountId}`);
+    return res.json({ success: true, message: 'Password has been saved. You can now sign in.' });
+  } catch (error) {
+    console.error('❌ [CHARITY SET PASSWORD] Error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+// Always answers success so the form never reveals which emails have an account
+app.post('/api/charity/request-password-reset', async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ success: false, error: 'Email is required' });
+    }
+
+    const pool = getPool();
+    if (!pool) {
+      return res.status(500).json({ success: false, error: 'Database connection not available' });
+    }
+
+    const accountResult = await pool.query(
+      `SELECT id, contact_email, password_hash, charity_name FROM charity_accounts WHERE contact_email = $1`,
+      [normalizeCharityEmail(email)]
+    );
+
+    if (accountResult.rows.length > 0) {
+      const account = accountResult.rows[0];
+      if (emailService && emailService.isEmailConfigured()) {
+        const rawToken = await createCharityPasswordToken(pool, account.id, 'password_reset');
+        const emailResult = await emailService.sendCharityPortalPasswordEmail(
+          account.contact_email,
+          account.charity_name,
+          charityPortalUrl(rawToken),
+          Boolean(account.password_hash)
+        );
+        if (!emailResult.success) {
+          console.error('❌ [CHARITY PASSWORD RESET] Email failed:', emailResult.error);
+        }
+      } else {
+        console.warn('⚠️ [CHARITY PASSWORD RESET] Email service not configured');
+      }
+    } else {
+      console.log('⚠️ [CHARITY PASSWORD RESET] Charity account not found (not revealing to user)');
+    }
+
+    return res.json({ success: true, message: 'If an account exists, an email has been sent.' });
+  } catch (error) {
+    console.error('❌ [CHARITY PASSWORD RESET] Error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+app.get('/api/charity/portal', requireCharityAuth, async (req, res) => {
+  try {
+    const pool = getPool();
+    if (!pool) {
+      return res.status(500).json({ error: 'Database connection not available' });
+    }
+
+    const portal = await loadCharityPortal(pool, req.charity.charityAccountId);
+    if (!portal) {
+      return res.status(404).json({ error: 'Charity account not found' });
+    }
+
+    const { logoKey, ...profile } = portal.profile;
+    return res.json({
+      profile: { ...profile, logoUrl: charityAssetUrl(logoKey) },
+      weeks: portal.weeks,
+      payouts: portal.payouts,
+      reports: portal.reports.map(({ fileKey, ...report }) => ({ ...report, fileUrl: charityAssetUrl(fileKey) }))
+    });
+  } catch (error) {
+    console.error('❌ [CHARITY PORTAL] Error:', error);
+    res.status(500).json({ error: 'Failed to load charity portal' });
+  }
+});
+
+app.post('/api/charity/profile', requireCharityAuth, async (req, res) => {
+  try {
+    const check = validateCharityProfile(req.body || {});
+    if (!check.ok) {
+      return res.status(400).json({ error: check.error });
+    }
+
+    const pool = getPool();
+    if (!pool) {
+      return res.status(500).json({ error: 'Database connection not available' });
+    }
+
+    await pool.query(
+      `UPDATE charity_accounts SET website_url = $1, mission_text = $2, updated_at = NOW() WHERE id = $3`,
+      [check.websiteUrl, check.missionText, req.charity.charityAccountId]
+    );
+    console.log(`✅ [CHARITY PORTAL] Profile updated for charity account ${req.charity.charityAccountId}`);
+    return res.json({ success: true, websiteUrl: check.websiteUrl, missionText: check.missionText });
+  } catch (error) {
+    console.error('❌ [CHARITY PORTAL] Profile update error:', error);
+    res.status(500).json({ error: 'Failed to update profile' });
+  }
+});
+
+app.post('/api/charity/logo', requireCharityAuth, charityUpload.single('logo'), async (req, res) => {
+  try {
+    if (!req.file || !LOGO_CONTENT_TYPES.includes(req.file.mimetype)) {
+      return res.status(400).json({ error: 'Upload a PNG or JPG logo' });
+    }
+
+    const pool = getPool();
+    if (!pool) {
+      return res.status(500).json({ error: 'Database connection not available' });
+    }
+
+    const key = await uploadCharityFile(req.charity.charityAccountId, req.file, `logo-${req.file.originalname}`);
+    await pool.query(
+      `UPDATE charity_accounts SET logo_r2_key = $1, updated_at = NOW() WHERE id = $2`,
+      [key, req.charity.charityAccountId]
+    );
+    console.log(`✅ [CHARITY PORTAL] Logo uploaded for charity account ${req.charity.charityAccountId}: ${key}`);
+    return res.json({ success: true, logoUrl: charityAssetUrl(key) });
+  } catch (error) {
+    console.error('❌ [CHARITY PORTAL] Logo upload error:', error);
+    res.status(500).json({ error: 'Failed to upload logo' });
+  }
+});
+
+// Proof-of-use report: title, body, optional weekStart (a week the charity received money) and optional file
+app.post('/api/charity/reports', requireCharityAuth, charityUpload.single('file'), async (req, res) => {
+  try {
+    const pool = getPool();
+    if (!pool) {
+      return res.status(500).json({ error: 'Database connection not available' });
+    }
+
+    const check = await validateImpactReport(pool, req.charity.charityAccountId, req.body || {});
+    if (!check.ok) {
+      return res.status(400).json({ error: check.error });
+    }
+
+    const fileKey = req.file
+      ? await uploadCharityFile(req.charity.charityAccountId, req.file, `report-${req.file.originalname}`)
+      : null;
+    const result = await pool.query(`
+      INSERT INTO charity_impact_reports (charity_account_id, week_start, title, body, file_r2_key, file_content_type)
+      VALUES ($1, $2::date, $3, $4, $5, $6)
+      RETURNING id, created_at
+    `, [req.charity.charityAccountId, check.weekStart, check.title, check.body, fileKey, req.file ? req.file.mimetype : null]);
+
+    console.log(`✅ [CHARITY PORTAL] Report ${result.rows[0].id} published by charity account ${req.charity.charityAccountId}`);
+    return res.json({
+      success: true,
+      report: {
+        id: result.rows[0].id,
+        weekStart: check.weekStart,
+        title: check.title,
+        body: check.body,
+        fileUrl: charityAssetUrl(fileKey),
+        fileContentType: req.file ? req.file.mimetype : null,
+        createdAt: result.rows[0].created_at
+      }
+    });
+  } catch (error) {
+    console.error('❌ [CHARITY PORTAL] Report upload error:', error);
+    res.status(500).json({ error: 'Failed to publish report' });
+  }
+});
+
+// ===== TRACKING ROUTES (Ready for your video player) =====
+
+// Device fingerprint-based desktop detection endpoints
+
+// Desktop app heartbeat (called by desktop app)
+app.post('/api/tracking/desktop-active', trackRequest, trackingRateLimit, async (req, res) => {
+  try {
+    const { fingerprint } = req.body;
+    if (!fingerprint) {
+      return res.status(400).json({ error: 'Missing fingerprint' });
+    }
+
+    const pool = getPool();
+    if (!pool) {
+      return res.status(500).json({ error: 'Database connection not available' });
+    }
+
+    await pool.query(`
+      INSERT INTO desktop_active_sessions (fingerprint, last_heartbeat)
+      VALUES ($1, NOW())
+      ON CONFLICT (fingerprint) DO UPDATE SET last_heartbeat = NOW()
+    `, [fingerprint]);
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('❌ Error in desktop-active:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Desktop app shutdown (called when desktop app closes)
+app.post('/api/tracking/desktop-inactive', async (req, res) => {
+  try {
+    const { fingerprint } = req.body;
+    if (!fingerprint) {
+      return res.status(400).json({ error: 'Missing fingerprint' });
+    }
+
+    const pool = getPool();
+    if (!pool) {
+      return res.status(500).json({ error: 'Database connection not available' });
     }
 
     await pool.query(`DELETE FROM desktop_active_sessions WHERE fingerprint = $1`, [fingerprint]);
@@ -6082,11 +6989,45 @@ app.post('/api/tracking/start-ad', authenticateToken, trackingRateLimit, async (
   }
 });
 
-// Complete ad tracking
-// Track click on advertiser campaign
-app.post('/api/track-click', authenticateToken, trackingRateLimit, async (req, res) => {
-  try {
-    const { campaign_id } = req.body;
+/**
+ * Draw a prepaid campaign's impression / click from its advertiser's wallet (lib/advertiserWallet.js), never
+ * more than the weekly budget cap still allows. Clears the playlist cache when the wallet runs out and pauses
+ * the account's prepaid campaigns, and charges an auto-reload when this draw claimed one. Errors are logged,
+ * never thrown: the delivery itself has already been counted.
+ */
+async function drawPrepaidUsage(pool, { advertiserId, kind, amount, weeklyBudgetCap, contributedBefore }) {
+  const cap = parseFloat(weeklyBudgetCap || 0);
+  const draw = cap > 0 ? Math.min(amount, Math.max(0, cap - (parseFloat(contributedBefore) || 0))) : amount;
+  if (!(draw > 0)) {
+    return null;
+  }
+  try {
+    const usage = await recordWalletUsage(pool, { advertiserId, kind, amount: draw });
+    if (usage.pausedCampaignIds.length > 0) {
+      playlistCache.clear();
+      console.log(`⏸️ [WALLET] Prepaid balance used up (campaign ${advertiserId}) - paused campaigns ${usage.pausedCampaignIds.join(', ')}`);
+    }
+    if (usage.reloadWallet) {
+      runAutoReload(pool, stripe, usage.reloadWallet).then(reload => {
+        if (reload.resumedCampaignIds?.length > 0) {
+          playlistCache.clear();
+        }
+      }).catch(err => {
+        console.error(`❌ [WALLET] Auto-reload error for wallet ${usage.reloadWallet.id}:`, err.message);
+      });
+    }
+    return usage;
+  } catch (err) {
+    console.error(`❌ [WALLET] Failed to draw ${kind} from wallet for campaign ${advertiserId}:`, err.message);
+    return null;
+  }
+}
+
+// Complete ad tracking
+// Track click on advertiser campaign
+app.post('/api/track-click', authenticateToken, trackingRateLimit, async (req, res) => {
+  try {
+    const { campaign_id } = req.body;
     
     if (!campaign_id) {
       return res.status(400).json({ error: 'campaign_id is required' });
@@ -6097,24 +7038,53 @@ app.post('/api/track-click', authenticateToken, trackingRateLimit, async (req, r
       return res.status(500).json({ error: 'Database connection not available' });
     }
     
+    const advertiserId = parseInt(campaign_id, 10);
+    if (!Number.isFinite(advertiserId)) {
+      return res.status(400).json({ error: 'campaign_id must be numeric' });
+    }
+    
+    // IVT filter: flagged clicks are stored with their reason code and never reach the counters below
+    const ivt = await screenTrafficEvent(pool, req, {
+      eventType: 'click',
+      viewerKey: `user:${req.user.userId}`,
+      userId: req.user.userId,
+      advertiserId
+    });
+    if (!ivt.valid) {
+      return res.json({ success: true, filtered: true, reason: ivt.reason, campaign_id: campaign_id });
+    }
+    
     // Increment weekly_clicks, total_clicks, and weekly_contributed_amount for the campaign (atomic operation)
-    // Each click contributes $0.25 to weekly_contributed_amount
-    const clickContribution = 0.25;
+    // Each click contributes the campaign currency's click price ($0.25 / €0.25 / £0.20) to weekly_contributed_amount
     const result = await pool.query(`
-      UPDATE advertisers
-      SET weekly_clicks = COALESCE(weekly_clicks, 0) + 1,
-          total_clicks = COALESCE(total_clicks, 0) + 1,
-          weekly_contributed_amount = weekly_contributed_amount + $2
-      WHERE id = $1
-        AND status = 'active'
-        AND payment_completed = TRUE
-      RETURNING weekly_clicks, total_clicks
-    `, [campaign_id, clickContribution]);
+      UPDATE advertisers a
+      SET weekly_clicks = COALESCE(a.weekly_clicks, 0) + 1,
+          total_clicks = COALESCE(a.total_clicks, 0) + 1,
+          weekly_contributed_amount = a.weekly_contributed_amount + cp.price
+      FROM unnest($2::text[], $3::numeric[]) AS cp(currency, price)
+      WHERE a.id = $1
+        AND cp.currency = a.currency
+        AND a.status = 'active'
+        AND a.payment_completed = TRUE
+      RETURNING a.weekly_clicks, a.total_clicks, cp.price AS click_contribution,
+                a.billing_mode, a.click_tracking, a.weekly_budget_cap, a.weekly_contributed_amount
+    `, [campaign_id, SUPPORTED_CURRENCIES, SUPPORTED_CURRENCIES.map(code => priceList(code).click / 100)]);
     
     if (result.rows.length === 0) {
       return res.status(404).json({ error: 'Campaign not found or not eligible for click tracking' });
     }
     
+    const clicked = result.rows[0];
+    if (clicked.billing_mode === 'prepaid' && clicked.click_tracking === true) {
+      await drawPrepaidUsage(pool, {
+        advertiserId,
+        kind: 'click',
+        amount: parseFloat(clicked.click_contribution),
+        weeklyBudgetCap: clicked.weekly_budget_cap,
+        contributedBefore: parseFloat(clicked.weekly_contributed_amount) - parseFloat(clicked.click_contribution)
+      });
+    }
+    
     // Fetch updated weekly_contributed_amount for logging
     const contributionResult = await pool.query(
       `SELECT weekly_contributed_amount FROM advertisers WHERE id = $1`,
@@ -6122,7 +7092,7 @@ app.post('/api/track-click', authenticateToken, trackingRateLimit, async (req, r
     );
     const updatedContribution = contributionResult.rows[0]?.weekly_contributed_amount || 0;
     
-    console.log(`✅ Click tracked for campaign ${campaign_id}, weekly_clicks: ${result.rows[0].weekly_clicks}, total_clicks: ${result.rows[0].total_clicks}, contributionDelta: $${clickContribution.toFixed(2)}, weeklyContributedAmount: $${parseFloat(updatedContribution).toFixed(2)}`);
+    console.log(`✅ Click tracked for campaign ${campaign_id}, weekly_clicks: ${result.rows[0].weekly_clicks}, total_clicks: ${result.rows[0].total_clicks}, contributionDelta: ${parseFloat(result.rows[0].click_contribution).toFixed(2)}, weeklyContributedAmount: ${parseFloat(updatedContribution).toFixed(2)}`);
     
     return res.json({ 
       success: true,
@@ -6414,6 +7384,12 @@ async function performWeeklyReset() {
         weekly_contributed_amount = 0,
         capped = FALSE,
         current_week_start = NOW(),
+        -- Billing mode switches requested mid-week take effect now; campaigns leaving prepaid are no longer
+        -- held back by an empty wallet
+        billing_mode = COALESCE(pending_billing_mode, billing_mode),
+        pending_billing_mode = NULL,
+        is_paused = CASE WHEN paused_for_balance AND pending_billing_mode = 'invoice' THEN FALSE ELSE is_paused END,
+        paused_for_balance = CASE WHEN pending_billing_mode = 'invoice' THEN FALSE ELSE paused_for_balance END,
         updated_at = NOW()
       WHERE payment_completed = TRUE 
         AND status IN ('active', 'archived')
@@ -6506,10 +7482,66 @@ async function performWeeklyReset() {
   }
 }
 
+// Log a rejected impression attempt for admin review (/admin-cs → Fraud). Never throws.
+async function recordImpressionFraudEvent(pool, req, { reason, endpoint, advertiserId, videoFilename, claims }) {
+  const parsedAdvertiserId = parseInt(advertiserId ?? claims?.aid, 10);
+  console.log(`🚫 [IMPRESSION FRAUD] ${reason} on ${endpoint}:`, {
+    userId: req.user?.userId,
+    advertiserId: advertiserId ?? claims?.aid,
+    videoFilename: videoFilename ?? claims?.fn
+  });
+  try {
+    await pool.query(`
+      INSERT INTO impression_fraud_events
+        (reason, endpoint, advertiser_id, user_id, video_filename, token_jti, ip_address, user_agent)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    `, [
+      reason,
+      endpoint,
+      Number.isFinite(parsedAdvertiserId) ? parsedAdvertiserId : null,
+      req.user?.userId || null,
+      videoFilename ?? claims?.fn ?? null,
+      claims?.jti || null,
+      req.ip || (req.connection && req.connection.remoteAddress) || null,
+      req.headers['user-agent'] || null
+    ]);
+  } catch (err) {
+    console.error('⚠️ Failed to record impression fraud event (non-critical):', err.message);
+  }
+}
+
+// Mark a playlist slot as playing. The impression itself is only counted by /api/impressions/record
+// once the token's minimum watch time has passed since this call.
+app.post('/api/impressions/start', authenticateToken, trackingRateLimit, async (req, res) => {
+  try {
+    const { playToken } = req.body;
+
+    const pool = getPool();
+    if (!pool) {
+      return res.status(500).json({ error: 'Database connection not available' });
+    }
+
+    const check = verifyPlayToken(playToken, { userId: req.user.userId });
+    if (!check.ok) {
+      await recordImpressionFraudEvent(pool, req, { reason: check.reason, endpoint: '/api/impressions/start', claims: check.claims });
+      return res.status(403).json({ success: false, error: 'Invalid play token', reason: check.reason });
+    }
+
+    await startPlayToken(pool, check.claims);
+
+    res.json({ success: true, minWatchSeconds: check.claims.mw });
+  } catch (error) {
+    console.error('❌ Error starting impression:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Record impression for an advertiser video
-app.post('/api/impressions/record', async (req, res) => {
+// Requires a play token from /api/videos/playlist or /api/images/popup-ads that was started via
+// /api/impressions/start at least its minimum watch time ago. Each token counts at most once.
+app.post('/api/impressions/record', authenticateToken, trackingRateLimit, async (req, res) => {
   try {
-    const { advertiserId, videoFilename } = req.body;
+    const { advertiserId, videoFilename, playToken } = req.body;
     
     // Validation: If advertiserId OR videoFilename is NULL → return 200 OK (do nothing)
     // This protects old videos without impression tracking
@@ -6524,13 +7556,27 @@ app.post('/api/impressions/record', async (req, res) => {
       return res.status(500).json({ error: 'Database connection not available' });
     }
     
+    // CRITICAL: Only count impressions backed by a valid, started, unused play token (billing integrity)
+    const tokenCheck = verifyPlayToken(playToken, { userId: req.user.userId, advertiserId, filename: videoFilename });
+    const redemption = tokenCheck.ok ? await redeemPlayToken(pool, tokenCheck.claims) : tokenCheck;
+    if (!redemption.ok) {
+      await recordImpressionFraudEvent(pool, req, {
+        reason: redemption.reason,
+        endpoint: '/api/impressions/record',
+        advertiserId,
+        videoFilename,
+        claims: tokenCheck.claims
+      });
+      return res.status(403).json({ success: false, error: 'Impression rejected', reason: redemption.reason });
+    }
+    
     // Look up advertiser by id
     // CRITICAL: Only record impressions for campaigns where payment_completed = TRUE (exclude abandoned signups)
     const advertiserResult = await pool.query(
       `SELECT id, video_filename, status, payment_completed, recurring_weekly, 
               current_week_start, campaign_start_date, current_week_impressions, total_impressions,
               is_paused, max_weekly_impressions, capped, weekly_budget_cap, cpm_rate,
-              weekly_contributed_amount
+              weekly_contributed_amount, frequency_cap_per_hour, frequency_cap_per_day, billing_mode
        FROM advertisers 
        WHERE id = $1`,
       [advertiserId]
@@ -6612,6 +7658,27 @@ app.post('/api/impressions/record', async (req, res) => {
       }
     }
     
+    // IVT filter: flagged traffic is stored with its reason code and never reaches the counters below
+    const ivt = await screenTrafficEvent(pool, req, {
+      eventType: 'impression',
+      viewerKey: `user:${req.user.userId}`,
+      advertiserId: advertiser.id,
+      creative: videoFilename
+    });
+    if (!ivt.valid) {
+      return res.status(200).json({ success: true, filtered: true, reason: ivt.reason });
+    }
+    
+    // Frequency cap: over-cap impressions stay in traffic_events as non-billable and are not counted
+    const frequencyCap = await applyImpressionFrequencyCap(pool, {
+      viewerKey: `user:${req.user.userId}`,
+      advertiser,
+      eventId: ivt.eventId
+    });
+    if (frequencyCap.capped) {
+      return res.status(200).json({ success: true, billable: false, reason: 'frequency_cap' });
+    }
+    
     // Update impressions
     const totalImpressions = (advertiser.total_impressions || 0) + 1;
     currentWeekImpressions += 1;
@@ -6703,6 +7770,17 @@ app.post('/api/impressions/record', async (req, res) => {
     
     await pool.query(updateQuery, updateParams);
     
+    // Prepaid campaigns pay for the impression from the advertiser's wallet right away
+    if (advertiser.billing_mode === 'prepaid') {
+      await drawPrepaidUsage(pool, {
+        advertiserId: advertiser.id,
+        kind: 'impression',
+        amount: contributionDelta,
+        weeklyBudgetCap: advertiser.weekly_budget_cap,
+        contributedBefore: advertiser.weekly_contributed_amount
+      });
+    }
+    
     // Fetch updated weekly_contributed_amount for logging
     const contributionResult = await pool.query(
       `SELECT weekly_contributed_amount FROM advertisers WHERE id = $1`,
@@ -6746,8 +7824,21 @@ app.post('/api/sponsor-impressions/record', async (req, res) => {
       return res.status(500).json({ success: false, error: 'Database connection not available' });
     }
     const weekStartDate = getSponsorWeekStartDateUTC();
+    const hasViewerId = viewerId && typeof viewerId === 'string' && /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(viewerId);
+    
+    // IVT filter: anonymous endpoint, so viewers are keyed by viewerId and fall back to IP
+    const ivt = await screenTrafficEvent(pool, req, {
+      eventType: 'sponsor_impression',
+      viewerKey: hasViewerId ? `viewer:${viewerId.toLowerCase()}` : `ip:${req.ip || 'unknown'}`,
+      sponsorCampaignId,
+      creative: videoFilename || null
+    });
+    if (!ivt.valid) {
+      return res.status(200).json({ success: true, filtered: true, reason: ivt.reason });
+    }
+    
     let uniqueViewerIncrement = 0;
-    if (viewerId && typeof viewerId === 'string' && /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(viewerId)) {
+    if (hasViewerId) {
       const ins = await pool.query(`
         INSERT INTO sponsor_unique_viewers (sponsor_campaign_id, viewer_id, rollup_date)
         VALUES ($1::uuid, $2::uuid, $3::date)
@@ -6886,6 +7977,7 @@ app.post('/api/advertisers/check-cap', authenticateToken, async (req, res) => {
           });
           await r2Client.send(deleteCommand);
           console.log(`[ARCHIVE ATTEMPT] campaignId=${advertiserId} - R2 delete successful: ${sourceKey}`);
+          await archiveAdvertiserCreatives(pool, advertiserId, destKey);
 
           // Construct the archived media URL
           const archivedMediaUrl = normalizeBareMediaR2Link(`${R2_PUBLIC_URL}/${destKey}`);
@@ -7041,6 +8133,7 @@ async function archiveCampaign(campaignId, archivedReason, pool) {
         });
         await r2Client.send(deleteCommand);
         console.log(`[ARCHIVE ATTEMPT] campaignId=${campaignId} - R2 delete successful: ${sourceKey}`);
+        await archiveAdvertiserCreatives(pool, campaignId, destKey);
 
         // Construct the archived media URL
         archivedMediaUrl = normalizeBareMediaR2Link(`${R2_PUBLIC_URL}/${destKey}`);
@@ -7159,6 +8252,71 @@ function getBillingWeekEnd(weekStart) {
   return sundayUTC;
 }
 
+/**
+ * Invoice / receipt PDF for an advertiser Stripe invoice, as an email attachment ({ filename, content }).
+ * Returns null on failure so the email still goes out without it.
+ */
+async function buildAdvertiserInvoicePdf(pool, invoice, logPrefix) {
+  try {
+    const model = await loadAdvertiserInvoiceDocument(pool, invoice);
+    return { filename: model.filename, content: await renderBillingPdf(model) };
+  } catch (err) {
+    console.error(`${logPrefix} Could not build invoice PDF for ${invoice.id}:`, err.message);
+    return null;
+  }
+}
+
+/**
+ * Email the advertiser a receipt with the invoice PDF attached. Called once per invoice, after its
+ * donation_ledger row is first written. Failures are logged only.
+ */
+async function sendAdvertiserInvoiceReceipt(pool, invoice, advertiserId, logPrefix) {
+  if (!emailService || !emailService.isEmailConfigured()) return;
+  try {
+    const adv = await pool.query(`SELECT email, company_name FROM advertisers WHERE id = $1`, [advertiserId]);
+    if (adv.rows.length === 0 || !adv.rows[0].email) return;
+    const { email, company_name } = adv.rows[0];
+    const pdf = await buildAdvertiserInvoicePdf(pool, invoice, logPrefix);
+    await emailService.sendBillingReceiptEmail(email, company_name, {
+      amountLabel: formatMoney((invoice.amount_paid || 0) / 100, invoice.currency),
+      description: `advertising invoice ${invoice.number || invoice.id}`,
+      pdf
+    });
+  } catch (err) {
+    console.error(`${logPrefix} Error sending advertiser receipt email:`, err.message);
+  }
+}
+
+/**
+ * Email the sponsor a receipt for a campaign payment (amount in the campaign currency) with the sponsorship
+ * receipt PDF attached. Called once per payment, after its donation_ledger row is first written. Failures are logged only.
+ */
+async function sendSponsorCampaignReceipt(pool, sponsorCampaignId, amount, logPrefix) {
+  if (!emailService || !emailService.isEmailConfigured()) return;
+  try {
+    const account = await pool.query(
+      `SELECT sa.contact_email, sa.organization_legal_name, sc.currency
+       FROM sponsor_campaigns sc
+       JOIN sponsor_accounts sa ON sa.id = sc.sponsor_account_id
+       WHERE sc.id = $1`,
+      [sponsorCampaignId]
+    );
+    if (account.rows.length === 0 || !account.rows[0].contact_email) return;
+    const { contact_email, organization_legal_name, currency } = account.rows[0];
+    const pdf = await buildSponsorCampaignPdf(pool, sponsorCampaignId).catch(err => {
+      console.error(`${logPrefix} Could not build sponsor receipt PDF for campaign ${sponsorCampaignId}:`, err.message);
+      return null;
+    });
+    await emailService.sendBillingReceiptEmail(contact_email, organization_legal_name, {
+      amountLabel: formatMoney(amount, currency),
+      description: 'your Charity Stream sponsorship',
+      pdf
+    });
+  } catch (err) {
+    console.error(`${logPrefix} Error sending sponsor receipt email:`, err.message);
+  }
+}
+
 /**
  * When a recurring advertiser invoice is actually paid, record donation_ledger + weekly_donation_pool.
  * Looks up recurring_billing_records by Stripe invoice id (written at finalize time).
@@ -7170,7 +8328,7 @@ async function applyAdvertiserRecurringLedgerFromInvoicePaid(invoice, pool, logP
   }
 
   const rec = await pool.query(
-    `SELECT advertiser_id, amount_billed, billing_week_start
+    `SELECT advertiser_id, amount_billed, billing_week_start, currency, fx_rate_id
      FROM recurring_billing_records
      WHERE stripe_invoice_id = $1
      LIMIT 1`,
@@ -7187,14 +8345,16 @@ async function applyAdvertiserRecurringLedgerFromInvoicePaid(invoice, pool, logP
       ? billingWeekStart.toISOString().slice(0, 10)
       : String(billingWeekStart).split('T')[0];
 
-  const amt = typeof amountBilled === 'number' ? amountBilled : parseFloat(amountBilled, 10);
+  // Pooled in the reporting currency at the FX snapshot taken when the invoice was finalized
+  const converted = await toReportingAmount(pool, amountBilled, rec.rows[0].currency, { fxRateId: rec.rows[0].fx_rate_id });
+  const amt = converted.amount;
 
   const ledgerResult = await pool.query(
-    `INSERT INTO donation_ledger (source_type, source_id, billing_record_id, amount, week_start)
-     VALUES ('advertiser', $1, $2, $3, $4::date)
+    `INSERT INTO donation_ledger (source_type, source_id, billing_record_id, amount, week_start, currency, original_amount, fx_rate, fx_rate_id, cause_category)
+     VALUES ('advertiser', $1, $2, $3, $4::date, $5, $6, $7, $8, ${ledgerCauseSql('advertiser')})
      ON CONFLICT (source_id, week_start) DO NOTHING
      RETURNING id`,
-    [String(advertiserId), invoiceId, amt, weekStartStr]
+    [String(advertiserId), invoiceId, amt, weekStartStr, converted.currency, converted.originalAmount, converted.fxRate, converted.fxRateId]
   );
   if (ledgerResult.rows.length === 0) {
     console.warn(
@@ -7210,14 +8370,31 @@ async function applyAdvertiserRecurringLedgerFromInvoicePaid(invoice, pool, logP
          updated_at = NOW()`,
     [weekStartStr, amt]
   );
-  // Clear billing_failed and un-pause now that payment succeeded
+  await postPoolReceipt(pool, {
+    entryKey: `advertiser_payment:${invoiceId}`,
+    sourceType: 'advertiser_payment',
+    sourceId: advertiserId,
+    poolSource: 'advertiser',
+    amount: amt,
+    weekStart: weekStartStr,
+    creditAccount: ACCOUNTS.ADVERTISER_RECEIVABLE,
+    description: `Recurring advertiser invoice ${invoiceId} paid`
+  });
+  // Clear billing_failed and un-pause a dunning pause now that payment succeeded, unless another invoice of
+  // the campaign is still in dunning
   await pool.query(
-    `UPDATE advertisers SET billing_failed = FALSE, is_paused = FALSE WHERE id = $1 AND billing_failed = TRUE`,
+    `UPDATE advertisers
+     SET billing_failed = FALSE,
+         is_paused = CASE WHEN paused_for_dunning THEN FALSE ELSE is_paused END,
+         paused_for_dunning = FALSE
+     WHERE id = $1 AND billing_failed = TRUE
+       AND NOT EXISTS (SELECT 1 FROM dunning_cases WHERE advertiser_id = $1 AND status = 'open')`,
     [advertiserId]
   );
   console.log(
     `${logPrefix} Advertiser donation ledger and pool updated for advertiser ${advertiserId} week ${weekStartStr}`
   );
+  await sendAdvertiserInvoiceReceipt(pool, invoice, advertiserId, logPrefix);
 }
 
 /**
@@ -7230,7 +8407,7 @@ async function applyAdvertiserNonRecurringLedgerFromInvoicePaid(invoice, pool, l
   if (!invoiceId) return;
 
   const rec = await pool.query(
-    `SELECT advertiser_id, amount_billed, billing_week_start
+    `SELECT advertiser_id, amount_billed, billing_week_start, currency, fx_rate_id
      FROM non_recurring_billing_records
      WHERE stripe_invoice_id = $1
      LIMIT 1`,
@@ -7244,14 +8421,16 @@ async function applyAdvertiserNonRecurringLedgerFromInvoicePaid(invoice, pool, l
       ? billingWeekStart.toISOString().slice(0, 10)
       : String(billingWeekStart).split('T')[0];
 
-  const amt = typeof amountBilled === 'number' ? amountBilled : parseFloat(amountBilled);
+  // Pooled in the reporting currency at the FX snapshot taken when the invoice was finalized
+  const converted = await toReportingAmount(pool, amountBilled, rec.rows[0].currency, { fxRateId: rec.rows[0].fx_rate_id });
+  const amt = converted.amount;
 
   const ledgerResult = await pool.query(
-    `INSERT INTO donation_ledger (source_type, source_id, billing_record_id, amount, week_start)
-     VALUES ('advertiser', $1, $2, $3, $4::date)
+    `INSERT INTO donation_ledger (source_type, source_id, billing_record_id, amount, week_start, currency, original_amount, fx_rate, fx_rate_id, cause_category)
+     VALUES ('advertiser', $1, $2, $3, $4::date, $5, $6, $7, $8, ${ledgerCauseSql('advertiser')})
      ON CONFLICT (source_id, week_start) DO NOTHING
      RETURNING id`,
-    [String(advertiserId), invoiceId, amt, weekStartStr]
+    [String(advertiserId), invoiceId, amt, weekStartStr, converted.currency, converted.originalAmount, converted.fxRate, converted.fxRateId]
   );
   if (ledgerResult.rows.length === 0) {
     console.warn(`${logPrefix} Donation ledger entry already exists for non-recurring advertiser ${advertiserId} week ${weekStartStr}, skipping.`);
@@ -7265,16 +8444,29 @@ async function applyAdvertiserNonRecurringLedgerFromInvoicePaid(invoice, pool, l
          updated_at = NOW()`,
     [weekStartStr, amt]
   );
+  await postPoolReceipt(pool, {
+    entryKey: `advertiser_payment:${invoiceId}`,
+    sourceType: 'advertiser_payment',
+    sourceId: advertiserId,
+    poolSource: 'advertiser',
+    amount: amt,
+    weekStart: weekStartStr,
+    creditAccount: ACCOUNTS.ADVERTISER_RECEIVABLE,
+    description: `Non-recurring advertiser invoice ${invoiceId} paid`
+  });
   // Clear billing_failed now that payment succeeded (non-recurring campaigns stay archived)
   await pool.query(
-    `UPDATE advertisers SET billing_failed = FALSE WHERE id = $1 AND billing_failed = TRUE`,
+    `UPDATE advertisers SET billing_failed = FALSE
+     WHERE id = $1 AND billing_failed = TRUE
+       AND NOT EXISTS (SELECT 1 FROM dunning_cases WHERE advertiser_id = $1 AND status = 'open')`,
     [advertiserId]
   );
   console.log(`${logPrefix} Non-recurring advertiser donation ledger and pool updated for advertiser ${advertiserId} week ${weekStartStr}`);
+  await sendAdvertiserInvoiceReceipt(pool, invoice, advertiserId, logPrefix);
 }
 
 /**
- * Charge $5 expedited approval fee after advertiser setup Checkout completes.
+ * Charge the expedited approval fee ($5 / €5 / £4) after advertiser setup Checkout completes.
  * Idempotent per checkout session (Stripe idempotency key) and per PaymentIntent (donation_ledger.billing_record_id).
  * Failures are logged only; caller should not throw for PI failures.
  */
@@ -7311,11 +8503,17 @@ async function processAdvertiserExpeditedFeeAfterCheckoutSession(sessionComplete
       return;
     }
 
+    // Fee in the campaign currency; its FX snapshot is taken before charging
+    const campaignRow = await pool.query('SELECT currency FROM advertisers WHERE id = $1', [advertiserId]);
+    const currency = campaignRow.rows[0]?.currency || REPORTING_CURRENCY;
+    const feeCents = priceList(currency).expeditedFee;
+    const converted = await toReportingAmount(pool, feeCents / 100, currency);
+
     const idempotencyKey = `expedited-approval-${sessionCompleted.id}`;
     const paymentIntent = await stripe.paymentIntents.create(
       {
-        amount: 500,
-        currency: 'usd',
+        amount: feeCents,
+        currency,
         customer: customerId,
         payment_method: paymentMethodId,
         confirm: true,
@@ -7349,10 +8547,10 @@ async function processAdvertiserExpeditedFeeAfterCheckoutSession(sessionComplete
     let ledgerTouched = false;
     try {
       const ins = await pool.query(
-        `INSERT INTO donation_ledger (source_type, source_id, billing_record_id, amount, week_start)
-         VALUES ('advertiser', $1, $2, $3, $4::date)
+        `INSERT INTO donation_ledger (source_type, source_id, billing_record_id, amount, week_start, currency, original_amount, fx_rate, fx_rate_id, cause_category)
+         VALUES ('advertiser', $1, $2, $3, $4::date, $5, $6, $7, $8, ${ledgerCauseSql('advertiser')})
          RETURNING id`,
-        [String(advertiserId), paymentIntent.id, 5.0, weekStartStr]
+        [String(advertiserId), paymentIntent.id, converted.amount, weekStartStr, converted.currency, converted.originalAmount, converted.fxRate, converted.fxRateId]
       );
       ledgerTouched = ins.rows.length > 0;
     } catch (insertErr) {
@@ -7360,9 +8558,10 @@ async function processAdvertiserExpeditedFeeAfterCheckoutSession(sessionComplete
         const upd = await pool.query(
           `UPDATE donation_ledger
            SET amount = amount + $3,
+               original_amount = COALESCE(original_amount, amount) + $5,
                billing_record_id = $2
            WHERE source_id = $1 AND week_start = $4::date`,
-          [String(advertiserId), paymentIntent.id, 5.0, weekStartStr]
+          [String(advertiserId), paymentIntent.id, converted.amount, weekStartStr, converted.originalAmount]
         );
         ledgerTouched = upd.rowCount > 0;
       } else {
@@ -7377,8 +8576,17 @@ async function processAdvertiserExpeditedFeeAfterCheckoutSession(sessionComplete
          ON CONFLICT (week_start) DO UPDATE
          SET advertiser_total = weekly_donation_pool.advertiser_total + $2,
              updated_at = NOW()`,
-        [weekStartStr, 5.0]
+        [weekStartStr, converted.amount]
       );
+      await postPoolReceipt(pool, {
+        entryKey: `advertiser_expedited:${paymentIntent.id}`,
+        sourceType: 'advertiser_expedited',
+        sourceId: advertiserId,
+        poolSource: 'advertiser',
+        amount: converted.amount,
+        weekStart: weekStartStr,
+        description: 'Expedited approval fee'
+      });
       console.log('✅ [EXPEDITED] Ledger and weekly pool updated for advertiser', advertiserId, 'week', weekStartStr);
     }
 
@@ -7403,6 +8611,25 @@ async function processAdvertiserExpeditedFeeAfterCheckoutSession(sessionComplete
   }
 }
 
+// Invoice memo for traffic the IVT filter excluded from the billed counts
+function ivtInvoiceNote(filteredTraffic) {
+  const parts = [`${filteredTraffic.impressions} impression(s)`];
+  if (filteredTraffic.clicks > 0) parts.push(`${filteredTraffic.clicks} click(s)`);
+  return `Invalid traffic filtered and not billed: ${parts.join(', ')}.`;
+}
+
+// Billing address / tax ID columns of advertiser_accounts (aa) that lib/tax.js quotes tax from
+const ADVERTISER_TAX_COLUMNS = `aa.billing_line1, aa.billing_line2, aa.billing_city, aa.billing_state, aa.billing_postal_code,
+        aa.billing_country, aa.tax_id, aa.tax_id_type, aa.tax_id_validated_at`;
+
+// Tax on an advertiser invoice (lib/tax.js): the quote for the net amount and the Stripe tax rates to set on
+// its invoice items. Added on top of the billed amount, never taken out of it
+async function quoteAdvertiserInvoiceTax(pool, ad, amountCents) {
+  const quote = await quoteTax(pool, { customer: taxCustomerFromAccount(ad), amountCents, currency: ad.currency });
+  const taxRateId = await stripeTaxRateFor(pool, stripe, quote);
+  return { quote, itemTax: taxRateId ? { tax_rates: [taxRateId] } : {} };
+}
+
 // ===== SHARED BILLING EXECUTION FUNCTION =====
 // Bills a campaign for current week impressions
 // Used by both weekly cron and campaign end
@@ -7419,7 +8646,8 @@ async function billCampaignUsage({ campaignId, billingWeekStart, billingWeekEnd,
         a.id, a.email, a.company_name, a.campaign_name,
         aa.stripe_customer_id,
         a.current_week_impressions, a.cpm_rate, a.weekly_budget_cap, a.status, a.payment_completed,
-        a.click_tracking, a.weekly_clicks
+        a.click_tracking, a.weekly_clicks, a.currency, a.billing_mode,
+        ${ADVERTISER_TAX_COLUMNS}
       FROM advertisers a
       INNER JOIN advertiser_accounts aa ON LOWER(TRIM(aa.email)) = LOWER(TRIM(a.email))
       WHERE a.id = $1
@@ -7443,6 +8671,25 @@ async function billCampaignUsage({ campaignId, billingWeekStart, billingWeekEnd,
       return { success: true, skipped: true, reason: 'Campaign archived' };
     }
 
+    // Prepaid campaigns already paid for their delivery from the wallet: the week's draws go into the
+    // donation pool instead of onto an invoice (lib/advertiserWallet.js)
+    if (ad.billing_mode === 'prepaid') {
+      const weekStartStr = new Date(billingWeekStart).toISOString().slice(0, 10);
+      const settlement = await settleWalletUsage(pool, { advertiserId: ad.id, weekStart: weekStartStr });
+      if (!settlement.settled) {
+        console.log(`⏭️ [${triggerLabel}] Skipping prepaid advertiser ${ad.id} - ${settlement.reason}`);
+        return { success: true, skipped: true, reason: `Prepaid: ${settlement.reason}` };
+      }
+      console.log(`✅ [${triggerLabel}] Settled prepaid usage for advertiser ${ad.id}: ${formatMoney(settlement.amount, settlement.currency)} into pool week ${weekStartStr}`);
+      return {
+        success: true,
+        skipped: false,
+        prepaid: true,
+        amount: settlement.amount,
+        impressions: ad.current_week_impressions || 0
+      };
+    }
+
     // Check if has billable impressions
     const impressions = ad.current_week_impressions || 0;
     if (impressions === 0) {
@@ -7472,11 +8719,15 @@ async function billCampaignUsage({ campaignId, billingWeekStart, billingWeekEnd,
     const clickTracking = ad.click_tracking === true;
     const clicks = clickTracking ? (ad.weekly_clicks || 0) : 0;
     
+    // IVT-flagged traffic never reached the counters above; fetch it only to show it on the invoice
+    const filteredTraffic = await getFilteredTrafficCounts(pool, ad.id, billingWeekStart, billingWeekEnd);
+    
     // Calculate impression cost
     const impressionCost = (impressions / 1000) * cpmRate;
     
     // Calculate click cost (only if click tracking is enabled)
-    const clickCost = clickTracking ? (clicks * 0.25) : 0;
+    const clickPrice = priceList(ad.currency).click / 100;
+    const clickCost = clickTracking ? (clicks * clickPrice) : 0;
     
     // Calculate total cost
     const totalCost = impressionCost + clickCost;
@@ -7495,6 +8746,8 @@ async function billCampaignUsage({ campaignId, billingWeekStart, billingWeekEnd,
     console.log(`💳 [${triggerLabel}] Billing calculations for advertiser ${ad.id}:`, {
       impressions: impressions,
       clicks: clicks,
+      ivtFilteredImpressions: filteredTraffic.impressions,
+      ivtFilteredClicks: filteredTraffic.clicks,
       clickTracking: clickTracking,
       impressionCost: impressionCost.toFixed(2),
       clickCost: clickCost.toFixed(2),
@@ -7504,13 +8757,14 @@ async function billCampaignUsage({ campaignId, billingWeekStart, billingWeekEnd,
       wasCapped: wasCapped
     });
 
-    // Skip if below Stripe minimum ($0.50)
-    if (billedAmount < 0.50) {
-      console.log(`⏭️ [${triggerLabel}] Skipping advertiser ${ad.id} - amount ${billedAmount.toFixed(2)} below $0.50 minimum`);
+    // Skip if below Stripe minimum ($0.50 / €0.50 / £0.30)
+    const minimumAmount = minimumCharge(ad.currency);
+    if (billedAmount < minimumAmount) {
+      console.log(`⏭️ [${triggerLabel}] Skipping advertiser ${ad.id} - amount ${formatMoney(billedAmount, ad.currency)} below ${formatMoney(minimumAmount, ad.currency)} minimum`);
       return { 
         success: true, 
         skipped: true, 
-        reason: `Amount $${billedAmount.toFixed(2)} below Stripe minimum $0.50`,
+        reason: `Amount ${formatMoney(billedAmount, ad.currency)} below Stripe minimum ${formatMoney(minimumAmount, ad.currency)}`,
         impressions: impressions,
         clicks: clicks,
         impressionCost: impressionCost.toFixed(2),
@@ -7525,7 +8779,46 @@ async function billCampaignUsage({ campaignId, billingWeekStart, billingWeekEnd,
       console.log(`⏭️ [${triggerLabel}] Click tracking enabled for advertiser ${ad.id} but weekly_clicks = 0, skipping click billing`);
     }
 
+    // Promotions come off the gross amount. From here on billedAmount is net of the discount: it is what the
+    // invoice charges, what the billing record stores and what invoice.paid pools (lib/promotions.js)
+    const grossAmount = billedAmount;
+    const grossAmountCents = Math.round(grossAmount * 100);
+    let discount;
+    try {
+      discount = await quoteCampaignDiscount(pool, { advertiserId: ad.id, currency: ad.currency, grossAmount, minimumAmount });
+    } catch (promotionError) {
+      console.error(`❌ [${triggerLabel}] Promotion lookup failed for advertiser ${ad.id}:`, promotionError.message);
+      return { success: false, skipped: false, error: `Promotion lookup failed: ${promotionError.message}` };
+    }
+    if (discount.amount > 0) {
+      billedAmount = discount.netAmount;
+      console.log(`🎟️ [${triggerLabel}] ${discount.description} on advertiser ${ad.id}: -${formatMoney(discount.amount, ad.currency)} (net ${formatMoney(billedAmount, ad.currency)})`);
+    }
+
     const billedAmountCents = Math.round(billedAmount * 100); // Convert to cents
+    const discountCents = grossAmountCents - billedAmountCents;
+
+    // FX snapshot taken before anything is charged: the billing record keeps it for the receivable, and
+    // invoice.paid pools the payment at the same rate
+    let converted;
+    try {
+      converted = await toReportingAmount(pool, billedAmount, ad.currency);
+    } catch (fxError) {
+      console.error(`❌ [${triggerLabel}] No FX rate for advertiser ${ad.id} (${ad.currency}):`, fxError.message);
+      return { success: false, skipped: false, error: `FX rate unavailable: ${fxError.message}` };
+    }
+
+    // Tax is quoted on the net amount and added as a tax line; amount_billed (what gets pooled) stays net
+    let tax;
+    try {
+      tax = await quoteAdvertiserInvoiceTax(pool, ad, billedAmountCents);
+    } catch (taxError) {
+      console.error(`❌ [${triggerLabel}] Tax calculation failed for advertiser ${ad.id}:`, taxError.message);
+      return { success: false, skipped: false, error: `Tax calculation failed: ${taxError.message}` };
+    }
+    if (tax.quote.label) {
+      console.log(`🧾 [${triggerLabel}] ${tax.quote.label} on advertiser ${ad.id}: ${formatMoney(tax.quote.taxCents / 100, ad.currency)}`);
+    }
 
     // Logging already done above in billing calculations
 
@@ -7575,6 +8868,7 @@ async function billCampaignUsage({ campaignId, billingWeekStart, billingWeekEnd,
       invoice = await stripe.invoices.create({
         customer: ad.stripe_customer_id,
         collection_method: 'charge_automatically',
+        currency: ad.currency,
         default_payment_method: defaultPaymentMethodId,  // Explicitly set to current default
         auto_advance: false,  // Manual finalization after item attachment
         metadata: {
@@ -7583,8 +8877,14 @@ async function billCampaignUsage({ campaignId, billingWeekStart, billingWeekEnd,
           campaignName: campaignName,
           campaignType: 'recurring',
           billingWeekStart: billingWeekStart.toISOString(),
-          billingWeekEnd: billingWeekEnd.toISOString()
-        }
+          billingWeekEnd: billingWeekEnd.toISOString(),
+          ivtFilteredImpressions: String(filteredTraffic.impressions),
+          ivtFilteredClicks: String(filteredTraffic.clicks)
+        },
+        ...(filteredTraffic.impressions + filteredTraffic.clicks > 0 && {
+          description: ivtInvoiceNote(filteredTraffic)
+        }),
+        ...(tax.quote.reverseCharge && { footer: tax.quote.note })
       });
       console.log(`✅ [${triggerLabel}] Invoice created (draft): ${invoice.id} for advertiser ${ad.id} with payment method ${defaultPaymentMethodId}`);
     } catch (invoiceError) {
@@ -7610,8 +8910,8 @@ async function billCampaignUsage({ campaignId, billingWeekStart, billingWeekEnd,
           // Distribute cap proportionally
           const impressionRatio = impressionCost / totalCost;
           const clickRatio = clickCost / totalCost;
-          impressionAmountCents = Math.round(billedAmountCents * impressionRatio);
-          clickAmountCents = billedAmountCents - impressionAmountCents; // Ensure exact total
+          impressionAmountCents = Math.round(grossAmountCents * impressionRatio);
+          clickAmountCents = grossAmountCents - impressionAmountCents; // Ensure exact total
         }
         
         // Create impression invoice item
@@ -7619,7 +8919,8 @@ async function billCampaignUsage({ campaignId, billingWeekStart, billingWeekEnd,
           customer: ad.stripe_customer_id,
           invoice: invoice.id,
           amount: impressionAmountCents,
-          currency: 'usd',
+          currency: ad.currency,
+          ...tax.itemTax,
           description: `Charity Stream – Weekly CPM Donation (${impressions} impressions)`
         });
         invoiceItems.push(impressionItem);
@@ -7630,8 +8931,9 @@ async function billCampaignUsage({ campaignId, billingWeekStart, billingWeekEnd,
           customer: ad.stripe_customer_id,
           invoice: invoice.id,
           amount: clickAmountCents,
-          currency: 'usd',
-          description: `Charity Stream – Click Tracking (${clicks} clicks × $0.25)`
+          currency: ad.currency,
+          ...tax.itemTax,
+          description: `Charity Stream – Click Tracking (${clicks} clicks × ${formatMoney(clickPrice, ad.currency)})`
         });
         invoiceItems.push(clickItem);
         console.log(`✅ [${triggerLabel}] Click InvoiceItem created: ${clickItem.id} ($${(clickAmountCents / 100).toFixed(2)})`);
@@ -7639,20 +8941,35 @@ async function billCampaignUsage({ campaignId, billingWeekStart, billingWeekEnd,
         console.log(`✅ [${triggerLabel}] Created 2 InvoiceItems for advertiser ${ad.id} (with click tracking):`, {
           impressionItem: impressionItem.id,
           clickItem: clickItem.id,
-          totalAmount: billedAmount.toFixed(2)
+          totalAmount: grossAmount.toFixed(2)
         });
       } else {
         // Campaign WITHOUT click tracking: create 1 invoice item (impressions only)
         const impressionItem = await stripe.invoiceItems.create({
           customer: ad.stripe_customer_id,
           invoice: invoice.id,  // Explicitly attach to invoice (prevents $0 invoices)
-          amount: billedAmountCents,
-          currency: 'usd',
+          amount: grossAmountCents,
+          currency: ad.currency,
+          ...tax.itemTax,
           description: 'Charity Stream – Weekly CPM Donation'
         });
         invoiceItems.push(impressionItem);
         console.log(`✅ [${triggerLabel}] InvoiceItem created: ${impressionItem.id} attached to invoice ${invoice.id} for advertiser ${ad.id} (impressions only)`);
       }
+
+      if (discountCents > 0) {
+        // Promotion line (negative); carries the same tax rates so tax is charged on the discounted amount
+        const discountItem = await stripe.invoiceItems.create({
+          customer: ad.stripe_customer_id,
+          invoice: invoice.id,
+          amount: -discountCents,
+          currency: ad.currency,
+          ...tax.itemTax,
+          description: discount.description
+        });
+        invoiceItems.push(discountItem);
+        console.log(`✅ [${triggerLabel}] Promotion InvoiceItem created: ${discountItem.id} (-${formatMoney(discountCents / 100, ad.currency)})`);
+      }
     } catch (invoiceItemError) {
       console.error(`❌ [${triggerLabel}] Failed to create InvoiceItem(s) for advertiser ${ad.id}:`, invoiceItemError.message);
       return { 
@@ -7702,11 +9019,16 @@ async function billCampaignUsage({ campaignId, billingWeekStart, billingWeekEnd,
     // Persist billing record (idempotency protection)
     // Do this BEFORE resetting impressions to ensure atomicity
     // donation_ledger / weekly_donation_pool are written when invoice.paid (or invoice.payment_succeeds) fires after payment settles
+    // The record, its journal entry and any promotion application commit together: if one write fails, none is kept
+    const billingClient = await pool.connect();
     try {
-      await pool.query(`
+      await billingClient.query('BEGIN');
+      await billingClient.query(`
         INSERT INTO recurring_billing_records 
-        (advertiser_id, billing_week_start, billing_week_end, impressions_billed, amount_billed, stripe_invoice_id, created_at)
-        VALUES ($1, $2, $3, $4, $5, $6, NOW())
+        (advertiser_id, billing_week_start, billing_week_end, impressions_billed, amount_billed, stripe_invoice_id,
+         ivt_filtered_impressions, ivt_filtered_clicks, clicks_billed, cpm_rate, currency, fx_rate_id,
+         tax_amount, tax_rate, tax_label, discount_amount, promotion_code, created_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, NOW())
         RETURNING id
       `, [
         ad.id,
@@ -7714,10 +9036,41 @@ async function billCampaignUsage({ campaignId, billingWeekStart, billingWeekEnd,
         billingWeekEnd,
         impressions,
         billedAmount,
-        invoice.id
+        invoice.id,
+        filteredTraffic.impressions,
+        filteredTraffic.clicks,
+        clicks,
+        cpmRate,
+        converted.currency,
+        converted.fxRateId,
+        invoiceTaxCents(invoice) / 100,
+        tax.quote.label ? tax.quote.ratePercent : null,
+        tax.quote.label,
+        discount.amount,
+        discount.promotionCode
       ]);
+      await postAdvertiserBilling(billingClient, {
+        invoiceId: invoice.id,
+        advertiserId: ad.id,
+        amount: converted.amount,
+        weekStart: billingWeekStart,
+        description: `Recurring advertiser billing (${impressions} impressions)`
+      });
+      if (discount.amount > 0) {
+        await recordPromotionApplication(billingClient, {
+          redemptionId: discount.redemptionId,
+          recordType: 'recurring',
+          advertiserId: ad.id,
+          stripeInvoiceId: invoice.id,
+          weekStart: billingWeekStart,
+          amount: discount.amount,
+          currency: ad.currency
+        });
+      }
+      await billingClient.query('COMMIT');
       console.log(`✅ [${triggerLabel}] Billing record saved for advertiser ${ad.id}`);
     } catch (dbError) {
+      await billingClient.query('ROLLBACK').catch(() => {});
       // If unique constraint violation (idempotency), another process may have billed
       if (dbError.code === '23505' || dbError.message.includes('unique') || dbError.message.includes('duplicate')) {
         console.log(`⏭️ [${triggerLabel}] Billing record already exists for advertiser ${ad.id} (idempotency protection - race condition)`);
@@ -7737,6 +9090,8 @@ async function billCampaignUsage({ campaignId, billingWeekStart, billingWeekEnd,
         error: `Billing record save failed: ${dbError.message}`,
         invoiceId: invoice.id
       };
+    } finally {
+      billingClient.release();
     }
 
     // Reset impressions and clicks ONLY if billing succeeded and campaign is not archived
@@ -7928,7 +9283,8 @@ async function billNonRecurringCampaign({ campaignId, pool, useBudgetCap = false
         a.id, a.email, a.company_name, a.campaign_name,
         aa.stripe_customer_id,
         a.total_impressions, a.cpm_rate, a.status, a.approved_at, a.campaign_start_date, a.recurring_weekly, a.weekly_budget_cap, a.payment_completed,
-        a.click_tracking, a.weekly_clicks
+        a.click_tracking, a.weekly_clicks, a.currency,
+        ${ADVERTISER_TAX_COLUMNS}
       FROM advertisers a
       INNER JOIN advertiser_accounts aa ON LOWER(TRIM(aa.email)) = LOWER(TRIM(a.email))
       WHERE a.id = $1
@@ -8017,7 +9373,8 @@ async function billNonRecurringCampaign({ campaignId, pool, useBudgetCap = false
     const impressionCost = (impressions / 1000) * cpmRate;
     
     // Calculate click cost (only if click tracking is enabled)
-    const clickCost = clickTracking ? (clicks * 0.25) : 0;
+    const clickPrice = priceList(ad.currency).click / 100;
+    const clickCost = clickTracking ? (clicks * clickPrice) : 0;
     
     // Calculate total cost
     const totalCost = impressionCost + clickCost;
@@ -8058,16 +9415,17 @@ async function billNonRecurringCampaign({ campaignId, pool, useBudgetCap = false
       });
     }
 
-    // Skip if below Stripe minimum ($0.50)
-    if (billedAmount < 0.50) {
-      console.log(`⏭️ [${triggerLabel}] Skipping billing for campaign ${ad.id} - amount ${billedAmount.toFixed(2)} below $0.50 minimum`);
+    // Skip if below Stripe minimum ($0.50 / €0.50 / £0.30)
+    const minimumAmount = minimumCharge(ad.currency);
+    if (billedAmount < minimumAmount) {
+      console.log(`⏭️ [${triggerLabel}] Skipping billing for campaign ${ad.id} - amount ${formatMoney(billedAmount, ad.currency)} below ${formatMoney(minimumAmount, ad.currency)} minimum`);
       console.log(`📦 [${triggerLabel}] Archiving non-recurring campaign ${ad.id} (billing skipped due to amount below threshold)`);
       
       // Archive the campaign even though billing is skipped
       try {
         const archiveResult = await archiveCampaign(
           ad.id,
-          `Non-recurring campaign archived (billing amount $${billedAmount.toFixed(2)} below $0.50 minimum)`,
+          `Non-recurring campaign archived (billing amount ${formatMoney(billedAmount, ad.currency)} below ${formatMoney(minimumAmount, ad.currency)} minimum)`,
           pool
         );
 
@@ -8076,7 +9434,7 @@ async function billNonRecurringCampaign({ campaignId, pool, useBudgetCap = false
           return { 
             success: false, 
             skipped: true, 
-            reason: `Amount $${billedAmount.toFixed(2)} below Stripe minimum $0.50 - archive failed`,
+            reason: `Amount ${formatMoney(billedAmount, ad.currency)} below Stripe minimum ${formatMoney(minimumAmount, ad.currency)} - archive failed`,
             error: archiveResult.error,
             impressions: impressions,
             clicks: clicks,
@@ -8090,7 +9448,7 @@ async function billNonRecurringCampaign({ campaignId, pool, useBudgetCap = false
         return { 
           success: false, 
           skipped: true, 
-          reason: `Amount $${billedAmount.toFixed(2)} below Stripe minimum $0.50 - archive error`,
+          reason: `Amount ${formatMoney(billedAmount, ad.currency)} below Stripe minimum ${formatMoney(minimumAmount, ad.currency)} - archive error`,
           error: archiveError.message,
           impressions: impressions,
           clicks: clicks,
@@ -8101,7 +9459,7 @@ async function billNonRecurringCampaign({ campaignId, pool, useBudgetCap = false
       return { 
         success: true, 
         skipped: true, 
-        reason: `Amount $${billedAmount.toFixed(2)} below Stripe minimum $0.50`,
+        reason: `Amount ${formatMoney(billedAmount, ad.currency)} below Stripe minimum ${formatMoney(minimumAmount, ad.currency)}`,
         impressions: impressions,
         clicks: clicks,
         totalCost: totalCost.toFixed(2),
@@ -8109,7 +9467,46 @@ async function billNonRecurringCampaign({ campaignId, pool, useBudgetCap = false
       };
     }
 
+    // Promotions come off the gross amount. From here on billedAmount is net of the discount: it is what the
+    // invoice charges, what the billing record stores and what invoice.paid pools (lib/promotions.js)
+    const grossAmount = billedAmount;
+    const grossAmountCents = Math.round(grossAmount * 100);
+    let discount;
+    try {
+      discount = await quoteCampaignDiscount(pool, { advertiserId: ad.id, currency: ad.currency, grossAmount, minimumAmount });
+    } catch (promotionError) {
+      console.error(`❌ [${triggerLabel}] Promotion lookup failed for campaign ${ad.id}:`, promotionError.message);
+      return { success: false, skipped: false, error: `Promotion lookup failed: ${promotionError.message}` };
+    }
+    if (discount.amount > 0) {
+      billedAmount = discount.netAmount;
+      console.log(`🎟️ [${triggerLabel}] ${discount.description} on campaign ${ad.id}: -${formatMoney(discount.amount, ad.currency)} (net ${formatMoney(billedAmount, ad.currency)})`);
+    }
+
     const billedAmountCents = Math.round(billedAmount * 100); // Convert to cents
+    const discountCents = grossAmountCents - billedAmountCents;
+
+    // FX snapshot taken before anything is charged: the billing record keeps it for the receivable, and
+    // invoice.paid pools the payment at the same rate
+    let converted;
+    try {
+      converted = await toReportingAmount(pool, billedAmount, ad.currency);
+    } catch (fxError) {
+      console.error(`❌ [${triggerLabel}] No FX rate for campaign ${ad.id} (${ad.currency}):`, fxError.message);
+      return { success: false, skipped: false, error: `FX rate unavailable: ${fxError.message}` };
+    }
+
+    // Tax is quoted on the net amount and added as a tax line; amount_billed (what gets pooled) stays net
+    let tax;
+    try {
+      tax = await quoteAdvertiserInvoiceTax(pool, ad, billedAmountCents);
+    } catch (taxError) {
+      console.error(`❌ [${triggerLabel}] Tax calculation failed for campaign ${ad.id}:`, taxError.message);
+      return { success: false, skipped: false, error: `Tax calculation failed: ${taxError.message}` };
+    }
+    if (tax.quote.label) {
+      console.log(`🧾 [${triggerLabel}] ${tax.quote.label} on campaign ${ad.id}: ${formatMoney(tax.quote.taxCents / 100, ad.currency)}`);
+    }
     
     // Skip click billing if click tracking enabled but no clicks
     if (clickTracking && clicks === 0) {
@@ -8122,6 +9519,9 @@ async function billNonRecurringCampaign({ campaignId, pool, useBudgetCap = false
     const billingWeekEnd = new Date(goLiveDate);
     billingWeekEnd.setDate(billingWeekEnd.getDate() + 7); // 7 days after go-live
 
+    // IVT-flagged traffic never reached total_impressions / weekly_clicks; fetch it only to show it on the invoice
+    const filteredTraffic = await getFilteredTrafficCounts(pool, ad.id, billingWeekStart, billingWeekEnd);
+
     // Logging already done above in billing calculations
 
     // Retrieve customer to get current default payment method (must be done immediately before invoice creation)
@@ -8194,6 +9594,7 @@ async function billNonRecurringCampaign({ campaignId, pool, useBudgetCap = false
       invoice = await stripe.invoices.create({
         customer: ad.stripe_customer_id,
         collection_method: 'charge_automatically',
+        currency: ad.currency,
         default_payment_method: defaultPaymentMethodId,  // Explicitly set to current default
         auto_advance: false,  // Manual finalization after item attachment
         metadata: {
@@ -8202,8 +9603,14 @@ async function billNonRecurringCampaign({ campaignId, pool, useBudgetCap = false
           campaignName: campaignName,
           campaignType: 'non-recurring',
           billingWeekStart: billingWeekStart.toISOString(),
-          billingWeekEnd: billingWeekEnd.toISOString()
-        }
+          billingWeekEnd: billingWeekEnd.toISOString(),
+          ivtFilteredImpressions: String(filteredTraffic.impressions),
+          ivtFilteredClicks: String(filteredTraffic.clicks)
+        },
+        ...(filteredTraffic.impressions + filteredTraffic.clicks > 0 && {
+          description: ivtInvoiceNote(filteredTraffic)
+        }),
+        ...(tax.quote.reverseCharge && { footer: tax.quote.note })
       });
       console.log(`✅ [${triggerLabel}] Invoice created (draft): ${invoice.id} for campaign ${ad.id} with payment method ${defaultPaymentMethodId}`);
     } catch (invoiceError) {
@@ -8228,8 +9635,8 @@ async function billNonRecurringCampaign({ campaignId, pool, useBudgetCap = false
         if (wasCapped && totalCost > 0) {
           // Distribute cap proportionally
           const impressionRatio = impressionCost / totalCost;
-          impressionAmountCents = Math.round(billedAmountCents * impressionRatio);
-          clickAmountCents = billedAmountCents - impressionAmountCents; // Ensure exact total
+          impressionAmountCents = Math.round(grossAmountCents * impressionRatio);
+          clickAmountCents = grossAmountCents - impressionAmountCents; // Ensure exact total
         }
         
         // Create impression invoice item
@@ -8237,7 +9644,8 @@ async function billNonRecurringCampaign({ campaignId, pool, useBudgetCap = false
           customer: ad.stripe_customer_id,
           invoice: invoice.id,
           amount: impressionAmountCents,
-          currency: 'usd',
+          currency: ad.currency,
+          ...tax.itemTax,
           description: `Charity Stream – Non-Recurring Campaign CPM Donation (${impressions} impressions)`
         });
         invoiceItems.push(impressionItem);
@@ -8248,8 +9656,9 @@ async function billNonRecurringCampaign({ campaignId, pool, useBudgetCap = false
           customer: ad.stripe_customer_id,
           invoice: invoice.id,
           amount: clickAmountCents,
-          currency: 'usd',
-          description: `Charity Stream – Click Tracking (${clicks} clicks × $0.25)`
+          currency: ad.currency,
+          ...tax.itemTax,
+          description: `Charity Stream – Click Tracking (${clicks} clicks × ${formatMoney(clickPrice, ad.currency)})`
         });
         invoiceItems.push(clickItem);
         console.log(`✅ [${triggerLabel}] Click InvoiceItem created: ${clickItem.id} ($${(clickAmountCents / 100).toFixed(2)})`);
@@ -8257,20 +9666,35 @@ async function billNonRecurringCampaign({ campaignId, pool, useBudgetCap = false
         console.log(`✅ [${triggerLabel}] Created 2 InvoiceItems for campaign ${ad.id} (with click tracking):`, {
           impressionItem: impressionItem.id,
           clickItem: clickItem.id,
-          totalAmount: billedAmount.toFixed(2)
+          totalAmount: grossAmount.toFixed(2)
         });
       } else {
         // Campaign WITHOUT click tracking: create 1 invoice item (impressions only)
         const impressionItem = await stripe.invoiceItems.create({
           customer: ad.stripe_customer_id,
           invoice: invoice.id,  // Explicitly attach to invoice (prevents $0 invoices)
-          amount: billedAmountCents,
-          currency: 'usd',
+          amount: grossAmountCents,
+          currency: ad.currency,
+          ...tax.itemTax,
           description: 'Charity Stream – Non-Recurring Campaign CPM Donation'
         });
         invoiceItems.push(impressionItem);
         console.log(`✅ [${triggerLabel}] InvoiceItem created: ${impressionItem.id} attached to invoice ${invoice.id} for campaign ${ad.id} (impressions only)`);
       }
+
+      if (discountCents > 0) {
+        // Promotion line (negative); carries the same tax rates so tax is charged on the discounted amount
+        const discountItem = await stripe.invoiceItems.create({
+          customer: ad.stripe_customer_id,
+          invoice: invoice.id,
+          amount: -discountCents,
+          currency: ad.currency,
+          ...tax.itemTax,
+          description: discount.description
+        });
+        invoiceItems.push(discountItem);
+        console.log(`✅ [${triggerLabel}] Promotion InvoiceItem created: ${discountItem.id} (-${formatMoney(discountCents / 100, ad.currency)})`);
+      }
     } catch (invoiceItemError) {
       console.error(`❌ [${triggerLabel}] Failed to create InvoiceItem(s) for campaign ${ad.id}:`, invoiceItemError.message);
       return { 
@@ -8319,11 +9743,16 @@ async function billNonRecurringCampaign({ campaignId, pool, useBudgetCap = false
 
     // Persist billing record (idempotency protection)
     // Do this BEFORE archiving to ensure atomicity
+    // The record, its journal entry and any promotion application commit together: if one write fails, none is kept
+    const billingClient = await pool.connect();
     try {
-      await pool.query(`
+      await billingClient.query('BEGIN');
+      await billingClient.query(`
         INSERT INTO non_recurring_billing_records
-        (campaign_id, advertiser_id, billing_week_start, billing_week_end, impressions_billed, amount_billed, stripe_invoice_id, created_at)
-        VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+        (campaign_id, advertiser_id, billing_week_start, billing_week_end, impressions_billed, amount_billed, stripe_invoice_id,
+         ivt_filtered_impressions, ivt_filtered_clicks, clicks_billed, cpm_rate, currency, fx_rate_id,
+         tax_amount, tax_rate, tax_label, discount_amount, promotion_code, created_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, NOW())
       `, [
         ad.id,  // campaign_id (unique constraint)
         ad.id,  // advertiser_id (same as campaign_id for non-recurring)
@@ -8331,10 +9760,41 @@ async function billNonRecurringCampaign({ campaignId, pool, useBudgetCap = false
         billingWeekEnd,
         impressions,
         billedAmount,
-        invoice.id
+        invoice.id,
+        filteredTraffic.impressions,
+        filteredTraffic.clicks,
+        clicks,
+        cpmRate,
+        converted.currency,
+        converted.fxRateId,
+        invoiceTaxCents(invoice) / 100,
+        tax.quote.label ? tax.quote.ratePercent : null,
+        tax.quote.label,
+        discount.amount,
+        discount.promotionCode
       ]);
+      await postAdvertiserBilling(billingClient, {
+        invoiceId: invoice.id,
+        advertiserId: ad.id,
+        amount: converted.amount,
+        weekStart: billingWeekStart,
+        description: `Non-recurring advertiser billing (${impressions} impressions)`
+      });
+      if (discount.amount > 0) {
+        await recordPromotionApplication(billingClient, {
+          redemptionId: discount.redemptionId,
+          recordType: 'non_recurring',
+          advertiserId: ad.id,
+          stripeInvoiceId: invoice.id,
+          weekStart: billingWeekStart,
+          amount: discount.amount,
+          currency: ad.currency
+        });
+      }
+      await billingClient.query('COMMIT');
       console.log(`✅ [${triggerLabel}] Billing record saved for campaign ${ad.id} — donation_ledger and pool will be written when invoice.paid webhook fires`);
     } catch (dbError) {
+      await billingClient.query('ROLLBACK').catch(() => {});
       // If unique constraint violation (idempotency), another process may have billed
       if (dbError.code === '23505' || dbError.message.includes('unique') || dbError.message.includes('duplicate')) {
         console.log(`⏭️ [${triggerLabel}] Billing record already exists for campaign ${ad.id} (idempotency protection - race condition)`);
@@ -8354,6 +9814,8 @@ async function billNonRecurringCampaign({ campaignId, pool, useBudgetCap = false
         error: `Billing record save failed: ${dbError.message}`,
         invoiceId: invoice.id
       };
+    } finally {
+      billingClient.release();
     }
 
     // Archive the campaign after successful billing
@@ -8877,79 +10339,404 @@ async function performSponsorMondayActivation() {
       }
     }
 
-    console.log(`✅ [SPONSOR-MONDAY] Monday job completed: ${extendedCount} trial(s) extended`);
+    console.log(`✅ [SPONSOR-MONDAY] Monday job completed: ${extendedCount} trial(s) extended`);
+
+    return {
+      success: true,
+      extendedCount,
+      timestamp: new Date().toISOString()
+    };
+
+  } catch (error) {
+    console.error("❌ [SPONSOR-MONDAY] Error in Monday activation job:", error);
+    console.error("❌ [SPONSOR-MONDAY] Error stack:", error.stack);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+// Monday sponsor activation endpoint for Vercel cron job (runs Monday at 12:00 AM)
+app.get("/api/system/sponsor-monday-activation", async (req, res) => {
+  console.log("⏰ [CRON] Sponsor Monday activation triggered");
+  console.log("⏰ [CRON] Request time:", new Date().toISOString());
+  console.log("⏰ [CRON] Request headers:", {
+    'user-agent': req.headers['user-agent'],
+    'x-vercel-cron': req.headers['x-vercel-cron']
+  });
+
+  // Verify this is a legitimate Vercel cron request (security check)
+  const isVercelCron = req.headers['x-vercel-cron'] === '1';
+  const isLocalDev = process.env.NODE_ENV !== 'production';
+  const isManualTrigger = process.env.CRON_SECRET && req.query.secret === process.env.CRON_SECRET;
+
+  if (!isVercelCron && !isLocalDev && !isManualTrigger) {
+    console.warn("⚠️ [CRON] Request missing x-vercel-cron header - rejecting");
+    return res.status(401).json({ 
+      success: false, 
+      error: "Unauthorized - missing Vercel cron header" 
+    });
+  }
+
+  console.log("✅ [CRON] Request verified as Vercel cron job");
+
+  try {
+    const result = await performSponsorMondayActivation();
+    
+    if (result.success) {
+      res.json({
+        success: true,
+        message: "Sponsor Monday job executed",
+        extendedCount: result.extendedCount,
+        timestamp: result.timestamp
+      });
+    } else {
+      res.status(500).json({ 
+        success: false, 
+        error: result.error || "Sponsor Monday activation failed"
+      });
+    }
+  } catch (error) {
+    console.error("❌ [CRON] Sponsor Monday activation route error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ===== SPONSOR END-CAMPAIGNS CRON ROUTE (Vercel Cron) =====
+// Ends non-recurring sponsor campaigns whose 7-day window has expired.
+// Runs Monday 00:00 AM PT / Monday 08:00 UTC — after full Sunday has elapsed in PT.
+app.get("/api/system/sponsor-end-campaigns", async (req, res) => {
+  console.log("⏰ [CRON] Sponsor end-campaigns triggered");
+  console.log("⏰ [CRON] Request time:", new Date().toISOString());
+
+  const isVercelCron = req.headers['x-vercel-cron'] === '1';
+  const isLocalDev = process.env.NODE_ENV !== 'production';
+  const isManualTrigger = process.env.CRON_SECRET && req.query.secret === process.env.CRON_SECRET;
+
+  if (!isVercelCron && !isLocalDev && !isManualTrigger) {
+    console.warn("⚠️ [CRON] Request missing x-vercel-cron header - rejecting");
+    return res.status(401).json({
+      success: false,
+      error: "Unauthorized - missing Vercel cron header"
+    });
+  }
+
+  try {
+    const result = await performSponsorEndCampaigns();
+
+    if (result.success) {
+      res.json({
+        success: true,
+        message: "Sponsor end-campaigns executed",
+        endedCount: result.endedCount,
+        timestamp: result.timestamp
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        error: result.error || "Sponsor end-campaigns failed"
+      });
+    }
+  } catch (error) {
+    console.error("❌ [CRON] Sponsor end-campaigns route error:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ===== FALLBACK WINNER SELECTION CRON ROUTE (Vercel Cron) =====
+// Selects a fallback winner for the upcoming week if none has been chosen manually.
+// Runs Saturday 8:00 PM UTC (12:00 PM PST / 1:00 PM PDT).
+app.get("/api/system/fallback-winner-selection", async (req, res) => {
+  console.log("🏆 [CRON] Fallback winner selection triggered");
+  console.log("🏆 [CRON] Request time:", new Date().toISOString());
+
+  const isVercelCron = req.headers['x-vercel-cron'] === '1';
+  const isLocalDev = process.env.NODE_ENV !== 'production';
+  const isManualTrigger = process.env.CRON_SECRET && req.query.secret === process.env.CRON_SECRET;
+
+  if (!isVercelCron && !isLocalDev && !isManualTrigger) {
+    console.warn("⚠️ [CRON] Request missing x-vercel-cron header - rejecting");
+    return res.status(401).json({
+      success: false,
+      error: "Unauthorized - missing Vercel cron header"
+    });
+  }
+
+  const pool = getPool();
+  if (!pool) {
+    return res.status(500).json({ success: false, error: "Database connection not available" });
+  }
+
+  try {
+    const { runFallbackWinnerSelection } = require('./scripts/fallback-winner-job');
+    const result = await runFallbackWinnerSelection(pool);
+
+    if (!result.success) {
+      return res.status(500).json({ success: false, error: result.error || "Fallback winner selection failed" });
+    }
+
+    // Send notification email and stamp notification_sent_at only on email success
+    if (!result.skipped && result.contactEmail && emailService && emailService.isEmailConfigured()) {
+      try {
+        const emailResult = await emailService.sendCharityWeekWinnerEmail(
+          result.contactEmail,
+          result.charityName,
+          result.weekStart,
+          result.weekEnd,
+          { automatic: true }
+        );
+        if (emailResult.success) {
+          await pool.query(
+            'UPDATE charity_week_winner SET notification_sent_at = NOW() WHERE week_start = $1::date',
+            [result.weekStart]
+          );
+          console.log(`🏆 [CRON] Winner notification sent to ${result.contactEmail}`);
+        } else {
+          console.error("❌ [CRON] Winner notification email failed:", emailResult.error);
+        }
+      } catch (emailErr) {
+        console.error("❌ [CRON] Winner notification email error:", emailErr.message);
+      }
+    }
+
+    return res.json({
+      success: true,
+      skipped: result.skipped || false,
+      reason: result.reason,
+      charityName: result.charityName,
+      weekStart: result.weekStart,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error("❌ [CRON] Fallback winner selection route error:", error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ===== CHARITY VOTE CRON ROUTE (Vercel Cron) =====
+// Closes the viewer vote for the upcoming week and records the winner (scripts/close-charity-vote.js).
+// Runs Saturday 7:00 PM UTC, an hour before the fallback winner selection.
+app.get("/api/system/close-charity-vote", async (req, res) => {
+  console.log("🗳️ [CRON] Charity vote close triggered");
+  console.log("🗳️ [CRON] Request time:", new Date().toISOString());
+
+  const isVercelCron = req.headers['x-vercel-cron'] === '1';
+  const isLocalDev = process.env.NODE_ENV !== 'production';
+  const isManualTrigger = process.env.CRON_SECRET && req.query.secret === process.env.CRON_SECRET;
+
+  if (!isVercelCron && !isLocalDev && !isManualTrigger) {
+    console.warn("⚠️ [CRON] Request missing x-vercel-cron header - rejecting");
+    return res.status(401).json({
+      success: false,
+      error: "Unauthorized - missing Vercel cron header"
+    });
+  }
+
+  const pool = getPool();
+  if (!pool) {
+    return res.status(500).json({ success: false, error: "Database connection not available" });
+  }
+
+  try {
+    const { runCloseCharityVote } = require('./scripts/close-charity-vote');
+    const result = await runCloseCharityVote(pool);
+
+    if (!result.success) {
+      return res.status(500).json({ success: false, error: result.error || "Charity vote close failed" });
+    }
+
+    return res.json({ ...result, timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.error("❌ [CRON] Charity vote close route error:", error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ===== CHARITY PAYOUTS CRON ROUTE (Vercel Cron) =====
+// Sends Stripe Connect transfers for pending transfer_intents (scripts/process-charity-payouts.js).
+// Runs daily 12:00 PM UTC.
+app.get("/api/system/process-charity-payouts", async (req, res) => {
+  console.log("💸 [CRON] Charity payouts triggered");
+  console.log("💸 [CRON] Request time:", new Date().toISOString());
+
+  const isVercelCron = req.headers['x-vercel-cron'] === '1';
+  const isLocalDev = process.env.NODE_ENV !== 'production';
+  const isManualTrigger = process.env.CRON_SECRET && req.query.secret === process.env.CRON_SECRET;
+
+  if (!isVercelCron && !isLocalDev && !isManualTrigger) {
+    console.warn("⚠️ [CRON] Request missing x-vercel-cron header - rejecting");
+    return res.status(401).json({
+      success: false,
+      error: "Unauthorized - missing Vercel cron header"
+    });
+  }
+
+  const pool = getPool();
+  if (!pool) {
+    return res.status(500).json({ success: false, error: "Database connection not available" });
+  }
+
+  try {
+    const { runCharityPayouts } = require('./scripts/process-charity-payouts');
+    const result = await runCharityPayouts(pool, stripe);
+
+    if (!result.success) {
+      return res.status(500).json({ success: false, error: result.error || "Charity payouts failed" });
+    }
+
+    return res.json({
+      success: true,
+      processed: result.processed,
+      transferred: result.transferred,
+      failed: result.failed,
+      awaitingOnboarding: result.awaitingOnboarding,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error("❌ [CRON] Charity payouts route error:", error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ===== CREATIVE REGISTRY RECONCILIATION CRON ROUTE (Vercel Cron) =====
+// Reports drift between the creatives table and R2 (report only, nothing is changed).
+// Runs daily 9:30 AM UTC.
+app.get("/api/system/reconcile-creatives", async (req, res) => {
+  console.log("🧾 [CRON] Creative reconciliation triggered");
+  console.log("🧾 [CRON] Request time:", new Date().toISOString());
+
+  const isVercelCron = req.headers['x-vercel-cron'] === '1';
+  const isLocalDev = process.env.NODE_ENV !== 'production';
+  const isManualTrigger = process.env.CRON_SECRET && req.query.secret === process.env.CRON_SECRET;
+
+  if (!isVercelCron && !isLocalDev && !isManualTrigger) {
+    console.warn("⚠️ [CRON] Request missing x-vercel-cron header - rejecting");
+    return res.status(401).json({
+      success: false,
+      error: "Unauthorized - missing Vercel cron header"
+    });
+  }
+
+  const pool = getPool();
+  if (!pool) {
+    return res.status(500).json({ success: false, error: "Database connection not available" });
+  }
+
+  try {
+    const { runReconcileCreatives } = require('./scripts/reconcile-creatives');
+    const result = await runReconcileCreatives(pool, r2Client);
+
+    if (!result.success) {
+      return res.status(500).json({ success: false, error: result.error || "Creative reconciliation failed" });
+    }
+
+    return res.json({
+      success: true,
+      driftCount: result.driftCount,
+      drift: result.drift,
+      checked: result.checked,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error("❌ [CRON] Creative reconciliation route error:", error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ===== STRIPE RECONCILIATION CRON ROUTE (Vercel Cron) =====
+// Compares billing tables with Stripe and stores a mismatch report for admin-cs (report only, nothing is changed).
+// Runs daily 7:00 AM UTC.
+app.get("/api/system/reconcile-stripe", async (req, res) => {
+  console.log("🧾 [CRON] Stripe reconciliation triggered");
+  console.log("🧾 [CRON] Request time:", new Date().toISOString());
+
+  const isVercelCron = req.headers['x-vercel-cron'] === '1';
+  const isLocalDev = process.env.NODE_ENV !== 'production';
+  const isManualTrigger = process.env.CRON_SECRET && req.query.secret === process.env.CRON_SECRET;
+
+  if (!isVercelCron && !isLocalDev && !isManualTrigger) {
+    console.warn("⚠️ [CRON] Request missing x-vercel-cron header - rejecting");
+    return res.status(401).json({
+      success: false,
+      error: "Unauthorized - missing Vercel cron header"
+    });
+  }
+
+  const pool = getPool();
+  if (!pool) {
+    return res.status(500).json({ success: false, error: "Database connection not available" });
+  }
+
+  try {
+    const { runReconcileStripe } = require('./scripts/reconcile-stripe');
+    const result = await runReconcileStripe(pool, stripe);
+
+    if (!result.success) {
+      return res.status(500).json({ success: false, error: result.error || "Stripe reconciliation failed" });
+    }
 
-    return {
+    return res.json({
       success: true,
-      extendedCount,
+      runId: result.runId,
+      mismatchCount: result.mismatchCount,
+      summary: result.summary,
+      checked: result.checked,
       timestamp: new Date().toISOString()
-    };
-
+    });
   } catch (error) {
-    console.error("❌ [SPONSOR-MONDAY] Error in Monday activation job:", error);
-    console.error("❌ [SPONSOR-MONDAY] Error stack:", error.stack);
-    return {
-      success: false,
-      error: error.message
-    };
+    console.error("❌ [CRON] Stripe reconciliation route error:", error);
+    return res.status(500).json({ success: false, error: error.message });
   }
-}
+});
 
-// Monday sponsor activation endpoint for Vercel cron job (runs Monday at 12:00 AM)
-app.get("/api/system/sponsor-monday-activation", async (req, res) => {
-  console.log("⏰ [CRON] Sponsor Monday activation triggered");
-  console.log("⏰ [CRON] Request time:", new Date().toISOString());
-  console.log("⏰ [CRON] Request headers:", {
-    'user-agent': req.headers['user-agent'],
-    'x-vercel-cron': req.headers['x-vercel-cron']
-  });
+// ===== DONATION RECEIPTS CRON ROUTE (Vercel Cron) =====
+// Issues missing donation receipts, fills in the week's charity and EIN, and emails unsent receipts.
+// Runs daily 3:00 PM UTC.
+app.get("/api/system/send-donation-receipts", async (req, res) => {
+  console.log("🧾 [CRON] Donation receipts triggered");
+  console.log("🧾 [CRON] Request time:", new Date().toISOString());
 
-  // Verify this is a legitimate Vercel cron request (security check)
   const isVercelCron = req.headers['x-vercel-cron'] === '1';
   const isLocalDev = process.env.NODE_ENV !== 'production';
   const isManualTrigger = process.env.CRON_SECRET && req.query.secret === process.env.CRON_SECRET;
 
   if (!isVercelCron && !isLocalDev && !isManualTrigger) {
     console.warn("⚠️ [CRON] Request missing x-vercel-cron header - rejecting");
-    return res.status(401).json({ 
-      success: false, 
-      error: "Unauthorized - missing Vercel cron header" 
+    return res.status(401).json({
+      success: false,
+      error: "Unauthorized - missing Vercel cron header"
     });
   }
 
-  console.log("✅ [CRON] Request verified as Vercel cron job");
+  const pool = getPool();
+  if (!pool) {
+    return res.status(500).json({ success: false, error: "Database connection not available" });
+  }
 
   try {
-    const result = await performSponsorMondayActivation();
-    
-    if (result.success) {
-      res.json({
-        success: true,
-        message: "Sponsor Monday job executed",
-        extendedCount: result.extendedCount,
-        timestamp: result.timestamp
-      });
-    } else {
-      res.status(500).json({ 
-        success: false, 
-        error: result.error || "Sponsor Monday activation failed"
-      });
-    }
+    const { runSendDonationReceipts } = require('./scripts/send-donation-receipts');
+    const result = await runSendDonationReceipts(pool);
+    return res.json({ ...result, timestamp: new Date().toISOString() });
   } catch (error) {
-    console.error("❌ [CRON] Sponsor Monday activation route error:", error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    console.error("❌ [CRON] Donation receipts route error:", error);
+    return res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// ===== SPONSOR END-CAMPAIGNS CRON ROUTE (Vercel Cron) =====
-// Ends non-recurring sponsor campaigns whose 7-day window has expired.
-// Runs Monday 00:00 AM PT / Monday 08:00 UTC — after full Sunday has elapsed in PT.
-app.get("/api/system/sponsor-end-campaigns", async (req, res) => {
-  console.log("⏰ [CRON] Sponsor end-campaigns triggered");
-  console.log("⏰ [CRON] Request time:", new Date().toISOString());
+// ===== DONATION STATEMENTS CRON ROUTE (Vercel Cron) =====
+// Records and emails year-end donation statements for the previous calendar year (?year= to re-run another).
+// Runs January 15, 4:00 PM UTC.
+app.get("/api/system/generate-donation-statements", async (req, res) => {
+  console.log("🧾 [CRON] Donation statements triggered");
+  console.log("🧾 [CRON] Request time:", new Date().toISOString());
 
   const isVercelCron = req.headers['x-vercel-cron'] === '1';
   const isLocalDev = process.env.NODE_ENV !== 'production';
@@ -8963,37 +10750,32 @@ app.get("/api/system/sponsor-end-campaigns", async (req, res) => {
     });
   }
 
-  try {
-    const result = await performSponsorEndCampaigns();
+  const year = req.query.year ? parseInt(req.query.year, 10) : new Date().getUTCFullYear() - 1;
+  if (!Number.isInteger(year) || year < 2000 || year > new Date().getUTCFullYear()) {
+    return res.status(400).json({ success: false, error: "year must be a past or current year" });
+  }
 
-    if (result.success) {
-      res.json({
-        success: true,
-        message: "Sponsor end-campaigns executed",
-        endedCount: result.endedCount,
-        timestamp: result.timestamp
-      });
-    } else {
-      res.status(500).json({
-        success: false,
-        error: result.error || "Sponsor end-campaigns failed"
-      });
-    }
+  const pool = getPool();
+  if (!pool) {
+    return res.status(500).json({ success: false, error: "Database connection not available" });
+  }
+
+  try {
+    const { runGenerateDonationStatements } = require('./scripts/generate-donation-statements');
+    const result = await runGenerateDonationStatements(pool, { year });
+    return res.json({ ...result, timestamp: new Date().toISOString() });
   } catch (error) {
-    console.error("❌ [CRON] Sponsor end-campaigns route error:", error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    console.error("❌ [CRON] Donation statements route error:", error);
+    return res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// ===== FALLBACK WINNER SELECTION CRON ROUTE (Vercel Cron) =====
-// Selects a fallback winner for the upcoming week if none has been chosen manually.
-// Runs Saturday 8:00 PM UTC (12:00 PM PST / 1:00 PM PDT).
-app.get("/api/system/fallback-winner-selection", async (req, res) => {
-  console.log("🏆 [CRON] Fallback winner selection triggered");
-  console.log("🏆 [CRON] Request time:", new Date().toISOString());
+// ===== FX RATES CRON ROUTE (Vercel Cron) =====
+// Snapshots Stripe's EUR / GBP exchange rates into fx_rates for converting payments into the reporting currency.
+// Runs daily 6:00 AM UTC.
+app.get("/api/system/refresh-fx-rates", async (req, res) => {
+  console.log("💱 [CRON] FX rate refresh triggered");
+  console.log("💱 [CRON] Request time:", new Date().toISOString());
 
   const isVercelCron = req.headers['x-vercel-cron'] === '1';
   const isLocalDev = process.env.NODE_ENV !== 'production';
@@ -9013,48 +10795,49 @@ app.get("/api/system/fallback-winner-selection", async (req, res) => {
   }
 
   try {
-    const { runFallbackWinnerSelection } = require('./scripts/fallback-winner-job');
-    const result = await runFallbackWinnerSelection(pool);
+    const { runRefreshFxRates } = require('./scripts/refresh-fx-rates');
+    const result = await runRefreshFxRates(pool, stripe);
+    return res.json({ ...result, timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.error("❌ [CRON] FX rate refresh route error:", error);
+    return res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    if (!result.success) {
-      return res.status(500).json({ success: false, error: result.error || "Fallback winner selection failed" });
-    }
+// ===== DUNNING CRON ROUTE (Vercel Cron) =====
+// Retries failed advertiser / sponsor invoices on the dunning schedule, pauses campaigns after the grace period
+// and writes off invoices that are still unpaid at the end (lib/dunning.js).
+// Runs daily 2:00 PM UTC.
+app.get("/api/system/process-dunning", async (req, res) => {
+  console.log("📮 [CRON] Dunning triggered");
+  console.log("📮 [CRON] Request time:", new Date().toISOString());
 
-    // Send notification email and stamp notification_sent_at only on email success
-    if (!result.skipped && result.contactEmail && emailService && emailService.isEmailConfigured()) {
-      try {
-        const emailResult = await emailService.sendCharityWeekWinnerEmail(
-          result.contactEmail,
-          result.charityName,
-          result.weekStart,
-          result.weekEnd,
-          { automatic: true }
-        );
-        if (emailResult.success) {
-          await pool.query(
-            'UPDATE charity_week_winner SET notification_sent_at = NOW() WHERE week_start = $1::date',
-            [result.weekStart]
-          );
-          console.log(`🏆 [CRON] Winner notification sent to ${result.contactEmail}`);
-        } else {
-          console.error("❌ [CRON] Winner notification email failed:", emailResult.error);
-        }
-      } catch (emailErr) {
-        console.error("❌ [CRON] Winner notification email error:", emailErr.message);
-      }
-    }
+  const isVercelCron = req.headers['x-vercel-cron'] === '1';
+  const isLocalDev = process.env.NODE_ENV !== 'production';
+  const isManualTrigger = process.env.CRON_SECRET && req.query.secret === process.env.CRON_SECRET;
 
-    return res.json({
-      success: true,
-      skipped: result.skipped || false,
-      reason: result.reason,
-      charityName: result.charityName,
-      weekStart: result.weekStart,
-      timestamp: new Date().toISOString()
+  if (!isVercelCron && !isLocalDev && !isManualTrigger) {
+    console.warn("⚠️ [CRON] Request missing x-vercel-cron header - rejecting");
+    return res.status(401).json({
+      success: false,
+      error: "Unauthorized - missing Vercel cron header"
     });
+  }
+
+  const pool = getPool();
+  if (!pool) {
+    return res.status(500).json({ success: false, error: "Database connection not available" });
+  }
 
+  try {
+    const { runProcessDunning } = require('./scripts/process-dunning');
+    const result = await runProcessDunning(pool, stripe);
+    if (result.paused > 0 || result.writtenOff > 0) {
+      playlistCache.clear();
+    }
+    return res.json({ ...result, timestamp: new Date().toISOString() });
   } catch (error) {
-    console.error("❌ [CRON] Fallback winner selection route error:", error);
+    console.error("❌ [CRON] Dunning route error:", error);
     return res.status(500).json({ success: false, error: error.message });
   }
 });
@@ -9489,6 +11272,9 @@ app.get('/api/sponsor/dashboard', requireSponsorAuth, async (req, res) => {
           COALESCE(sc.weekly_unique_viewers, 0) AS weekly_unique_viewers,
           sb.status AS billing_status,
           sb.stripe_mode,
+          sb.amount_cents,
+          sc.currency,
+          sc.cause_category,
           sa.organization_legal_name
         FROM sponsor_campaigns sc
         JOIN sponsor_billing sb ON sb.sponsor_campaign_id = sc.id
@@ -9544,6 +11330,9 @@ app.get('/api/sponsor/dashboard', requireSponsorAuth, async (req, res) => {
           COALESCE(sc.weekly_unique_viewers, 0) AS weekly_unique_viewers,
           sb.status AS billing_status,
           sb.stripe_mode,
+          sb.amount_cents,
+          sc.currency,
+          sc.cause_category,
           sa.organization_legal_name
         FROM sponsor_campaigns sc
         JOIN sponsor_billing sb ON sb.sponsor_campaign_id = sc.id
@@ -9588,23 +11377,29 @@ app.get('/api/sponsor/dashboard', requireSponsorAuth, async (req, res) => {
     const orgName = row.organization_legal_name || 'Sponsorship';
     const campaignDisplayName = orgName;
 
+    // Open (or recently written-off) dunning case for a failed subscription invoice (lib/dunning.js)
+    const dunningCase = await loadCampaignDunningCase(pool, { sponsorCampaignId: row.campaign_id });
+
     // Same base URL as playlist; null if no video key or generation not completed
     const SPONSOR_VIDEO_BASE_URL = R2_SPONSOR_GENERATED_URL;
     const hasVideo = row.video_r2_key != null && String(row.video_r2_key).trim() !== '' && generationCompleted;
     const creativeUrl = hasVideo ? `${SPONSOR_VIDEO_BASE_URL}/${row.video_r2_key}` : null;
 
     let weeklyRecipient = null;
-    if (status === 'LIVE') {
+    if (status === 'LIVE' && row.cause_category) {
+      // Directed campaigns give to this week's charity in their cause (lib/causes.js)
+      const causeRecipient = await loadCauseRecipient(pool, _adminThisMonday(), row.cause_category);
+      weeklyRecipient = causeRecipient ? causeRecipient.charity_name : null;
+    } else if (status === 'LIVE') {
+      // Every charity sharing this week's pool, e.g. "A and B"
       const recipientResult = await pool.query(`
         SELECT ca.charity_name
-        FROM charity_week_winner cww
-        JOIN charity_applications ca ON ca.id = cww.charity_application_id
-        WHERE cww.week_start = DATE_TRUNC('week', CURRENT_DATE)::date
-        LIMIT 1
+        FROM (${WEEK_RECIPIENTS_SQL}) wr
+        JOIN charity_applications ca ON ca.id = wr.charity_application_id
+        WHERE wr.week_start = DATE_TRUNC('week', CURRENT_DATE)::date
+        ORDER BY wr.position
       `);
-      if (recipientResult.rows.length > 0) {
-        weeklyRecipient = recipientResult.rows[0].charity_name;
-      }
+      weeklyRecipient = formatRecipientNames(recipientResult.rows.map(r => r.charity_name));
     }
 
     res.json({
@@ -9615,6 +11410,8 @@ app.get('/api/sponsor/dashboard', requireSponsorAuth, async (req, res) => {
       status,
       stripeMode: row.stripe_mode || null,
       tier: row.tier || null,
+      amount: row.amount_cents != null ? row.amount_cents / 100 : null,
+      currency: row.currency,
       creativeUrl,
       startWeek: row.start_week,
       impressionsToday: Number(row.weekly_impressions),
@@ -9623,6 +11420,9 @@ app.get('/api/sponsor/dashboard', requireSponsorAuth, async (req, res) => {
       clicksTotal: Number(row.clicks_total),
       uniqueViewersToday: Number(row.weekly_unique_viewers),
       weeklyRecipient,
+      causeCategory: row.cause_category || null,
+      causeLabel: causeLabel(row.cause_category),
+      dunning: dunningCase ? dunningCaseResponse(dunningCase) : null,
     });
   } catch (err) {
     console.error('❌ [SPONSOR DASHBOARD] Error:', err);
@@ -9636,6 +11436,44 @@ app.get('/api/sponsor/dashboard', requireSponsorAuth, async (req, res) => {
 // Recurring: Cancels Stripe subscription immediately; updates sponsor_billing + sponsor_campaigns to canceled.
 // Non-recurring: Updates sponsor_campaigns.status = 'ended' only. No Stripe or billing changes.
 // Idempotent for both types. Response: ended, campaign_type ('recurring' | 'non_recurring').
+// Set the cause a sponsor campaign's giving goes to (empty = no preference); applies to money pooled from now on
+app.post('/api/sponsor/cause', requireSponsorAuth, async (req, res) => {
+  try {
+    const sponsorCampaignId = req.body?.sponsor_campaign_id;
+    const UUID_REGEX = /^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/;
+    if (typeof sponsorCampaignId !== 'string' || !UUID_REGEX.test(sponsorCampaignId)) {
+      return res.status(400).json({ success: false, error: 'sponsor_campaign_id must be a valid UUID' });
+    }
+
+    const cause = normalizeCause(req.body.causeCategory);
+    if (!cause.ok) {
+      return res.status(400).json({ success: false, error: cause.error });
+    }
+
+    const pool = getPool();
+    if (!pool) {
+      return res.status(500).json({ success: false, error: 'Database connection not available' });
+    }
+
+    const result = await pool.query(
+      `UPDATE sponsor_campaigns
+       SET cause_category = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2 AND sponsor_account_id = $3
+       RETURNING id`,
+      [cause.cause, sponsorCampaignId, req.sponsor.sponsorAccountId]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Campaign not found' });
+    }
+
+    console.log(`✅ [CAUSE] Sponsor campaign ${sponsorCampaignId} cause set:`, cause.cause || 'none');
+    return res.json({ success: true, causeCategory: cause.cause, causeLabel: causeLabel(cause.cause) });
+  } catch (err) {
+    console.error('❌ [CAUSE] Sponsor error:', err);
+    return res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
 app.post('/api/sponsor/cancel', requireSponsorAuth, async (req, res) => {
   try {
     const raw = req.body?.sponsor_campaign_id;
@@ -9850,7 +11688,7 @@ app.post('/api/sponsor/retry-payment', requireSponsorAuth, async (req, res) => {
     // Load campaign + billing + account in one query; verify ownership and state
     const lookupResult = await pool.query(`
       SELECT sc.id AS campaign_id, sc.status AS campaign_status, sc.start_week,
-             sb.id AS billing_id, sb.amount_cents, sb.stripe_mode, sb.status AS billing_status,
+             sb.id AS billing_id, sb.amount_cents, sb.currency, sb.stripe_mode, sb.status AS billing_status,
              sa.stripe_customer_id
       FROM sponsor_campaigns sc
       JOIN sponsor_billing sb ON sb.sponsor_campaign_id = sc.id
@@ -9892,12 +11730,21 @@ app.post('/api/sponsor/retry-payment', requireSponsorAuth, async (req, res) => {
 
     const amountCents = parseInt(row.amount_cents, 10);
 
+    // Snapshot the FX rate before charging so a rate outage never leaves a charge without its ledger row
+    let converted;
+    try {
+      converted = await toReportingAmount(pool, amountCents / 100, row.currency);
+    } catch (fxErr) {
+      console.error('❌ [SPONSOR RETRY] FX rate unavailable:', fxErr.message);
+      return res.status(503).json({ success: false, error: 'Exchange rate unavailable. Please try again shortly.' });
+    }
+
     // Attempt charge
     let paymentIntent;
     try {
       paymentIntent = await stripe.paymentIntents.create({
         amount: amountCents,
-        currency: 'usd',
+        currency: converted.currency,
         customer: row.stripe_customer_id,
         payment_method: paymentMethodId,
         off_session: true,
@@ -9929,18 +11776,19 @@ app.post('/api/sponsor/retry-payment', requireSponsorAuth, async (req, res) => {
       await client.query('BEGIN');
 
       const donResult = await client.query(
-        `INSERT INTO sponsor_donations (sponsor_account_id, sponsor_campaign_id, stripe_payment_intent_id, amount_cents, source)
-         VALUES ($1, $2, $3, $4, 'one_time_payment') RETURNING id`,
-        [sponsorAccountId, sponsor_campaign_id, paymentIntent.id, amountCents]
+        `INSERT INTO sponsor_donations (sponsor_account_id, sponsor_campaign_id, stripe_payment_intent_id, amount_cents, source, currency)
+         VALUES ($1, $2, $3, $4, 'one_time_payment', $5) RETURNING id`,
+        [sponsorAccountId, sponsor_campaign_id, paymentIntent.id, amountCents, converted.currency]
       );
       const donationId = donResult.rows[0].id;
-      const amountDollars = amountCents / 100;
+      const amountDollars = converted.amount;
 
       await client.query(
-        `INSERT INTO donation_ledger (source_type, source_id, billing_record_id, amount, week_start)
-         VALUES ('sponsor', $1, $2, $3, $4)
+        `INSERT INTO donation_ledger (source_type, source_id, billing_record_id, amount, week_start, currency, original_amount, fx_rate, fx_rate_id, cause_category)
+         VALUES ('sponsor', $1, $2, $3, $4, $5, $6, $7, $8, ${ledgerCauseSql('sponsor')})
          ON CONFLICT (source_id, week_start) DO NOTHING`,
-        [sponsor_campaign_id, donationId, amountDollars, startWeekStr]
+        [sponsor_campaign_id, donationId, amountDollars, startWeekStr,
+          converted.currency, converted.originalAmount, converted.fxRate, converted.fxRateId]
       );
 
       await client.query(
@@ -9951,6 +11799,16 @@ app.post('/api/sponsor/retry-payment', requireSponsorAuth, async (req, res) => {
         [startWeekStr, amountDollars]
       );
 
+      await postPoolReceipt(client, {
+        entryKey: `sponsor_donation:${donationId}`,
+        sourceType: 'sponsor',
+        sourceId: sponsor_campaign_id,
+        poolSource: 'sponsor',
+        amount: amountDollars,
+        weekStart: startWeekStr,
+        description: `Non-recurring sponsor payment retry (${paymentIntent.id})`
+      });
+
       await client.query(
         `UPDATE sponsor_billing SET status = 'paid', stripe_payment_intent_id = $1 WHERE id = $2`,
         [paymentIntent.id, row.billing_id]
@@ -9971,6 +11829,8 @@ app.post('/api/sponsor/retry-payment', requireSponsorAuth, async (req, res) => {
       client.release();
     }
 
+    await sendSponsorCampaignReceipt(pool, sponsor_campaign_id, amountCents / 100, '[SPONSOR RETRY]');
+
     return res.json({ success: true });
   } catch (err) {
     console.error('❌ [SPONSOR RETRY] Unexpected error:', err);
@@ -9987,7 +11847,9 @@ app.get('/api/sponsor/account', requireSponsorAuth, async (req, res) => {
       return res.status(500).json({ error: 'Database connection not available' });
     }
     const result = await pool.query(
-      `SELECT organization_legal_name, contact_email, phone_number
+      `SELECT organization_legal_name, contact_email, phone_number, currency,
+              billing_line1, billing_line2, billing_city, billing_state, billing_postal_code, billing_country,
+              tax_id, tax_id_type, tax_id_validated_at
        FROM sponsor_accounts WHERE id = $1`,
       [sponsorAccountId]
     );
@@ -9998,7 +11860,9 @@ app.get('/api/sponsor/account', requireSponsorAuth, async (req, res) => {
     res.json({
       companyName: row.organization_legal_name || null,
       email: row.contact_email || null,
-      phoneNumber: row.phone_number || null
+      phoneNumber: row.phone_number || null,
+      currency: row.currency,
+      ...taxDetailsResponse(row)
     });
   } catch (err) {
     console.error('❌ [SPONSOR ACCOUNT] Error:', err);
@@ -10033,6 +11897,77 @@ app.patch('/api/sponsor/account', requireSponsorAuth, async (req, res) => {
   }
 });
 
+// Billing address and tax ID (lib/tax.js). Active subscriptions are re-synced so the next invoice is taxed
+// from the new details
+app.put('/api/sponsor/tax-details', requireSponsorAuth, async (req, res) => {
+  try {
+    const sponsorAccountId = req.sponsor.sponsorAccountId;
+    const pool = getPool();
+    if (!pool) {
+      return res.status(500).json({ error: 'Database connection not available' });
+    }
+    const validation = validateTaxDetails(req.body);
+    if (!validation.ok) {
+      return res.status(400).json({ error: validation.error });
+    }
+    const accountResult = await pool.query(
+      'SELECT stripe_customer_id, currency FROM sponsor_accounts WHERE id = $1',
+      [sponsorAccountId]
+    );
+    if (accountResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Sponsor account not found' });
+    }
+    const result = await saveTaxDetails(pool, stripe, {
+      accountType: 'sponsor',
+      accountId: sponsorAccountId,
+      stripeCustomerId: accountResult.rows[0].stripe_customer_id,
+      details: validation
+    });
+    if (!result.success) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    const subscriptions = await pool.query(
+      `SELECT sb.stripe_subscription_id, sb.amount_cents, sb.currency
+       FROM sponsor_billing sb
+       JOIN sponsor_campaigns sc ON sc.id = sb.sponsor_campaign_id
+       WHERE sc.sponsor_account_id = $1
+         AND sb.stripe_mode = 'subscription'
+         AND sb.stripe_subscription_id IS NOT NULL
+         AND sb.status IN ('trialing', 'open', 'paid', 'failed')`,
+      [sponsorAccountId]
+    );
+    const customer = taxCustomerFromAccount({
+      billing_line1: validation.address.line1,
+      billing_line2: validation.address.line2,
+      billing_city: validation.address.city,
+      billing_state: validation.address.state,
+      billing_postal_code: validation.address.postalCode,
+      billing_country: validation.address.country,
+      tax_id: result.taxId?.value,
+      tax_id_type: result.taxId?.type,
+      tax_id_validated_at: result.taxId?.validated ? new Date() : null
+    });
+    for (const sub of subscriptions.rows) {
+      try {
+        const quote = await quoteTax(pool, { customer, amountCents: sub.amount_cents, currency: sub.currency });
+        const taxRateId = await stripeTaxRateFor(pool, stripe, quote);
+        await stripe.subscriptions.update(sub.stripe_subscription_id, {
+          default_tax_rates: taxRateId ? [taxRateId] : ''
+        });
+      } catch (syncErr) {
+        console.error(`❌ [SPONSOR TAX] Could not update tax on subscription ${sub.stripe_subscription_id}:`, syncErr.message);
+      }
+    }
+
+    console.log(`✅ [SPONSOR TAX] Saved tax details for sponsor account ${sponsorAccountId} (${subscriptions.rows.length} subscription(s) re-synced)`);
+    res.json({ success: true, billingAddress: result.billingAddress, taxId: result.taxId });
+  } catch (err) {
+    console.error('❌ [SPONSOR TAX] Error:', err);
+    res.status(500).json({ error: 'Failed to save tax details' });
+  }
+});
+
 // ===== SPONSOR CAMPAIGNS LIST (Sponsor Portal Campaigns tab) =====
 app.get('/api/sponsor/campaigns', requireSponsorAuth, async (req, res) => {
   try {
@@ -10044,7 +11979,7 @@ app.get('/api/sponsor/campaigns', requireSponsorAuth, async (req, res) => {
     const result = await pool.query(`
       SELECT sc.id, sc.status AS campaign_status, sc.tier, sc.created_at,
              sb.status AS billing_status, sc.generation_completed,
-             sc.start_week,
+             sc.start_week, sc.currency,
              sa.organization_legal_name
       FROM sponsor_campaigns sc
       JOIN sponsor_billing sb ON sb.sponsor_campaign_id = sc.id
@@ -10053,18 +11988,18 @@ app.get('/api/sponsor/campaigns', requireSponsorAuth, async (req, res) => {
       ORDER BY sc.created_at DESC
     `, [sponsorAccountId]);
 
-    // Fetch recipients for all campaigns via donation_ledger → charity_week_winner → charity_applications
+    // Fetch recipients for all campaigns via donation_ledger → week recipients (lib/charityRecipients.js) → charity_applications
     const campaignIds = result.rows.map(r => String(r.id));
     const recipientsByCampaignId = {};
     if (campaignIds.length > 0) {
       const recipientsResult = await pool.query(`
-        SELECT dl.source_id AS campaign_id, ca.charity_name, cww.week_start
+        SELECT dl.source_id AS campaign_id, ca.charity_name, wr.week_start
         FROM donation_ledger dl
-        JOIN charity_week_winner cww ON cww.week_start = dl.week_start
-        JOIN charity_applications ca ON ca.id = cww.charity_application_id
+        JOIN (${WEEK_RECIPIENTS_SQL}) wr ON wr.week_start = dl.week_start
+        JOIN charity_applications ca ON ca.id = wr.charity_application_id
         WHERE dl.source_type = 'sponsor'
           AND dl.source_id = ANY($1::text[])
-        ORDER BY dl.source_id, cww.week_start DESC
+        ORDER BY dl.source_id, wr.week_start DESC, wr.position
       `, [campaignIds]);
       recipientsResult.rows.forEach(row => {
         const id = row.campaign_id;
@@ -10097,6 +12032,7 @@ app.get('/api/sponsor/campaigns', requireSponsorAuth, async (req, res) => {
         id: row.id,
         campaignName,
         tier: row.tier || null,
+        currency: row.currency,
         status,
         startWeek: row.start_week,
         createdAt: row.created_at ? new Date(row.created_at).toISOString() : null,
@@ -10286,6 +12222,92 @@ app.get('/api/sponsor/billing-history', requireSponsorAuth, async (req, res) =>
   }
 });
 
+// Send a billing document model (lib/billingDocuments.js) as a PDF download
+async function sendBillingPdf(res, model) {
+  const pdf = await renderBillingPdf(model);
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${model.filename}"`);
+  res.setHeader('Content-Length', pdf.length);
+  res.end(pdf);
+}
+
+// Receipt PDF for one sponsor_billing row (with every payment recorded for its campaign)
+app.get('/api/sponsor/billing/:billingId/pdf', requireSponsorAuth, async (req, res) => {
+  try {
+    const model = await loadSponsorBillingDocument(getPool(), {
+      sponsorAccountId: req.sponsor.sponsorAccountId,
+      billingId: req.params.billingId
+    });
+    if (!model) {
+      return res.status(404).json({ error: 'Billing record not found' });
+    }
+    await sendBillingPdf(res, model);
+  } catch (err) {
+    console.error('❌ [SPONSOR BILLING PDF] Error:', err);
+    res.status(500).json({ error: 'Failed to generate PDF' });
+  }
+});
+
+// Monthly statement PDF (:month = YYYY-MM)
+app.get('/api/sponsor/statements/:month/pdf', requireSponsorAuth, async (req, res) => {
+  if (!parseStatementMonth(req.params.month)) {
+    return res.status(400).json({ error: 'Month must be YYYY-MM' });
+  }
+  try {
+    const model = await loadSponsorStatementDocument(getPool(), {
+      sponsorAccountId: req.sponsor.sponsorAccountId,
+      month: req.params.month
+    });
+    await sendBillingPdf(res, model);
+  } catch (err) {
+    console.error('❌ [SPONSOR STATEMENT PDF] Error:', err);
+    res.status(500).json({ error: 'Failed to generate PDF' });
+  }
+});
+
+// Year for a donation statement: 2000 through the current year, else null
+function parseStatementYear(value) {
+  const year = /^\d{4}$/.test(String(value)) ? parseInt(value, 10) : NaN;
+  return year >= 2000 && year <= new Date().getUTCFullYear() ? year : null;
+}
+
+// Numbered donation receipts for the sponsor's payments (lib/donationReceipts.js)
+app.get('/api/sponsor/donation-receipts', requireSponsorAuth, async (req, res) => {
+  try {
+    res.json(await listDonationReceipts(getPool(), { sponsorAccountId: req.sponsor.sponsorAccountId }));
+  } catch (err) {
+    console.error('❌ [SPONSOR DONATION RECEIPTS] Error:', err);
+    res.status(500).json({ error: 'Failed to load donation receipts' });
+  }
+});
+
+app.get('/api/sponsor/donation-receipts/:receiptNumber/pdf', requireSponsorAuth, async (req, res) => {
+  try {
+    const model = await loadDonationReceiptDocument(getPool(), { sponsorAccountId: req.sponsor.sponsorAccountId }, req.params.receiptNumber);
+    if (!model) {
+      return res.status(404).json({ error: 'Receipt not found' });
+    }
+    await sendBillingPdf(res, model);
+  } catch (err) {
+    console.error('❌ [SPONSOR DONATION RECEIPT PDF] Error:', err);
+    res.status(500).json({ error: 'Failed to generate PDF' });
+  }
+});
+
+// Year-end donation statement PDF (:year = YYYY; the current year is year to date)
+app.get('/api/sponsor/donation-statements/:year/pdf', requireSponsorAuth, async (req, res) => {
+  const year = parseStatementYear(req.params.year);
+  if (!year) {
+    return res.status(400).json({ error: 'Year must be YYYY' });
+  }
+  try {
+    await sendBillingPdf(res, await loadDonationStatementDocument(getPool(), { sponsorAccountId: req.sponsor.sponsorAccountId }, year));
+  } catch (err) {
+    console.error('❌ [SPONSOR DONATION STATEMENT PDF] Error:', err);
+    res.status(500).json({ error: 'Failed to generate PDF' });
+  }
+});
+
 // ===== ADVERTISER PASSWORD RESET/CREATION ROUTES =====
 
 // Unified password token validation endpoint
@@ -11164,7 +13186,7 @@ function determineStatus(campaign) {
   const rowStatus = campaign.status;
   const reason = campaign.archived_reason;
 
-  if (rowStatus === 'archived' && reason === 'Campaign revoked before approval') {
+  if (rowStatus === 'archived' && (reason === 'Campaign revoked before approval' || reason === DUNNING_REVOKED_REASON)) {
     return 'REVOKED';
   }
   if (rowStatus === 'rejected') {
@@ -11235,7 +13257,13 @@ app.get('/api/advertiser/dashboard', requireAdvertiserAuth, async (req, res) =>
           ad_format,
           click_tracking,
           weekly_clicks,
-          total_clicks
+          total_clicks,
+          max_weekly_impressions,
+          current_week_start,
+          frequency_cap_per_hour,
+          frequency_cap_per_day,
+          cause_category,
+          currency
         FROM advertisers
         WHERE id = $1
           AND email = $2
@@ -11273,7 +13301,13 @@ app.get('/api/advertiser/dashboard', requireAdvertiserAuth, async (req, res) =>
           ad_format,
           click_tracking,
           weekly_clicks,
-          total_clicks
+          total_clicks,
+          max_weekly_impressions,
+          current_week_start,
+          frequency_cap_per_hour,
+          frequency_cap_per_day,
+          cause_category,
+          currency
         FROM advertisers
         WHERE email = $1
           AND payment_completed = TRUE
@@ -11311,7 +13345,8 @@ app.get('/api/advertiser/dashboard', requireAdvertiserAuth, async (req, res) =>
     const clickTracking = ad.click_tracking === true;
     const totalClicks = clickTracking ? (ad.total_clicks || 0) : 0;
     const impressionSpendLifetime = totalImpressions !== null ? (totalImpressions / 1000) * cpmRate : 0;
-    const clickSpendLifetime = clickTracking ? (totalClicks * 0.25) : 0;
+    const clickPrice = priceList(ad.currency).click / 100;
+    const clickSpendLifetime = clickTracking ? (totalClicks * clickPrice) : 0;
     const totalSpent = hasMetrics && totalImpressions !== null 
       ? impressionSpendLifetime + clickSpendLifetime
       : null;
@@ -11329,7 +13364,7 @@ app.get('/api/advertiser/dashboard', requireAdvertiserAuth, async (req, res) =>
     // Calculate donationsThisWeek: impressions + clicks (if click tracking enabled)
     // This is the "Spent This Week" value shown in the dashboard
     const impressionSpendThisWeek = currentWeekImpressions !== null ? (currentWeekImpressions / 1000) * cpmRate : 0;
-    const clickSpendThisWeek = clickTracking ? (weeklyClicks * 0.25) : 0;
+    const clickSpendThisWeek = clickTracking ? (weeklyClicks * clickPrice) : 0;
     const donationsThisWeek = hasWeeklyMetrics && currentWeekImpressions !== null
       ? impressionSpendThisWeek + clickSpendThisWeek
       : null;
@@ -11374,25 +13409,30 @@ app.get('/api/advertiser/dashboard', requireAdvertiserAuth, async (req, res) =>
         cpm_rate,
         capped,
         click_tracking,
-        total_clicks
+        total_clicks,
+        currency
       FROM advertisers
       WHERE email = $1
         AND payment_completed = TRUE
       ORDER BY campaign_start_date DESC NULLS LAST, created_at DESC
     `, [advertiserEmail]);
 
-    // Fetch recipients for all campaigns via donation_ledger → charity_week_winner → charity_applications
+    // Fetch recipients for all campaigns via donation_ledger → week recipients (lib/charityRecipients.js) → charity_applications
     const campaignIds = allCampaignsResult.rows.map(c => String(c.id));
     const recipientsByCampaignId = {};
     if (campaignIds.length > 0) {
-      const recipientsResult = await pool.query(`
-        SELECT dl.source_id AS campaign_id, ca.charity_name, cww.week_start
-        FROM donation_ledger dl
-        JOIN charity_week_winner cww ON cww.week_start = dl.week_start
-        JOIN charity_applications ca ON ca.id = cww.charity_application_id
-        WHERE dl.source_type = 'advertiser'
-          AND dl.source_id = ANY($1::text[])
-        ORDER BY dl.source_id, cww.week_start DESC
+      const recipientsResult = await pool.query(`
+        SELECT dl.campaign_id, ca.charity_name, wr.week_start
+        FROM (
+          -- Prepaid settlements are keyed wallet:<wallet>:<campaign>:<week> (lib/advertiserWallet.js)
+          SELECT CASE WHEN source_id LIKE 'wallet:%' THEN split_part(source_id, ':', 3) ELSE source_id END AS campaign_id, week_start
+          FROM donation_ledger
+          WHERE source_type = 'advertiser'
+        ) dl
+        JOIN (${WEEK_RECIPIENTS_SQL}) wr ON wr.week_start = dl.week_start
+        JOIN charity_applications ca ON ca.id = wr.charity_application_id
+        WHERE dl.campaign_id = ANY($1::text[])
+        ORDER BY dl.campaign_id, wr.week_start DESC, wr.position
       `, [campaignIds]);
 
       recipientsResult.rows.forEach(row => {
@@ -11405,6 +13445,26 @@ app.get('/api/advertiser/dashboard', requireAdvertiserAuth, async (req, res) =>
       });
     }
 
+    // Poster frames for each campaign's current video creative (lib/creativeMedia.js), so lists and cards
+    // can show a still instead of loading the MP4
+    const postersByCampaignId = {};
+    if (campaignIds.length > 0) {
+      const postersResult = await pool.query(`
+        SELECT DISTINCT ON (advertiser_id) advertiser_id, r2_bucket, poster_key, preview_key
+        FROM creatives
+        WHERE advertiser_id = ANY($1::int[])
+          AND status IN ('active', 'archived')
+          AND media_status = 'ready'
+        ORDER BY advertiser_id, (status = 'active') DESC, created_at DESC
+      `, [campaignIds.map(Number)]);
+      postersResult.rows.forEach(row => {
+        postersByCampaignId[row.advertiser_id] = {
+          posterUrl: creativeAssetUrl(row.r2_bucket, row.poster_key),
+          previewUrl: creativeAssetUrl(row.r2_bucket, row.preview_key)
+        };
+      });
+    }
+
     // Format campaigns for response
     const campaigns = allCampaignsResult.rows.map(campaign => {
       // Determine status using unified helper function
@@ -11416,7 +13476,7 @@ app.get('/api/advertiser/dashboard', requireAdvertiserAuth, async (req, res) =>
       const campaignClickTracking = campaign.click_tracking === true;
       const campaignTotalClicks = campaignClickTracking ? (campaign.total_clicks || 0) : 0;
       const campaignImpressionSpend = (campaignTotalImpressions / 1000) * campaignCpmRate;
-      const campaignClickSpend = campaignClickTracking ? (campaignTotalClicks * 0.25) : 0;
+      const campaignClickSpend = campaignClickTracking ? (campaignTotalClicks * priceList(campaign.currency).click / 100) : 0;
       const spent = campaignImpressionSpend + campaignClickSpend;
 
       // Format start date
@@ -11436,24 +13496,59 @@ app.get('/api/advertiser/dashboard', requireAdvertiserAuth, async (req, res) =>
         status: campaignStatus,
         budget: parseFloat(campaign.weekly_budget_cap) || 0,
         spent: spent,
-        recipients: recipientsByCampaignId[campaign.id] || []
+        currency: campaign.currency,
+        recipients: recipientsByCampaignId[campaign.id] || [],
+        posterUrl: postersByCampaignId[campaign.id]?.posterUrl || null
       };
     });
 
     let weeklyRecipient = null;
-    if (status === 'LIVE' || status === 'CAPPED') {
+    if ((status === 'LIVE' || status === 'CAPPED') && ad.cause_category) {
+      // Directed campaigns give to this week's charity in their cause (lib/causes.js)
+      const causeRecipient = await loadCauseRecipient(pool, _adminThisMonday(), ad.cause_category);
+      weeklyRecipient = causeRecipient ? causeRecipient.charity_name : null;
+    } else if (status === 'LIVE' || status === 'CAPPED') {
+      // Every charity sharing this week's pool, e.g. "A and B"
       const recipientResult = await pool.query(`
         SELECT ca.charity_name
-        FROM charity_week_winner cww
-        JOIN charity_applications ca ON ca.id = cww.charity_application_id
-        WHERE cww.week_start = DATE_TRUNC('week', CURRENT_DATE)::date
-        LIMIT 1
+        FROM (${WEEK_RECIPIENTS_SQL}) wr
+        JOIN charity_applications ca ON ca.id = wr.charity_application_id
+        WHERE wr.week_start = DATE_TRUNC('week', CURRENT_DATE)::date
+        ORDER BY wr.position
       `);
-      if (recipientResult.rows.length > 0) {
-        weeklyRecipient = recipientResult.rows[0].charity_name;
-      }
+      weeklyRecipient = formatRecipientNames(recipientResult.rows.map(r => r.charity_name));
     }
     
+    // Budget pacing: how far ahead of / behind an even spend across the week (LIVE campaigns only)
+    const pacing = status === 'LIVE' ? computeCampaignPacing(ad) : null;
+    
+    // IVT: flagged traffic for this campaign (never counted or billed) — shown so the bill is auditable
+    let filteredImpressions = null;
+    let filteredClicks = null;
+    if (hasMetrics) {
+      const filteredResult = await pool.query(`
+        SELECT
+          COUNT(*) FILTER (WHERE event_type = 'impression')::integer AS impressions,
+          COUNT(*) FILTER (WHERE event_type = 'click')::integer AS clicks
+        FROM traffic_events
+        WHERE advertiser_id = $1 AND is_valid = FALSE
+      `, [idToLoad]);
+      filteredImpressions = filteredResult.rows[0]?.impressions || 0;
+      filteredClicks = filteredResult.rows[0]?.clicks || 0;
+    }
+    
+    // Latest upload-time validation report for this campaign's creative
+    const validationResult = await pool.query(`
+      SELECT report FROM creative_validations
+      WHERE advertiser_id = $1
+      ORDER BY created_at DESC
+      LIMIT 1
+    `, [idToLoad]);
+    const creativeValidation = validationResult.rows[0]?.report || null;
+
+    // Open (or recently written-off) dunning case for a failed invoice of this campaign (lib/dunning.js)
+    const dunningCase = await loadCampaignDunningCase(pool, { advertiserId: idToLoad });
+    
     const response = {
       activeCampaignId: idToLoad,
       status: status,
@@ -11462,17 +13557,36 @@ app.get('/api/advertiser/dashboard', requireAdvertiserAuth, async (req, res) =>
       companyName: ad.company_name || null,
       totalImpressions: totalImpressions,
       currentWeekImpressions: currentWeekImpressions,
+      currency: ad.currency,
       cpmRate: cpmRate,
       weeklyBudgetCap: weeklyBudgetCap,
       totalSpent: totalSpent,
       donationsThisWeek: donationsThisWeek,
       remainingBudget: remainingBudget,
       creativeUrl: normalizeBareMediaR2Link(ad.media_r2_link) || null,
+      creativePosterUrl: postersByCampaignId[idToLoad]?.posterUrl || null,
+      creativePreviewUrl: postersByCampaignId[idToLoad]?.previewUrl || null,
       recurringWeekly: ad.recurring_weekly === true,
       billingFailed: ad.billing_failed === true,
+      dunning: dunningCase ? dunningCaseResponse(dunningCase) : null,
       adFormat: ad.ad_format || 'video',
       clickTracking: clickTracking,
       totalClicks: hasMetrics ? (ad.total_clicks || 0) : null,
+      filteredImpressions: filteredImpressions,
+      filteredClicks: filteredClicks,
+      pacing: pacing ? {
+        status: pacing.status,
+        paceRatio: pacing.paceRatio,
+        delivered: pacing.delivered,
+        target: pacing.target,
+        goal: pacing.goal,
+        unit: pacing.unit
+      } : null,
+      frequencyCapPerHour: ad.frequency_cap_per_hour ?? null,
+      frequencyCapPerDay: ad.frequency_cap_per_day ?? null,
+      causeCategory: ad.cause_category || null,
+      causeLabel: causeLabel(ad.cause_category),
+      creativeValidation: creativeValidation,
       campaigns: campaigns,
       weeklyRecipient
     };
@@ -11521,7 +13635,8 @@ app.get('/api/advertiser/leaderboard', requireAdvertiserAuth, async (req, res) =
         is_paused,
         campaign_start_date,
         recurring_weekly,
-        capped
+        capped,
+        currency
       FROM advertisers
       WHERE status = 'active'
         AND payment_completed = TRUE
@@ -11549,18 +13664,28 @@ app.get('/api/advertiser/leaderboard', requireAdvertiserAuth, async (req, res) =
         
         // Same calculation as donationsThisWeek in dashboard endpoint
         const impressionSpendThisWeek = (currentWeekImpressions / 1000) * cpmRate;
-        const clickSpendThisWeek = clickTracking ? (weeklyClicks * 0.25) : 0;
+        const clickSpendThisWeek = clickTracking ? (weeklyClicks * priceList(campaign.currency).click / 100) : 0;
         const weeklySpend = impressionSpendThisWeek + clickSpendThisWeek;
 
         return {
           id: campaign.id,
           campaignName: campaign.campaign_name || null,
           email: campaign.email,
+          currency: campaign.currency,
           weeklySpend: weeklySpend
         };
       })
       .filter(campaign => campaign !== null);
 
+    // Rank across currencies in the reporting currency (latest FX snapshot)
+    const fxRates = {};
+    for (const code of new Set(campaignsWithSpend.map(c => c.currency))) {
+      fxRates[code] = (await loadFxRate(pool, code)).rate;
+    }
+    campaignsWithSpend.forEach(campaign => {
+      campaign.weeklySpend = Math.round(campaign.weeklySpend * fxRates[campaign.currency] * 100) / 100;
+    });
+
     // Filter campaigns with weekly spend >= $1.00
     const eligibleCampaigns = campaignsWithSpend.filter(c => c.weeklySpend >= 1.00);
 
@@ -11592,6 +13717,11 @@ app.get('/api/stripe-publishable-key', (req, res) => {
   return res.json({ publishableKey });
 });
 
+// Cause categories for the advertiser, sponsor and charity forms (public)
+app.get('/api/cause-categories', (req, res) => {
+  return res.json({ causes: causeOptions() });
+});
+
 // Get Stripe publishable key (safe to expose)
 app.get('/api/advertiser/stripe-config', requireAdvertiserAuth, async (req, res) => {
   try {
@@ -11892,6 +14022,148 @@ app.get('/api/advertiser/billing-history', requireAdvertiserAuth, async (req, re
   }
 });
 
+// The signed-in advertiser's account row, for the prepaid wallet endpoints
+async function loadAdvertiserAccountByEmail(pool, email) {
+  const result = await pool.query(
+    `SELECT * FROM advertiser_accounts WHERE LOWER(TRIM(email)) = LOWER(TRIM($1)) LIMIT 1`,
+    [email]
+  );
+  return result.rows[0] || null;
+}
+
+// Prepaid balance, settings and recent transactions (lib/advertiserWallet.js)
+app.get('/api/advertiser/wallet', requireAdvertiserAuth, async (req, res) => {
+  try {
+    const pool = getPool();
+    if (!pool) {
+      return res.status(500).json({ error: 'Database connection not available' });
+    }
+
+    const account = await loadAdvertiserAccountByEmail(pool, req.advertiserEmail);
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    const wallet = await ensureWallet(pool, account);
+    const transactions = await listWalletTransactions(pool, wallet.id, { limit: req.query.limit });
+    return res.json({ wallet: walletResponse(wallet), transactions });
+  } catch (err) {
+    console.error('❌ [WALLET] Error fetching wallet:', err);
+    return res.status(500).json({ error: 'Failed to fetch prepaid balance' });
+  }
+});
+
+// Start a Stripe Checkout top-up; the wallet is credited by checkout.session.completed
+app.post('/api/advertiser/wallet/top-up', requireAdvertiserAuth, async (req, res) => {
+  try {
+    const pool = getPool();
+    if (!pool) {
+      return res.status(500).json({ error: 'Database connection not available' });
+    }
+
+    const account = await loadAdvertiserAccountByEmail(pool, req.advertiserEmail);
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+    const wallet = await ensureWallet(pool, account);
+
+    const validation = validateTopUpAmount(req.body?.amount, wallet.currency);
+    if (!validation.ok) {
+      return res.status(400).json({ error: validation.error });
+    }
+
+    const { customerId } = await getCanonicalAdvertiserCustomerId(pool, req.advertiserEmail);
+    if (!customerId) {
+      return res.status(400).json({ error: 'No billing account found. Add a payment method first.' });
+    }
+
+    const portalUrl = `${process.env.FRONTEND_URL || 'https://portal.charitystream'}/portal`;
+    const session = await createTopUpCheckoutSession(pool, stripe, {
+      wallet,
+      account,
+      customerId,
+      amount: validation.amount,
+      successUrl: `${portalUrl}?wallet_top_up=success`,
+      cancelUrl: `${portalUrl}?wallet_top_up=cancelled`
+    });
+
+    console.log(`💳 [WALLET] Top-up checkout ${session.id} for ${formatMoney(validation.amount, wallet.currency)} (wallet ${wallet.id})`);
+    return res.json({ url: session.url });
+  } catch (err) {
+    console.error('❌ [WALLET] Error starting top-up:', err);
+    return res.status(500).json({ error: 'Failed to start top-up' });
+  }
+});
+
+// Turn prepaid billing on / off and configure auto-reload
+app.put('/api/advertiser/wallet/settings', requireAdvertiserAuth, async (req, res) => {
+  try {
+    const pool = getPool();
+    if (!pool) {
+      return res.status(500).json({ error: 'Database connection not available' });
+    }
+
+    const account = await loadAdvertiserAccountByEmail(pool, req.advertiserEmail);
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+    const wallet = await ensureWallet(pool, account);
+
+    const validation = validateWalletSettings(req.body, wallet.currency);
+    if (!validation.ok) {
+      return res.status(400).json({ error: validation.error });
+    }
+
+    if (validation.settings.prepaidEnabled && !wallet.prepaid_enabled && !(parseFloat(wallet.balance) > 0)) {
+      return res.status(400).json({ error: 'Top up your prepaid balance before switching to prepaid billing' });
+    }
+
+    const result = await saveWalletSettings(pool, { wallet, email: req.advertiserEmail, settings: validation.settings });
+
+    console.log(`✅ [WALLET] Settings saved for wallet ${wallet.id}: prepaid ${validation.settings.prepaidEnabled ? 'on' : 'off'}, auto-reload ${validation.settings.autoReloadEnabled ? 'on' : 'off'}`);
+    return res.json({ success: true, wallet: walletResponse(result.wallet), campaigns: result.campaigns });
+  } catch (err) {
+    console.error('❌ [WALLET] Error saving settings:', err);
+    return res.status(500).json({ error: 'Failed to save prepaid settings' });
+  }
+});
+
+// Invoice / receipt PDF for one of the advertiser's Stripe invoices
+app.get('/api/advertiser/invoices/:invoiceId/pdf', requireAdvertiserAuth, async (req, res) => {
+  try {
+    const pool = getPool();
+    const { customerId } = await getCanonicalAdvertiserCustomerId(pool, req.advertiserEmail);
+    let invoice = null;
+    if (customerId && /^in_[A-Za-z0-9]+$/.test(req.params.invoiceId)) {
+      invoice = await stripe.invoices.retrieve(req.params.invoiceId).catch(() => null);
+    }
+    if (!invoice || invoice.customer !== customerId) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+    await sendBillingPdf(res, await loadAdvertiserInvoiceDocument(pool, invoice));
+  } catch (err) {
+    console.error('❌ [INVOICE PDF] Error:', err);
+    res.status(500).json({ error: 'Failed to generate PDF' });
+  }
+});
+
+// Monthly statement PDF across all of the advertiser's campaigns (:month = YYYY-MM)
+app.get('/api/advertiser/statements/:month/pdf', requireAdvertiserAuth, async (req, res) => {
+  if (!parseStatementMonth(req.params.month)) {
+    return res.status(400).json({ error: 'Month must be YYYY-MM' });
+  }
+  try {
+    const model = await loadAdvertiserStatementDocument(getPool(), {
+      advertiserEmail: req.advertiserEmail,
+      month: req.params.month
+    });
+    await sendBillingPdf(res, model);
+  } catch (err) {
+    console.error('❌ [STATEMENT PDF] Error:', err);
+    res.status(500).json({ error: 'Failed to generate PDF' });
+  }
+});
+
 // Get advertiser account information
 app.get('/api/advertiser/account', requireAdvertiserAuth, async (req, res) => {
   try {
@@ -11908,7 +14180,8 @@ app.get('/api/advertiser/account', requireAdvertiserAuth, async (req, res) => {
       SELECT 
         company_name,
         email,
-        phone_number
+        phone_number,
+        currency
       FROM advertisers
       WHERE email = $1
         AND payment_completed = TRUE
@@ -11922,10 +14195,21 @@ app.get('/api/advertiser/account', requireAdvertiserAuth, async (req, res) => {
 
     const account = result.rows[0];
 
+    // Billing address and tax ID live on the login account, not on the campaigns
+    const taxResult = await pool.query(`
+      SELECT billing_line1, billing_line2, billing_city, billing_state, billing_postal_code, billing_country,
+             tax_id, tax_id_type, tax_id_validated_at
+      FROM advertiser_accounts
+      WHERE LOWER(TRIM(email)) = LOWER(TRIM($1))
+      LIMIT 1
+    `, [advertiserEmail]);
+
     return res.json({
       companyName: account.company_name || null,
       email: account.email || null,
-      phoneNumber: account.phone_number || null
+      phoneNumber: account.phone_number || null,
+      currency: account.currency,
+      ...taxDetailsResponse(taxResult.rows[0])
     });
   } catch (err) {
     console.error('❌ [ACCOUNT] Error fetching account info:', err);
@@ -11979,6 +14263,49 @@ app.patch('/api/advertiser/account', requireAdvertiserAuth, async (req, res) =>
   }
 });
 
+// Update advertiser billing address and tax ID (lib/tax.js); applies from the next invoice
+app.put('/api/advertiser/tax-details', requireAdvertiserAuth, async (req, res) => {
+  try {
+    const advertiserEmail = req.advertiser.email;
+    const pool = getPool();
+
+    if (!pool) {
+      return res.status(500).json({ error: 'Database connection not available' });
+    }
+
+    const validation = validateTaxDetails(req.body);
+    if (!validation.ok) {
+      return res.status(400).json({ error: validation.error });
+    }
+
+    const accountResult = await pool.query(
+      `SELECT id FROM advertiser_accounts WHERE LOWER(TRIM(email)) = LOWER(TRIM($1))`,
+      [advertiserEmail]
+    );
+    if (accountResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    const { customerId } = await getCanonicalAdvertiserCustomerId(pool, advertiserEmail);
+    const result = await saveTaxDetails(pool, stripe, {
+      accountType: 'advertiser',
+      accountId: accountResult.rows[0].id,
+      stripeCustomerId: customerId,
+      details: validation
+    });
+    if (!result.success) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    console.log(`✅ [ACCOUNT] Updated tax details for advertiser ${advertiserEmail} (${validation.address.country})`);
+
+    return res.json({ success: true, billingAddress: result.billingAddress, taxId: result.taxId });
+  } catch (err) {
+    console.error('❌ [ACCOUNT] Error updating tax details:', err);
+    return res.status(500).json({ error: 'Failed to update tax details' });
+  }
+});
+
 // Change password (authenticated, requires current password)
 app.post('/api/advertiser/change-password', requireAdvertiserAuth, async (req, res) => {
   try {
@@ -12049,7 +14376,7 @@ app.post('/api/advertiser/pause', requireAdvertiserAuth, async (req, res) => {
     // Verify the campaign belongs to the same advertiser account
     const result = await pool.query(
       `UPDATE advertisers
-       SET is_paused = TRUE
+       SET is_paused = TRUE, paused_for_balance = FALSE
        WHERE id = $1 AND email = $2 AND status != 'archived'
        RETURNING id, company_name`,
       [idToUpdate, advertiserEmail]
@@ -12094,12 +14421,37 @@ app.post('/api/advertiser/unpause', requireAdvertiserAuth, async (req, res) => {
     const result = await pool.query(
       `UPDATE advertisers
        SET is_paused = FALSE
-       WHERE id = $1 AND email = $2 AND status != 'archived'
+       WHERE id = $1 AND email = $2 AND status != 'archived' AND payment_hold_reason IS NULL
+         AND paused_for_balance = FALSE AND paused_for_dunning = FALSE
        RETURNING id`,
       [idToUpdate, advertiserEmail]
     );
 
     if (result.rows.length === 0) {
+      // Refund / dispute holds are lifted by an admin only (lib/paymentReversals.js)
+      const held = await pool.query(
+        `SELECT payment_hold_reason, paused_for_balance, paused_for_dunning FROM advertisers
+         WHERE id = $1 AND email = $2
+           AND (payment_hold_reason IS NOT NULL OR paused_for_balance = TRUE OR paused_for_dunning = TRUE)`,
+        [idToUpdate, advertiserEmail]
+      );
+      if (held.rows.length > 0 && held.rows[0].payment_hold_reason) {
+        return res.status(409).json({
+          error: `This campaign is on hold: ${held.rows[0].payment_hold_reason}. Please contact support to resume it.`
+        });
+      }
+      // Paused at the end of the dunning grace period (lib/dunning.js): paying the invoice resumes it
+      if (held.rows.length > 0 && held.rows[0].paused_for_dunning) {
+        return res.status(409).json({
+          error: 'This campaign is paused because a payment failed. Update your payment method and it resumes once the invoice is paid.'
+        });
+      }
+      // Paused by an empty prepaid balance: the next top-up resumes it (lib/advertiserWallet.js)
+      if (held.rows.length > 0) {
+        return res.status(409).json({
+          error: 'Your prepaid balance is used up. Top up your balance on the Billing page to resume this campaign.'
+        });
+      }
       return res.status(404).json({ error: 'Campaign not found or access denied' });
     }
 
@@ -12113,6 +14465,96 @@ app.post('/api/advertiser/unpause', requireAdvertiserAuth, async (req, res) => {
   }
 });
 
+// Set the cause the campaign's giving goes to (empty = no preference); applies to money pooled from now on
+app.post('/api/advertiser/cause', requireAdvertiserAuth, async (req, res) => {
+  try {
+    const campaignId = req.query.campaignId || req.body.campaignId;
+    if (!campaignId) {
+      return res.status(400).json({ error: 'campaignId is required' });
+    }
+
+    const cause = normalizeCause(req.body.causeCategory);
+    if (!cause.ok) {
+      return res.status(400).json({ error: cause.error });
+    }
+
+    const advertiserEmail = req.advertiser.email;
+    const pool = getPool();
+    if (!pool) {
+      return res.status(500).json({ error: 'Database connection not available' });
+    }
+
+    const result = await pool.query(
+      `UPDATE advertisers
+       SET cause_category = $1
+       WHERE id = $2 AND email = $3 AND status != 'archived'
+       RETURNING id`,
+      [cause.cause, campaignId, advertiserEmail]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Campaign not found or access denied' });
+    }
+
+    console.log(`✅ [CAUSE] Advertiser ${campaignId} cause set:`, cause.cause || 'none');
+    return res.json({ success: true, causeCategory: cause.cause, causeLabel: causeLabel(cause.cause) });
+  } catch (err) {
+    console.error('❌ [CAUSE] Error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Set per-viewer frequency caps (null clears a cap)
+app.post('/api/advertiser/frequency-cap', requireAdvertiserAuth, async (req, res) => {
+  try {
+    const campaignId = req.query.campaignId || req.body.campaignId;
+    if (!campaignId) {
+      return res.status(400).json({ error: 'campaignId is required' });
+    }
+
+    const parseCap = (value) => {
+      if (value === null || value === undefined || value === '') return null;
+      const n = Number(value);
+      return Number.isInteger(n) && n >= 1 && n <= 1000 ? n : NaN;
+    };
+    const perHour = parseCap(req.body.perHour);
+    const perDay = parseCap(req.body.perDay);
+    if (Number.isNaN(perHour) || Number.isNaN(perDay)) {
+      return res.status(400).json({ error: 'Frequency caps must be whole numbers between 1 and 1000, or empty for no cap' });
+    }
+    if (perHour !== null && perDay !== null && perHour > perDay) {
+      return res.status(400).json({ error: 'Hourly cap cannot be higher than daily cap' });
+    }
+
+    const advertiserEmail = req.advertiser.email;
+    const pool = getPool();
+    if (!pool) {
+      return res.status(500).json({ error: 'Database connection not available' });
+    }
+
+    const result = await pool.query(
+      `UPDATE advertisers
+       SET frequency_cap_per_hour = $1, frequency_cap_per_day = $2
+       WHERE id = $3 AND email = $4 AND status != 'archived'
+       RETURNING id`,
+      [perHour, perDay, campaignId, advertiserEmail]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Campaign not found or access denied' });
+    }
+
+    // Clear playlist cache so the new caps apply on the next playlist fetch
+    playlistCache.clear();
+    console.log(`✅ [FREQUENCY CAP] Advertiser ${campaignId} caps set:`, { perHour, perDay });
+
+    return res.json({ success: true, frequencyCapPerHour: perHour, frequencyCapPerDay: perDay });
+  } catch (err) {
+    console.error('❌ [FREQUENCY CAP] Error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // End campaign
 app.post('/api/advertiser/end', requireAdvertiserAuth, async (req, res) => {
   try {
@@ -12271,6 +14713,7 @@ app.post('/api/advertiser/end', requireAdvertiserAuth, async (req, res) => {
         });
         await r2Client.send(deleteCommand);
         console.log(`[ARCHIVE ATTEMPT] campaignId=${campaignId} - R2 delete successful: ${sourceKey}`);
+        await archiveAdvertiserCreatives(pool, campaignId, destKey);
 
         // Construct the archived media URL
         archivedMediaUrl = normalizeBareMediaR2Link(`${R2_PUBLIC_URL}/${destKey}`);
@@ -12538,6 +14981,11 @@ app.post('/api/advertiser/presign-upload', requireAdvertiserAuth, async (req, re
       return res.status(400).json({ error: 'fileName and contentType are required' });
     }
     
+    // Reject oversized files before upload (full validation runs on the uploaded object)
+    if (fileSize && fileSize > CREATIVE_VALIDATION_RULES.maxFileSizeBytes) {
+      return res.status(413).json({ error: 'File too large', message: 'File size exceeds maximum allowed size of 50 MB' });
+    }
+    
     // Sanitize filename
     const sanitizedFileName = fileName.replace(/[^a-zA-Z0-9.-]/g, '_');
     const timestamp = Date.now();
@@ -12577,6 +15025,56 @@ app.post('/api/advertiser/presign-upload', requireAdvertiserAuth, async (req, re
   }
 });
 
+// Validate an uploaded creative (advertiser-media) and store the report; the portal shows it before
+// the advertiser confirms the replacement. Hard failures are enforced again by replace-creative.
+app.post('/api/advertiser/validate-creative', requireAdvertiserAuth, async (req, res) => {
+  try {
+    const campaignId = req.query.campaignId || req.body.campaignId;
+    const { key } = req.body;
+    if (!campaignId || !key) {
+      return res.status(400).json({ error: 'campaignId and key are required' });
+    }
+
+    const pool = getPool();
+    if (!pool) {
+      return res.status(500).json({ error: 'Database connection not available' });
+    }
+
+    const result = await pool.query(
+      'SELECT id, ad_format FROM advertisers WHERE id = $1 AND email = $2',
+      [campaignId, req.advertiser.email]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Campaign not found or access denied' });
+    }
+
+    let normalizedKey;
+    try {
+      normalizedKey = normalizeR2Key(normalizeBareMediaR2Link(key) || String(key).trim());
+    } catch (normalizeError) {
+      return res.status(400).json({ error: 'Invalid key format', message: normalizeError.message });
+    }
+
+    const report = await validateCreative(r2Client, {
+      bucket: CREATIVE_BUCKETS.advertiserUploads,
+      key: normalizedKey,
+      creativeType: creativeTypeForAdFormat(result.rows[0].ad_format)
+    });
+    await saveValidationReport(pool, {
+      bucket: CREATIVE_BUCKETS.advertiserUploads,
+      key: normalizedKey,
+      advertiserId: result.rows[0].id,
+      report
+    });
+
+    console.log(`🔎 [CREATIVE VALIDATION] campaignId=${campaignId} key=${normalizedKey} status=${report.status}`);
+    return res.json({ success: true, validation: report });
+  } catch (err) {
+    console.error('❌ [CREATIVE VALIDATION] Error:', err);
+    return res.status(500).json({ error: 'Failed to validate creative' });
+  }
+});
+
 // Helper function to normalize R2 key from either a raw key or full URL
 function normalizeR2Key(input) {
   if (!input || typeof input !== 'string') {
@@ -12741,6 +15239,22 @@ app.post('/api/advertiser/replace-creative', requireAdvertiserAuth, async (req,
       }
     }
 
+    // Block uploads that fail automated validation (reuses the report from validate-creative if any)
+    const validation = await getOrValidateCreative(pool, r2Client, {
+      bucket: CREATIVE_BUCKETS.advertiserUploads,
+      key: normalizedKey,
+      creativeType: creativeTypeForAdFormat(adFormat),
+      advertiserId: ad.id
+    });
+    if (validation.status === 'failed') {
+      console.log(`[REPLACE CREATIVE] campaignId=${campaignId} - Creative failed validation: ${summarizeFailures(validation)}`);
+      return res.status(422).json({
+        error: 'Creative failed validation',
+        message: summarizeFailures(validation),
+        validation
+      });
+    }
+
     // Delete old creative from charity-stream-videos bucket if it exists
     const oldVideoFilename = ad.video_filename;
     if (oldVideoFilename) {
@@ -12786,11 +15300,29 @@ app.post('/api/advertiser/replace-creative', requireAdvertiserAuth, async (req,
       return res.status(400).json({ error: 'Failed to update campaign' });
     }
 
+    // Creative registry: the new upload is pending review; the old live creative (deleted above) is retired
+    try {
+      const uploaded = await describeR2Object(r2Client, CREATIVE_BUCKETS.advertiserUploads, normalizedKey);
+      await registerCreative(pool, {
+        bucket: CREATIVE_BUCKETS.advertiserUploads,
+        key: normalizedKey,
+        creativeType: creativeTypeForAdFormat(adFormat),
+        status: 'pending_review',
+        advertiserId: ad.id,
+        contentType: uploaded?.contentType || contentType,
+        sizeBytes: uploaded?.sizeBytes ?? null,
+        checksum: uploaded?.checksum ?? null
+      });
+    } catch (registryError) {
+      console.error(`[REPLACE CREATIVE] campaignId=${campaignId} - Creative registry update failed (non-critical):`, registryError.message);
+      await retireAdvertiserCreatives(pool, ad.id).catch(() => {});
+    }
+
     // Clear playlist cache so the old video is removed from the loop
     playlistCache.clear();
     console.log(`[REPLACE CREATIVE] campaignId=${campaignId} - Successfully replaced creative, campaign set to IN REVIEW`);
 
-    return res.json({ success: true, status: 'IN REVIEW' });
+    return res.json({ success: true, status: 'IN REVIEW', validation });
   } catch (err) {
     console.error(`[REPLACE CREATIVE] campaignId=${req.query.campaignId || req.body.campaignId} - Error:`, err);
     return res.status(500).json({ error: 'Internal server error' });
@@ -13200,6 +15732,70 @@ app.get('/api/user/me', authenticateToken, async (req, res) => {
   }
 });
 
+// Numbered donation receipts for the viewer's direct donations (lib/donationReceipts.js)
+app.get('/api/user/donation-receipts', authenticateToken, async (req, res) => {
+  try {
+    res.json(await listDonationReceipts(getPool(), { userId: req.user.userId }));
+  } catch (error) {
+    console.error('❌ [DONATION RECEIPTS] Error:', error);
+    res.status(500).json({ error: 'Failed to load donation receipts' });
+  }
+});
+
+app.get('/api/user/donation-receipts/:receiptNumber/pdf', authenticateToken, async (req, res) => {
+  try {
+    const model = await loadDonationReceiptDocument(getPool(), { userId: req.user.userId }, req.params.receiptNumber);
+    if (!model) {
+      return res.status(404).json({ error: 'Receipt not found' });
+    }
+    await sendBillingPdf(res, model);
+  } catch (error) {
+    console.error('❌ [DONATION RECEIPT PDF] Error:', error);
+    res.status(500).json({ error: 'Failed to generate PDF' });
+  }
+});
+
+// Year-end donation statement PDF (:year = YYYY; the current year is year to date)
+app.get('/api/user/donation-statements/:year/pdf', authenticateToken, async (req, res) => {
+  const year = parseStatementYear(req.params.year);
+  if (!year) {
+    return res.status(400).json({ error: 'Year must be YYYY' });
+  }
+  try {
+    await sendBillingPdf(res, await loadDonationStatementDocument(getPool(), { userId: req.user.userId }, year));
+  } catch (error) {
+    console.error('❌ [DONATION STATEMENT PDF] Error:', error);
+    res.status(500).json({ error: 'Failed to generate PDF' });
+  }
+});
+
+// The viewer's vote in this week's charity vote, and casting / changing it (verified accounts only)
+app.get('/api/user/charity-vote', authenticateToken, async (req, res) => {
+  try {
+    res.json(await loadViewerVote(getPool(), req.user.userId));
+  } catch (error) {
+    console.error('❌ [CHARITY VOTE] Error:', error);
+    res.status(500).json({ error: 'Failed to load your vote' });
+  }
+});
+
+app.post('/api/user/charity-vote', authenticateToken, async (req, res) => {
+  try {
+    const pool = getPool();
+    const result = await castCharityVote(pool, {
+      userId: req.user.userId,
+      charityApplicationId: req.body && req.body.charityApplicationId
+    });
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.json({ success: true, changed: result.changed, ballot: await loadCharityBallot(pool) });
+  } catch (error) {
+    console.error('❌ [CHARITY VOTE] Error:', error);
+    res.status(500).json({ error: 'Failed to record your vote' });
+  }
+});
+
 // Get user's rank
 app.get('/api/leaderboard/my-rank', authenticateToken, async (req, res) => {
   try {
@@ -13297,6 +15893,18 @@ app.get('/api/charity/lifetime-total', async (req, res) => {
   }
 });
 
+// Viewer vote for next week's charity (lib/charityVoting.js): ballot with live tallies (public endpoint)
+app.get('/api/charity/vote', async (req, res) => {
+  try {
+    const pool = getPool();
+    if (!pool) return res.status(500).json({ error: 'Database connection not available' });
+    return res.json(await loadCharityBallot(pool));
+  } catch (err) {
+    console.error('❌ [CHARITY VOTE] Ballot error:', err);
+    return res.status(500).json({ error: 'Failed to load charity vote' });
+  }
+});
+
 // Public endpoint: whether ANY charity week winner exists (used for frontend banner gating)
 app.get('/api/charity/winner-exists', async (req, res) => {
   try {
@@ -13322,17 +15930,19 @@ app.get('/api/weekly-progress', async (req, res) => {
     }
 
     const weeklyGoal = 500;
-    let weeklyPartnerName = null;
+    // This week's charities in payout order; a split week has several, each with its share
     const partnerResult = await pool.query(`
-      SELECT ca.charity_name
-      FROM charity_week_winner cww
-      JOIN charity_applications ca ON ca.id = cww.charity_application_id
-      WHERE cww.week_start = DATE_TRUNC('week', CURRENT_DATE)::date
-      LIMIT 1
+      SELECT ca.charity_name, wr.share_type, wr.share_percent, wr.fixed_amount
+      FROM (${WEEK_RECIPIENTS_SQL}) wr
+      JOIN charity_applications ca ON ca.id = wr.charity_application_id
+      WHERE wr.week_start = DATE_TRUNC('week', CURRENT_DATE)::date
+      ORDER BY wr.position
     `);
-    if (partnerResult.rows.length > 0) {
-      weeklyPartnerName = partnerResult.rows[0].charity_name || null;
-    }
+    const weeklyPartners = partnerResult.rows.map(row => ({
+      name: row.charity_name,
+      share: partnerResult.rows.length > 1 ? describeShare(row) : null
+    }));
+    const weeklyPartnerName = formatRecipientNames(weeklyPartners.map(p => p.name));
 
     // Advertiser contribution: real-time accrued this week via impressions + clicks
     const advertiserResult = await pool.query(`
@@ -13378,7 +15988,8 @@ app.get('/api/weekly-progress', async (req, res) => {
     return res.json({
       weeklyGoal: weeklyGoal,
       weeklyDonated: weeklyDonated,
-      weeklyPartnerName: weeklyPartnerName
+      weeklyPartnerName: weeklyPartnerName,
+      weeklyPartners: weeklyPartners
     });
   } catch (err) {
     console.error('❌ [WEEKLY-PROGRESS] Error:', err);
@@ -13536,7 +16147,7 @@ app.get('/api/leaderboards/top-sponsors', async (req, res) => {
   }
 });
 
-// Get top charities by total donations across all weeks (public endpoint)
+// Get top charities by total donations across all weeks (public endpoint); split weeks count each charity's part
 app.get('/api/impact/top-charities', async (req, res) => {
   try {
     const pool = getPool();
@@ -13545,9 +16156,9 @@ app.get('/api/impact/top-charities', async (req, res) => {
     const result = await pool.query(`
       SELECT
         ca.charity_name,
-        SUM(wca.total_amount) AS total_donated
-      FROM weekly_charity_allocation wca
-      JOIN charity_applications ca ON ca.id = wca.charity_application_id
+        SUM(wcar.amount) AS total_donated
+      FROM weekly_charity_allocation_recipients wcar
+      JOIN charity_applications ca ON ca.id = wcar.charity_application_id
       GROUP BY ca.id, ca.charity_name
       ORDER BY total_donated DESC
       LIMIT 5
@@ -13566,6 +16177,26 @@ app.get('/api/impact/top-charities', async (req, res) => {
   }
 });
 
+// Latest proof-of-use reports from charities (public endpoint, charity portal uploads)
+app.get('/api/impact/charity-reports', async (req, res) => {
+  try {
+    const pool = getPool();
+    if (!pool) return res.status(500).json({ error: 'Database connection not available' });
+
+    const reports = await loadPublishedReports(pool, { limit: req.query.limit });
+    return res.json({
+      reports: reports.map(({ fileKey, logoKey, ...report }) => ({
+        ...report,
+        fileUrl: charityAssetUrl(fileKey),
+        logoUrl: charityAssetUrl(logoKey)
+      }))
+    });
+  } catch (err) {
+    console.error('❌ [CHARITY-REPORTS] Error:', err);
+    return res.status(500).json({ error: 'Failed to fetch charity reports' });
+  }
+});
+
 // ===== VIDEO MANAGEMENT ROUTES =====
 
 // Add video to database (admin endpoint)
@@ -13618,109 +16249,104 @@ app.get('/api/videos/current', async (req, res) => {
 const playlistCache = new Map();
 const PLAYLIST_CACHE_TTL = 120000; // 2 minutes
 
-/**
- * Engagement-preserving playlist scheduler (local pacing).
- * - Max sponsor streak = 2 (never more than 2 sponsors in a row).
- * - Sliding window: at most MAX_SPONSORS_IN_WINDOW sponsors in last WINDOW_SIZE slots.
- * - Cycles advertiser/sponsor lists when one would run out to avoid sponsor-only tails.
- * - Fallback: no advertisers → sponsors only; no sponsors → advertisers only.
- * @param {Array} advertisers - Array of advertiser video items
- * @param {Array} sponsors - Array of sponsor video items
- * @returns {Array} Merged playlist
- */
-function buildEngagementBalancedPlaylist(advertisers, sponsors) {
-  if (advertisers.length === 0) {
-    return sponsors.slice();
-  }
-  if (sponsors.length === 0) {
-    return advertisers.slice();
-  }
-
-  // Tier pools for weighted sponsor selection
-  const tierPools = {
-    bronze: [],
-    silver: [],
-    gold: [],
-    diamond: []
+// Public URL of a creative (or one of its derived files: poster, preview, normalized rendition, HLS ladder)
+function creativeAssetUrl(bucket, key) {
+  if (!key) return null;
+  const baseUrls = {
+    [CREATIVE_BUCKETS.live]: R2_VIDEOS_URL,
+    [CREATIVE_BUCKETS.advertiserUploads]: R2_ADVERTISER_MEDIA_URL,
+    [CREATIVE_BUCKETS.sponsorGenerated]: R2_SPONSOR_GENERATED_URL
   };
+  return baseUrls[bucket] ? `${baseUrls[bucket]}/${key}` : null;
+}
+
+// Live advertiser creatives of one type from the creatives registry, in the shape the playlist and
+// popup-ads endpoints used to derive from R2 listings (oldest first). uploadTimestamp still comes from
+// the <type>_<advertiserId>_<timestamp>_<uuid> key when present, since it doubles as the client videoId.
+async function listLiveCreatives(pool, creativeType) {
+  if (!pool) return [];
+  const result = await pool.query(`
+    SELECT r2_key, advertiser_id, duration_seconds, size_bytes, created_at,
+           CASE WHEN hls_status = 'ready' THEN hls_manifest_key END AS hls_manifest_key,
+           CASE WHEN media_status = 'ready' THEN normalized_key END AS normalized_key,
+           CASE WHEN media_status = 'ready' THEN poster_key END AS poster_key
+    FROM creatives
+    WHERE status = 'active'
+      AND creative_type = $1
+      AND r2_bucket = $2
+      AND advertiser_id IS NOT NULL
+  `, [creativeType, CREATIVE_BUCKETS.live]);
+  return result.rows
+    .map(row => {
+      const keyMatch = row.r2_key.match(/^(?:video|image)_\d+_(\d+)_/);
+      return {
+        filename: row.r2_key,
+        advertiserId: row.advertiser_id,
+        uploadTimestamp: keyMatch ? parseInt(keyMatch[1], 10) : new Date(row.created_at).getTime(),
+        size: row.size_bytes != null ? Number(row.size_bytes) : null,
+        durationSeconds: row.duration_seconds != null ? Number(row.duration_seconds) : null,
+        hlsManifestKey: row.hls_manifest_key || null,
+        normalizedKey: row.normalized_key || null,
+        posterKey: row.poster_key || null
+      };
+    })
+    .sort((a, b) => a.uploadTimestamp - b.uploadTimestamp);
+}
 
-  sponsors.forEach(s => {
-    const t = (s.tier || 'bronze').toLowerCase();
-    if (tierPools[t]) tierPools[t].push(s);
-    else tierPools.bronze.push(s);
+// Attach a fresh signed play token to every advertiser slot. Tokens are bound to the viewer, so they
+// are added on the way out rather than stored in the shared playlist cache.
+function withPlayTokens(videos, userId) {
+  return videos.map(video => {
+    if (!video.advertiserId || !video.videoFilename) return video;
+    return {
+      ...video,
+      playToken: issuePlayToken({ userId, advertiserId: video.advertiserId, filename: video.videoFilename })
+    };
   });
+}
 
-  // Tier rotation schedule: bronze 1x, silver 2x, gold 3x, diamond 4x
-  const tierSchedule = [
-    'bronze',
-    'silver', 'silver',
-    'gold', 'gold', 'gold',
-    'diamond', 'diamond', 'diamond', 'diamond'
-  ];
-
-  const tierIndices = {
-    bronze: 0,
-    silver: 0,
-    gold: 0,
-    diamond: 0
-  };
+// Playlist scheduler (engagement_balanced | budget_paced | round_robin | weighted_random) — see lib/playlistSchedulers.js
+// Defaults to budget_paced so weekly budgets are spread across the week (lib/budgetPacing.js)
+const PLAYLIST_SCHEDULER = resolveSchedulerName(process.env.PLAYLIST_SCHEDULER || 'budget_paced');
 
-  let tierPointer = 0;
-
-  const WINDOW_SIZE = 5;
-  const MAX_SPONSORS_IN_WINDOW = 2;
-  const merged = [];
-  const recentTypes = []; // sliding window: last WINDOW_SIZE item types ('advertiser' | 'sponsor')
-  let sponsorStreak = 0;
-  let ai = 0;
-  let si = 0;
-  const MAX_PLAYLIST_LENGTH = Math.max(50, advertisers.length * 3);
-
-  while (merged.length < MAX_PLAYLIST_LENGTH) {
-    const mustPlayAdvertiser = sponsorStreak === 2;
-    const recentSponsors = recentTypes.filter(t => t === 'sponsor').length;
-    const mayPlaySponsor = !mustPlayAdvertiser && recentSponsors < MAX_SPONSORS_IN_WINDOW;
-
-    if (mustPlayAdvertiser || !mayPlaySponsor) {
-      merged.push(advertisers[ai % advertisers.length]);
-      ai++;
-      sponsorStreak = 0;
-      recentTypes.push('advertiser');
-      if (recentTypes.length > WINDOW_SIZE) recentTypes.shift();
-    } else {
-      // Tier-weighted sponsor selection
-      let selectedSponsor = null;
-      let attempts = 0;
-
-      while (!selectedSponsor && attempts < tierSchedule.length) {
-        const tier = tierSchedule[tierPointer % tierSchedule.length];
-        const pool = tierPools[tier];
-
-        if (pool.length > 0) {
-          const idx = tierIndices[tier] % pool.length;
-          selectedSponsor = pool[idx];
-          tierIndices[tier]++;
-          tierPointer++; // advance only when a sponsor is actually selected
-        } else {
-          tierPointer++; // skip empty tier without consuming weight
-        }
+// Popup-ads rotation: slots per active image ad, distributed by pacing weight
+const POPUP_ROTATION_SLOTS_PER_AD = 3;
 
-        attempts++;
-      }
+// Columns lib/budgetPacing.js needs, appended to the playlist / popup-ads advertiser queries
+const PACING_COLUMNS = 'weekly_budget_cap, cpm_rate, current_week_start, weekly_clicks, total_impressions, total_clicks, currency';
 
-      if (!selectedSponsor) {
-        selectedSponsor = sponsors[si % sponsors.length];
-        si++;
+// Build the merged playlist from cached scheduler inputs. Per-viewer schedulers are seeded with the
+// viewer id and frequency-capped campaigns are dropped per viewer, so the shared cache holds the
+// inputs rather than the merged list.
+async function schedulePlaylist(inputs, userId) {
+  let advertisers = inputs.advertisers;
+  const pool = getPool();
+  if (pool && inputs.frequencyCaps && Object.keys(inputs.frequencyCaps).length > 0) {
+    try {
+      const cappedIds = await getFrequencyCappedAdvertisers(pool, `user:${userId}`, inputs.frequencyCaps);
+      if (cappedIds.size > 0) {
+        advertisers = advertisers.filter(video => !cappedIds.has(video.advertiserId));
+        console.log(`🔁 [PLAYLIST] Frequency cap reached for viewer ${userId}: advertisers ${[...cappedIds].join(', ')}`);
       }
-
-      merged.push(selectedSponsor);
-      sponsorStreak++;
-      recentTypes.push('sponsor');
-      if (recentTypes.length > WINDOW_SIZE) recentTypes.shift();
+    } catch (capError) {
+      console.error('⚠️ Error checking frequency caps (non-critical):', capError.message);
     }
   }
+  return buildPlaylist(PLAYLIST_SCHEDULER, advertisers, inputs.sponsors, {
+    advertiserWeights: inputs.advertiserWeights,
+    seed: isPerViewerScheduler(PLAYLIST_SCHEDULER) ? `viewer:${userId}` : null
+  });
+}
 
-  return merged;
+// Frequency caps of the campaigns in the playlist, keyed by advertiser id (uncapped campaigns omitted)
+function playlistFrequencyCaps(advertiserDataById) {
+  const caps = {};
+  for (const [id, ad] of advertiserDataById.entries()) {
+    if (hasFrequencyCap(ad)) {
+      caps[id] = { frequency_cap_per_hour: ad.frequency_cap_per_hour, frequency_cap_per_day: ad.frequency_cap_per_day };
+    }
+  }
+  return caps;
 }
 
 app.get('/api/videos/playlist', authenticateToken, trackingRateLimit, async (req, res) => {
@@ -13732,52 +16358,16 @@ app.get('/api/videos/playlist', authenticateToken, trackingRateLimit, async (req
     const cached = playlistCache.get(cacheKey);
     if (cached && (now - cached.timestamp) < PLAYLIST_CACHE_TTL) {
       console.log(`📊 Returning cached playlist data`);
-      return res.json(cached.data);
+      return res.json({ videos: withPlayTokens(await schedulePlaylist(cached.data, req.user.userId), req.user.userId) });
     }
     
     const R2_BUCKET_URL = R2_VIDEOS_URL;
-    const CHARITY_BUCKET = 'charity-stream-videos';
-    
-    // List all video files from R2 bucket
-    const listCommand = new ListObjectsV2Command({
-      Bucket: CHARITY_BUCKET
-    });
-    
-    const response = await r2Client.send(listCommand);
-    const allFiles = response.Contents || [];
-    
-    // Filter for new globally unique filename format: video_<advertiserId>_<timestamp>_<uuid>.mp4
-    // Exclude archived/ folder and extract advertiserId and timestamp
-    const videoFiles = allFiles
-      .filter(file => 
-        /^video_(\d+)_(\d+)_[a-fA-F0-9-]+\.mp4$/.test(file.Key) &&
-        !file.Key.startsWith('archived/')
-      )
-      .map(file => {
-        const match = file.Key.match(/^video_(\d+)_(\d+)_([a-fA-F0-9-]+)\.mp4$/);
-        if (!match) return null;
-        
-        const advertiserId = parseInt(match[1], 10);
-        const uploadTimestamp = parseInt(match[2], 10);
-        
-        return {
-          filename: file.Key,
-          advertiserId,
-          uploadTimestamp,
-          size: file.Size
-        };
-      })
-      .filter(file => file !== null) // Remove any files that didn't match the pattern
-      .sort((a, b) => a.uploadTimestamp - b.uploadTimestamp); // Sort by upload timestamp (oldest first)
+    const pool = getPool();
     
-    // Debug: Log if any archived files were found and skipped
-    const archivedFiles = allFiles.filter(file => file.Key.startsWith('archived/'));
-    if (archivedFiles.length > 0) {
-      console.log(`📦 [PLAYLIST] Skipped ${archivedFiles.length} archived video(s):`, archivedFiles.map(f => f.Key));
-    }
+    // Live advertiser videos from the creative registry (oldest first)
+    const videoFiles = await listLiveCreatives(pool, 'video');
     
     // Get advertiser mappings for videos with video_filename
-    const pool = getPool();
     let advertiserMap = new Map();
     let advertiserDataById = new Map();
     // Track filenames that should be blocked (capped, archived, or paused advertisers)
@@ -13790,7 +16380,9 @@ app.get('/api/videos/playlist', authenticateToken, trackingRateLimit, async (req
           SELECT id, video_filename,
                  current_week_impressions, max_weekly_impressions, capped,
                  status, archived_at, archived_reason, recurring_weekly, is_paused,
-                 click_tracking, destination_url, ad_format, campaign_start_date
+                 click_tracking, destination_url, ad_format, campaign_start_date,
+                 frequency_cap_per_hour, frequency_cap_per_day,
+                 ${PACING_COLUMNS}
           FROM advertisers
           WHERE video_filename IS NOT NULL
             AND status = 'active'
@@ -13876,6 +16468,7 @@ app.get('/api/videos/playlist', authenticateToken, trackingRateLimit, async (req
               });
               await r2Client.send(deleteCommand);
               console.log(`[ARCHIVE ATTEMPT] campaignId=${ad.id} - R2 delete successful: ${sourceKey}`);
+              await archiveAdvertiserCreatives(pool, ad.id, destKey);
 
               // Construct the archived media URL
               const archivedMediaUrl = normalizeBareMediaR2Link(`${R2_PUBLIC_URL}/${destKey}`);
@@ -13983,8 +16576,12 @@ app.get('/api/videos/playlist', authenticateToken, trackingRateLimit, async (req
       return {
         videoId: video.uploadTimestamp, // Use upload timestamp as unique identifier
       title: video.filename.replace('.mp4', ''),
-      videoUrl: `${R2_BUCKET_URL}/${video.filename}`,
-        duration: 60,
+        // Loudness-normalized rendition once processed (lib/creativeMedia.js), otherwise the original upload
+        videoUrl: `${R2_BUCKET_URL}/${video.normalizedKey || video.filename}`,
+        // HLS master playlist once transcoded (lib/hlsPipeline.js); videoUrl stays as the MP4 fallback
+        hlsUrl: video.hlsManifestKey ? `${R2_BUCKET_URL}/${video.hlsManifestKey}` : null,
+        posterUrl: video.posterKey ? `${R2_BUCKET_URL}/${video.posterKey}` : null,
+        duration: video.durationSeconds || 60,
         advertiserId: advertiserId,
         videoFilename: videoFilename,
         isCapped: false, // Backend already filtered, but include for frontend defensive check
@@ -13997,19 +16594,23 @@ app.get('/api/videos/playlist', authenticateToken, trackingRateLimit, async (req
     // Filter out null entries (capped videos)
     const playlist = rawPlaylist.filter(v => v !== null);
 
-    // Query eligible sponsor campaigns (active, generation_completed, video_r2_key set, billing paid)
+    // Query eligible sponsor campaigns (active, generation_completed, active creative registered, billing paid)
     // JOIN sponsor_accounts to expose website for sponsor CTA
     let sponsorItems = [];
     if (pool) {
       try {
         const sponsorResult = await pool.query(`
-          SELECT sc.id, sc.video_r2_key, sc.tier, sa.website AS sponsor_website
+          SELECT sc.id, c.r2_key AS video_r2_key, c.duration_seconds,
+                 CASE WHEN c.hls_status = 'ready' THEN c.hls_manifest_key END AS hls_manifest_key,
+                 CASE WHEN c.media_status = 'ready' THEN c.normalized_key END AS normalized_key,
+                 CASE WHEN c.media_status = 'ready' THEN c.poster_key END AS poster_key,
+                 sc.tier, sa.website AS sponsor_website
           FROM sponsor_campaigns sc
+          JOIN creatives c ON c.sponsor_campaign_id = sc.id AND c.status = 'active' AND c.creative_type = 'video'
           JOIN sponsor_billing sb ON sb.sponsor_campaign_id = sc.id
           JOIN sponsor_accounts sa ON sa.id = sc.sponsor_account_id
           WHERE sc.status = 'active'
             AND sc.generation_completed = TRUE
-            AND sc.video_r2_key IS NOT NULL
             AND sb.status = 'paid'
             AND sc.start_week <= CURRENT_DATE
             AND (sc.end_at IS NULL OR sc.end_at > CURRENT_DATE)
@@ -14019,8 +16620,10 @@ app.get('/api/videos/playlist', authenticateToken, trackingRateLimit, async (req
         sponsorItems = sponsorResult.rows.map(row => ({
           videoId: `sponsor_${row.id}`,
           title: row.video_r2_key.replace(/\.mp4$/i, '') || row.video_r2_key,
-          videoUrl: `${SPONSOR_VIDEO_BASE_URL}/${row.video_r2_key}`,
-          duration: 60,
+          videoUrl: `${SPONSOR_VIDEO_BASE_URL}/${row.normalized_key || row.video_r2_key}`,
+          hlsUrl: row.hls_manifest_key ? `${SPONSOR_VIDEO_BASE_URL}/${row.hls_manifest_key}` : null,
+          posterUrl: row.poster_key ? `${SPONSOR_VIDEO_BASE_URL}/${row.poster_key}` : null,
+          duration: row.duration_seconds != null ? Number(row.duration_seconds) : 60,
           advertiserId: null,
           videoFilename: row.video_r2_key,
           isCapped: false,
@@ -14037,16 +16640,18 @@ app.get('/api/videos/playlist', authenticateToken, trackingRateLimit, async (req
       }
     }
 
-    // Engagement-preserving merge: advertiser majority, sponsor streak cap 2, no sponsor-only tail
-    const merged = buildEngagementBalancedPlaylist(playlist, sponsorItems);
-
-    const playlistData = {
-      videos: merged
+    // Scheduler inputs are cached; the merge (advertiser majority, sponsor streak cap, no sponsor-only tail) runs per request
+    const schedulerInputs = {
+      advertisers: playlist,
+      sponsors: sponsorItems,
+      advertiserWeights: getPacingWeights(advertiserDataById.values()),
+      frequencyCaps: playlistFrequencyCaps(advertiserDataById)
     };
+    const merged = await schedulePlaylist(schedulerInputs, req.user.userId);
     
     // Cache the result
     playlistCache.set(cacheKey, {
-      data: playlistData,
+      data: schedulerInputs,
       timestamp: now
     });
     
@@ -14057,9 +16662,9 @@ app.get('/api/videos/playlist', authenticateToken, trackingRateLimit, async (req
       }
     }
     
-    console.log(`✅ Dynamically serving playlist: ${merged.length} videos (${playlist.length} advertiser, ${sponsorItems.length} sponsor)`);
+    console.log(`✅ Dynamically serving playlist (${PLAYLIST_SCHEDULER}): ${merged.length} videos (${playlist.length} advertiser, ${sponsorItems.length} sponsor)`);
     
-    res.json(playlistData);
+    res.json({ videos: withPlayTokens(merged, req.user.userId) });
   } catch (error) {
     console.error('❌ Error fetching playlist:', error);
     
@@ -14071,6 +16676,13 @@ app.get('/api/videos/playlist', authenticateToken, trackingRateLimit, async (req
 });
 
 // ===== POPUP IMAGE ADS ENDPOINT =====
+function withImagePlayTokens(images, userId) {
+  return images.map(image => ({
+    ...image,
+    playToken: issuePlayToken({ userId, advertiserId: image.advertiserId, filename: image.imageFilename, kind: 'image' })
+  }));
+}
+
 // Returns approved image ads for popup display
 app.get('/api/images/popup-ads', authenticateToken, trackingRateLimit, async (req, res) => {
   try {
@@ -14081,46 +16693,16 @@ app.get('/api/images/popup-ads', authenticateToken, trackingRateLimit, async (re
     const cached = playlistCache.get(cacheKey);
     if (cached && (now - cached.timestamp) < PLAYLIST_CACHE_TTL) {
       console.log(`📊 Returning cached popup ads data`);
-      return res.json(cached.data);
+      return res.json({ ...cached.data, images: withImagePlayTokens(cached.data.images, req.user.userId) });
     }
     
     const R2_BUCKET_URL = R2_VIDEOS_URL;
-    const CHARITY_BUCKET = 'charity-stream-videos';
-    
-    // List all files from R2 bucket
-    const listCommand = new ListObjectsV2Command({
-      Bucket: CHARITY_BUCKET
-    });
-    
-    const response = await r2Client.send(listCommand);
-    const allFiles = response.Contents || [];
+    const pool = getPool();
     
-    // Filter for image files: image_{advertiserId}_{timestamp}_{uuid}.{jpg|png|gif|webp}
-    // Exclude archived/ folder
-    const imageFiles = allFiles
-      .filter(file => 
-        /^image_(\d+)_(\d+)_[a-fA-F0-9-]+\.(jpg|jpeg|png|gif|webp)$/i.test(file.Key) &&
-        !file.Key.startsWith('archived/')
-      )
-      .map(file => {
-        const match = file.Key.match(/^image_(\d+)_(\d+)_([a-fA-F0-9-]+)\.(jpg|jpeg|png|gif|webp)$/i);
-        if (!match) return null;
-        
-        const advertiserId = parseInt(match[1], 10);
-        const uploadTimestamp = parseInt(match[2], 10);
-        
-        return {
-          filename: file.Key,
-          advertiserId,
-          uploadTimestamp,
-          size: file.Size
-        };
-      })
-      .filter(file => file !== null)
-      .sort((a, b) => a.uploadTimestamp - b.uploadTimestamp); // Sort by upload timestamp (oldest first)
+    // Live advertiser images from the creative registry (oldest first)
+    const imageFiles = await listLiveCreatives(pool, 'image');
     
     // Get advertiser mappings for images
-    const pool = getPool();
     let imageAds = [];
     const blockedFilenames = new Set();
     
@@ -14133,7 +16715,8 @@ app.get('/api/images/popup-ads', authenticateToken, trackingRateLimit, async (re
           SELECT id, video_filename,
                  current_week_impressions, max_weekly_impressions, capped,
                  status, archived_at, archived_reason, recurring_weekly, is_paused,
-                 click_tracking, destination_url, ad_format
+                 click_tracking, destination_url, ad_format, campaign_start_date,
+                 ${PACING_COLUMNS}
           FROM advertisers
           WHERE video_filename IS NOT NULL
             AND video_filename LIKE 'image_%'
@@ -14218,6 +16801,15 @@ app.get('/api/images/popup-ads', authenticateToken, trackingRateLimit, async (re
           });
         
         console.log(`📊 Found ${imageAds.length} active image ads (${blockedFilenames.size} blocked)`);
+        
+        // Budget pacing: the client rotates through images in order, so serve a paced rotation where
+        // campaigns behind pace appear more often and campaigns ahead of pace less
+        const pacingWeights = getPacingWeights(activeAdvertisers.values());
+        imageAds = buildWeightedRotation(
+          imageAds,
+          image => pacingWeights[image.advertiserId] ?? 1,
+          imageAds.length * POPUP_ROTATION_SLOTS_PER_AD
+        );
       } catch (adError) {
         console.error('⚠️ Error fetching advertiser mappings (non-critical):', adError.message);
         // CRITICAL: If advertiser lookup fails, return empty array for safety
@@ -14243,7 +16835,7 @@ app.get('/api/images/popup-ads', authenticateToken, trackingRateLimit, async (re
       timestamp: now
     });
     
-    res.json(responseData);
+    res.json({ ...responseData, images: withImagePlayTokens(imageAds, req.user.userId) });
   } catch (error) {
     console.error('❌ Error fetching popup ads:', error);
     res.json({ images: [], count: 0 });
@@ -14597,6 +17189,22 @@ app.post('/api/advertiser/upload-file', upload.single('creative'), async (req, r
   });
 });
 
+// Check a promo code on the signup form before submitting ({ code, email, currency }). Nothing is redeemed
+// here; submit / create-checkout-session check again and redeem it for the new campaign
+app.post('/api/advertiser/promo-code', async (req, res) => {
+  try {
+    const { code, email, currency } = req.body || {};
+    const pool = getPool();
+    if (!pool) return res.status(500).json({ error: 'Database connection not available' });
+    const check = await checkPromoCode(pool, { code, email, currency: normalizeCurrency(currency) });
+    if (!check.ok) return res.status(400).json({ valid: false, error: 'Invalid promo code', message: check.error });
+    res.json({ valid: true, promotion: publicPromotionResponse(check.promotion) });
+  } catch (error) {
+    console.error('❌ Error checking promo code:', error);
+    res.status(500).json({ error: 'Internal server error', message: 'Could not check the promo code. Please try again.' });
+  }
+});
+
 app.post('/api/advertiser/create-checkout-session', async (req, res) => {
   try {
     console.log('🚀 ===== ADVERTISER CHECKOUT SESSION CREATION STARTED =====');
@@ -14616,6 +17224,9 @@ app.post('/api/advertiser/create-checkout-session', async (req, res) => {
       expeditedApproval,
       clickTracking,
       destinationUrl,
+      currency, // usd / eur / gbp — CPM rate and budget are in this currency
+      promoCode, // Optional; redeemed for the new campaign (lib/promotions.js)
+      causeCategory, // Optional; directs this campaign's giving to a cause (lib/causes.js)
       fileUrl,  // File URL from separate upload endpoint
       fileName  // File name from separate upload endpoint
     } = req.body;
@@ -14626,6 +17237,7 @@ app.post('/api/advertiser/create-checkout-session', async (req, res) => {
       adFormat,
       weeklyBudget,
       cpmRate,
+      currency,
       expeditedApproval,
       clickTracking,
       destinationUrl,
@@ -14652,6 +17264,11 @@ app.post('/api/advertiser/create-checkout-session', async (req, res) => {
       });
     }
     
+    const cause = normalizeCause(causeCategory);
+    if (!cause.ok) {
+      return res.status(400).json({ error: 'Invalid cause', message: cause.error });
+    }
+    
     // Check Stripe configuration
     if (!process.env.STRIPE_SECRET_KEY) {
       console.error('❌ STRIPE_SECRET_KEY environment variable is not set');
@@ -14676,6 +17293,56 @@ app.post('/api/advertiser/create-checkout-session', async (req, res) => {
       return res.status(500).json({ error: 'Database connection not available' });
     }
     
+    // Billing currency: a returning account keeps the one it signed up with (its Stripe customer cannot switch)
+    const requestedCurrency = normalizeCurrency(currency);
+    if (!requestedCurrency) {
+      return res.status(400).json({
+        error: 'Unsupported currency',
+        message: `Currency must be one of: ${SUPPORTED_CURRENCIES.join(', ').toUpperCase()}`
+      });
+    }
+    const existingAccountCurrency = await pool.query(
+      'SELECT currency FROM advertiser_accounts WHERE LOWER(TRIM(email)) = LOWER(TRIM($1)) LIMIT 1',
+      [email]
+    );
+    const accountCurrency = existingAccountCurrency.rows[0]?.currency || null;
+    if (accountCurrency && currency && requestedCurrency !== accountCurrency) {
+      return res.status(400).json({
+        error: 'Currency mismatch',
+        message: `This advertiser account is billed in ${accountCurrency.toUpperCase()}. Choose ${accountCurrency.toUpperCase()} for new campaigns.`
+      });
+    }
+    const campaignCurrency = accountCurrency || requestedCurrency;
+    
+    const normalizedPromoCode = normalizePromoCode(promoCode);
+    if (normalizedPromoCode) {
+      const promoCheck = await checkPromoCode(pool, { code: normalizedPromoCode, email, currency: campaignCurrency });
+      if (!promoCheck.ok) {
+        return res.status(400).json({ error: 'Invalid promo code', message: promoCheck.error });
+      }
+    }
+    
+    // Automated creative validation: hard failures block checkout (nothing is charged or created)
+    let validationKey;
+    try {
+      validationKey = normalizeR2Key(normalizeBareMediaR2Link(fileUrl) || String(fileUrl).trim());
+    } catch (normalizeError) {
+      return res.status(400).json({ error: 'Invalid file URL', message: normalizeError.message });
+    }
+    const validation = await getOrValidateCreative(pool, r2Client, {
+      bucket: CREATIVE_BUCKETS.advertiserUploads,
+      key: validationKey,
+      creativeType: creativeTypeForAdFormat(databaseAdFormat)
+    });
+    if (validation.status === 'failed') {
+      console.log(`❌ Creative failed validation (${validationKey}): ${summarizeFailures(validation)}`);
+      return res.status(422).json({
+        error: 'Creative failed validation',
+        message: summarizeFailures(validation),
+        validation
+      });
+    }
+    
     // Get file URL from request body (file should be uploaded separately via /api/advertiser/upload-file)
     // This avoids Vercel's 4.5MB request body limit for serverless functions
     const mediaUrl = normalizeBareMediaR2Link(fileUrl) || null;
@@ -14710,8 +17377,8 @@ app.post('/api/advertiser/create-checkout-session', async (req, res) => {
         campaign_name, company_name, website_url, first_name, last_name, 
         email, title_role, ad_format, weekly_budget_cap, cpm_rate, 
         recurring_weekly, expedited, click_tracking, destination_url,
-        media_r2_link, max_weekly_impressions, payment_completed, status, created_at
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, false, 'payment_pending', CURRENT_TIMESTAMP)
+        media_r2_link, max_weekly_impressions, currency, billing_mode, cause_category, payment_completed, status, created_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, false, 'payment_pending', CURRENT_TIMESTAMP)
       RETURNING id, email, company_name`,
       [
         campaignName || null,
@@ -14729,7 +17396,10 @@ app.post('/api/advertiser/create-checkout-session', async (req, res) => {
         clickTracking === 'true' || clickTracking === true,
         destinationUrl || null,
         mediaUrl, // Store R2 URL immediately
-        max_weekly_impressions
+        max_weekly_impressions,
+        campaignCurrency,
+        await accountBillingMode(pool, email, isRecurring === 'true' || isRecurring === true),
+        cause.cause
       ]
     );
     
@@ -14741,6 +17411,12 @@ app.post('/api/advertiser/create-checkout-session', async (req, res) => {
       payment_completed: false
     });
     
+    // Link the validation report to the new campaign so the portal and /admin-cs can show it
+    await pool.query(
+      'UPDATE creative_validations SET advertiser_id = $1 WHERE r2_bucket = $2 AND r2_key = $3',
+      [advertiser.id, CREATIVE_BUCKETS.advertiserUploads, validationKey]
+    );
+    
     // Create or find advertiser_accounts row (canonical account per email)
     const normalizedEmail = (advertiser.email || '').toLowerCase().trim();
     console.log('💾 Creating/finding advertiser_accounts for email:', normalizedEmail);
@@ -14766,10 +17442,10 @@ app.post('/api/advertiser/create-checkout-session', async (req, res) => {
           INSERT INTO advertiser_accounts (
             advertiser_id, email, password_hash,
             initial_setup_token, initial_setup_expires_at,
-            password_reset_token, password_reset_expires_at
-          ) VALUES ($1, $2, NULL, NULL, NULL, NULL, NULL)
+            password_reset_token, password_reset_expires_at, currency
+          ) VALUES ($1, $2, NULL, NULL, NULL, NULL, NULL, $3)
           RETURNING id
-        `, [advertiser.id, advertiser.email]);
+        `, [advertiser.id, advertiser.email, campaignCurrency]);
         accountId = insertResult.rows[0].id;
         console.log('✅ [CHECKOUT] Created advertiser_accounts row id:', accountId);
       }
@@ -14781,6 +17457,24 @@ app.post('/api/advertiser/create-checkout-session', async (req, res) => {
       });
     }
 
+    // Redeem the promo code for this campaign. If checkout is abandoned the redemption stops counting
+    // against the code's limits after a day, and it never discounts anything (the campaign is never billed)
+    if (normalizedPromoCode) {
+      try {
+        const redeemed = await redeemPromoCode(pool, {
+          code: normalizedPromoCode,
+          accountId,
+          advertiserId: advertiser.id,
+          currency: campaignCurrency
+        });
+        if (!redeemed.ok) {
+          console.warn(`⚠️ [CHECKOUT] Promo code ${normalizedPromoCode} not redeemed for advertiser ${advertiser.id}: ${redeemed.error}`);
+        }
+      } catch (promoError) {
+        console.error('❌ [CHECKOUT] Failed to redeem promo code:', promoError.message);
+      }
+    }
+
     // Get or create canonical Stripe customer (single customer per advertiser account)
     let canonicalCustomerId = null;
     const accountRow = await pool.query(
@@ -14866,8 +17560,8 @@ app.post('/api/advertiser/create-checkout-session', async (req, res) => {
     // This collects and saves a payment method to the canonical customer for future off-session invoicing
     const campaignTypeLabel = recurringWeekly ? 'Recurring Weekly Campaign' : 'One-Time Campaign';
     const descriptionParts = [campaignTypeLabel];
-    if (weeklyBudgetNum) descriptionParts.push(`Budget Cap: $${weeklyBudgetNum.toFixed(2)}/wk`);
-    if (cpmRateNum) descriptionParts.push(`CPM Rate: $${cpmRateNum.toFixed(2)}`);
+    if (weeklyBudgetNum) descriptionParts.push(`Budget Cap: ${formatMoney(weeklyBudgetNum, campaignCurrency)}/wk`);
+    if (cpmRateNum) descriptionParts.push(`CPM Rate: ${formatMoney(cpmRateNum, campaignCurrency)}`);
     const sessionConfig = {
       customer: canonicalCustomerId,
       payment_method_types: ['card'],
@@ -14891,7 +17585,8 @@ app.post('/api/advertiser/create-checkout-session', async (req, res) => {
     res.json({
       sessionId: session.id,
       checkoutUrl: session.url,
-      advertiserId: advertiser.id
+      advertiserId: advertiser.id,
+      currency: campaignCurrency
       // Note: totalAmount removed - no charges at checkout time
     });
     
@@ -15245,6 +17940,15 @@ app.get('/api/subscribe/status', authenticateToken, async (req, res) => {
                      updated_at = NOW()`,
                 [weekStart, 1.00]
               );
+              await postPoolReceipt(pool, {
+                entryKey: `viewer_subscription:${latestInvoiceId}:${weekStart}`,
+                sourceType: 'subscription',
+                sourceId: latestInvoiceId,
+                poolSource: 'viewer',
+                amount: 1.00,
+                weekStart,
+                description: 'Premium subscription activated'
+              });
               console.log('✅ [SUBSCRIBE/STATUS] Donation ledger and pool updated, week_start:', weekStart, 'invoice:', latestInvoiceId);
             } else {
               console.log('ℹ️ [SUBSCRIBE/STATUS] Invoice already recorded in ledger — pool not double-counted');
@@ -15355,7 +18059,8 @@ app.post('/trigger-advertiser-webhook', async (req, res) => {
       cpm_rate: advertiser.cpm_rate,
       weekly_budget_cap: advertiser.weekly_budget_cap,
       expedited: advertiser.expedited,
-      click_tracking: advertiser.click_tracking
+      click_tracking: advertiser.click_tracking,
+      currency: advertiser.currency
     };
     
     console.log('📧 Campaign summary:', campaignSummary);
@@ -15592,11 +18297,17 @@ app.get('/api/webhook-status', (req, res) => {
 app.post('/api/donate/create-checkout-session', authenticateToken, async (req, res) => {
   try {
     console.log('💰 Donation checkout session requested for user:', req.user.email);
-    const { amount = 300 } = req.body || {};
+    const { amount = 300, currency } = req.body || {};
+    
+    // Donors may give in any supported currency; the donation price carries a currency_options entry for each
+    const donationCurrency = normalizeCurrency(currency);
+    if (!donationCurrency) {
+      return res.status(400).json({ error: `Currency must be one of: ${SUPPORTED_CURRENCIES.join(', ').toUpperCase()}` });
+    }
     
     // Basic validation
     if (typeof amount !== 'number' || isNaN(amount) || amount < 100) {
-      return res.status(400).json({ error: 'Minimum donation amount is $1.00' });
+      return res.status(400).json({ error: `Minimum donation amount is ${formatMoney(1, donationCurrency)}` });
     }
     
     // Get database pool
@@ -15607,14 +18318,14 @@ app.post('/api/donate/create-checkout-session', authenticateToken, async (req, r
     }
     
     // Create donation record in database BEFORE payment (same pattern as advertiser)
-    // amount column stores whole dollars; webhook overwrites from Stripe amount_total
+    // amount column stores whole units of currency; webhook overwrites from Stripe amount_total
     const amountDollarsPlaceholder = Math.round(Number(amount) / 100);
     console.log('💾 Creating donation record in database...');
     const donationResult = await pool.query(
-      `INSERT INTO donations (user_id, amount, customer_email, status, stripe_session_id)
-       VALUES ($1, $2, $3, 'pending', NULL)
+      `INSERT INTO donations (user_id, amount, currency, customer_email, status, stripe_session_id)
+       VALUES ($1, $2, $3, $4, 'pending', NULL)
        RETURNING id`,
-      [req.user.userId, amountDollarsPlaceholder, req.user.email]
+      [req.user.userId, amountDollarsPlaceholder, donationCurrency, req.user.email]
     );
     
     const donationId = donationResult.rows[0].id;
@@ -15631,6 +18342,7 @@ app.post('/api/donate/create-checkout-session', authenticateToken, async (req, r
     const sessionMetadata = {
       donationType: 'direct_donation',
       amount: String(amount),
+      currency: donationCurrency,
       userId: String(req.user.userId),
       userEmail: req.user.email, // Store email in metadata as backup
       donationId: String(donationId) // Store donation ID for webhook lookup
@@ -15648,6 +18360,7 @@ app.post('/api/donate/create-checkout-session', authenticateToken, async (req, r
         },
       ],
       mode: 'payment', // 🚨 REVERTED: Payment mode for one-time donations
+      currency: donationCurrency, // Charged from the price's currency_options for EUR / GBP
       success_url: `${process.env.FRONTEND_URL || 'http://localhost:3001'}/?donation_success=true`,
       cancel_url: `${process.env.FRONTEND_URL || 'http://localhost:3001'}/`,
       metadata: sessionMetadata // Metadata at session level for webhook lookup
@@ -15845,12 +18558,31 @@ app.get('/api/admin/advertisers', requireAdminAuth, async (req, res) => {
   try {
     const pool = getPool();
     const { rows } = await pool.query(`
-      SELECT id, company_name, expedited, website_url, media_r2_link, click_tracking, destination_url, cpm_rate, weekly_budget_cap
-      FROM advertisers
-      WHERE status = 'pending_review' AND media_r2_link IS NOT NULL
-      ORDER BY created_at ASC
+      SELECT a.id, a.company_name, a.expedited, a.website_url, a.media_r2_link, a.click_tracking, a.destination_url,
+             a.cpm_rate, a.weekly_budget_cap, cv.status AS validation_status, cv.report AS validation_report,
+             lc.r2_bucket AS live_creative_bucket, lc.poster_key AS live_poster_key
+      FROM advertisers a
+      LEFT JOIN LATERAL (
+        SELECT status, report FROM creative_validations
+        WHERE advertiser_id = a.id
+        ORDER BY created_at DESC
+        LIMIT 1
+      ) cv ON TRUE
+      LEFT JOIN LATERAL (
+        SELECT r2_bucket, poster_key FROM creatives
+        WHERE advertiser_id = a.id AND media_status = 'ready'
+        ORDER BY created_at DESC
+        LIMIT 1
+      ) lc ON TRUE
+      WHERE a.status = 'pending_review' AND a.media_r2_link IS NOT NULL
+      ORDER BY a.created_at ASC
     `);
-    res.json(rows);
+    // Poster of the campaign's previously approved creative (creative replacements), so the review
+    // table shows a still instead of loading the MP4
+    res.json(rows.map(({ live_creative_bucket, live_poster_key, ...row }) => ({
+      ...row,
+      live_poster_url: creativeAssetUrl(live_creative_bucket, live_poster_key)
+    })));
   } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
@@ -15907,27 +18639,47 @@ app.get('/api/admin/charities', requireAdminAuth, async (req, res) => {
     const pool = getPool();
     const thisMonday = _adminThisMonday();
     const { rows } = await pool.query(`
-      SELECT id, charity_name, federal_ein, contact_email
+      SELECT id, charity_name, federal_ein, contact_email, cause_category
       FROM charity_applications
       WHERE reviewed_at IS NULL
         AND status = 'pending'
         AND (created_at AT TIME ZONE 'America/Los_Angeles')::date >= $1::date
       ORDER BY created_at ASC
     `, [thisMonday]);
-    res.json(rows);
+    res.json(rows.map(row => ({ ...row, cause_label: causeLabel(row.cause_category) })));
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// Cause categories for the admin cause pickers, or set a charity's cause (lib/causes.js)
+app.get('/api/admin/cause-categories', requireAdminAuth, (req, res) => {
+  res.json({ causes: causeOptions() });
+});
+
+app.post('/api/admin/charities/:id/cause', requireAdminAuth, async (req, res) => {
+  try {
+    const cause = normalizeCause(req.body && req.body.causeCategory);
+    if (!cause.ok) return res.status(400).json({ error: cause.error });
+    const pool = getPool();
+    const { rows } = await pool.query(
+      'UPDATE charity_applications SET cause_category = $1 WHERE id = $2 RETURNING id, cause_category',
+      [cause.cause, req.params.id]
+    );
+    if (rows.length === 0) return res.status(404).json({ error: 'Charity not found' });
+    res.json({ success: true, causeCategory: rows[0].cause_category, causeLabel: causeLabel(rows[0].cause_category) });
   } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
 // List charities eligible for winner selection (in charity_week_pool for next Monday)
-// Also returns whether a winner is already chosen for that week
+// Also returns whether a winner is already chosen for that week (with every recipient's share when the pool is
+// split), and each charity's viewer votes so far
 app.get('/api/admin/charities/winner-eligible', requireAdminAuth, async (req, res) => {
   try {
     const pool = getPool();
     const nextWeekStart = _adminNextMonday();
 
-    const [eligible, existing] = await Promise.all([
+    const [eligible, existing, tally, recipients] = await Promise.all([
       pool.query(`
-        SELECT ca.id, ca.charity_name, ca.federal_ein, ca.contact_email
+        SELECT ca.id, ca.charity_name, ca.federal_ein, ca.contact_email, ca.cause_category
         FROM charity_week_pool cwp
         JOIN charity_applications ca ON ca.id = cwp.charity_application_id
         WHERE cwp.week_start = $1::date
@@ -15935,15 +18687,30 @@ app.get('/api/admin/charities/winner-eligible', requireAdminAuth, async (req, re
         ORDER BY ca.charity_name ASC
       `, [nextWeekStart]),
       pool.query(
-        `SELECT charity_application_id FROM charity_week_winner WHERE week_start = $1::date LIMIT 1`,
+        `SELECT charity_application_id, selection_method FROM charity_week_winner WHERE week_start = $1::date LIMIT 1`,
         [nextWeekStart]
-      )
+      ),
+      tallyCharityVotes(pool, nextWeekStart),
+      pool.query(`
+        SELECT wr.charity_application_id, wr.share_type, wr.share_percent, wr.fixed_amount
+        FROM (${WEEK_RECIPIENTS_SQL}) wr
+        WHERE wr.week_start = $1::date
+        ORDER BY wr.position
+      `, [nextWeekStart])
     ]);
+    const votesById = new Map(tally.map(c => [c.id, c]));
 
     res.json({
       nextWeekStart,
       winnerId: existing.rows.length ? existing.rows[0].charity_application_id : null,
-      charities: eligible.rows
+      selectionMethod: existing.rows.length ? existing.rows[0].selection_method : null,
+      recipients: recipients.rows.map(row => ({ id: row.charity_application_id, share: describeShare(row) })),
+      charities: eligible.rows.map(row => ({
+        ...row,
+        cause_label: causeLabel(row.cause_category),
+        votes: votesById.has(row.id) ? votesById.get(row.id).votes : 0,
+        voters: votesById.has(row.id) ? votesById.get(row.id).voters : 0
+      }))
     });
   } catch (err) { res.status(500).json({ error: err.message }); }
 });
@@ -15970,6 +18737,34 @@ app.post('/api/admin/charities/:id/select-winner', requireAdminAuth, async (req,
   } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
+// Split next Monday's week between several charities: { recipients: [{ charityApplicationId, share }] } in payout
+// order, each share a percentage ("60%") or a fixed amount ("$250") — see lib/charityRecipients.js
+app.post('/api/admin/charities/select-winners', requireAdminAuth, async (req, res) => {
+  try {
+    const validation = validateRecipients(req.body && req.body.recipients);
+    if (!validation.ok) return res.status(400).json({ error: validation.error });
+    const pool = getPool();
+    const nextWeekStart = _adminNextMonday();
+    const existing = await pool.query(
+      'SELECT 1 FROM charity_week_winner WHERE week_start = $1::date LIMIT 1',
+      [nextWeekStart]
+    );
+    if (existing.rows.length) {
+      return res.status(409).json({ error: `Winner for ${nextWeekStart} is already selected.` });
+    }
+    // Shares are passed shell-safe: "60%" or "250usd"
+    const charityArgs = validation.recipients.map(r =>
+      `--charity-id=${r.charityApplicationId}:${r.shareType === 'fixed' ? `${r.fixedAmount}usd` : `${r.sharePercent}%`}`
+    );
+    const output = await runAdminScript(
+      'select-winner.js',
+      [...charityArgs, `--week-start=${nextWeekStart}`],
+      2 * 60 * 1000
+    );
+    res.json({ success: true, output });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
 // Approve advertiser (routes to expedited or standard script based on flag)
 app.post('/api/admin/advertisers/:id/approve', requireAdminAuth, async (req, res) => {
   try {
@@ -16026,6 +18821,295 @@ app.post('/api/admin/charities/:id/reject', requireAdminAuth, async (req, res) =
   } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
+// Rejected impression attempts (bad/replayed/early play tokens) — most recent first, with 7-day counts by reason
+app.get('/api/admin/impression-fraud', requireAdminAuth, async (req, res) => {
+  try {
+    const pool = getPool();
+    const limit = Math.min(parseInt(req.query.limit, 10) || 200, 1000);
+    const [events, summary] = await Promise.all([
+      pool.query(`
+        SELECT ife.id, ife.reason, ife.endpoint, ife.advertiser_id, a.company_name,
+               ife.user_id, ife.video_filename, ife.ip_address, ife.user_agent, ife.created_at
+        FROM impression_fraud_events ife
+        LEFT JOIN advertisers a ON a.id = ife.advertiser_id
+        ORDER BY ife.created_at DESC
+        LIMIT $1
+      `, [limit]),
+      pool.query(`
+        SELECT reason, COUNT(*)::integer AS count
+        FROM impression_fraud_events
+        WHERE created_at >= NOW() - INTERVAL '7 days'
+        GROUP BY reason
+        ORDER BY count DESC
+      `)
+    ]);
+    res.json({ events: events.rows, summary: summary.rows });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// Charity payouts (scripts/process-charity-payouts.js): transfer intents with their Stripe state
+app.get('/api/admin/payouts', requireAdminAuth, async (req, res) => {
+  try {
+    const pool = getPool();
+    const { rows } = await pool.query(`
+      SELECT ti.id, ti.week_start::text AS week_start, ti.recipient_type, ti.amount, ti.status, ti.attempts,
+             ti.last_error, ti.hold_reason, ti.stripe_transfer_id, ti.amount_reversed, ti.transferred_at,
+             ti.updated_at, ti.charity_application_id, ca.charity_name, ca.stripe_connect_account_id,
+             ca.connect_details_submitted, ca.connect_transfers_enabled
+      FROM transfer_intents ti
+      LEFT JOIN charity_applications ca ON ca.id = ti.charity_application_id
+      ORDER BY ti.week_start DESC
+      LIMIT 200
+    `);
+    res.json(rows);
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// retry: failed → pending; hold: pending / failed → held; release: held → pending
+const PAYOUT_ACTIONS = {
+  retry: { from: ['failed'], to: 'pending' },
+  hold: { from: ['pending', 'failed'], to: 'held' },
+  release: { from: ['held'], to: 'pending' }
+};
+
+app.post('/api/admin/payouts/:id/:action', requireAdminAuth, async (req, res) => {
+  const transition = PAYOUT_ACTIONS[req.params.action];
+  if (!transition) return res.status(400).json({ error: 'Unknown action' });
+  try {
+    const pool = getPool();
+    const reason = req.params.action === 'hold' ? String((req.body && req.body.reason) || 'Held by admin').slice(0, 500) : null;
+    const { rows } = await pool.query(`
+      UPDATE transfer_intents
+      SET status = $2,
+          hold_reason = $3,
+          last_error = CASE WHEN $2 = 'pending' THEN NULL ELSE last_error END,
+          updated_at = NOW()
+      WHERE id::text = $1 AND status = ANY($4::text[])
+      RETURNING id, status
+    `, [req.params.id, transition.to, reason, transition.from]);
+    if (!rows.length) {
+      return res.status(409).json({ error: `Payout is not in a state that allows ${req.params.action}` });
+    }
+    console.log(`💸 [ADMIN PAYOUTS] ${req.params.action} transfer intent ${req.params.id} → ${transition.to}`);
+    res.json({ success: true, payout: rows[0] });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// Fresh payout onboarding link for a charity (to resend when the emailed one expired)
+app.post('/api/admin/charities/:id/connect-link', requireAdminAuth, async (req, res) => {
+  try {
+    const pool = getPool();
+    const { rows } = await pool.query(
+      `SELECT id, charity_name, contact_email, status FROM charity_applications WHERE id = $1`,
+      [req.params.id]
+    );
+    if (!rows.length || rows[0].status !== 'approved') {
+      return res.status(404).json({ error: 'Approved charity not found' });
+    }
+    res.json({ success: true, url: onboardingUrlFor(rows[0].id), contactEmail: rows[0].contact_email });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// Refunds and disputes applied to the pool (lib/paymentReversals.js); ?open=1 lists only those awaiting review
+app.get('/api/admin/reversals', requireAdminAuth, async (req, res) => {
+  try {
+    const pool = getPool();
+    const openOnly = req.query.open === '1' || req.query.open === 'true';
+    const { rows } = await pool.query(`
+      SELECT pr.id, pr.kind, pr.stripe_object_id, pr.stripe_charge_id, pr.stripe_status, pr.source_type,
+             pr.source_id, pr.amount, pr.week_start::text AS week_start, pr.week_finalized, pr.transfer_intent_id,
+             pr.campaign_held, pr.needs_review, pr.resolution_note, pr.resolved_at, pr.created_at,
+             COALESCE(a.company_name, sa.organization_legal_name) AS campaign_name,
+             COALESCE(a.payment_hold_reason, sc.payment_hold_reason) AS hold_reason
+      FROM payment_reversals pr
+      LEFT JOIN advertisers a ON pr.source_type = 'advertiser' AND a.id::text = pr.source_id
+      LEFT JOIN sponsor_campaigns sc ON pr.source_type = 'sponsor' AND sc.id::text = pr.source_id
+      LEFT JOIN sponsor_accounts sa ON sa.id = sc.sponsor_account_id
+      WHERE ($1::boolean = FALSE OR pr.needs_review = TRUE OR COALESCE(a.payment_hold_reason, sc.payment_hold_reason) IS NOT NULL)
+      ORDER BY pr.created_at DESC
+      LIMIT 200
+    `, [openOnly]);
+    res.json(rows);
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// Mark a reversal reviewed and/or lift the campaign hold it placed ({ note, releaseHold })
+app.post('/api/admin/reversals/:id/resolve', requireAdminAuth, async (req, res) => {
+  try {
+    const pool = getPool();
+    const note = String((req.body && req.body.note) || '').slice(0, 1000) || null;
+    const { rows } = await pool.query(`
+      UPDATE payment_reversals
+      SET needs_review = FALSE,
+          resolution_note = COALESCE($2, resolution_note),
+          resolved_at = COALESCE(resolved_at, NOW()),
+          updated_at = NOW()
+      WHERE id = $1
+      RETURNING id, source_type, source_id
+    `, [req.params.id, note]);
+    if (!rows.length) return res.status(404).json({ error: 'Reversal not found' });
+
+    let holdReleased = false;
+    if (req.body && req.body.releaseHold) {
+      holdReleased = await releaseCampaignHold(pool, rows[0].source_type, rows[0].source_id);
+      if (holdReleased) playlistCache.clear();
+    }
+    console.log(`↩️ [ADMIN REVERSALS] Reversal ${req.params.id} resolved${holdReleased ? `, ${rows[0].source_type} ${rows[0].source_id} hold released` : ''}`);
+    res.json({ success: true, holdReleased });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// Stored Stripe events (lib/stripeEvents.js); ?status=failed|received|processed|ignored filters, default all
+app.get('/api/admin/stripe-events', requireAdminAuth, async (req, res) => {
+  try {
+    const status = ['received', 'processed', 'failed', 'ignored'].includes(req.query.status) ? req.query.status : null;
+    const { rows } = await getPool().query(`
+      SELECT id, type, livemode, status, source, attempts, deliveries, last_error,
+             stripe_created_at, received_at, last_received_at, processed_at
+      FROM stripe_events
+      WHERE ($1::text IS NULL OR status = $1)
+      ORDER BY stripe_created_at DESC
+      LIMIT 200
+    `, [status]);
+    res.json(rows);
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// Replay Stripe events: { eventId } re-runs one stored event, { from, to } (ISO dates) pulls the range from
+// Stripe and processes anything not yet processed here, otherwise every failed / stale event ({ limit })
+app.post('/api/admin/stripe-events/replay', requireAdminAuth, async (req, res) => {
+  try {
+    const pool = getPool();
+    const body = req.body || {};
+    const limit = Math.min(Math.max(parseInt(body.limit, 10) || 100, 1), 500);
+    let summary;
+    if (body.from || body.to) {
+      const from = new Date(body.from);
+      const to = body.to ? new Date(body.to) : new Date();
+      if (isNaN(from.getTime()) || isNaN(to.getTime()) || from > to) {
+        return res.status(400).json({ error: 'from and to must be dates with from <= to' });
+      }
+      summary = await syncStripeEvents(pool, stripe, processStripeEvent, { from, to });
+    } else {
+      summary = await replayFailedStripeEvents(pool, processStripeEvent, { limit, eventId: body.eventId || null });
+    }
+    if (summary.processed > 0) playlistCache.clear();
+    console.log(`🔁 [ADMIN STRIPE EVENTS] Replay requested: ${summary.processed} processed, ${summary.failed} failed`);
+    res.json(summary);
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// Stripe reconciliation report (scripts/reconcile-stripe.js): the latest run, or ?runId=, with its mismatches
+app.get('/api/admin/stripe-reconciliation', requireAdminAuth, async (req, res) => {
+  try {
+    const pool = getPool();
+    const runs = await pool.query(`
+      SELECT id, status, window_days, checked, summary, mismatch_count, error, started_at, finished_at
+      FROM stripe_reconciliation_runs
+      ORDER BY started_at DESC
+      LIMIT 14
+    `);
+    const runId = req.query.runId
+      ? parseInt(req.query.runId, 10)
+      : (runs.rows.find(r => r.status === 'completed') || {}).id;
+    const run = runId ? runs.rows.find(r => r.id === runId) || null : null;
+    const mismatches = runId
+      ? (await pool.query(`
+          SELECT id, category, entity_type, entity_id, stripe_id, message, details
+          FROM stripe_reconciliation_mismatches
+          WHERE run_id = $1
+          ORDER BY category, id
+        `, [runId])).rows
+      : [];
+    res.json({ run, runs: runs.rows, mismatches });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// Trial balance of the double-entry journal, reconciled against weekly_donation_pool and
+// weekly_charity_allocation for the most recent ?weeks= weeks (lib/journal.js)
+app.get('/api/admin/ledger/trial-balance', requireAdminAuth, async (req, res) => {
+  try {
+    const weeks = Math.min(Math.max(parseInt(req.query.weeks, 10) || 12, 1), 104);
+    const report = await trialBalance(getPool(), { weeks });
+    if (!report.inAgreement) {
+      console.warn('⚠️ [LEDGER] Trial balance disagrees with the pool tables');
+    }
+    res.json(report);
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// Promo codes and credit grants (lib/promotions.js), newest first with redemption counts and discount totals
+app.get('/api/admin/promotions', requireAdminAuth, async (req, res) => {
+  try {
+    const rows = await listPromotions(getPool());
+    res.json(rows.map(promotionResponse));
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// Create a promo code ({ code, description, kind, percentOff | creditAmount + currency, durationWeeks,
+// startsAt, expiresAt, maxRedemptions, perAccountLimit })
+app.post('/api/admin/promotions', requireAdminAuth, async (req, res) => {
+  try {
+    const validation = validatePromotionInput(req.body || {});
+    if (!validation.ok) return res.status(400).json({ error: validation.error });
+    const created = await createPromotion(getPool(), validation.promotion, 'admin-cs');
+    if (!created.ok) return res.status(409).json({ error: created.error });
+    console.log(`🎟️ [ADMIN PROMOTIONS] Created ${created.promotion.code} (${created.promotion.kind})`);
+    res.json({ success: true, promotion: promotionResponse(created.promotion) });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// Free credit for one advertiser account ({ email, amount, description }), in the account currency
+app.post('/api/admin/promotions/grant', requireAdminAuth, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const granted = await grantAccountCredit(getPool(), {
+      email: body.email,
+      amount: body.amount,
+      description: String(body.description || '').slice(0, 200),
+      createdBy: 'admin-cs'
+    });
+    if (!granted.ok) return res.status(400).json({ error: granted.error });
+    res.json({ success: true, promotion: promotionResponse(granted.promotion) });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// Stop (or restart) new redemptions of a code; redemptions already made keep applying
+app.post('/api/admin/promotions/:id/:action', requireAdminAuth, async (req, res) => {
+  const active = { activate: true, deactivate: false }[req.params.action];
+  if (active === undefined) return res.status(400).json({ error: 'Unknown action' });
+  try {
+    const promotion = await setPromotionActive(getPool(), req.params.id, active);
+    if (!promotion) return res.status(404).json({ error: 'Promotion not found' });
+    console.log(`🎟️ [ADMIN PROMOTIONS] ${req.params.action} promotion ${req.params.id}`);
+    res.json({ success: true, promotion: promotionResponse(promotion) });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// Dunning cases for failed advertiser / sponsor invoices (lib/dunning.js), open ones first. ?status= filters
+app.get('/api/admin/dunning', requireAdminAuth, async (req, res) => {
+  try {
+    const status = ['open', 'recovered', 'written_off', 'closed'].includes(req.query.status) ? req.query.status : null;
+    const rows = await listDunningCases(getPool(), { status, limit: req.query.limit });
+    const schedule = dunningSchedule();
+    res.json({ schedule, cases: rows.map(row => dunningCaseResponse(row, schedule)) });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// Retry an open case's invoice now (e.g. after the customer says they updated their card). Does not count
+// towards the scheduled retries
+app.post('/api/admin/dunning/:id/retry', requireAdminAuth, async (req, res) => {
+  try {
+    const pool = getPool();
+    const found = await pool.query(`SELECT * FROM dunning_cases WHERE id = $1 AND status = 'open'`, [req.params.id]);
+    if (found.rows.length === 0) return res.status(404).json({ error: 'Open dunning case not found' });
+    const result = await processDunningCase(pool, stripe, found.rows[0], { manualRetry: true });
+    console.log(`📮 [ADMIN DUNNING] Manual retry of case ${req.params.id}: ${result.outcome}`);
+    const updated = await pool.query('SELECT * FROM dunning_cases WHERE id = $1', [req.params.id]);
+    res.json({ success: result.outcome !== 'retried', outcome: result.outcome, error: result.error || null, case: dunningCaseResponse(updated.rows[0]) });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
 // ============================================================
 // LIVE VIEWER COUNT — in-memory presence, no DB
 // ============================================================
@@ -16095,6 +19179,7 @@ module.exports = app;
 module.exports.performWeeklyReset = performWeeklyReset;
 module.exports.runWeeklyRecurringBilling = runWeeklyRecurringBilling;
 module.exports.runNonRecurringBilling = runNonRecurringBilling;
+module.exports.processStripeEvent = processStripeEvent;
 
 // Local development server
 if (require.main === module) {
@@ -7,6 +7,12 @@ const CHARITY_GUIDELINES_PDF_URL = `${R2_PUBLIC_ASSETS_URL}/charity-community-gu
 const nodemailer = require('nodemailer');
 const https = require('https');
 
+// Amount with its currency symbol (usd / eur / gbp)
+function formatAmount(amount, currency = 'usd') {
+  return new Intl.NumberFormat('en-US', { style: 'currency', currency: String(currency || 'usd').toUpperCase() })
+    .format(Number(amount) || 0);
+}
+
 class EmailService {
   constructor() {
     this.isConfigured = this.checkEmailConfiguration();
@@ -396,7 +402,9 @@ Your subscription renews monthly. Thank you for supporting our mission!
   }
 
   // Send donation thank you email
-  async sendDonationThankYouEmail(customerEmail, username, donationAmount, stripeCustomerId = null) {
+  // receiptPdf: optional { filename, content } donation receipt (lib/donationReceipts.js) to attach
+  // currency: the currency the donation was charged in (donationAmount is in its minor units)
+  async sendDonationThankYouEmail(customerEmail, username, donationAmount, stripeCustomerId = null, receiptPdf = null, currency = 'usd') {
     try {
       console.log('📧 ===== SENDING DONATION THANK YOU EMAIL =====');
       console.log('📧 To (Stripe customer email):', customerEmail);
@@ -408,7 +416,7 @@ Your subscription renews monthly. Thank you for supporting our mission!
         return { success: false, error: 'Email service not configured' };
       }
       
-      const formattedAmount = (Number(donationAmount || 0) / 100).toFixed(2);
+      const formattedAmount = formatAmount(Number(donationAmount || 0) / 100, currency);
       const subject = `Thank You for Your Donation!`;
       
       const htmlContent = this.getDonationThankYouEmailTemplate(username, formattedAmount);
@@ -419,7 +427,8 @@ Your subscription renews monthly. Thank you for supporting our mission!
         to: customerEmail,
         subject: subject,
         text: textContent,
-        html: htmlContent
+        html: htmlContent,
+        attachments: this.billingPdfAttachments(receiptPdf)
       };
       
       console.log('📧 Sending donation thank you email with retry logic...');
@@ -452,10 +461,10 @@ Your subscription renews monthly. Thank you for supporting our mission!
         </div>
         <div style="padding: 20px; background-color: #f9fafb;">
           <h2>Hi ${username},</h2>
-          <p>Thank you so much for your generous donation of <strong>$${donationAmount}</strong> to Charity Stream!</p>
+          <p>Thank you so much for your generous donation of <strong>${donationAmount}</strong> to Charity Stream!</p>
           
           <div style="background-color: white; padding: 20px; border-radius: 5px; margin: 20px 0; text-align: center;">
-            <h3 style="color: #2F7D31; margin: 0;">Your donation of $${donationAmount} will make a real difference!</h3>
+            <h3 style="color: #2F7D31; margin: 0;">Your donation of ${donationAmount} will make a real difference!</h3>
           </div>
           
           <p>Your contribution helps us continue our mission of supporting charitable causes through advertising revenue. Every dollar goes directly to making a positive impact.</p>
@@ -463,7 +472,7 @@ Your subscription renews monthly. Thank you for supporting our mission!
           <div style="background-color: #d1ecf1; border: 1px solid #bee5eb; padding: 15px; border-radius: 5px; margin: 20px 0;">
             <h3>📊 Your Impact</h3>
             <p><strong>Charity Stream Username:</strong> ${username}</p>
-            <p><strong>Donation Amount:</strong> $${donationAmount}</p>
+            <p><strong>Donation Amount:</strong> ${donationAmount}</p>
             <p><strong>Thank you for being part of our community!</strong></p>
           </div>
           
@@ -486,15 +495,15 @@ Your subscription renews monthly. Thank you for supporting our mission!
 
 Hi ${username},
 
-Thank you so much for your generous donation of $${donationAmount} to Charity Stream!
+Thank you so much for your generous donation of ${donationAmount} to Charity Stream!
 
-Your donation of $${donationAmount} will make a real difference!
+Your donation of ${donationAmount} will make a real difference!
 
 Your contribution helps us continue our mission of supporting charitable causes through advertising revenue. Every dollar goes directly to making a positive impact.
 
 YOUR IMPACT:
 - Charity Stream Username: ${username}
-- Donation Amount: $${donationAmount}
+- Donation Amount: ${donationAmount}
 - Thank you for being part of our community!
 
 If you have any questions about your donation, please reply to this email.
@@ -740,10 +749,10 @@ Charity Stream - Making Every View Count for Charity`;
       ? 'Video' 
       : (campaignSummary.ad_format ? 'Static Image' : 'Not specified');
     const cpmRate = campaignSummary.cpm_rate 
-      ? parseFloat(campaignSummary.cpm_rate).toFixed(2) 
+      ? formatAmount(campaignSummary.cpm_rate, campaignSummary.currency) 
       : 'Not specified';
     const weeklyBudget = campaignSummary.weekly_budget_cap 
-      ? `$${parseFloat(campaignSummary.weekly_budget_cap).toFixed(2)}` 
+      ? formatAmount(campaignSummary.weekly_budget_cap, campaignSummary.currency) 
       : 'Not specified';
     const clickTracking = campaignSummary.click_tracking ? 'Yes' : 'No';
     const expeditedApproval = campaignSummary.expedited ? 'Yes' : 'No';
@@ -885,7 +894,7 @@ Charity Stream - Making Every View Count for Charity`;
                                                     <table width="100%" cellpadding="0" cellspacing="0" border="0">
                                                         <tr>
                                                             <td width="30%" style="color: #6a6a6f; font-size: 15px;">CPM Rate:</td>
-                                                            <td style="color: #1c1c1e; font-size: 15px; font-weight: 500; text-align: right;">$${cpmRate} per 1,000 views</td>
+                                                            <td style="color: #1c1c1e; font-size: 15px; font-weight: 500; text-align: right;">${cpmRate} per 1,000 views</td>
               </tr>
                                                     </table>
                                                 </td>
@@ -1110,10 +1119,10 @@ Charity Stream - Making Every View Count for Charity`;
       ? 'Video' 
       : (campaignSummary.ad_format ? 'Static Image' : 'Not specified');
     const cpmRate = campaignSummary.cpm_rate 
-      ? `$${parseFloat(campaignSummary.cpm_rate).toFixed(2)}` 
+      ? formatAmount(campaignSummary.cpm_rate, campaignSummary.currency) 
       : 'Not specified';
     const weeklyBudget = campaignSummary.weekly_budget_cap 
-      ? `$${parseFloat(campaignSummary.weekly_budget_cap).toFixed(2)}` 
+      ? formatAmount(campaignSummary.weekly_budget_cap, campaignSummary.currency) 
       : 'Not specified';
     const clickTracking = campaignSummary.click_tracking ? 'Yes' : 'No';
     const expeditedApproval = campaignSummary.expedited ? 'Yes' : 'No';
@@ -1126,7 +1135,7 @@ Thank you for submitting your advertising campaign to Charity Stream. Your campa
 
 CAMPAIGN SUMMARY:
 - Ad Format: ${adFormat}
-- CPM Rate: $${cpmRate} per 1,000 views
+- CPM Rate: ${cpmRate} per 1,000 views
 - Weekly Budget Cap: ${weeklyBudget}
 - Expedited Review: ${expeditedApproval}
 - Clickable Link: ${clickTracking}
@@ -1405,8 +1414,9 @@ Stream ads. Fuel impact. Compete for good.
 
   /**
    * Charity approval email template. Same layout as charity confirmation; header "Application Approved" and body for pool entry.
+   * portalUrl: charity portal login, or its create-password link for a new account (lib/charityPortal.js)
    */
-  getCharityApprovalEmailTemplate(charityName, weekStartLabel) {
+  getCharityApprovalEmailTemplate(charityName, weekStartLabel, payoutOnboardingUrl = null, portalUrl = null) {
     return `
 <!DOCTYPE html>
 <html lang="en">
@@ -1472,6 +1482,28 @@ Stream ads. Fuel impact. Compete for good.
                                         <p style="color: #2F7D31; font-size: 20px; font-weight: 700; margin: 0;">${weekStartLabel}</p>
                                     </td>
                                 </tr>
+                                ${payoutOnboardingUrl ? `
+                                <tr>
+                                    <td style="padding-bottom: 24px;">
+                                        <p style="color: #6a6a6f; font-size: 15px; line-height: 1.5; margin: 0 0 12px 0;">
+                                            Set up payouts now so donations reach you as soon as you win:
+                                        </p>
+                                        <a href="${payoutOnboardingUrl}" style="display: inline-block; background-color: #2F7D31; color: #ffffff; text-decoration: none; font-weight: 600; font-size: 15px; padding: 12px 24px; border-radius: 8px;">
+                                            Set Up Payouts with Stripe
+                                        </a>
+                                    </td>
+                                </tr>` : ''}
+                                ${portalUrl ? `
+                                <tr>
+                                    <td style="padding-bottom: 24px;">
+                                        <p style="color: #6a6a6f; font-size: 15px; line-height: 1.5; margin: 0 0 12px 0;">
+                                            Update your profile, follow your payouts and share how donations were used in the charity portal:
+                                        </p>
+                                        <a href="${portalUrl}" style="display: inline-block; background-color: #ffffff; color: #2F7D31; border: 1px solid #2F7D31; text-decoration: none; font-weight: 600; font-size: 15px; padding: 11px 24px; border-radius: 8px;">
+                                            Open Charity Portal
+                                        </a>
+                                    </td>
+                                </tr>` : ''}
                             </table>
                             <table width="100%" cellpadding="0" cellspacing="0" border="0">
                                 <tr>
@@ -1511,7 +1543,7 @@ Stream ads. Fuel impact. Compete for good.
     `;
   }
 
-  async sendCharityApprovalEmail(email, charityName, weekStartLabel) {
+  async sendCharityApprovalEmail(email, charityName, weekStartLabel, payoutOnboardingUrl = null, portalUrl = null) {
     try {
       console.log('📧 Sending charity approval email to:', email);
       if (!this.isEmailConfigured()) {
@@ -1519,14 +1551,21 @@ Stream ads. Fuel impact. Compete for good.
         return { success: false, error: 'Email service not configured' };
       }
       const subject = `Your Charity Application was Approved - ${charityName}`;
-      const htmlContent = this.getCharityApprovalEmailTemplate(charityName, weekStartLabel);
+      const htmlContent = this.getCharityApprovalEmailTemplate(charityName, weekStartLabel, payoutOnboardingUrl, portalUrl);
       const textContent = `Your Charity Application was Approved - ${charityName}
 
 Hi ${charityName},
 
 You have been approved and entered into the charity pool for the week of:
 ${weekStartLabel}
-
+${payoutOnboardingUrl ? `
+Set up payouts now so donations reach you as soon as you win:
+${payoutOnboardingUrl}
+` : ''}
+${portalUrl ? `
+Update your profile, follow your payouts and share how donations were used in the charity portal:
+${portalUrl}
+` : ''}
 Have a question about your submission?
 Contact us at: contactcharitystream@gmail.com
 
@@ -1565,10 +1604,10 @@ Stream ads. Fuel impact. Compete for good.
       ? 'Video' 
       : (campaignSummary.ad_format ? 'Static Image' : 'Not specified');
     const cpmRate = campaignSummary.cpm_rate 
-      ? parseFloat(campaignSummary.cpm_rate).toFixed(2) 
+      ? formatAmount(campaignSummary.cpm_rate, campaignSummary.currency) 
       : 'Not specified';
     const weeklyBudget = campaignSummary.weekly_budget_cap 
-      ? `$${parseFloat(campaignSummary.weekly_budget_cap).toFixed(2)}` 
+      ? formatAmount(campaignSummary.weekly_budget_cap, campaignSummary.currency) 
       : 'Not specified';
     const clickTracking = campaignSummary.click_tracking ? 'Yes' : 'No';
     const expeditedApproval = campaignSummary.expedited ? 'Yes' : 'No';
@@ -1702,7 +1741,7 @@ Stream ads. Fuel impact. Compete for good.
                                                     <table width="100%" cellpadding="0" cellspacing="0" border="0">
                                                         <tr>
                                                             <td width="30%" style="color: #6a6a6f; font-size: 15px;">CPM Rate:</td>
-                                                            <td style="color: #1c1c1e; font-size: 15px; font-weight: 500; text-align: right;">$${cpmRate} per 1,000 views</td>
+                                                            <td style="color: #1c1c1e; font-size: 15px; font-weight: 500; text-align: right;">${cpmRate} per 1,000 views</td>
               </tr>
                                                     </table>
                                                 </td>
@@ -1900,8 +1939,8 @@ Stream ads. Fuel impact. Compete for good.
       
       // Format campaign details for text version
       const adFormat = campaignSummary.ad_format === 'video' ? 'Video' : 'Static Image';
-      const cpmRate = campaignSummary.cpm_rate ? `$${parseFloat(campaignSummary.cpm_rate).toFixed(2)}` : 'Not specified';
-      const weeklyBudget = campaignSummary.weekly_budget_cap ? `$${parseFloat(campaignSummary.weekly_budget_cap).toFixed(2)}` : 'Not specified';
+      const cpmRate = campaignSummary.cpm_rate ? formatAmount(campaignSummary.cpm_rate, campaignSummary.currency) : 'Not specified';
+      const weeklyBudget = campaignSummary.weekly_budget_cap ? formatAmount(campaignSummary.weekly_budget_cap, campaignSummary.currency) : 'Not specified';
       const clickTracking = campaignSummary.click_tracking ? 'Yes' : 'No';
       const expeditedApproval = campaignSummary.expedited ? 'Yes' : 'No';
       // Approval email (Email #2) always links to advertiser-login.html (no password setup)
@@ -1913,7 +1952,7 @@ Good news ${companyName} Team. Your campaign is now live!
 
 CAMPAIGN SUMMARY:
 - Ad Format: ${adFormat}
-- CPM Rate: $${cpmRate} per 1,000 views
+- CPM Rate: ${cpmRate} per 1,000 views
 - Weekly Budget Cap: ${weeklyBudget}
 - Expedited Review: ${expeditedApproval}
 - Clickable Link: ${clickTracking}
@@ -3075,7 +3114,9 @@ ${CHARITY_GUIDELINES_PDF_URL}
    * @param {string} charityName - charity_name
    * @param {string} weekStart - YYYY-MM-DD (Monday)
    * @param {string} weekEnd - YYYY-MM-DD (Sunday)
-   * @param {{ automatic?: boolean }} [options] - if automatic is true, body says "automatically selected"
+   * @param {{ automatic?: boolean, vote?: boolean, share?: string, coRecipients?: string }} [options] - if automatic is true,
+   *   body says "automatically selected"; if vote is true, "chosen by Charity Stream viewers". For a week split between
+   *   several charities, share is this charity's part ("60%" / "$250.00") and coRecipients names the others ("A and B")
    */
   async sendCharityWeekWinnerEmail(email, charityName, weekStart, weekEnd, options = {}) {
     try {
@@ -3085,13 +3126,17 @@ ${CHARITY_GUIDELINES_PDF_URL}
         return { success: false, error: 'Email service not configured' };
       }
       const isAutomatic = options.automatic === true;
-      const selectedWording = isAutomatic
-        ? 'has been automatically selected to receive all donations'
-        : 'has been selected to receive all donations';
+      const isVote = options.vote === true;
+      const selectedPhrase = isVote
+        ? 'has been chosen by Charity Stream viewers'
+        : isAutomatic ? 'has been automatically selected' : 'has been selected';
+      const shareWording = options.share ? `${options.share} of the donations` : 'all donations';
+      const selectedWording = `${selectedPhrase} to receive ${shareWording}`;
+      const sharedWith = options.coRecipients ? `, alongside ${options.coRecipients}` : '';
       const subject = "You've Been Selected as Charity of the Week";
       const textContent = `You've Been Selected as Charity of the Week
 
-Congratulations! ${charityName} ${selectedWording} for the week of ${weekStart} through ${weekEnd}.
+Congratulations! ${charityName} ${selectedWording} for the week of ${weekStart} through ${weekEnd}${sharedWith}.
 
 Funds are typically transferred within 5–7 business days after your week ends.
 
@@ -3129,7 +3174,7 @@ Stream ads. Fuel impact. Compete for good.
             <td style="padding: 48px 40px 40px 40px;">
               <p style="color: #1c1c1e; font-size: 18px; font-weight: 600; line-height: 1.5; margin: 0 0 16px 0;">You've Been Selected as Charity of the Week</p>
               <p style="color: #1c1c1e; font-size: 16px; line-height: 1.6; margin: 0 0 16px 0;">
-                Congratulations! <strong>${charityName}</strong> ${isAutomatic ? 'has been automatically selected' : 'has been selected'} to receive all donations for the week of <strong>${weekStart}</strong> through <strong>${weekEnd}</strong>.
+                Congratulations! <strong>${charityName}</strong> ${selectedPhrase} to receive ${shareWording} for the week of <strong>${weekStart}</strong> through <strong>${weekEnd}</strong>${sharedWith}.
               </p>
               <p style="color: #1c1c1e; font-size: 16px; line-height: 1.6; margin: 0 0 24px 0;">
                 Funds are typically transferred within 5–7 business days after your week ends.
@@ -3478,7 +3523,83 @@ Thank you for being a part of Charity Stream — we're proud to support your mis
     }
   }
 
-  async sendSponsorPaymentFailedEmail(email, organizationLegalName) {
+  // Charity portal create / reset password link (lib/charityPortal.js portalUrl with a token)
+  async sendCharityPortalPasswordEmail(email, charityName, passwordUrl, isReset) {
+    try {
+      console.log('📧 ===== SENDING CHARITY PORTAL PASSWORD EMAIL =====');
+      console.log('📧 To:', email, '| Charity:', charityName, '| Reset:', Boolean(isReset));
+
+      if (!this.isEmailConfigured()) {
+        return { success: false, error: 'Email service not configured' };
+      }
+
+      const subject = isReset ? 'Reset Your Charity Portal Password' : 'Create Your Charity Portal Password';
+      const intro = isReset
+        ? 'We received a request to reset your Charity Stream charity portal password.'
+        : 'Create a password to sign in to the Charity Stream charity portal, where you can update your profile, follow your payouts and share how donations were used.';
+      const buttonLabel = isReset ? 'Reset Password' : 'Create Password';
+
+      const html = `
+<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="UTF-8"><meta name="viewport" content="width=device-width, initial-scale=1.0"><title>${subject}</title></head>
+<body style="margin:0;padding:0;background-color:#f7f7f7;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;">
+  <table width="100%" cellpadding="0" cellspacing="0" border="0" style="background-color:#f7f7f7;">
+    <tr><td align="center" style="padding:40px 0 60px 0;">
+      <table width="600" cellpadding="0" cellspacing="0" border="0" style="max-width:600px;">
+        <tr><td align="left" style="padding-bottom:32px;">
+          <h1 style="font-size:20px;font-weight:700;color:#1c1c1e;margin:0;">
+            <span style="color:#276629;">Charity</span> Stream
+          </h1>
+        </td></tr>
+      </table>
+      <table width="600" cellpadding="0" cellspacing="0" border="0" style="background-color:#ffffff;border-radius:12px;border:1px solid #e5e5e5;max-width:600px;">
+        <tr><td height="5" style="background-color:#2F7D31;line-height:5px;font-size:5px;border-radius:12px 12px 0 0;">&nbsp;</td></tr>
+        <tr><td style="padding:48px 40px 40px 40px;">
+          <p style="color:#1c1c1e;font-size:16px;line-height:1.6;margin:0 0 16px 0;">Dear ${charityName} Team,</p>
+          <p style="color:#1c1c1e;font-size:16px;line-height:1.6;margin:0 0 24px 0;">${intro}</p>
+          <p style="margin:0 0 24px 0;">
+            <a href="${passwordUrl}" style="display:inline-block;background-color:#2F7D31;color:#ffffff;text-decoration:none;font-weight:600;font-size:15px;padding:12px 24px;border-radius:8px;">${buttonLabel}</a>
+          </p>
+          <p style="color:#4b5563;font-size:14px;line-height:1.6;margin:0 0 16px 0;">This link expires in 24 hours. If you didn't request it, you can safely ignore this email.</p>
+          <p style="color:#4b5563;font-size:14px;line-height:1.6;margin:0;">– The Charity Stream Team</p>
+        </td></tr>
+      </table>
+    </td></tr>
+  </table>
+</body>
+</html>`.trim();
+
+      const text = `${subject}
+
+Dear ${charityName} Team,
+
+${intro}
+
+${buttonLabel}: ${passwordUrl}
+
+This link expires in 24 hours. If you didn't request it, you can safely ignore this email.
+
+– The Charity Stream Team`;
+
+      const result = await this.transporter.sendMail({
+        from: `"Charity Stream" <${process.env.EMAIL_USER}>`,
+        to: email,
+        subject,
+        html,
+        text
+      });
+      console.log('✅ Charity portal password email sent:', result.messageId);
+      return { success: true, messageId: result.messageId };
+    } catch (error) {
+      console.error('❌ Charity portal password email failed:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // pdf: optional { filename, content } billing PDF (lib/billingDocuments.js) to attach
+  // dunning: optional { nextRetryLabel, pauseLabel } when the sponsorship keeps running through a grace period
+  async sendSponsorPaymentFailedEmail(email, organizationLegalName, pdf = null, dunning = null) {
     try {
       console.log('📧 ===== SENDING SPONSOR PAYMENT FAILED EMAIL =====');
       console.log('📧 To:', email);
@@ -3490,6 +3611,9 @@ Thank you for being a part of Charity Stream — we're proud to support your mis
       }
 
       const subject = `${organizationLegalName || 'Sponsorship'} – Payment Failed`;
+      const statusLine = dunning?.pauseLabel
+        ? `We will retry the payment automatically${dunning.nextRetryLabel ? ` on ${dunning.nextRetryLabel}` : ''}. Your sponsorship keeps running until ${dunning.pauseLabel}; if the payment has not gone through by then, it will be paused.`
+        : 'Your sponsorship has been paused until payment is resolved.';
       const html = `
 <!DOCTYPE html>
 <html lang="en">
@@ -3517,7 +3641,7 @@ Thank you for being a part of Charity Stream — we're proud to support your mis
                 Hi ${organizationLegalName || 'there'},
               </p>
               <p style="font-size: 15px; color: #3a3a3c; line-height: 1.6; margin: 0 0 16px 0;">
-                We were unable to process the payment for your sponsorship on Charity Stream. Your sponsorship has been paused until payment is resolved.
+                We were unable to process the payment for your sponsorship on Charity Stream. ${statusLine}
               </p>
               <p style="font-size: 15px; color: #3a3a3c; line-height: 1.6; margin: 0 0 24px 0;">
                 Please log in to your sponsor portal and update your payment method or retry the charge to reactivate your sponsorship.
@@ -3546,7 +3670,7 @@ Thank you for being a part of Charity Stream — we're proud to support your mis
 
 Hi ${organizationLegalName || 'there'},
 
-We were unable to process the payment for your sponsorship on Charity Stream. Your sponsorship has been paused until payment is resolved.
+We were unable to process the payment for your sponsorship on Charity Stream. ${statusLine}
 
 Please log in to your sponsor portal and update your payment method or retry the charge to reactivate your sponsorship.
 
@@ -3561,7 +3685,8 @@ Stream ads. Fuel impact. Compete for good.
         to: email,
         subject,
         html,
-        text
+        text,
+        attachments: this.billingPdfAttachments(pdf)
       });
       console.log('✅ Sponsor payment failed email sent:', result.messageId);
       return { success: true, messageId: result.messageId };
@@ -3571,7 +3696,9 @@ Stream ads. Fuel impact. Compete for good.
     }
   }
 
-  async sendAdvertiserPaymentFailedEmail(email, companyName) {
+  // pdf: optional { filename, content } invoice PDF (lib/billingDocuments.js) to attach
+  // dunning: optional { nextRetryLabel, pauseLabel } when the campaign keeps running through a grace period
+  async sendAdvertiserPaymentFailedEmail(email, companyName, pdf = null, dunning = null) {
     try {
       console.log('📧 ===== SENDING ADVERTISER PAYMENT FAILED EMAIL =====');
       console.log('📧 To:', email);
@@ -3583,6 +3710,9 @@ Stream ads. Fuel impact. Compete for good.
       }
 
       const subject = `${companyName || 'Advertiser'} – Payment Failed`;
+      const statusLine = dunning?.pauseLabel
+        ? `We will retry the payment automatically${dunning.nextRetryLabel ? ` on ${dunning.nextRetryLabel}` : ''}. Your campaign keeps running until ${dunning.pauseLabel}; if the payment has not gone through by then, it will be paused.`
+        : 'Your campaign has been paused until payment is resolved.';
       const html = `
 <!DOCTYPE html>
 <html lang="en">
@@ -3610,7 +3740,7 @@ Stream ads. Fuel impact. Compete for good.
                 Hi ${companyName || 'there'},
               </p>
               <p style="font-size: 15px; color: #3a3a3c; line-height: 1.6; margin: 0 0 16px 0;">
-                We were unable to process the payment for your advertising campaign on Charity Stream. Your campaign has been paused until payment is resolved.
+                We were unable to process the payment for your advertising campaign on Charity Stream. ${statusLine}
               </p>
               <p style="font-size: 15px; color: #3a3a3c; line-height: 1.6; margin: 0 0 24px 0;">
                 Please log in to your advertiser portal and update your payment method to reactivate your campaign.
@@ -3639,7 +3769,7 @@ Stream ads. Fuel impact. Compete for good.
 
 Hi ${companyName || 'there'},
 
-We were unable to process the payment for your advertising campaign on Charity Stream. Your campaign has been paused until payment is resolved.
+We were unable to process the payment for your advertising campaign on Charity Stream. ${statusLine}
 
 Please log in to your advertiser portal and update your payment method to reactivate your campaign.
 
@@ -3654,7 +3784,8 @@ Stream ads. Fuel impact. Compete for good.
         to: email,
         subject,
         html,
-        text
+        text,
+        attachments: this.billingPdfAttachments(pdf)
       });
       console.log('✅ Advertiser payment failed email sent:', result.messageId);
       return { success: true, messageId: result.messageId };
@@ -3663,6 +3794,432 @@ Stream ads. Fuel impact. Compete for good.
       return { success: false, error: error.message };
     }
   }
+
+  /**
+   * Follow-up emails of the dunning schedule (lib/dunning.js) for a failed advertiser or sponsor invoice.
+   * stage 'reminder': a scheduled retry failed; 'paused': the grace period is over and the campaign is paused;
+   * 'final': the invoice was written off and the campaign revoked.
+   * @param {string} email
+   * @param {string} recipientName - company / organization name
+   * @param {{ stage: 'reminder'|'paused'|'final', subjectType: 'advertiser'|'sponsor', amountLabel: string,
+   *   nextRetryLabel?: string|null, pauseLabel?: string|null, finalLabel?: string|null }} dunning
+   */
+  async sendPaymentDunningEmail(email, recipientName, { stage, subjectType, amountLabel, nextRetryLabel = null, pauseLabel = null, finalLabel = null }) {
+    try {
+      console.log('📧 ===== SENDING PAYMENT DUNNING EMAIL =====');
+      console.log('📧 To:', email, '| Recipient:', recipientName, '| Stage:', stage);
+
+      if (!this.isEmailConfigured()) {
+        console.error('❌ Email service not configured');
+        return { success: false, error: 'Email service not configured' };
+      }
+
+      const isSponsor = subjectType === 'sponsor';
+      const item = isSponsor ? 'sponsorship' : 'campaign';
+      const portalName = isSponsor ? 'sponsor portal' : 'advertiser portal';
+      const retryLine = nextRetryLabel ? ` We will try again on ${nextRetryLabel}.` : '';
+      const copy = {
+        reminder: {
+          title: 'Payment Still Outstanding',
+          subject: 'Payment Reminder',
+          lines: [
+            `We tried again to collect the outstanding ${amountLabel} for your ${item} on Charity Stream, but the payment did not go through.${retryLine}`,
+            pauseLabel
+              ? `Your ${item} keeps running until ${pauseLabel}. If the payment has not gone through by then, it will be paused.`
+              : `Your ${item} is paused until the payment goes through. If it is still unpaid on ${finalLabel}, your ${item} will be ended.`
+          ]
+        },
+        paused: {
+          title: `${isSponsor ? 'Sponsorship' : 'Campaign'} Paused`,
+          subject: `${isSponsor ? 'Sponsorship' : 'Campaign'} Paused for Non-Payment`,
+          lines: [
+            `The ${amountLabel} payment for your ${item} on Charity Stream is still outstanding, so your ${item} has been paused.${retryLine}`,
+            `It resumes as soon as the payment goes through. If it is still unpaid on ${finalLabel}, your ${item} will be ended.`
+          ]
+        },
+        final: {
+          title: `${isSponsor ? 'Sponsorship' : 'Campaign'} Ended`,
+          subject: `${isSponsor ? 'Sponsorship' : 'Campaign'} Ended for Non-Payment`,
+          lines: [
+            `We were not able to collect the outstanding ${amountLabel} for your ${item} on Charity Stream, so your ${item} has been ended.`,
+            `You can still pay the invoice from the Billing section of your ${portalName}. To run again, please start a new ${item} once your payment method is up to date.`
+          ]
+        }
+      }[stage];
+      if (!copy) {
+        return { success: false, error: `Unknown dunning stage: ${stage}` };
+      }
+      const actionLine = stage === 'final'
+        ? 'If you believe this is an error or need assistance, please contact our support team.'
+        : `Please log in to your ${portalName} and update your payment method.`;
+
+      const subject = `${recipientName || 'Charity Stream'} – ${copy.subject}`;
+      const html = `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Charity Stream: ${copy.title}</title>
+</head>
+<body style="margin: 0; padding: 0; background-color: #f7f7f7; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;">
+  <table width="100%" cellpadding="0" cellspacing="0" border="0" style="background-color: #f7f7f7;">
+    <tr>
+      <td align="center" style="padding: 40px 0 60px 0;">
+        <table width="600" cellpadding="0" cellspacing="0" border="0" style="max-width: 600px;">
+          <tr>
+            <td align="left" style="padding-bottom: 32px;">
+              <h1 style="font-size: 20px; font-weight: 700; color: #1c1c1e; margin: 0;">
+                <span style="color: #276629;">Charity</span> Stream
+              </h1>
+            </td>
+          </tr>
+          <tr>
+            <td style="background-color: #ffffff; border-radius: 12px; padding: 40px; border: 1px solid #e5e5ea;">
+              <h2 style="font-size: 22px; font-weight: 700; color: #1c1c1e; margin: 0 0 16px 0;">${copy.title}</h2>
+              <p style="font-size: 15px; color: #3a3a3c; line-height: 1.6; margin: 0 0 16px 0;">
+                Hi ${recipientName || 'there'},
+              </p>
+              ${copy.lines.map(line => `<p style="font-size: 15px; color: #3a3a3c; line-height: 1.6; margin: 0 0 16px 0;">
+                ${line}
+              </p>`).join('\n              ')}
+              <p style="font-size: 14px; color: #8e8e93; line-height: 1.6; margin: 8px 0 0 0;">
+                ${actionLine}
+              </p>
+            </td>
+          </tr>
+          <tr>
+            <td style="padding-top: 32px;">
+              <p style="font-size: 13px; color: #8e8e93; margin: 0; text-align: center;">
+                Stream ads. Fuel impact. Compete for good.<br>
+                — The Charity Stream Team
+              </p>
+            </td>
+          </tr>
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>`;
+
+      const text = `${copy.title} – ${recipientName || 'Charity Stream'}
+
+Hi ${recipientName || 'there'},
+
+${copy.lines.join('\n\n')}
+
+${actionLine}
+
+Stream ads. Fuel impact. Compete for good.
+
+-- The Charity Stream Team`;
+
+      const result = await this.transporter.sendMail({
+        from: `"Charity Stream" <${process.env.EMAIL_USER}>`,
+        to: email,
+        subject,
+        html,
+        text
+      });
+      console.log('✅ Payment dunning email sent:', result.messageId);
+      return { success: true, messageId: result.messageId };
+    } catch (error) {
+      console.error('❌ Payment dunning email failed:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  billingPdfAttachments(pdf) {
+    return pdf && pdf.content
+      ? [{ filename: pdf.filename || 'charity-stream-invoice.pdf', content: pdf.content, contentType: 'application/pdf' }]
+      : [];
+  }
+
+  /**
+   * Payment receipt for an advertiser invoice or sponsor payment, with the PDF receipt attached.
+   * @param {string} email
+   * @param {string} recipientName - company / organization name
+   * @param {{ amountLabel: string, description: string, pdf: { filename: string, content: Buffer } }} receipt
+   */
+  async sendBillingReceiptEmail(email, recipientName, { amountLabel, description, pdf }) {
+    try {
+      console.log('📧 ===== SENDING BILLING RECEIPT EMAIL =====');
+      console.log('📧 To:', email);
+      console.log('📧 Recipient:', recipientName);
+
+      if (!this.isEmailConfigured()) {
+        console.error('❌ Email service not configured');
+        return { success: false, error: 'Email service not configured' };
+      }
+
+      const subject = `${recipientName || 'Charity Stream'} – Payment Receipt`;
+      const html = `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Charity Stream: Payment Receipt</title>
+</head>
+<body style="margin: 0; padding: 0; background-color: #f7f7f7; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;">
+  <table width="100%" cellpadding="0" cellspacing="0" border="0" style="background-color: #f7f7f7;">
+    <tr>
+      <td align="center" style="padding: 40px 0 60px 0;">
+        <table width="600" cellpadding="0" cellspacing="0" border="0" style="max-width: 600px;">
+          <tr>
+            <td align="left" style="padding-bottom: 32px;">
+              <h1 style="font-size: 20px; font-weight: 700; color: #1c1c1e; margin: 0;">
+                <span style="color: #276629;">Charity</span> Stream
+              </h1>
+            </td>
+          </tr>
+          <tr>
+            <td style="background-color: #ffffff; border-radius: 12px; padding: 40px; border: 1px solid #e5e5ea;">
+              <h2 style="font-size: 22px; font-weight: 700; color: #1c1c1e; margin: 0 0 16px 0;">Payment Received</h2>
+              <p style="font-size: 15px; color: #3a3a3c; line-height: 1.6; margin: 0 0 16px 0;">
+                Hi ${recipientName || 'there'},
+              </p>
+              <p style="font-size: 15px; color: #3a3a3c; line-height: 1.6; margin: 0 0 16px 0;">
+                We received your payment of <strong>${amountLabel}</strong> for ${description}. Your receipt is attached as a PDF.
+              </p>
+              <p style="font-size: 14px; color: #8e8e93; line-height: 1.6; margin: 0;">
+                Receipts and monthly statements are also available to download from the Billing section of your portal.
+              </p>
+            </td>
+          </tr>
+          <tr>
+            <td style="padding-top: 32px;">
+              <p style="font-size: 13px; color: #8e8e93; margin: 0; text-align: center;">
+                Stream ads. Fuel impact. Compete for good.<br>
+                — The Charity Stream Team
+              </p>
+            </td>
+          </tr>
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>`;
+
+      const text = `Payment Received – ${recipientName || 'Charity Stream'}
+
+Hi ${recipientName || 'there'},
+
+We received your payment of ${amountLabel} for ${description}. Your receipt is attached as a PDF.
+
+Receipts and monthly statements are also available to download from the Billing section of your portal.
+
+Stream ads. Fuel impact. Compete for good.
+
+-- The Charity Stream Team`;
+
+      const result = await this.transporter.sendMail({
+        from: `"Charity Stream" <${process.env.EMAIL_USER}>`,
+        to: email,
+        subject,
+        html,
+        text,
+        attachments: this.billingPdfAttachments(pdf)
+      });
+      console.log('✅ Billing receipt email sent:', result.messageId);
+      return { success: true, messageId: result.messageId };
+    } catch (error) {
+      console.error('❌ Billing receipt email failed:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Numbered donation receipt (lib/donationReceipts.js), sent once the receiving charity is known.
+   * @param {string} email
+   * @param {string} recipientName - viewer username or sponsor organization
+   * @param {{ receiptNumber: string, amountLabel: string, charityName: string, pdf: { filename: string, content: Buffer } }} receipt
+   */
+  async sendDonationReceiptEmail(email, recipientName, { receiptNumber, amountLabel, charityName, pdf }) {
+    try {
+      console.log('📧 ===== SENDING DONATION RECEIPT EMAIL =====');
+      console.log('📧 To:', email);
+      console.log('📧 Receipt:', receiptNumber);
+
+      if (!this.isEmailConfigured()) {
+        console.error('❌ Email service not configured');
+        return { success: false, error: 'Email service not configured' };
+      }
+
+      const subject = `Your donation receipt ${receiptNumber}`;
+      const html = `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Charity Stream: Donation Receipt</title>
+</head>
+<body style="margin: 0; padding: 0; background-color: #f7f7f7; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;">
+  <table width="100%" cellpadding="0" cellspacing="0" border="0" style="background-color: #f7f7f7;">
+    <tr>
+      <td align="center" style="padding: 40px 0 60px 0;">
+        <table width="600" cellpadding="0" cellspacing="0" border="0" style="max-width: 600px;">
+          <tr>
+            <td align="left" style="padding-bottom: 32px;">
+              <h1 style="font-size: 20px; font-weight: 700; color: #1c1c1e; margin: 0;">
+                <span style="color: #276629;">Charity</span> Stream
+              </h1>
+            </td>
+          </tr>
+          <tr>
+            <td style="background-color: #ffffff; border-radius: 12px; padding: 40px; border: 1px solid #e5e5ea;">
+              <h2 style="font-size: 22px; font-weight: 700; color: #1c1c1e; margin: 0 0 16px 0;">Donation Receipt</h2>
+              <p style="font-size: 15px; color: #3a3a3c; line-height: 1.6; margin: 0 0 16px 0;">
+                Hi ${recipientName || 'there'},
+              </p>
+              <p style="font-size: 15px; color: #3a3a3c; line-height: 1.6; margin: 0 0 16px 0;">
+                Thank you for your donation of <strong>${amountLabel}</strong>. It was pooled with that week's donations and granted to <strong>${charityName}</strong>. Your receipt <strong>${receiptNumber}</strong>, with the charity's EIN, is attached as a PDF for your tax records.
+              </p>
+              <p style="font-size: 14px; color: #8e8e93; line-height: 1.6; margin: 0;">
+                Receipts and year-end statements are also available to download from your account.
+              </p>
+            </td>
+          </tr>
+          <tr>
+            <td style="padding-top: 32px;">
+              <p style="font-size: 13px; color: #8e8e93; margin: 0; text-align: center;">
+                Stream ads. Fuel impact. Compete for good.<br>
+                — The Charity Stream Team
+              </p>
+            </td>
+          </tr>
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>`;
+
+      const text = `Donation Receipt
+
+Hi ${recipientName || 'there'},
+
+Thank you for your donation of ${amountLabel}. It was pooled with that week's donations and granted to ${charityName}. Your receipt ${receiptNumber}, with the charity's EIN, is attached as a PDF for your tax records.
+
+Receipts and year-end statements are also available to download from your account.
+
+Stream ads. Fuel impact. Compete for good.
+
+-- The Charity Stream Team`;
+
+      const result = await this.transporter.sendMail({
+        from: `"Charity Stream" <${process.env.EMAIL_USER}>`,
+        to: email,
+        subject,
+        html,
+        text,
+        attachments: this.billingPdfAttachments(pdf)
+      });
+      console.log('✅ Donation receipt email sent:', result.messageId);
+      return { success: true, messageId: result.messageId };
+    } catch (error) {
+      console.error('❌ Donation receipt email failed:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Year-end donation statement (scripts/generate-donation-statements.js).
+   * @param {string} email
+   * @param {string} recipientName - viewer username or sponsor organization
+   * @param {{ year: number, totalLabel: string, donationCount: number, pdf: { filename: string, content: Buffer } }} statement
+   */
+  async sendDonationStatementEmail(email, recipientName, { year, totalLabel, donationCount, pdf }) {
+    try {
+      console.log('📧 ===== SENDING DONATION STATEMENT EMAIL =====');
+      console.log('📧 To:', email);
+      console.log('📧 Year:', year);
+
+      if (!this.isEmailConfigured()) {
+        console.error('❌ Email service not configured');
+        return { success: false, error: 'Email service not configured' };
+      }
+
+      const subject = `Your ${year} Charity Stream donation statement`;
+      const html = `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Charity Stream: Annual Donation Statement</title>
+</head>
+<body style="margin: 0; padding: 0; background-color: #f7f7f7; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;">
+  <table width="100%" cellpadding="0" cellspacing="0" border="0" style="background-color: #f7f7f7;">
+    <tr>
+      <td align="center" style="padding: 40px 0 60px 0;">
+        <table width="600" cellpadding="0" cellspacing="0" border="0" style="max-width: 600px;">
+          <tr>
+            <td align="left" style="padding-bottom: 32px;">
+              <h1 style="font-size: 20px; font-weight: 700; color: #1c1c1e; margin: 0;">
+                <span style="color: #276629;">Charity</span> Stream
+              </h1>
+            </td>
+          </tr>
+          <tr>
+            <td style="background-color: #ffffff; border-radius: 12px; padding: 40px; border: 1px solid #e5e5ea;">
+              <h2 style="font-size: 22px; font-weight: 700; color: #1c1c1e; margin: 0 0 16px 0;">Annual Donation Statement</h2>
+              <p style="font-size: 15px; color: #3a3a3c; line-height: 1.6; margin: 0 0 16px 0;">
+                Hi ${recipientName || 'there'},
+              </p>
+              <p style="font-size: 15px; color: #3a3a3c; line-height: 1.6; margin: 0 0 16px 0;">
+                Thank you for giving through Charity Stream in ${year}. Your ${donationCount} donation${donationCount === 1 ? '' : 's'} totaled <strong>${totalLabel}</strong>. The attached statement lists each receipt with its receiving charity and EIN.
+              </p>
+              <p style="font-size: 14px; color: #8e8e93; line-height: 1.6; margin: 0;">
+                Receipts and year-end statements are also available to download from your account.
+              </p>
+            </td>
+          </tr>
+          <tr>
+            <td style="padding-top: 32px;">
+              <p style="font-size: 13px; color: #8e8e93; margin: 0; text-align: center;">
+                Stream ads. Fuel impact. Compete for good.<br>
+                — The Charity Stream Team
+              </p>
+            </td>
+          </tr>
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>`;
+
+      const text = `Annual Donation Statement
+
+Hi ${recipientName || 'there'},
+
+Thank you for giving through Charity Stream in ${year}. Your ${donationCount} donation${donationCount === 1 ? '' : 's'} totaled ${totalLabel}. The attached statement lists each receipt with its receiving charity and EIN.
+
+Receipts and year-end statements are also available to download from your account.
+
+Stream ads. Fuel impact. Compete for good.
+
+-- The Charity Stream Team`;
+
+      const result = await this.transporter.sendMail({
+        from: `"Charity Stream" <${process.env.EMAIL_USER}>`,
+        to: email,
+        subject,
+        html,
+        text,
+        attachments: this.billingPdfAttachments(pdf)
+      });
+      console.log('✅ Donation statement email sent:', result.messageId);
+      return { success: true, messageId: result.messageId };
+    } catch (error) {
+      console.error('❌ Donation statement email failed:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
 }
 
 // Export a singleton instance
@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { WALLET_LIMITS, validateTopUpAmount, validateWalletSettings } = require('../lib/advertiserWallet');
+
+test('validateTopUpAmount rounds to the cent and enforces the limits', () => {
+  assert.deepEqual(validateTopUpAmount('25.005', 'usd'), { ok: true, amount: 25.01 });
+  assert.deepEqual(validateTopUpAmount(WALLET_LIMITS.minTopUp, 'usd'), { ok: true, amount: WALLET_LIMITS.minTopUp });
+  assert.deepEqual(validateTopUpAmount(WALLET_LIMITS.maxTopUp, 'usd'), { ok: true, amount: WALLET_LIMITS.maxTopUp });
+  assert.equal(validateTopUpAmount(WALLET_LIMITS.minTopUp - 0.01, 'usd').ok, false);
+  assert.equal(validateTopUpAmount(WALLET_LIMITS.maxTopUp + 0.01, 'usd').ok, false);
+  assert.equal(validateTopUpAmount('', 'usd').ok, false);
+  assert.equal(validateTopUpAmount('ten', 'usd').ok, false);
+  assert.equal(validateTopUpAmount(-50, 'usd').ok, false);
+});
+
+test('validateWalletSettings checks auto-reload amounts only when auto-reload is on', () => {
+  assert.deepEqual(validateWalletSettings({ prepaidEnabled: true }, 'usd'), {
+    ok: true,
+    settings: { prepaidEnabled: true, autoReloadEnabled: false, autoReloadThreshold: null, autoReloadAmount: null }
+  });
+  assert.deepEqual(validateWalletSettings({ prepaidEnabled: true, autoReloadEnabled: true, autoReloadThreshold: '0', autoReloadAmount: '50.499' }, 'usd'), {
+    ok: true,
+    settings: { prepaidEnabled: true, autoReloadEnabled: true, autoReloadThreshold: 0, autoReloadAmount: 50.5 }
+  });
+  assert.equal(validateWalletSettings({ autoReloadEnabled: true, autoReloadAmount: 50 }, 'usd').ok, false);
+  assert.equal(validateWalletSettings({ autoReloadEnabled: true, autoReloadThreshold: -1, autoReloadAmount: 50 }, 'usd').ok, false);
+  assert.equal(validateWalletSettings({ autoReloadEnabled: true, autoReloadThreshold: 20, autoReloadAmount: WALLET_LIMITS.minTopUp - 1 }, 'usd').ok, false);
+  assert.equal(validateWalletSettings({ autoReloadThreshold: 'lots' }, 'usd').ok, false);
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { computeCampaignPacing, getPacingWeights, PACING_LIMITS } = require('../lib/budgetPacing');
+
+const WEEK_START = new Date('2026-10-12T00:00:00Z');
+const hoursIn = hours => new Date(WEEK_START.getTime() + hours * 60 * 60 * 1000);
+
+// A recurring impression-capped campaign unless overridden
+const campaign = overrides => ({
+  id: 7,
+  recurring_weekly: true,
+  current_week_start: WEEK_START.toISOString(),
+  max_weekly_impressions: 16800,
+  current_week_impressions: 0,
+  ...overrides
+});
+
+test('an impression goal is paced linearly across the week', () => {
+  const pacing = computeCampaignPacing(campaign({ current_week_impressions: 8400 }), hoursIn(84));
+  assert.equal(pacing.unit, 'impressions');
+  assert.equal(pacing.elapsedFraction, 0.5);
+  assert.equal(pacing.target, 8400);
+  assert.equal(pacing.status, 'on_pace');
+  assert.equal(pacing.weight, 1);
+});
+
+test('campaigns ahead of pace are throttled and campaigns behind are boosted', () => {
+  const ahead = computeCampaignPacing(campaign({ current_week_impressions: 12600 }), hoursIn(84));
+  assert.equal(ahead.status, 'ahead');
+  assert.ok(Math.abs(ahead.weight - 2 / 3) < 1e-9);
+
+  const behind = computeCampaignPacing(campaign({ current_week_impressions: 4200 }), hoursIn(84));
+  assert.equal(behind.status, 'behind');
+  assert.equal(behind.weight, 2);
+});
+
+test('weights stay within the pacing limits', () => {
+  const none = computeCampaignPacing(campaign(), hoursIn(84));
+  assert.equal(none.weight, PACING_LIMITS.maxWeight);
+  const flooded = computeCampaignPacing(campaign({ current_week_impressions: 16800 }), hoursIn(1));
+  assert.equal(flooded.weight, PACING_LIMITS.minWeight);
+});
+
+test('the target never drops below one hour of delivery', () => {
+  const pacing = computeCampaignPacing(campaign({ current_week_impressions: 100 }), WEEK_START);
+  assert.equal(pacing.elapsedFraction, 0);
+  assert.equal(pacing.target, 100);
+  assert.equal(pacing.status, 'on_pace');
+});
+
+test('a budget cap is paced in the campaign currency, counting clicks when tracked', () => {
+  const ad = campaign({
+    max_weekly_impressions: null,
+    weekly_budget_cap: '70.00',
+    cpm_rate: '10.00',
+    currency: 'gbp',
+    click_tracking: true,
+    current_week_impressions: 2000,
+    weekly_clicks: 10
+  });
+  const pacing = computeCampaignPacing(ad, hoursIn(84));
+  assert.equal(pacing.unit, 'dollars');
+  assert.equal(pacing.goal, 70);
+  // 2,000 impressions at £10 CPM plus 10 clicks at £0.20
+  assert.equal(pacing.delivered, 22);
+  assert.equal(pacing.target, 35);
+
+  const untracked = computeCampaignPacing({ ...ad, click_tracking: false }, hoursIn(84));
+  assert.equal(untracked.delivered, 20);
+});
+
+test('non-recurring campaigns pace lifetime totals from their start date', () => {
+  const ad = campaign({
+    recurring_weekly: false,
+    current_week_start: null,
+    campaign_start_date: WEEK_START.toISOString(),
+    current_week_impressions: 0,
+    total_impressions: 8400
+  });
+  const pacing = computeCampaignPacing(ad, hoursIn(84));
+  assert.equal(pacing.delivered, 8400);
+  assert.equal(pacing.status, 'on_pace');
+});
+
+test('campaigns without a goal or a window are not paced', () => {
+  assert.equal(computeCampaignPacing(campaign({ max_weekly_impressions: null }), hoursIn(84)), null);
+  assert.equal(computeCampaignPacing(campaign({ max_weekly_impressions: 0 }), hoursIn(84)), null);
+  assert.equal(computeCampaignPacing(campaign({ current_week_start: null }), hoursIn(84)), null);
+  assert.equal(computeCampaignPacing(campaign({ current_week_start: 'not a date' }), hoursIn(84)), null);
+});
+
+test('getPacingWeights keys weights by advertiser id and leaves uncapped campaigns at 1', () => {
+  const weights = getPacingWeights([
+    campaign({ id: 1, current_week_impressions: 4200 }),
+    campaign({ id: 2, max_weekly_impressions: null })
+  ], hoursIn(84));
+  assert.deepEqual(weights, { 1: 2, 2: 1 });
+});
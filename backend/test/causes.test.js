@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CAUSE_CATEGORIES, normalizeCause, splitDirectedPool, addDirectedAllocations } = require('../lib/causes');
+
+const toCents = amount => Math.round(amount * 100);
+
+function splitTotalCents(split) {
+  return toCents(split.undirectedSponsor) + toCents(split.undirectedAdvertiser) +
+    split.causes.reduce((sum, c) => sum + toCents(c.sponsorAmount) + toCents(c.advertiserAmount), 0);
+}
+
+test('normalizeCause accepts known categories only', () => {
+  const [known] = Object.keys(CAUSE_CATEGORIES);
+  assert.deepEqual(normalizeCause(` ${known.toUpperCase()} `), { ok: true, cause: known });
+  assert.deepEqual(normalizeCause(''), { ok: true, cause: null });
+  assert.deepEqual(normalizeCause('any'), { ok: true, cause: null });
+  assert.equal(normalizeCause('not-a-cause').ok, false);
+});
+
+test('splitDirectedPool directed and undirected parts add up to the pool to the cent', () => {
+  const totals = { sponsorTotal: 1000.01, advertiserTotal: 250.99 };
+  const directed = [
+    { cause_category: 'b', sponsor_amount: '300.33', advertiser_amount: '0.01' },
+    { cause_category: 'a', sponsor_amount: '199.67', advertiser_amount: '100.10' }
+  ];
+  const split = splitDirectedPool(totals, directed, []);
+  assert.equal(splitTotalCents(split), toCents(1000.01) + toCents(250.99));
+  assert.equal(split.undirectedSponsor, 500.01);
+  assert.equal(split.undirectedAdvertiser, 150.88);
+  assert.deepEqual(split.causes.map(c => [c.cause, c.amount]), [['a', 299.77], ['b', 300.34]]);
+});
+
+test('splitDirectedPool never directs more than the weeks pooled', () => {
+  const split = splitDirectedPool(
+    { sponsorTotal: 100, advertiserTotal: 50 },
+    [
+      { cause_category: 'a', sponsor_amount: '80', advertiser_amount: '60' },
+      { cause_category: 'b', sponsor_amount: '80', advertiser_amount: '0' }
+    ],
+    []
+  );
+  assert.equal(splitTotalCents(split), toCents(150));
+  assert.equal(split.undirectedSponsor, 0);
+  assert.equal(split.undirectedAdvertiser, 0);
+  assert.deepEqual(split.causes.map(c => [c.cause, c.sponsorAmount, c.advertiserAmount]), [['a', 80, 50], ['b', 20, 0]]);
+});
+
+test('splitDirectedPool treats a negative cause as nothing directed', () => {
+  const split = splitDirectedPool(
+    { sponsorTotal: 40, advertiserTotal: 0 },
+    [{ cause_category: 'a', sponsor_amount: '-25', advertiser_amount: '0' }],
+    []
+  );
+  assert.deepEqual(split.causes, []);
+  assert.equal(split.undirectedSponsor, 40);
+});
+
+test('splitDirectedPool adds carried-over causes on top of the pool', () => {
+  const split = splitDirectedPool(
+    { sponsorTotal: 10, advertiserTotal: 0 },
+    [{ cause_category: 'a', sponsor_amount: '10', advertiser_amount: '0' }],
+    [{ cause_category: 'a', sponsor_amount: '5.55', advertiser_amount: '4.45' }]
+  );
+  assert.deepEqual(split.causes, [
+    { cause: 'a', sponsorAmount: 15.55, advertiserAmount: 4.45, carriedInAmount: 10, amount: 20 }
+  ]);
+  assert.equal(split.undirectedSponsor, 0);
+});
+
+test('addDirectedAllocations adds to a winner or appends a cause recipient', () => {
+  const merged = addDirectedAllocations(
+    [{ charity_application_id: 'x', position: 1, share_type: 'percent', amount: 10.1 }],
+    [{ charityApplicationId: 'x', amount: 0.2 }, { charityApplicationId: 'y', amount: 5 }]
+  );
+  assert.deepEqual(merged.map(r => [r.charity_application_id, r.position, r.share_type, r.amount, r.directed_amount]), [
+    ['x', 1, 'percent', 10.3, 0.2],
+    ['y', 2, 'cause', 5, 5]
+  ]);
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const {
+  createOnboardingToken,
+  verifyOnboardingToken,
+  onboardingUrlFor,
+  ensureConnectAccount,
+  createOnboardingLink,
+  syncConnectAccount,
+  syncTransferIntent
+} = require('../lib/charityConnect');
+
+const CHARITY_ID = 'a1b2c3d4-0000-4000-8000-000000000001';
+
+// Answers charity_applications / transfer_intents updates with the given rows and records everything
+function payoutsDb({ rows = [], rowCount = rows.length } = {}) {
+  const queries = [];
+  return {
+    queries,
+    journalKeys: () => queries.filter(q => /INSERT INTO journal_entries/.test(q.text)).map(q => q.params[0]),
+    query: async (text, params) => {
+      queries.push({ text, params });
+      if (/INSERT INTO journal_entries/.test(text)) return { rows: [{ id: queries.length }] };
+      return { rows, rowCount };
+    }
+  };
+}
+
+test('onboarding tokens round-trip the charity and reject other tokens', () => {
+  assert.equal(verifyOnboardingToken(createOnboardingToken(CHARITY_ID)), CHARITY_ID);
+  assert.equal(verifyOnboardingToken('garbage'), null);
+  const secret = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production';
+  assert.equal(verifyOnboardingToken(jwt.sign({ jwt_type: 'charity_portal', charityApplicationId: CHARITY_ID }, secret)), null);
+  assert.equal(verifyOnboardingToken(jwt.sign({ jwt_type: 'charity_connect', charityApplicationId: CHARITY_ID }, 'other')), null);
+});
+
+test('onboardingUrlFor points at the onboarding route with an encoded token', () => {
+  const url = new URL(onboardingUrlFor(CHARITY_ID));
+  assert.equal(url.pathname, '/api/charity/connect/onboard');
+  assert.equal(verifyOnboardingToken(url.searchParams.get('token')), CHARITY_ID);
+});
+
+test('ensureConnectAccount reuses a stored account', async () => {
+  const stripe = { accounts: { create: async () => assert.fail('should not create an account') } };
+  const db = payoutsDb();
+  assert.equal(await ensureConnectAccount(db, stripe, { id: CHARITY_ID, stripe_connect_account_id: 'acct_1' }), 'acct_1');
+  assert.equal(db.queries.length, 0);
+});
+
+test('ensureConnectAccount creates one idempotent Express account and keeps the first stored id', async t => {
+  t.mock.method(console, 'log', () => {});
+  const created = [];
+  const stripe = { accounts: { create: async (params, options) => { created.push({ params, options }); return { id: 'acct_new' }; } } };
+  const db = payoutsDb({ rows: [{ stripe_connect_account_id: 'acct_raced' }] });
+
+  const accountId = await ensureConnectAccount(db, stripe, { id: CHARITY_ID, charity_name: 'Food Bank', contact_email: 'ops@food.org' });
+  assert.equal(accountId, 'acct_raced');
+  assert.equal(created[0].params.type, 'express');
+  assert.deepEqual(created[0].params.capabilities, { transfers: { requested: true } });
+  assert.deepEqual(created[0].options, { idempotencyKey: `charity_connect_account_${CHARITY_ID}` });
+  assert.match(db.queries[0].text, /COALESCE\(stripe_connect_account_id, \$2\)/);
+});
+
+test('createOnboardingLink sends the charity back to the onboarding route', async () => {
+  let request;
+  const stripe = { accountLinks: { create: async params => { request = params; return { url: 'https://connect.stripe.com/setup/x' }; } } };
+  assert.equal(await createOnboardingLink(stripe, 'acct_1', CHARITY_ID), 'https://connect.stripe.com/setup/x');
+  assert.equal(request.type, 'account_onboarding');
+  assert.equal(request.return_url, `${request.refresh_url}&return=1`);
+});
+
+test('syncConnectAccount enables transfers only for an active capability', async t => {
+  t.mock.method(console, 'log', () => {});
+  const db = payoutsDb({ rowCount: 1 });
+  assert.equal(await syncConnectAccount(db, { id: 'acct_1', details_submitted: true, capabilities: { transfers: 'active' } }), true);
+  assert.equal(await syncConnectAccount(db, { id: 'acct_1', details_submitted: true, capabilities: { transfers: 'pending' } }), true);
+  assert.deepEqual(db.queries.map(q => q.params), [['acct_1', true, true], ['acct_1', true, false]]);
+  assert.equal(await syncConnectAccount(payoutsDb({ rowCount: 0 }), { id: 'acct_unknown' }), false);
+});
+
+test('syncTransferIntent marks the intent transferred and journals the transfer and its reversals', async t => {
+  t.mock.method(console, 'log', () => {});
+  const db = payoutsDb({ rows: [{ id: 5, week_start: '2026-10-12' }] });
+  const transfer = {
+    id: 'tr_1',
+    amount: 12500,
+    amount_reversed: 2500,
+    reversed: false,
+    destination: 'acct_1',
+    created: 1760000000,
+    metadata: { transfer_intent_id: '5' },
+    reversals: { data: [{ id: 'trr_1', amount: 2500 }] }
+  };
+  assert.equal(await syncTransferIntent(db, transfer), true);
+  assert.deepEqual(db.queries[0].params, ['5', 'tr_1', false, 25, 1760000000]);
+  assert.deepEqual(db.journalKeys(), ['charity_transfer:tr_1', 'charity_transfer_reversal:trr_1']);
+});
+
+test('syncTransferIntent ignores transfers without a matching intent', async t => {
+  t.mock.method(console, 'log', () => {});
+  assert.equal(await syncTransferIntent(payoutsDb(), { id: 'tr_1', metadata: {} }), false);
+  const unmatched = payoutsDb({ rowCount: 0 });
+  assert.equal(await syncTransferIntent(unmatched, { id: 'tr_1', amount: 100, metadata: { transfer_intent_id: '9' } }), false);
+  assert.deepEqual(unmatched.journalKeys(), []);
+});
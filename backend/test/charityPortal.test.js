@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  portalUrl,
+  normalizeEmail,
+  ensureCharityAccount,
+  createCharityPasswordToken,
+  findCharityPasswordToken,
+  setCharityPassword,
+  validateCharityProfile,
+  validateImpactReport
+} = require('../lib/charityPortal');
+
+// charity_accounts / charity_account_tokens in memory, enough for the token and password statements
+function accountsDb({ passwordHash = null, receivedWeeks = [] } = {}) {
+  const account = { id: 3, contact_email: 'ops@foodbank.org', charity_name: 'Food Bank', password_hash: passwordHash };
+  const tokens = [];
+  const statements = [];
+  return {
+    account,
+    tokens,
+    statements,
+    query: async (text, params = []) => {
+      const sql = text.replace(/\s+/g, ' ').trim();
+      statements.push({ sql, params });
+      if (/^INSERT INTO charity_accounts/.test(sql)) return { rows: [{ id: account.id, password_hash: account.password_hash }] };
+      if (/^INSERT INTO charity_account_tokens/.test(sql)) {
+        tokens.push({ id: tokens.length + 1, charity_account_id: params[0], purpose: params[1], token_hash: params[2], used_at: null });
+        return { rows: [{ id: tokens.length }] };
+      }
+      if (/FROM charity_account_tokens cat/.test(sql)) {
+        return {
+          rows: tokens.filter(t => !t.used_at).map(t => ({
+            ...t,
+            contact_email: account.contact_email,
+            charity_name: account.charity_name,
+            password_hash: account.password_hash
+          }))
+        };
+      }
+      if (/^UPDATE charity_accounts SET password_hash/.test(sql)) account.password_hash = params[0];
+      if (/^UPDATE charity_account_tokens SET used_at/.test(sql)) {
+        tokens.filter(t => t.purpose === params[1] && !t.used_at).forEach(t => { t.used_at = new Date(); });
+      }
+      if (/FROM weekly_charity_allocation_recipients/.test(sql)) return { rows: receivedWeeks.includes(params[1]) ? [{ '?column?': 1 }] : [] };
+      return { rows: [] };
+    }
+  };
+}
+
+test('portalUrl opens the login page, with the token form when given a token', () => {
+  assert.match(portalUrl(), /\/charity-login\.html$/);
+  assert.match(portalUrl('a b'), /\/charity-login\.html\?token=a%20b$/);
+});
+
+test('ensureCharityAccount keys the account by normalized email and links the application', async () => {
+  const db = accountsDb({ passwordHash: 'hash' });
+  const application = { id: 'app-1', charity_name: 'Food Bank', contact_email: ' Ops@FoodBank.org ' };
+  assert.deepEqual(await ensureCharityAccount(db, application), { id: 3, hasPassword: true });
+  assert.deepEqual(db.statements[0].params, ['ops@foodbank.org', 'Food Bank', null]);
+  assert.deepEqual(db.statements[1].params, [3, 'app-1']);
+  assert.equal(normalizeEmail(null), '');
+});
+
+test('a setup token finds its account once and is used up by setting the password', async t => {
+  t.mock.method(console, 'log', () => {});
+  const db = accountsDb();
+  const rawToken = await createCharityPasswordToken(db, 3, 'password_setup');
+  assert.match(rawToken, /^[0-9a-f]{64}$/);
+  assert.notEqual(db.tokens[0].token_hash, rawToken);
+
+  const token = await findCharityPasswordToken(db, rawToken);
+  assert.deepEqual(token, {
+    tokenId: 1,
+    charityAccountId: 3,
+    purpose: 'password_setup',
+    email: 'ops@foodbank.org',
+    charityName: 'Food Bank',
+    alreadySetUp: false
+  });
+
+  assert.deepEqual(await setCharityPassword(db, token, 'correct horse'), { ok: true });
+  assert.ok(db.account.password_hash);
+  assert.equal(await findCharityPasswordToken(db, rawToken), null);
+});
+
+test('unknown tokens and token purposes are rejected', async t => {
+  t.mock.method(console, 'log', () => {});
+  const db = accountsDb();
+  await createCharityPasswordToken(db, 3, 'password_reset');
+  assert.equal(await findCharityPasswordToken(db, 'not-the-token'), null);
+  assert.equal(await findCharityPasswordToken(db, ''), null);
+  await assert.rejects(createCharityPasswordToken(db, 3, 'login'), /purpose must be/);
+});
+
+test('a setup link for an account with a password cannot set it again', async t => {
+  t.mock.method(console, 'log', () => {});
+  const db = accountsDb({ passwordHash: 'existing' });
+  const token = await findCharityPasswordToken(db, await createCharityPasswordToken(db, 3, 'password_setup'));
+  assert.equal(token.alreadySetUp, true);
+  assert.deepEqual(await setCharityPassword(db, token, 'correct horse'), { ok: false, error: 'Account already set up. Please sign in.' });
+  assert.equal(db.account.password_hash, 'existing');
+});
+
+test('setCharityPassword needs at least 8 characters', async () => {
+  const result = await setCharityPassword(accountsDb(), { charityAccountId: 3, purpose: 'password_reset' }, 'short');
+  assert.deepEqual(result, { ok: false, error: 'Password must be at least 8 characters' });
+});
+
+test('validateCharityProfile trims fields, clears empty ones and checks the website', () => {
+  assert.deepEqual(validateCharityProfile({ websiteUrl: ' https://foodbank.org/about ', missionText: ' Feed people. ' }),
+    { ok: true, websiteUrl: 'https://foodbank.org/about', missionText: 'Feed people.' });
+  assert.deepEqual(validateCharityProfile({ websiteUrl: '', missionText: '' }), { ok: true, websiteUrl: null, missionText: null });
+  assert.equal(validateCharityProfile({ websiteUrl: 'foodbank.org' }).ok, false);
+  assert.equal(validateCharityProfile({ websiteUrl: 'javascript:alert(1)' }).ok, false);
+  assert.equal(validateCharityProfile({ missionText: 'x'.repeat(1001) }).ok, false);
+});
+
+test('validateImpactReport needs a title and body, and a week the charity was paid for', async () => {
+  const db = accountsDb({ receivedWeeks: ['2026-10-05'] });
+  assert.deepEqual(await validateImpactReport(db, 3, { title: ' Meals ', body: ' 400 meals served. ' }),
+    { ok: true, title: 'Meals', body: '400 meals served.', weekStart: null });
+  assert.deepEqual(await validateImpactReport(db, 3, { title: 'Meals', body: 'Served.', weekStart: '2026-10-05' }),
+    { ok: true, title: 'Meals', body: 'Served.', weekStart: '2026-10-05' });
+
+  assert.equal((await validateImpactReport(db, 3, { title: '', body: 'Served.' })).error, 'Title is required');
+  assert.equal((await validateImpactReport(db, 3, { title: 'x'.repeat(121), body: 'Served.' })).ok, false);
+  assert.equal((await validateImpactReport(db, 3, { title: 'Meals', body: ' ' })).error, 'Tell viewers how the donation was used');
+  assert.equal((await validateImpactReport(db, 3, { title: 'Meals', body: 'Served.', weekStart: 'last week' })).ok, false);
+  assert.equal((await validateImpactReport(db, 3, { title: 'Meals', body: 'Served.', weekStart: '2026-10-12' })).error,
+    'You can only report on a week your charity received a donation');
+});
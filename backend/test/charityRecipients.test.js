@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseShare, validateRecipients, splitAllocation } = require('../lib/charityRecipients');
+
+const ID_A = '11111111-1111-4111-8111-111111111111';
+const ID_B = '22222222-2222-4222-8222-222222222222';
+const ID_C = '33333333-3333-4333-8333-333333333333';
+
+const sumCents = parts => parts.reduce((sum, p) => sum + Math.round(p.amount * 100), 0);
+
+test('parseShare reads percentages and fixed amounts', () => {
+  assert.deepEqual(parseShare('60%'), { shareType: 'percent', sharePercent: 60, fixedAmount: null });
+  assert.deepEqual(parseShare('$250'), { shareType: 'fixed', sharePercent: null, fixedAmount: 250 });
+  assert.deepEqual(parseShare('250.50 USD'), { shareType: 'fixed', sharePercent: null, fixedAmount: 250.5 });
+  assert.deepEqual(parseShare(''), { shareType: 'percent', sharePercent: 100, fixedAmount: null });
+  assert.equal(parseShare('0%'), null);
+  assert.equal(parseShare('101%'), null);
+  assert.equal(parseShare('$-5'), null);
+});
+
+test('validateRecipients requires percentages adding up to 100%', () => {
+  assert.equal(validateRecipients([
+    { charityApplicationId: ID_A, share: '60%' },
+    { charityApplicationId: ID_B, share: '30%' }
+  ]).ok, false);
+  assert.equal(validateRecipients([
+    { charityApplicationId: ID_A, share: '$100' },
+    { charityApplicationId: ID_B, share: '$50' }
+  ]).ok, false);
+  assert.equal(validateRecipients([
+    { charityApplicationId: ID_A, share: '50%' },
+    { charityApplicationId: ID_A, share: '50%' }
+  ]).ok, false);
+
+  const valid = validateRecipients([
+    { charityApplicationId: ID_A, share: '$100' },
+    { charityApplicationId: ID_B, share: '33.33%' },
+    { charityApplicationId: ID_C, share: '66.67%' }
+  ]);
+  assert.equal(valid.ok, true);
+  assert.deepEqual(valid.recipients.map(r => r.position), [1, 2, 3]);
+});
+
+test('splitAllocation parts always add up to the pool to the cent', () => {
+  const thirds = [
+    { position: 1, shareType: 'percent', sharePercent: 33.33 },
+    { position: 2, shareType: 'percent', sharePercent: 33.33 },
+    { position: 3, shareType: 'percent', sharePercent: 33.34 }
+  ];
+  const mixed = [
+    { position: 1, share_type: 'fixed', fixed_amount: '12.34' },
+    { position: 2, share_type: 'percent', share_percent: '17.5' },
+    { position: 3, share_type: 'percent', share_percent: '82.5' }
+  ];
+  for (const total of [0, 0.01, 0.02, 1, 10, 99.99, 100, 1234.57, 98765.43]) {
+    for (const recipients of [thirds, mixed]) {
+      const parts = splitAllocation(total, recipients);
+      assert.equal(sumCents(parts), Math.round(total * 100), `total ${total}`);
+      assert.ok(parts.every(p => p.amount >= 0), `total ${total}`);
+    }
+  }
+});
+
+test('splitAllocation pays fixed amounts first, capped at the pool', () => {
+  const recipients = [
+    { position: 2, shareType: 'percent', sharePercent: 100 },
+    { position: 1, shareType: 'fixed', fixedAmount: 250 }
+  ];
+  assert.deepEqual(splitAllocation(1000, recipients).map(p => p.amount), [250, 750]);
+  assert.deepEqual(splitAllocation(100, recipients).map(p => p.amount), [100, 0]);
+});
+
+test('splitAllocation gives leftover cents to the largest remainders', () => {
+  const parts = splitAllocation(0.1, [
+    { position: 1, shareType: 'percent', sharePercent: 33.33 },
+    { position: 2, shareType: 'percent', sharePercent: 33.33 },
+    { position: 3, shareType: 'percent', sharePercent: 33.34 }
+  ]);
+  assert.deepEqual(parts.map(p => p.amount), [0.03, 0.03, 0.04]);
+});
+
+test('splitAllocation rejects percentage shares that do not add up to 100%', () => {
+  assert.throws(
+    () => splitAllocation(100, [{ position: 1, shareType: 'percent', sharePercent: 90 }]),
+    /must add up to 100%/
+  );
+  assert.throws(
+    () => splitAllocation(100, [{ position: 1, shareType: 'fixed', fixedAmount: 100 }]),
+    /must add up to 100%/
+  );
+});
@@ -0,0 +1,146 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  CHARITY_VOTE_DEFAULTS,
+  votingConfig,
+  votingWeek,
+  tallyCharityVotes,
+  loadCharityBallot,
+  castCharityVote,
+  closeCharityVote
+} = require('../lib/charityVoting');
+
+const FOOD_BANK = 'a1b2c3d4-0000-4000-8000-000000000001';
+const SHELTER = 'a1b2c3d4-0000-4000-8000-000000000002';
+const WEDNESDAY = new Date('2026-10-14T12:00:00Z');
+const AFTER_CLOSE = new Date('2026-10-17T20:00:00Z');
+const UNWEIGHTED = { weighted: false, maxWeight: CHARITY_VOTE_DEFAULTS.maxWeight };
+
+// Answers the voting statements from a script; connect() hands out a client over the same script
+function votingDb({ tally = [], winner = null, user = { id: 5, verified: true, is_active: true }, onBallot = true, previous = null } = {}) {
+  const statements = [];
+  const query = async (text, params) => {
+    const sql = text.replace(/\s+/g, ' ').trim();
+    statements.push({ sql, params });
+    if (/FROM charity_week_winner cww/.test(sql)) {
+      return { rows: winner ? [{ charity_application_id: winner, selection_method: 'admin', charity_name: 'Shelter' }] : [] };
+    }
+    if (/FROM charity_week_pool cwp JOIN charity_applications ca ON ca.id = cwp.charity_application_id AND/.test(sql)) return { rows: tally };
+    if (/^SELECT id, verified, is_active FROM users/.test(sql)) return { rows: user ? [user] : [] };
+    if (/^SELECT 1 FROM charity_week_pool/.test(sql)) return { rows: onBallot ? [{ '?column?': 1 }] : [] };
+    if (/INSERT INTO charity_votes/.test(sql)) return { rows: [{ previous_charity_application_id: previous }] };
+    if (/SELECT contact_email/.test(sql)) return { rows: [{ contact_email: 'hello@foodbank.org' }] };
+    return { rows: [] };
+  };
+  return {
+    statements,
+    find: pattern => statements.find(s => pattern.test(s.sql)),
+    last: () => statements[statements.length - 1].sql,
+    query,
+    connect: async () => ({ query, release: () => {} })
+  };
+}
+
+const tallyRow = (id, name, votes, voters) => ({ id, charity_name: name, votes: String(votes), voters });
+
+test('votingConfig reads the weighting and its cap', t => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  assert.deepEqual(votingConfig({}), { weighted: false, maxWeight: 50 });
+  assert.deepEqual(votingConfig({ CHARITY_VOTE_WEIGHTING: 'ADS_WATCHED', CHARITY_VOTE_MAX_WEIGHT: '20' }), { weighted: true, maxWeight: 20 });
+  assert.deepEqual(votingConfig({ CHARITY_VOTE_WEIGHTING: 'karma', CHARITY_VOTE_MAX_WEIGHT: '-1' }), { weighted: false, maxWeight: 50 });
+  assert.equal(warn.mock.callCount(), 2);
+});
+
+test('votingWeek is the coming Monday, closing Saturday at 19:00 UTC', () => {
+  assert.deepEqual(votingWeek(WEDNESDAY), {
+    weekStart: '2026-10-19',
+    weekEnd: '2026-10-25',
+    closesAt: new Date('2026-10-17T19:00:00Z')
+  });
+  // Sunday evening in Los Angeles is already Monday in UTC
+  assert.equal(votingWeek(new Date('2026-10-19T03:00:00Z')).weekStart, '2026-10-19');
+  // On Monday the round is for the week after
+  assert.equal(votingWeek(new Date('2026-10-19T17:00:00Z')).weekStart, '2026-10-26');
+});
+
+test('tallyCharityVotes returns numeric tallies in ranking order', async () => {
+  const db = votingDb({ tally: [tallyRow(FOOD_BANK, 'Food Bank', 12, 4), tallyRow(SHELTER, 'Shelter', 0, 0)] });
+  const tally = await tallyCharityVotes(db, '2026-10-19', { weighted: true, maxWeight: 20 });
+  assert.deepEqual(tally, [
+    { id: FOOD_BANK, name: 'Food Bank', votes: 12, voters: 4 },
+    { id: SHELTER, name: 'Shelter', votes: 0, voters: 0 }
+  ]);
+  assert.deepEqual(db.statements[0].params, ['2026-10-19', true, 20]);
+});
+
+test('the ballot shows each charity\'s share and closes once a winner is picked', async () => {
+  const tally = [tallyRow(FOOD_BANK, 'Food Bank', 2, 2), tallyRow(SHELTER, 'Shelter', 1, 1)];
+  const ballot = await loadCharityBallot(votingDb({ tally }), { now: WEDNESDAY, config: UNWEIGHTED });
+  assert.equal(ballot.open, true);
+  assert.equal(ballot.totalVotes, 3);
+  assert.deepEqual(ballot.charities.map(c => c.share), [66.7, 33.3]);
+
+  const decided = await loadCharityBallot(votingDb({ tally, winner: SHELTER }), { now: WEDNESDAY, config: UNWEIGHTED });
+  assert.equal(decided.open, false);
+  assert.equal(decided.winner.id, SHELTER);
+});
+
+test('castCharityVote records a verified viewer\'s vote and reports a changed vote', async t => {
+  t.mock.method(console, 'log', () => {});
+  const first = await castCharityVote(votingDb(), { userId: 5, charityApplicationId: FOOD_BANK, now: WEDNESDAY });
+  assert.deepEqual(first, { ok: true, weekStart: '2026-10-19', charityApplicationId: FOOD_BANK, changed: false });
+
+  const changed = await castCharityVote(votingDb({ previous: SHELTER }), { userId: 5, charityApplicationId: FOOD_BANK, now: WEDNESDAY });
+  assert.equal(changed.changed, true);
+});
+
+test('castCharityVote rejects invalid choices, unverified viewers and closed rounds', async () => {
+  const cast = (db, overrides = {}) => castCharityVote(db, { userId: 5, charityApplicationId: FOOD_BANK, now: WEDNESDAY, ...overrides });
+  assert.equal((await cast(votingDb(), { charityApplicationId: 'food-bank' })).status, 400);
+  assert.equal((await cast(votingDb({ user: { id: 5, verified: false } }))).status, 403);
+  assert.equal((await cast(votingDb({ user: null }))).status, 403);
+  assert.equal((await cast(votingDb(), { now: AFTER_CLOSE })).status, 409);
+  assert.equal((await cast(votingDb({ winner: SHELTER }))).status, 409);
+
+  const offBallot = votingDb({ onBallot: false });
+  assert.deepEqual(await cast(offBallot), { ok: false, status: 400, error: 'That charity is not on this week\'s ballot' });
+  assert.equal(offBallot.find(/INSERT INTO charity_votes/), undefined);
+});
+
+test('closeCharityVote leaves an open round alone', async () => {
+  const db = votingDb();
+  const result = await closeCharityVote(db, { now: WEDNESDAY, config: UNWEIGHTED });
+  assert.deepEqual(result, { success: true, weekStart: '2026-10-19', weekEnd: '2026-10-25', skipped: true, reason: 'voting_open' });
+  assert.equal(db.statements.length, 0);
+});
+
+test('closeCharityVote snapshots the weights and writes the leader as the winner', async t => {
+  t.mock.method(console, 'log', () => {});
+  const db = votingDb({ tally: [tallyRow(FOOD_BANK, 'Food Bank', 7, 3), tallyRow(SHELTER, 'Shelter', 7, 2)] });
+  const result = await closeCharityVote(db, { now: AFTER_CLOSE, config: UNWEIGHTED });
+  assert.deepEqual(result, {
+    success: true,
+    weekStart: '2026-10-19',
+    weekEnd: '2026-10-25',
+    skipped: false,
+    charityApplicationId: FOOD_BANK,
+    charityName: 'Food Bank',
+    contactEmail: 'hello@foodbank.org',
+    votes: 7,
+    voters: 3
+  });
+  assert.ok(db.find(/^UPDATE charity_votes v SET weight =/));
+  assert.deepEqual(db.find(/INSERT INTO charity_week_winner/).params, [FOOD_BANK, '2026-10-19']);
+  assert.equal(db.last(), 'COMMIT');
+});
+
+test('closeCharityVote skips rounds with an admin winner or without votes', async t => {
+  t.mock.method(console, 'log', () => {});
+  const picked = votingDb({ winner: SHELTER });
+  assert.equal((await closeCharityVote(picked, { now: AFTER_CLOSE, config: UNWEIGHTED })).reason, 'winner_exists');
+  assert.equal(picked.last(), 'ROLLBACK');
+
+  const empty = votingDb({ tally: [tallyRow(FOOD_BANK, 'Food Bank', 0, 0)] });
+  assert.equal((await closeCharityVote(empty, { now: AFTER_CLOSE, config: UNWEIGHTED })).reason, 'no_votes');
+  assert.equal(empty.find(/INSERT INTO charity_week_winner/), undefined);
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizedKeyFor, posterKeyFor, previewKeyFor, processCreativeMedia } = require('../lib/creativeMedia');
+
+// Records the creatives updates; R2 downloads fail
+function mediaDb() {
+  const queries = [];
+  return {
+    queries,
+    statuses: () => queries.map(q => (q.text.match(/(media|hls)_status = '(\w+)'/) || []).slice(1).join(':')),
+    query: async (text, params) => {
+      queries.push({ text, params });
+      return { rows: [] };
+    }
+  };
+}
+
+const missingObjects = { send: async () => { throw new Error('NoSuchKey'); } };
+const creative = { id: 12, r2_bucket: 'charity-stream-videos', r2_key: 'video_12_1700000000000_ab12.mp4' };
+
+test('renditions sit next to the creative under their own prefixes', () => {
+  assert.equal(normalizedKeyFor(creative.r2_key), 'normalized/video_12_1700000000000_ab12.mp4');
+  assert.equal(posterKeyFor(creative.r2_key), 'posters/video_12_1700000000000_ab12.jpg');
+  assert.equal(previewKeyFor('uploads/ad.mov'), 'previews/ad.gif');
+});
+
+test('a failed download is recorded and the HLS ladder is still attempted', async t => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  const db = mediaDb();
+  const result = await processCreativeMedia(db, missingObjects, { creative });
+  assert.deepEqual(result, { success: false, error: 'NoSuchKey' });
+  assert.deepEqual(db.statuses(), ['media:processing', 'media:failed', 'hls:processing', 'hls:failed']);
+  assert.deepEqual(db.queries[1].params, [12, 'NoSuchKey']);
+});
+
+test('buildHls: false leaves the ladder to the caller', async t => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  const db = mediaDb();
+  await processCreativeMedia(db, missingObjects, { creative, buildHls: false });
+  assert.deepEqual(db.statuses(), ['media:processing', 'media:failed']);
+});
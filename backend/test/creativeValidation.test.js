@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { S3Client, HeadObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
+const {
+  CREATIVE_VALIDATION_RULES,
+  validateCreative,
+  getOrValidateCreative,
+  summarizeFailures
+} = require('../lib/creativeValidation');
+
+// A real client (presigning needs its config) whose send() serves one in-memory object
+function r2Serving(object) {
+  const client = new S3Client({
+    region: 'auto',
+    endpoint: 'https://r2.test',
+    credentials: { accessKeyId: 'test', secretAccessKey: 'test' }
+  });
+  client.send = async command => {
+    if (!object) throw Object.assign(new Error('NotFound'), { name: 'NotFound' });
+    if (command instanceof HeadObjectCommand) return { ContentLength: object.size ?? object.body.length };
+    if (command instanceof GetObjectCommand) return { Body: { transformToByteArray: async () => object.body } };
+    throw new Error(`Unexpected command ${command.constructor.name}`);
+  };
+  return client;
+}
+
+const png = (width, height) => sharp({
+  create: { width, height, channels: 3, background: { r: 40, g: 90, b: 160 } }
+}).png().toBuffer();
+
+const statusOf = (report, name) => report.checks.find(c => c.check === name)?.status;
+
+test('a square image of recommended size passes', async () => {
+  const report = await validateCreative(r2Serving({ body: await png(1080, 1080) }),
+    { bucket: 'advertiser-media', key: 'ad.png', creativeType: 'image' });
+  assert.equal(report.status, 'passed');
+  assert.deepEqual(report.checks.map(c => c.check), ['file_size', 'format', 'aspect_ratio', 'dimensions']);
+  assert.equal(report.media.format, 'png');
+  assert.equal(report.media.width, 1080);
+});
+
+test('small images warn and unsupported ratios fail', async () => {
+  const small = await validateCreative(r2Serving({ body: await png(500, 500) }),
+    { bucket: 'advertiser-media', key: 'small.png', creativeType: 'image' });
+  assert.equal(small.status, 'warnings');
+  assert.equal(statusOf(small, 'dimensions'), 'warn');
+
+  const banner = await validateCreative(r2Serving({ body: await png(1200, 300) }),
+    { bucket: 'advertiser-media', key: 'banner.png', creativeType: 'image' });
+  assert.equal(banner.status, 'failed');
+  assert.equal(statusOf(banner, 'aspect_ratio'), 'fail');
+  assert.equal(statusOf(banner, 'dimensions'), 'fail');
+});
+
+test('files that are not images fail the format check', async () => {
+  const report = await validateCreative(r2Serving({ body: Buffer.from('not an image') }),
+    { bucket: 'advertiser-media', key: 'ad.png', creativeType: 'image' });
+  assert.equal(report.status, 'failed');
+  assert.equal(statusOf(report, 'format'), 'fail');
+});
+
+test('oversized files fail without being probed', async () => {
+  const report = await validateCreative(r2Serving({ body: Buffer.alloc(0), size: CREATIVE_VALIDATION_RULES.maxFileSizeBytes + 1 }),
+    { bucket: 'advertiser-media', key: 'ad.mp4', creativeType: 'video' });
+  assert.equal(report.status, 'failed');
+  assert.deepEqual(report.checks.map(c => c.check), ['file_size']);
+});
+
+test('a missing upload fails the report', async () => {
+  const report = await validateCreative(r2Serving(null), { bucket: 'advertiser-media', key: 'gone.mp4', creativeType: 'video' });
+  assert.equal(report.status, 'failed');
+  assert.equal(summarizeFailures(report), 'The uploaded file was not found. Please upload it again.');
+});
+
+test('videos are left to manual review when ffprobe is unavailable', async t => {
+  const previous = process.env.FFPROBE_PATH;
+  process.env.FFPROBE_PATH = '/nonexistent/ffprobe';
+  t.after(() => {
+    if (previous === undefined) delete process.env.FFPROBE_PATH;
+    else process.env.FFPROBE_PATH = previous;
+  });
+
+  const report = await validateCreative(r2Serving({ body: Buffer.alloc(0), size: 1024 }),
+    { bucket: 'advertiser-media', key: 'ad.mp4', creativeType: 'video' });
+  assert.equal(report.status, 'warnings');
+  assert.equal(statusOf(report, 'analysis'), 'warn');
+});
+
+test('getOrValidateCreative reuses a stored report and claims it for the advertiser', async () => {
+  const stored = { status: 'passed', checks: [] };
+  const queries = [];
+  const db = {
+    query: async (text, params) => {
+      queries.push({ text, params });
+      return { rows: /SELECT report/.test(text) ? [{ report: stored }] : [] };
+    }
+  };
+  const report = await getOrValidateCreative(db, r2Serving(null),
+    { bucket: 'advertiser-media', key: 'ad.png', creativeType: 'image', advertiserId: 9 });
+  assert.equal(report, stored);
+  assert.match(queries[1].text, /UPDATE creative_validations SET advertiser_id/);
+  assert.deepEqual(queries[1].params, ['advertiser-media', 'ad.png', 9]);
+});
+
+test('getOrValidateCreative validates and saves when there is no report yet', async () => {
+  const queries = [];
+  const db = { query: async (text, params) => { queries.push({ text, params }); return { rows: [] }; } };
+  const report = await getOrValidateCreative(db, r2Serving({ body: await png(1080, 1350) }),
+    { bucket: 'advertiser-media', key: 'ad.png', creativeType: 'image' });
+  assert.equal(report.status, 'passed');
+  assert.match(queries[1].text, /INSERT INTO creative_validations/);
+  assert.deepEqual(queries[1].params.slice(0, 5), ['advertiser-media', 'ad.png', null, 'image', 'passed']);
+});
+
+test('summarizeFailures joins the messages of failed checks only', () => {
+  const report = {
+    checks: [
+      { check: 'file_size', status: 'pass', message: '1.0 MB' },
+      { check: 'duration', status: 'fail', message: 'Too long.' },
+      { check: 'audio', status: 'warn', message: 'No audio.' },
+      { check: 'codec', status: 'fail', message: 'Not H.264.' }
+    ]
+  };
+  assert.equal(summarizeFailures(report), 'Too long. Not H.264.');
+});
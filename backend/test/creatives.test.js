@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  CREATIVE_BUCKETS,
+  creativeTypeForAdFormat,
+  describeR2Object,
+  registerCreative,
+  archiveAdvertiserCreatives
+} = require('../lib/creatives');
+
+// Records statements; the creatives insert echoes back a row with id 12
+function registryDb() {
+  const queries = [];
+  return {
+    queries,
+    query: async (text, params) => {
+      queries.push({ text, params });
+      if (/INSERT INTO creatives/.test(text)) return { rows: [{ id: 12, r2_key: params[1], checksum: params[11] }] };
+      return { rows: [] };
+    }
+  };
+}
+
+const r2Returning = outcome => ({
+  sent: [],
+  async send(command) {
+    this.sent.push(command.input);
+    if (outcome instanceof Error) throw outcome;
+    return outcome;
+  }
+});
+
+test('creativeTypeForAdFormat maps the static image formats to image', () => {
+  assert.equal(creativeTypeForAdFormat('video'), 'video');
+  assert.equal(creativeTypeForAdFormat(undefined), 'video');
+  assert.equal(creativeTypeForAdFormat('Image'), 'image');
+  assert.equal(creativeTypeForAdFormat('static_image'), 'image');
+  assert.equal(creativeTypeForAdFormat('Static Image'), 'image');
+});
+
+test('describeR2Object reads size, type and the unquoted ETag', async () => {
+  const r2 = r2Returning({ ContentType: 'video/mp4', ContentLength: '1048576', ETag: '"abc123"' });
+  const object = await describeR2Object(r2, CREATIVE_BUCKETS.live, 'ad.mp4');
+  assert.deepEqual(object, { contentType: 'video/mp4', sizeBytes: 1048576, checksum: 'abc123' });
+  assert.deepEqual(r2.sent, [{ Bucket: 'charity-stream-videos', Key: 'ad.mp4' }]);
+});
+
+test('describeR2Object returns null for missing objects and rethrows other errors', async () => {
+  const notFound = Object.assign(new Error('NotFound'), { name: 'NotFound' });
+  assert.equal(await describeR2Object(r2Returning(notFound), 'b', 'k'), null);
+  const status404 = Object.assign(new Error('Unknown'), { $metadata: { httpStatusCode: 404 } });
+  assert.equal(await describeR2Object(r2Returning(status404), 'b', 'k'), null);
+  await assert.rejects(describeR2Object(r2Returning(new Error('socket hang up')), 'b', 'k'), /socket hang up/);
+});
+
+test('registerCreative upserts the row and retires the owner\'s other live creatives', async () => {
+  const db = registryDb();
+  const row = await registerCreative(db, {
+    bucket: CREATIVE_BUCKETS.live,
+    key: 'ad.mp4',
+    creativeType: 'video',
+    advertiserId: 9,
+    checksum: '"abc123"'
+  });
+  assert.equal(row.id, 12);
+  assert.equal(row.checksum, 'abc123');
+  assert.match(db.queries[0].text, /ON CONFLICT \(r2_bucket, r2_key\) DO UPDATE/);
+  assert.deepEqual(db.queries[0].params.slice(0, 6), ['charity-stream-videos', 'ad.mp4', 'video', 'active', 9, null]);
+  assert.match(db.queries[1].text, /SET status = 'retired'/);
+  assert.deepEqual(db.queries[1].params, [12, 9, null]);
+});
+
+test('registerCreative keeps a pending_review status for replacement uploads', async () => {
+  const db = registryDb();
+  await registerCreative(db, {
+    bucket: CREATIVE_BUCKETS.advertiserUploads,
+    key: 'replacement.png',
+    creativeType: 'image',
+    status: 'pending_review',
+    advertiserId: 9
+  });
+  assert.equal(db.queries[0].params[3], 'pending_review');
+});
+
+test('registerCreative needs exactly one owner', async () => {
+  const creative = { bucket: CREATIVE_BUCKETS.live, key: 'ad.mp4', creativeType: 'video' };
+  await assert.rejects(registerCreative(registryDb(), creative), /exactly one advertiser or sponsor campaign/);
+  await assert.rejects(
+    registerCreative(registryDb(), { ...creative, advertiserId: 9, sponsorCampaignId: 'c0ffee00-0000-4000-8000-000000000000' }),
+    /exactly one/
+  );
+});
+
+test('archiveAdvertiserCreatives keeps the key unless the object moved', async () => {
+  const db = registryDb();
+  await archiveAdvertiserCreatives(db, 9);
+  await archiveAdvertiserCreatives(db, 9, 'archived/ad.mp4');
+  assert.deepEqual(db.queries.map(q => q.params), [[9, null], [9, 'archived/ad.mp4']]);
+});
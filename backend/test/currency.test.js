@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  REPORTING_CURRENCY,
+  normalizeCurrency,
+  priceList,
+  minimumCharge,
+  formatMoney,
+  refreshFxRates,
+  loadFxRate,
+  toReportingAmount
+} = require('../lib/currency');
+
+// fx_rates as { id, currency, rate } rows, newest last; inserts are appended
+function fxDb(snapshots = []) {
+  const rows = snapshots.slice();
+  const queries = [];
+  return {
+    queries,
+    query: async (text, params) => {
+      queries.push({ text, params });
+      if (/INSERT INTO fx_rates/.test(text)) {
+        const row = { id: rows.length + 1, currency: params[0], rate: params[1], captured_at: new Date() };
+        rows.push(row);
+        return { rows: [row] };
+      }
+      if (/WHERE id = \$1/.test(text)) return { rows: rows.filter(r => r.id === params[0] && r.currency === params[1]) };
+      return { rows: rows.filter(r => r.currency === params[0]).slice(-1) };
+    }
+  };
+}
+
+test('normalizeCurrency lowercases supported codes and rejects the rest', () => {
+  assert.equal(normalizeCurrency(' GBP '), 'gbp');
+  assert.equal(normalizeCurrency('eur'), 'eur');
+  assert.equal(normalizeCurrency('jpy'), null);
+  assert.equal(normalizeCurrency(''), REPORTING_CURRENCY);
+  assert.equal(normalizeCurrency(null, null), null);
+});
+
+test('prices and minimum charges follow the currency, defaulting to the reporting currency', () => {
+  assert.equal(priceList('gbp').bronze, 4000);
+  assert.equal(priceList('EUR').click, 25);
+  assert.equal(priceList('jpy'), priceList('usd'));
+  assert.equal(minimumCharge('gbp'), 0.3);
+  assert.equal(minimumCharge(undefined), 0.5);
+});
+
+test('formatMoney formats in the given currency', () => {
+  assert.equal(formatMoney(1234.5, 'gbp'), '£1,234.50');
+  assert.equal(formatMoney('12'), '$12.00');
+  assert.equal(formatMoney(null, 'eur'), '€0.00');
+});
+
+test('refreshFxRates stores the reporting-currency value of one unit of each currency', async () => {
+  const db = fxDb();
+  const stripe = { exchangeRates: { retrieve: async base => ({ id: base, rates: { eur: 0.8, gbp: 0.5 } }) } };
+  const snapshots = await refreshFxRates(db, stripe);
+  assert.deepEqual(snapshots.map(s => [s.currency, s.rate]), [['eur', '1.2500000000'], ['gbp', '2.0000000000']]);
+});
+
+test('refreshFxRates fails when Stripe leaves a currency out', async () => {
+  const stripe = { exchangeRates: { retrieve: async () => ({ rates: { eur: 0.8 } }) } };
+  await assert.rejects(refreshFxRates(fxDb(), stripe), /no GBP exchange rate/);
+});
+
+test('loadFxRate uses the latest snapshot unless a stored one is given', async () => {
+  const db = fxDb([{ id: 1, currency: 'gbp', rate: '1.2' }, { id: 2, currency: 'gbp', rate: '1.3' }]);
+  assert.deepEqual(await loadFxRate(db, 'gbp'), { id: 2, rate: 1.3 });
+  assert.deepEqual(await loadFxRate(db, 'gbp', { fxRateId: 1 }), { id: 1, rate: 1.2 });
+  await assert.rejects(loadFxRate(db, 'gbp', { fxRateId: 9 }), /No GBP FX rate snapshot 9/);
+  await assert.rejects(loadFxRate(db, 'jpy'), /Unsupported currency: jpy/);
+});
+
+test('the reporting currency converts at 1 without a snapshot', async () => {
+  const db = fxDb();
+  assert.deepEqual(await loadFxRate(db, 'USD'), { id: null, rate: 1 });
+  assert.equal(db.queries.length, 0);
+});
+
+test('toReportingAmount returns every donation_ledger currency column', async () => {
+  const db = fxDb([{ id: 7, currency: 'eur', rate: '1.0843' }]);
+  assert.deepEqual(await toReportingAmount(db, '49.99', 'EUR'), {
+    amount: 54.2,
+    currency: 'eur',
+    originalAmount: 49.99,
+    fxRate: 1.0843,
+    fxRateId: 7
+  });
+  assert.deepEqual(await toReportingAmount(db, 10.005, 'usd'), {
+    amount: 10.01,
+    currency: 'usd',
+    originalAmount: 10.01,
+    fxRate: 1,
+    fxRateId: null
+  });
+});
@@ -0,0 +1,147 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DUNNING_DEFAULTS,
+  dunningSchedule,
+  dunningTimeline,
+  dunningCaseResponse,
+  dunningEmailLabels,
+  openDunningCase,
+  processDunningCase
+} = require('../lib/dunning');
+
+const FAILED_AT = new Date('2026-10-01T12:00:00Z');
+const day = n => new Date(FAILED_AT.getTime() + n * 24 * 60 * 60 * 1000);
+
+const openCase = overrides => ({
+  id: 4,
+  subject_type: 'advertiser',
+  advertiser_id: 9,
+  sponsor_campaign_id: null,
+  stripe_invoice_id: 'in_1',
+  amount_due: '250.00',
+  currency: 'gbp',
+  status: 'open',
+  attempts: 0,
+  failed_at: FAILED_AT,
+  paused_at: null,
+  ...overrides
+});
+
+// One dunning case the statements read and update; everything else is recorded and answered empty
+function caseDb(dunningCase) {
+  const row = { ...dunningCase };
+  const statements = [];
+  return {
+    row,
+    statements,
+    query: async (text, params) => {
+      const sql = text.replace(/\s+/g, ' ').trim();
+      statements.push({ sql, params });
+      if (/^SELECT \* FROM dunning_cases WHERE id/.test(sql)) return { rows: [{ ...row }] };
+      if (/SET paused_at = NOW\(\)/.test(sql)) row.paused_at = new Date();
+      if (/SET attempts = attempts \+ \$2/.test(sql)) row.attempts += params[1];
+      if (/^UPDATE advertisers/.test(sql)) return { rows: [{ id: row.advertiser_id }] };
+      return { rows: [] };
+    }
+  };
+}
+
+test('dunningSchedule reads the environment and sorts the retry days', () => {
+  assert.deepEqual(dunningSchedule({}), DUNNING_DEFAULTS);
+  assert.deepEqual(
+    dunningSchedule({ DUNNING_RETRY_DAYS: '5, 2,2', DUNNING_GRACE_DAYS: '0', DUNNING_FINAL_DAYS: '10' }),
+    { retryDays: [2, 5], graceDays: 0, finalDays: 10 }
+  );
+});
+
+test('dunningSchedule falls back on invalid values and keeps the final day last', t => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  assert.deepEqual(dunningSchedule({ DUNNING_RETRY_DAYS: '1,0', DUNNING_GRACE_DAYS: 'soon' }), DUNNING_DEFAULTS);
+  assert.deepEqual(dunningSchedule({ DUNNING_FINAL_DAYS: '5', DUNNING_RETRY_DAYS: '1,7' }).finalDays, 14);
+  assert.deepEqual(dunningSchedule({ DUNNING_RETRY_DAYS: '1,20' }).finalDays, 21);
+  assert.equal(warn.mock.callCount(), 3);
+});
+
+test('dunningTimeline counts every step from the first failure', () => {
+  const timeline = dunningTimeline(openCase({ attempts: 1 }), DUNNING_DEFAULTS);
+  assert.deepEqual(timeline, { nextRetryAt: day(3), pauseAt: day(3), finalAt: day(14), nextActionAt: day(3) });
+
+  const paused = dunningTimeline(openCase({ attempts: 3, paused_at: day(3) }), DUNNING_DEFAULTS);
+  assert.equal(paused.nextRetryAt, null);
+  assert.deepEqual(paused.nextActionAt, day(14));
+
+  assert.equal(dunningTimeline(openCase({ status: 'recovered' }), DUNNING_DEFAULTS).nextActionAt, null);
+});
+
+test('dunningCaseResponse shows upcoming dates only while the case is open', () => {
+  const open = dunningCaseResponse(openCase({ attempts: 2, paused_at: day(3) }), DUNNING_DEFAULTS);
+  assert.equal(open.stage, 'paused');
+  assert.equal(open.amountDue, 250);
+  assert.equal(open.maxAttempts, 3);
+  assert.deepEqual(open.nextRetryAt, day(7));
+  assert.equal(open.pauseAt, null);
+
+  const recovered = dunningCaseResponse(openCase({ status: 'recovered' }), DUNNING_DEFAULTS);
+  assert.equal(recovered.stage, 'recovered');
+  assert.equal(recovered.nextRetryAt, null);
+  assert.equal(recovered.finalAt, null);
+});
+
+test('dunningEmailLabels formats the amount and dates for the customer', () => {
+  assert.deepEqual(dunningEmailLabels(openCase(), DUNNING_DEFAULTS), {
+    amountLabel: '£250.00',
+    nextRetryLabel: 'Friday, October 2',
+    pauseLabel: 'Sunday, October 4',
+    finalLabel: 'Thursday, October 15'
+  });
+});
+
+test('openDunningCase opens one case per invoice', async () => {
+  const statements = [];
+  const db = {
+    query: async (text, params) => {
+      statements.push(params);
+      return /INSERT INTO dunning_cases/.test(text) ? { rows: [] } : { rows: [{ id: 4 }] };
+    }
+  };
+  const invoice = { id: 'in_1', amount_due: 25000, currency: 'gbp' };
+  const result = await openDunningCase(db, { subjectType: 'advertiser', advertiserId: 9, sponsorCampaignId: 'x', invoice, schedule: DUNNING_DEFAULTS });
+  assert.deepEqual(result, { opened: false, dunningCase: { id: 4 } });
+  assert.deepEqual(statements[0].slice(0, 6), ['advertiser', 9, null, 'in_1', 250, 'gbp']);
+  // The first retry is the first action
+  assert.equal(statements[0][7].getTime() - statements[0][6].getTime(), 24 * 60 * 60 * 1000);
+});
+
+test('the grace period ends with the campaign paused and the next retry scheduled', async () => {
+  const db = caseDb(openCase({ attempts: 2 }));
+  const stripe = { invoices: { retrieve: async () => assert.fail('no retry is due') } };
+  const result = await processDunningCase(db, stripe, db.row, { schedule: DUNNING_DEFAULTS, now: day(4) });
+  assert.deepEqual(result, { outcome: 'paused', paused: true, revoked: false, error: undefined });
+  assert.match(db.statements[0].sql, /SET is_paused = TRUE, paused_for_dunning = TRUE/);
+  assert.deepEqual(db.statements[db.statements.length - 1].params, [4, day(7)]);
+});
+
+test('a failed scheduled retry counts as an attempt', async t => {
+  t.mock.method(console, 'warn', () => {});
+  const db = caseDb(openCase());
+  const stripe = {
+    invoices: {
+      retrieve: async () => ({ status: 'open' }),
+      pay: async () => { throw new Error('Your card was declined.'); }
+    }
+  };
+  const result = await processDunningCase(db, stripe, db.row, { schedule: DUNNING_DEFAULTS, now: day(1) });
+  assert.deepEqual(result, { outcome: 'retried', paused: false, revoked: false, error: 'Your card was declined.' });
+  assert.equal(db.row.attempts, 1);
+  assert.deepEqual(db.statements[db.statements.length - 1].params, [4, day(3)]);
+});
+
+test('an invoice voided in Stripe closes the case without a charge', async t => {
+  t.mock.method(console, 'log', () => {});
+  const db = caseDb(openCase());
+  const stripe = { invoices: { retrieve: async () => ({ status: 'void' }), pay: async () => assert.fail('void invoices are not charged') } };
+  const result = await processDunningCase(db, stripe, db.row, { schedule: DUNNING_DEFAULTS, now: day(1) });
+  assert.equal(result.outcome, 'closed');
+  assert.match(db.statements[0].sql, /SET status = 'closed'/);
+});
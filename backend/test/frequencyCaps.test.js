@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { hasFrequencyCap, getFrequencyCappedAdvertisers, applyImpressionFrequencyCap } = require('../lib/frequencyCaps');
+
+// Returns the given per-advertiser counts and records every statement
+function countsDb(rows = []) {
+  const queries = [];
+  return {
+    queries,
+    query: async (text, params) => {
+      queries.push({ text, params });
+      return { rows: /FROM traffic_events/.test(text) ? rows : [] };
+    }
+  };
+}
+
+test('hasFrequencyCap needs an hourly or daily cap', () => {
+  assert.equal(hasFrequencyCap({ frequency_cap_per_hour: null, frequency_cap_per_day: null }), false);
+  assert.equal(hasFrequencyCap({}), false);
+  assert.equal(hasFrequencyCap({ frequency_cap_per_hour: 2 }), true);
+  assert.equal(hasFrequencyCap({ frequency_cap_per_day: 0 }), true);
+});
+
+test('getFrequencyCappedAdvertisers returns campaigns at either cap', async () => {
+  const db = countsDb([
+    { advertiser_id: 1, last_hour: 2, last_day: 2 },
+    { advertiser_id: 2, last_hour: 1, last_day: 5 },
+    { advertiser_id: 3, last_hour: 1, last_day: 1 }
+  ]);
+  const capped = await getFrequencyCappedAdvertisers(db, 'user:5', {
+    1: { frequency_cap_per_hour: 2, frequency_cap_per_day: null },
+    2: { frequency_cap_per_hour: 3, frequency_cap_per_day: 5 },
+    3: { frequency_cap_per_hour: 3, frequency_cap_per_day: 5 },
+    4: { frequency_cap_per_hour: 1, frequency_cap_per_day: null }
+  });
+  assert.deepEqual([...capped].sort(), [1, 2]);
+  assert.deepEqual(db.queries[0].params, ['user:5', [1, 2, 3, 4], null]);
+});
+
+test('getFrequencyCappedAdvertisers skips the query without capped campaigns', async () => {
+  const db = countsDb();
+  assert.equal((await getFrequencyCappedAdvertisers(db, 'user:5', {})).size, 0);
+  assert.equal(db.queries.length, 0);
+});
+
+test('an over-cap impression is flagged on its traffic event', async t => {
+  t.mock.method(console, 'log', () => {});
+  const db = countsDb([{ advertiser_id: 9, last_hour: 3, last_day: 3 }]);
+  const advertiser = { id: 9, frequency_cap_per_hour: 3, frequency_cap_per_day: null };
+  const result = await applyImpressionFrequencyCap(db, { viewerKey: 'user:5', advertiser, eventId: 41 });
+  assert.deepEqual(result, { capped: true });
+  // the event being evaluated is left out of its own count
+  assert.deepEqual(db.queries[0].params, ['user:5', [9], 41]);
+  assert.match(db.queries[1].text, /SET frequency_capped = TRUE/);
+  assert.deepEqual(db.queries[1].params, [41]);
+});
+
+test('impressions under the cap, or without one, are billable', async () => {
+  const under = countsDb([{ advertiser_id: 9, last_hour: 2, last_day: 2 }]);
+  const advertiser = { id: 9, frequency_cap_per_hour: 3, frequency_cap_per_day: 10 };
+  assert.deepEqual(await applyImpressionFrequencyCap(under, { viewerKey: 'user:5', advertiser, eventId: 41 }), { capped: false });
+  assert.equal(under.queries.length, 1);
+
+  const uncapped = countsDb();
+  const result = await applyImpressionFrequencyCap(uncapped, { viewerKey: 'user:5', advertiser: { id: 9 }, eventId: 41 });
+  assert.deepEqual(result, { capped: false });
+  assert.equal(uncapped.queries.length, 0);
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { HLS_RENDITIONS, hlsPrefixFor, downloadR2Object, buildCreativeHls } = require('../lib/hlsPipeline');
+
+// Records the creatives updates buildCreativeHls makes
+function creativesDb() {
+  const queries = [];
+  return {
+    queries,
+    query: async (text, params) => {
+      queries.push({ text: text.replace(/\s+/g, ' ').trim(), params });
+      return { rows: [] };
+    }
+  };
+}
+
+test('hlsPrefixFor puts the ladder under hls/<creative basename>', () => {
+  assert.equal(hlsPrefixFor('video_12_1700000000000_ab12.mp4'), 'hls/video_12_1700000000000_ab12');
+  assert.equal(hlsPrefixFor('normalized/video_12.mp4'), 'hls/video_12');
+  assert.equal(hlsPrefixFor('video_12'), 'hls/video_12');
+});
+
+test('the ladder is ordered highest rendition first', () => {
+  const heights = HLS_RENDITIONS.map(r => r.height);
+  assert.deepEqual(heights, [...heights].sort((a, b) => b - a));
+});
+
+test('downloadR2Object streams the object body to disk', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hls-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const sent = [];
+  const r2 = { send: async command => { sent.push(command.input); return { Body: Readable.from([Buffer.from('mp4 bytes')]) }; } };
+
+  const outputPath = path.join(dir, 'source.mp4');
+  await downloadR2Object(r2, 'charity-stream-videos', 'ad.mp4', outputPath);
+  assert.equal(fs.readFileSync(outputPath, 'utf8'), 'mp4 bytes');
+  assert.deepEqual(sent, [{ Bucket: 'charity-stream-videos', Key: 'ad.mp4' }]);
+});
+
+test('buildCreativeHls records a failure instead of throwing', async t => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  const db = creativesDb();
+  const requested = [];
+  const r2 = { send: async command => { requested.push(command.input.Key); throw new Error('NoSuchKey'); } };
+  const creative = { id: 12, r2_bucket: 'charity-stream-videos', r2_key: 'ad.mp4', normalized_key: 'normalized/ad.mp4' };
+
+  const result = await buildCreativeHls(db, r2, { creative });
+  assert.deepEqual(result, { success: false, error: 'NoSuchKey' });
+  // the loudness-normalized rendition is preferred as the source
+  assert.deepEqual(requested, ['normalized/ad.mp4']);
+  assert.match(db.queries[0].text, /hls_status = 'processing'/);
+  assert.match(db.queries[1].text, /hls_status = 'failed'/);
+  assert.deepEqual(db.queries[1].params, [12, 'NoSuchKey']);
+});
+
+test('buildCreativeHls still returns when the failure cannot be recorded', async t => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  let calls = 0;
+  const db = { query: async () => { if (calls++ > 0) throw new Error('connection terminated'); return { rows: [] }; } };
+  const r2 = { send: async () => { throw new Error('NoSuchKey'); } };
+
+  const result = await buildCreativeHls(db, r2, { creative: { id: 12, r2_bucket: 'b', r2_key: 'ad.mp4' } });
+  assert.equal(result.success, false);
+});
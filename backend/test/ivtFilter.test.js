@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { screenTrafficEvent, classifyUserAgent, IVT_LIMITS } = require('../lib/ivtFilter');
+const { PLAY_TOKEN_TTL_SECONDS } = require('../lib/playTokens');
+
+const BROWSER_UA = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 14_5) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Safari/605.1.15';
+
+const request = (userAgent = BROWSER_UA) => ({ ip: '203.0.113.7', headers: userAgent ? { 'user-agent': userAgent } : {} });
+
+// Answers screenTrafficEvent's queries from a script and records the traffic_events insert
+function trafficDb({ viewerLastMinute = 0, ipLastMinute = 0, duplicate = false, clickSource = false } = {}) {
+  const queries = [];
+  return {
+    queries,
+    inserted: () => queries.find(q => /INSERT INTO traffic_events/.test(q.text)),
+    query: async (text, params) => {
+      queries.push({ text, params });
+      if (/viewer_last_minute/.test(text)) {
+        return { rows: [{ viewer_last_minute: viewerLastMinute, ip_last_minute: ipLastMinute }] };
+      }
+      if (/impression_play_tokens/.test(text)) return { rows: clickSource ? [{ '?column?': 1 }] : [] };
+      if (/INSERT INTO traffic_events/.test(text)) return { rows: [{ id: 41 }] };
+      return { rows: duplicate ? [{ '?column?': 1 }] : [] };
+    }
+  };
+}
+
+test('classifyUserAgent flags missing and automated user agents', () => {
+  assert.equal(classifyUserAgent(''), 'missing_user_agent');
+  assert.equal(classifyUserAgent(null), 'missing_user_agent');
+  assert.equal(classifyUserAgent('Mozilla/5.0 HeadlessChrome/126.0'), 'headless_user_agent');
+  assert.equal(classifyUserAgent('python-requests/2.32'), 'headless_user_agent');
+  assert.equal(classifyUserAgent('Mozilla/5.0 (compatible; bot)'), 'headless_user_agent');
+  assert.equal(classifyUserAgent(BROWSER_UA), null);
+});
+
+test('flagged events are still stored, with their reason', async () => {
+  const db = trafficDb();
+  const result = await screenTrafficEvent(db, request('curl/8.4.0'), { eventType: 'impression', viewerKey: 'user:5', advertiserId: 9 });
+  assert.deepEqual(result, { valid: false, reason: 'headless_user_agent', eventId: 41 });
+  assert.equal(db.queries.length, 1);
+  assert.deepEqual(db.inserted().params.slice(7), [false, 'headless_user_agent']);
+});
+
+test('velocity limits apply per viewer before per IP', async () => {
+  const viewer = await screenTrafficEvent(trafficDb({ viewerLastMinute: IVT_LIMITS.viewerPerMinute.impression, ipLastMinute: 999 }),
+    request(), { eventType: 'impression', viewerKey: 'user:5', advertiserId: 9 });
+  assert.equal(viewer.reason, 'viewer_velocity');
+  const ip = await screenTrafficEvent(trafficDb({ ipLastMinute: IVT_LIMITS.ipPerMinute.sponsor_impression }),
+    request(), { eventType: 'sponsor_impression', viewerKey: 'viewer:abc', sponsorCampaignId: 'c0ffee00-0000-4000-8000-000000000000' });
+  assert.equal(ip.reason, 'ip_velocity');
+});
+
+test('the same creative counts once per viewer inside the duplicate window', async () => {
+  const result = await screenTrafficEvent(trafficDb({ duplicate: true }), request(),
+    { eventType: 'impression', viewerKey: 'user:5', advertiserId: 9, creative: 'ad.mp4' });
+  assert.equal(result.reason, 'duplicate_impression');
+});
+
+test('a click needs a recorded impression or a playing token of the advertiser', async () => {
+  const orphan = await screenTrafficEvent(trafficDb(), request(), { eventType: 'click', viewerKey: 'user:5', userId: 5, advertiserId: 9 });
+  assert.equal(orphan.reason, 'click_without_impression');
+
+  const db = trafficDb({ clickSource: true });
+  const early = await screenTrafficEvent(db, request(), { eventType: 'click', viewerKey: 'user:5', userId: 5, advertiserId: 9 });
+  assert.deepEqual(early, { valid: true, reason: null, eventId: 41 });
+  const sourceQuery = db.queries.find(q => /impression_play_tokens/.test(q.text));
+  assert.deepEqual(sourceQuery.params, ['user:5', 9, IVT_LIMITS.clickImpressionWindowMinutes, 5, PLAY_TOKEN_TTL_SECONDS]);
+  assert.ok(!db.queries.some(q => /duplicate|creative IS NOT DISTINCT/.test(q.text)), 'clicks skip the duplicate check');
+});
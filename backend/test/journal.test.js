@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ACCOUNTS, postJournalEntry, postPoolReversal, postWeeklyAllocation } = require('../lib/journal');
+
+// Records every statement; entries that fail validation must never reach it
+function recordingDb() {
+  const queries = [];
+  return {
+    queries,
+    query: async (text, params) => {
+      queries.push({ text, params });
+      return { rows: [{ id: queries.length }] };
+    }
+  };
+}
+
+test('an unbalanced entry is rejected before anything is written', async () => {
+  const db = recordingDb();
+  await assert.rejects(
+    postJournalEntry(db, {
+      entryKey: 'test:unbalanced',
+      sourceType: 'test',
+      lines: [
+        { account: ACCOUNTS.STRIPE_BALANCE, debit: 100 },
+        { account: ACCOUNTS.ADVERTISER_REVENUE, credit: 99.99 }
+      ]
+    }),
+    /unbalanced/
+  );
+  assert.equal(db.queries.length, 0);
+});
+
+test('lines must balance to the cent, not just in floating point', async () => {
+  const db = recordingDb();
+  const posted = await postJournalEntry(db, {
+    entryKey: 'test:cents',
+    sourceType: 'test',
+    lines: [
+      { account: ACCOUNTS.STRIPE_BALANCE, debit: 0.1 },
+      { account: ACCOUNTS.STRIPE_BALANCE, debit: 0.2 },
+      { account: ACCOUNTS.ADVERTISER_REVENUE, credit: 0.3 }
+    ]
+  });
+  assert.equal(posted.posted, true);
+  const lines = JSON.parse(db.queries[0].params[6]);
+  assert.deepEqual(lines.map(l => [l.account_code, l.debit, l.credit]), [
+    ['stripe_balance', 0.1, 0],
+    ['stripe_balance', 0.2, 0],
+    ['advertiser_revenue', 0, 0.3]
+  ]);
+});
+
+test('malformed lines and unknown accounts are rejected', async () => {
+  const db = recordingDb();
+  const entry = lines => postJournalEntry(db, { entryKey: 'test:bad', sourceType: 'test', lines });
+  await assert.rejects(entry([{ account: ACCOUNTS.STRIPE_BALANCE, debit: 1 }]), /at least two lines/);
+  await assert.rejects(entry([
+    { account: ACCOUNTS.STRIPE_BALANCE, debit: 1, credit: 1 },
+    { account: ACCOUNTS.REFUNDS, debit: 1, credit: 1 }
+  ]), /exactly one positive debit or credit/);
+  await assert.rejects(entry([
+    { account: ACCOUNTS.STRIPE_BALANCE, debit: -1 },
+    { account: ACCOUNTS.REFUNDS, credit: -1 }
+  ]), /exactly one positive debit or credit/);
+  await assert.rejects(entry([
+    { account: 'petty_cash', debit: 1 },
+    { account: ACCOUNTS.REFUNDS, credit: 1 }
+  ]), /Unknown ledger account/);
+  await assert.rejects(
+    postJournalEntry(db, { entryKey: 'test:pool', sourceType: 'test', poolSource: 'lottery', lines: [] }),
+    /Unknown pool source/
+  );
+  assert.equal(db.queries.length, 0);
+});
+
+test('a won dispute posts the opposite of a refund', async () => {
+  const db = recordingDb();
+  await postPoolReversal(db, { entryKey: 'test:refund', sourceType: 'test', poolSource: 'sponsor', amount: 12.5, weekStart: '2026-10-12' });
+  await postPoolReversal(db, { entryKey: 'test:won', sourceType: 'test', poolSource: 'sponsor', amount: -12.5, weekStart: '2026-10-12' });
+  const [refund, won] = db.queries.map(q => JSON.parse(q.params[6]));
+  assert.deepEqual(refund, [
+    { account_code: 'refunds', debit: 12.5, credit: 0 },
+    { account_code: 'stripe_balance', debit: 0, credit: 12.5 }
+  ]);
+  assert.deepEqual(won, [
+    { account_code: 'stripe_balance', debit: 12.5, credit: 0 },
+    { account_code: 'refunds', debit: 0, credit: 12.5 }
+  ]);
+});
+
+test('a split week posts one allocation entry per charity', async () => {
+  const db = recordingDb();
+  await postWeeklyAllocation(db, { weekStart: '2026-10-12', charityApplicationId: 'charity-a', amount: 60.01 });
+  await postWeeklyAllocation(db, { weekStart: new Date('2026-10-12T00:00:00Z'), charityApplicationId: 'charity-b', amount: 39.99 });
+  await postWeeklyAllocation(db, { weekStart: '2026-10-12', charityApplicationId: 'charity-c', amount: 0 });
+  assert.deepEqual(db.queries.map(q => [q.params[0], q.params[2]]), [
+    ['weekly_allocation:2026-10-12:charity-a', 'charity-a'],
+    ['weekly_allocation:2026-10-12:charity-b', 'charity-b']
+  ]);
+  assert.deepEqual(JSON.parse(db.queries[0].params[6]), [
+    { account_code: 'charity_grants', debit: 60.01, credit: 0 },
+    { account_code: 'charity_payable', debit: 0, credit: 60.01 }
+  ]);
+});
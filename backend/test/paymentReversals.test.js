@@ -0,0 +1,165 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { findLedgerRowForCharge, applyPaymentReversal, postDisputeFees, releaseCampaignHold } = require('../lib/paymentReversals');
+
+// A £100 advertiser payment pooled as $125
+const GBP_PAYMENT = {
+  id: '31',
+  source_type: 'advertiser',
+  source_id: '9',
+  amount: '125.00',
+  original_amount: '100.00',
+  currency: 'gbp',
+  fx_rate: '1.25',
+  fx_rate_id: 4,
+  week_start: '2026-10-12',
+  cause_category: null
+};
+
+const charge = (overrides = {}) => ({ id: 'ch_1', payment_intent: 'pi_1', amount: 10000, ...overrides });
+
+// Pool whose client answers applyPaymentReversal's statements from a script and records them in order
+function reversalPool({
+  ledgerRow = GBP_PAYMENT,
+  reversed = { reversed: '0', reversed_pooled: '0' },
+  duplicate = false,
+  finalized = false,
+  dispute = null
+} = {}) {
+  const statements = [];
+  let connected = false;
+  const answer = (text, params) => {
+    const sql = text.replace(/\s+/g, ' ').trim();
+    statements.push({ sql, params });
+    if (/FROM donation_ledger dl/.test(sql)) return { rows: ledgerRow ? [ledgerRow] : [] };
+    if (/AS reversed_pooled/.test(sql)) return { rows: [reversed] };
+    if (/FROM payment_reversals WHERE kind = 'dispute'/.test(sql)) return { rows: dispute ? [dispute] : [] };
+    if (/^INSERT INTO donation_ledger/.test(sql)) return { rows: duplicate ? [] : [{ id: '32' }] };
+    if (/^UPDATE weekly_donation_pool/.test(sql)) return { rows: [{ finalized_at: finalized ? new Date() : null }] };
+    if (/INSERT INTO journal_entries/.test(sql)) return { rows: [{ id: 70 }] };
+    if (/^UPDATE advertisers/.test(sql)) return { rows: [], rowCount: 1 };
+    if (/^UPDATE transfer_intents/.test(sql)) return { rows: [{ id: '8' }, { id: '9' }] };
+    if (/^INSERT INTO payment_reversals/.test(sql)) return { rows: [{ id: 3 }] };
+    return { rows: [], rowCount: 0 };
+  };
+  return {
+    statements,
+    connected: () => connected,
+    find: pattern => statements.find(s => pattern.test(s.sql)),
+    query: async (text, params) => answer(text, params),
+    connect: async () => {
+      connected = true;
+      return { query: async (text, params) => answer(text, params), release: () => {} };
+    }
+  };
+}
+
+test('findLedgerRowForCharge looks the payment up by invoice and PaymentIntent', async () => {
+  const pool = reversalPool();
+  assert.equal(await findLedgerRowForCharge(pool, charge({ invoice: { id: 'in_1' } })), GBP_PAYMENT);
+  assert.deepEqual(pool.statements[0].params, [['in_1', 'pi_1']]);
+  assert.equal(await findLedgerRowForCharge(reversalPool(), { id: 'ch_2' }), null);
+});
+
+test('a full refund takes out exactly what the payment pooled and holds the campaign', async t => {
+  t.mock.method(console, 'log', () => {});
+  const pool = reversalPool();
+  const result = await applyPaymentReversal(pool, { kind: 'refund', stripeObjectId: 're_1', charge: charge(), amountCents: 10000 });
+  assert.deepEqual(result, { applied: true, reversalId: 3, weekFinalized: false, campaignHeld: true, transferIntentHeld: null });
+
+  const ledger = pool.find(/^INSERT INTO donation_ledger/).params;
+  assert.deepEqual([ledger[1], ledger[3], ledger[5], ledger[7]], ['refund:re_1', -125, '31', -100]);
+  assert.deepEqual(pool.find(/^UPDATE weekly_donation_pool/).params, ['2026-10-12', 125]);
+  assert.match(pool.find(/^UPDATE weekly_donation_pool/).sql, /advertiser_total = COALESCE\(advertiser_total, 0\) - \$2/);
+  assert.deepEqual(pool.find(/^UPDATE advertisers/).params, ['9', 'Payment refunded (re_1)']);
+  assert.equal(pool.find(/INSERT INTO journal_entries/).params[0], 'refund:re_1');
+  assert.equal(pool.statements[pool.statements.length - 1].sql, 'COMMIT');
+});
+
+test('only the net share of a taxed charge is refunded, at the original rate', async t => {
+  t.mock.method(console, 'log', () => {});
+  const pool = reversalPool();
+  // £120 charge = £100 net + £20 VAT; half of it is refunded
+  await applyPaymentReversal(pool, { kind: 'refund', stripeObjectId: 're_1', charge: charge({ amount: 12000 }), amountCents: 6000 });
+  const ledger = pool.find(/^INSERT INTO donation_ledger/).params;
+  assert.equal(ledger[7], -50);
+  assert.equal(ledger[3], -62.5);
+});
+
+test('refunds never reverse more than the payment put into the pool', async t => {
+  t.mock.method(console, 'log', () => {});
+  const partly = reversalPool({ reversed: { reversed: '80.00', reversed_pooled: '100.00' } });
+  await applyPaymentReversal(partly, { kind: 'refund', stripeObjectId: 're_2', charge: charge(), amountCents: 10000 });
+  const ledger = partly.find(/^INSERT INTO donation_ledger/).params;
+  assert.deepEqual([ledger[3], ledger[7]], [-25, -20]);
+
+  const fully = reversalPool({ reversed: { reversed: '100.00', reversed_pooled: '125.00' } });
+  const result = await applyPaymentReversal(fully, { kind: 'refund', stripeObjectId: 're_3', charge: charge(), amountCents: 10000 });
+  assert.deepEqual(result, { applied: false, reason: 'nothing_to_reverse' });
+  assert.equal(fully.statements[fully.statements.length - 1].sql, 'ROLLBACK');
+});
+
+test('a repeated Stripe object is applied once', async () => {
+  const pool = reversalPool({ duplicate: true });
+  const result = await applyPaymentReversal(pool, { kind: 'refund', stripeObjectId: 're_1', charge: charge(), amountCents: 10000 });
+  assert.deepEqual(result, { applied: false, reason: 'already_applied' });
+  assert.equal(pool.find(/^UPDATE weekly_donation_pool/), undefined);
+});
+
+test('a dispute after finalization flags the reversal and holds the unpaid transfer intents', async t => {
+  t.mock.method(console, 'log', () => {});
+  const pool = reversalPool({ finalized: true });
+  const result = await applyPaymentReversal(pool, { kind: 'dispute', stripeObjectId: 'dp_1', charge: charge(), amountCents: 10000 });
+  assert.equal(result.weekFinalized, true);
+  assert.equal(result.transferIntentHeld, '8, 9');
+  assert.equal(pool.find(/^UPDATE transfer_intents/).params[0], '2026-10-12');
+  const reversal = pool.find(/^INSERT INTO payment_reversals/).params;
+  assert.deepEqual([reversal[0], reversal[10], reversal[11]], ['dispute', true, '8, 9']);
+});
+
+test('a won dispute puts the disputed amount back without a new hold', async t => {
+  t.mock.method(console, 'log', () => {});
+  const pool = reversalPool({
+    reversed: { reversed: '100.00', reversed_pooled: '125.00' },
+    dispute: { amount: '125.00', original_amount: '100.00' }
+  });
+  const result = await applyPaymentReversal(pool, { kind: 'dispute_won', stripeObjectId: 'dp_1', charge: charge(), amountCents: 10000 });
+  assert.equal(result.applied, true);
+  assert.equal(result.campaignHeld, false);
+  const ledger = pool.find(/^INSERT INTO donation_ledger/).params;
+  assert.deepEqual([ledger[1], ledger[3], ledger[7]], ['dispute_won:dp_1', 125, 100]);
+  assert.equal(pool.find(/^UPDATE advertisers/), undefined);
+
+  const unknown = await applyPaymentReversal(reversalPool(), { kind: 'dispute_won', stripeObjectId: 'dp_2', charge: charge(), amountCents: 10000 });
+  assert.deepEqual(unknown, { applied: false, reason: 'dispute_not_applied' });
+});
+
+test('charges without a pooled payment are skipped before opening a transaction', async () => {
+  const missing = reversalPool({ ledgerRow: null });
+  assert.deepEqual(await applyPaymentReversal(missing, { kind: 'refund', stripeObjectId: 're_1', charge: charge(), amountCents: 100 }),
+    { applied: false, reason: 'no_ledger_row' });
+  assert.equal(missing.connected(), false);
+
+  const unsupported = reversalPool({ ledgerRow: { ...GBP_PAYMENT, source_type: 'grant' } });
+  assert.deepEqual(await applyPaymentReversal(unsupported, { kind: 'refund', stripeObjectId: 're_1', charge: charge(), amountCents: 100 }),
+    { applied: false, reason: 'unsupported_source_type:grant' });
+});
+
+test('postDisputeFees journals the fees of the dispute\'s balance transactions', async () => {
+  const pool = reversalPool();
+  await postDisputeFees(pool, { id: 'dp_1', charge: 'ch_1', balance_transactions: [{ fee: 1500 }, { fee: 0 }] });
+  const entry = pool.find(/INSERT INTO journal_entries/);
+  assert.equal(entry.params[0], 'dispute_fee:dp_1');
+  assert.deepEqual(JSON.parse(entry.params[6]).map(l => [l.account_code, l.debit, l.credit]),
+    [['stripe_fees', 15, 0], ['stripe_balance', 0, 15]]);
+
+  assert.deepEqual(await postDisputeFees(reversalPool(), { id: 'dp_2', balance_transactions: [] }), { posted: false, entryId: null });
+});
+
+test('releaseCampaignHold un-pauses advertisers and skips sources without campaigns', async () => {
+  const pool = reversalPool();
+  assert.equal(await releaseCampaignHold(pool, 'advertiser', 9), true);
+  assert.deepEqual(pool.statements[0].params, ['9']);
+  assert.equal(await releaseCampaignHold(pool, 'direct_donation', 4), false);
+  assert.equal(pool.statements.length, 1);
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const {
+  issuePlayToken,
+  verifyPlayToken,
+  startPlayToken,
+  redeemPlayToken,
+  VIDEO_MIN_WATCH_SECONDS,
+  IMAGE_MIN_DISPLAY_SECONDS
+} = require('../lib/playTokens');
+
+// Same fallback chain as lib/playTokens.js
+const SECRET = process.env.PLAY_TOKEN_SECRET || process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production';
+
+const slot = { userId: 5, advertiserId: 9, filename: 'ad.mp4' };
+
+// Answers the redeem UPDATE and the follow-up lookup from a script
+function tokenDb({ redeemed = false, existing = null } = {}) {
+  const queries = [];
+  return {
+    queries,
+    query: async (text, params) => {
+      queries.push({ text, params });
+      if (/UPDATE impression_play_tokens/.test(text)) return { rows: redeemed ? [{ jti: params[0] }] : [] };
+      if (/SELECT redeemed_at/.test(text)) return { rows: existing ? [existing] : [] };
+      return { rows: [] };
+    }
+  };
+}
+
+test('issued tokens carry the slot bindings and the minimum watch time', () => {
+  const video = verifyPlayToken(issuePlayToken(slot), slot);
+  assert.equal(video.ok, true);
+  assert.equal(video.claims.typ, 'play');
+  assert.equal(video.claims.aid, 9);
+  assert.equal(video.claims.mw, VIDEO_MIN_WATCH_SECONDS);
+  assert.ok(video.claims.jti);
+
+  const image = verifyPlayToken(issuePlayToken({ ...slot, advertiserId: '9', filename: 'ad.png', kind: 'image' }));
+  assert.equal(image.claims.aid, 9);
+  assert.equal(image.claims.mw, IMAGE_MIN_DISPLAY_SECONDS);
+});
+
+test('each issued token has its own jti', () => {
+  const first = verifyPlayToken(issuePlayToken(slot)).claims.jti;
+  const second = verifyPlayToken(issuePlayToken(slot)).claims.jti;
+  assert.notEqual(first, second);
+});
+
+test('verifyPlayToken rejects tokens bound to another viewer, advertiser or creative', () => {
+  const token = issuePlayToken(slot);
+  assert.equal(verifyPlayToken(token, { ...slot, userId: 6 }).reason, 'viewer_mismatch');
+  assert.equal(verifyPlayToken(token, { ...slot, advertiserId: 10 }).reason, 'advertiser_mismatch');
+  assert.equal(verifyPlayToken(token, { ...slot, filename: 'other.mp4' }).reason, 'filename_mismatch');
+  assert.equal(verifyPlayToken(token, { ...slot, userId: '5', advertiserId: '9' }).ok, true);
+});
+
+test('verifyPlayToken rejects missing, forged and expired tokens', () => {
+  assert.equal(verifyPlayToken(undefined).reason, 'missing_token');
+  assert.equal(verifyPlayToken(42).reason, 'missing_token');
+  assert.equal(verifyPlayToken('not-a-jwt').reason, 'invalid_signature');
+
+  const forged = jwt.sign({ typ: 'play', uid: 5, aid: 9, fn: 'ad.mp4', mw: 0 }, 'another-secret', { jwtid: 'x' });
+  assert.equal(verifyPlayToken(forged).reason, 'invalid_signature');
+
+  const claims = verifyPlayToken(issuePlayToken(slot)).claims;
+  const { exp, iat, ...payload } = claims;
+  const expired = jwt.sign({ ...payload, exp: Math.floor(Date.now() / 1000) - 60 }, SECRET);
+  const result = verifyPlayToken(expired, slot);
+  assert.equal(result.reason, 'expired_token');
+  assert.equal(result.claims.jti, claims.jti);
+});
+
+test('verifyPlayToken rejects signed tokens that are not play tokens', () => {
+  const session = jwt.sign({ userId: 5 }, SECRET, { jwtid: 'session' });
+  assert.equal(verifyPlayToken(session).reason, 'invalid_signature');
+  const withoutJti = jwt.sign({ typ: 'play', uid: 5, aid: 9, fn: 'ad.mp4', mw: 10 }, SECRET);
+  assert.equal(verifyPlayToken(withoutJti).reason, 'invalid_signature');
+});
+
+test('startPlayToken records the token once, keeping the original start', async () => {
+  const db = tokenDb();
+  const { claims } = verifyPlayToken(issuePlayToken(slot));
+  await startPlayToken(db, claims);
+  assert.match(db.queries[0].text, /ON CONFLICT \(jti\) DO NOTHING/);
+  assert.deepEqual(db.queries[0].params, [claims.jti, 5, 9, 'ad.mp4', claims.iat, VIDEO_MIN_WATCH_SECONDS]);
+});
+
+test('redeemPlayToken explains why a token could not be redeemed', async () => {
+  const { claims } = verifyPlayToken(issuePlayToken(slot));
+  assert.deepEqual(await redeemPlayToken(tokenDb({ redeemed: true }), claims), { ok: true });
+  assert.deepEqual(await redeemPlayToken(tokenDb(), claims), { ok: false, reason: 'not_started' });
+  assert.deepEqual(await redeemPlayToken(tokenDb({ existing: { redeemed_at: new Date() } }), claims), { ok: false, reason: 'replayed_token' });
+  assert.deepEqual(await redeemPlayToken(tokenDb({ existing: { redeemed_at: null } }), claims), { ok: false, reason: 'too_early' });
+});
+
+test('a redeemed token does not need the follow-up lookup', async () => {
+  const db = tokenDb({ redeemed: true });
+  const { claims } = verifyPlayToken(issuePlayToken(slot));
+  await redeemPlayToken(db, claims);
+  assert.equal(db.queries.length, 1);
+  assert.deepEqual(db.queries[0].params, [claims.jti, 5]);
+});
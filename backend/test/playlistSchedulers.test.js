@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  buildPlaylist,
+  buildWeightedRotation,
+  isPerViewerScheduler,
+  resolveSchedulerName,
+  SCHEDULERS,
+  DEFAULT_SCHEDULER_OPTIONS
+} = require('../lib/playlistSchedulers');
+
+const advertisers = [1, 2, 3].map(id => ({ advertiserId: id, videoUrl: `ad-${id}.mp4` }));
+const sponsors = [
+  { sponsorCampaignId: 'b', tier: 'bronze' },
+  { sponsorCampaignId: 's', tier: 'silver' },
+  { sponsorCampaignId: 'g', tier: 'gold' },
+  { sponsorCampaignId: 'd', tier: 'diamond' }
+];
+
+const isSponsor = item => item.sponsorCampaignId !== undefined;
+const count = (items, match) => items.filter(match).length;
+
+// Longest run of consecutive sponsors and the most sponsors in any window of the given size
+function sponsorRuns(playlist, windowSize) {
+  let streak = 0;
+  let maxStreak = 0;
+  let maxInWindow = 0;
+  playlist.forEach((item, i) => {
+    streak = isSponsor(item) ? streak + 1 : 0;
+    maxStreak = Math.max(maxStreak, streak);
+    maxInWindow = Math.max(maxInWindow, count(playlist.slice(Math.max(0, i - windowSize + 1), i + 1), isSponsor));
+  });
+  return { maxStreak, maxInWindow };
+}
+
+test('every scheduler keeps the shared slot rules', () => {
+  for (const name of Object.keys(SCHEDULERS)) {
+    const playlist = buildPlaylist(name, advertisers, sponsors, { seed: 'viewer:5' });
+    const { maxStreak, maxInWindow } = sponsorRuns(playlist, DEFAULT_SCHEDULER_OPTIONS.windowSize);
+    assert.equal(playlist.length, DEFAULT_SCHEDULER_OPTIONS.minLength, name);
+    assert.ok(maxStreak <= DEFAULT_SCHEDULER_OPTIONS.maxSponsorStreak, name);
+    assert.ok(maxInWindow <= DEFAULT_SCHEDULER_OPTIONS.maxSponsorsInWindow, name);
+  }
+});
+
+test('playlists grow with the number of advertisers', () => {
+  const many = Array.from({ length: 20 }, (_, i) => ({ advertiserId: i + 1 }));
+  const playlist = buildPlaylist('round_robin', many, sponsors);
+  assert.equal(playlist.length, 20 * DEFAULT_SCHEDULER_OPTIONS.lengthPerAdvertiser);
+});
+
+test('without sponsors or advertisers the other list is returned as is', () => {
+  assert.deepEqual(buildPlaylist('engagement_balanced', advertisers, []), advertisers);
+  assert.deepEqual(buildPlaylist('round_robin', [], sponsors), sponsors);
+});
+
+test('engagement_balanced rotates sponsor tiers 1:2:3:4', () => {
+  const playlist = buildPlaylist('engagement_balanced', advertisers, sponsors, { minLength: 100 });
+  const tiers = playlist.filter(isSponsor).map(s => s.tier);
+  const cycle = ['bronze', 'silver', 'silver', 'gold', 'gold', 'gold', 'diamond', 'diamond', 'diamond', 'diamond'];
+  assert.deepEqual(tiers.slice(0, 20), [...cycle, ...cycle]);
+});
+
+test('engagement_balanced skips empty tiers and treats unknown tiers as bronze', () => {
+  const playlist = buildPlaylist('engagement_balanced', advertisers, [{ sponsorCampaignId: 'x', tier: 'platinum' }]);
+  assert.ok(count(playlist, isSponsor) > 0);
+  assert.ok(playlist.filter(isSponsor).every(s => s.sponsorCampaignId === 'x'));
+});
+
+test('budget_paced gives advertisers slots in proportion to their pacing weight', () => {
+  const options = { advertiserWeights: { 1: 3, 2: 1 }, minLength: 100 };
+  const playlist = buildPlaylist('budget_paced', advertisers, [], options);
+  assert.equal(playlist.length, 100);
+  const slots = id => count(playlist, a => a.advertiserId === id);
+  // advertiser 3 is unlisted and gets weight 1
+  assert.equal(slots(1), 60);
+  assert.equal(slots(2), 20);
+  assert.equal(slots(3), 20);
+});
+
+test('budget_paced spreads a campaign evenly instead of bunching its slots', () => {
+  const playlist = buildPlaylist('budget_paced', advertisers.slice(0, 2), [], { advertiserWeights: { 1: 1, 2: 1 } });
+  for (let i = 1; i < playlist.length; i++) {
+    assert.notEqual(playlist[i].advertiserId, playlist[i - 1].advertiserId);
+  }
+});
+
+test('weighted_random is stable per viewer and differs between viewers', () => {
+  const first = buildPlaylist('weighted_random', advertisers, sponsors, { seed: 'viewer:5' });
+  const again = buildPlaylist('weighted_random', advertisers, sponsors, { seed: 'viewer:5' });
+  const other = buildPlaylist('weighted_random', advertisers, sponsors, { seed: 'viewer:6' });
+  assert.deepEqual(first, again);
+  assert.notDeepEqual(first, other);
+  assert.equal(isPerViewerScheduler('weighted_random'), true);
+  assert.equal(isPerViewerScheduler('budget_paced'), false);
+});
+
+test('unknown scheduler names fall back to engagement_balanced', t => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  assert.equal(resolveSchedulerName('fastest'), 'engagement_balanced');
+  assert.equal(warn.mock.callCount(), 1);
+  assert.equal(resolveSchedulerName(undefined), 'engagement_balanced');
+  assert.equal(warn.mock.callCount(), 1);
+  assert.deepEqual(buildPlaylist('fastest', advertisers, sponsors), buildPlaylist('engagement_balanced', advertisers, sponsors));
+});
+
+test('buildWeightedRotation leaves out items without weight', () => {
+  const rotation = buildWeightedRotation(['a', 'b', 'c'], item => ({ a: 2, b: 1, c: 0 })[item], 6);
+  assert.deepEqual(rotation, ['a', 'b', 'a', 'a', 'b', 'a']);
+  assert.deepEqual(buildWeightedRotation([], () => 1, 6), []);
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { activateExpeditedCampaign } = require('../scripts/process-expedited-advertisers');
+
+// A pg client over an in-memory advertisers / creatives pair: writes inside BEGIN are only kept on COMMIT
+function approvalClient({ failOn = null } = {}) {
+  const committed = { advertisers: {}, creatives: [] };
+  const statements = [];
+  let pending = null;
+  return {
+    committed,
+    statements,
+    query: async (text, params = []) => {
+      const sql = text.replace(/\s+/g, ' ').trim();
+      statements.push(sql);
+      if (failOn && failOn.test(sql)) throw new Error('relation "creatives" does not exist');
+      if (sql === 'BEGIN') {
+        pending = { advertisers: {}, creatives: [] };
+      } else if (sql === 'COMMIT') {
+        Object.assign(committed.advertisers, pending.advertisers);
+        committed.creatives.push(...pending.creatives);
+        pending = null;
+      } else if (sql === 'ROLLBACK') {
+        pending = null;
+      } else if (sql.startsWith('UPDATE advertisers')) {
+        (pending || committed).advertisers[params[0]] = { status: 'active', video_filename: params[1], media_r2_link: params[2] };
+        return { rows: [], rowCount: 1 };
+      } else if (sql.startsWith('INSERT INTO creatives')) {
+        const row = { id: 77, r2_bucket: params[0], r2_key: params[1], creative_type: params[2], status: params[3], advertiser_id: params[4] };
+        (pending || committed).creatives.push(row);
+        return { rows: [row] };
+      } else if (sql.startsWith('SELECT click_tracking')) {
+        return { rows: [{ status: committed.advertisers[params[0]]?.status }] };
+      }
+      return { rows: [], rowCount: 0 };
+    }
+  };
+}
+
+// R2 that knows the copied object's metadata; downloads fail, so media processing records a failure
+const r2 = {
+  send: async command => {
+    if (command.constructor.name === 'HeadObjectCommand') {
+      return { ContentType: command.input.Key.endsWith('.mp4') ? 'video/mp4' : 'image/png', ContentLength: 2048, ETag: '"abc123"' };
+    }
+    throw Object.assign(new Error('The specified key does not exist.'), { name: 'NoSuchKey' });
+  }
+};
+
+const advertiser = adFormat => ({ id: 12, company_name: 'Acme', ad_format: adFormat });
+const startDate = new Date('2026-10-12T07:00:00Z');
+
+test('an expedited approval commits the campaign together with an active creative', async () => {
+  const client = approvalClient();
+  const creative = await activateExpeditedCampaign(client, r2, {
+    advertiser: advertiser('static_image'),
+    standardizedFilename: 'image_12_1760000000000_abcd.png',
+    startDate
+  });
+
+  assert.equal(creative.status, 'active');
+  assert.deepEqual(client.committed.creatives, [{
+    id: 77,
+    r2_bucket: 'charity-stream-videos',
+    r2_key: 'image_12_1760000000000_abcd.png',
+    creative_type: 'image',
+    status: 'active',
+    advertiser_id: 12
+  }]);
+  assert.equal(client.committed.advertisers[12].status, 'active');
+  assert.equal(client.committed.advertisers[12].video_filename, 'image_12_1760000000000_abcd.png');
+  assert.ok(client.statements.some(sql => /^UPDATE creatives SET status = 'retired'/.test(sql)), 'older creatives are retired');
+});
+
+test('video creatives are processed after the approval commits', async () => {
+  const client = approvalClient();
+  await activateExpeditedCampaign(client, r2, {
+    advertiser: advertiser('video'),
+    standardizedFilename: 'video_12_1760000000000_abcd.mp4',
+    startDate
+  });
+  const commitAt = client.statements.indexOf('COMMIT');
+  const processingAt = client.statements.findIndex(sql => /media_status = 'processing'/.test(sql));
+  assert.ok(commitAt >= 0 && processingAt > commitAt);
+  assert.equal(client.committed.creatives[0].creative_type, 'video');
+});
+
+test('a campaign is not activated when its creative cannot be registered', async () => {
+  const client = approvalClient({ failOn: /^INSERT INTO creatives/ });
+  await assert.rejects(
+    activateExpeditedCampaign(client, r2, {
+      advertiser: advertiser('video'),
+      standardizedFilename: 'video_12_1760000000000_abcd.mp4',
+      startDate
+    }),
+    /does not exist/
+  );
+  assert.deepEqual(client.committed, { advertisers: {}, creatives: [] });
+  assert.equal(client.statements.at(-1), 'ROLLBACK');
+});
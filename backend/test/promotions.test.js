@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validatePromotionInput, quoteCampaignDiscount } = require('../lib/promotions');
+
+// quoteCampaignDiscount only reads the campaign's active redemption
+const redemptionDb = redemption => ({ query: async () => ({ rows: redemption ? [redemption] : [] }) });
+
+const percentOff = percent => ({
+  redemption_id: 7, code: 'WELCOME', description: 'First week off', kind: 'percent_off',
+  percent_off: String(percent), credit_remaining: null, weeks_remaining: 1, currency: null
+});
+const credit = amount => ({
+  redemption_id: 8, code: null, description: 'Goodwill credit', kind: 'credit',
+  percent_off: null, credit_remaining: String(amount), weeks_remaining: null, currency: 'usd'
+});
+
+function quote(redemption, grossAmount, minimumAmount = 0.5) {
+  return quoteCampaignDiscount(redemptionDb(redemption), { advertiserId: 1, currency: 'usd', grossAmount, minimumAmount });
+}
+
+test('validatePromotionInput caps percent off at 100 and requires a positive credit', () => {
+  const base = { code: 'spring-24', description: 'Spring' };
+  assert.equal(validatePromotionInput({ ...base, kind: 'percent_off', percentOff: 101 }).ok, false);
+  assert.equal(validatePromotionInput({ ...base, kind: 'percent_off', percentOff: 0 }).ok, false);
+  assert.equal(validatePromotionInput({ ...base, kind: 'credit', creditAmount: -5, currency: 'usd' }).ok, false);
+
+  const valid = validatePromotionInput({ ...base, kind: 'percent_off', percentOff: '12.345', durationWeeks: 2 });
+  assert.equal(valid.ok, true);
+  assert.equal(valid.promotion.code, 'SPRING-24');
+  assert.equal(valid.promotion.percentOff, 12.35);
+});
+
+test('a discount never exceeds the subtotal and the net never goes below zero', async () => {
+  const redemptions = [percentOff(100), percentOff(99.99), percentOff(33.33), percentOff(0.01), credit(5000), credit(12.34), credit(0.01)];
+  for (const redemption of redemptions) {
+    for (const gross of [0.5, 0.51, 0.99, 1, 12.34, 12.35, 100, 999.99]) {
+      const discount = await quote(redemption, gross);
+      const label = `${redemption.kind} ${redemption.percent_off ?? redemption.credit_remaining} on ${gross}`;
+      assert.ok(discount.amount >= 0 && discount.amount <= gross, label);
+      assert.ok(discount.netAmount >= 0, label);
+      assert.equal(Math.round(discount.amount * 100) + Math.round(discount.netAmount * 100), Math.round(gross * 100), label);
+    }
+  }
+});
+
+test('a discount leaves the Stripe minimum rather than a smaller net amount', async () => {
+  const trimmed = await quote(percentOff(90), 1);
+  assert.deepEqual([trimmed.amount, trimmed.netAmount], [0.5, 0.5]);
+
+  const covered = await quote(credit(50), 20);
+  assert.deepEqual([covered.amount, covered.netAmount], [20, 0]);
+
+  const tooSmall = await quote(credit(0.3), 0.6);
+  assert.deepEqual([tooSmall.amount, tooSmall.netAmount, tooSmall.redemptionId], [0.1, 0.5, 8]);
+});
+
+test('a credit only covers what is left of it', async () => {
+  const discount = await quote(credit(12.34), 100);
+  assert.deepEqual([discount.amount, discount.netAmount], [12.34, 87.66]);
+  assert.equal(discount.description, 'Goodwill credit');
+});
+
+test('no active redemption means no discount', async () => {
+  const discount = await quote(null, 25);
+  assert.deepEqual(discount, { amount: 0, netAmount: 25, redemptionId: null, promotionCode: null, description: null });
+});
@@ -0,0 +1,137 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEventDb, isLedgerWrite, processStripeEventOnce, eventDb } = require('../lib/stripeEvents');
+
+function pgError(message, code) {
+  return Object.assign(new Error(message), { code });
+}
+
+// A pg client that records every statement; statements matching `failures` throw the paired error
+function recordingClient(failures = []) {
+  const statements = [];
+  return {
+    statements,
+    released: false,
+    query: async (text, params) => {
+      const sql = typeof text === 'string' ? text : text.text;
+      statements.push(sql.replace(/\s+/g, ' ').trim());
+      const failure = failures.find(([pattern]) => pattern.test(sql));
+      if (failure) throw failure[1];
+      if (/SELECT status FROM stripe_events/.test(sql)) return { rows: [{ status: 'received' }] };
+      return { rows: [], rowCount: 1 };
+    },
+    release() { this.released = true; }
+  };
+}
+
+function recordingPool(client) {
+  const queries = [];
+  return {
+    queries,
+    connect: async () => client,
+    query: async (text, params) => {
+      queries.push({ text: text.replace(/\s+/g, ' ').trim(), params });
+      return { rows: [] };
+    }
+  };
+}
+
+test('isLedgerWrite matches writes to the ledger, pool and journal only', () => {
+  assert.equal(isLedgerWrite('INSERT INTO donation_ledger (source_type) VALUES ($1)'), true);
+  assert.equal(isLedgerWrite({ text: '  update weekly_donation_pool set sponsor_total = 1' }), true);
+  assert.equal(isLedgerWrite('WITH entry AS (INSERT INTO journal_entries (entry_key) VALUES ($1) RETURNING id) SELECT id FROM entry'), true);
+  assert.equal(isLedgerWrite('DELETE FROM journal_lines WHERE entry_id = $1'), true);
+  assert.equal(isLedgerWrite('SELECT * FROM donation_ledger'), false);
+  assert.equal(isLedgerWrite('SELECT * FROM weekly_donation_pool FOR UPDATE'), false);
+  assert.equal(isLedgerWrite('INSERT INTO sponsor_donations (amount_cents) VALUES ($1)'), false);
+  assert.equal(isLedgerWrite('UPDATE advertisers SET status = $1'), false);
+});
+
+test('each statement runs under its own savepoint', async () => {
+  const client = recordingClient([[/FROM missing_table/, pgError('relation does not exist', '42P01')]]);
+  const { eventDb: db } = createEventDb(client, recordingPool(client));
+  await db.query('SELECT 1');
+  await assert.rejects(db.query('SELECT * FROM missing_table'), /does not exist/);
+  assert.deepEqual(client.statements, [
+    'SAVEPOINT stmt_1', 'SELECT 1', 'RELEASE SAVEPOINT stmt_1',
+    'SAVEPOINT stmt_2', 'SELECT * FROM missing_table', 'ROLLBACK TO SAVEPOINT stmt_2', 'RELEASE SAVEPOINT stmt_2'
+  ]);
+});
+
+test('a nested BEGIN / COMMIT / ROLLBACK becomes a savepoint', async () => {
+  const client = recordingClient();
+  const { eventDb: db } = createEventDb(client, recordingPool(client));
+  const nested = await db.connect();
+  await nested.query('BEGIN');
+  await nested.query('UPDATE advertisers SET status = $1', ['active']);
+  await nested.query('COMMIT;');
+  const other = await db.connect();
+  await other.query('begin');
+  await other.query('ROLLBACK');
+  other.release();
+  assert.deepEqual(client.statements, [
+    'SAVEPOINT nested_1',
+    'SAVEPOINT stmt_2', 'UPDATE advertisers SET status = $1', 'RELEASE SAVEPOINT stmt_2',
+    'RELEASE SAVEPOINT nested_1',
+    'SAVEPOINT nested_3',
+    'ROLLBACK TO SAVEPOINT nested_3'
+  ]);
+  assert.equal(client.released, false, 'the event client stays with the event');
+});
+
+test('queries after the event finished go to the pool', async () => {
+  const client = recordingClient();
+  const pool = recordingPool(client);
+  const { eventDb: db, finish } = createEventDb(client, pool);
+  await finish();
+  await db.query('SELECT 2');
+  assert.deepEqual(client.statements, []);
+  assert.deepEqual(pool.queries.map(q => q.text), ['SELECT 2']);
+});
+
+test('only failed ledger writes other than unique violations are remembered', async () => {
+  const duplicate = pgError('duplicate key', '23505');
+  const broken = pgError('value too long', '22001');
+  const client = recordingClient([
+    [/INSERT INTO sponsor_donations/, broken],
+    [/INSERT INTO donation_ledger .*'dup'/, duplicate],
+    [/UPDATE weekly_donation_pool/, broken]
+  ]);
+  const { eventDb: db, failedWrite } = createEventDb(client, recordingPool(client));
+  await db.query('INSERT INTO sponsor_donations (amount_cents) VALUES (1)').catch(() => {});
+  await db.query("INSERT INTO donation_ledger (source_id) VALUES ('dup')").catch(() => {});
+  assert.equal(failedWrite(), null);
+  await db.query('UPDATE weekly_donation_pool SET sponsor_total = sponsor_total + 1').catch(() => {});
+  assert.equal(failedWrite(), broken);
+});
+
+test('an event whose handler swallowed a failed ledger write rolls back and is marked failed', async () => {
+  const client = recordingClient([[/INSERT INTO donation_ledger/, pgError('numeric field overflow', '22003')]]);
+  const pool = recordingPool(client);
+  const event = { id: 'evt_1', type: 'invoice.paid' };
+
+  await assert.rejects(
+    processStripeEventOnce(pool, event, async () => {
+      await eventDb().query('INSERT INTO donation_ledger (amount) VALUES (1e20)').catch(() => {});
+    }),
+    /Ledger write failed while processing the event: numeric field overflow/
+  );
+  assert.equal(client.statements.at(-1), 'ROLLBACK');
+  assert.ok(!client.statements.includes('COMMIT'));
+  assert.equal(client.released, true);
+  assert.match(pool.queries[0].text, /SET status = 'failed'/);
+  assert.deepEqual(pool.queries[0].params[0], 'evt_1');
+});
+
+test('an event whose handler caught a failed non-ledger write still commits', async () => {
+  const client = recordingClient([[/UPDATE advertisers/, pgError('deadlock detected', '40P01')]]);
+  const pool = recordingPool(client);
+  const result = await processStripeEventOnce(pool, { id: 'evt_2', type: 'charge.succeeded' }, async () => {
+    await eventDb().query('UPDATE advertisers SET status = $1', ['active']).catch(() => {});
+    await eventDb().query('INSERT INTO donation_ledger (amount) VALUES (1)');
+  });
+  assert.deepEqual(result, { status: 'processed' });
+  assert.equal(client.statements.at(-1), 'COMMIT');
+  assert.ok(client.statements.some(s => /SET status = 'processed'/.test(s)));
+  assert.equal(eventDb(), null);
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateTaxDetails, quoteTax, invoiceTaxCents } = require('../lib/tax');
+
+// The local provider reads a single tax_rules row
+const rulesDb = rule => ({ query: async () => ({ rows: rule ? [rule] : [] }) });
+
+const germanCustomer = taxIdValidated => ({
+  address: { country: 'DE', state: null },
+  taxId: { type: 'eu_vat', value: 'DE123456789' },
+  taxIdValidated
+});
+const vat = { country: 'DE', region: null, tax_name: 'VAT', rate_percent: '19.00', reverse_charge: true };
+
+test('validateTaxDetails normalizes the address and tax ID', () => {
+  const result = validateTaxDetails({
+    billingAddress: { line1: ' 1 Main St ', city: 'Austin', state: 'tx', postalCode: '78701', country: 'us' },
+    taxId: { type: 'us_ein', value: '12 3456789' }
+  });
+  assert.deepEqual(result, {
+    ok: true,
+    address: { line1: '1 Main St', line2: null, city: 'Austin', state: 'TX', postalCode: '78701', country: 'US' },
+    taxId: { type: 'us_ein', value: '12-3456789' }
+  });
+});
+
+test('validateTaxDetails rejects incomplete addresses and mismatched tax IDs', () => {
+  const berlin = { line1: 'Unter den Linden 1', city: 'Berlin', country: 'DE' };
+  assert.equal(validateTaxDetails({ billingAddress: { ...berlin, country: 'D1' } }).ok, false);
+  assert.equal(validateTaxDetails({ billingAddress: { ...berlin, line1: '' } }).ok, false);
+  assert.equal(validateTaxDetails({ billingAddress: { line1: '1 Main St', city: 'Austin', state: 'TX', country: 'US' } }).ok, false);
+  assert.equal(validateTaxDetails({ billingAddress: berlin, taxId: { type: 'eu_vat', value: 'FR12345678901' } }).ok, false);
+  assert.equal(validateTaxDetails({ billingAddress: berlin, taxId: { type: 'gb_vat', value: 'GB123456789' } }).ok, false);
+  assert.deepEqual(validateTaxDetails({ billingAddress: berlin, taxId: { type: 'eu_vat', value: 'de 123.456.789' } }).taxId,
+    { type: 'eu_vat', value: 'DE123456789' });
+});
+
+test('quoteTax rounds the tax to the cent of the net amount', async () => {
+  const quote = await quoteTax(rulesDb(vat), { customer: germanCustomer(false), amountCents: 1999, currency: 'eur' });
+  assert.equal(quote.taxCents, 380);
+  assert.equal(quote.ratePercent, 19);
+  assert.equal(quote.label, 'VAT 19% (DE)');
+  assert.equal(quote.reverseCharge, false);
+});
+
+test('quoteTax charges nothing under reverse charge or without a rule', async () => {
+  const reverse = await quoteTax(rulesDb(vat), { customer: germanCustomer(true), amountCents: 100000, currency: 'eur' });
+  assert.equal(reverse.taxCents, 0);
+  assert.equal(reverse.reverseCharge, true);
+  assert.equal(reverse.label, 'VAT reverse charge 0% (DE)');
+
+  const noRule = await quoteTax(rulesDb(null), { customer: germanCustomer(false), amountCents: 100000, currency: 'eur' });
+  assert.equal(noRule.taxCents, 0);
+  assert.equal(noRule.label, null);
+
+  const noAddress = await quoteTax(rulesDb(vat), { customer: { address: null }, amountCents: 100000, currency: 'eur' });
+  assert.equal(noAddress.taxCents, 0);
+});
+
+test('invoiceTaxCents reads current and older Stripe invoice fields', () => {
+  assert.equal(invoiceTaxCents({ total_taxes: [{ amount: 190 }, { amount: 70 }] }), 260);
+  assert.equal(invoiceTaxCents({ total_tax_amounts: [{ amount: 125 }] }), 125);
+  assert.equal(invoiceTaxCents({ tax: 42 }), 42);
+  assert.equal(invoiceTaxCents(null), 0);
+});
@@ -183,6 +183,7 @@ const DashboardLayout: React.FC = () => {
           onClose={() => setIsBudgetModalOpen(false)} 
           campaignName={dashboardData.campaignTitle}
           currentBudget={dashboardData.weeklyBudgetCap}
+          currency={dashboardData.currency}
           campaignId={activeCampaignId}
           onSuccess={() => {
             refreshDashboard(activeCampaignId);
@@ -193,6 +194,7 @@ const DashboardLayout: React.FC = () => {
         <VideoPlayerModal
           isOpen={showCreativeModal}
           videoUrl={dashboardData?.creativeUrl || null}
+          posterUrl={dashboardData?.creativePosterUrl || null}
           onClose={() => setShowCreativeModal(false)}
           adFormat={dashboardData?.adFormat}
         />
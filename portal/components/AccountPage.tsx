@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { User, Eye, EyeOff } from 'lucide-react';
+import { User, Eye, EyeOff, Receipt } from 'lucide-react';
 import Footer from './Footer';
 import { Page } from '../types';
 
@@ -7,12 +7,37 @@ interface AccountPageProps {
   onNavigate: (page: Page) => void;
 }
 
+interface BillingAddress {
+  line1: string | null;
+  line2: string | null;
+  city: string | null;
+  state: string | null;
+  postalCode: string | null;
+  country: string | null;
+}
+
+interface TaxId {
+  type: 'eu_vat' | 'gb_vat' | 'us_ein';
+  value: string;
+  validated: boolean;
+}
+
 interface AccountData {
   companyName: string | null;
   email: string | null;
   phoneNumber: string | null;
+  billingAddress: BillingAddress | null;
+  taxId: TaxId | null;
 }
 
+const EMPTY_ADDRESS: BillingAddress = { line1: '', line2: '', city: '', state: '', postalCode: '', country: '' };
+
+const TAX_ID_TYPES: { value: TaxId['type']; label: string }[] = [
+  { value: 'eu_vat', label: 'EU VAT number' },
+  { value: 'gb_vat', label: 'UK VAT number' },
+  { value: 'us_ein', label: 'US EIN' }
+];
+
 const AccountPage: React.FC<AccountPageProps> = ({ onNavigate }) => {
   const [accountData, setAccountData] = useState<AccountData | null>(null);
   const [loading, setLoading] = useState(true);
@@ -21,6 +46,14 @@ const AccountPage: React.FC<AccountPageProps> = ({ onNavigate }) => {
   const [isEditingPhone, setIsEditingPhone] = useState(false);
   const [isSavingPhone, setIsSavingPhone] = useState(false);
 
+  // Billing address and tax ID: sales tax / VAT on invoices is worked out from these
+  const [billingAddress, setBillingAddress] = useState<BillingAddress>(EMPTY_ADDRESS);
+  const [taxIdType, setTaxIdType] = useState<TaxId['type']>('eu_vat');
+  const [taxIdValue, setTaxIdValue] = useState('');
+  const [isSavingTax, setIsSavingTax] = useState(false);
+  const [taxError, setTaxError] = useState<string | null>(null);
+  const [taxSaved, setTaxSaved] = useState(false);
+
   const [showPasswordModal, setShowPasswordModal] = useState(false);
   const [currentPassword, setCurrentPassword] = useState('');
   const [newPassword, setNewPassword] = useState('');
@@ -56,6 +89,11 @@ const AccountPage: React.FC<AccountPageProps> = ({ onNavigate }) => {
         const data = await response.json();
         setAccountData(data);
         setPhoneNumber(data.phoneNumber || '');
+        setBillingAddress({ ...EMPTY_ADDRESS, ...data.billingAddress });
+        if (data.taxId) {
+          setTaxIdType(data.taxId.type);
+          setTaxIdValue(data.taxId.value);
+        }
       } catch (err) {
         console.error('Error fetching account data:', err);
         setError(err instanceof Error ? err.message : 'Failed to load account information');
@@ -119,6 +157,43 @@ const AccountPage: React.FC<AccountPageProps> = ({ onNavigate }) => {
     setPhoneNumber(e.target.value);
   };
 
+  const handleAddressChange = (field: keyof BillingAddress) => (e: React.ChangeEvent<HTMLInputElement>) => {
+    setBillingAddress(prev => ({ ...prev, [field]: e.target.value }));
+    setTaxSaved(false);
+  };
+
+  const handleTaxDetailsSave = async () => {
+    setTaxError(null);
+    setTaxSaved(false);
+    try {
+      setIsSavingTax(true);
+      const response = await fetch('/api/advertiser/tax-details', {
+        method: 'PUT',
+        headers: getAuthHeaders(),
+        body: JSON.stringify({
+          billingAddress,
+          taxId: taxIdValue.trim() ? { type: taxIdType, value: taxIdValue.trim() } : null
+        })
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        setTaxError(data.error || 'Failed to save billing details.');
+        return;
+      }
+
+      setAccountData(prev => prev ? { ...prev, billingAddress: data.billingAddress, taxId: data.taxId } : null);
+      setBillingAddress({ ...EMPTY_ADDRESS, ...data.billingAddress });
+      setTaxIdValue(data.taxId?.value || '');
+      setTaxSaved(true);
+    } catch (err) {
+      setTaxError('An unexpected error occurred. Please try again.');
+    } finally {
+      setIsSavingTax(false);
+    }
+  };
+
   const openPasswordModal = () => {
     setCurrentPassword('');
     setNewPassword('');
@@ -294,6 +369,121 @@ const AccountPage: React.FC<AccountPageProps> = ({ onNavigate }) => {
             </div>
           </div>
         </section>
+
+        {/* Billing Address & Tax ID Section */}
+        <section className="bg-container-light dark:bg-container-dark rounded-xl border border-border-light dark:border-border-dark p-6">
+          <h2 className="text-lg font-semibold mb-1 flex items-center gap-2 text-text-primary-light dark:text-text-primary-dark">
+            <Receipt className="w-5 h-5 text-primary" />
+            Billing Address &amp; Tax ID
+          </h2>
+          <p className="text-sm text-text-secondary-light dark:text-text-secondary-dark mb-4">
+            Sales tax or VAT on your invoices is based on this address. Businesses in the EU or UK with a valid VAT number are invoiced under reverse charge.
+          </p>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div className="md:col-span-2">
+              <label className="block text-sm font-medium text-text-secondary-light dark:text-text-secondary-dark mb-1">Address Line 1</label>
+              <input
+                type="text"
+                value={billingAddress.line1 || ''}
+                onChange={handleAddressChange('line1')}
+                placeholder="Street address"
+                className="w-full px-3 py-2 rounded-lg bg-background-light dark:bg-background-dark border border-border-light dark:border-border-dark text-text-primary-light dark:text-text-primary-dark outline-none focus:ring-2 focus:ring-primary/50"
+              />
+            </div>
+            <div className="md:col-span-2">
+              <label className="block text-sm font-medium text-text-secondary-light dark:text-text-secondary-dark mb-1">Address Line 2</label>
+              <input
+                type="text"
+                value={billingAddress.line2 || ''}
+                onChange={handleAddressChange('line2')}
+                placeholder="Suite, floor (optional)"
+                className="w-full px-3 py-2 rounded-lg bg-background-light dark:bg-background-dark border border-border-light dark:border-border-dark text-text-primary-light dark:text-text-primary-dark outline-none focus:ring-2 focus:ring-primary/50"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-text-secondary-light dark:text-text-secondary-dark mb-1">City</label>
+              <input
+                type="text"
+                value={billingAddress.city || ''}
+                onChange={handleAddressChange('city')}
+                placeholder="City"
+                className="w-full px-3 py-2 rounded-lg bg-background-light dark:bg-background-dark border border-border-light dark:border-border-dark text-text-primary-light dark:text-text-primary-dark outline-none focus:ring-2 focus:ring-primary/50"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-text-secondary-light dark:text-text-secondary-dark mb-1">State / Region</label>
+              <input
+                type="text"
+                value={billingAddress.state || ''}
+                onChange={handleAddressChange('state')}
+                placeholder="e.g. CA"
+                className="w-full px-3 py-2 rounded-lg bg-background-light dark:bg-background-dark border border-border-light dark:border-border-dark text-text-primary-light dark:text-text-primary-dark outline-none focus:ring-2 focus:ring-primary/50"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-text-secondary-light dark:text-text-secondary-dark mb-1">Postal Code</label>
+              <input
+                type="text"
+                value={billingAddress.postalCode || ''}
+                onChange={handleAddressChange('postalCode')}
+                placeholder="Postal / ZIP code"
+                className="w-full px-3 py-2 rounded-lg bg-background-light dark:bg-background-dark border border-border-light dark:border-border-dark text-text-primary-light dark:text-text-primary-dark outline-none focus:ring-2 focus:ring-primary/50"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-text-secondary-light dark:text-text-secondary-dark mb-1">Country</label>
+              <input
+                type="text"
+                value={billingAddress.country || ''}
+                onChange={handleAddressChange('country')}
+                placeholder="Two-letter code, e.g. US, GB, DE"
+                className="w-full px-3 py-2 rounded-lg bg-background-light dark:bg-background-dark border border-border-light dark:border-border-dark text-text-primary-light dark:text-text-primary-dark outline-none focus:ring-2 focus:ring-primary/50"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-text-secondary-light dark:text-text-secondary-dark mb-1">Tax ID Type</label>
+              <select
+                value={taxIdType}
+                onChange={(e) => { setTaxIdType(e.target.value as TaxId['type']); setTaxSaved(false); }}
+                className="w-full px-3 py-2 rounded-lg bg-background-light dark:bg-background-dark border border-border-light dark:border-border-dark text-text-primary-light dark:text-text-primary-dark outline-none focus:ring-2 focus:ring-primary/50"
+              >
+                {TAX_ID_TYPES.map(t => (
+                  <option key={t.value} value={t.value}>{t.label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-text-secondary-light dark:text-text-secondary-dark mb-1">Tax ID</label>
+              <input
+                type="text"
+                value={taxIdValue}
+                onChange={(e) => { setTaxIdValue(e.target.value); setTaxSaved(false); }}
+                placeholder="Optional"
+                className="w-full px-3 py-2 rounded-lg bg-background-light dark:bg-background-dark border border-border-light dark:border-border-dark text-text-primary-light dark:text-text-primary-dark outline-none focus:ring-2 focus:ring-primary/50"
+              />
+              {accountData?.taxId?.validated && accountData.taxId.value === taxIdValue.trim() && (
+                <p className="text-xs text-green-600 dark:text-green-400 mt-1">Validated</p>
+              )}
+            </div>
+          </div>
+
+          {taxError && (
+            <p className="mt-3 text-sm text-red-600 dark:text-red-400">{taxError}</p>
+          )}
+          {taxSaved && (
+            <p className="mt-3 text-sm text-green-600 dark:text-green-400">Billing details saved. They apply from your next invoice.</p>
+          )}
+
+          <div className="flex justify-end mt-4">
+            <button
+              onClick={handleTaxDetailsSave}
+              disabled={isSavingTax}
+              className="px-3 py-2 rounded-lg text-sm font-semibold bg-primary hover:bg-primary/90 text-white disabled:opacity-50"
+            >
+              {isSavingTax ? 'Saving...' : 'Save Billing Details'}
+            </button>
+          </div>
+        </section>
       </div>
 
       <div className="mt-8">
@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { CreditCard, Plus } from 'lucide-react';
+import { CreditCard, Plus, Download, Wallet } from 'lucide-react';
 import Footer from './Footer';
 import AddPaymentMethodModal from './AddPaymentMethodModal';
 import { Page } from '../types';
@@ -22,6 +22,40 @@ interface BillingHistoryItem {
   status: 'paid' | 'open' | 'failed' | 'draft' | 'uncollectible';
 }
 
+interface WalletSettings {
+  currency: string;
+  balance: number;
+  prepaidEnabled: boolean;
+  autoReload: {
+    enabled: boolean;
+    threshold: number | null;
+    amount: number | null;
+    pending: boolean;
+    lastError: string | null;
+  };
+}
+
+interface WalletTransaction {
+  id: number;
+  kind: 'top_up' | 'auto_reload' | 'impression' | 'click' | 'refund';
+  amount: number;
+  balanceAfter: number;
+  units: number;
+  taxAmount: number;
+  campaignName: string | null;
+  date: string;
+  settled: boolean;
+  description: string | null;
+}
+
+const WALLET_KIND_LABELS: Record<WalletTransaction['kind'], string> = {
+  top_up: 'Top-up',
+  auto_reload: 'Auto-reload',
+  impression: 'Impressions',
+  click: 'Clicks',
+  refund: 'Refund'
+};
+
 interface BillingPageProps {
   onNavigate: (page: Page) => void;
 }
@@ -35,6 +69,22 @@ const BillingPage: React.FC<BillingPageProps> = ({ onNavigate }) => {
   const [isCreatingSetupIntent, setIsCreatingSetupIntent] = useState(false);
   const [billingHistory, setBillingHistory] = useState<BillingHistoryItem[]>([]);
   const [isLoadingHistory, setIsLoadingHistory] = useState(true);
+  const [statementMonth, setStatementMonth] = useState(() => new Date().toISOString().slice(0, 7));
+  const [downloadingPdf, setDownloadingPdf] = useState<string | null>(null);
+
+  // Prepaid balance: recurring campaigns draw from it per impression / click instead of a weekly invoice
+  const [wallet, setWallet] = useState<WalletSettings | null>(null);
+  const [walletTransactions, setWalletTransactions] = useState<WalletTransaction[]>([]);
+  const [isLoadingWallet, setIsLoadingWallet] = useState(true);
+  const [topUpAmount, setTopUpAmount] = useState('100');
+  const [isStartingTopUp, setIsStartingTopUp] = useState(false);
+  const [prepaidEnabled, setPrepaidEnabled] = useState(false);
+  const [autoReloadEnabled, setAutoReloadEnabled] = useState(false);
+  const [autoReloadThreshold, setAutoReloadThreshold] = useState('');
+  const [autoReloadAmount, setAutoReloadAmount] = useState('');
+  const [isSavingWallet, setIsSavingWallet] = useState(false);
+  const [walletError, setWalletError] = useState<string | null>(null);
+  const [walletNotice, setWalletNotice] = useState<string | null>(null);
 
   const getAuthHeaders = () => {
     const token = localStorage.getItem('advertiserPortalToken');
@@ -43,6 +93,32 @@ const BillingPage: React.FC<BillingPageProps> = ({ onNavigate }) => {
       : { 'Content-Type': 'application/json' };
   };
 
+  // PDF routes need the bearer token, so download via fetch + object URL instead of a plain link
+  const downloadPdf = async (url: string, key: string, fallbackName: string) => {
+    setDownloadingPdf(key);
+    try {
+      const response = await fetch(url, { headers: getAuthHeaders() });
+      if (!response.ok) {
+        throw new Error('Failed to download PDF');
+      }
+      const disposition = response.headers.get('Content-Disposition') || '';
+      const filename = disposition.match(/filename="([^"]+)"/)?.[1] || fallbackName;
+      const objectUrl = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = objectUrl;
+      link.download = filename;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(objectUrl);
+    } catch (err) {
+      console.error('Error downloading PDF:', err);
+      alert('Could not download the PDF. Please try again.');
+    } finally {
+      setDownloadingPdf(null);
+    }
+  };
+
   const fetchPaymentMethods = async () => {
     try {
       setIsLoading(true);
@@ -85,11 +161,115 @@ const BillingPage: React.FC<BillingPageProps> = ({ onNavigate }) => {
     }
   };
 
+  const applyWalletSettings = (data: WalletSettings) => {
+    setWallet(data);
+    setPrepaidEnabled(data.prepaidEnabled);
+    setAutoReloadEnabled(data.autoReload.enabled);
+    setAutoReloadThreshold(data.autoReload.threshold !== null ? String(data.autoReload.threshold) : '');
+    setAutoReloadAmount(data.autoReload.amount !== null ? String(data.autoReload.amount) : '');
+  };
+
+  const fetchWallet = async () => {
+    try {
+      setIsLoadingWallet(true);
+      const response = await fetch('/api/advertiser/wallet', {
+        headers: getAuthHeaders()
+      });
+
+      if (!response.ok) {
+        throw new Error('Failed to fetch prepaid balance');
+      }
+
+      const data = await response.json();
+      applyWalletSettings(data.wallet);
+      setWalletTransactions(data.transactions || []);
+    } catch (err) {
+      console.error('Error fetching prepaid balance:', err);
+      setWallet(null);
+      setWalletTransactions([]);
+    } finally {
+      setIsLoadingWallet(false);
+    }
+  };
+
   useEffect(() => {
     fetchPaymentMethods();
     fetchBillingHistory();
+    fetchWallet();
+
+    // Back from the Stripe Checkout top-up: the balance updates once Stripe's webhook arrives
+    const params = new URLSearchParams(window.location.search);
+    const topUpResult = params.get('wallet_top_up');
+    if (topUpResult) {
+      setWalletNotice(topUpResult === 'success'
+        ? 'Payment received. Your balance will update in a few moments.'
+        : 'Top-up cancelled. You have not been charged.');
+      params.delete('wallet_top_up');
+      const query = params.toString();
+      window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}`);
+      if (topUpResult === 'success') {
+        setTimeout(fetchWallet, 5000);
+      }
+    }
   }, []);
 
+  const handleTopUp = async () => {
+    try {
+      setIsStartingTopUp(true);
+      setWalletError(null);
+      const response = await fetch('/api/advertiser/wallet/top-up', {
+        method: 'POST',
+        headers: getAuthHeaders(),
+        body: JSON.stringify({ amount: Number(topUpAmount) })
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to start top-up');
+      }
+
+      window.location.href = data.url;
+    } catch (err) {
+      console.error('Error starting top-up:', err);
+      setWalletError(err instanceof Error ? err.message : 'Failed to start top-up');
+      setIsStartingTopUp(false);
+    }
+  };
+
+  const handleWalletSettingsSave = async () => {
+    try {
+      setIsSavingWallet(true);
+      setWalletError(null);
+      setWalletNotice(null);
+      const response = await fetch('/api/advertiser/wallet/settings', {
+        method: 'PUT',
+        headers: getAuthHeaders(),
+        body: JSON.stringify({
+          prepaidEnabled,
+          autoReloadEnabled,
+          autoReloadThreshold: autoReloadThreshold === '' ? null : Number(autoReloadThreshold),
+          autoReloadAmount: autoReloadAmount === '' ? null : Number(autoReloadAmount)
+        })
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to save prepaid settings');
+      }
+
+      applyWalletSettings(data.wallet);
+      const pendingSwitch = (data.campaigns || []).some((c: { pendingBillingMode: string | null }) => c.pendingBillingMode);
+      setWalletNotice(pendingSwitch
+        ? 'Settings saved. Campaigns that already ran this week switch billing at the start of next week.'
+        : 'Settings saved.');
+    } catch (err) {
+      console.error('Error saving prepaid settings:', err);
+      setWalletError(err instanceof Error ? err.message : 'Failed to save prepaid settings');
+    } finally {
+      setIsSavingWallet(false);
+    }
+  };
+
   const handleAddNew = async () => {
     try {
       setIsCreatingSetupIntent(true);
@@ -287,10 +467,185 @@ const BillingPage: React.FC<BillingPageProps> = ({ onNavigate }) => {
           )}
         </section>
 
-        {/* Invoices */}
+        {/* Prepaid Balance */}
         <section className="bg-container-light dark:bg-container-dark rounded-xl border border-border-light dark:border-border-dark overflow-hidden">
           <div className="p-6 border-b border-border-light dark:border-border-dark">
+            <h2 className="text-lg font-semibold mb-1 flex items-center gap-2 text-text-primary-light dark:text-text-primary-dark">
+              <Wallet className="w-5 h-5 text-primary" />
+              Prepaid Balance
+            </h2>
+            <p className="text-sm text-text-secondary-light dark:text-text-secondary-dark mb-4">
+              With prepaid billing on, your recurring campaigns are paid from this balance as they run instead of by weekly invoice. Campaigns pause when the balance reaches zero and resume after your next top-up.
+            </p>
+
+            {isLoadingWallet ? (
+              <p className="text-text-secondary-light dark:text-text-secondary-dark">Loading prepaid balance...</p>
+            ) : !wallet ? (
+              <p className="text-text-secondary-light dark:text-text-secondary-dark">Prepaid balance is unavailable right now.</p>
+            ) : (
+              <>
+                <div className="flex flex-wrap items-end justify-between gap-4">
+                  <div>
+                    <p className="text-sm text-text-secondary-light dark:text-text-secondary-dark">Current balance</p>
+                    <p className={`text-3xl font-bold ${wallet.balance > 0 ? 'text-text-primary-light dark:text-text-primary-dark' : 'text-red-600 dark:text-red-400'}`}>
+                      {formatCurrency(wallet.balance, wallet.currency.toUpperCase())}
+                    </p>
+                    {wallet.autoReload.pending && (
+                      <p className="text-xs text-text-secondary-light dark:text-text-secondary-dark mt-1">Auto-reload in progress...</p>
+                    )}
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <input
+                      type="number"
+                      min={10}
+                      step="1"
+                      value={topUpAmount}
+                      onChange={(e) => setTopUpAmount(e.target.value)}
+                      className="w-28 px-3 py-2 rounded-lg bg-background-light dark:bg-background-dark border border-border-light dark:border-border-dark text-text-primary-light dark:text-text-primary-dark outline-none focus:ring-2 focus:ring-primary/50"
+                    />
+                    <button
+                      onClick={handleTopUp}
+                      disabled={isStartingTopUp || !topUpAmount}
+                      className="px-3 py-2 rounded-lg text-sm font-semibold bg-primary hover:bg-primary/90 text-white disabled:opacity-50"
+                    >
+                      {isStartingTopUp ? 'Redirecting...' : 'Top Up'}
+                    </button>
+                  </div>
+                </div>
+
+                <div className="mt-6 space-y-4">
+                  <label className="flex items-center gap-2 text-sm font-medium text-text-primary-light dark:text-text-primary-dark">
+                    <input
+                      type="checkbox"
+                      checked={prepaidEnabled}
+                      onChange={(e) => setPrepaidEnabled(e.target.checked)}
+                    />
+                    Pay for recurring campaigns from my prepaid balance
+                  </label>
+                  <label className="flex items-center gap-2 text-sm font-medium text-text-primary-light dark:text-text-primary-dark">
+                    <input
+                      type="checkbox"
+                      checked={autoReloadEnabled}
+                      onChange={(e) => setAutoReloadEnabled(e.target.checked)}
+                    />
+                    Auto-reload with my default card
+                  </label>
+                  {autoReloadEnabled && (
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                      <div>
+                        <label className="block text-sm font-medium text-text-secondary-light dark:text-text-secondary-dark mb-1">When balance falls below</label>
+                        <input
+                          type="number"
+                          min={0}
+                          step="1"
+                          value={autoReloadThreshold}
+                          onChange={(e) => setAutoReloadThreshold(e.target.value)}
+                          className="w-full px-3 py-2 rounded-lg bg-background-light dark:bg-background-dark border border-border-light dark:border-border-dark text-text-primary-light dark:text-text-primary-dark outline-none focus:ring-2 focus:ring-primary/50"
+                        />
+                      </div>
+                      <div>
+                        <label className="block text-sm font-medium text-text-secondary-light dark:text-text-secondary-dark mb-1">Add this amount</label>
+                        <input
+                          type="number"
+                          min={10}
+                          step="1"
+                          value={autoReloadAmount}
+                          onChange={(e) => setAutoReloadAmount(e.target.value)}
+                          className="w-full px-3 py-2 rounded-lg bg-background-light dark:bg-background-dark border border-border-light dark:border-border-dark text-text-primary-light dark:text-text-primary-dark outline-none focus:ring-2 focus:ring-primary/50"
+                        />
+                      </div>
+                    </div>
+                  )}
+                  {wallet.autoReload.lastError && (
+                    <p className="text-sm text-red-600 dark:text-red-400">Last auto-reload failed: {wallet.autoReload.lastError}</p>
+                  )}
+                </div>
+              </>
+            )}
+
+            {walletError && (
+              <p className="mt-3 text-sm text-red-600 dark:text-red-400">{walletError}</p>
+            )}
+            {walletNotice && (
+              <p className="mt-3 text-sm text-green-600 dark:text-green-400">{walletNotice}</p>
+            )}
+
+            {wallet && (
+              <div className="flex justify-end mt-4">
+                <button
+                  onClick={handleWalletSettingsSave}
+                  disabled={isSavingWallet}
+                  className="px-3 py-2 rounded-lg text-sm font-semibold bg-primary hover:bg-primary/90 text-white disabled:opacity-50"
+                >
+                  {isSavingWallet ? 'Saving...' : 'Save Prepaid Settings'}
+                </button>
+              </div>
+            )}
+          </div>
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-gray-50 dark:bg-white/5 border-b border-border-light dark:border-border-dark text-text-secondary-light dark:text-text-secondary-dark text-xs uppercase font-semibold">
+                <tr>
+                  <th className="px-6 py-4 text-left">Date</th>
+                  <th className="px-6 py-4 text-left">Transaction</th>
+                  <th className="px-6 py-4 text-right">Amount</th>
+                  <th className="px-6 py-4 text-right">Balance</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-border-light dark:divide-border-dark">
+                {walletTransactions.length === 0 ? (
+                  <tr>
+                    <td colSpan={4} className="px-6 py-8 text-center text-text-secondary-light dark:text-text-secondary-dark">
+                      {isLoadingWallet ? 'Loading transactions...' : 'No prepaid transactions yet'}
+                    </td>
+                  </tr>
+                ) : (
+                  walletTransactions.map((tx) => (
+                    <tr key={tx.id} className="hover:bg-gray-50 dark:hover:bg-white/5 transition-colors">
+                      <td className="px-6 py-4 text-left text-text-secondary-light dark:text-text-secondary-dark">
+                        {formatDate(tx.date)}
+                      </td>
+                      <td className="px-6 py-4 text-left text-text-primary-light dark:text-text-primary-dark">
+                        {WALLET_KIND_LABELS[tx.kind]}
+                        {tx.campaignName && ` · ${tx.campaignName}`}
+                        {(tx.kind === 'impression' || tx.kind === 'click') && (
+                          <span className="text-text-secondary-light dark:text-text-secondary-dark"> ({tx.units.toLocaleString()})</span>
+                        )}
+                      </td>
+                      <td className={`px-6 py-4 text-right font-medium ${tx.amount < 0 ? 'text-text-primary-light dark:text-text-primary-dark' : 'text-green-600 dark:text-green-400'}`}>
+                        {tx.amount > 0 ? '+' : ''}{formatCurrency(tx.amount, (wallet?.currency || 'usd').toUpperCase())}
+                      </td>
+                      <td className="px-6 py-4 text-right text-text-secondary-light dark:text-text-secondary-dark">
+                        {formatCurrency(tx.balanceAfter, (wallet?.currency || 'usd').toUpperCase())}
+                      </td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+        </section>
+
+        {/* Invoices */}
+        <section className="bg-container-light dark:bg-container-dark rounded-xl border border-border-light dark:border-border-dark overflow-hidden">
+          <div className="p-6 border-b border-border-light dark:border-border-dark flex flex-wrap items-center justify-between gap-3">
             <h2 className="text-lg font-semibold text-text-primary-light dark:text-text-primary-dark">Billing History</h2>
+            <div className="flex items-center gap-2">
+              <input
+                type="month"
+                value={statementMonth}
+                max={new Date().toISOString().slice(0, 7)}
+                onChange={(e) => setStatementMonth(e.target.value)}
+                className="px-2 py-1 text-sm rounded-lg border border-border-light dark:border-border-dark bg-transparent text-text-primary-light dark:text-text-primary-dark"
+              />
+              <button
+                onClick={() => downloadPdf(`/api/advertiser/statements/${statementMonth}/pdf`, 'statement', `charity-stream-statement-${statementMonth}.pdf`)}
+                disabled={!statementMonth || downloadingPdf === 'statement'}
+                className="text-sm font-semibold text-primary hover:text-primary/80 flex items-center gap-1 transition-colors disabled:opacity-50"
+              >
+                <Download className="w-4 h-4" /> {downloadingPdf === 'statement' ? 'Preparing...' : 'Monthly statement'}
+              </button>
+            </div>
           </div>
           <div className="overflow-x-auto">
             <table className="w-full">
@@ -300,18 +655,19 @@ const BillingPage: React.FC<BillingPageProps> = ({ onNavigate }) => {
                   <th className="px-6 py-4 text-left">Campaign Name</th>
                   <th className="px-6 py-4 text-right">Amount</th>
                   <th className="px-6 py-4 text-right">Status</th>
+                  <th className="px-6 py-4 text-right">PDF</th>
                 </tr>
               </thead>
               <tbody className="divide-y divide-border-light dark:divide-border-dark">
                 {isLoadingHistory ? (
                   <tr>
-                    <td colSpan={4} className="px-6 py-8 text-center text-text-secondary-light dark:text-text-secondary-dark">
+                    <td colSpan={5} className="px-6 py-8 text-center text-text-secondary-light dark:text-text-secondary-dark">
                       Loading billing history...
                     </td>
                   </tr>
                 ) : billingHistory.length === 0 ? (
                   <tr>
-                    <td colSpan={4} className="px-6 py-8 text-center text-text-secondary-light dark:text-text-secondary-dark">
+                    <td colSpan={5} className="px-6 py-8 text-center text-text-secondary-light dark:text-text-secondary-dark">
                       No billing history found
                     </td>
                   </tr>
@@ -330,6 +686,16 @@ const BillingPage: React.FC<BillingPageProps> = ({ onNavigate }) => {
                       <td className="px-6 py-4 text-right">
                         <StatusPill status={invoice.status} />
                       </td>
+                      <td className="px-6 py-4 text-right">
+                        <button
+                          onClick={() => downloadPdf(`/api/advertiser/invoices/${invoice.invoiceId}/pdf`, invoice.invoiceId, `charity-stream-${invoice.invoiceId}.pdf`)}
+                          disabled={downloadingPdf === invoice.invoiceId}
+                          className="inline-flex items-center gap-1 text-xs font-semibold text-primary hover:text-primary/80 transition-colors disabled:opacity-50"
+                          title={invoice.status === 'paid' ? 'Download receipt' : 'Download invoice'}
+                        >
+                          <Download className="w-4 h-4" /> {downloadingPdf === invoice.invoiceId ? '...' : 'Download'}
+                        </button>
+                      </td>
                     </tr>
                   ))
                 )}
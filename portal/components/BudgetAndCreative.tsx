@@ -1,5 +1,6 @@
 import React, { useState } from 'react';
-import { DashboardData } from '../types';
+import { CreativeValidation, DashboardData } from '../types';
+import CreativeValidationReport from './CreativeValidationReport';
 
 interface BudgetAndCreativeProps {
   dashboardData: DashboardData;
@@ -13,10 +14,20 @@ const BudgetAndCreative: React.FC<BudgetAndCreativeProps> = ({ dashboardData, on
   const [selectedFile, setSelectedFile] = useState<File | null>(null);
   const [isUploading, setIsUploading] = useState(false);
   const [uploadProgress, setUploadProgress] = useState(0);
+  const [uploadValidation, setUploadValidation] = useState<CreativeValidation | null>(null);
+  const [showFrequencyModal, setShowFrequencyModal] = useState(false);
+  const [capPerHour, setCapPerHour] = useState('');
+  const [capPerDay, setCapPerDay] = useState('');
+  const [isSavingCap, setIsSavingCap] = useState(false);
+  const [showCauseModal, setShowCauseModal] = useState(false);
+  const [causeOptions, setCauseOptions] = useState<{ value: string; label: string }[]>([]);
+  const [cause, setCause] = useState('');
+  const [isSavingCause, setIsSavingCause] = useState(false);
 
-  const currency = new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD', maximumFractionDigits: 0 });
-  const currencyCpm = new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD', minimumFractionDigits: 2 });
-  const currencyWithDecimals = new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD', minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  const currencyCode = (dashboardData.currency || 'usd').toUpperCase();
+  const currency = new Intl.NumberFormat('en-US', { style: 'currency', currency: currencyCode, maximumFractionDigits: 0 });
+  const currencyCpm = new Intl.NumberFormat('en-US', { style: 'currency', currency: currencyCode, minimumFractionDigits: 2 });
+  const currencyWithDecimals = new Intl.NumberFormat('en-US', { style: 'currency', currency: currencyCode, minimumFractionDigits: 2, maximumFractionDigits: 2 });
 
   // Calculate spent this week (same as donations this week)
   const spentThisWeek = dashboardData.donationsThisWeek ?? 0;
@@ -67,13 +78,14 @@ const BudgetAndCreative: React.FC<BudgetAndCreativeProps> = ({ dashboardData, on
         }
       }
       
-      // Validate file size (max 500MB)
-      if (file.size > 500 * 1024 * 1024) {
-        alert('File size must be less than 500MB');
+      // Validate file size (max 50MB, matches the server-side creative checks)
+      if (file.size > 50 * 1024 * 1024) {
+        alert('File size must be less than 50MB');
         e.target.value = ''; // Clear the input
         return;
       }
       setSelectedFile(file);
+      setUploadValidation(null);
     }
   };
 
@@ -88,6 +100,7 @@ const BudgetAndCreative: React.FC<BudgetAndCreativeProps> = ({ dashboardData, on
     try {
       setIsUploading(true);
       setUploadProgress(0);
+      setUploadValidation(null);
 
       if (!activeCampaignId) {
         throw new Error('No campaign selected');
@@ -105,7 +118,8 @@ const BudgetAndCreative: React.FC<BudgetAndCreativeProps> = ({ dashboardData, on
       });
 
       if (!presignResponse.ok) {
-        throw new Error('Failed to get upload URL');
+        const errorData = await presignResponse.json().catch(() => ({}));
+        throw new Error(errorData.error || 'Failed to get upload URL');
       }
 
       const { uploadUrl, key } = await presignResponse.json();
@@ -124,9 +138,29 @@ const BudgetAndCreative: React.FC<BudgetAndCreativeProps> = ({ dashboardData, on
         throw new Error('Failed to upload file');
       }
 
+      setUploadProgress(50);
+
+      // Step 3: Run automated creative checks; hard failures stop here with the report shown in the modal
+      const validateResponse = await fetch(`/api/advertiser/validate-creative?campaignId=${activeCampaignId}`, {
+        method: 'POST',
+        headers: getAuthHeaders(),
+        body: JSON.stringify({ key })
+      });
+
+      if (!validateResponse.ok) {
+        const errorData = await validateResponse.json().catch(() => ({}));
+        throw new Error(errorData.error || 'Failed to check creative');
+      }
+
+      const { validation } = await validateResponse.json();
+      setUploadValidation(validation);
+      if (validation.status === 'failed') {
+        return;
+      }
+
       setUploadProgress(75);
 
-      // Step 3: Call replace-creative endpoint
+      // Step 4: Call replace-creative endpoint
       const replaceResponse = await fetch(`/api/advertiser/replace-creative?campaignId=${activeCampaignId}`, {
         method: 'POST',
         headers: getAuthHeaders(),
@@ -138,6 +172,10 @@ const BudgetAndCreative: React.FC<BudgetAndCreativeProps> = ({ dashboardData, on
 
       if (!replaceResponse.ok) {
         const errorData = await replaceResponse.json();
+        if (errorData.validation) {
+          setUploadValidation(errorData.validation);
+          return;
+        }
         throw new Error(errorData.error || 'Failed to replace creative');
       }
 
@@ -146,6 +184,7 @@ const BudgetAndCreative: React.FC<BudgetAndCreativeProps> = ({ dashboardData, on
       // Close modal and refresh dashboard with the same campaignId
       setShowReplaceModal(false);
       setSelectedFile(null);
+      setUploadValidation(null);
       if (activeCampaignId) {
         await onRefreshDashboard(activeCampaignId);
       }
@@ -158,6 +197,95 @@ const BudgetAndCreative: React.FC<BudgetAndCreativeProps> = ({ dashboardData, on
     }
   };
 
+  const openFrequencyModal = () => {
+    setCapPerHour(dashboardData.frequencyCapPerHour != null ? String(dashboardData.frequencyCapPerHour) : '');
+    setCapPerDay(dashboardData.frequencyCapPerDay != null ? String(dashboardData.frequencyCapPerDay) : '');
+    setShowFrequencyModal(true);
+  };
+
+  const handleFrequencyCapSave = async () => {
+    try {
+      setIsSavingCap(true);
+
+      if (!activeCampaignId) {
+        throw new Error('No campaign selected');
+      }
+
+      const response = await fetch(`/api/advertiser/frequency-cap?campaignId=${activeCampaignId}`, {
+        method: 'POST',
+        headers: getAuthHeaders(),
+        body: JSON.stringify({
+          perHour: capPerHour.trim() === '' ? null : Number(capPerHour),
+          perDay: capPerDay.trim() === '' ? null : Number(capPerDay)
+        })
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to update frequency cap');
+      }
+
+      setShowFrequencyModal(false);
+      await onRefreshDashboard(activeCampaignId);
+    } catch (err) {
+      console.error('Error updating frequency cap:', err);
+      alert(err instanceof Error ? err.message : 'Failed to update frequency cap. Please try again.');
+    } finally {
+      setIsSavingCap(false);
+    }
+  };
+
+  const openCauseModal = async () => {
+    setCause(dashboardData.causeCategory || '');
+    setShowCauseModal(true);
+    if (causeOptions.length === 0) {
+      try {
+        const response = await fetch('/api/cause-categories');
+        if (response.ok) {
+          const data = await response.json();
+          setCauseOptions(data.causes || []);
+        }
+      } catch (err) {
+        console.error('Error loading cause categories:', err);
+      }
+    }
+  };
+
+  const handleCauseSave = async () => {
+    try {
+      setIsSavingCause(true);
+
+      if (!activeCampaignId) {
+        throw new Error('No campaign selected');
+      }
+
+      const response = await fetch(`/api/advertiser/cause?campaignId=${activeCampaignId}`, {
+        method: 'POST',
+        headers: getAuthHeaders(),
+        body: JSON.stringify({ causeCategory: cause })
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to update cause');
+      }
+
+      setShowCauseModal(false);
+      await onRefreshDashboard(activeCampaignId);
+    } catch (err) {
+      console.error('Error updating cause:', err);
+      alert(err instanceof Error ? err.message : 'Failed to update cause. Please try again.');
+    } finally {
+      setIsSavingCause(false);
+    }
+  };
+
+  // Frequency cap summary, e.g. "3 per hour · 10 per day"
+  const frequencyCapLabel = [
+    dashboardData.frequencyCapPerHour != null ? `${dashboardData.frequencyCapPerHour} per hour` : null,
+    dashboardData.frequencyCapPerDay != null ? `${dashboardData.frequencyCapPerDay} per day` : null
+  ].filter(Boolean).join(' · ') || 'No limit';
+
   // Format values - show "—" if null
   const formatCurrency = (value: number | null) => {
     if (value === null) return '—';
@@ -192,6 +320,28 @@ const BudgetAndCreative: React.FC<BudgetAndCreativeProps> = ({ dashboardData, on
             <p className="text-lg font-bold text-text-primary-light dark:text-text-primary-dark">{currencyCpm.format(dashboardData.cpmRate)}</p>
           </div>
         </div>
+        <div className="flex items-center gap-2 mt-1 text-sm text-text-secondary-light dark:text-text-secondary-dark">
+          <span>Frequency cap per viewer: {frequencyCapLabel}</span>
+          {!isEnded && (
+            <button
+              onClick={openFrequencyModal}
+              className="text-sm font-semibold text-primary hover:text-primary/80 cursor-pointer"
+            >
+              Edit
+            </button>
+          )}
+        </div>
+        <div className="flex items-center gap-2 mt-1 text-sm text-text-secondary-light dark:text-text-secondary-dark">
+          <span>Cause: {dashboardData.causeLabel || 'Any (weekly winner)'}</span>
+          {!isEnded && (
+            <button
+              onClick={openCauseModal}
+              className="text-sm font-semibold text-primary hover:text-primary/80 cursor-pointer"
+            >
+              Edit
+            </button>
+          )}
+        </div>
       </div>
 
       <div className="p-2 px-3 bg-container-light dark:bg-container-dark rounded-xl border border-border-light dark:border-border-dark">
@@ -206,15 +356,30 @@ const BudgetAndCreative: React.FC<BudgetAndCreativeProps> = ({ dashboardData, on
               <div className="w-20 h-20 rounded-lg flex-shrink-0 flex items-center justify-center border border-white/10 relative overflow-hidden bg-black/80">
                 {isVideoCampaign ? (
                   <>
-                    <video
-                      src={dashboardData.creativeUrl}
-                      className="w-full h-full object-cover rounded-lg"
-                      preload="metadata"
-                      onLoadedMetadata={(e) => {
-                        e.currentTarget.currentTime = 0.1;
-                      }}
-                      muted
-                    />
+                    {dashboardData.creativePosterUrl ? (
+                      // Poster frame, swapped for the animated preview on hover (no MP4 download)
+                      <img
+                        src={dashboardData.creativePosterUrl}
+                        alt="Ad Creative"
+                        className="w-full h-full object-cover rounded-lg"
+                        onMouseEnter={(e) => {
+                          if (dashboardData.creativePreviewUrl) e.currentTarget.src = dashboardData.creativePreviewUrl;
+                        }}
+                        onMouseLeave={(e) => {
+                          if (dashboardData.creativePosterUrl) e.currentTarget.src = dashboardData.creativePosterUrl;
+                        }}
+                      />
+                    ) : (
+                      <video
+                        src={dashboardData.creativeUrl}
+                        className="w-full h-full object-cover rounded-lg"
+                        preload="metadata"
+                        onLoadedMetadata={(e) => {
+                          e.currentTarget.currentTime = 0.1;
+                        }}
+                        muted
+                      />
+                    )}
                     <div className="absolute inset-0 flex items-center justify-center pointer-events-none">
                       <div className="inline-flex items-center justify-center w-8 h-8 rounded-full bg-black/60">
                         <span className="text-white text-sm">▶</span>
@@ -283,8 +448,113 @@ const BudgetAndCreative: React.FC<BudgetAndCreativeProps> = ({ dashboardData, on
             </button>
           </div>
         </div>
+        {dashboardData.creativeValidation && (
+          <div className="mt-2">
+            <CreativeValidationReport validation={dashboardData.creativeValidation} compact />
+          </div>
+        )}
       </div>
 
+      {/* Frequency Cap Modal */}
+      {showFrequencyModal && (
+        <div className="fixed inset-0 z-[100] flex items-center justify-center bg-black/50 backdrop-blur-sm">
+          <div className="bg-container-light dark:bg-container-dark rounded-xl border border-border-light dark:border-border-dark p-6 max-w-md w-full mx-4">
+            <h3 className="text-lg font-semibold text-text-primary-light dark:text-text-primary-dark mb-2">
+              Frequency Cap
+            </h3>
+            <p className="text-sm text-text-secondary-light dark:text-text-secondary-dark mb-4">
+              Limit how often the same viewer sees your ad. Views over the limit are not counted or billed. Leave a field empty for no limit.
+            </p>
+            <div className="grid grid-cols-2 gap-3 mb-4">
+              <label className="block text-sm font-medium text-text-primary-light dark:text-text-primary-dark">
+                Per hour
+                <input
+                  type="number"
+                  min={1}
+                  value={capPerHour}
+                  onChange={(e) => setCapPerHour(e.target.value)}
+                  disabled={isSavingCap}
+                  className="mt-1 block w-full rounded-lg border border-border-light dark:border-border-dark bg-transparent px-3 py-2 text-sm"
+                />
+              </label>
+              <label className="block text-sm font-medium text-text-primary-light dark:text-text-primary-dark">
+                Per day
+                <input
+                  type="number"
+                  min={1}
+                  value={capPerDay}
+                  onChange={(e) => setCapPerDay(e.target.value)}
+                  disabled={isSavingCap}
+                  className="mt-1 block w-full rounded-lg border border-border-light dark:border-border-dark bg-transparent px-3 py-2 text-sm"
+                />
+              </label>
+            </div>
+
+            <div className="flex justify-end gap-2">
+              <button
+                onClick={() => setShowFrequencyModal(false)}
+                className="px-3 py-2 rounded-lg text-sm font-medium text-text-primary-light dark:text-text-primary-dark bg-gray-100 dark:bg-gray-800 hover:bg-gray-200 dark:hover:bg-gray-700"
+                disabled={isSavingCap}
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleFrequencyCapSave}
+                className="px-3 py-2 rounded-lg text-sm font-semibold bg-primary hover:bg-primary/90 text-white disabled:opacity-70"
+                disabled={isSavingCap}
+              >
+                {isSavingCap ? 'Saving...' : 'Save'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Cause Modal */}
+      {showCauseModal && (
+        <div className="fixed inset-0 z-[100] flex items-center justify-center bg-black/50 backdrop-blur-sm">
+          <div className="bg-container-light dark:bg-container-dark rounded-xl border border-border-light dark:border-border-dark p-6 max-w-md w-full mx-4">
+            <h3 className="text-lg font-semibold text-text-primary-light dark:text-text-primary-dark mb-2">
+              Cause
+            </h3>
+            <p className="text-sm text-text-secondary-light dark:text-text-secondary-dark mb-4">
+              Direct your campaign's giving to a charity working on this cause. Each week it goes to that week's charity in the category, or is held for the next week if there is none. Changes apply to donations from now on.
+            </p>
+            <label className="block text-sm font-medium text-text-primary-light dark:text-text-primary-dark mb-4">
+              Cause
+              <select
+                value={cause}
+                onChange={(e) => setCause(e.target.value)}
+                disabled={isSavingCause}
+                className="mt-1 block w-full rounded-lg border border-border-light dark:border-border-dark bg-transparent px-3 py-2 text-sm"
+              >
+                <option value="">Any (weekly winner)</option>
+                {causeOptions.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </label>
+
+            <div className="flex justify-end gap-2">
+              <button
+                onClick={() => setShowCauseModal(false)}
+                className="px-3 py-2 rounded-lg text-sm font-medium text-text-primary-light dark:text-text-primary-dark bg-gray-100 dark:bg-gray-800 hover:bg-gray-200 dark:hover:bg-gray-700"
+                disabled={isSavingCause}
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleCauseSave}
+                className="px-3 py-2 rounded-lg text-sm font-semibold bg-primary hover:bg-primary/90 text-white disabled:opacity-70"
+                disabled={isSavingCause}
+              >
+                {isSavingCause ? 'Saving...' : 'Save'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Replace Creative Modal */}
       {showReplaceModal && (
         <div className="fixed inset-0 z-[100] flex items-center justify-center bg-black/50 backdrop-blur-sm">
@@ -330,6 +600,16 @@ const BudgetAndCreative: React.FC<BudgetAndCreativeProps> = ({ dashboardData, on
                       Selected: {selectedFile.name} ({(selectedFile.size / (1024 * 1024)).toFixed(2)} MB)
                     </p>
                   )}
+                  {uploadValidation && (
+                    <div className="mt-2">
+                      <CreativeValidationReport validation={uploadValidation} />
+                      {uploadValidation.status === 'failed' && (
+                        <p className="mt-1 text-xs text-red-600 dark:text-red-400">
+                          Fix the issues above and upload a new file to continue.
+                        </p>
+                      )}
+                    </div>
+                  )}
                   {isUploading && (
                     <div className="mt-2">
                       <div className="w-full bg-gray-200 dark:bg-gray-700 rounded-full h-2">
@@ -352,6 +632,7 @@ const BudgetAndCreative: React.FC<BudgetAndCreativeProps> = ({ dashboardData, on
                 onClick={() => {
                   setShowReplaceModal(false);
                   setSelectedFile(null);
+                  setUploadValidation(null);
                 }}
                 className="px-3 py-2 rounded-lg text-sm font-medium text-text-primary-light dark:text-text-primary-dark bg-gray-100 dark:bg-gray-800 hover:bg-gray-200 dark:hover:bg-gray-700"
                 disabled={isUploading}
@@ -361,7 +642,7 @@ const BudgetAndCreative: React.FC<BudgetAndCreativeProps> = ({ dashboardData, on
               <button
                 onClick={handleReplaceConfirm}
                 className="px-3 py-2 rounded-lg text-sm font-semibold bg-primary hover:bg-primary/90 text-white disabled:opacity-70"
-                disabled={isUploading || !selectedFile}
+                disabled={isUploading || !selectedFile || uploadValidation?.status === 'failed'}
               >
                 {isUploading ? 'Uploading...' : 'Replace Creative'}
               </button>
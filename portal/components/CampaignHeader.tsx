@@ -12,8 +12,9 @@ interface CampaignHeaderProps {
 }
 
 const CampaignHeader: React.FC<CampaignHeaderProps> = ({ dashboardData, onIncreaseBudget, activeStatus, activeCampaignTitle, activeCampaignId, onRefreshDashboard }) => {
-  const currency = new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD', maximumFractionDigits: 0 });
-  const currencyCpm = new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD', minimumFractionDigits: 2 });
+  const currencyCode = (dashboardData.currency || 'usd').toUpperCase();
+  const currency = new Intl.NumberFormat('en-US', { style: 'currency', currency: currencyCode, maximumFractionDigits: 0 });
+  const currencyCpm = new Intl.NumberFormat('en-US', { style: 'currency', currency: currencyCode, minimumFractionDigits: 2 });
   const status = activeStatus ?? dashboardData.status;
   const campaignTitle = activeCampaignTitle ?? dashboardData.campaignTitle;
   const isUnderReview = status === 'IN REVIEW';
@@ -23,6 +24,12 @@ const CampaignHeader: React.FC<CampaignHeaderProps> = ({ dashboardData, onIncrea
   const isRevoked = status === 'REVOKED';
   const isRecurring = dashboardData.recurringWeekly === true;
   const isBillingFailed = dashboardData.billingFailed === true;
+  const dunning = dashboardData.dunning ?? null;
+  const dunningAmount = dunning
+    ? new Intl.NumberFormat('en-US', { style: 'currency', currency: (dunning.currency || 'usd').toUpperCase() }).format(dunning.amountDue)
+    : '';
+  const formatDunningDate = (value: string | null) =>
+    value ? new Date(value).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' }) : '';
 
   const [showPauseModal, setShowPauseModal] = useState(false);
   const [showUnpauseModal, setShowUnpauseModal] = useState(false);
@@ -364,6 +371,39 @@ const CampaignHeader: React.FC<CampaignHeaderProps> = ({ dashboardData, onIncrea
         )}
       </div>
 
+      {/* Failed payment: dunning schedule for this campaign's unpaid invoice */}
+      {dunning && (
+        <div
+          className={`mt-3 rounded-lg border px-3 py-2 text-sm ${
+            dunning.stage === 'retrying'
+              ? 'border-orange-500/30 bg-orange-500/10 text-orange-700 dark:text-orange-300'
+              : 'border-red-500/30 bg-red-500/10 text-red-700 dark:text-red-300'
+          }`}
+        >
+          {dunning.stage === 'retrying' && (
+            <p>
+              A payment of {dunningAmount} failed on {formatDunningDate(dunning.failedAt)}.
+              {dunning.nextRetryAt && <> We'll retry on {formatDunningDate(dunning.nextRetryAt)} (attempt {dunning.attempts + 1} of {dunning.maxAttempts}).</>}
+              {dunning.pauseAt && <> Your campaign keeps running until {formatDunningDate(dunning.pauseAt)}.</>}
+              {' '}Update your payment method on the Billing page.
+            </p>
+          )}
+          {dunning.stage === 'paused' && (
+            <p>
+              Your campaign is paused because {dunningAmount} is unpaid.
+              {dunning.nextRetryAt && <> We'll retry on {formatDunningDate(dunning.nextRetryAt)}.</>}
+              {dunning.finalAt && <> If it is still unpaid on {formatDunningDate(dunning.finalAt)}, the campaign will be revoked.</>}
+              {' '}Update your payment method on the Billing page.
+            </p>
+          )}
+          {dunning.stage === 'written_off' && (
+            <p>
+              This campaign was revoked on {formatDunningDate(dunning.writtenOffAt)} because {dunningAmount} could not be collected.
+            </p>
+          )}
+        </div>
+      )}
+
       {/* Pause Confirmation Modal */}
       {showPauseModal && (
         <div className="fixed inset-0 z-[100] flex items-center justify-center bg-black/50 backdrop-blur-sm">
@@ -92,8 +92,11 @@ const CampaignsPage: React.FC<CampaignsPageProps> = ({ campaigns, onSelectCampai
   const [sortBy, setSortBy] = useState<SortOption>('newest');
   const [statusFilter, setStatusFilter] = useState<StatusFilter>('ALL');
 
-  const currency = new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD', maximumFractionDigits: 0 });
-  const currencyWithDecimals = new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD', minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  // Each campaign is shown in its own charge currency
+  const currency = (code?: string) =>
+    new Intl.NumberFormat('en-US', { style: 'currency', currency: (code || 'usd').toUpperCase(), maximumFractionDigits: 0 });
+  const currencyWithDecimals = (code?: string) =>
+    new Intl.NumberFormat('en-US', { style: 'currency', currency: (code || 'usd').toUpperCase(), minimumFractionDigits: 2, maximumFractionDigits: 2 });
 
   // Filter and Sort Logic
   const filteredCampaigns = useMemo(() => {
@@ -278,10 +281,22 @@ const CampaignsPage: React.FC<CampaignsPageProps> = ({ campaigns, onSelectCampai
                     }}
                   >
                     <td className="px-6 py-4">
-                      <p className="font-semibold text-text-primary-light dark:text-text-primary-dark">{camp.campaignName || 'Untitled Campaign'}</p>
-                      {camp.startDate && (
-                        <p className="text-xs text-text-secondary-light dark:text-text-secondary-dark">Started {camp.startDate}</p>
-                      )}
+                      <div className="flex items-center gap-3">
+                        {camp.posterUrl && (
+                          <img
+                            src={camp.posterUrl}
+                            alt=""
+                            loading="lazy"
+                            className="w-16 h-9 rounded object-cover flex-shrink-0 bg-black/80"
+                          />
+                        )}
+                        <div>
+                          <p className="font-semibold text-text-primary-light dark:text-text-primary-dark">{camp.campaignName || 'Untitled Campaign'}</p>
+                          {camp.startDate && (
+                            <p className="text-xs text-text-secondary-light dark:text-text-secondary-dark">Started {camp.startDate}</p>
+                          )}
+                        </div>
+                      </div>
                     </td>
                     <td className="px-6 py-4">
                       <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium
@@ -299,10 +314,10 @@ const CampaignsPage: React.FC<CampaignsPageProps> = ({ campaigns, onSelectCampai
                       </span>
                     </td>
                     <td className="px-6 py-4 font-medium text-text-primary-light dark:text-text-primary-dark">
-                      {currency.format(camp.budget)}
+                      {currency(camp.currency).format(camp.budget)}
                     </td>
                     <td className="px-6 py-4 text-text-secondary-light dark:text-text-secondary-dark">
-                      {currencyWithDecimals.format(camp.spent)}
+                      {currencyWithDecimals(camp.currency).format(camp.spent)}
                     </td>
                     <td className="px-6 py-4">
                       <RecipientCell recipients={camp.recipients || []} />
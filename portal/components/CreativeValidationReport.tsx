@@ -0,0 +1,46 @@
+import React from 'react';
+import { CreativeValidation } from '../types';
+
+interface CreativeValidationReportProps {
+  validation: CreativeValidation;
+  compact?: boolean; // Only the summary line and issues (dashboard card)
+}
+
+const STATUS_STYLES: Record<CreativeValidation['status'], { label: string; className: string }> = {
+  passed: { label: 'Passed all checks', className: 'text-green-600 dark:text-green-400' },
+  warnings: { label: 'Passed with warnings', className: 'text-yellow-600 dark:text-yellow-400' },
+  failed: { label: 'Failed checks', className: 'text-red-600 dark:text-red-400' }
+};
+
+const CHECK_ICONS = { pass: '✓', warn: '!', fail: '✕' };
+
+const CreativeValidationReport: React.FC<CreativeValidationReportProps> = ({ validation, compact = false }) => {
+  const style = STATUS_STYLES[validation.status];
+  const checks = compact ? validation.checks.filter(c => c.status !== 'pass') : validation.checks;
+
+  return (
+    <div className="text-xs">
+      <p className={`font-semibold ${style.className}`}>Creative check: {style.label}</p>
+      {checks.length > 0 && (
+        <ul className="mt-1 space-y-0.5">
+          {checks.map(c => (
+            <li
+              key={c.check}
+              className={
+                c.status === 'fail'
+                  ? 'text-red-600 dark:text-red-400'
+                  : c.status === 'warn'
+                    ? 'text-yellow-600 dark:text-yellow-400'
+                    : 'text-text-secondary-light dark:text-text-secondary-dark'
+              }
+            >
+              {CHECK_ICONS[c.status]} {c.message}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default CreativeValidationReport;
@@ -5,11 +5,13 @@ interface IncreaseBudgetModalProps {
   onClose: () => void;
   campaignName: string;
   currentBudget: number;
+  currency?: string;
   campaignId?: number;
   onSuccess?: () => void;
 }
 
-const IncreaseBudgetModal: React.FC<IncreaseBudgetModalProps> = ({ onClose, campaignName, currentBudget, campaignId, onSuccess }) => {
+const IncreaseBudgetModal: React.FC<IncreaseBudgetModalProps> = ({ onClose, campaignName, currentBudget, currency = 'usd', campaignId, onSuccess }) => {
+  const currencyCode = currency.toUpperCase();
   const [amountToAdd, setAmountToAdd] = useState<string>('500');
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [error, setError] = useState<string | null>(null);
@@ -70,7 +72,7 @@ const IncreaseBudgetModal: React.FC<IncreaseBudgetModalProps> = ({ onClose, camp
                   Final Total:
                 </span>
                 <span className="font-semibold text-text-primary-light dark:text-text-primary-dark">
-                  ${finalTotal.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                  {finalTotal.toLocaleString('en-US', { style: 'currency', currency: currencyCode, minimumFractionDigits: 2, maximumFractionDigits: 2 })}
                 </span>
               </div>
             </div>
@@ -92,7 +94,7 @@ const IncreaseBudgetModal: React.FC<IncreaseBudgetModalProps> = ({ onClose, camp
                       : 'border-border-light dark:border-border-dark text-text-secondary-light dark:text-text-secondary-dark hover:bg-gray-50 dark:hover:bg-white/5 hover:border-primary/30'
                   }`}
                 >
-                  +${val}
+                  +{Number(val).toLocaleString('en-US', { style: 'currency', currency: currencyCode, maximumFractionDigits: 0 })}
                 </button>
               ))}
             </div>
@@ -10,8 +10,9 @@ const KeyMetrics: React.FC<KeyMetricsProps> = ({ dashboardData, recipient }) =>
   const showWeeklyRecipient =
     (dashboardData.status === 'LIVE' || dashboardData.status === 'CAPPED') &&
     dashboardData.weeklyRecipient;
-  const currency = new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD', maximumFractionDigits: 0 });
-  const currencyWithDecimals = new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD', minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  const currencyCode = (dashboardData.currency || 'usd').toUpperCase();
+  const currency = new Intl.NumberFormat('en-US', { style: 'currency', currency: currencyCode, maximumFractionDigits: 0 });
+  const currencyWithDecimals = new Intl.NumberFormat('en-US', { style: 'currency', currency: currencyCode, minimumFractionDigits: 2, maximumFractionDigits: 2 });
 
   // Calculate metrics from dashboard data
   const delivery = dashboardData.totalImpressions ?? 0;
@@ -35,6 +36,16 @@ const KeyMetrics: React.FC<KeyMetricsProps> = ({ dashboardData, recipient }) =>
     return currencyWithDecimals.format(value);
   };
 
+  // Pacing against an even spend across the week
+  const formatPacing = () => {
+    const pacing = dashboardData.pacing;
+    if (!pacing) return null;
+    if (pacing.status === 'on_pace') return 'On pace for this week';
+    const percent = Math.round(Math.abs(pacing.paceRatio - 1) * 100);
+    return `${percent}% ${pacing.status === 'ahead' ? 'ahead of' : 'behind'} pace for this week`;
+  };
+  const pacingLabel = formatPacing();
+
   const cardBaseClass = "p-3 bg-container-light dark:bg-container-dark rounded-xl border border-border-light dark:border-border-dark flex flex-col h-full";
   const titleClass = "text-sm font-medium text-text-secondary-light dark:text-text-secondary-dark mb-1";
   const metricClass = "text-2xl font-bold text-text-primary-light dark:text-text-primary-dark leading-none";
@@ -66,6 +77,15 @@ const KeyMetrics: React.FC<KeyMetricsProps> = ({ dashboardData, recipient }) =>
             </p>
           </>
         )}
+        {dashboardData.filteredImpressions != null && (
+          <p className="text-xs text-text-secondary-light dark:text-text-secondary-dark pt-1">
+            {formatValue(dashboardData.filteredImpressions)} filtered impressions
+            {dashboardData.clickTracking && dashboardData.filteredClicks
+              ? ` · ${formatValue(dashboardData.filteredClicks)} filtered clicks`
+              : ''}
+            {' '}(invalid traffic, not billed)
+          </p>
+        )}
       </div>
 
       {/* Total Spent */}
@@ -77,6 +97,11 @@ const KeyMetrics: React.FC<KeyMetricsProps> = ({ dashboardData, recipient }) =>
         <p className={captionClass}>
           {dashboardData.remainingBudget !== null ? `Remaining this week: ${formatSpentCurrency(dashboardData.remainingBudget)}` : '—'}
         </p>
+        {pacingLabel && (
+          <p className="text-xs text-text-secondary-light dark:text-text-secondary-dark pt-1">
+            {pacingLabel}
+          </p>
+        )}
       </div>
 
       {/* Donations */}
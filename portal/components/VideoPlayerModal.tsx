@@ -3,11 +3,12 @@ import React, { useEffect, useRef } from 'react';
 interface VideoPlayerModalProps {
   isOpen: boolean;
   videoUrl: string | null;
+  posterUrl?: string | null;
   onClose: () => void;
   adFormat?: string; // 'video' or 'image'/'static_image'
 }
 
-const VideoPlayerModal: React.FC<VideoPlayerModalProps> = ({ isOpen, videoUrl, onClose, adFormat }) => {
+const VideoPlayerModal: React.FC<VideoPlayerModalProps> = ({ isOpen, videoUrl, posterUrl, onClose, adFormat }) => {
   const videoRef = useRef<HTMLVideoElement>(null);
   
   // Determine if this is an image campaign
@@ -111,6 +112,7 @@ const VideoPlayerModal: React.FC<VideoPlayerModalProps> = ({ isOpen, videoUrl, o
             <video
               ref={videoRef}
               src={videoUrl}
+              poster={posterUrl || undefined}
               className="w-full h-full video-no-more-options"
               controls
               controlsList="nodownload noplaybackrate nopictureinpicture"
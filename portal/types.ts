@@ -46,21 +46,71 @@ export interface DashboardData {
   companyName: string | null;
   totalImpressions: number | null;
   currentWeekImpressions: number | null;
+  currency?: string; // Charge currency (usd / eur / gbp); CPM, budget and spend are in it
   cpmRate: number;
   weeklyBudgetCap: number;
   totalSpent: number | null;
   donationsThisWeek: number | null;
   remainingBudget: number | null;
   creativeUrl: string | null;
+  creativePosterUrl?: string | null; // Poster frame of the approved video creative
+  creativePreviewUrl?: string | null; // Short animated (GIF) preview of the approved video creative
   recurringWeekly: boolean;
   billingFailed?: boolean;
+  dunning?: DunningCase | null; // Failed invoice being retried, or written off in the last 30 days
   adFormat?: string; // 'video' or 'image'/'static_image'
   clickTracking?: boolean;
   totalClicks?: number | null;
+  filteredImpressions?: number | null; // Invalid traffic excluded from billing
+  filteredClicks?: number | null;
+  pacing?: CampaignPacing | null; // Budget pacing, LIVE campaigns only
+  frequencyCapPerHour?: number | null; // Max impressions per viewer per hour (null = no cap)
+  frequencyCapPerDay?: number | null;
+  causeCategory?: string | null; // Cause the campaign's giving is directed to (null = follows the weekly winner)
+  causeLabel?: string | null;
+  creativeValidation?: CreativeValidation | null; // Latest upload-time creative check
   campaigns: CampaignData[];
   weeklyRecipient?: string | null;
 }
 
+export interface DunningCase {
+  invoiceId: string;
+  amountDue: number;
+  currency: string;
+  status: 'open' | 'recovered' | 'written_off' | 'closed';
+  stage: 'retrying' | 'paused' | 'recovered' | 'written_off' | 'closed';
+  attempts: number; // Scheduled retries made so far
+  maxAttempts: number;
+  failedAt: string;
+  nextRetryAt: string | null;
+  pauseAt: string | null; // End of the grace period, while the campaign still runs
+  finalAt: string | null; // Campaign is revoked and the invoice written off if still unpaid
+  pausedAt: string | null;
+  writtenOffAt: string | null;
+}
+
+export interface CampaignPacing {
+  status: 'ahead' | 'on_pace' | 'behind';
+  paceRatio: number; // delivered ÷ target so far this week
+  delivered: number;
+  target: number;
+  goal: number;
+  unit: 'dollars' | 'impressions';
+}
+
+export interface CreativeValidationCheck {
+  check: string; // e.g. 'duration', 'resolution', 'aspect_ratio', 'loudness'
+  status: 'pass' | 'warn' | 'fail';
+  message: string;
+}
+
+export interface CreativeValidation {
+  status: 'passed' | 'warnings' | 'failed'; // 'failed' blocks submission
+  creativeType: 'video' | 'image';
+  checks: CreativeValidationCheck[];
+  validatedAt: string;
+}
+
 export interface CampaignData {
   id: number;
   campaignName: string | null;
@@ -68,5 +118,7 @@ export interface CampaignData {
   status: 'LIVE' | 'PAUSED' | 'ENDED' | 'IN REVIEW' | 'REJECTED' | 'REVOKED' | 'CAPPED';
   budget: number;
   spent: number;
+  currency?: string; // Charge currency of budget and spent
   recipients: string[];
+  posterUrl?: string | null; // Poster frame of the campaign's video creative, once processed
 }
\ No newline at end of file